@@ -10,6 +10,8 @@ import Alert from "@/components/common/alert";
 import Loading from "@/components/common/loading";
 import { useAuth } from "@/contexts/auth-context";
 import { api } from "@/lib/utils/api";
+import { setSessionTokens } from "@/lib/utils/token-storage";
+import { canAccessRoute, consumeReturnUrl } from "@/lib/auth/route-access";
 
 export default function LoginPage() {
   const router = useRouter();
@@ -34,60 +36,7 @@ export default function LoginPage() {
     setError("");
     setLoading(true);
 
-    // Mock login for demo emails (bypass backend)
-    const mockEmails = {
-      "student@example.com": {
-        id: "mock-student-id",
-        email: "student@example.com",
-        fullName: "John Doe",
-        role: "student",
-        rollNumber: "STU-2024-001",
-        currentSemester: 3,
-        program: "BS Computer Science",
-      },
-      "admin@example.com": {
-        id: "mock-admin-id",
-        email: "admin@example.com",
-        fullName: "Admin User",
-        role: "admin",
-      },
-      "teacher@example.com": {
-        id: "mock-teacher-id",
-        email: "teacher@example.com",
-        fullName: "Dr. Jane Smith",
-        role: "teacher",
-        employeeId: "EMP-2024-001",
-        department: "Computer Science",
-        designation: "Associate Professor",
-      },
-      "teacher@example": {
-        id: "mock-teacher-id",
-        email: "teacher@example",
-        fullName: "Dr. Jane Smith",
-        role: "teacher",
-        employeeId: "EMP-2024-001",
-        department: "Computer Science",
-        designation: "Associate Professor",
-      },
-    };
-
-    // Check if it's a mock email
-    if (mockEmails[formData.email]) {
-      const mockUser = mockEmails[formData.email];
-
-      // Store mock token
-      localStorage.setItem("token", "mock-token-" + mockUser.id);
-
-      // Store user data and role
-      login(mockUser);
-      setLoading(false);
-
-      // Redirect to dashboard
-      router.push("/dashboard");
-      return;
-    }
-
-    // Regular backend login for other emails
+    // Demo accounts are served by the mock backend (see lib/mock-api)
     const response = await api
       .post("/auth/login", {
         email: formData.email,
@@ -101,8 +50,8 @@ export default function LoginPage() {
 
     if (!response) return;
 
-    // Store token
-    localStorage.setItem("token", response.accessToken);
+    // Store access/refresh tokens and expiry
+    setSessionTokens(response);
 
     // Prepare user data for context
     const userData = {
@@ -118,14 +67,29 @@ export default function LoginPage() {
         currentSemester: response.user.currentSemester,
       }),
       ...(response.user.department && { department: response.user.department }),
+      ...(response.user.designation && {
+        designation: response.user.designation,
+      }),
+      ...(response.user.program && { program: response.user.program }),
+      // Scoped permission data (see lib/auth/permissions.js)
+      ...(response.user.assignedCourseIds && {
+        assignedCourseIds: response.user.assignedCourseIds,
+      }),
+      ...(response.user.grants && { grants: response.user.grants }),
     };
 
     // Store user data and role
     login(userData);
     setLoading(false);
 
-    // Redirect to dashboard using router (no page reload)
-    router.push("/dashboard");
+    // Return to the page that sent us here if this role may open it,
+    // otherwise the dashboard (router, no page reload)
+    const returnUrl = consumeReturnUrl();
+    router.push(
+      returnUrl && canAccessRoute(returnUrl, userData)
+        ? returnUrl
+        : "/dashboard"
+    );
   };
 
   return (
@@ -0,0 +1,169 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import { ClipboardCheck, Download } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { downloadBlob } from "@/lib/utils";
+import { useQuery } from "@/lib/query";
+import { queryKeys, fetchAttendanceCourses } from "@/lib/query/queries";
+import { EXAM_ELIGIBILITY_THRESHOLD } from "@/lib/academics/attendance";
+
+/**
+ * Admin Attendance Page
+ *
+ * Allows admin to:
+ * - See attendance across every course: sessions taken, average attendance
+ *   and how many students are below the exam eligibility threshold
+ * - Export a course's attendance register as CSV (one column per session,
+ *   with each student's totals and eligibility)
+ */
+
+export default function AdminAttendancePage() {
+  const { can } = useAuth();
+  const canExport = can("attendance:export");
+  const { success, error: showError } = useToast();
+  // Course whose register is being exported
+  const [exportingId, setExportingId] = useState(null);
+
+  const {
+    data: courses = [],
+    error,
+    isLoading,
+  } = useQuery(queryKeys.attendanceCourses(), fetchAttendanceCourses, {
+    enabled: canExport,
+  });
+
+  const handleExport = async (course) => {
+    setExportingId(course.id);
+    try {
+      const { fileName, csv } = await api.get(
+        `/attendance/courses/${course.id}/export`
+      );
+      downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), fileName);
+      success(`Attendance for ${course.code} exported`);
+    } catch (err) {
+      showError(err.message || "Failed to export attendance");
+    } finally {
+      setExportingId(null);
+    }
+  };
+
+  if (!canExport) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Admin only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+          Attendance
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-1">
+          Attendance by course; students below {EXAM_ELIGIBILITY_THRESHOLD}%
+          may not sit exams
+        </p>
+      </div>
+
+      <Card>
+        {isLoading ? (
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading attendance...</p>
+          </div>
+        ) : error && courses.length === 0 ? (
+          <p className="text-red-600">
+            Failed to load attendance: {error.message}
+          </p>
+        ) : courses.length === 0 ? (
+          <div className="text-center py-8">
+            <ClipboardCheck className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No courses</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Course
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Instructor
+                  </th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+                    Sessions
+                  </th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+                    Average
+                  </th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+                    Below {EXAM_ELIGIBILITY_THRESHOLD}%
+                  </th>
+                  <th className="py-3 px-4" />
+                </tr>
+              </thead>
+              <tbody>
+                {courses.map((course) => (
+                  <tr key={course.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {course.code} - {course.name}
+                      <span className="block text-xs text-gray-500">
+                        {course.semester} · {course.students} student
+                        {course.students === 1 ? "" : "s"}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {course.instructor || "-"}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right text-gray-900">
+                      {course.sessionsTaken}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right text-gray-900">
+                      {course.averagePercentage === null
+                        ? "-"
+                        : `${course.averagePercentage}%`}
+                    </td>
+                    <td
+                      className={`py-3 px-4 text-sm text-right font-medium ${
+                        course.belowThreshold > 0
+                          ? "text-red-600"
+                          : "text-gray-900"
+                      }`}
+                    >
+                      {course.belowThreshold}
+                    </td>
+                    <td className="py-3 px-4 text-right">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        startIcon={<Download className="w-4 h-4" />}
+                        onClick={() => handleExport(course)}
+                        disabled={
+                          course.sessionsTaken === 0 || exportingId !== null
+                        }
+                      >
+                        {exportingId === course.id ? "Exporting..." : "Export CSV"}
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -1,16 +1,22 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState } from "react";
 import Card from "@/components/common/card";
 import Button from "@/components/common/button";
 import { BookOpen, Plus, Search } from "lucide-react";
 import Modal from "@/components/common/modal";
 import { useAuth } from "@/contexts/auth-context";
 import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import {
+  queryKeys,
+  fetchCourses,
+  fetchGradingSchemes,
+} from "@/lib/query/queries";
+import { resolveScheme } from "@/lib/academics/grading-schemes";
 import { useToast } from "@/contexts/toast-context";
 import CreateCourseForm from "@/components/admin/create-course-form";
 import Loading from "@/components/common/loading";
-import { mockCourses } from "@/lib/mock-data/admin-mock-data";
 
 /**
  * Admin Courses Management Page
@@ -19,61 +25,64 @@ import { mockCourses } from "@/lib/mock-data/admin-mock-data";
  * - View all courses
  * - Create new courses
  * - Assign courses to teachers
+ * - Choose the grading scheme each course is graded with
  * - Search/filter courses
  */
 
 export default function AdminCoursesPage() {
-  const { isAdmin } = useAuth();
+  const { can } = useAuth();
+  const canManage = can("courses:manage");
   const { success, error: showError } = useToast();
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
-  const [courses, setCourses] = useState([]);
-  const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
-  const [submitting, setSubmitting] = useState(false);
 
-  // Fetch courses
-  useEffect(() => {
-    if (isAdmin) {
-      fetchCourses();
-    }
-  }, [isAdmin]);
-
-  const fetchCourses = async () => {
-    setLoading(true);
-    
-    // Check if using mock token - use mock data directly
-    const token = typeof window !== "undefined" ? localStorage.getItem("token") : null;
-    if (token && token.startsWith("mock-token-")) {
-      setCourses(mockCourses);
-      setLoading(false);
-      return;
+  const {
+    data: courses = [],
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(queryKeys.courses(), fetchCourses, { enabled: canManage });
+
+  const { data: schemes = [] } = useQuery(
+    queryKeys.gradingSchemes(),
+    fetchGradingSchemes,
+    { enabled: canManage }
+  );
+
+  const createCourse = useMutation(
+    (data) => api.post("/courses", data),
+    { invalidates: [queryKeys.courses(), queryKeys.gradingSchemes()] }
+  );
+
+  const changeScheme = useMutation(
+    ({ courseId, gradingSchemeId }) =>
+      api.put(`/courses/${courseId}/grading-scheme`, { gradingSchemeId }),
+    {
+      invalidates: [
+        queryKeys.courses(),
+        queryKeys.gradingSchemes(),
+        ["course-grades"],
+      ],
     }
-    
+  );
+
+  const handleChangeScheme = async (course, gradingSchemeId) => {
     try {
-      const response = await api.get("/courses");
-      const coursesList = Array.isArray(response) ? response : response?.data || [];
-      // Use mock data if no real data available
-      setCourses(coursesList.length > 0 ? coursesList : mockCourses);
+      await changeScheme.mutateAsync({ courseId: course.id, gradingSchemeId });
+      const scheme = resolveScheme(schemes, gradingSchemeId);
+      success(`${course.code} is now graded with ${scheme.name}`);
     } catch (err) {
-      console.error("Error fetching courses:", err);
-      // Use mock data on error
-      setCourses(mockCourses);
-    } finally {
-      setLoading(false);
+      showError(err.message || "Failed to change grading scheme");
     }
   };
 
   const handleCreateCourse = async (data) => {
-    setSubmitting(true);
     try {
-      await api.post("/courses", data);
+      await createCourse.mutateAsync(data);
       success("Course created successfully!");
       setIsCreateModalOpen(false);
-      fetchCourses(); // Refresh list
     } catch (err) {
       showError(err.message || "Failed to create course");
-    } finally {
-      setSubmitting(false);
     }
   };
 
@@ -90,7 +99,7 @@ export default function AdminCoursesPage() {
     );
   });
 
-  if (!isAdmin) {
+  if (!canManage) {
     return (
       <div className="p-6">
         <Card>
@@ -142,6 +151,21 @@ export default function AdminCoursesPage() {
             <p className="text-gray-600 mt-3">Loading courses...</p>
           </div>
         </Card>
+      ) : loadError && courses.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load courses</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
       ) : filteredCourses.length === 0 ? (
         <Card>
           <div className="text-center py-8">
@@ -168,7 +192,9 @@ export default function AdminCoursesPage() {
                   <p className="text-sm text-gray-600 truncate">{course.code}</p>
                   <div className="flex flex-wrap gap-2 mt-1">
                     <span className="text-xs text-gray-500">
-                      {course.creditHours} Credit Hour{course.creditHours > 1 ? "s" : ""}
+                      {course.creditHours > 0
+                        ? `${course.creditHours} Credit Hour${course.creditHours > 1 ? "s" : ""}`
+                        : "Non-credit"}
                     </span>
                     {course.semester && (
                       <span className="text-xs text-gray-500">{course.semester}</span>
@@ -181,6 +207,21 @@ export default function AdminCoursesPage() {
                   </div>
                 </div>
                 <div className="flex items-center gap-2">
+                  {schemes.length > 0 && (
+                    <select
+                      value={resolveScheme(schemes, course.gradingSchemeId).id}
+                      onChange={(e) => handleChangeScheme(course, e.target.value)}
+                      disabled={changeScheme.isPending}
+                      aria-label={`Grading scheme for ${course.code}`}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-xs text-gray-700 focus:outline-none"
+                    >
+                      {schemes.map((scheme) => (
+                        <option key={scheme.id} value={scheme.id}>
+                          {scheme.name}
+                        </option>
+                      ))}
+                    </select>
+                  )}
                   <span className="text-xs px-2 py-1 bg-indigo-100 text-indigo-800 rounded-md whitespace-nowrap">
                     Active
                   </span>
@@ -202,7 +243,7 @@ export default function AdminCoursesPage() {
           <CreateCourseForm
             onSubmit={handleCreateCourse}
             onCancel={() => setIsCreateModalOpen(false)}
-            loading={submitting}
+            loading={createCourse.isPending}
           />
         </Modal>
       )}
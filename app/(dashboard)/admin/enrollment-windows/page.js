@@ -0,0 +1,225 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import { CalendarClock, Plus } from "lucide-react";
+import Modal from "@/components/common/modal";
+import { useAuth } from "@/contexts/auth-context";
+import { api } from "@/lib/utils/api";
+import { formatDateTime } from "@/lib/utils";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchEnrollmentWindows } from "@/lib/query/queries";
+import {
+  getWindowPhase,
+  WINDOW_PHASES,
+} from "@/lib/academics/enrollment-windows";
+import { useNow } from "@/hooks/use-now";
+import { useToast } from "@/contexts/toast-context";
+import EnrollmentWindowForm from "@/components/admin/enrollment-window-form";
+import Loading from "@/components/common/loading";
+
+const PHASE_BADGES = {
+  [WINDOW_PHASES.UPCOMING]: {
+    label: "Upcoming",
+    className: "bg-blue-100 text-blue-800",
+  },
+  [WINDOW_PHASES.ADD_DROP]: {
+    label: "Add/Drop Open",
+    className: "bg-green-100 text-green-800",
+  },
+  [WINDOW_PHASES.WITHDRAWAL]: {
+    label: "Withdrawal Only",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  [WINDOW_PHASES.CLOSED]: {
+    label: "Closed",
+    className: "bg-gray-100 text-gray-700",
+  },
+};
+
+/**
+ * Admin Enrollment Windows Page
+ *
+ * Allows admin to:
+ * - View each semester's add/drop and withdrawal windows
+ * - Create a window for a semester
+ * - Edit window dates
+ *
+ * Students can only enroll while add/drop is open, and dropping after it
+ * closes (until the withdrawal deadline) records a "W" grade.
+ */
+
+export default function AdminEnrollmentWindowsPage() {
+  const { can } = useAuth();
+  const canManage = can("courses:manage");
+  const { success, error: showError } = useToast();
+  const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+  const [editingWindow, setEditingWindow] = useState(null);
+  const now = useNow(60 * 1000);
+
+  const {
+    data: windows = [],
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(queryKeys.enrollmentWindows(), fetchEnrollmentWindows, {
+    enabled: canManage,
+  });
+
+  const saveWindow = useMutation(
+    ({ id, ...data }) =>
+      id
+        ? api.put(`/enrollment-windows/${id}`, data)
+        : api.post("/enrollment-windows", data),
+    { invalidates: [queryKeys.enrollmentWindows()] }
+  );
+
+  const handleSaveWindow = async (data) => {
+    try {
+      await saveWindow.mutateAsync({ id: editingWindow?.id, ...data });
+      success(
+        editingWindow
+          ? "Enrollment window updated successfully!"
+          : "Enrollment window created successfully!"
+      );
+      closeModal();
+    } catch (err) {
+      showError(err.message || "Failed to save enrollment window");
+    }
+  };
+
+  const closeModal = () => {
+    setIsCreateModalOpen(false);
+    setEditingWindow(null);
+  };
+
+  const sortedWindows = [...windows].sort(
+    (a, b) => Date.parse(b.addDropStart) - Date.parse(a.addDropStart)
+  );
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Admin only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            Enrollment Windows
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">
+            Set add/drop and withdrawal deadlines for each semester
+          </p>
+        </div>
+        <Button
+          onClick={() => setIsCreateModalOpen(true)}
+          startIcon={<Plus className="w-4 h-4" />}
+        >
+          Add Window
+        </Button>
+      </div>
+
+      {/* Windows List */}
+      {loading ? (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading enrollment windows...</p>
+          </div>
+        </Card>
+      ) : loadError && windows.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load enrollment windows</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
+      ) : sortedWindows.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <CalendarClock className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No enrollment windows found</p>
+            <p className="text-sm text-gray-500 mt-1">
+              Students cannot enroll until a window is set for the semester
+            </p>
+          </div>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 gap-3 sm:gap-4">
+          {sortedWindows.map((enrollmentWindow) => {
+            const badge = PHASE_BADGES[getWindowPhase(enrollmentWindow, now)];
+            return (
+              <Card key={enrollmentWindow.id}>
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <h3 className="font-semibold text-gray-900 truncate">
+                      {enrollmentWindow.semester}
+                    </h3>
+                    <div className="flex flex-col gap-0.5 mt-1">
+                      <span className="text-xs text-gray-500">
+                        Add/Drop: {formatDateTime(enrollmentWindow.addDropStart)}{" "}
+                        - {formatDateTime(enrollmentWindow.addDropEnd)}
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        Withdrawal (W) until:{" "}
+                        {formatDateTime(enrollmentWindow.withdrawalEnd)}
+                      </span>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span
+                      className={`text-xs px-2 py-1 rounded-md whitespace-nowrap ${badge.className}`}
+                    >
+                      {badge.label}
+                    </span>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setEditingWindow(enrollmentWindow)}
+                    >
+                      Edit
+                    </Button>
+                  </div>
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Create / Edit Window Modal */}
+      {(isCreateModalOpen || editingWindow) && (
+        <Modal
+          isOpen={isCreateModalOpen || Boolean(editingWindow)}
+          onClose={closeModal}
+          title={editingWindow ? "Edit Enrollment Window" : "Add Enrollment Window"}
+          size="md"
+        >
+          <EnrollmentWindowForm
+            onSubmit={handleSaveWindow}
+            onCancel={closeModal}
+            loading={saveWindow.isPending}
+            initialValues={editingWindow}
+          />
+        </Modal>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,319 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Alert from "@/components/common/alert";
+import Button from "@/components/common/button";
+import Modal from "@/components/common/modal";
+import Loading from "@/components/common/loading";
+import ExamForm from "@/components/admin/exam-form";
+import ExamSittings from "@/components/admin/exam-sittings";
+import { NotebookPen, Plus } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchExams } from "@/lib/query/queries";
+import { EXAM_TYPE_LABELS } from "@/lib/academics/exams";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+/**
+ * Admin Exams Page
+ *
+ * Allows admin to:
+ * - Schedule each course's midterm and final exam with its date, time and
+ *   rooms, and edit or cancel it (students are notified)
+ * - See student clashes (a student with two exams at once) and room
+ *   clashes; new clashes are rejected, ones caused by later enrollments are
+ *   listed at the top
+ * - Generate seating plans per sitting with mixing rules
+ */
+
+export default function AdminExamsPage() {
+  const { can } = useAuth();
+  const canManage = can("exams:manage");
+  const { success, error: showError } = useToast();
+  const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+  const [editingExam, setEditingExam] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  const {
+    data: exams = [],
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(queryKeys.exams(), () => fetchExams(), {
+    enabled: canManage,
+  });
+
+  const saveExam = useMutation(
+    ({ id, ...data }) =>
+      id ? api.put(`/exams/${id}`, data) : api.post("/exams", data),
+    { invalidates: [queryKeys.exams()] }
+  );
+
+  const deleteExam = useMutation((id) => api.delete(`/exams/${id}`), {
+    invalidates: [queryKeys.exams()],
+  });
+
+  const handleSaveExam = async (data) => {
+    try {
+      await saveExam.mutateAsync({ id: editingExam?.id, ...data });
+      success(
+        editingExam
+          ? "Exam updated and students notified"
+          : "Exam scheduled and students notified"
+      );
+      closeModal();
+      return true;
+    } catch (err) {
+      showError(err.message || "Failed to save exam");
+      return false;
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    try {
+      await deleteExam.mutateAsync(deleteTarget.id);
+      success("Exam cancelled and students notified");
+      setDeleteTarget(null);
+    } catch (err) {
+      showError(err.message || "Failed to cancel exam");
+    }
+  };
+
+  const closeModal = () => {
+    setIsCreateModalOpen(false);
+    setEditingExam(null);
+    saveExam.reset();
+  };
+
+  const clashing = exams.filter((exam) => exam.clashes.length > 0);
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Admin only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            Exams
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">
+            Schedule midterm and final exams and seat students for them
+          </p>
+        </div>
+        <Button
+          onClick={() => setIsCreateModalOpen(true)}
+          startIcon={<Plus className="w-4 h-4" />}
+        >
+          Schedule Exam
+        </Button>
+      </div>
+
+      {clashing.length > 0 && (
+        <Alert
+          type="error"
+          title={`${clashing.length} exam${
+            clashing.length === 1 ? " has" : "s have"
+          } clashes`}
+          message="Students enrolled since these exams were scheduled have two exams at once. Move one of the exams."
+        >
+          <ul className="mt-2 space-y-1 text-sm text-red-700">
+            {clashing.map((exam) => (
+              <li key={exam.id}>
+                <span className="font-medium">
+                  {exam.course?.code} {EXAM_TYPE_LABELS[exam.type]}:
+                </span>{" "}
+                {exam.clashes.map((clash) => clash.message).join("; ")}
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
+      {/* Exam Schedule */}
+      {loading ? (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading exams...</p>
+          </div>
+        </Card>
+      ) : loadError && exams.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load exams</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
+      ) : exams.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <NotebookPen className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No exams scheduled</p>
+            <p className="text-sm text-gray-500 mt-1">
+              Schedule a course&apos;s midterm or final to get started
+            </p>
+          </div>
+        </Card>
+      ) : (
+        <Card title="Exam Schedule">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Course
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Exam
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Date &amp; Time
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Rooms
+                  </th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+                    Seated
+                  </th>
+                  <th className="py-3 px-4" />
+                </tr>
+              </thead>
+              <tbody>
+                {exams.map((exam) => (
+                  <tr key={exam.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {exam.course?.code} - {exam.course?.name}
+                      <span className="block text-xs text-gray-500">
+                        {exam.semester}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {EXAM_TYPE_LABELS[exam.type]}
+                      {exam.clashes.length > 0 && (
+                        <span className="ml-2 text-xs px-2 py-0.5 rounded-md bg-red-100 text-red-800">
+                          Clash
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {formatCalendarDate(exam.date)}
+                      <span className="block text-xs text-gray-500">
+                        {exam.startTime} - {exam.endTime}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {exam.rooms.join(", ")}
+                    </td>
+                    <td
+                      className={`py-3 px-4 text-sm text-right font-medium ${
+                        exam.seated < exam.students
+                          ? "text-yellow-700"
+                          : "text-gray-900"
+                      }`}
+                    >
+                      {exam.seated}/{exam.students}
+                    </td>
+                    <td className="py-3 px-4">
+                      <div className="flex items-center justify-end gap-2">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setEditingExam(exam)}
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setDeleteTarget(exam)}
+                        >
+                          Cancel
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+
+      <ExamSittings />
+
+      {/* Schedule / Edit Exam Modal */}
+      {(isCreateModalOpen || editingExam) && (
+        <Modal
+          isOpen
+          onClose={closeModal}
+          title={editingExam ? "Edit Exam" : "Schedule Exam"}
+          size="md"
+        >
+          <ExamForm
+            key={editingExam?.id || "new"}
+            exam={editingExam}
+            onSubmit={handleSaveExam}
+            onCancel={closeModal}
+            loading={saveExam.isPending}
+            clashes={saveExam.error?.data?.clashes || []}
+          />
+        </Modal>
+      )}
+
+      {/* Cancel Exam Modal */}
+      <Modal
+        isOpen={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        title="Cancel Exam"
+      >
+        {deleteTarget && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Cancel the {deleteTarget.course?.code}{" "}
+              {EXAM_TYPE_LABELS[deleteTarget.type]} exam on{" "}
+              {formatCalendarDate(deleteTarget.date)}? Its students are
+              notified and the sitting&apos;s seating plan is discarded.
+            </p>
+            <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+              <Button variant="outline" onClick={() => setDeleteTarget(null)}>
+                Keep Exam
+              </Button>
+              <Button
+                variant="danger"
+                onClick={handleConfirmDelete}
+                disabled={deleteExam.isPending}
+              >
+                {deleteExam.isPending && (
+                  <span className="mr-2">
+                    <Loading size="sm" />
+                  </span>
+                )}
+                Cancel Exam
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,348 @@
+"use client";
+
+import { useRef, useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Modal from "@/components/common/modal";
+import Loading from "@/components/common/loading";
+import BankReconciliationPreview from "@/components/admin/bank-reconciliation-preview";
+import { Download, Landmark, Search, Upload } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchFeeChallans } from "@/lib/query/queries";
+import {
+  CHALLAN_STATUS,
+  formatVoucherNumber,
+  normalizeVoucherNumber,
+} from "@/lib/fees/challan";
+import {
+  bankCsvTemplate,
+  parseBankCsv,
+  previewReconciliation,
+} from "@/lib/fees/bank-reconciliation";
+import { downloadBlob, formatCurrency, formatDate } from "@/lib/utils";
+
+const STATUS_FILTERS = [
+  { value: "", label: "All" },
+  { value: CHALLAN_STATUS.UNPAID, label: "Unpaid" },
+  { value: CHALLAN_STATUS.PAID, label: "Paid" },
+  { value: CHALLAN_STATUS.EXPIRED, label: "Expired" },
+  { value: CHALLAN_STATUS.CANCELLED, label: "Cancelled" },
+];
+
+const STATUS_COLORS = {
+  [CHALLAN_STATUS.UNPAID]: "bg-yellow-100 text-yellow-800",
+  [CHALLAN_STATUS.PAID]: "bg-green-100 text-green-800",
+  [CHALLAN_STATUS.EXPIRED]: "bg-red-100 text-red-800",
+  [CHALLAN_STATUS.CANCELLED]: "bg-gray-100 text-gray-800",
+};
+
+/**
+ * Admin Fee Reconciliation Page
+ *
+ * Allows admin (accounts office) to:
+ * - View every bank challan students have generated, by status
+ * - Upload the bank's collection file (CSV) to mark challans paid, after a
+ *   preview of what matched and what did not
+ * - Download an empty bank file template
+ */
+
+export default function AdminFeesPage() {
+  const { can } = useAuth();
+  const canManage = can("fees:manage");
+  const { success, error: showError } = useToast();
+  const fileInputRef = useRef(null);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [searchQuery, setSearchQuery] = useState("");
+  const [reconciliation, setReconciliation] = useState(null);
+
+  const {
+    data: challans = [],
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(queryKeys.feeChallans(), fetchFeeChallans, {
+    enabled: canManage,
+  });
+
+  const reconcile = useMutation(
+    (payments) => api.post("/fees/reconcile", { payments }),
+    { invalidates: [queryKeys.fees()] }
+  );
+
+  const handleUploadFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const { rows, error: parseError } = parseBankCsv(await file.text());
+      if (parseError) {
+        showError(`${file.name}: ${parseError}`);
+        return;
+      }
+      setReconciliation({
+        fileName: file.name,
+        preview: previewReconciliation(rows, challans),
+      });
+    } catch (err) {
+      console.error("Read bank file error:", err);
+      showError("Could not read the file. Please choose a CSV file.");
+    }
+  };
+
+  const handleApply = async () => {
+    const { matches } = reconciliation.preview;
+    try {
+      const result = await reconcile.mutateAsync(
+        matches.map((match) => ({
+          line: match.line,
+          voucherNumber: match.challan.voucherNumber,
+          amount: match.amount,
+          paidOn: match.paidOn,
+          reference: match.reference,
+        }))
+      );
+      setReconciliation(null);
+      success(
+        `Marked ${result.reconciled} challan${
+          result.reconciled === 1 ? "" : "s"
+        } paid`
+      );
+    } catch (err) {
+      console.error("Reconcile error:", err);
+      showError(err.message || "Failed to reconcile payments");
+    }
+  };
+
+  const handleDownloadTemplate = () => {
+    downloadBlob(
+      new Blob([bankCsvTemplate()], { type: "text/csv;charset=utf-8" }),
+      "bank-collection-template.csv"
+    );
+  };
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Admin only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  const query = searchQuery.trim().toLowerCase();
+  const filteredChallans = challans.filter((challan) => {
+    if (statusFilter && challan.status !== statusFilter) return false;
+    if (!query) return true;
+    return (
+      challan.voucherNumber.includes(normalizeVoucherNumber(query)) ||
+      challan.student.fullName.toLowerCase().includes(query) ||
+      challan.student.rollNumber.toLowerCase().includes(query)
+    );
+  });
+  const unpaid = challans.filter((c) => c.status === CHALLAN_STATUS.UNPAID);
+  const unpaidTotal = unpaid.reduce((sum, c) => sum + c.amount, 0);
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            Fee Reconciliation
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">
+            {unpaid.length} unpaid challan{unpaid.length === 1 ? "" : "s"}{" "}
+            worth {formatCurrency(unpaidTotal)}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button
+            variant="outline"
+            startIcon={<Download className="w-4 h-4" />}
+            onClick={handleDownloadTemplate}
+          >
+            Template
+          </Button>
+          <Button
+            startIcon={<Upload className="w-4 h-4" />}
+            onClick={() => fileInputRef.current?.click()}
+            disabled={loading}
+          >
+            Upload Bank File
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleUploadFile}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="flex items-center space-x-2 flex-1">
+            <Search className="w-5 h-5 text-gray-400 flex-shrink-0" />
+            <input
+              type="text"
+              placeholder="Search by voucher number, name or roll number..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              className="flex-1 border-0 focus:outline-none focus:ring-0 text-sm sm:text-base"
+            />
+          </div>
+          <div className="flex flex-wrap gap-1">
+            {STATUS_FILTERS.map((filter) => (
+              <button
+                key={filter.value}
+                onClick={() => setStatusFilter(filter.value)}
+                className={`px-3 py-1.5 rounded-md text-xs sm:text-sm font-medium transition-colors ${
+                  statusFilter === filter.value
+                    ? "bg-indigo-100 text-indigo-700"
+                    : "text-gray-600 hover:bg-gray-100"
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </Card>
+
+      {/* Challans */}
+      {loading ? (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading challans...</p>
+          </div>
+        </Card>
+      ) : loadError && challans.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load challans</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
+      ) : filteredChallans.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <Landmark className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No challans found</p>
+            <p className="text-sm text-gray-500 mt-1">
+              {challans.length === 0
+                ? "Challans students generate from their fees page appear here"
+                : "Try a different search or status"}
+            </p>
+          </div>
+        </Card>
+      ) : (
+        <Card>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Voucher
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Student
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Fee
+                  </th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+                    Amount
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Pay By / Paid On
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Status
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredChallans.map((challan) => (
+                  <tr key={challan.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 text-sm font-mono text-gray-900 whitespace-nowrap">
+                      {formatVoucherNumber(challan.voucherNumber)}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {challan.student.fullName}
+                      <span className="block text-xs text-gray-500">
+                        {challan.student.rollNumber}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {challan.fee.type}
+                      {challan.installmentNumber &&
+                        ` (installment ${challan.installmentNumber})`}
+                      <span className="block text-xs text-gray-500">
+                        {challan.fee.semester}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right font-medium text-gray-900 whitespace-nowrap">
+                      {formatCurrency(challan.amount)}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
+                      {challan.paidAt
+                        ? formatDate(challan.paidAt)
+                        : formatDate(challan.validUntil)}
+                      {challan.bankReference && (
+                        <span className="block text-xs text-gray-500">
+                          Ref: {challan.bankReference}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-md ${
+                          STATUS_COLORS[challan.status]
+                        }`}
+                      >
+                        {challan.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+
+      {/* Reconciliation Preview Modal */}
+      <Modal
+        isOpen={Boolean(reconciliation)}
+        onClose={() => setReconciliation(null)}
+        title="Reconcile Bank Payments"
+        size="lg"
+      >
+        {reconciliation && (
+          <BankReconciliationPreview
+            fileName={reconciliation.fileName}
+            preview={reconciliation.preview}
+            onApply={handleApply}
+            onCancel={() => setReconciliation(null)}
+            loading={reconcile.isPending}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+}
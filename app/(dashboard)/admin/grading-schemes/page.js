@@ -0,0 +1,303 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import { Award, Plus } from "lucide-react";
+import Modal from "@/components/common/modal";
+import { useAuth } from "@/contexts/auth-context";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchGradingSchemes } from "@/lib/query/queries";
+import {
+  SCHEME_TYPES,
+  SCHEME_TYPE_LABELS,
+  describeScheme,
+} from "@/lib/academics/grading-schemes";
+import { useToast } from "@/contexts/toast-context";
+import GradingSchemeForm from "@/components/admin/grading-scheme-form";
+import Loading from "@/components/common/loading";
+
+// Grade sheets and results show letter grades from these schemes
+const SCHEME_DEPENDENTS = [
+  queryKeys.gradingSchemes(),
+  queryKeys.courses(),
+  ["course-grades"],
+  queryKeys.results(),
+];
+
+/**
+ * Admin Grading Schemes Page
+ *
+ * Allows admin to:
+ * - View the grading schemes and how many courses use each
+ * - Create and edit absolute, relative (curved) and pass/fail schemes
+ * - Choose the default scheme for courses that do not name one
+ * - Delete schemes no course or published result uses
+ */
+
+export default function AdminGradingSchemesPage() {
+  const { can } = useAuth();
+  const canManage = can("courses:manage");
+  const { success, error: showError } = useToast();
+  const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+  const [editingScheme, setEditingScheme] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+
+  const {
+    data: schemes = [],
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(queryKeys.gradingSchemes(), fetchGradingSchemes, {
+    enabled: canManage,
+  });
+
+  const saveScheme = useMutation(
+    ({ id, ...data }) =>
+      id
+        ? api.put(`/grading-schemes/${id}`, data)
+        : api.post("/grading-schemes", data),
+    { invalidates: SCHEME_DEPENDENTS }
+  );
+
+  const deleteScheme = useMutation(
+    (id) => api.delete(`/grading-schemes/${id}`),
+    { invalidates: SCHEME_DEPENDENTS }
+  );
+
+  const handleSaveScheme = async (data) => {
+    try {
+      await saveScheme.mutateAsync({ id: editingScheme?.id, ...data });
+      success(
+        editingScheme
+          ? "Grading scheme updated successfully!"
+          : "Grading scheme created successfully!"
+      );
+      closeModal();
+    } catch (err) {
+      showError(err.message || "Failed to save grading scheme");
+    }
+  };
+
+  const handleMakeDefault = async (scheme) => {
+    try {
+      await saveScheme.mutateAsync({ id: scheme.id, isDefault: true });
+      success(`${scheme.name} is now the default grading scheme`);
+    } catch (err) {
+      showError(err.message || "Failed to change the default scheme");
+    }
+  };
+
+  const handleConfirmDelete = async () => {
+    try {
+      await deleteScheme.mutateAsync(deleteTarget.id);
+      success("Grading scheme deleted");
+      setDeleteTarget(null);
+    } catch (err) {
+      showError(err.message || "Failed to delete grading scheme");
+    }
+  };
+
+  const closeModal = () => {
+    setIsCreateModalOpen(false);
+    setEditingScheme(null);
+  };
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Admin only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            Grading Schemes
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">
+            Define how marks turn into letter grades and grade points
+          </p>
+        </div>
+        <Button
+          onClick={() => setIsCreateModalOpen(true)}
+          startIcon={<Plus className="w-4 h-4" />}
+        >
+          Add Scheme
+        </Button>
+      </div>
+
+      {/* Schemes List */}
+      {loading ? (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading grading schemes...</p>
+          </div>
+        </Card>
+      ) : loadError && schemes.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load grading schemes</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
+      ) : schemes.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <Award className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No grading schemes found</p>
+            <p className="text-sm text-gray-500 mt-1">
+              Courses are graded on the standard 4.0 scale until one is added
+            </p>
+          </div>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 gap-3 sm:gap-4">
+          {schemes.map((scheme) => (
+            <Card key={scheme.id}>
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <h3 className="font-semibold text-gray-900 truncate">
+                      {scheme.name}
+                    </h3>
+                    <span className="text-xs px-2 py-0.5 rounded-md bg-indigo-50 text-indigo-700">
+                      {SCHEME_TYPE_LABELS[scheme.type]}
+                    </span>
+                    {scheme.isDefault && (
+                      <span className="text-xs px-2 py-0.5 rounded-md bg-green-100 text-green-800">
+                        Default
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {describeScheme(scheme)}
+                  </p>
+                  {scheme.type !== SCHEME_TYPES.PASS_FAIL && (
+                    <div className="flex flex-wrap gap-1 mt-2">
+                      {[...scheme.bands]
+                        .sort((a, b) => b.min - a.min)
+                        .map((band) => (
+                          <span
+                            key={band.grade}
+                            className="text-xs px-1.5 py-0.5 rounded bg-gray-100 text-gray-700"
+                          >
+                            {band.grade} ≥{band.min} · {band.points}
+                          </span>
+                        ))}
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-500 mt-2">
+                    Used by {scheme.courseCount} course
+                    {scheme.courseCount === 1 ? "" : "s"}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {!scheme.isDefault && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleMakeDefault(scheme)}
+                      disabled={saveScheme.isPending}
+                    >
+                      Make Default
+                    </Button>
+                  )}
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setEditingScheme(scheme)}
+                  >
+                    Edit
+                  </Button>
+                  {!scheme.isDefault && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setDeleteTarget(scheme)}
+                    >
+                      Delete
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {/* Create / Edit Scheme Modal */}
+      {(isCreateModalOpen || editingScheme) && (
+        <Modal
+          isOpen={isCreateModalOpen || Boolean(editingScheme)}
+          onClose={closeModal}
+          title={editingScheme ? "Edit Grading Scheme" : "Add Grading Scheme"}
+          size="md"
+        >
+          {editingScheme?.courseCount > 0 && (
+            <p className="text-sm text-orange-700 bg-orange-50 rounded-lg p-3 mb-4">
+              {editingScheme.courseCount} course
+              {editingScheme.courseCount === 1 ? " uses" : "s use"} this
+              scheme; their grade sheets will be regraded with your changes.
+            </p>
+          )}
+          <GradingSchemeForm
+            onSubmit={handleSaveScheme}
+            onCancel={closeModal}
+            loading={saveScheme.isPending}
+            initialValues={editingScheme}
+          />
+        </Modal>
+      )}
+
+      {/* Delete Confirmation Modal */}
+      <Modal
+        isOpen={Boolean(deleteTarget)}
+        onClose={() => setDeleteTarget(null)}
+        title="Delete Grading Scheme"
+      >
+        {deleteTarget && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Delete {deleteTarget.name}? Schemes that courses or published
+              results still use cannot be deleted.
+            </p>
+            <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+              <Button variant="outline" onClick={() => setDeleteTarget(null)}>
+                Cancel
+              </Button>
+              <Button
+                variant="danger"
+                onClick={handleConfirmDelete}
+                disabled={deleteScheme.isPending}
+              >
+                {deleteScheme.isPending && (
+                  <span className="mr-2">
+                    <Loading size="sm" />
+                  </span>
+                )}
+                Delete
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
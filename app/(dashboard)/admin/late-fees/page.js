@@ -0,0 +1,406 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Modal from "@/components/common/modal";
+import Loading from "@/components/common/loading";
+import LateFeeRuleForm from "@/components/admin/late-fee-rule-form";
+import FineWaiverForm from "@/components/admin/fine-waiver-form";
+import { Hourglass, Plus } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import {
+  queryKeys,
+  fetchFeeFines,
+  fetchFeeWaivers,
+  fetchLateFeeRules,
+} from "@/lib/query/queries";
+import {
+  LATE_FEE_SCHEDULE_LABELS,
+  describeLateFeeRule,
+} from "@/lib/fees/late-fees";
+import { formatCurrency, formatDate, formatDateTime } from "@/lib/utils";
+
+// Students' fee accounts show the fines and waivers too
+const FINE_DEPENDENTS = [queryKeys.fees()];
+
+/**
+ * Admin Late Fees Page
+ *
+ * Allows admin (accounts office) to:
+ * - Define late fee rules per fee type: a flat or per-day fine after a
+ *   grace period, optionally capped
+ * - See the fines students still owe and waive them, giving a reason
+ * - Review the audit log of waivers: who waived what, when and why
+ */
+
+export default function AdminLateFeesPage() {
+  const { can } = useAuth();
+  const canManage = can("fees:manage");
+  const { success, error: showError } = useToast();
+  const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [waivingFine, setWaivingFine] = useState(null);
+
+  const {
+    data: rules = [],
+    error: rulesError,
+    isLoading: loadingRules,
+    refetch: refetchRules,
+  } = useQuery(queryKeys.lateFeeRules(), fetchLateFeeRules, {
+    enabled: canManage,
+  });
+  const { data: fines = [], isLoading: loadingFines } = useQuery(
+    queryKeys.feeFines(),
+    fetchFeeFines,
+    { enabled: canManage }
+  );
+  const { data: waivers = [], isLoading: loadingWaivers } = useQuery(
+    queryKeys.feeWaivers(),
+    fetchFeeWaivers,
+    { enabled: canManage }
+  );
+
+  // New rules may start charging fines straight away
+  const saveRule = useMutation(
+    ({ id, ...data }) =>
+      id
+        ? api.put(`/late-fee-rules/${id}`, data)
+        : api.post("/late-fee-rules", data),
+    {
+      invalidates: [
+        queryKeys.lateFeeRules(),
+        queryKeys.feeFines(),
+        ...FINE_DEPENDENTS,
+      ],
+    }
+  );
+
+  const waiveFine = useMutation(
+    ({ id, ...data }) => api.post(`/fees/fines/${id}/waivers`, data),
+    {
+      invalidates: [
+        queryKeys.feeFines(),
+        queryKeys.feeWaivers(),
+        ...FINE_DEPENDENTS,
+      ],
+    }
+  );
+
+  const closeRuleModal = () => {
+    setIsCreateModalOpen(false);
+    setEditingRule(null);
+  };
+
+  const handleSaveRule = async (data) => {
+    try {
+      await saveRule.mutateAsync({ id: editingRule?.id, ...data });
+      success(
+        editingRule
+          ? "Late fee rule updated successfully!"
+          : "Late fee rule created successfully!"
+      );
+      closeRuleModal();
+    } catch (err) {
+      showError(err.message || "Failed to save late fee rule");
+    }
+  };
+
+  const handleWaive = async (data) => {
+    try {
+      await waiveFine.mutateAsync({ id: waivingFine.id, ...data });
+      success(
+        `Waived ${formatCurrency(data.amount)} for ${
+          waivingFine.student.fullName
+        }`
+      );
+      setWaivingFine(null);
+    } catch (err) {
+      showError(err.message || "Failed to waive fine");
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Admin only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  const outstandingTotal = fines.reduce((sum, f) => sum + f.outstanding, 0);
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            Late Fees
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">
+            {fines.length} unpaid fine{fines.length === 1 ? "" : "s"} worth{" "}
+            {formatCurrency(outstandingTotal)}
+          </p>
+        </div>
+        <Button
+          onClick={() => setIsCreateModalOpen(true)}
+          startIcon={<Plus className="w-4 h-4" />}
+        >
+          Add Rule
+        </Button>
+      </div>
+
+      {/* Rules */}
+      {loadingRules ? (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading late fee rules...</p>
+          </div>
+        </Card>
+      ) : rulesError && rules.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load late fee rules</p>
+            <p className="text-sm text-gray-500 mt-1">{rulesError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetchRules().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
+      ) : rules.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <Hourglass className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No late fee rules</p>
+            <p className="text-sm text-gray-500 mt-1">
+              Overdue fees are not fined until a rule is added
+            </p>
+          </div>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 sm:gap-4">
+          {rules.map((rule) => (
+            <Card key={rule.id}>
+              <div className="flex items-start justify-between gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <h3 className="font-semibold text-gray-900 truncate">
+                      {rule.name}
+                    </h3>
+                    <span className="text-xs px-2 py-0.5 rounded-md bg-indigo-50 text-indigo-700">
+                      {LATE_FEE_SCHEDULE_LABELS[rule.schedule]}
+                    </span>
+                    {!rule.active && (
+                      <span className="text-xs px-2 py-0.5 rounded-md bg-gray-100 text-gray-800">
+                        Inactive
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-700 mt-1">
+                    {describeLateFeeRule(rule)}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {rule.feeTypes.length === 0
+                      ? "All fees"
+                      : rule.feeTypes.join(", ")}
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setEditingRule(rule)}
+                >
+                  Edit
+                </Button>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      {/* Outstanding Fines */}
+      <Card
+        title="Unpaid Fines"
+        subtitle="Late fees stop growing once a fine is partly waived"
+      >
+        {loadingFines ? (
+          <div className="text-center py-6">
+            <Loading size="md" />
+          </div>
+        ) : fines.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">
+            No student owes a fine
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Student
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Fine
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Charged
+                  </th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+                    Outstanding
+                  </th>
+                  <th className="py-3 px-4" />
+                </tr>
+              </thead>
+              <tbody>
+                {fines.map((fine) => (
+                  <tr key={fine.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {fine.student.fullName}
+                      <span className="block text-xs text-gray-500">
+                        {fine.student.rollNumber}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {fine.description || "Fine"}
+                      <span className="block text-xs text-gray-500">
+                        {fine.fee?.semester}
+                        {fine.lateFee && ` · ${fine.lateFee.ruleName}`}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
+                      {formatDate(fine.date)}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right font-medium text-gray-900 whitespace-nowrap">
+                      {formatCurrency(fine.outstanding)}
+                      {fine.outstanding < fine.amount && (
+                        <span className="block text-xs font-normal text-gray-500">
+                          of {formatCurrency(fine.amount)}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-right">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setWaivingFine(fine)}
+                        disabled={fine.feeBalance <= 0}
+                      >
+                        Waive
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      {/* Waiver Audit Log */}
+      <Card title="Waiver Audit Log">
+        {loadingWaivers ? (
+          <div className="text-center py-6">
+            <Loading size="md" />
+          </div>
+        ) : waivers.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">
+            No fines have been waived
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    When
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Student
+                  </th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+                    Waived
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Reason
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    By
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {waivers.map((waiver) => (
+                  <tr key={waiver.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
+                      {formatDateTime(waiver.date)}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {waiver.student.fullName}
+                      <span className="block text-xs text-gray-500">
+                        {waiver.description}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right font-medium text-gray-900 whitespace-nowrap">
+                      {formatCurrency(waiver.amount)}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {waiver.reason}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
+                      {waiver.waivedBy?.fullName || "-"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      {/* Create / Edit Rule Modal */}
+      {(isCreateModalOpen || editingRule) && (
+        <Modal
+          isOpen={isCreateModalOpen || Boolean(editingRule)}
+          onClose={closeRuleModal}
+          title={editingRule ? "Edit Late Fee Rule" : "Add Late Fee Rule"}
+          size="md"
+        >
+          <LateFeeRuleForm
+            onSubmit={handleSaveRule}
+            onCancel={closeRuleModal}
+            loading={saveRule.isPending}
+            initialValues={editingRule}
+          />
+        </Modal>
+      )}
+
+      {/* Waive Fine Modal */}
+      <Modal
+        isOpen={Boolean(waivingFine)}
+        onClose={() => setWaivingFine(null)}
+        title="Waive Fine"
+      >
+        {waivingFine && (
+          <FineWaiverForm
+            fine={waivingFine}
+            onSubmit={handleWaive}
+            onCancel={() => setWaivingFine(null)}
+            loading={waiveFine.isPending}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+}
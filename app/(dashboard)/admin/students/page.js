@@ -1,16 +1,17 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState } from "react";
 import Card from "@/components/common/card";
 import Button from "@/components/common/button";
 import { Users, Plus, Search } from "lucide-react";
 import Modal from "@/components/common/modal";
 import { useAuth } from "@/contexts/auth-context";
 import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchUsers } from "@/lib/query/queries";
 import { useToast } from "@/contexts/toast-context";
 import CreateStudentForm from "@/components/admin/create-student-form";
 import Loading from "@/components/common/loading";
-import { mockStudents } from "@/lib/mock-data/admin-mock-data";
 
 /**
  * Admin Students Management Page
@@ -22,70 +23,31 @@ import { mockStudents } from "@/lib/mock-data/admin-mock-data";
  */
 
 export default function AdminStudentsPage() {
-  const { isAdmin } = useAuth();
+  const { can } = useAuth();
+  const canManage = can("users:manage");
   const { success, error: showError } = useToast();
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
-  const [students, setStudents] = useState([]);
-  const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
-  const [submitting, setSubmitting] = useState(false);
 
-  // Fetch students
-  useEffect(() => {
-    if (isAdmin) {
-      fetchStudents();
-    }
-  }, [isAdmin]);
-
-  const fetchStudents = async () => {
-    setLoading(true);
-
-    // Check if using mock token - use mock data directly
-    const token =
-      typeof window !== "undefined" ? localStorage.getItem("token") : null;
-    if (token && token.startsWith("mock-token-")) {
-      setStudents(mockStudents);
-      setLoading(false);
-      return;
-    }
+  const {
+    data: students = [],
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(queryKeys.users("student"), () => fetchUsers("student"), { enabled: canManage });
 
-    try {
-      const response = await api.get("/users?role=student");
-      // Handle response - could be array or object with data property
-      const studentsList = Array.isArray(response)
-        ? response
-        : response?.data || [];
-      // Map to include student-specific data
-      const studentsWithData = studentsList.map((user) => ({
-        ...user,
-        rollNumber: user.student?.rollNumber || user.rollNumber,
-        currentSemester: user.student?.currentSemester || user.currentSemester,
-        program: user.student?.program || user.program,
-      }));
-      // Use mock data if no real data available
-      setStudents(
-        studentsWithData.length > 0 ? studentsWithData : mockStudents
-      );
-    } catch (err) {
-      console.error("Error fetching students:", err);
-      // Use mock data on error
-      setStudents(mockStudents);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const createStudent = useMutation(
+    (data) => api.post("/auth/create-student", data),
+    { invalidates: [queryKeys.users()] }
+  );
 
   const handleCreateStudent = async (data) => {
-    setSubmitting(true);
     try {
-      await api.post("/auth/create-student", data);
+      await createStudent.mutateAsync(data);
       success("Student created successfully!");
       setIsCreateModalOpen(false);
-      fetchStudents(); // Refresh list
     } catch (err) {
       showError(err.message || "Failed to create student");
-    } finally {
-      setSubmitting(false);
     }
   };
 
@@ -100,7 +62,7 @@ export default function AdminStudentsPage() {
     );
   });
 
-  if (!isAdmin) {
+  if (!canManage) {
     return (
       <div className="p-6">
         <Card>
@@ -152,6 +114,21 @@ export default function AdminStudentsPage() {
             <p className="text-gray-600 mt-3">Loading students...</p>
           </div>
         </Card>
+      ) : loadError && students.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load students</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
       ) : filteredStudents.length === 0 ? (
         <Card>
           <div className="text-center py-8">
@@ -220,7 +197,7 @@ export default function AdminStudentsPage() {
           <CreateStudentForm
             onSubmit={handleCreateStudent}
             onCancel={() => setIsCreateModalOpen(false)}
-            loading={submitting}
+            loading={createStudent.isPending}
           />
         </Modal>
       )}
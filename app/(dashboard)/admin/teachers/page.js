@@ -1,16 +1,17 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState } from "react";
 import Card from "@/components/common/card";
 import Button from "@/components/common/button";
 import { GraduationCap, Plus, Search } from "lucide-react";
 import Modal from "@/components/common/modal";
 import { useAuth } from "@/contexts/auth-context";
 import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchUsers } from "@/lib/query/queries";
 import { useToast } from "@/contexts/toast-context";
 import CreateTeacherForm from "@/components/admin/create-teacher-form";
 import Loading from "@/components/common/loading";
-import { mockTeachers } from "@/lib/mock-data/admin-mock-data";
 
 /**
  * Admin Teachers Management Page
@@ -22,65 +23,31 @@ import { mockTeachers } from "@/lib/mock-data/admin-mock-data";
  */
 
 export default function AdminTeachersPage() {
-  const { isAdmin } = useAuth();
+  const { can } = useAuth();
+  const canManage = can("users:manage");
   const { success, error: showError } = useToast();
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
-  const [teachers, setTeachers] = useState([]);
-  const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
-  const [submitting, setSubmitting] = useState(false);
 
-  // Fetch teachers
-  useEffect(() => {
-    if (isAdmin) {
-      fetchTeachers();
-    }
-  }, [isAdmin]);
+  const {
+    data: teachers = [],
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(queryKeys.users("teacher"), () => fetchUsers("teacher"), { enabled: canManage });
 
-  const fetchTeachers = async () => {
-    setLoading(true);
-    
-    // Check if using mock token - use mock data directly
-    const token = typeof window !== "undefined" ? localStorage.getItem("token") : null;
-    if (token && token.startsWith("mock-token-")) {
-      setTeachers(mockTeachers);
-      setLoading(false);
-      return;
-    }
-    
-    try {
-      const response = await api.get("/users?role=teacher");
-      // Handle response - could be array or object with data property
-      const teachersList = Array.isArray(response) ? response : response?.data || [];
-      // Map to include teacher-specific data
-      const teachersWithData = teachersList.map((user) => ({
-        ...user,
-        employeeId: user.teacher?.employeeId || user.employeeId,
-        department: user.teacher?.department || user.department,
-        designation: user.teacher?.designation || user.designation,
-      }));
-      // Use mock data if no real data available
-      setTeachers(teachersWithData.length > 0 ? teachersWithData : mockTeachers);
-    } catch (err) {
-      console.error("Error fetching teachers:", err);
-      // Use mock data on error
-      setTeachers(mockTeachers);
-    } finally {
-      setLoading(false);
-    }
-  };
+  const createTeacher = useMutation(
+    (data) => api.post("/auth/create-teacher", data),
+    { invalidates: [queryKeys.users()] }
+  );
 
   const handleCreateTeacher = async (data) => {
-    setSubmitting(true);
     try {
-      await api.post("/auth/create-teacher", data);
+      await createTeacher.mutateAsync(data);
       success("Teacher created successfully!");
       setIsCreateModalOpen(false);
-      fetchTeachers(); // Refresh list
     } catch (err) {
       showError(err.message || "Failed to create teacher");
-    } finally {
-      setSubmitting(false);
     }
   };
 
@@ -96,7 +63,7 @@ export default function AdminTeachersPage() {
     );
   });
 
-  if (!isAdmin) {
+  if (!canManage) {
     return (
       <div className="p-6">
         <Card>
@@ -148,6 +115,21 @@ export default function AdminTeachersPage() {
             <p className="text-gray-600 mt-3">Loading teachers...</p>
           </div>
         </Card>
+      ) : loadError && teachers.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load teachers</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
       ) : filteredTeachers.length === 0 ? (
         <Card>
           <div className="text-center py-8">
@@ -212,7 +194,7 @@ export default function AdminTeachersPage() {
           <CreateTeacherForm
             onSubmit={handleCreateTeacher}
             onCancel={() => setIsCreateModalOpen(false)}
-            loading={submitting}
+            loading={createTeacher.isPending}
           />
         </Modal>
       )}
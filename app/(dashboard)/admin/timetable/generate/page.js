@@ -0,0 +1,304 @@
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Alert from "@/components/common/alert";
+import Loading from "@/components/common/loading";
+import TimetablePreview from "@/components/admin/timetable-preview";
+import { ArrowLeft, Check, RefreshCw, Wand2 } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/contexts/toast-context";
+import { useTimetableSolver } from "@/hooks/use-timetable-solver";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import {
+  queryKeys,
+  fetchCourses,
+  fetchRooms,
+  fetchTeacherAvailability,
+  fetchTimetable,
+} from "@/lib/query/queries";
+import { DEFAULT_SOLVER_OPTIONS } from "@/lib/academics/timetable-solver";
+
+/**
+ * Timetable Generator Page
+ *
+ * Allows admin to:
+ * - Generate a clash-free weekly timetable for a semester from its courses'
+ *   credit hours, teachers and sections, the rooms' capacities and types
+ *   and the teachers' availability, with a limit on back-to-back hours
+ * - Preview the result, lock the entries to keep and re-solve the rest
+ * - Apply it, replacing the semester's timetable
+ *
+ * Solving runs in a web worker (hooks/use-timetable-solver.js).
+ */
+
+export default function GenerateTimetablePage() {
+  const router = useRouter();
+  const { can } = useAuth();
+  const canManage = can("timetable:manage");
+  const { success, error: showError } = useToast();
+  const solver = useTimetableSolver();
+  const [semester, setSemester] = useState("Fall 2024");
+  const [maxConsecutiveHours, setMaxConsecutiveHours] = useState(
+    DEFAULT_SOLVER_OPTIONS.maxConsecutiveHours
+  );
+  const [lockedKeys, setLockedKeys] = useState(() => new Set());
+  const [seed, setSeed] = useState(0);
+
+  const coursesQuery = useQuery(
+    queryKeys.courses(semester),
+    () => fetchCourses(semester),
+    { enabled: canManage }
+  );
+  const roomsQuery = useQuery(queryKeys.rooms(), fetchRooms, {
+    enabled: canManage,
+  });
+  const availabilityQuery = useQuery(
+    queryKeys.teacherAvailability(),
+    fetchTeacherAvailability,
+    { enabled: canManage }
+  );
+  const { data: current = [] } = useQuery(
+    queryKeys.timetable(semester),
+    () => fetchTimetable(semester),
+    { enabled: canManage }
+  );
+  const inputs = [coursesQuery, roomsQuery, availabilityQuery];
+  const loadingInputs = inputs.some((query) => query.isLoading);
+  const inputError = inputs.find((query) => query.error)?.error;
+
+  const applyTimetable = useMutation(
+    (entries) => api.put("/timetable", { semester, entries }),
+    { invalidates: [queryKeys.timetable()] }
+  );
+
+  const result = solver.result;
+  const solving = solver.status === "solving";
+
+  const handleSemesterChange = (value) => {
+    setSemester(value);
+    setLockedKeys(new Set());
+    solver.reset();
+  };
+
+  const handleSolve = async () => {
+    const nextSeed = seed + 1;
+    setSeed(nextSeed);
+    const locked = (result?.entries || []).filter((entry) =>
+      lockedKeys.has(entry.sessionKey)
+    );
+    try {
+      const solved = await solver.solve({
+        semester,
+        courses: coursesQuery.data || [],
+        rooms: roomsQuery.data || [],
+        availability: availabilityQuery.data || [],
+        locked,
+        options: { maxConsecutiveHours: Number(maxConsecutiveHours) },
+        seed: nextSeed,
+      });
+      if (solved.complete) {
+        success(`Generated ${solved.entries.length} classes without clashes`);
+      }
+    } catch (err) {
+      if (!err.canceled) {
+        showError(err.message || "Failed to generate timetable");
+      }
+    }
+  };
+
+  const toggleLock = (entry) =>
+    setLockedKeys((prev) => {
+      const next = new Set(prev);
+      if (next.has(entry.sessionKey)) next.delete(entry.sessionKey);
+      else next.add(entry.sessionKey);
+      return next;
+    });
+
+  const handleApply = async () => {
+    try {
+      await applyTimetable.mutateAsync(result.entries);
+      success(`${semester} timetable replaced`);
+      router.push("/admin/timetable");
+    } catch (err) {
+      showError(err.message || "Failed to apply timetable");
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Admin only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            Generate Timetable
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">
+            Build a clash-free week from courses, rooms and teacher
+            availability
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={() => router.push("/admin/timetable")}
+          startIcon={<ArrowLeft className="w-4 h-4" />}
+        >
+          Back to Timetable
+        </Button>
+      </div>
+
+      {/* Solver settings */}
+      <Card>
+        <div className="flex flex-col sm:flex-row sm:items-end gap-3 sm:gap-4">
+          <div>
+            <label className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">
+              Semester
+            </label>
+            <select
+              value={semester}
+              onChange={(e) => handleSemesterChange(e.target.value)}
+              disabled={solving}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-gray-900 focus:outline-none text-sm sm:text-base"
+            >
+              <option value="Fall 2024">Fall 2024</option>
+              <option value="Spring 2025">Spring 2025</option>
+              <option value="Summer 2025">Summer 2025</option>
+            </select>
+          </div>
+          <div className="sm:w-56">
+            <Input
+              label="Max consecutive hours"
+              type="number"
+              name="maxConsecutiveHours"
+              value={maxConsecutiveHours}
+              onChange={(e) => setMaxConsecutiveHours(e.target.value)}
+              min={1}
+              max={8}
+            />
+          </div>
+          <div className="flex gap-2 sm:ml-auto">
+            {solving ? (
+              <Button variant="outline" onClick={solver.cancel}>
+                Stop
+              </Button>
+            ) : (
+              <Button
+                onClick={handleSolve}
+                disabled={
+                  loadingInputs ||
+                  Boolean(inputError) ||
+                  !(Number(maxConsecutiveHours) >= 1)
+                }
+                startIcon={
+                  result ? (
+                    <RefreshCw className="w-4 h-4" />
+                  ) : (
+                    <Wand2 className="w-4 h-4" />
+                  )
+                }
+              >
+                {result ? "Re-solve" : "Generate"}
+              </Button>
+            )}
+          </div>
+        </div>
+        {inputError && (
+          <p className="text-sm text-red-600 mt-3">
+            Failed to load courses, rooms or availability: {inputError.message}
+          </p>
+        )}
+        {result && (
+          <p className="text-xs text-gray-500 mt-3">
+            Lock the classes you want to keep; re-solving moves only the
+            others.
+          </p>
+        )}
+      </Card>
+
+      {solving && (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Solving timetable...</p>
+          </div>
+        </Card>
+      )}
+
+      {!solving && !result && (
+        <Card>
+          <div className="text-center py-8">
+            <Wand2 className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No timetable generated yet</p>
+            <p className="text-sm text-gray-500 mt-1">
+              {(coursesQuery.data || []).length} courses in {semester}. The
+              current timetable is left alone until you apply a result.
+            </p>
+          </div>
+        </Card>
+      )}
+
+      {!solving && result && (
+        <>
+          {result.unplaced.length > 0 && (
+            <Alert
+              type="warning"
+              title={`${result.unplaced.length} class${
+                result.unplaced.length === 1 ? "" : "es"
+              } could not be placed`}
+              message="Unlock some classes or relax the limits and re-solve, or schedule these by hand after applying."
+            >
+              <ul className="mt-2 space-y-1">
+                {result.unplaced.map((meeting) => (
+                  <li key={meeting.key}>
+                    <span className="font-medium">
+                      {meeting.course.code} section {meeting.section}
+                    </span>{" "}
+                    ({meeting.duration} min): {meeting.reason}
+                  </li>
+                ))}
+              </ul>
+            </Alert>
+          )}
+
+          <TimetablePreview
+            entries={result.entries}
+            lockedKeys={lockedKeys}
+            onToggleLock={toggleLock}
+          />
+
+          <Card>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <p className="text-sm text-gray-600">
+                Applying replaces the {current.length} existing{" "}
+                {current.length === 1 ? "entry" : "entries"} for {semester}{" "}
+                with these {result.entries.length}.
+              </p>
+              <Button
+                variant="success"
+                onClick={handleApply}
+                disabled={applyTimetable.isPending}
+                startIcon={<Check className="w-4 h-4" />}
+              >
+                Apply Timetable
+              </Button>
+            </div>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
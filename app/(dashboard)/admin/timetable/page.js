@@ -1,82 +1,82 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState } from "react";
+import { useRouter } from "next/navigation";
 import Card from "@/components/common/card";
 import Button from "@/components/common/button";
-import { Calendar, Plus } from "lucide-react";
+import { Calendar, Pencil, Plus, Wand2 } from "lucide-react";
 import Modal from "@/components/common/modal";
 import { useAuth } from "@/contexts/auth-context";
 import { api } from "@/lib/utils/api";
+import { useQuery, useMutation, invalidateQueries } from "@/lib/query";
+import { queryKeys, fetchTimetable } from "@/lib/query/queries";
 import { useToast } from "@/contexts/toast-context";
 import CreateTimetableForm from "@/components/admin/create-timetable-form";
 import Loading from "@/components/common/loading";
-import { mockTimetable } from "@/lib/mock-data/admin-mock-data";
+import { DAYS_OF_WEEK } from "@/lib/academics/timetable";
 
 /**
  * Admin Timetable Management Page
  *
  * Allows admin to:
  * - View all timetable entries
- * - Create new timetable entries
+ * - Create new timetable entries and edit existing ones
+ * - See room, instructor and section clashes, with free slots to move a
+ *   clashing entry to, before saving
+ * - Generate a whole semester's timetable automatically (./generate)
  * - Manage class schedules
  */
 
 export default function AdminTimetablePage() {
-  const { isAdmin } = useAuth();
+  const router = useRouter();
+  const { can } = useAuth();
+  const canManage = can("timetable:manage");
   const { success, error: showError } = useToast();
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
-  const [timetable, setTimetable] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [submitting, setSubmitting] = useState(false);
+  const [editingEntry, setEditingEntry] = useState(null);
   const [selectedSemester, setSelectedSemester] = useState("Fall 2024");
 
-  // Fetch timetable
-  useEffect(() => {
-    if (isAdmin && selectedSemester) {
-      fetchTimetable();
-    }
-  }, [isAdmin, selectedSemester]);
-
-  const fetchTimetable = async () => {
-    setLoading(true);
-    
-    // Check if using mock token - use mock data directly
-    const token = typeof window !== "undefined" ? localStorage.getItem("token") : null;
-    if (token && token.startsWith("mock-token-")) {
-      const filteredMock = mockTimetable.filter((entry) => entry.semester === selectedSemester);
-      setTimetable(filteredMock);
-      setLoading(false);
-      return;
-    }
-    
-    try {
-      const response = await api.get(`/timetable?semester=${selectedSemester}`);
-      const timetableList = Array.isArray(response) ? response : response?.data || [];
-      // Filter mock data by semester or use real data
-      const filteredMock = mockTimetable.filter((entry) => entry.semester === selectedSemester);
-      // Use mock data if no real data available
-      setTimetable(timetableList.length > 0 ? timetableList : filteredMock);
-    } catch (err) {
-      console.error("Error fetching timetable:", err);
-      // Use mock data on error, filtered by selected semester
-      const filteredMock = mockTimetable.filter((entry) => entry.semester === selectedSemester);
-      setTimetable(filteredMock);
-    } finally {
-      setLoading(false);
-    }
+  const {
+    data: timetable = [],
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(
+    queryKeys.timetable(selectedSemester),
+    () => fetchTimetable(selectedSemester),
+    { enabled: canManage }
+  );
+
+  const createEntry = useMutation((data) => api.post("/timetable", data), {
+    invalidates: [queryKeys.timetable()],
+  });
+
+  const updateEntry = useMutation(
+    ({ id, ...data }) => api.put(`/timetable/${id}`, data),
+    { invalidates: [queryKeys.timetable()] }
+  );
+
+  const closeModal = () => {
+    setIsCreateModalOpen(false);
+    setEditingEntry(null);
   };
 
-  const handleCreateTimetable = async (data) => {
-    setSubmitting(true);
+  const handleSaveTimetable = async (data) => {
     try {
-      await api.post("/timetable", data);
-      success("Timetable entry created successfully!");
-      setIsCreateModalOpen(false);
-      fetchTimetable(); // Refresh list
+      if (editingEntry) {
+        await updateEntry.mutateAsync({ id: editingEntry.id, ...data });
+        success("Timetable entry updated successfully!");
+      } else {
+        await createEntry.mutateAsync(data);
+        success("Timetable entry created successfully!");
+      }
+      closeModal();
+      return true;
     } catch (err) {
-      showError(err.message || "Failed to create timetable entry");
-    } finally {
-      setSubmitting(false);
+      // Someone else booked the slot: refresh so the form reports the clash
+      if (err.data?.clashes) invalidateQueries(queryKeys.timetable());
+      showError(err.message || "Failed to save timetable entry");
+      return false;
     }
   };
 
@@ -89,17 +89,7 @@ export default function AdminTimetablePage() {
     return acc;
   }, {});
 
-  const daysOfWeek = [
-    "Monday",
-    "Tuesday",
-    "Wednesday",
-    "Thursday",
-    "Friday",
-    "Saturday",
-    "Sunday",
-  ];
-
-  if (!isAdmin) {
+  if (!canManage) {
     return (
       <div className="p-6">
         <Card>
@@ -121,12 +111,21 @@ export default function AdminTimetablePage() {
             Manage class schedules and timings
           </p>
         </div>
-        <Button
-          onClick={() => setIsCreateModalOpen(true)}
-          startIcon={<Plus className="w-4 h-4" />}
-        >
-          Create Entry
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            onClick={() => router.push("/admin/timetable/generate")}
+            startIcon={<Wand2 className="w-4 h-4" />}
+          >
+            Generate
+          </Button>
+          <Button
+            onClick={() => setIsCreateModalOpen(true)}
+            startIcon={<Plus className="w-4 h-4" />}
+          >
+            Create Entry
+          </Button>
+        </div>
       </div>
 
       {/* Semester Filter */}
@@ -155,6 +154,21 @@ export default function AdminTimetablePage() {
             <p className="text-gray-600 mt-3">Loading timetable...</p>
           </div>
         </Card>
+      ) : loadError && timetable.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load timetable</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
       ) : timetable.length === 0 ? (
         <Card>
           <div className="text-center py-8">
@@ -167,7 +181,7 @@ export default function AdminTimetablePage() {
         </Card>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-          {daysOfWeek.map((day) => {
+          {DAYS_OF_WEEK.map((day) => {
             const dayEntries = groupedTimetable[day] || [];
 
             return (
@@ -182,12 +196,15 @@ export default function AdminTimetablePage() {
                     {dayEntries
                       .sort((a, b) => a.startTime.localeCompare(b.startTime))
                       .map((entry) => (
-                        <div
+                        <button
                           key={entry.id}
-                          className="p-2 bg-gray-50 rounded-md border border-gray-200"
+                          type="button"
+                          onClick={() => setEditingEntry(entry)}
+                          className="group w-full text-left p-2 bg-gray-50 rounded-md border border-gray-200 hover:border-indigo-300 transition-colors"
                         >
-                          <p className="text-xs sm:text-sm font-medium text-gray-900">
+                          <p className="flex items-start justify-between gap-2 text-xs sm:text-sm font-medium text-gray-900">
                             {entry.course?.name || entry.course?.code || "Course"}
+                            <Pencil className="w-3.5 h-3.5 text-gray-400 group-hover:text-indigo-600 flex-shrink-0 mt-0.5" />
                           </p>
                           <p className="text-xs text-gray-600">
                             {entry.startTime} - {entry.endTime}
@@ -196,9 +213,10 @@ export default function AdminTimetablePage() {
                           {entry.course?.code && (
                             <p className="text-xs text-gray-500 mt-0.5">
                               {entry.course.code}
+                              {entry.section && ` · Section ${entry.section}`}
                             </p>
                           )}
-                        </div>
+                        </button>
                       ))}
                   </div>
                 )}
@@ -208,18 +226,22 @@ export default function AdminTimetablePage() {
         </div>
       )}
 
-      {/* Create Timetable Entry Modal */}
-      {isCreateModalOpen && (
+      {/* Create / Edit Timetable Entry Modal */}
+      {(isCreateModalOpen || editingEntry) && (
         <Modal
-          isOpen={isCreateModalOpen}
-          onClose={() => setIsCreateModalOpen(false)}
-          title="Create Timetable Entry"
+          isOpen
+          onClose={closeModal}
+          title={
+            editingEntry ? "Edit Timetable Entry" : "Create Timetable Entry"
+          }
           size="md"
         >
           <CreateTimetableForm
-            onSubmit={handleCreateTimetable}
-            onCancel={() => setIsCreateModalOpen(false)}
-            loading={submitting}
+            key={editingEntry?.id || "new"}
+            entry={editingEntry}
+            onSubmit={handleSaveTimetable}
+            onCancel={closeModal}
+            loading={createEntry.isPending || updateEntry.isPending}
           />
         </Modal>
       )}
@@ -0,0 +1,288 @@
+"use client";
+
+import { use, useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Loading from "@/components/common/loading";
+import { useAuth } from "@/contexts/auth-context";
+import { useQuery } from "@/lib/query";
+import {
+  queryKeys,
+  fetchTranscripts,
+  fetchTranscriptVerification,
+} from "@/lib/query/queries";
+import {
+  DOCUMENT_TYPE_LABELS,
+  normalizeVerificationCode,
+} from "@/lib/academics/transcripts";
+import { formatDate } from "@/lib/utils";
+import {
+  AlertTriangle,
+  CheckCircle,
+  Search,
+  ShieldCheck,
+  XCircle,
+} from "lucide-react";
+
+function formatGpa(value) {
+  return value === null || value === undefined ? "-" : value.toFixed(2);
+}
+
+function Detail({ label, value }) {
+  return (
+    <div>
+      <p className="text-xs text-gray-500">{label}</p>
+      <p className="text-sm font-medium text-gray-900">{value ?? "-"}</p>
+    </div>
+  );
+}
+
+/**
+ * Admin Document Verification Page
+ *
+ * Allows the registrar (admin) to:
+ * - Look up the verification code printed on a transcript or DMC and see
+ *   what the genuine document says
+ * - See whether the student's grades changed after the document was issued
+ * - Browse every issued document
+ *
+ * The "Verify at" link printed on documents opens this page with ?code=
+ * filled in.
+ */
+
+export default function AdminTranscriptsPage({ searchParams }) {
+  const { can } = useAuth();
+  const canVerify = can("transcripts:verify");
+  // Prefilled from the link printed on the document
+  const { code: linkedCode } = use(searchParams);
+  const [codeInput, setCodeInput] = useState(linkedCode || "");
+  const [code, setCode] = useState(() =>
+    linkedCode ? normalizeVerificationCode(linkedCode) : ""
+  );
+
+  const {
+    data: verification,
+    error: verifyError,
+    isFetching: verifying,
+  } = useQuery(
+    queryKeys.transcriptVerification(code),
+    () => fetchTranscriptVerification(code),
+    { enabled: canVerify && Boolean(code), retry: 0 }
+  );
+
+  const {
+    data: documents = [],
+    error: listError,
+    isLoading: listLoading,
+  } = useQuery(queryKeys.transcripts(), fetchTranscripts, {
+    enabled: canVerify,
+  });
+
+  const handleVerify = (e) => {
+    e.preventDefault();
+    setCode(normalizeVerificationCode(codeInput));
+  };
+
+  const verifyDocument = (docCode) => {
+    setCodeInput(docCode);
+    setCode(docCode);
+  };
+
+  if (!canVerify) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Admin only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  const found = verification && verification.code === code;
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+          Verify Documents
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-1">
+          Check that a transcript or DMC was issued by the university
+        </p>
+      </div>
+
+      {/* Lookup */}
+      <Card>
+        <form
+          onSubmit={handleVerify}
+          className="flex flex-col sm:flex-row sm:items-end gap-3"
+        >
+          <Input
+            label="Verification Code"
+            name="code"
+            value={codeInput}
+            onChange={(e) => setCodeInput(e.target.value)}
+            placeholder="MCP-XXXX-XXXX-XXXX"
+          />
+          <Button
+            type="submit"
+            disabled={!codeInput.trim() || verifying}
+            startIcon={<Search className="w-4 h-4" />}
+          >
+            Verify
+          </Button>
+        </form>
+
+        {code && verifying && !found && (
+          <div className="text-center py-6">
+            <Loading size="md" />
+          </div>
+        )}
+
+        {code && !verifying && verifyError && !found && (
+          <div className="flex items-start gap-3 mt-4 p-4 rounded-lg bg-red-50">
+            <XCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+            <div>
+              <p className="font-medium text-red-800">Not verified</p>
+              <p className="text-sm text-red-700">{verifyError.message}</p>
+            </div>
+          </div>
+        )}
+
+        {found && (
+          <div className="mt-4 space-y-3">
+            <div className="flex items-start gap-3 p-4 rounded-lg bg-green-50">
+              <CheckCircle className="w-5 h-5 text-green-600 flex-shrink-0" />
+              <div>
+                <p className="font-medium text-green-800">
+                  Genuine {DOCUMENT_TYPE_LABELS[verification.type]}
+                </p>
+                <p className="text-sm text-green-700">
+                  Code {verification.code}, issued{" "}
+                  {formatDate(verification.issuedAt)}
+                </p>
+              </div>
+            </div>
+            {!verification.matchesCurrentRecord && (
+              <div className="flex items-start gap-3 p-4 rounded-lg bg-orange-50">
+                <AlertTriangle className="w-5 h-5 text-orange-600 flex-shrink-0" />
+                <p className="text-sm text-orange-800">
+                  The student&apos;s grades have changed since this document
+                  was issued. Compare the paper copy with the values below,
+                  which are what was printed.
+                </p>
+              </div>
+            )}
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 p-4 rounded-lg border border-gray-200">
+              <Detail label="Student" value={verification.student.fullName} />
+              <Detail
+                label="Roll Number"
+                value={verification.student.rollNumber}
+              />
+              <Detail label="Program" value={verification.student.program} />
+              <Detail label="Semester" value={verification.semesterName} />
+              {verification.snapshot.gpa !== null && (
+                <Detail
+                  label="Semester GPA"
+                  value={formatGpa(verification.snapshot.gpa)}
+                />
+              )}
+              <Detail
+                label="CGPA"
+                value={formatGpa(verification.snapshot.cgpa)}
+              />
+              <Detail
+                label="Credit Hours Earned"
+                value={verification.snapshot.creditsEarned}
+              />
+              <Detail
+                label="Courses Listed"
+                value={verification.snapshot.courseCount}
+              />
+              <Detail
+                label="Record Fingerprint"
+                value={verification.snapshot.fingerprint}
+              />
+            </div>
+          </div>
+        )}
+      </Card>
+
+      {/* Issued Documents */}
+      <Card title="Issued Documents">
+        {listLoading ? (
+          <div className="text-center py-6">
+            <Loading size="md" />
+          </div>
+        ) : listError && documents.length === 0 ? (
+          <p className="text-sm text-gray-600 py-4 text-center">
+            Failed to load issued documents: {listError.message}
+          </p>
+        ) : documents.length === 0 ? (
+          <div className="text-center py-8">
+            <ShieldCheck className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No documents issued yet</p>
+            <p className="text-sm text-gray-500 mt-1">
+              Students download transcripts and DMCs from their results page
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Code
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Document
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Student
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Issued
+                  </th>
+                  <th className="py-3 px-4" />
+                </tr>
+              </thead>
+              <tbody>
+                {documents.map((doc) => (
+                  <tr key={doc.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 text-sm font-mono text-gray-900">
+                      {doc.code}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {DOCUMENT_TYPE_LABELS[doc.type]}
+                      {doc.semesterName && ` (${doc.semesterName})`}
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {doc.student.fullName}
+                      <span className="block text-xs text-gray-400">
+                        {doc.student.rollNumber}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {formatDate(doc.issuedAt)}
+                    </td>
+                    <td className="py-3 px-4 text-right">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => verifyDocument(doc.code)}
+                      >
+                        Verify
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+"use client";
+
+import { use } from "react";
+import { useRouter } from "next/navigation";
+import Card from "@/components/common/card";
+import CheckIn from "@/components/attendance/check-in";
+
+export default function CheckInPage({ searchParams }) {
+  const router = useRouter();
+  // Set when the student scans the QR code with their phone's camera app
+  const { code } = use(searchParams);
+
+  return (
+    <div className="max-w-md mx-auto space-y-5 sm:space-y-6">
+      <div>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+          Check In
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-1">
+          Scan the QR code on the screen to mark yourself present
+        </p>
+      </div>
+      <Card>
+        <CheckIn
+          initialCode={code || null}
+          onDone={() => router.push("/attendance")}
+        />
+      </Card>
+    </div>
+  );
+}
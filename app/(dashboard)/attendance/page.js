@@ -0,0 +1,5 @@
+import AttendanceView from "@/components/attendance/attendance-view";
+
+export default function AttendancePage() {
+  return <AttendanceView />;
+}
@@ -0,0 +1,5 @@
+import DegreeAuditView from "@/components/degree-audit/degree-audit-view";
+
+export default function DegreeAuditPage() {
+  return <DegreeAuditView />;
+}
@@ -12,13 +12,13 @@ import { useToast } from "@/contexts/toast-context";
 import { useAuth } from "@/contexts/auth-context";
 
 export default function FeedbackPage() {
-  const { isTeacher } = useAuth();
+  const { can } = useAuth();
   const [isNewFeedbackModalOpen, setIsNewFeedbackModalOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const { success, error } = useToast();
 
-  // Show teacher view if user is a teacher
-  if (isTeacher) {
+  // Show received feedback to anyone who is rated by students
+  if (can("feedback:view-received")) {
     return <TeacherFeedbackView />;
   }
 
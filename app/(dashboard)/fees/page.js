@@ -1,8 +1,10 @@
 "use client";
 
+import { use } from "react";
 import FeesView from "@/components/fees/fees-view";
 
-export default function FeesPage() {
-  return <FeesView />;
+export default function FeesPage({ searchParams }) {
+  // Set when the payment gateway sends the student back after checkout
+  const { payment } = use(searchParams);
+  return <FeesView returnedPaymentId={payment || null} />;
 }
-
@@ -1,10 +1,36 @@
 "use client";
 
+import { useEffect } from "react";
+import { usePathname, useRouter } from "next/navigation";
 import Sidebar from "@/components/dashboard/sidebar";
 import Header from "@/components/dashboard/header";
+import PageLoader from "@/components/common/page-loader";
+import Forbidden from "@/components/common/forbidden";
 import { ToastProvider } from "@/contexts/toast-context";
+import { useAuth } from "@/contexts/auth-context";
+import {
+  canAccessRoute,
+  getAllowedRoles,
+  rememberReturnUrl,
+} from "@/lib/auth/route-access";
 
 export default function DashboardLayout({ children }) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const { user, sessionUser, loading } = useAuth();
+
+  // Send signed-out users to login, remembering where they were headed
+  useEffect(() => {
+    if (!loading && !user) {
+      rememberReturnUrl(pathname + window.location.search);
+      router.replace("/login");
+    }
+  }, [loading, user, pathname, router]);
+
+  if (loading || !user) {
+    return <PageLoader />;
+  }
+
   return (
     <ToastProvider>
       <div className="flex">
@@ -12,7 +38,11 @@ export default function DashboardLayout({ children }) {
         <div className="flex-1 lg:ml-64 w-full">
           <Header />
           <main className="pt-20 sm:pt-16 lg:pt-20 px-3 sm:px-4 md:px-6 py-4 sm:py-6 bg-gray-50 min-h-screen">
-            {children}
+            {canAccessRoute(pathname, sessionUser) ? (
+              children
+            ) : (
+              <Forbidden allowedRoles={getAllowedRoles(pathname)} />
+            )}
           </main>
         </div>
       </div>
@@ -0,0 +1,376 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Modal from "@/components/common/modal";
+import Loading from "@/components/common/loading";
+import BookForm from "@/components/library/book-form";
+import { BookOpen, Plus, Search } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchLibraryBooks } from "@/lib/query/queries";
+import {
+  COPY_CONDITIONS,
+  COPY_STATUS,
+  COPY_STATUS_LABELS,
+} from "@/lib/library/catalogue";
+import { formatDate } from "@/lib/utils";
+
+// Copies feed readers' searches, reservations and the circulation desk
+const LIBRARY_KEYS = [["library"]];
+
+const CONDITION_LABELS = {
+  [COPY_CONDITIONS.GOOD]: "Good",
+  [COPY_CONDITIONS.DAMAGED]: "Damaged",
+  [COPY_CONDITIONS.LOST]: "Lost",
+};
+
+const STATUS_COLORS = {
+  [COPY_STATUS.AVAILABLE]: "bg-green-100 text-green-800",
+  [COPY_STATUS.ON_LOAN]: "bg-yellow-100 text-yellow-800",
+  [COPY_STATUS.ON_HOLD_SHELF]: "bg-blue-100 text-blue-800",
+  [COPY_STATUS.WITHDRAWN]: "bg-gray-100 text-gray-600",
+};
+
+/**
+ * Library Catalogue Management Page
+ *
+ * Allows librarians to:
+ * - Search the catalogue and see every copy with its accession number,
+ *   status and condition
+ * - Add titles with their first copies, and add copies to a title (new
+ *   copies go to readers waiting for it first)
+ * - Mark copies lost or damaged, which withdraws them from circulation,
+ *   and restore them once found or repaired
+ */
+
+export default function LibraryCataloguePage() {
+  const { can } = useAuth();
+  const canManage = can("library:manage");
+  const { success, error: showError } = useToast();
+  const [text, setText] = useState("");
+  const [search, setSearch] = useState({ q: "" });
+  const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
+  const [addingCopiesTo, setAddingCopiesTo] = useState(null);
+  const [copyCount, setCopyCount] = useState(1);
+
+  const {
+    data: books = [],
+    error: loadError,
+    isLoading,
+    refetch,
+  } = useQuery(queryKeys.libraryBooks(search), () => fetchLibraryBooks(search), {
+    enabled: canManage,
+  });
+
+  const addBook = useMutation((data) => api.post("/library/books", data), {
+    invalidates: LIBRARY_KEYS,
+  });
+  const addCopies = useMutation(
+    ({ bookId, count }) =>
+      api.post(`/library/books/${bookId}/copies`, { count }),
+    { invalidates: LIBRARY_KEYS }
+  );
+  const updateCopy = useMutation(
+    ({ id, condition }) => api.put(`/library/copies/${id}`, { condition }),
+    { invalidates: LIBRARY_KEYS }
+  );
+
+  const handleAddBook = async (data) => {
+    try {
+      const book = await addBook.mutateAsync(data);
+      success(
+        `Added "${book.title}" with ${book.copies.length} cop${
+          book.copies.length === 1 ? "y" : "ies"
+        }`
+      );
+      setIsCreateModalOpen(false);
+    } catch (err) {
+      showError(err.message || "Failed to add book");
+    }
+  };
+
+  const openAddCopies = (book) => {
+    setCopyCount(1);
+    setAddingCopiesTo(book);
+  };
+
+  const handleAddCopies = async (event) => {
+    event.preventDefault();
+    try {
+      await addCopies.mutateAsync({
+        bookId: addingCopiesTo.id,
+        count: Number(copyCount),
+      });
+      success(`Added copies of "${addingCopiesTo.title}"`);
+      setAddingCopiesTo(null);
+    } catch (err) {
+      showError(err.message || "Failed to add copies");
+    }
+  };
+
+  const handleCondition = async (copy, condition) => {
+    try {
+      await updateCopy.mutateAsync({ id: copy.id, condition });
+      success(
+        condition === COPY_CONDITIONS.GOOD
+          ? `${copy.accessionNumber} is back in circulation`
+          : `${copy.accessionNumber} marked ${condition}`
+      );
+    } catch (err) {
+      showError(err.message || "Failed to update copy");
+    }
+  };
+
+  // Copies on loan are checked in at the desk before their condition changes
+  const renderCopyActions = (copy) => {
+    if (copy.status === COPY_STATUS.ON_LOAN) return null;
+    if (copy.condition !== COPY_CONDITIONS.GOOD) {
+      return (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => handleCondition(copy, COPY_CONDITIONS.GOOD)}
+          disabled={updateCopy.isPending}
+        >
+          Restore
+        </Button>
+      );
+    }
+    return [COPY_CONDITIONS.DAMAGED, COPY_CONDITIONS.LOST].map((condition) => (
+      <Button
+        key={condition}
+        variant="outline"
+        size="sm"
+        onClick={() => handleCondition(copy, condition)}
+        disabled={updateCopy.isPending}
+      >
+        {CONDITION_LABELS[condition]}
+      </Button>
+    ));
+  };
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Librarians only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+            Catalogue
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600 mt-1">
+            Add titles and copies, and withdraw lost or damaged copies
+          </p>
+        </div>
+        <Button
+          onClick={() => setIsCreateModalOpen(true)}
+          startIcon={<Plus className="w-4 h-4" />}
+        >
+          Add Book
+        </Button>
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          setSearch({ q: text.trim() });
+        }}
+        className="flex flex-col sm:flex-row sm:items-end gap-3"
+      >
+        <div className="flex-1">
+          <Input
+            name="q"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Search by title, author, ISBN or subject"
+          />
+        </div>
+        <Button
+          type="submit"
+          variant="outline"
+          startIcon={<Search className="w-4 h-4" />}
+        >
+          Search
+        </Button>
+      </form>
+
+      {isLoading ? (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading catalogue...</p>
+          </div>
+        </Card>
+      ) : loadError && books.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load catalogue</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
+      ) : books.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <BookOpen className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No books found</p>
+          </div>
+        </Card>
+      ) : (
+        books.map((book) => (
+          <Card key={book.id}>
+            <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 mb-3">
+              <div className="flex-1 min-w-0">
+                <h3 className="font-semibold text-gray-900 break-words">
+                  {book.title}
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {book.authors.join(", ")}
+                  {book.year && ` · ${book.year}`}
+                </p>
+                <p className="text-xs text-gray-500 break-all">
+                  ISBN {book.isbn}
+                  {book.callNumber && ` · ${book.callNumber}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <span className="text-xs text-gray-500 whitespace-nowrap">
+                  {book.availability.available} of {book.availability.total}{" "}
+                  on shelf
+                  {book.queueLength > 0 && ` · ${book.queueLength} waiting`}
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  startIcon={<Plus className="w-4 h-4" />}
+                  onClick={() => openAddCopies(book)}
+                >
+                  Copies
+                </Button>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-2 px-3 text-sm font-medium text-gray-700">
+                      Accession No.
+                    </th>
+                    <th className="text-left py-2 px-3 text-sm font-medium text-gray-700">
+                      Status
+                    </th>
+                    <th className="text-left py-2 px-3 text-sm font-medium text-gray-700">
+                      Condition
+                    </th>
+                    <th className="py-2 px-3" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {book.copies.map((copy) => (
+                    <tr key={copy.id} className="border-b border-gray-100">
+                      <td className="py-2 px-3 text-sm font-mono text-gray-900">
+                        {copy.accessionNumber}
+                      </td>
+                      <td className="py-2 px-3 text-sm">
+                        <span className={`text-xs px-2 py-0.5 rounded-md ${STATUS_COLORS[copy.status]}`}>
+                          {COPY_STATUS_LABELS[copy.status]}
+                        </span>
+                        {copy.dueDate && (
+                          <span className="ml-2 text-xs text-gray-500">
+                            due {formatDate(copy.dueDate)}
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2 px-3 text-sm text-gray-600">
+                        {CONDITION_LABELS[copy.condition]}
+                      </td>
+                      <td className="py-2 px-3 text-right whitespace-nowrap space-x-2">
+                        {renderCopyActions(copy)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        ))
+      )}
+
+      {/* Add Book Modal */}
+      <Modal
+        isOpen={isCreateModalOpen}
+        onClose={() => setIsCreateModalOpen(false)}
+        title="Add Book"
+        size="lg"
+      >
+        {isCreateModalOpen && (
+          <BookForm
+            onSubmit={handleAddBook}
+            onCancel={() => setIsCreateModalOpen(false)}
+            loading={addBook.isPending}
+          />
+        )}
+      </Modal>
+
+      {/* Add Copies Modal */}
+      <Modal
+        isOpen={Boolean(addingCopiesTo)}
+        onClose={() => setAddingCopiesTo(null)}
+        title="Add Copies"
+      >
+        {addingCopiesTo && (
+          <form onSubmit={handleAddCopies} className="space-y-4">
+            <p className="text-sm text-gray-600">
+              New copies of &quot;{addingCopiesTo.title}&quot; get the next
+              accession numbers and go to readers waiting for it first.
+            </p>
+            <Input
+              label="Number of Copies"
+              type="number"
+              name="count"
+              value={copyCount}
+              onChange={(e) => setCopyCount(e.target.value)}
+              min={1}
+              max={20}
+              required
+            />
+            <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => setAddingCopiesTo(null)}
+              >
+                Cancel
+              </Button>
+              <Button type="submit" disabled={addCopies.isPending}>
+                Add Copies
+              </Button>
+            </div>
+          </form>
+        )}
+      </Modal>
+    </div>
+  );
+}
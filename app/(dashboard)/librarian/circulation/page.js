@@ -0,0 +1,173 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import CirculationForm from "@/components/library/circulation-form";
+import { ArrowDownLeft, ArrowUpRight } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { useMutation } from "@/lib/query";
+import { formatCurrency, formatDate, formatDateTime } from "@/lib/utils";
+
+// Loans change the catalogue, the overdue list and readers' accounts
+const LIBRARY_KEYS = [["library"]];
+
+/**
+ * Circulation Desk Page
+ *
+ * Allows librarians to:
+ * - Issue a book to a student by roll number, scanning the copy's
+ *   accession number (or the ISBN, to take a copy off the shelf or the one
+ *   on the hold shelf for that student)
+ * - Check a book back in, seeing the overdue fine and whether the copy
+ *   goes on the hold shelf for the next reader in the queue
+ * - Review what was issued and returned at this desk since opening it
+ */
+
+export default function CirculationDeskPage() {
+  const { can } = useAuth();
+  const canManage = can("library:manage");
+  const { success, error: showError } = useToast();
+  // Issues and returns made since the page was opened, newest first
+  const [activity, setActivity] = useState([]);
+
+  const issueBook = useMutation((data) => api.post("/library/loans", data), {
+    invalidates: LIBRARY_KEYS,
+  });
+  const returnBook = useMutation(
+    (data) => api.post("/library/returns", data),
+    { invalidates: LIBRARY_KEYS }
+  );
+
+  const record = (type, loan) =>
+    setActivity((prev) => [
+      { type, loan, at: new Date().toISOString() },
+      ...prev,
+    ]);
+
+  const handleIssue = async (data) => {
+    try {
+      const loan = await issueBook.mutateAsync(data);
+      record("issue", loan);
+      success(
+        `Issued "${loan.book?.title}" to ${loan.borrower?.fullName}, ` +
+          `due ${formatDate(loan.dueDate)}`
+      );
+      return true;
+    } catch (err) {
+      showError(err.message || "Failed to issue book");
+      return false;
+    }
+  };
+
+  const handleReturn = async (data) => {
+    try {
+      const loan = await returnBook.mutateAsync(data);
+      record("return", loan);
+      success(
+        loan.heldFor
+          ? `Returned. Put it on the hold shelf for ${loan.heldFor.fullName}`
+          : `Returned "${loan.book?.title}"`
+      );
+      return true;
+    } catch (err) {
+      showError(err.message || "Failed to return book");
+      return false;
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Librarians only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+          Circulation Desk
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-1">
+          Scan a book&apos;s accession number or ISBN to issue or return it
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 sm:gap-6">
+        <Card title="Issue a Book">
+          <CirculationForm
+            mode="issue"
+            onSubmit={handleIssue}
+            loading={issueBook.isPending}
+          />
+        </Card>
+        <Card title="Return a Book">
+          <CirculationForm
+            mode="return"
+            onSubmit={handleReturn}
+            loading={returnBook.isPending}
+          />
+        </Card>
+      </div>
+
+      {/* Desk activity */}
+      <Card title="Desk Activity" subtitle="Issues and returns since you opened this page">
+        {activity.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-6">
+            Nothing issued or returned yet
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {activity.map(({ type, loan, at }) => {
+              const issued = type === "issue";
+              const Icon = issued ? ArrowUpRight : ArrowDownLeft;
+              return (
+                <li key={`${type}-${loan.id}`} className="flex items-start gap-3 py-3">
+                  <Icon
+                    className={`w-5 h-5 mt-0.5 flex-shrink-0 ${
+                      issued ? "text-indigo-600" : "text-green-600"
+                    }`}
+                  />
+                  <div className="flex-1 min-w-0 text-sm">
+                    <p className="font-medium text-gray-900 break-words">
+                      {loan.book?.title}{" "}
+                      <span className="font-mono text-xs text-gray-500">
+                        {loan.accessionNumber}
+                      </span>
+                    </p>
+                    <p className="text-gray-600">
+                      {issued ? "Issued to" : "Returned by"}{" "}
+                      {loan.borrower?.fullName} ({loan.borrower?.rollNumber})
+                      {issued && ` · due ${formatDate(loan.dueDate)}`}
+                    </p>
+                    {!issued && loan.fine > 0 && (
+                      <p className="text-red-600">
+                        {loan.overdueDays} day{loan.overdueDays === 1 ? "" : "s"} late · fine{" "}
+                        {formatCurrency(loan.fine)}
+                      </p>
+                    )}
+                    {!issued && loan.heldFor && (
+                      <p className="text-indigo-600">
+                        Hold shelf: reserved for {loan.heldFor.fullName} (
+                        {loan.heldFor.rollNumber})
+                      </p>
+                    )}
+                  </div>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    {formatDateTime(at)}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </Card>
+    </div>
+  );
+}
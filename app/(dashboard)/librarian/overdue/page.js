@@ -0,0 +1,181 @@
+"use client";
+
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import { AlarmClock, Bell } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchLibraryOverdue } from "@/lib/query/queries";
+import { formatCurrency, formatDate, formatDateTime } from "@/lib/utils";
+
+/**
+ * Overdue Loans Page
+ *
+ * Lists the books readers have kept past their due date, most overdue
+ * first, with the fine accrued so far. Remind sends the reader a
+ * notification; each loan can be reminded once a day.
+ */
+
+export default function OverdueLoansPage() {
+  const { can } = useAuth();
+  const canManage = can("library:manage");
+  const { success, error: showError } = useToast();
+
+  const {
+    data: loans = [],
+    error: loadError,
+    isLoading,
+    refetch,
+  } = useQuery(queryKeys.libraryOverdue(), fetchLibraryOverdue, {
+    enabled: canManage,
+  });
+
+  const sendReminder = useMutation(
+    (loanId) => api.post(`/library/loans/${loanId}/reminders`),
+    { invalidates: [queryKeys.libraryOverdue()] }
+  );
+
+  // Matches the once-a-day limit the reminders are sent under
+  const remindedToday = (loan) =>
+    loan.remindedAt?.slice(0, 10) === new Date().toISOString().slice(0, 10);
+
+  const handleRemind = async (loan) => {
+    try {
+      await sendReminder.mutateAsync(loan.id);
+      success(`Reminder sent to ${loan.borrower?.fullName}`);
+    } catch (err) {
+      showError(err.message || "Failed to send reminder");
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <div className="p-6">
+        <Card>
+          <p className="text-gray-600">Access denied. Librarians only.</p>
+        </Card>
+      </div>
+    );
+  }
+
+  const finesTotal = loans.reduce((sum, loan) => sum + loan.fine, 0);
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
+          Overdue Loans
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-1">
+          {loans.length} overdue book{loans.length === 1 ? "" : "s"} with{" "}
+          {formatCurrency(finesTotal)} in fines so far
+        </p>
+      </div>
+
+      {isLoading ? (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading overdue loans...</p>
+          </div>
+        </Card>
+      ) : loadError && loans.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <p className="text-gray-600">Failed to load overdue loans</p>
+            <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mx-auto mt-3"
+              onClick={() => refetch().catch(() => null)}
+            >
+              Retry
+            </Button>
+          </div>
+        </Card>
+      ) : loans.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <AlarmClock className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">No overdue books</p>
+            <p className="text-sm text-gray-500 mt-1">
+              Every book on loan is within its due date
+            </p>
+          </div>
+        </Card>
+      ) : (
+        <Card>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Reader
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Book
+                  </th>
+                  <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+                    Due
+                  </th>
+                  <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+                    Fine
+                  </th>
+                  <th className="py-3 px-4" />
+                </tr>
+              </thead>
+              <tbody>
+                {loans.map((loan) => (
+                  <tr key={loan.id} className="border-b border-gray-100">
+                    <td className="py-3 px-4 text-sm text-gray-900">
+                      {loan.borrower?.fullName}
+                      <span className="block text-xs text-gray-500">
+                        {loan.borrower?.rollNumber}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600">
+                      {loan.book?.title}
+                      <span className="block text-xs font-mono text-gray-500">
+                        {loan.accessionNumber}
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
+                      {formatDate(loan.dueDate)}
+                      <span className="block text-xs text-red-600">
+                        {loan.overdueDays} day{loan.overdueDays === 1 ? "" : "s"} late
+                      </span>
+                    </td>
+                    <td className="py-3 px-4 text-sm text-right font-medium text-gray-900 whitespace-nowrap">
+                      {formatCurrency(loan.fine)}
+                    </td>
+                    <td className="py-3 px-4 text-right">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        startIcon={<Bell className="w-4 h-4" />}
+                        onClick={() => handleRemind(loan)}
+                        disabled={sendReminder.isPending || remindedToday(loan)}
+                      >
+                        {remindedToday(loan) ? "Reminded" : "Remind"}
+                      </Button>
+                      {loan.remindedAt && (
+                        <span className="block text-xs text-gray-500 mt-1 whitespace-nowrap">
+                          Last: {formatDateTime(loan.remindedAt)}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+}
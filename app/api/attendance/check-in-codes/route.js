@@ -0,0 +1,33 @@
+/**
+ * Attendance check-in codes API
+ *
+ * POST { sessionKey } issues a signed check-in code for a class session,
+ * valid for 30 seconds: { code, issuedAt, expiresAt }.
+ *
+ * Only the backend may call it (lib/auth/service-auth.js), once it has
+ * checked that the user teaches the session and that it is in progress.
+ */
+
+import {
+  CheckInCodeError,
+  issueCheckInCode,
+} from "@/lib/academics/check-in-codes";
+import {
+  authenticateServiceRequest,
+  unauthorizedServiceResponse,
+} from "@/lib/auth/service-auth";
+
+export async function POST(request) {
+  if (!authenticateServiceRequest(request)) {
+    return unauthorizedServiceResponse();
+  }
+  try {
+    const input = await request.json().catch(() => ({}));
+    return Response.json(await issueCheckInCode(input));
+  } catch (err) {
+    if (err instanceof CheckInCodeError) {
+      return Response.json({ message: err.message }, { status: err.status });
+    }
+    throw err;
+  }
+}
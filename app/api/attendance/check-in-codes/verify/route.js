@@ -0,0 +1,32 @@
+/**
+ * Attendance check-in code verification
+ *
+ * POST { code } checks a scanned code's signature and age and returns the
+ * session it was issued for: { sessionKey, issuedAt }. Answers 400 for a
+ * code that is not genuine and 410 for an expired one. Only the backend
+ * may call it.
+ */
+
+import {
+  CheckInCodeError,
+  verifyCheckInCode,
+} from "@/lib/academics/check-in-codes";
+import {
+  authenticateServiceRequest,
+  unauthorizedServiceResponse,
+} from "@/lib/auth/service-auth";
+
+export async function POST(request) {
+  if (!authenticateServiceRequest(request)) {
+    return unauthorizedServiceResponse();
+  }
+  try {
+    const input = await request.json().catch(() => ({}));
+    return Response.json(await verifyCheckInCode(input));
+  } catch (err) {
+    if (err instanceof CheckInCodeError) {
+      return Response.json({ message: err.message }, { status: err.status });
+    }
+    throw err;
+  }
+}
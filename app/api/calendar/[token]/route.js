@@ -0,0 +1,25 @@
+/**
+ * Calendar subscription feed
+ *
+ * GET /api/calendar/<token>.ics serves a user's calendar to Google Calendar,
+ * Outlook and other apps that poll a subscribed URL. The secret token in
+ * the URL is the only credential; an unknown or rotated token is a 404.
+ */
+
+import { getCalendarFeed } from "@/lib/calendar/calendar-feeds";
+
+export async function GET(request, { params }) {
+  const { token } = await params;
+  const feed = getCalendarFeed(token.replace(/\.ics$/, ""));
+  if (!feed) {
+    return new Response("Calendar not found", { status: 404 });
+  }
+  return new Response(feed.calendar, {
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="my-class-portal.ics"',
+      "Cache-Control": "private, no-store",
+      "Last-Modified": new Date(feed.updatedAt).toUTCString(),
+    },
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * Calendar feeds API
+ *
+ * For the user the backend acts for (lib/auth/service-auth.js):
+ * - GET returns their feed token, or 404 before they subscribe
+ * - POST { calendar } issues a new token with their calendar, replacing any
+ *   previous one
+ * - PUT { calendar } replaces the calendar served at their feed
+ */
+
+import {
+  CalendarFeedError,
+  createCalendarFeed,
+  getUserCalendarFeed,
+  updateCalendarFeed,
+} from "@/lib/calendar/calendar-feeds";
+import {
+  authenticateServiceRequest,
+  unauthorizedServiceResponse,
+} from "@/lib/auth/service-auth";
+
+async function handle(request, action) {
+  const caller = authenticateServiceRequest(request);
+  if (!caller) return unauthorizedServiceResponse();
+  try {
+    const { calendar } = await request.json().catch(() => ({}));
+    return Response.json(action(caller.userId, calendar));
+  } catch (err) {
+    if (err instanceof CalendarFeedError) {
+      return Response.json({ message: err.message }, { status: err.status });
+    }
+    throw err;
+  }
+}
+
+export async function GET(request) {
+  const caller = authenticateServiceRequest(request);
+  if (!caller) return unauthorizedServiceResponse();
+  const feed = getUserCalendarFeed(caller.userId);
+  if (!feed) {
+    return Response.json({ message: "Not subscribed" }, { status: 404 });
+  }
+  return Response.json(feed);
+}
+
+export async function POST(request) {
+  return handle(request, createCalendarFeed);
+}
+
+export async function PUT(request) {
+  return handle(request, updateCalendarFeed);
+}
@@ -0,0 +1,37 @@
+/**
+ * FakePay checkout: pay or decline
+ *
+ * Posted by the hosted checkout page. Sends the webhook before answering,
+ * so the portal already knows the outcome when the student returns. Not
+ * found where FakePay is disabled.
+ */
+
+import {
+  FakeGatewayError,
+  completeFakePayment,
+  isFakeGatewayEnabled,
+  toCheckoutView,
+} from "@/lib/payments/fake-gateway";
+
+export async function POST(request, { params }) {
+  if (!isFakeGatewayEnabled()) {
+    return Response.json(
+      { error: { message: "Not found" } },
+      { status: 404 }
+    );
+  }
+  const { id } = await params;
+  try {
+    const input = await request.json().catch(() => ({}));
+    const payment = await completeFakePayment(id, input);
+    return Response.json(toCheckoutView(payment));
+  } catch (err) {
+    if (err instanceof FakeGatewayError) {
+      return Response.json(
+        { error: { message: err.message } },
+        { status: err.status }
+      );
+    }
+    throw err;
+  }
+}
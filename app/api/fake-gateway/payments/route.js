@@ -0,0 +1,46 @@
+/**
+ * FakePay API: create a payment
+ *
+ * Authenticated with the secret key as a bearer token, like a real gateway.
+ * Not found where FakePay is disabled; see lib/payments/fake-gateway.js.
+ */
+
+import {
+  FAKE_GATEWAY_CONFIG,
+  FakeGatewayError,
+  createFakePayment,
+  isFakeGatewayEnabled,
+} from "@/lib/payments/fake-gateway";
+
+export async function POST(request) {
+  if (!isFakeGatewayEnabled()) {
+    return Response.json(
+      { error: { message: "Not found" } },
+      { status: 404 }
+    );
+  }
+  const authorization = request.headers.get("authorization") || "";
+  if (authorization !== `Bearer ${FAKE_GATEWAY_CONFIG.secretKey}`) {
+    return Response.json(
+      { error: { message: "Invalid API key" } },
+      { status: 401 }
+    );
+  }
+
+  try {
+    const input = await request.json().catch(() => ({}));
+    const payment = createFakePayment(input, {
+      idempotencyKey: request.headers.get("idempotency-key"),
+      origin: new URL(request.url).origin,
+    });
+    return Response.json(payment, { status: 201 });
+  } catch (err) {
+    if (err instanceof FakeGatewayError) {
+      return Response.json(
+        { error: { message: err.message } },
+        { status: err.status }
+      );
+    }
+    throw err;
+  }
+}
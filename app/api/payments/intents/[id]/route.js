@@ -0,0 +1,25 @@
+/**
+ * Payment intent status
+ *
+ * Read after the student returns from checkout; the status only changes
+ * when the gateway's webhook arrives. Only the backend may call it, for the
+ * student who owns the intent.
+ */
+
+import { getPaymentIntent } from "@/lib/payments/payment-intents";
+import {
+  authenticateServiceRequest,
+  unauthorizedServiceResponse,
+} from "@/lib/auth/service-auth";
+
+export async function GET(request, { params }) {
+  const caller = authenticateServiceRequest(request);
+  if (!caller) return unauthorizedServiceResponse();
+
+  const { id } = await params;
+  const intent = getPaymentIntent(id);
+  if (!intent || intent.studentId !== caller.userId) {
+    return Response.json({ message: "Payment not found" }, { status: 404 });
+  }
+  return Response.json(intent);
+}
@@ -0,0 +1,50 @@
+/**
+ * Payment intents API
+ *
+ * POST creates an intent for the student the backend acts for
+ * (Idempotency-Key header required) and returns the gateway checkout to
+ * send them to. GET lists that student's intents.
+ *
+ * Only the backend may call it (lib/auth/service-auth.js); it checks the
+ * amount against the fee balance before creating an intent.
+ */
+
+import { getPaymentGateway } from "@/lib/payments/gateways";
+import {
+  PaymentRequestError,
+  createPaymentIntent,
+  listPaymentIntents,
+} from "@/lib/payments/payment-intents";
+import {
+  authenticateServiceRequest,
+  unauthorizedServiceResponse,
+} from "@/lib/auth/service-auth";
+
+export async function POST(request) {
+  const caller = authenticateServiceRequest(request);
+  if (!caller) return unauthorizedServiceResponse();
+
+  const { origin } = new URL(request.url);
+  try {
+    const input = await request.json().catch(() => ({}));
+    const intent = await createPaymentIntent(
+      { ...input, studentId: caller.userId },
+      {
+        idempotencyKey: request.headers.get("idempotency-key"),
+        gateway: getPaymentGateway({ origin }),
+      }
+    );
+    return Response.json(intent, { status: 201 });
+  } catch (err) {
+    if (err instanceof PaymentRequestError) {
+      return Response.json({ message: err.message }, { status: err.status });
+    }
+    throw err;
+  }
+}
+
+export async function GET(request) {
+  const caller = authenticateServiceRequest(request);
+  if (!caller) return unauthorizedServiceResponse();
+  return Response.json(listPaymentIntents(caller.userId));
+}
@@ -0,0 +1,42 @@
+/**
+ * Payment gateway webhook
+ *
+ * The gateway posts here when a payment succeeds or fails. The signature is
+ * checked against the raw body before anything is trusted. Any verified
+ * event is acknowledged with 200, even one that changes nothing (a
+ * duplicate, or an intent that already has an outcome), so the gateway
+ * stops retrying it.
+ */
+
+import { getPaymentGateway } from "@/lib/payments/gateways";
+import { applyPaymentEvent } from "@/lib/payments/payment-intents";
+
+export async function POST(request) {
+  const { origin } = new URL(request.url);
+  const gateway = getPaymentGateway({ origin });
+  const rawBody = await request.text();
+
+  let event;
+  try {
+    event = await gateway.parseWebhook(
+      rawBody,
+      request.headers
+    );
+  } catch {
+    event = null;
+  }
+  if (!event) {
+    return Response.json({ message: "Invalid signature" }, { status: 400 });
+  }
+
+  const { intent, applied, reason } = applyPaymentEvent(event);
+  if (!intent) {
+    return Response.json({ message: "Payment not found" }, { status: 404 });
+  }
+  return Response.json({
+    received: true,
+    applied,
+    status: intent.status,
+    ...(reason && { reason }),
+  });
+}
@@ -0,0 +1,34 @@
+import { notFound } from "next/navigation";
+import FakeCheckoutForm from "@/components/payments/fake-checkout-form";
+import {
+  FAKE_TEST_CARDS,
+  getFakePayment,
+  isFakeGatewayEnabled,
+  toCheckoutView,
+} from "@/lib/payments/fake-gateway";
+
+export const metadata = {
+  title: "FakePay Checkout",
+};
+
+/**
+ * FakePay hosted checkout
+ *
+ * The page a student pays on, served by the local fake gateway (not part of
+ * the portal). Wallet payments arrive here by redirect; card payments load
+ * it inside the portal with ?embedded=1.
+ */
+export default async function FakeCheckoutPage({ params, searchParams }) {
+  const { id } = await params;
+  const { embedded } = await searchParams;
+  const payment = isFakeGatewayEnabled() ? getFakePayment(id) : null;
+  if (!payment) notFound();
+
+  return (
+    <FakeCheckoutForm
+      payment={toCheckoutView(payment)}
+      embedded={embedded === "1"}
+      testCards={FAKE_TEST_CARDS}
+    />
+  );
+}
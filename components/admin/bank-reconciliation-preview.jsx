@@ -0,0 +1,148 @@
+"use client";
+
+import Alert from "@/components/common/alert";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import { formatVoucherNumber } from "@/lib/fees/challan";
+import { formatCurrency, formatDate } from "@/lib/utils";
+
+/**
+ * Bank Reconciliation Preview Component
+ *
+ * Shows the result of matching an uploaded bank file against the issued
+ * challans before anything is saved: rows that could not be matched, and the
+ * challans that will be marked paid. Nothing can be applied while the file
+ * has errors.
+ *
+ * @param {string} fileName - Uploaded file name
+ * @param {object} preview - From previewReconciliation(): { matches, errors, alreadyPaid }
+ * @param {function} onApply - Mark the matched challans paid
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ */
+export default function BankReconciliationPreview({
+  fileName,
+  preview,
+  onApply,
+  onCancel,
+  loading = false,
+}) {
+  const { matches, errors, alreadyPaid } = preview;
+  const total = matches.reduce((sum, match) => sum + match.amount, 0);
+  const afterExpiry = matches.filter((match) => match.afterExpiry).length;
+
+  return (
+    <div className="space-y-4">
+      <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+        <p className="font-medium text-gray-900 break-all">{fileName}</p>
+        <p className="mt-1">
+          {matches.length} to mark paid ({formatCurrency(total)}) ·{" "}
+          {alreadyPaid} already paid ·{" "}
+          <span className={errors.length > 0 ? "text-red-600 font-medium" : ""}>
+            {errors.length} with errors
+          </span>
+        </p>
+      </div>
+
+      {errors.length > 0 && (
+        <Alert
+          type="error"
+          title="These rows could not be matched"
+          message="Nothing is saved while the file has errors. Check them with the bank, correct the file and upload it again."
+        >
+          <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto text-sm text-red-700">
+            {errors.map((rowError) => (
+              <li key={`${rowError.line}-${rowError.message}`}>
+                <span className="font-medium">Line {rowError.line}:</span>{" "}
+                {rowError.message}
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
+      {errors.length === 0 && afterExpiry > 0 && (
+        <Alert
+          type="warning"
+          message={`${afterExpiry} challan${
+            afterExpiry === 1 ? " was" : "s were"
+          } paid after the pay-by date. The payments will still be posted.`}
+        />
+      )}
+
+      {matches.length > 0 ? (
+        <div className="max-h-72 overflow-y-auto border border-gray-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs font-medium text-gray-600 uppercase tracking-wide">
+              <tr>
+                <th className="px-3 py-2">Voucher</th>
+                <th className="px-3 py-2">Student</th>
+                <th className="px-3 py-2">Paid On</th>
+                <th className="px-3 py-2 text-right">Amount</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {matches.map((match) => (
+                <tr key={match.challan.id}>
+                  <td className="px-3 py-1.5 font-mono text-gray-900">
+                    {formatVoucherNumber(match.challan.voucherNumber)}
+                    {match.reference && (
+                      <p className="text-xs font-sans text-gray-500">
+                        Ref: {match.reference}
+                      </p>
+                    )}
+                  </td>
+                  <td className="px-3 py-1.5">
+                    <p className="text-gray-900">
+                      {match.challan.student.fullName}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {match.challan.student.rollNumber} ·{" "}
+                      {match.challan.fee.type}
+                    </p>
+                  </td>
+                  <td className="px-3 py-1.5 text-gray-700">
+                    {formatDate(match.paidOn)}
+                  </td>
+                  <td className="px-3 py-1.5 text-right font-medium text-gray-900">
+                    {formatCurrency(match.amount)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        errors.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-4">
+            Every challan in the file is already marked paid; there is nothing
+            to update.
+          </p>
+        )
+      )}
+
+      <div className="flex flex-col-reverse sm:flex-row items-stretch sm:items-center sm:justify-end gap-2 sm:gap-3 pt-4 border-t border-gray-200">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onCancel}
+          className="w-full sm:w-auto"
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={onApply}
+          disabled={loading || errors.length > 0 || matches.length === 0}
+          className="w-full sm:w-auto"
+        >
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          Mark {matches.length} Paid
+        </Button>
+      </div>
+    </div>
+  );
+}
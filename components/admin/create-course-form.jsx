@@ -1,6 +1,5 @@
 "use client";
 
-import { useState, useEffect } from "react";
 import { useForm } from "react-hook-form";
 import { yupResolver } from "@hookform/resolvers/yup";
 import * as yup from "yup";
@@ -8,7 +7,12 @@ import Button from "@/components/common/button";
 import Input from "@/components/common/input";
 import Select from "@/components/common/select";
 import Loading from "@/components/common/loading";
-import { api } from "@/lib/utils/api";
+import { useQuery } from "@/lib/query";
+import {
+  queryKeys,
+  fetchUsers,
+  fetchGradingSchemes,
+} from "@/lib/query/queries";
 
 /**
  * Create Course Form Component
@@ -19,10 +23,11 @@ import { api } from "@/lib/utils/api";
  * Fields:
  * - Course Code (required)
  * - Course Name (required)
- * - Credit Hours (required, number)
+ * - Credit Hours (required, number; 0 for a non-credit course)
  * - Description (optional)
  * - Department (required)
  * - Teacher (required, select from teachers list)
+ * - Grading Scheme (optional, the default scheme when left blank)
  */
 
 const createCourseSchema = yup.object().shape({
@@ -38,11 +43,12 @@ const createCourseSchema = yup.object().shape({
   creditHours: yup
     .number()
     .required("Credit hours is required")
-    .min(1, "Credit hours must be at least 1")
+    .min(0, "Credit hours cannot be negative")
     .max(6, "Credit hours must be at most 6"),
   description: yup.string().optional(),
   semester: yup.string().required("Semester is required"),
   teacherId: yup.string().required("Teacher is required"),
+  gradingSchemeId: yup.string().optional(),
 });
 
 export default function CreateCourseForm({
@@ -50,8 +56,14 @@ export default function CreateCourseForm({
   onCancel,
   loading = false,
 }) {
-  const [teachers, setTeachers] = useState([]);
-  const [loadingTeachers, setLoadingTeachers] = useState(true);
+  const { data: teachers = [], isLoading: loadingTeachers } = useQuery(
+    queryKeys.users("teacher"),
+    () => fetchUsers("teacher")
+  );
+  const { data: schemes = [] } = useQuery(
+    queryKeys.gradingSchemes(),
+    fetchGradingSchemes
+  );
 
   const {
     register,
@@ -67,37 +79,10 @@ export default function CreateCourseForm({
       description: "",
       semester: "Fall 2024",
       teacherId: "",
+      gradingSchemeId: "",
     },
   });
 
-  // Fetch teachers list
-  useEffect(() => {
-    const fetchTeachers = async () => {
-      try {
-        const response = await api.get("/users?role=teacher");
-        // If response is an array, use it directly; otherwise extract from response
-        const teachersList = Array.isArray(response) ? response : response?.data || [];
-        // Use mock data if no real data
-        if (teachersList.length === 0) {
-          const { mockTeachers } = await import("@/lib/mock-data/admin-mock-data");
-          setTeachers(mockTeachers);
-        } else {
-          setTeachers(teachersList);
-        }
-      } catch (error) {
-        console.error("Error fetching teachers:", error);
-        // Use mock data on error
-        import("@/lib/mock-data/admin-mock-data").then(({ mockTeachers }) => {
-          setTeachers(mockTeachers);
-        });
-      } finally {
-        setLoadingTeachers(false);
-      }
-    };
-
-    fetchTeachers();
-  }, []);
-
   const handleFormSubmit = async (data) => {
     const submitData = {
       ...data,
@@ -149,6 +134,7 @@ export default function CreateCourseForm({
               {hours} Credit Hour{hours > 1 ? "s" : ""}
             </option>
           ))}
+          <option value={0}>Non-credit (not counted in GPA)</option>
         </select>
         {errors.creditHours && (
           <p className="mt-1 text-sm text-red-600">
@@ -218,6 +204,18 @@ export default function CreateCourseForm({
         }
       />
 
+      <Select
+        label="Grading Scheme"
+        name="gradingSchemeId"
+        register={register}
+        placeholder="Default scheme"
+        error={errors.gradingSchemeId?.message}
+        options={schemes.map((scheme) => ({
+          value: scheme.id,
+          label: scheme.isDefault ? `${scheme.name} (default)` : scheme.name,
+        }))}
+      />
+
       <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
         <Button type="button" variant="outline" onClick={handleCancel}>
           Cancel
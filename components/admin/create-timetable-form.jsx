@@ -1,41 +1,70 @@
 "use client";
 
-import { useState, useEffect } from "react";
-import { useForm } from "react-hook-form";
+import { useForm, useWatch } from "react-hook-form";
 import { yupResolver } from "@hookform/resolvers/yup";
 import * as yup from "yup";
 import Button from "@/components/common/button";
 import Select from "@/components/common/select";
 import Input from "@/components/common/input";
 import Loading from "@/components/common/loading";
-import { api } from "@/lib/utils/api";
+import TimetableConflictReport from "@/components/admin/timetable-conflict-report";
+import { useQuery } from "@/lib/query";
+import {
+  queryKeys,
+  fetchCourses,
+  fetchTimetable,
+} from "@/lib/query/queries";
+import {
+  DAYS_OF_WEEK,
+  TIME_PATTERN,
+  checkTimetableEntry,
+  validateTimetableEntry,
+} from "@/lib/academics/timetable";
 
 /**
  * Create Timetable Form Component
  *
- * Form for admin to create timetable entries.
- * Uses React Hook Form and Yup for validation.
+ * Form for admin to create timetable entries, or edit one when `entry` is
+ * given. Uses React Hook Form and Yup for validation.
  *
  * Fields:
  * - Course (required, select from courses)
+ * - Section (optional; an entry without one is for every section)
  * - Day of Week (required)
  * - Start Time (required, HH:MM format)
- * - End Time (required, HH:MM format)
+ * - End Time (required, HH:MM format, after the start time)
  * - Room (required)
  * - Semester (required)
+ *
+ * The entry is checked against the semester's timetable as it is filled
+ * in; room, instructor and section clashes are reported with free slots to
+ * move it to, and it cannot be saved until they are resolved.
+ *
+ * @param {function} onSubmit - (data) => Promise<boolean>, true once saved
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ * @param {object} [entry] - Timetable entry being edited
  */
 
 const createTimetableSchema = yup.object().shape({
   courseId: yup.string().required("Course is required"),
+  section: yup.string(),
   dayOfWeek: yup.string().required("Day of week is required"),
   startTime: yup
     .string()
     .required("Start time is required")
-    .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, "Time must be in HH:MM format"),
+    .matches(TIME_PATTERN, "Time must be in HH:MM format"),
   endTime: yup
     .string()
     .required("End time is required")
-    .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, "Time must be in HH:MM format"),
+    .matches(TIME_PATTERN, "Time must be in HH:MM format")
+    .test(
+      "after-start",
+      "End time must be after start time",
+      (endTime, { parent }) =>
+        !TIME_PATTERN.test(parent.startTime || "") ||
+        endTime > parent.startTime
+    ),
   room: yup
     .string()
     .required("Room is required")
@@ -47,9 +76,12 @@ export default function CreateTimetableForm({
   onSubmit,
   onCancel,
   loading = false,
+  entry = null,
 }) {
-  const [courses, setCourses] = useState([]);
-  const [loadingCourses, setLoadingCourses] = useState(true);
+  const { data: courses = [], isLoading: loadingCourses } = useQuery(
+    queryKeys.courses(),
+    fetchCourses
+  );
 
   const {
     register,
@@ -57,48 +89,48 @@ export default function CreateTimetableForm({
     formState: { errors },
     reset,
     setValue,
+    control,
   } = useForm({
     resolver: yupResolver(createTimetableSchema),
     defaultValues: {
-      courseId: "",
-      dayOfWeek: "",
-      startTime: "",
-      endTime: "",
-      room: "",
-      semester: "Fall 2024",
+      courseId: entry?.courseId || "",
+      section: entry?.section || "",
+      dayOfWeek: entry?.dayOfWeek || "",
+      startTime: entry?.startTime || "",
+      endTime: entry?.endTime || "",
+      room: entry?.room || "",
+      semester: entry?.semester || "Fall 2024",
     },
   });
 
-  // Fetch courses list
-  useEffect(() => {
-    const fetchCourses = async () => {
-      try {
-        const response = await api.get("/courses");
-        const coursesList = Array.isArray(response) ? response : response?.data || [];
-        // Use mock data if no real data
-        if (coursesList.length === 0) {
-          const { mockCourses } = await import("@/lib/mock-data/admin-mock-data");
-          setCourses(mockCourses);
-        } else {
-          setCourses(coursesList);
-        }
-      } catch (error) {
-        console.error("Error fetching courses:", error);
-        // Use mock data on error
-        import("@/lib/mock-data/admin-mock-data").then(({ mockCourses }) => {
-          setCourses(mockCourses);
-        });
-      } finally {
-        setLoadingCourses(false);
-      }
-    };
-
-    fetchCourses();
-  }, []);
+  const values = useWatch({ control });
+  const { data: timetable = [] } = useQuery(
+    queryKeys.timetable(values.semester),
+    () => fetchTimetable(values.semester),
+    { enabled: Boolean(values.semester) }
+  );
+
+  const selectedCourse = courses.find((c) => c.id === values.courseId);
+  const sections = selectedCourse?.sections || [];
+  // A section picked before switching course is dropped
+  const section = sections.some((s) => s.name === values.section)
+    ? values.section
+    : "";
+  const candidate = { ...values, section, id: entry?.id };
+  // Only complete, well-formed entries are checked for clashes
+  const report =
+    selectedCourse && !validateTimetableEntry(candidate)
+      ? checkTimetableEntry(candidate, timetable, courses)
+      : { clashes: [], suggestions: [], rooms: [] };
+
+  const moveTo = (fields) =>
+    Object.entries(fields).forEach(([name, value]) =>
+      setValue(name, value, { shouldValidate: true })
+    );
 
   const handleFormSubmit = async (data) => {
-    await onSubmit(data);
-    reset();
+    // The form keeps its values when saving fails
+    if (await onSubmit({ ...data, section })) reset();
   };
 
   const handleCancel = () => {
@@ -112,6 +144,7 @@ export default function CreateTimetableForm({
         label="Course"
         name="courseId"
         register={register}
+        value={values.courseId}
         placeholder={
           loadingCourses
             ? "Loading courses..."
@@ -132,22 +165,30 @@ export default function CreateTimetableForm({
         }
       />
 
+      {sections.length > 1 && (
+        <Select
+          label="Section"
+          name="section"
+          register={register}
+          value={values.section}
+          placeholder="All sections"
+          error={errors.section?.message}
+          options={sections.map((s) => ({
+            value: s.name,
+            label: `Section ${s.name}`,
+          }))}
+        />
+      )}
+
       <Select
         label="Day of Week"
         name="dayOfWeek"
         register={register}
+        value={values.dayOfWeek}
         placeholder="Select day"
         error={errors.dayOfWeek?.message}
         required
-        options={[
-          "Monday",
-          "Tuesday",
-          "Wednesday",
-          "Thursday",
-          "Friday",
-          "Saturday",
-          "Sunday",
-        ]}
+        options={DAYS_OF_WEEK}
       />
 
       <div className="grid grid-cols-2 gap-4">
@@ -185,26 +226,35 @@ export default function CreateTimetableForm({
         label="Semester"
         name="semester"
         register={register}
+        value={values.semester}
         placeholder="Select semester"
         error={errors.semester?.message}
         required
         options={["Fall 2024", "Spring 2025", "Summer 2025"]}
       />
 
+      <TimetableConflictReport
+        report={report}
+        onPickSlot={moveTo}
+        onPickRoom={(room) => moveTo({ room })}
+      />
+
       <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
         <Button type="button" variant="outline" onClick={handleCancel}>
           Cancel
         </Button>
-        <Button type="submit" disabled={loading || loadingCourses}>
+        <Button
+          type="submit"
+          disabled={loading || loadingCourses || report.clashes.length > 0}
+        >
           {loading && (
             <span className="mr-2">
               <Loading size="sm" />
             </span>
           )}
-          Create Entry
+          {entry ? "Save Changes" : "Create Entry"}
         </Button>
       </div>
     </form>
   );
 }
-
@@ -0,0 +1,150 @@
+"use client";
+
+import { useForm } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Select from "@/components/common/select";
+import Loading from "@/components/common/loading";
+
+/**
+ * Enrollment Window Form Component
+ *
+ * Form for admin to create or edit a semester's enrollment window.
+ * Uses React Hook Form and Yup for validation.
+ *
+ * Fields:
+ * - Semester (required)
+ * - Add/Drop Opens (required)
+ * - Add/Drop Closes (required, after it opens)
+ * - Withdrawal Deadline (required, not before add/drop closes)
+ */
+
+const enrollmentWindowSchema = yup.object().shape({
+  semester: yup.string().required("Semester is required"),
+  addDropStart: yup.string().required("Opening date is required"),
+  addDropEnd: yup
+    .string()
+    .required("Closing date is required")
+    .test("after-start", "Add/drop must close after it opens", function (value) {
+      const addDropStart = this.parent.addDropStart;
+      return !value || !addDropStart || new Date(value) > new Date(addDropStart);
+    }),
+  withdrawalEnd: yup
+    .string()
+    .required("Withdrawal deadline is required")
+    .test(
+      "not-before",
+      "Withdrawal deadline cannot be before add/drop closes",
+      function (value) {
+        const addDropEnd = this.parent.addDropEnd;
+        return !value || !addDropEnd || new Date(value) >= new Date(addDropEnd);
+      }
+    ),
+});
+
+// ISO string -> value for <input type="datetime-local"> in local time
+function toLocalInput(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+}
+
+export default function EnrollmentWindowForm({
+  onSubmit,
+  onCancel,
+  loading = false,
+  initialValues = null,
+}) {
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+  } = useForm({
+    resolver: yupResolver(enrollmentWindowSchema),
+    defaultValues: {
+      semester: initialValues?.semester || "",
+      addDropStart: toLocalInput(initialValues?.addDropStart),
+      addDropEnd: toLocalInput(initialValues?.addDropEnd),
+      withdrawalEnd: toLocalInput(initialValues?.withdrawalEnd),
+    },
+  });
+
+  const handleFormSubmit = async (data) => {
+    await onSubmit({
+      semester: data.semester,
+      addDropStart: new Date(data.addDropStart).toISOString(),
+      addDropEnd: new Date(data.addDropEnd).toISOString(),
+      withdrawalEnd: new Date(data.withdrawalEnd).toISOString(),
+    });
+    reset();
+  };
+
+  const handleCancel = () => {
+    reset();
+    onCancel();
+  };
+
+  return (
+    <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+      <Select
+        label="Semester"
+        name="semester"
+        value={initialValues?.semester}
+        register={register}
+        placeholder="Select semester"
+        error={errors.semester?.message}
+        required
+        options={["Fall 2024", "Spring 2025", "Summer 2025"]}
+      />
+
+      <Input
+        label="Add/Drop Opens"
+        type="datetime-local"
+        name="addDropStart"
+        register={register}
+        error={errors.addDropStart?.message}
+        required
+      />
+
+      <Input
+        label="Add/Drop Closes"
+        type="datetime-local"
+        name="addDropEnd"
+        register={register}
+        error={errors.addDropEnd?.message}
+        required
+      />
+
+      <Input
+        label="Withdrawal Deadline"
+        type="datetime-local"
+        name="withdrawalEnd"
+        register={register}
+        error={errors.withdrawalEnd?.message}
+        required
+      />
+      <p className="text-xs text-gray-500 -mt-2">
+        Between add/drop closing and this deadline, dropping a course records a
+        &quot;W&quot; grade.
+      </p>
+
+      <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+        <Button type="button" variant="outline" onClick={handleCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={loading}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          {initialValues ? "Save Window" : "Create Window"}
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,243 @@
+"use client";
+
+import { useForm, useWatch } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import Alert from "@/components/common/alert";
+import Button from "@/components/common/button";
+import Select from "@/components/common/select";
+import Input from "@/components/common/input";
+import Loading from "@/components/common/loading";
+import { useQuery } from "@/lib/query";
+import { queryKeys, fetchCourses, fetchRooms } from "@/lib/query/queries";
+import { TIME_PATTERN } from "@/lib/academics/timetable";
+import {
+  EXAM_CLASH_TYPE_LABELS,
+  EXAM_TYPES,
+  EXAM_TYPE_LABELS,
+} from "@/lib/academics/exams";
+
+/**
+ * Exam Form Component
+ *
+ * Form for admin to schedule a course's exam, or edit one when `exam` is
+ * given. Uses React Hook Form and Yup for validation.
+ *
+ * Fields:
+ * - Course (required)
+ * - Type (required, midterm or final; one of each per course)
+ * - Date (required, in the term's midterm or final exam period)
+ * - Start Time and End Time (required, HH:MM, end after start)
+ * - Rooms (at least one; exams starting at the same time share rooms)
+ *
+ * Clashes the backend rejected the exam for (students with another exam
+ * at the same time, rooms booked by another sitting) are listed above the
+ * buttons.
+ *
+ * @param {function} onSubmit - (data) => Promise<boolean>, true once saved
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ * @param {object} [exam] - Exam being edited
+ * @param {Array} [clashes] - From a rejected save
+ */
+
+const examSchema = yup.object().shape({
+  courseId: yup.string().required("Course is required"),
+  type: yup.string().required("Exam type is required"),
+  date: yup.string().required("Date is required"),
+  startTime: yup
+    .string()
+    .required("Start time is required")
+    .matches(TIME_PATTERN, "Time must be in HH:MM format"),
+  endTime: yup
+    .string()
+    .required("End time is required")
+    .matches(TIME_PATTERN, "Time must be in HH:MM format")
+    .test(
+      "after-start",
+      "End time must be after start time",
+      (endTime, { parent }) =>
+        !TIME_PATTERN.test(parent.startTime || "") ||
+        endTime > parent.startTime
+    ),
+  rooms: yup
+    .array()
+    .of(yup.string())
+    .min(1, "Pick at least one room")
+    .required("Pick at least one room"),
+});
+
+export default function ExamForm({
+  onSubmit,
+  onCancel,
+  loading = false,
+  exam = null,
+  clashes = [],
+}) {
+  const { data: courses = [], isLoading: loadingCourses } = useQuery(
+    queryKeys.courses(),
+    fetchCourses
+  );
+  const { data: rooms = [] } = useQuery(queryKeys.rooms(), fetchRooms);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    reset,
+    control,
+  } = useForm({
+    resolver: yupResolver(examSchema),
+    defaultValues: {
+      courseId: exam?.courseId || "",
+      type: exam?.type || "",
+      date: exam?.date || "",
+      startTime: exam?.startTime || "",
+      endTime: exam?.endTime || "",
+      rooms: exam?.rooms || [],
+    },
+  });
+  const values = useWatch({ control });
+
+  const handleFormSubmit = async (data) => {
+    // The form keeps its values when saving fails
+    if (await onSubmit(data)) reset();
+  };
+
+  const handleCancel = () => {
+    reset();
+    onCancel();
+  };
+
+  return (
+    <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+      <Select
+        label="Course"
+        name="courseId"
+        register={register}
+        value={values.courseId}
+        placeholder={loadingCourses ? "Loading courses..." : "Select a course"}
+        error={errors.courseId?.message}
+        required
+        disabled={loadingCourses}
+        options={courses.map((course) => ({
+          value: course.id,
+          label: `${course.code} - ${course.name} (${course.semester})`,
+        }))}
+      />
+
+      <Select
+        label="Exam"
+        name="type"
+        register={register}
+        value={values.type}
+        placeholder="Select exam"
+        error={errors.type?.message}
+        required
+        options={Object.values(EXAM_TYPES).map((type) => ({
+          value: type,
+          label: EXAM_TYPE_LABELS[type],
+        }))}
+      />
+
+      <Input
+        label="Date"
+        name="date"
+        type="date"
+        register={register}
+        error={errors.date?.message}
+        required
+      />
+
+      <div className="grid grid-cols-2 gap-4">
+        <Input
+          label="Start Time"
+          name="startTime"
+          type="time"
+          placeholder="09:00"
+          register={register}
+          error={errors.startTime?.message}
+          required
+        />
+
+        <Input
+          label="End Time"
+          name="endTime"
+          type="time"
+          placeholder="12:00"
+          register={register}
+          error={errors.endTime?.message}
+          required
+        />
+      </div>
+
+      <div>
+        <p className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">
+          Rooms
+          <span className="text-red-500 ml-1">*</span>
+        </p>
+        <div className="grid grid-cols-2 gap-x-4 gap-y-2">
+          {rooms.map((room) => (
+            <label
+              key={room.id}
+              className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                value={room.name}
+                {...register("rooms")}
+                className="rounded border-gray-300"
+              />
+              {room.name}
+              <span className="text-xs text-gray-500">
+                {room.capacity} seats
+              </span>
+            </label>
+          ))}
+        </div>
+        {errors.rooms && (
+          <p className="mt-1 text-xs sm:text-sm text-red-600">
+            {errors.rooms.message}
+          </p>
+        )}
+        <p className="text-xs text-gray-500 mt-1">
+          Exams starting at the same time share their rooms and are seated
+          together.
+        </p>
+      </div>
+
+      {clashes.length > 0 && (
+        <Alert
+          type="error"
+          title={`${clashes.length} clash${clashes.length === 1 ? "" : "es"}`}
+          message="Move the exam to another time or room before saving it."
+        >
+          <ul className="mt-2 space-y-1 text-sm text-red-700">
+            {clashes.map((clash) => (
+              <li key={`${clash.type}-${clash.examId}`}>
+                <span className="font-medium">
+                  {EXAM_CLASH_TYPE_LABELS[clash.type]}:
+                </span>{" "}
+                {clash.message}
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
+      <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+        <Button type="button" variant="outline" onClick={handleCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={loading || loadingCourses}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          {exam ? "Save Changes" : "Schedule Exam"}
+        </Button>
+      </div>
+    </form>
+  );
+}
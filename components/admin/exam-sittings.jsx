@@ -0,0 +1,276 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Modal from "@/components/common/modal";
+import Loading from "@/components/common/loading";
+import SeatingPlan from "@/components/admin/seating-plan";
+import { Armchair, LayoutGrid } from "lucide-react";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { formatDateTime } from "@/lib/utils";
+import { useQuery, useMutation } from "@/lib/query";
+import {
+  queryKeys,
+  fetchExamSittings,
+  fetchSeatingPlan,
+} from "@/lib/query/queries";
+import { EXAM_TYPE_LABELS } from "@/lib/academics/exams";
+import {
+  DEFAULT_SEATING_RULES,
+  getSittingCapacity,
+} from "@/lib/academics/exam-seating";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+const SEATING_RULE_OPTIONS = [
+  {
+    name: "mixPapers",
+    label: "Mix papers",
+    description:
+      "Students writing the same paper never sit side by side or one behind the other.",
+  },
+  {
+    name: "spaced",
+    label: "Leave every other seat empty",
+    description: "Halves the seats each room offers.",
+  },
+];
+
+function sittingStatus(sitting) {
+  if (sitting.students === 0) {
+    return { label: "No students", className: "bg-gray-100 text-gray-700" };
+  }
+  if (!sitting.plan) {
+    return { label: "Not seated", className: "bg-yellow-100 text-yellow-800" };
+  }
+  if (sitting.unseated > 0) {
+    return {
+      label: `${sitting.unseated} without a seat`,
+      className: "bg-red-100 text-red-800",
+    };
+  }
+  return { label: "Seated", className: "bg-green-100 text-green-800" };
+}
+
+function SeatingPlanDetails({ sittingKey }) {
+  const { data, error, isLoading } = useQuery(
+    queryKeys.seatingPlan(sittingKey),
+    () => fetchSeatingPlan(sittingKey)
+  );
+  if (isLoading) {
+    return (
+      <div className="text-center py-8">
+        <Loading size="md" />
+        <p className="text-gray-600 mt-3">Loading seating plan...</p>
+      </div>
+    );
+  }
+  if (error && !data) {
+    return (
+      <p className="text-red-600">
+        Failed to load seating plan: {error.message}
+      </p>
+    );
+  }
+  return <SeatingPlan sitting={data} />;
+}
+
+/**
+ * Exam Sittings Component
+ *
+ * Admin list of exam sittings (exams starting at the same date and time,
+ * seated together in their rooms), each with its papers, rooms and
+ * whether every student has a seat. Generates a sitting's seating plan
+ * under the chosen mixing rules, replacing the previous one, and shows it
+ * room by room.
+ */
+export default function ExamSittings() {
+  const { success, error: showError } = useToast();
+  const [generating, setGenerating] = useState(null);
+  const [rules, setRules] = useState(DEFAULT_SEATING_RULES);
+  const [viewing, setViewing] = useState(null);
+
+  const {
+    data: sittings = [],
+    error: loadError,
+    isLoading,
+  } = useQuery(queryKeys.examSittings(), fetchExamSittings);
+
+  const generate = useMutation(
+    ({ sitting, rules: seatingRules }) =>
+      api.post("/exams/seating-plan", { sitting, rules: seatingRules }),
+    { invalidates: [queryKeys.exams()] }
+  );
+
+  const openGenerate = (sitting) => {
+    setRules(sitting.plan?.rules || DEFAULT_SEATING_RULES);
+    setGenerating(sitting);
+  };
+
+  const handleGenerate = async () => {
+    try {
+      await generate.mutateAsync({ sitting: generating.key, rules });
+      success("Seating plan generated and students notified of their seats");
+      setViewing(generating.key);
+      setGenerating(null);
+    } catch (err) {
+      showError(err.message || "Failed to generate seating plan");
+    }
+  };
+
+  const capacity = generating
+    ? getSittingCapacity(generating.rooms, rules)
+    : 0;
+
+  return (
+    <Card title="Seating Plans">
+      {isLoading ? (
+        <div className="text-center py-8">
+          <Loading size="md" />
+          <p className="text-gray-600 mt-3">Loading sittings...</p>
+        </div>
+      ) : loadError && sittings.length === 0 ? (
+        <p className="text-red-600">
+          Failed to load sittings: {loadError.message}
+        </p>
+      ) : sittings.length === 0 ? (
+        <div className="text-center py-8">
+          <Armchair className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+          <p className="text-gray-600">No exams scheduled yet</p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {sittings.map((sitting) => {
+            const status = sittingStatus(sitting);
+            return (
+              <div
+                key={sitting.key}
+                className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 py-3"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900">
+                    {formatCalendarDate(sitting.date)}, {sitting.startTime}-
+                    {sitting.endTime}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {sitting.exams
+                      .map(
+                        (exam) =>
+                          `${exam.course?.code} ${EXAM_TYPE_LABELS[exam.type]} (${exam.students})`
+                      )
+                      .join(" · ")}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {sitting.rooms
+                      .map((room) => `${room.name} (${room.capacity})`)
+                      .join(", ")}
+                    {sitting.plan &&
+                      ` · generated ${formatDateTime(sitting.plan.generatedAt)}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span
+                    className={`text-xs px-2 py-1 rounded-md whitespace-nowrap ${status.className}`}
+                  >
+                    {status.label}
+                  </span>
+                  {sitting.plan && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => setViewing(sitting.key)}
+                    >
+                      View
+                    </Button>
+                  )}
+                  <Button
+                    size="sm"
+                    startIcon={<LayoutGrid className="w-4 h-4" />}
+                    onClick={() => openGenerate(sitting)}
+                    disabled={sitting.students === 0}
+                  >
+                    {sitting.plan ? "Regenerate" : "Generate"}
+                  </Button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <Modal
+        isOpen={Boolean(generating)}
+        onClose={() => setGenerating(null)}
+        title="Generate Seating Plan"
+        size="md"
+      >
+        {generating && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Seats the {generating.students} students of this sitting in{" "}
+              {generating.rooms.map((room) => room.name).join(", ")}, in
+              roll-number order within each paper.
+              {generating.plan && " The current plan is replaced."}
+            </p>
+            {SEATING_RULE_OPTIONS.map((option) => (
+              <label
+                key={option.name}
+                className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={rules[option.name]}
+                  onChange={(e) =>
+                    setRules({ ...rules, [option.name]: e.target.checked })
+                  }
+                  className="rounded border-gray-300 mt-0.5"
+                />
+                <span>
+                  <span className="font-medium">{option.label}</span>
+                  <span className="block text-xs text-gray-500">
+                    {option.description}
+                  </span>
+                </span>
+              </label>
+            ))}
+            <p
+              className={`text-sm ${
+                capacity < generating.students ? "text-red-600" : "text-gray-600"
+              }`}
+            >
+              {capacity} seats for {generating.students} students
+              {capacity < generating.students &&
+                ": add a room to one of the exams or leave no seats empty"}
+            </p>
+            <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+              <Button variant="outline" onClick={() => setGenerating(null)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleGenerate}
+                disabled={generate.isPending || capacity < generating.students}
+              >
+                {generate.isPending && (
+                  <span className="mr-2">
+                    <Loading size="sm" />
+                  </span>
+                )}
+                Generate
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={Boolean(viewing)}
+        onClose={() => setViewing(null)}
+        title="Seating Plan"
+        size="xl"
+      >
+        {viewing && <SeatingPlanDetails sittingKey={viewing} />}
+      </Modal>
+    </Card>
+  );
+}
@@ -0,0 +1,107 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Loading from "@/components/common/loading";
+import { validateFineWaiver } from "@/lib/fees/late-fees";
+import { formatCurrency } from "@/lib/utils";
+
+/**
+ * Fine Waiver Form Component
+ *
+ * Form for admin to waive all or part of a fine. The reason is required and
+ * kept with the waiver in the audit log.
+ *
+ * @param {object} fine - From GET /fees/fines { description, outstanding,
+ *   feeBalance, student, fee }
+ * @param {function} onSubmit - ({ amount, reason }) => Promise
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ */
+export default function FineWaiverForm({
+  fine,
+  onSubmit,
+  onCancel,
+  loading = false,
+}) {
+  const maxAmount = Math.min(fine.outstanding, fine.feeBalance);
+  const [amount, setAmount] = useState(maxAmount);
+  const [reason, setReason] = useState("");
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const waiver = { amount: Number(amount), reason: reason.trim() };
+    const invalid = validateFineWaiver(
+      waiver,
+      fine.outstanding,
+      fine.feeBalance
+    );
+    setError(invalid || "");
+    if (invalid) return;
+    await onSubmit(waiver);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+        <p className="font-medium text-gray-900">{fine.student.fullName}</p>
+        <p className="text-gray-600">
+          {fine.description} · {fine.fee?.semester}
+        </p>
+        <p className="text-gray-600 mt-1">
+          Outstanding: {formatCurrency(fine.outstanding)}
+        </p>
+      </div>
+
+      <Input
+        label="Amount to Waive (Rs)"
+        type="number"
+        name="amount"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        min={1}
+        max={maxAmount}
+        required
+      />
+
+      <div>
+        <label
+          htmlFor="reason"
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Reason
+        </label>
+        <textarea
+          id="reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={3}
+          placeholder="e.g. Bank outage on the due date, confirmed by the branch"
+          className="block w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none resize-none"
+          required
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Recorded in the waiver audit log with your name.
+        </p>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={loading}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          Waive Fine
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,240 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Select from "@/components/common/select";
+import Loading from "@/components/common/loading";
+import { Plus, Trash2 } from "lucide-react";
+import {
+  DEFAULT_GRADING_SCHEME,
+  SCHEME_TYPES,
+  SCHEME_TYPE_LABELS,
+  validateGradingScheme,
+} from "@/lib/academics/grading-schemes";
+
+const inputClassName =
+  "block w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900 placeholder-gray-400 focus:outline-none";
+
+const TYPE_OPTIONS = Object.values(SCHEME_TYPES).map((type) => ({
+  value: type,
+  label: SCHEME_TYPE_LABELS[type],
+}));
+
+const TYPE_HELP = {
+  [SCHEME_TYPES.ABSOLUTE]:
+    "A grade is earned by scoring at least its boundary percentage. Grades starting below the pass mark fail.",
+  [SCHEME_TYPES.RELATIVE]:
+    "Boundaries are class percentiles: a boundary of 85 goes to students who outscore 85% of the class. Anyone under the pass mark fails regardless of rank.",
+  [SCHEME_TYPES.PASS_FAIL]:
+    "Students at or above the pass mark get P, everyone else F. Pass/fail courses are not counted in GPA.",
+};
+
+function toFormBands(bands) {
+  return (bands || []).map((band, index) => ({
+    key: `band-${index}`,
+    grade: band.grade,
+    min: band.min,
+    points: band.points,
+  }));
+}
+
+/**
+ * Grading Scheme Form Component
+ *
+ * Form for admin to create or edit a grading scheme: its type, pass mark
+ * and the grade bands (letter, lower boundary and grade points). Bands are
+ * not used by pass/fail schemes.
+ *
+ * @param {function} onSubmit - (scheme) => Promise
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ * @param {object} [initialValues] - Scheme being edited
+ */
+export default function GradingSchemeForm({
+  onSubmit,
+  onCancel,
+  loading = false,
+  initialValues = null,
+}) {
+  const [name, setName] = useState(initialValues?.name || "");
+  const [type, setType] = useState(
+    initialValues?.type || SCHEME_TYPES.ABSOLUTE
+  );
+  const [passMark, setPassMark] = useState(initialValues?.passMark ?? "");
+  const [bands, setBands] = useState(() =>
+    toFormBands(
+      initialValues?.bands?.length
+        ? initialValues.bands
+        : DEFAULT_GRADING_SCHEME.bands
+    )
+  );
+  const [error, setError] = useState("");
+
+  const usesBands = type !== SCHEME_TYPES.PASS_FAIL;
+
+  const updateBand = (key, changes) =>
+    setBands((current) =>
+      current.map((band) =>
+        band.key === key ? { ...band, ...changes } : band
+      )
+    );
+
+  const addBand = () =>
+    setBands((current) => [
+      ...current,
+      { key: `band-${Date.now()}`, grade: "", min: "", points: "" },
+    ]);
+
+  const removeBand = (key) =>
+    setBands((current) => current.filter((band) => band.key !== key));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const scheme = {
+      name: name.trim(),
+      type,
+      passMark: passMark === "" ? null : Number(passMark),
+      bands: usesBands
+        ? bands.map((band) => ({
+            grade: band.grade.trim(),
+            min: band.min === "" ? NaN : Number(band.min),
+            points: band.points === "" ? "" : Number(band.points),
+          }))
+        : [],
+    };
+    const invalid = validateGradingScheme(scheme);
+    setError(invalid || "");
+    if (invalid) return;
+    await onSubmit(scheme);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Input
+        label="Scheme Name"
+        name="name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="e.g. Standard 4.0"
+        required
+      />
+
+      <div>
+        <Select
+          label="Grading Type"
+          name="type"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          options={TYPE_OPTIONS}
+          required
+        />
+        <p className="text-xs text-gray-500 mt-1">{TYPE_HELP[type]}</p>
+      </div>
+
+      <Input
+        label="Pass Mark (%)"
+        type="number"
+        name="passMark"
+        value={passMark}
+        onChange={(e) => setPassMark(e.target.value)}
+        placeholder={type === SCHEME_TYPES.RELATIVE ? "Optional" : "e.g. 50"}
+        min={0}
+        max={100}
+        required={type !== SCHEME_TYPES.RELATIVE}
+      />
+
+      {usesBands && (
+        <div>
+          <p className="block text-sm font-medium text-gray-700 mb-1">
+            Grade Bands
+          </p>
+          <div className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 text-xs text-gray-500 mb-1">
+            <span>Grade</span>
+            <span>
+              {type === SCHEME_TYPES.RELATIVE ? "Percentile ≥" : "Score % ≥"}
+            </span>
+            <span>Grade Points</span>
+            <span className="w-7" />
+          </div>
+          <div className="space-y-1.5">
+            {bands.map((band) => (
+              <div
+                key={band.key}
+                className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 items-center"
+              >
+                <input
+                  type="text"
+                  value={band.grade}
+                  onChange={(e) =>
+                    updateBand(band.key, { grade: e.target.value })
+                  }
+                  placeholder="A"
+                  aria-label="Grade"
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  value={band.min}
+                  onChange={(e) =>
+                    updateBand(band.key, { min: e.target.value })
+                  }
+                  aria-label={`Lower boundary for ${band.grade || "grade"}`}
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min={0}
+                  step="0.1"
+                  value={band.points}
+                  onChange={(e) =>
+                    updateBand(band.key, { points: e.target.value })
+                  }
+                  aria-label={`Grade points for ${band.grade || "grade"}`}
+                  className={inputClassName}
+                />
+                <button
+                  type="button"
+                  onClick={() => removeBand(band.key)}
+                  disabled={bands.length <= 2}
+                  aria-label="Remove grade"
+                  className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded disabled:opacity-40 disabled:hover:bg-transparent"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            className="mt-2"
+            startIcon={<Plus className="w-4 h-4" />}
+            onClick={addBand}
+          >
+            Add Grade
+          </Button>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={loading}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          {initialValues ? "Save Scheme" : "Create Scheme"}
+        </Button>
+      </div>
+    </form>
+  );
+}
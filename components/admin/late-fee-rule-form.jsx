@@ -0,0 +1,212 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Select from "@/components/common/select";
+import Loading from "@/components/common/loading";
+import { FEE_TYPES } from "@/lib/fees/ledger";
+import {
+  LATE_FEE_SCHEDULES,
+  LATE_FEE_SCHEDULE_LABELS,
+  describeLateFeeRule,
+  validateLateFeeRule,
+} from "@/lib/fees/late-fees";
+
+const SCHEDULE_OPTIONS = Object.values(LATE_FEE_SCHEDULES).map((value) => ({
+  value,
+  label: LATE_FEE_SCHEDULE_LABELS[value],
+}));
+
+const SCHEDULE_HELP = {
+  [LATE_FEE_SCHEDULES.FLAT]:
+    "One fine per late due date, charged once the grace period is over.",
+  [LATE_FEE_SCHEDULES.PER_DAY]:
+    "Charged for every day past the grace period until the due is paid, up to the cap if one is set.",
+};
+
+function toNumber(value) {
+  return value === "" ? NaN : Number(value);
+}
+
+/**
+ * Late Fee Rule Form Component
+ *
+ * Form for admin to create or edit a late fee rule: the fee types it covers
+ * (none ticked means every fee), its schedule, fine amount, grace days and,
+ * for per-day fines, an optional cap. A preview sums the terms up as
+ * students will see them.
+ *
+ * @param {function} onSubmit - (rule) => Promise
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ * @param {object} [initialValues] - Rule being edited
+ */
+export default function LateFeeRuleForm({
+  onSubmit,
+  onCancel,
+  loading = false,
+  initialValues = null,
+}) {
+  const [name, setName] = useState(initialValues?.name || "");
+  const [feeTypes, setFeeTypes] = useState(initialValues?.feeTypes || []);
+  const [schedule, setSchedule] = useState(
+    initialValues?.schedule || LATE_FEE_SCHEDULES.FLAT
+  );
+  const [amount, setAmount] = useState(initialValues?.amount ?? "");
+  const [graceDays, setGraceDays] = useState(initialValues?.graceDays ?? 0);
+  const [cap, setCap] = useState(initialValues?.cap ?? "");
+  const [active, setActive] = useState(initialValues?.active ?? true);
+  const [error, setError] = useState("");
+
+  const isPerDay = schedule === LATE_FEE_SCHEDULES.PER_DAY;
+  const rule = {
+    name: name.trim(),
+    feeTypes,
+    schedule,
+    amount: toNumber(amount),
+    graceDays: toNumber(graceDays),
+    cap: isPerDay && cap !== "" ? Number(cap) : null,
+    active,
+  };
+  const previewable =
+    Number.isInteger(rule.amount) && Number.isInteger(rule.graceDays);
+
+  const toggleFeeType = (type) =>
+    setFeeTypes((current) =>
+      current.includes(type)
+        ? current.filter((t) => t !== type)
+        : [...current, type]
+    );
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const invalid = validateLateFeeRule(rule);
+    setError(invalid || "");
+    if (invalid) return;
+    await onSubmit(rule);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Input
+        label="Rule Name"
+        name="name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="e.g. Tuition late fee"
+        required
+      />
+
+      <div>
+        <p className="block text-sm font-medium text-gray-700 mb-1">
+          Applies To
+        </p>
+        <div className="flex flex-wrap gap-x-4 gap-y-2">
+          {FEE_TYPES.map((type) => (
+            <label
+              key={type}
+              className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={feeTypes.includes(type)}
+                onChange={() => toggleFeeType(type)}
+                className="rounded border-gray-300"
+              />
+              {type}
+            </label>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          {feeTypes.length === 0
+            ? "No type ticked: applies to every fee without a rule of its own."
+            : "Takes precedence over a rule for all fees."}
+        </p>
+      </div>
+
+      <div>
+        <Select
+          label="Schedule"
+          name="schedule"
+          value={schedule}
+          onChange={(e) => setSchedule(e.target.value)}
+          options={SCHEDULE_OPTIONS}
+          required
+        />
+        <p className="text-xs text-gray-500 mt-1">{SCHEDULE_HELP[schedule]}</p>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <Input
+          label={isPerDay ? "Fine per Day (Rs)" : "Fine (Rs)"}
+          type="number"
+          name="amount"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          min={1}
+          required
+        />
+        <Input
+          label="Grace Days"
+          type="number"
+          name="graceDays"
+          value={graceDays}
+          onChange={(e) => setGraceDays(e.target.value)}
+          min={0}
+          required
+        />
+      </div>
+
+      {isPerDay && (
+        <Input
+          label="Cap (Rs)"
+          type="number"
+          name="cap"
+          value={cap}
+          onChange={(e) => setCap(e.target.value)}
+          placeholder="No cap"
+          min={1}
+        />
+      )}
+
+      <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={active}
+          onChange={(e) => setActive(e.target.checked)}
+          className="rounded border-gray-300"
+        />
+        Active
+      </label>
+
+      {previewable && (
+        <p className="text-sm text-indigo-800 bg-indigo-50 rounded-lg p-3">
+          {describeLateFeeRule(rule)}
+        </p>
+      )}
+
+      {initialValues && (
+        <p className="text-xs text-gray-500">
+          Fines already charged keep the terms they were charged under.
+        </p>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={loading}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          {initialValues ? "Save Rule" : "Create Rule"}
+        </Button>
+      </div>
+    </form>
+  );
+}
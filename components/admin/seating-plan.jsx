@@ -0,0 +1,104 @@
+"use client";
+
+import { EXAM_TYPE_LABELS } from "@/lib/academics/exams";
+
+// One colour per paper, so mixing is visible at a glance
+const PAPER_STYLES = [
+  "bg-indigo-50 border-indigo-200 text-indigo-900",
+  "bg-amber-50 border-amber-200 text-amber-900",
+  "bg-emerald-50 border-emerald-200 text-emerald-900",
+  "bg-rose-50 border-rose-200 text-rose-900",
+  "bg-sky-50 border-sky-200 text-sky-900",
+  "bg-purple-50 border-purple-200 text-purple-900",
+];
+
+/**
+ * Seating Plan Component
+ *
+ * A sitting's seating plan room by room, laid out as the room's rows of
+ * seats with the front row at the top. Each seat shows its label, the roll
+ * number seated there and the paper, coloured per paper.
+ *
+ * @param {object} sitting - From GET /exams/seating-plan: { exams, plan }
+ */
+export default function SeatingPlan({ sitting }) {
+  const { exams, plan } = sitting;
+  const styleOf = (examId) =>
+    PAPER_STYLES[
+      exams.findIndex((exam) => exam.id === examId) % PAPER_STYLES.length
+    ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-2">
+        {exams.map((exam) => (
+          <span
+            key={exam.id}
+            className={`text-xs px-2 py-1 rounded-md border ${styleOf(exam.id)}`}
+          >
+            {exam.course?.code} {EXAM_TYPE_LABELS[exam.type]} · {exam.students}{" "}
+            student{exam.students === 1 ? "" : "s"}
+          </span>
+        ))}
+      </div>
+
+      {plan.sameNeighbours > 0 && (
+        <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+          {plan.sameNeighbours} student{plan.sameNeighbours === 1 ? "" : "s"}{" "}
+          sit next to or behind someone writing the same paper: there were
+          too few seats to keep them apart.
+        </p>
+      )}
+
+      {plan.rooms.map((room) => {
+        const seatAt = (row, column) =>
+          room.seats.find((s) => s.row === row && s.column === column);
+        return (
+          <div key={room.name}>
+            <h4 className="font-semibold text-gray-900 text-sm sm:text-base">
+              {room.name}
+              <span className="ml-2 text-xs font-normal text-gray-500">
+                {room.seats.length} seated
+              </span>
+            </h4>
+            <p className="text-xs text-gray-500 text-center border-b border-gray-200 pb-1 my-2">
+              Front
+            </p>
+            <div className="overflow-x-auto">
+              <div
+                className="grid gap-1.5 min-w-[480px]"
+                style={{
+                  gridTemplateColumns: `repeat(${room.columns}, minmax(0, 1fr))`,
+                }}
+              >
+                {Array.from({ length: room.rows * room.columns }, (_, i) => {
+                  const row = Math.floor(i / room.columns);
+                  const column = i % room.columns;
+                  const seat = seatAt(row, column);
+                  return seat ? (
+                    <div
+                      key={i}
+                      className={`rounded-md border px-1.5 py-1 text-xs ${styleOf(
+                        seat.examId
+                      )}`}
+                      title={seat.fullName}
+                    >
+                      <p className="font-semibold">{seat.label}</p>
+                      <p className="truncate">{seat.rollNumber}</p>
+                      <p className="opacity-75">{seat.courseCode}</p>
+                    </div>
+                  ) : (
+                    <div
+                      key={i}
+                      className="rounded-md border border-dashed border-gray-200 min-h-[3.25rem]"
+                    />
+                  );
+                })}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+"use client";
+
+import Alert from "@/components/common/alert";
+import { CLASH_TYPE_LABELS } from "@/lib/academics/timetable";
+
+/**
+ * Timetable Conflict Report Component
+ *
+ * Lists what a timetable entry clashes with (room, instructor or section)
+ * and offers free slots of the same length, and free rooms when the room is
+ * the only problem. Picking one moves the entry there.
+ *
+ * @param {object} report - From checkTimetableEntry(): { clashes,
+ *   suggestions, rooms }
+ * @param {function} onPickSlot - ({ dayOfWeek, startTime, endTime }) => void
+ * @param {function} onPickRoom - (room) => void
+ */
+export default function TimetableConflictReport({
+  report,
+  onPickSlot,
+  onPickRoom,
+}) {
+  const { clashes, suggestions, rooms } = report;
+  if (clashes.length === 0) return null;
+
+  return (
+    <Alert
+      type="error"
+      title={`${clashes.length} clash${clashes.length === 1 ? "" : "es"}`}
+      message="Move the entry to a free slot or room before saving it."
+    >
+      <ul className="mt-2 space-y-1 text-sm text-red-700">
+        {clashes.map((clash) => (
+          <li key={`${clash.type}-${clash.entry.id}`}>
+            <span className="font-medium">
+              {CLASH_TYPE_LABELS[clash.type]}:
+            </span>{" "}
+            {clash.message}
+          </li>
+        ))}
+      </ul>
+
+      {rooms.length > 0 && (
+        <div className="mt-3">
+          <p className="text-xs font-medium text-gray-700 mb-1">
+            Free rooms at this time
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {rooms.map((room) => (
+              <button
+                key={room}
+                type="button"
+                onClick={() => onPickRoom(room)}
+                className="px-2 py-1 text-xs bg-white border border-gray-300 rounded-md text-gray-700 hover:border-indigo-500 hover:text-indigo-700"
+              >
+                {room}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-3">
+        <p className="text-xs font-medium text-gray-700 mb-1">
+          Free slots in this room
+        </p>
+        {suggestions.length === 0 ? (
+          <p className="text-xs text-gray-500">
+            No free slot of this length between 08:00 and 18:00 on weekdays
+          </p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {suggestions.map((slot) => (
+              <button
+                key={`${slot.dayOfWeek}-${slot.startTime}`}
+                type="button"
+                onClick={() => onPickSlot(slot)}
+                className="px-2 py-1 text-xs bg-white border border-gray-300 rounded-md text-gray-700 hover:border-indigo-500 hover:text-indigo-700"
+              >
+                {slot.dayOfWeek} {slot.startTime}-{slot.endTime}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </Alert>
+  );
+}
@@ -0,0 +1,86 @@
+"use client";
+
+import Card from "@/components/common/card";
+import { Lock, LockOpen } from "lucide-react";
+import { TEACHING_DAYS } from "@/lib/academics/timetable";
+
+/**
+ * Timetable Preview Component
+ *
+ * A generated timetable laid out by weekday, before it is applied. Each
+ * entry can be locked so the next solve keeps it where it is.
+ *
+ * @param {Array} entries - Entries from solveTimetable(), with `sessionKey`
+ * @param {Set<string>} lockedKeys - Session keys of locked entries
+ * @param {function} onToggleLock - (entry) => void
+ * @param {boolean} [disabled] - Locks can't change, e.g. while solving
+ */
+export default function TimetablePreview({
+  entries,
+  lockedKeys,
+  onToggleLock,
+  disabled = false,
+}) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+      {TEACHING_DAYS.map((day) => {
+        const dayEntries = entries
+          .filter((entry) => entry.dayOfWeek === day)
+          .sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+        return (
+          <Card key={day}>
+            <h3 className="font-semibold text-gray-900 mb-3 text-sm sm:text-base">
+              {day}
+            </h3>
+            {dayEntries.length === 0 ? (
+              <p className="text-xs text-gray-400 py-2">No classes scheduled</p>
+            ) : (
+              <div className="space-y-2">
+                {dayEntries.map((entry) => {
+                  const locked = lockedKeys.has(entry.sessionKey);
+                  const Icon = locked ? Lock : LockOpen;
+                  return (
+                    <div
+                      key={entry.sessionKey}
+                      className={`flex items-start justify-between gap-2 p-2 rounded-md border ${
+                        locked
+                          ? "bg-indigo-50 border-indigo-300"
+                          : "bg-gray-50 border-gray-200"
+                      }`}
+                    >
+                      <div className="min-w-0">
+                        <p className="text-xs sm:text-sm font-medium text-gray-900">
+                          {entry.course?.code} · Section {entry.section}
+                        </p>
+                        <p className="text-xs text-gray-600">
+                          {entry.startTime} - {entry.endTime}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          Room: {entry.room}
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => onToggleLock(entry)}
+                        disabled={disabled}
+                        title={locked ? "Unlock" : "Lock in place"}
+                        className={`p-1 rounded-md disabled:opacity-50 ${
+                          locked
+                            ? "text-indigo-600 hover:bg-indigo-100"
+                            : "text-gray-400 hover:text-gray-700 hover:bg-gray-100"
+                        }`}
+                      >
+                        <Icon className="w-4 h-4" />
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </Card>
+        );
+      })}
+    </div>
+  );
+}
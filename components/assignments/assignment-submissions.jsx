@@ -0,0 +1,256 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import VersionHistory from "@/components/assignments/version-history";
+import MarksSummary from "@/components/assignments/marks-summary";
+import RubricGrid from "@/components/assignments/rubric-grid";
+import { CheckSquare } from "lucide-react";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import {
+  queryKeys,
+  fetchAssignmentSubmissions,
+} from "@/lib/query/queries";
+import { getLateness, getLatestVersion } from "@/lib/academics/late-policy";
+import { isRubricComplete } from "@/lib/academics/rubric";
+import { useToast } from "@/contexts/toast-context";
+
+// Rubric assignments are graded by clicking cells; others take a marks number
+function GradeSubmissionForm({ assignment, submission, onGrade, loading }) {
+  const [marks, setMarks] = useState("");
+  const [rubricScores, setRubricScores] = useState({});
+  const [feedback, setFeedback] = useState("");
+  const { rubric } = assignment;
+  const { penaltyPercent } = getLateness(
+    assignment,
+    getLatestVersion(submission).submittedAt
+  );
+  const ready = rubric ? isRubricComplete(rubric, rubricScores) : marks !== "";
+
+  const handleGrade = () =>
+    onGrade(
+      submission.id,
+      rubric
+        ? { rubricScores, feedback }
+        : { marksObtained: Number(marks), feedback }
+    );
+
+  return (
+    <div className="space-y-2">
+      {rubric ? (
+        <RubricGrid
+          rubric={rubric}
+          selections={rubricScores}
+          onSelect={(criterionId, levelId) =>
+            setRubricScores((current) => ({
+              ...current,
+              [criterionId]: levelId,
+            }))
+          }
+        />
+      ) : (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Marks Obtained
+          </label>
+          <input
+            type="number"
+            value={marks}
+            onChange={(e) => setMarks(e.target.value)}
+            placeholder="Enter marks"
+            min={0}
+            max={assignment.totalMarks}
+            className="block w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none"
+          />
+        </div>
+      )}
+      {penaltyPercent > 0 && (
+        <p className="text-xs text-orange-700">
+          Grade the work as submitted; the {penaltyPercent}% late penalty is
+          deducted automatically.
+        </p>
+      )}
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+          Feedback
+        </label>
+        <textarea
+          value={feedback}
+          onChange={(e) => setFeedback(e.target.value)}
+          rows={3}
+          placeholder="Enter feedback..."
+          className="block w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none resize-none"
+        />
+      </div>
+      <Button
+        size="sm"
+        startIcon={<CheckSquare className="w-4 h-4" />}
+        disabled={loading || !ready}
+        onClick={handleGrade}
+      >
+        Grade Submission
+      </Button>
+    </div>
+  );
+}
+
+/**
+ * Assignment Submissions Component
+ *
+ * Teacher/TA view of every student's submission to an assignment, with
+ * version history, late status and grading. Marks are entered as awarded
+ * (or picked from the assignment's rubric); the late penalty is applied when
+ * they are shown.
+ *
+ * @param {object} assignment - Assignment being reviewed
+ */
+export default function AssignmentSubmissions({ assignment }) {
+  const { success, error } = useToast();
+
+  const {
+    data: submissions = [],
+    error: loadError,
+    isLoading,
+    refetch,
+  } = useQuery(queryKeys.assignmentSubmissions(assignment.id), () =>
+    fetchAssignmentSubmissions(assignment.id)
+  );
+
+  const gradeSubmission = useMutation(
+    ({ submissionId, grade }) =>
+      api.put(
+        `/assignments/${assignment.id}/submissions/${submissionId}`,
+        grade
+      ),
+    { invalidates: [queryKeys.assignments()] }
+  );
+
+  /**
+   * Handle grading a student submission (Teacher)
+   * `grade` is { marksObtained, feedback } or { rubricScores, feedback }
+   */
+  const handleGradeSubmission = async (submissionId, grade) => {
+    try {
+      await gradeSubmission.mutateAsync({ submissionId, grade });
+      success("Submission graded successfully!");
+    } catch (err) {
+      console.error("Grade submission error:", err);
+      error(err.message || "Failed to grade submission. Please try again.");
+    }
+  };
+
+  const gradedCount = submissions.filter(
+    (s) => s.marksObtained !== null && s.marksObtained !== undefined
+  ).length;
+
+  if (isLoading) {
+    return (
+      <div className="text-center py-8">
+        <Loading size="md" />
+        <p className="text-gray-600 mt-3">Loading submissions...</p>
+      </div>
+    );
+  }
+
+  if (loadError && submissions.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-600">Failed to load submissions</p>
+        <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+        <Button
+          variant="outline"
+          size="sm"
+          className="mx-auto mt-3"
+          onClick={() => refetch().catch(() => null)}
+        >
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-gray-50 rounded-lg">
+        <p className="text-sm text-gray-600 mb-2">
+          Course: {assignment.course?.code} - {assignment.course?.name}
+        </p>
+        <p className="text-sm text-gray-600">
+          Total Submissions: {submissions.length} | Graded: {gradedCount} |
+          Pending: {submissions.length - gradedCount}
+        </p>
+      </div>
+      {submissions.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          No submissions yet
+        </p>
+      ) : (
+        <div className="space-y-3 max-h-96 overflow-y-auto">
+          {submissions.map((submission) => {
+            const graded =
+              submission.marksObtained !== null &&
+              submission.marksObtained !== undefined;
+            return (
+              <div
+                key={submission.id}
+                className="p-4 border border-gray-200 rounded-lg space-y-3"
+              >
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {submission.student?.fullName || "Unknown student"}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {submission.student?.rollNumber}
+                    </p>
+                  </div>
+                  <span
+                    className={`px-2 py-1 text-xs font-medium rounded-md ${
+                      graded
+                        ? "bg-green-100 text-green-800"
+                        : "bg-yellow-100 text-yellow-800"
+                    }`}
+                  >
+                    {graded ? "graded" : "pending"}
+                  </span>
+                </div>
+                <VersionHistory
+                  assignment={assignment}
+                  submission={submission}
+                />
+                {graded ? (
+                  <div className="space-y-2">
+                    {assignment.rubric && submission.rubricScores && (
+                      <RubricGrid
+                        rubric={assignment.rubric}
+                        selections={submission.rubricScores}
+                      />
+                    )}
+                    <MarksSummary
+                      assignment={assignment}
+                      submission={submission}
+                    />
+                    {submission.feedback && (
+                      <div className="p-2 bg-gray-50 rounded text-sm text-gray-700">
+                        {submission.feedback}
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  <GradeSubmissionForm
+                    assignment={assignment}
+                    submission={submission}
+                    onGrade={handleGradeSubmission}
+                    loading={gradeSubmission.isPending}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,21 +6,36 @@ import Button from "@/components/common/button";
 import Modal from "@/components/common/modal";
 import SubmitAssignmentForm from "@/components/assignments/submit-assignment-form";
 import CreateAssignmentForm from "@/components/assignments/create-assignment-form";
+import AssignmentSubmissions from "@/components/assignments/assignment-submissions";
+import VersionHistory from "@/components/assignments/version-history";
+import MarksSummary from "@/components/assignments/marks-summary";
+import RubricGrid from "@/components/assignments/rubric-grid";
+import Loading from "@/components/common/loading";
 import { useToast } from "@/contexts/toast-context";
 import { useAuth } from "@/contexts/auth-context";
+import Can from "@/components/common/can";
 import {
   FileText,
   Clock,
   CheckCircle,
   AlertCircle,
   Upload,
-  Download,
   Plus,
   Users,
-  CheckSquare,
 } from "lucide-react";
-import { getStatusColor } from "@/lib/utils";
+import { getStatusColor, formatDateTime } from "@/lib/utils";
 import EmptyState from "@/components/common/empty-state";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation, invalidateQueries } from "@/lib/query";
+import { queryKeys, fetchAssignments } from "@/lib/query/queries";
+import {
+  describeLatePolicy,
+  getAssignmentStatus,
+  getLatestVersion,
+  isPastCutoff,
+} from "@/lib/academics/late-policy";
+import { useNow } from "@/hooks/use-now";
+import { useUpload } from "@/hooks/use-upload";
 
 /**
  * Assignments List Component
@@ -28,26 +43,43 @@ import EmptyState from "@/components/common/empty-state";
  * Displays assignments with role-based functionality:
  *
  * Student View:
- * - View all assignments (pending, submitted, overdue)
+ * - View all assignments (pending, late, submitted, graded, overdue)
  * - Filter assignments by status
- * - Submit assignments with file upload
- * - View submission details
+ * - Submit assignments with file upload (progress, cancel, retry)
+ * - Resubmit until the late-policy cutoff; every version is kept
+ * - View submission history and marks after the late penalty
+ * - See the assignment's rubric, filled in once graded
  *
  * Teacher View:
- * - Create new assignments
+ * - Create new assignments with a late policy and optional rubric
  * - View all student submissions for each assignment
  * - Grade student submissions
  * - Provide feedback on submissions
  *
  * Features:
- * - Status badges (Pending, Submitted, Overdue, Graded)
+ * - Status badges (Pending, Late, Submitted, Graded, Overdue)
  * - File upload/download
  * - Modal forms for submission and grading
  * - Empty states
  */
 
+// Filter tabs (student): which statuses each one shows
+const FILTERS = {
+  all: null,
+  pending: ["pending", "late"],
+  submitted: ["submitted", "graded"],
+};
+
+function courseLabel(assignment) {
+  const { course } = assignment;
+  return course ? `${course.code} - ${course.name}` : "";
+}
+
 export default function AssignmentsList() {
-  const { role, isTeacher } = useAuth();
+  const { user, can } = useAuth();
+  const canCreate = can("assignments:create");
+  // Teachers and TAs review submissions; students submit
+  const isTeacher = canCreate || can("assignments:grade");
 
   const [isSubmitModalOpen, setIsSubmitModalOpen] = useState(false);
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
@@ -56,143 +88,110 @@ export default function AssignmentsList() {
     useState(false);
   const [isViewSubmissionsModalOpen, setIsViewSubmissionsModalOpen] =
     useState(false);
-  const [selectedAssignment, setSelectedAssignment] = useState(null);
-  const [loading, setLoading] = useState(false);
+  const [selectedAssignmentId, setSelectedAssignmentId] = useState(null);
   const [filter, setFilter] = useState("all"); // Filter: "all" | "pending" | "submitted"
   const { success, error } = useToast();
+  const now = useNow(60 * 1000);
+
+  const {
+    data: assignments = [],
+    error: loadError,
+    isLoading: loadingAssignments,
+    refetch,
+  } = useQuery(queryKeys.assignments(), fetchAssignments);
+
+  // Look the selection up in the list so it reflects refetched data
+  const selectedAssignment =
+    assignments.find((a) => a.id === selectedAssignmentId) || null;
+  const setSelectedAssignment = (assignment) =>
+    setSelectedAssignmentId(assignment?.id ?? null);
+
+  const submissionUpload = useUpload(
+    ({ assignmentId, file, comments }, { onProgress, signal }) => {
+      const formData = new FormData();
+      formData.append("file", file);
+      formData.append("comments", comments || "");
+      return api.upload(`/assignments/${assignmentId}/submissions`, formData, {
+        onProgress,
+        signal,
+      });
+    }
+  );
 
-  /**
-   * Handle assignment submission (Student)
-   * Uploads file and submits assignment with optional comments
-   */
-  const handleSubmitAssignment = async (data) => {
-    setLoading(true);
-    try {
-      // TODO: Replace with actual API call
-      // const formData = new FormData();
-      // formData.append('file', data.file[0]);
-      // formData.append('comments', data.comments);
-      // await api.post(`/assignments/${selectedAssignment.id}/submit`, formData);
-
-      console.log("Submission data:", data);
-
-      // Simulate API call
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+  const createAssignment = useMutation(
+    (data) => api.post("/assignments", data),
+    { invalidates: [queryKeys.assignments()] }
+  );
 
-      // Close modal on success
-      setIsSubmitModalOpen(false);
-      setSelectedAssignment(null);
+  // Wraps start/retry so both report the outcome the same way
+  const runUpload = async (upload) => {
+    try {
+      await upload();
+      await invalidateQueries(queryKeys.assignments());
+      closeSubmitModal();
       success("Assignment submitted successfully!");
+      return true;
     } catch (err) {
-      console.error("Submission error:", err);
-      error("Failed to submit assignment. Please try again.");
-    } finally {
-      setLoading(false);
+      if (!err.canceled) {
+        console.error("Submission error:", err);
+        error(err.message || "Failed to submit assignment. Please try again.");
+      }
+      return false;
     }
   };
 
+  /**
+   * Handle assignment submission (Student)
+   * Uploads the file as multipart form data; each upload adds a version
+   */
+  const handleSubmitAssignment = (data) =>
+    runUpload(() =>
+      submissionUpload.start({
+        assignmentId: selectedAssignment.id,
+        file: data.file[0],
+        comments: data.comments,
+      })
+    );
+
+  const handleRetryUpload = () => runUpload(() => submissionUpload.retry());
+
+  const closeSubmitModal = () => {
+    submissionUpload.reset();
+    setIsSubmitModalOpen(false);
+    setSelectedAssignment(null);
+  };
+
   /**
    * Handle assignment creation (Teacher)
-   * Creates a new assignment with title, course, description, due date, and marks
+   * Creates a new assignment with title, course, description, due date,
+   * marks and late policy
    */
   const handleCreateAssignment = async (data) => {
-    setLoading(true);
     try {
-      // TODO: Replace with actual API call
-      // await api.post('/assignments', data);
-      console.log("Create assignment data:", data);
-
-      // Simulate API call
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      // Close modal on success
+      await createAssignment.mutateAsync(data);
       setIsCreateModalOpen(false);
       success("Assignment created successfully!");
+      return true;
     } catch (err) {
       console.error("Create assignment error:", err);
-      error("Failed to create assignment. Please try again.");
-    } finally {
-      setLoading(false);
+      error(err.message || "Failed to create assignment. Please try again.");
+      return false;
     }
   };
 
-  /**
-   * Handle grading a student submission (Teacher)
-   * Assigns marks and feedback to a student's submission
-   */
-  const handleGradeSubmission = async (submissionId, marks, feedback) => {
-    setLoading(true);
-    try {
-      // TODO: Replace with actual API call
-      // await api.post(`/assignments/${selectedAssignment.id}/grade`, {
-      //   submissionId,
-      //   marksObtained: marks,
-      //   feedback,
-      // });
-      console.log("Grade submission:", { submissionId, marks, feedback });
-
-      // Simulate API call
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      setIsViewSubmissionsModalOpen(false);
-      success("Submission graded successfully!");
-    } catch (err) {
-      console.error("Grade submission error:", err);
-      error("Failed to grade submission. Please try again.");
-    } finally {
-      setLoading(false);
+  // Students see their progress; teachers see whether work is still accepted
+  const statusOf = (assignment) => {
+    if (!isTeacher) {
+      return getAssignmentStatus(assignment, assignment.submission, now);
     }
-  };
-
-  const assignments = [
-    {
-      id: 1,
-      title: "Data Structures Project",
-      course: "CS201 - Data Structures",
-      dueDate: "2024-12-25",
-      status: "pending",
-      totalMarks: 100,
-      description:
-        "Implement a binary search tree with insertion, deletion, and traversal operations.",
-    },
-    {
-      id: 2,
-      title: "Database Design Assignment",
-      course: "CS301 - Database Systems",
-      dueDate: "2024-12-20",
-      status: "overdue",
-      totalMarks: 50,
-      description:
-        "Design a normalized database schema for an e-commerce system.",
-    },
-    {
-      id: 3,
-      title: "Web Development Lab",
-      course: "CS401 - Web Development",
-      dueDate: "2024-12-30",
-      status: "submitted",
-      totalMarks: 75,
-      description:
-        "Create a responsive website using HTML, CSS, and JavaScript.",
-    },
-  ];
-
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString("en-US", {
-      month: "short",
-      day: "numeric",
-      year: "numeric",
-    });
+    return isPastCutoff(assignment, now) ? "closed" : "open";
   };
 
   // Filter assignments based on selected filter
-  const filteredAssignments = assignments.filter((assignment) => {
-    if (filter === "all") return true;
-    if (filter === "pending") return assignment.status === "pending";
-    if (filter === "submitted") return assignment.status === "submitted";
-    return true;
-  });
+  const filteredAssignments = assignments.filter(
+    (assignment) =>
+      !FILTERS[filter] || FILTERS[filter].includes(statusOf(assignment))
+  );
 
   return (
     <div className="space-y-5 sm:space-y-6">
@@ -209,7 +208,7 @@ export default function AssignmentsList() {
           </p>
         </div>
         <div className="flex items-center flex-wrap gap-2">
-          {isTeacher && (
+          {canCreate && (
             <Button
               startIcon={<Plus className="w-4 h-4" />}
               onClick={() => setIsCreateModalOpen(true)}
@@ -251,7 +250,29 @@ export default function AssignmentsList() {
       </div>
 
       <div className="space-y-3 sm:space-y-4">
-        {filteredAssignments.length === 0 ? (
+        {loadingAssignments ? (
+          <Card>
+            <div className="text-center py-8">
+              <Loading size="md" />
+              <p className="text-gray-600 mt-3">Loading assignments...</p>
+            </div>
+          </Card>
+        ) : loadError && assignments.length === 0 ? (
+          <Card>
+            <div className="text-center py-8">
+              <p className="text-gray-600">Failed to load assignments</p>
+              <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+              <Button
+                variant="outline"
+                size="sm"
+                className="mx-auto mt-3"
+                onClick={() => refetch().catch(() => null)}
+              >
+                Retry
+              </Button>
+            </div>
+          </Card>
+        ) : filteredAssignments.length === 0 ? (
           <Card>
             <EmptyState
               icon={FileText}
@@ -275,7 +296,7 @@ export default function AssignmentsList() {
                     </h3>
                   </div>
                   <p className="text-xs sm:text-sm text-gray-600 mb-2">
-                    {assignment.course}
+                    {courseLabel(assignment)}
                   </p>
                   <p className="text-xs sm:text-sm text-gray-700 line-clamp-2">
                     {assignment.description}
@@ -283,10 +304,10 @@ export default function AssignmentsList() {
                 </div>
                 <span
                   className={`px-3 py-1 text-xs font-medium rounded-md ${getStatusColor(
-                    assignment.status
+                    statusOf(assignment)
                   )}`}
                 >
-                  {assignment.status}
+                  {statusOf(assignment)}
                 </span>
               </div>
 
@@ -294,7 +315,7 @@ export default function AssignmentsList() {
                 <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-4 lg:space-x-6 gap-2 sm:gap-0 text-xs sm:text-sm text-gray-600">
                   <div className="flex items-center">
                     <Clock className="w-3 h-3 sm:w-4 sm:h-4 mr-1.5 sm:mr-2 flex-shrink-0" />
-                    <span>Due: {formatDate(assignment.dueDate)}</span>
+                    <span>Due: {formatDateTime(assignment.dueDate)}</span>
                   </div>
                   <div>
                     Total Marks:{" "}
@@ -303,32 +324,49 @@ export default function AssignmentsList() {
                 </div>
 
                 <div className="flex flex-wrap gap-2">
-                  {assignment.status === "pending" && (
-                    <Button
-                      size="sm"
-                      startIcon={<Upload className="w-4 h-4" />}
-                      onClick={() => {
-                        setSelectedAssignment(assignment);
-                        setIsSubmitModalOpen(true);
-                      }}
-                    >
-                      Submit
-                    </Button>
-                  )}
-                  {assignment.status === "submitted" && (
-                    <Button
-                      variant="outline"
-                      size="sm"
-                      startIcon={<CheckCircle className="w-4 h-4" />}
-                      onClick={() => {
-                        setSelectedAssignment(assignment);
-                        setIsViewSubmissionModalOpen(true);
-                      }}
-                    >
-                      View Submission
-                    </Button>
-                  )}
-                  {assignment.status === "overdue" && (
+                  {!isTeacher &&
+                    ["pending", "late"].includes(statusOf(assignment)) && (
+                      <Button
+                        size="sm"
+                        startIcon={<Upload className="w-4 h-4" />}
+                        onClick={() => {
+                          setSelectedAssignment(assignment);
+                          setIsSubmitModalOpen(true);
+                        }}
+                      >
+                        Submit
+                      </Button>
+                    )}
+                  {!isTeacher &&
+                    statusOf(assignment) === "submitted" &&
+                    !isPastCutoff(assignment, now) && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        startIcon={<Upload className="w-4 h-4" />}
+                        onClick={() => {
+                          setSelectedAssignment(assignment);
+                          setIsSubmitModalOpen(true);
+                        }}
+                      >
+                        Resubmit
+                      </Button>
+                    )}
+                  {!isTeacher &&
+                    ["submitted", "graded"].includes(statusOf(assignment)) && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        startIcon={<CheckCircle className="w-4 h-4" />}
+                        onClick={() => {
+                          setSelectedAssignment(assignment);
+                          setIsViewSubmissionModalOpen(true);
+                        }}
+                      >
+                        View Submission
+                      </Button>
+                    )}
+                  {!isTeacher && statusOf(assignment) === "overdue" && (
                     <Button
                       variant="danger"
                       size="sm"
@@ -337,7 +375,7 @@ export default function AssignmentsList() {
                       Overdue
                     </Button>
                   )}
-                  {isTeacher && (
+                  <Can permission="assignments:grade" resource={assignment}>
                     <Button
                       variant="outline"
                       size="sm"
@@ -349,7 +387,7 @@ export default function AssignmentsList() {
                     >
                       View Submissions
                     </Button>
-                  )}
+                  </Can>
                   <Button
                     variant="outline"
                     size="sm"
@@ -368,7 +406,7 @@ export default function AssignmentsList() {
       </div>
 
       {/* Create Assignment Modal (Teacher) */}
-      {isTeacher && (
+      {canCreate && (
         <Modal
           isOpen={isCreateModalOpen}
           onClose={() => {
@@ -380,7 +418,7 @@ export default function AssignmentsList() {
           <CreateAssignmentForm
             onSubmit={handleCreateAssignment}
             onCancel={() => setIsCreateModalOpen(false)}
-            loading={loading}
+            loading={createAssignment.isPending}
           />
         </Modal>
       )}
@@ -397,150 +435,26 @@ export default function AssignmentsList() {
           size="lg"
         >
           {selectedAssignment && (
-            <div className="space-y-4">
-              <div className="p-4 bg-gray-50 rounded-lg">
-                <p className="text-sm text-gray-600 mb-2">
-                  Course: {selectedAssignment.course}
-                </p>
-                <p className="text-sm text-gray-600">
-                  Total Submissions: 12 | Graded: 8 | Pending: 4
-                </p>
-              </div>
-              <div className="space-y-3 max-h-96 overflow-y-auto">
-                {[
-                  {
-                    id: 1,
-                    studentName: "Ahmed Ali",
-                    rollNumber: "CS-2021-001",
-                    submittedAt: "2024-12-20T10:30:00",
-                    marksObtained: 85,
-                    totalMarks: 100,
-                    feedback: "Good work!",
-                    status: "graded",
-                  },
-                  {
-                    id: 2,
-                    studentName: "Sara Khan",
-                    rollNumber: "CS-2021-002",
-                    submittedAt: "2024-12-21T14:20:00",
-                    marksObtained: null,
-                    totalMarks: 100,
-                    feedback: null,
-                    status: "pending",
-                  },
-                ].map((submission) => (
-                  <div
-                    key={submission.id}
-                    className="p-4 border border-gray-200 rounded-lg"
-                  >
-                    <div className="flex items-start justify-between mb-3">
-                      <div>
-                        <p className="font-medium text-gray-900">
-                          {submission.studentName}
-                        </p>
-                        <p className="text-sm text-gray-600">
-                          {submission.rollNumber}
-                        </p>
-                        <p className="text-xs text-gray-500 mt-1">
-                          Submitted:{" "}
-                          {new Date(submission.submittedAt).toLocaleString()}
-                        </p>
-                      </div>
-                      <span
-                        className={`px-2 py-1 text-xs font-medium rounded-md ${
-                          submission.status === "graded"
-                            ? "bg-green-100 text-green-800"
-                            : "bg-yellow-100 text-yellow-800"
-                        }`}
-                      >
-                        {submission.status}
-                      </span>
-                    </div>
-                    {submission.status === "graded" ? (
-                      <div className="space-y-2">
-                        <div className="flex items-center justify-between">
-                          <span className="text-sm text-gray-600">Marks:</span>
-                          <span className="font-semibold text-gray-900">
-                            {submission.marksObtained} / {submission.totalMarks}
-                          </span>
-                        </div>
-                        {submission.feedback && (
-                          <div className="p-2 bg-gray-50 rounded text-sm text-gray-700">
-                            {submission.feedback}
-                          </div>
-                        )}
-                      </div>
-                    ) : (
-                      <div className="space-y-2">
-                        <div>
-                          <label className="block text-sm font-medium text-gray-700 mb-1">
-                            Marks Obtained
-                          </label>
-                          <input
-                            type="number"
-                            name={`marks-${submission.id}`}
-                            placeholder="Enter marks"
-                            max={submission.totalMarks}
-                            className="block w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none"
-                          />
-                        </div>
-                        <div>
-                          <label className="block text-sm font-medium text-gray-700 mb-1">
-                            Feedback
-                          </label>
-                          <textarea
-                            name={`feedback-${submission.id}`}
-                            rows={3}
-                            placeholder="Enter feedback..."
-                            className="block w-full px-4 py-2 border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none resize-none"
-                          />
-                        </div>
-                        <Button
-                          size="sm"
-                          startIcon={<CheckSquare className="w-4 h-4" />}
-                          onClick={() => {
-                            const marksInput = document.querySelector(
-                              `input[name="marks-${submission.id}"]`
-                            );
-                            const feedbackInput = document.querySelector(
-                              `textarea[name="feedback-${submission.id}"]`
-                            );
-                            handleGradeSubmission(
-                              submission.id,
-                              marksInput?.value,
-                              feedbackInput?.value
-                            );
-                          }}
-                        >
-                          Grade Submission
-                        </Button>
-                      </div>
-                    )}
-                  </div>
-                ))}
-              </div>
-            </div>
+            <AssignmentSubmissions assignment={selectedAssignment} />
           )}
         </Modal>
       )}
 
       <Modal
         isOpen={isSubmitModalOpen}
-        onClose={() => {
-          setIsSubmitModalOpen(false);
-          setSelectedAssignment(null);
-        }}
+        onClose={closeSubmitModal}
         title="Submit Assignment"
       >
-        <SubmitAssignmentForm
-          assignmentTitle={selectedAssignment?.title || ""}
-          onSubmit={handleSubmitAssignment}
-          onCancel={() => {
-            setIsSubmitModalOpen(false);
-            setSelectedAssignment(null);
-          }}
-          loading={loading}
-        />
+        {selectedAssignment && (
+          <SubmitAssignmentForm
+            assignment={selectedAssignment}
+            onSubmit={handleSubmitAssignment}
+            onCancel={closeSubmitModal}
+            upload={submissionUpload}
+            onCancelUpload={submissionUpload.cancel}
+            onRetryUpload={handleRetryUpload}
+          />
+        )}
       </Modal>
 
       {/* View Details Modal */}
@@ -567,16 +481,16 @@ export default function AssignmentsList() {
                       {selectedAssignment.title}
                     </h3>
                     <p className="text-xs sm:text-sm font-medium text-indigo-600 break-words">
-                      {selectedAssignment.course}
+                      {courseLabel(selectedAssignment)}
                     </p>
                   </div>
                 </div>
                 <span
                   className={`px-2 sm:px-3 py-1 sm:py-1.5 text-xs font-semibold rounded-md whitespace-nowrap flex-shrink-0 self-start sm:self-auto ${getStatusColor(
-                    selectedAssignment.status
+                    statusOf(selectedAssignment)
                   )}`}
                 >
-                  {selectedAssignment.status}
+                  {statusOf(selectedAssignment)}
                 </span>
               </div>
             </div>
@@ -591,7 +505,7 @@ export default function AssignmentsList() {
                   </p>
                 </div>
                 <p className="text-sm sm:text-base font-semibold text-gray-900">
-                  {formatDate(selectedAssignment.dueDate)}
+                  {formatDateTime(selectedAssignment.dueDate)}
                 </p>
               </div>
               <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
@@ -615,7 +529,25 @@ export default function AssignmentsList() {
               <p className="text-xs sm:text-sm leading-relaxed text-gray-700 break-words">
                 {selectedAssignment.description}
               </p>
+              <p className="text-xs text-gray-500 mt-3">
+                {describeLatePolicy(selectedAssignment)}
+              </p>
             </div>
+
+            {/* Rubric Section: filled in once the student's work is graded */}
+            {selectedAssignment.rubric && (
+              <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="text-xs sm:text-sm font-semibold text-gray-700 mb-2 sm:mb-3 uppercase tracking-wide">
+                  Rubric
+                </p>
+                <RubricGrid
+                  rubric={selectedAssignment.rubric}
+                  selections={
+                    selectedAssignment.submission?.rubricScores || undefined
+                  }
+                />
+              </div>
+            )}
           </div>
         )}
       </Modal>
@@ -643,7 +575,7 @@ export default function AssignmentsList() {
                     {selectedAssignment.title}
                   </h3>
                   <p className="text-xs sm:text-sm font-medium text-indigo-600 break-words">
-                    {selectedAssignment.course}
+                    {courseLabel(selectedAssignment)}
                   </p>
                 </div>
               </div>
@@ -662,57 +594,57 @@ export default function AssignmentsList() {
                   Submitted Date
                 </p>
                 <p className="text-xs sm:text-sm font-semibold text-gray-900">
-                  {formatDate(selectedAssignment.dueDate)}
+                  {formatDateTime(
+                    getLatestVersion(selectedAssignment.submission)?.submittedAt
+                  )}
                 </p>
               </div>
             </div>
 
-            {/* Submitted File Section */}
-            <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
-              <p className="text-xs sm:text-sm font-semibold text-gray-700 mb-2 sm:mb-3 uppercase tracking-wide">
-                Submitted File
-              </p>
-              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 sm:gap-0 p-2 sm:p-3 bg-white rounded-lg border border-gray-200">
-                <div className="flex items-center space-x-2 sm:space-x-3 min-w-0 flex-1">
-                  <div className="p-1.5 sm:p-2 bg-indigo-100 rounded-lg flex-shrink-0">
-                    <FileText className="w-4 h-4 sm:w-5 sm:h-5 text-indigo-600" />
-                  </div>
-                  <span className="text-xs sm:text-sm font-medium text-gray-900 truncate">
-                    assignment_submission.pdf
-                  </span>
-                </div>
-                <Button
-                  size="sm"
-                  variant="outline"
-                  startIcon={<Download className="w-4 h-4" />}
-                  className="w-full sm:w-auto"
-                >
-                  Download
-                </Button>
+            {/* Version History Section */}
+            {selectedAssignment.submission && (
+              <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <p className="text-xs sm:text-sm font-semibold text-gray-700 mb-2 sm:mb-3 uppercase tracking-wide">
+                  Submitted Versions
+                </p>
+                <VersionHistory
+                  assignment={selectedAssignment}
+                  submission={selectedAssignment.submission}
+                />
               </div>
-            </div>
-
-            {/* Comments Section */}
-            <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
-              <p className="text-xs sm:text-sm font-semibold text-gray-700 mb-2 sm:mb-3 uppercase tracking-wide">
-                Comments
-              </p>
-              <p className="text-xs sm:text-sm leading-relaxed text-gray-700 break-words">
-                Submitted as per requirements. All tasks completed.
-              </p>
-            </div>
+            )}
 
             {/* Grading Status Section */}
             <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
               <p className="text-xs sm:text-sm font-semibold text-gray-700 mb-2 sm:mb-3 uppercase tracking-wide">
                 Grading Status
               </p>
-              <div className="flex items-center space-x-1.5 sm:space-x-2">
-                <Clock className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
-                <p className="text-xs sm:text-sm font-medium text-gray-700">
-                  Not graded yet
-                </p>
-              </div>
+              {statusOf(selectedAssignment) === "graded" ? (
+                <div className="space-y-2">
+                  {selectedAssignment.rubric && (
+                    <RubricGrid
+                      rubric={selectedAssignment.rubric}
+                      selections={selectedAssignment.submission.rubricScores}
+                    />
+                  )}
+                  <MarksSummary
+                    assignment={selectedAssignment}
+                    submission={selectedAssignment.submission}
+                  />
+                  {selectedAssignment.submission.feedback && (
+                    <div className="p-2 bg-white rounded border border-gray-200 text-sm text-gray-700">
+                      {selectedAssignment.submission.feedback}
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div className="flex items-center space-x-1.5 sm:space-x-2">
+                  <Clock className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
+                  <p className="text-xs sm:text-sm font-medium text-gray-700">
+                    Not graded yet
+                  </p>
+                </div>
+              )}
             </div>
           </div>
         )}
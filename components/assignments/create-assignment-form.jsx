@@ -1,5 +1,6 @@
 "use client";
 
+import { useState } from "react";
 import { useForm } from "react-hook-form";
 import { yupResolver } from "@hookform/resolvers/yup";
 import * as yup from "yup";
@@ -7,6 +8,22 @@ import Button from "@/components/common/button";
 import Input from "@/components/common/input";
 import Select from "@/components/common/select";
 import Loading from "@/components/common/loading";
+import { useAuth } from "@/contexts/auth-context";
+import { useQuery } from "@/lib/query";
+import { queryKeys, fetchCourses } from "@/lib/query/queries";
+import RubricBuilder, {
+  createDefaultRubric,
+} from "@/components/assignments/rubric-builder";
+import { getRubricMaxPoints, validateRubric } from "@/lib/academics/rubric";
+
+// Empty number inputs become null instead of failing as NaN
+const optionalNumber = () =>
+  yup
+    .number()
+    .transform((value, originalValue) =>
+      originalValue === "" || originalValue === null ? null : value
+    )
+    .nullable();
 
 const createAssignmentSchema = yup.object().shape({
   title: yup
@@ -21,26 +38,72 @@ const createAssignmentSchema = yup.object().shape({
     .min(10, "Description must be at least 10 characters")
     .max(2000, "Description must be less than 2000 characters"),
   dueDate: yup
-    .date()
+    .string()
     .required("Due date is required")
-    .min(new Date(), "Due date must be in the future"),
+    .test(
+      "future",
+      "Due date must be in the future",
+      (value) => !value || new Date(value) > new Date()
+    ),
   totalMarks: yup
     .number()
     .required("Total marks is required")
     .min(1, "Total marks must be at least 1")
     .max(1000, "Total marks must be at most 1000"),
+  graceHours: optionalNumber().min(0, "Grace period cannot be negative"),
+  percentPerDay: optionalNumber()
+    .min(0, "Penalty cannot be negative")
+    .max(100, "Penalty cannot exceed 100%"),
+  cutoffDays: optionalNumber()
+    .min(0, "Cutoff cannot be negative")
+    .test(
+      "after-grace",
+      "Cutoff must not fall inside the grace period",
+      function (value) {
+        const graceHours = this.parent.graceHours || 0;
+        if (value === null || value === undefined) return true;
+        return value * 24 >= graceHours;
+      }
+    ),
 });
 
+/**
+ * Create Assignment Form Component
+ *
+ * Form for teachers to create an assignment in one of their courses,
+ * including its late-submission policy:
+ * - Grace period (hours after the due date that still count as on time)
+ * - Penalty per day late (% of the awarded marks)
+ * - Cutoff (days after the due date when submissions close; blank for none)
+ *
+ * Optionally a grading rubric (criteria × performance levels × points); its
+ * maximum becomes the total marks.
+ */
+
 export default function CreateAssignmentForm({
   onSubmit,
   onCancel,
   loading = false,
 }) {
+  const { user } = useAuth();
+  const { data: courses = [], isLoading: loadingCourses } = useQuery(
+    queryKeys.courses(),
+    () => fetchCourses()
+  );
+  const ownCourses = courses.filter(
+    (course) => course.teacher?.id === user?.id
+  );
+
+  // null while the assignment is graded with plain marks
+  const [rubric, setRubric] = useState(null);
+  const [rubricError, setRubricError] = useState(null);
+
   const {
     register,
     handleSubmit,
     formState: { errors },
     reset,
+    setValue,
   } = useForm({
     resolver: yupResolver(createAssignmentSchema),
     defaultValues: {
@@ -49,16 +112,52 @@ export default function CreateAssignmentForm({
       description: "",
       dueDate: "",
       totalMarks: "",
+      graceHours: 0,
+      percentPerDay: 10,
+      cutoffDays: 3,
     },
   });
 
+  const handleRubricChange = (next) => {
+    setRubric(next);
+    setRubricError(null);
+    if (next) {
+      setValue("totalMarks", getRubricMaxPoints(next), {
+        shouldValidate: true,
+      });
+    }
+  };
+
   const handleFormSubmit = async (data) => {
-    await onSubmit(data);
-    reset();
+    const invalidRubric = rubric && validateRubric(rubric);
+    if (invalidRubric) {
+      setRubricError(invalidRubric);
+      return;
+    }
+
+    const created = await onSubmit({
+      title: data.title,
+      courseId: data.courseId,
+      description: data.description,
+      dueDate: new Date(data.dueDate).toISOString(),
+      totalMarks: data.totalMarks,
+      latePolicy: {
+        graceHours: data.graceHours ?? 0,
+        percentPerDay: data.percentPerDay ?? 0,
+        cutoffDays: data.cutoffDays,
+      },
+      rubric,
+    });
+    if (created) {
+      reset();
+      setRubric(null);
+    }
   };
 
   const handleCancel = () => {
     reset();
+    setRubric(null);
+    setRubricError(null);
     onCancel();
   };
 
@@ -77,12 +176,17 @@ export default function CreateAssignmentForm({
         label="Course"
         name="courseId"
         register={register}
-        placeholder="Select a course"
-        options={[
-          { value: "1", label: "CS201 - Data Structures" },
-          { value: "2", label: "CS301 - Database Systems" },
-          { value: "3", label: "CS401 - Web Development" },
-        ]}
+        placeholder={
+          loadingCourses
+            ? "Loading courses..."
+            : ownCourses.length === 0
+            ? "You are not teaching any courses"
+            : "Select a course"
+        }
+        options={ownCourses.map((course) => ({
+          value: course.id,
+          label: `${course.code} - ${course.name} (${course.semester})`,
+        }))}
         error={errors.courseId?.message}
         required
       />
@@ -112,7 +216,7 @@ export default function CreateAssignmentForm({
         <Input
           label="Due Date"
           name="dueDate"
-          type="date"
+          type="datetime-local"
           register={register}
           error={errors.dueDate?.message}
           required
@@ -125,10 +229,81 @@ export default function CreateAssignmentForm({
           placeholder="100"
           register={register}
           error={errors.totalMarks?.message}
+          readOnly={Boolean(rubric)}
           required
         />
       </div>
 
+      <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+        <label className="flex items-start gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={Boolean(rubric)}
+            onChange={(e) =>
+              handleRubricChange(
+                e.target.checked ? createDefaultRubric() : null
+              )
+            }
+            className="mt-0.5 rounded border-gray-300"
+          />
+          <span>
+            <span className="block text-sm font-medium text-gray-700">
+              Grade with a rubric
+            </span>
+            <span className="block text-xs text-gray-500">
+              Submissions are graded by picking a level for each criterion;
+              total marks follow the rubric.
+            </span>
+          </span>
+        </label>
+        {rubric && (
+          <RubricBuilder
+            value={rubric}
+            onChange={handleRubricChange}
+            error={rubricError}
+          />
+        )}
+      </div>
+
+      <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+        <div>
+          <p className="text-sm font-medium text-gray-700">Late Policy</p>
+          <p className="text-xs text-gray-500">
+            Penalties are taken from the awarded marks for each started day
+            after the grace period. Leave the cutoff blank to accept late work
+            indefinitely, or set it to 0 to close submissions at the due date.
+          </p>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <Input
+            label="Grace Period (hours)"
+            name="graceHours"
+            type="number"
+            min={0}
+            register={register}
+            error={errors.graceHours?.message}
+          />
+          <Input
+            label="Penalty per Day (%)"
+            name="percentPerDay"
+            type="number"
+            min={0}
+            max={100}
+            register={register}
+            error={errors.percentPerDay?.message}
+          />
+          <Input
+            label="Cutoff (days late)"
+            name="cutoffDays"
+            type="number"
+            min={0}
+            placeholder="No cutoff"
+            register={register}
+            error={errors.cutoffDays?.message}
+          />
+        </div>
+      </div>
+
       <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
         <Button type="button" variant="outline" onClick={handleCancel}>
           Cancel
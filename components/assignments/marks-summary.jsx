@@ -0,0 +1,45 @@
+"use client";
+
+import { getAdjustedMarks } from "@/lib/academics/late-policy";
+
+/**
+ * Marks Summary Component
+ *
+ * Shows a graded submission's marks with the assignment's late penalty
+ * applied: awarded marks, the deduction (if any) and the final mark.
+ *
+ * @param {object} assignment - Assignment with totalMarks and latePolicy
+ * @param {object} submission - Graded submission
+ */
+export default function MarksSummary({ assignment, submission }) {
+  const marks = getAdjustedMarks(assignment, submission);
+  if (!marks) return null;
+
+  return (
+    <div className="space-y-1 text-sm">
+      {marks.penaltyPercent > 0 && (
+        <>
+          <div className="flex items-center justify-between text-gray-600">
+            <span>Awarded:</span>
+            <span>
+              {marks.awarded} / {assignment.totalMarks}
+            </span>
+          </div>
+          <div className="flex items-center justify-between text-orange-700">
+            <span>
+              Late penalty ({marks.daysLate} day
+              {marks.daysLate === 1 ? "" : "s"}, {marks.penaltyPercent}%):
+            </span>
+            <span>-{marks.deducted}</span>
+          </div>
+        </>
+      )}
+      <div className="flex items-center justify-between">
+        <span className="text-gray-600">Marks:</span>
+        <span className="font-semibold text-gray-900">
+          {marks.final} / {assignment.totalMarks}
+        </span>
+      </div>
+    </div>
+  );
+}
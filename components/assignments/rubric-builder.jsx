@@ -0,0 +1,198 @@
+"use client";
+
+import Button from "@/components/common/button";
+import { Plus, Trash2 } from "lucide-react";
+import { getRubricMaxPoints } from "@/lib/academics/rubric";
+
+// Ids only need to be unique within the rubric being edited
+function newId(prefix) {
+  return `${prefix}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function newLevel(label = "", points = 0) {
+  return { id: newId("level"), label, points };
+}
+
+/**
+ * Starting point when a teacher turns the rubric on
+ * @returns {object} Rubric with one criterion and three levels
+ */
+export function createDefaultRubric() {
+  return {
+    criteria: [
+      {
+        id: newId("criterion"),
+        title: "",
+        levels: [
+          newLevel("Excellent", 10),
+          newLevel("Satisfactory", 6),
+          newLevel("Needs Work", 2),
+        ],
+      },
+    ],
+  };
+}
+
+const inputClassName =
+  "block w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900 placeholder-gray-400 focus:outline-none";
+
+/**
+ * Rubric Builder Component
+ *
+ * Controlled editor for an assignment rubric: criteria, each with
+ * performance levels and the points they award.
+ *
+ * @param {object} value - { criteria: [{ id, title, levels: [{ id, label, points }] }] }
+ * @param {function} onChange - (rubric) => void
+ * @param {string} [error] - Validation message to show below the editor
+ */
+export default function RubricBuilder({ value, onChange, error }) {
+  const criteria = value?.criteria || [];
+
+  const updateCriterion = (criterionId, update) =>
+    onChange({
+      criteria: criteria.map((criterion) =>
+        criterion.id === criterionId ? update(criterion) : criterion
+      ),
+    });
+
+  const updateLevel = (criterionId, levelId, changes) =>
+    updateCriterion(criterionId, (criterion) => ({
+      ...criterion,
+      levels: criterion.levels.map((level) =>
+        level.id === levelId ? { ...level, ...changes } : level
+      ),
+    }));
+
+  const addCriterion = () =>
+    onChange({
+      criteria: [
+        ...criteria,
+        {
+          id: newId("criterion"),
+          title: "",
+          levels: [newLevel("Meets", 5), newLevel("Does not meet", 0)],
+        },
+      ],
+    });
+
+  const removeCriterion = (criterionId) =>
+    onChange({ criteria: criteria.filter((c) => c.id !== criterionId) });
+
+  const addLevel = (criterionId) =>
+    updateCriterion(criterionId, (criterion) => ({
+      ...criterion,
+      levels: [...criterion.levels, newLevel()],
+    }));
+
+  const removeLevel = (criterionId, levelId) =>
+    updateCriterion(criterionId, (criterion) => ({
+      ...criterion,
+      levels: criterion.levels.filter((level) => level.id !== levelId),
+    }));
+
+  return (
+    <div className="space-y-3">
+      {criteria.map((criterion, index) => (
+        <div
+          key={criterion.id}
+          className="p-3 bg-white rounded-lg border border-gray-200 space-y-2"
+        >
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={criterion.title}
+              onChange={(e) =>
+                updateCriterion(criterion.id, (c) => ({
+                  ...c,
+                  title: e.target.value,
+                }))
+              }
+              placeholder={`Criterion ${index + 1}, e.g. Code Quality`}
+              aria-label={`Criterion ${index + 1} title`}
+              className={inputClassName}
+            />
+            <button
+              type="button"
+              onClick={() => removeCriterion(criterion.id)}
+              disabled={criteria.length === 1}
+              aria-label="Remove criterion"
+              className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded disabled:opacity-40 disabled:hover:bg-transparent"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+
+          <div className="space-y-1.5 pl-2 sm:pl-4">
+            {criterion.levels.map((level) => (
+              <div key={level.id} className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={level.label}
+                  onChange={(e) =>
+                    updateLevel(criterion.id, level.id, {
+                      label: e.target.value,
+                    })
+                  }
+                  placeholder="Level, e.g. Excellent"
+                  aria-label="Level label"
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min={0}
+                  value={level.points}
+                  onChange={(e) =>
+                    updateLevel(criterion.id, level.id, {
+                      points:
+                        e.target.value === "" ? "" : Number(e.target.value),
+                    })
+                  }
+                  aria-label="Level points"
+                  className={`${inputClassName} w-20 sm:w-24 shrink-0`}
+                />
+                <span className="text-xs text-gray-500">pts</span>
+                <button
+                  type="button"
+                  onClick={() => removeLevel(criterion.id, level.id)}
+                  disabled={criterion.levels.length <= 2}
+                  aria-label="Remove level"
+                  className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded disabled:opacity-40 disabled:hover:bg-transparent"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => addLevel(criterion.id)}
+              className="text-xs font-medium text-indigo-600 hover:text-indigo-800"
+            >
+              + Add level
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          startIcon={<Plus className="w-4 h-4" />}
+          onClick={addCriterion}
+        >
+          Add Criterion
+        </Button>
+        <span className="text-sm text-gray-600">
+          Worth{" "}
+          <span className="font-semibold text-gray-900">
+            {getRubricMaxPoints(value)}
+          </span>{" "}
+          marks
+        </span>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+}
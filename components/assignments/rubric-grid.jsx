@@ -0,0 +1,95 @@
+"use client";
+
+import {
+  getCriterionMaxPoints,
+  getRubricMaxPoints,
+  getSelectedLevel,
+  scoreRubric,
+} from "@/lib/academics/rubric";
+
+/**
+ * Rubric Grid Component
+ *
+ * Shows a rubric as criteria rows × performance-level cells. With `onSelect`
+ * the cells are buttons for grading; without it the grid is read-only and
+ * highlights the levels already awarded.
+ *
+ * @param {object} rubric - { criteria: [{ id, title, levels }] }
+ * @param {object} selections - { [criterionId]: levelId }
+ * @param {function} [onSelect] - (criterionId, levelId) => void
+ */
+export default function RubricGrid({ rubric, selections = {}, onSelect }) {
+  const hasSelections = Object.keys(selections || {}).length > 0;
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs sm:text-sm border-separate border-spacing-1">
+          <tbody>
+            {rubric.criteria.map((criterion) => {
+              const selected = getSelectedLevel(criterion, selections);
+              return (
+                <tr key={criterion.id}>
+                  <th
+                    scope="row"
+                    className="text-left align-top font-medium text-gray-800 pr-2 min-w-28"
+                  >
+                    {criterion.title}
+                    <span className="block text-xs font-normal text-gray-500">
+                      {selected ? selected.points : "-"} /{" "}
+                      {getCriterionMaxPoints(criterion)}
+                    </span>
+                  </th>
+                  {criterion.levels.map((level) => {
+                    const isSelected = selected?.id === level.id;
+                    const className = `w-full h-full text-left px-2 py-1.5 rounded-md border transition-colors ${
+                      isSelected
+                        ? "bg-indigo-600 border-indigo-600 text-white"
+                        : "bg-white border-gray-200 text-gray-700"
+                    } ${onSelect && !isSelected ? "hover:bg-indigo-50" : ""}`;
+                    const content = (
+                      <>
+                        <span className="block font-medium">{level.label}</span>
+                        <span
+                          className={`block text-xs ${
+                            isSelected ? "text-indigo-100" : "text-gray-500"
+                          }`}
+                        >
+                          {level.points} pts
+                        </span>
+                      </>
+                    );
+                    return (
+                      <td key={level.id} className="align-top">
+                        {onSelect ? (
+                          <button
+                            type="button"
+                            aria-pressed={isSelected}
+                            onClick={() => onSelect(criterion.id, level.id)}
+                            className={className}
+                          >
+                            {content}
+                          </button>
+                        ) : (
+                          <div className={className}>{content}</div>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {(onSelect || hasSelections) && (
+        <div className="flex items-center justify-between text-sm">
+          <span className="text-gray-600">Rubric total:</span>
+          <span className="font-semibold text-gray-900">
+            {scoreRubric(rubric, selections)} / {getRubricMaxPoints(rubric)}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
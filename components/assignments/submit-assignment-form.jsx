@@ -7,7 +7,15 @@ import * as yup from "yup";
 import Button from "@/components/common/button";
 import Input from "@/components/common/input";
 import Loading from "@/components/common/loading";
-import { FileText, X } from "lucide-react";
+import Alert from "@/components/common/alert";
+import { FileText, X, RotateCcw } from "lucide-react";
+import {
+  describeLatePolicy,
+  getLatestVersion,
+  getLateness,
+} from "@/lib/academics/late-policy";
+import { formatDateTime } from "@/lib/utils";
+import { useNow } from "@/hooks/use-now";
 
 /**
  * Submit Assignment Form Component
@@ -25,7 +33,16 @@ import { FileText, X } from "lucide-react";
  * - File preview before submission
  * - Remove file option
  * - File size display
- * - Loading state during submission
+ * - Upload progress bar with cancel and retry
+ * - Late-policy notice, and the penalty a submission made now would carry
+ * - Resubmitting adds a new version; earlier versions are kept
+ *
+ * @param {object} assignment - Assignment with dueDate, latePolicy and the
+ *   student's `submission` (if any)
+ * @param {function} onSubmit - (data) => Promise<boolean>, true when uploaded
+ * @param {object} upload - { status, progress, error } from useUpload
+ * @param {function} onCancelUpload - Aborts the upload in progress
+ * @param {function} onRetryUpload - Re-sends the last upload
  */
 
 // Form validation schema
@@ -50,12 +67,18 @@ const submitAssignmentSchema = yup.object().shape({
 });
 
 export default function SubmitAssignmentForm({
-  assignmentTitle,
+  assignment,
   onSubmit,
   onCancel,
-  loading = false,
+  upload = { status: "idle", progress: 0, error: null },
+  onCancelUpload,
+  onRetryUpload,
 }) {
   const [selectedFile, setSelectedFile] = useState(null);
+  const now = useNow(60 * 1000);
+  const uploading = upload.status === "uploading";
+  const latestVersion = getLatestVersion(assignment?.submission);
+  const lateness = assignment ? getLateness(assignment, now) : null;
   const {
     register,
     handleSubmit,
@@ -96,11 +119,15 @@ export default function SubmitAssignmentForm({
   };
 
   const handleFormSubmit = async (data) => {
-    await onSubmit(data);
-    reset();
+    const submitted = await onSubmit(data);
+    if (submitted) {
+      reset();
+      setSelectedFile(null);
+    }
   };
 
   const handleCancel = () => {
+    if (uploading) onCancelUpload?.();
     reset();
     setSelectedFile(null);
     onCancel();
@@ -113,12 +140,40 @@ export default function SubmitAssignmentForm({
           <span className="bg-primary text-white px-2 py-1 rounded-md font-bold">
             Assignment:{" "}
             <span className="ml-1 font-medium text-white">
-              {assignmentTitle}
+              {assignment?.title}
             </span>
           </span>
         </p>
+        {assignment && (
+          <div className="text-xs sm:text-sm text-gray-600 space-y-1">
+            <p>
+              <span className="font-medium text-gray-700">Due:</span>{" "}
+              {formatDateTime(assignment.dueDate)}
+            </p>
+            <p>{describeLatePolicy(assignment)}</p>
+          </div>
+        )}
       </div>
 
+      {latestVersion && (
+        <Alert
+          type="info"
+          message={`Version ${latestVersion.version} (${latestVersion.fileName}) was submitted ${formatDateTime(latestVersion.submittedAt)}. Uploading again saves version ${latestVersion.version + 1}; your latest version is the one graded.`}
+        />
+      )}
+
+      {lateness?.late && (
+        <Alert
+          type="warning"
+          title="The due date has passed"
+          message={
+            lateness.penaltyPercent > 0
+              ? `Submitting now counts as ${lateness.daysLate} day${lateness.daysLate === 1 ? "" : "s"} late: ${lateness.penaltyPercent}% will be deducted from your marks.`
+              : "Submitting now is late, but within the grace period, so no marks will be deducted."
+          }
+        />
+      )}
+
       <div>
         <label
           htmlFor="file"
@@ -132,6 +187,7 @@ export default function SubmitAssignmentForm({
           {...register("file")}
           accept=".pdf,.doc,.docx"
           onChange={handleFileChange}
+          disabled={uploading}
           className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-medium file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"
         />
         {errors.file && (
@@ -161,15 +217,51 @@ export default function SubmitAssignmentForm({
               <button
                 type="button"
                 onClick={handleRemoveFile}
+                disabled={uploading}
                 className="p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors"
               >
                 <X className="w-4 h-4" />
               </button>
             </div>
+            {uploading && (
+              <div className="mt-3">
+                <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                  <span>Uploading...</span>
+                  <span>{upload.progress}%</span>
+                </div>
+                <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-indigo-600 transition-all"
+                    style={{ width: `${upload.progress}%` }}
+                  />
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
 
+      {(upload.status === "error" || upload.status === "canceled") && (
+        <Alert
+          type={upload.status === "error" ? "error" : "warning"}
+          title={
+            upload.status === "error" ? "Upload failed" : "Upload canceled"
+          }
+          message={upload.error?.message}
+        >
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            className="mt-2"
+            startIcon={<RotateCcw className="w-4 h-4" />}
+            onClick={onRetryUpload}
+          >
+            Retry Upload
+          </Button>
+        </Alert>
+      )}
+
       <div>
         <label
           htmlFor="comments"
@@ -190,16 +282,22 @@ export default function SubmitAssignmentForm({
       </div>
 
       <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
-        <Button type="button" variant="outline" onClick={handleCancel}>
-          Cancel
-        </Button>
-        <Button type="submit" disabled={loading}>
-          {loading && (
+        {uploading ? (
+          <Button type="button" variant="outline" onClick={onCancelUpload}>
+            Cancel Upload
+          </Button>
+        ) : (
+          <Button type="button" variant="outline" onClick={handleCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" disabled={uploading}>
+          {uploading && (
             <span className="mr-2">
               <Loading size="sm" />
             </span>
           )}
-          Submit Assignment
+          {latestVersion ? "Submit New Version" : "Submit Assignment"}
         </Button>
       </div>
     </form>
@@ -0,0 +1,107 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import { Download, FileText } from "lucide-react";
+import { api } from "@/lib/utils/api";
+import { downloadBlob, formatDateTime } from "@/lib/utils";
+import { getLateness } from "@/lib/academics/late-policy";
+import { useToast } from "@/contexts/toast-context";
+
+function latenessLabel(assignment, version) {
+  const { late, daysLate, penaltyPercent } = getLateness(
+    assignment,
+    version.submittedAt
+  );
+  if (!late) return { text: "On time", className: "text-green-700" };
+  if (daysLate === 0) {
+    return { text: "Within grace period", className: "text-yellow-700" };
+  }
+  return {
+    text: `${daysLate} day${daysLate === 1 ? "" : "s"} late (-${penaltyPercent}%)`,
+    className: "text-orange-700",
+  };
+}
+
+/**
+ * Version History Component
+ *
+ * Lists every version of a submission, newest first. The latest version is
+ * the one graded; each row shows whether it was on time and can be
+ * downloaded when the file is available.
+ *
+ * @param {object} assignment - Assignment with dueDate and latePolicy
+ * @param {object} submission - Submission with `versions`
+ */
+export default function VersionHistory({ assignment, submission }) {
+  const { error } = useToast();
+  const [downloading, setDownloading] = useState(null);
+  const versions = [...(submission?.versions || [])].reverse();
+
+  const handleDownload = async (version) => {
+    setDownloading(version.version);
+    try {
+      const blob = await api.get(
+        `/assignments/${assignment.id}/submissions/${submission.id}/versions/${version.version}/file`,
+        { responseType: "blob" }
+      );
+      downloadBlob(blob, version.fileName);
+    } catch (err) {
+      console.error("Download error:", err);
+      error(err.message || "Failed to download file");
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      {versions.map((version, index) => {
+        const label = latenessLabel(assignment, version);
+        return (
+          <div
+            key={version.version}
+            className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-2 sm:p-3 bg-white rounded-lg border border-gray-200"
+          >
+            <div className="flex items-start space-x-2 sm:space-x-3 min-w-0 flex-1">
+              <div className="p-1.5 sm:p-2 bg-indigo-100 rounded-lg flex-shrink-0">
+                <FileText className="w-4 h-4 sm:w-5 sm:h-5 text-indigo-600" />
+              </div>
+              <div className="min-w-0">
+                <p className="text-xs sm:text-sm font-medium text-gray-900 truncate">
+                  v{version.version} - {version.fileName}
+                  {index === 0 && (
+                    <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-indigo-50 text-indigo-700">
+                      Latest
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatDateTime(version.submittedAt)} &middot;{" "}
+                  {(version.fileSize / 1024 / 1024).toFixed(2)} MB &middot;{" "}
+                  <span className={label.className}>{label.text}</span>
+                </p>
+                {version.comments && (
+                  <p className="text-xs text-gray-600 mt-1 break-words">
+                    {version.comments}
+                  </p>
+                )}
+              </div>
+            </div>
+            <Button
+              size="sm"
+              variant="outline"
+              startIcon={<Download className="w-4 h-4" />}
+              className="w-full sm:w-auto"
+              disabled={!version.hasFile || downloading === version.version}
+              title={version.hasFile ? undefined : "File not available"}
+              onClick={() => handleDownload(version)}
+            >
+              Download
+            </Button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+"use client";
+
+import { ATTENDANCE_STATUS_LABELS } from "@/lib/academics/attendance";
+
+export const ATTENDANCE_STATUS_STYLES = {
+  present: "bg-green-100 text-green-800",
+  late: "bg-yellow-100 text-yellow-800",
+  absent: "bg-red-100 text-red-800",
+  excused: "bg-gray-100 text-gray-800",
+};
+
+/**
+ * Attendance Status Badge Component
+ *
+ * @param {string} status - present, late, absent or excused
+ */
+export default function AttendanceStatusBadge({ status }) {
+  return (
+    <span
+      className={`text-xs font-medium px-2 py-0.5 rounded-md ${ATTENDANCE_STATUS_STYLES[status]}`}
+    >
+      {ATTENDANCE_STATUS_LABELS[status]}
+    </span>
+  );
+}
@@ -0,0 +1,191 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Alert from "@/components/common/alert";
+import Button from "@/components/common/button";
+import Modal from "@/components/common/modal";
+import Loading from "@/components/common/loading";
+import EmptyState from "@/components/common/empty-state";
+import AttendanceStatusBadge from "@/components/attendance/attendance-status-badge";
+import TakeAttendanceView from "@/components/attendance/take-attendance-view";
+import CheckIn from "@/components/attendance/check-in";
+import { ClipboardCheck, QrCode } from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useQuery } from "@/lib/query";
+import { queryKeys, fetchMyAttendance } from "@/lib/query/queries";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+// Recent sessions listed per course
+const RECENT_SESSIONS = 5;
+
+function percentageColor(summary) {
+  if (summary.percentage === null) return "text-gray-500";
+  return summary.eligible ? "text-green-600" : "text-red-600";
+}
+
+/**
+ * Attendance View Component (Student View)
+ *
+ * Shows the student's attendance in each enrolled course:
+ * - Attendance percentage (late counts as attended, excused is left out)
+ * - Present, late, absent and excused counts
+ * - A warning when the percentage is below the exam eligibility threshold
+ * - The most recent sessions with their status
+ * - Check-in to the class in progress by scanning the teacher's QR code
+ *
+ * Note: If the user can take attendance (teachers, TAs), renders
+ * TakeAttendanceView instead.
+ */
+export default function AttendanceView() {
+  const { can } = useAuth();
+  const canTake = can("attendance:take");
+  const [checkingIn, setCheckingIn] = useState(false);
+  const { data, error, isLoading } = useQuery(
+    queryKeys.myAttendance(),
+    fetchMyAttendance,
+    { enabled: !canTake }
+  );
+
+  if (canTake) {
+    return <TakeAttendanceView />;
+  }
+
+  const courses = data?.courses || [];
+  const threshold = data?.threshold;
+  const atRisk = courses.filter((course) => !course.summary.eligible);
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 sm:gap-4">
+        <div>
+          <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-1.5 sm:mb-2">
+            Attendance
+          </h1>
+          <p className="text-sm sm:text-base text-gray-600">
+            Your attendance in each course
+            {threshold ? `; at least ${threshold}% is needed to sit exams` : ""}
+          </p>
+        </div>
+        <Button
+          onClick={() => setCheckingIn(true)}
+          startIcon={<QrCode className="w-4 h-4" />}
+          className="self-start sm:self-auto"
+        >
+          Check In
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="text-center py-12">
+          <Loading size="lg" />
+          <p className="text-gray-600 mt-4">Loading attendance...</p>
+        </div>
+      ) : error && !data ? (
+        <Card>
+          <p className="text-red-600">
+            Failed to load attendance: {error.message}
+          </p>
+        </Card>
+      ) : courses.length === 0 ? (
+        <Card>
+          <EmptyState
+            icon={ClipboardCheck}
+            title="No courses"
+            description="You are not enrolled in any courses yet."
+          />
+        </Card>
+      ) : (
+        <>
+          {atRisk.length > 0 && (
+            <Alert
+              type="warning"
+              title="Exam eligibility at risk"
+              message={`Your attendance is below ${threshold}% in ${atRisk
+                .map((course) => course.code)
+                .join(", ")}. Attend the remaining classes or speak to your teacher to stay eligible for exams.`}
+            />
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {courses.map((course) => {
+              const { summary } = course;
+              return (
+                <Card key={course.id}>
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <h3 className="text-base sm:text-lg font-semibold text-gray-900 break-words">
+                        {course.code} - {course.name}
+                      </h3>
+                      <p className="text-xs sm:text-sm text-gray-600">
+                        {course.semester}
+                        {course.section ? ` · Section ${course.section}` : ""}
+                      </p>
+                    </div>
+                    <p
+                      className={`text-2xl font-bold ${percentageColor(summary)}`}
+                    >
+                      {summary.percentage === null
+                        ? "-"
+                        : `${summary.percentage}%`}
+                    </p>
+                  </div>
+
+                  <div className="w-full bg-gray-200 rounded-full h-2 mt-3">
+                    <div
+                      className={`h-2 rounded-full ${
+                        summary.eligible ? "bg-green-500" : "bg-red-500"
+                      }`}
+                      style={{ width: `${summary.percentage ?? 0}%` }}
+                    />
+                  </div>
+
+                  <p className="text-xs text-gray-600 mt-2">
+                    {summary.held === 0
+                      ? "No attendance taken yet"
+                      : `${summary.present} present · ${summary.late} late · ` +
+                        `${summary.absent} absent · ${summary.excused} excused`}
+                  </p>
+                  {!summary.eligible && (
+                    <p className="text-xs font-medium text-red-600 mt-1">
+                      Below {threshold}%: you may not be allowed to sit the
+                      exams
+                    </p>
+                  )}
+
+                  {course.sessions.length > 0 && (
+                    <ul className="mt-4 space-y-2">
+                      {course.sessions
+                        .slice(0, RECENT_SESSIONS)
+                        .map((session) => (
+                          <li
+                            key={session.key}
+                            className="flex items-center justify-between text-sm"
+                          >
+                            <span className="text-gray-700">
+                              {formatCalendarDate(session.date)},{" "}
+                              {session.startTime}
+                            </span>
+                            <AttendanceStatusBadge status={session.status} />
+                          </li>
+                        ))}
+                    </ul>
+                  )}
+                </Card>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      <Modal
+        isOpen={checkingIn}
+        onClose={() => setCheckingIn(false)}
+        title="Check In"
+        size="sm"
+      >
+        {checkingIn && <CheckIn onDone={() => setCheckingIn(false)} />}
+      </Modal>
+    </div>
+  );
+}
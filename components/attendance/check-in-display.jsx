@@ -0,0 +1,178 @@
+"use client";
+
+import QrCode from "@/components/common/qr-code";
+import Loading from "@/components/common/loading";
+import { ATTENDANCE_STATUS_STYLES } from "@/components/attendance/attendance-status-badge";
+import { QrCode as QrCodeIcon, Users } from "lucide-react";
+import { useToast } from "@/contexts/toast-context";
+import { useNow } from "@/hooks/use-now";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import {
+  queryKeys,
+  fetchAttendanceSession,
+  fetchCheckInCode,
+} from "@/lib/query/queries";
+import {
+  ATTENDANCE_STATUS,
+  ATTENDANCE_STATUS_LABELS,
+  CHECK_IN_CODE_ROTATE_SECONDS,
+} from "@/lib/academics/attendance";
+
+const STATUS_OPTIONS = Object.values(ATTENDANCE_STATUS);
+
+// How often the live count is refreshed
+const LIVE_REFRESH_MS = 3000;
+
+/**
+ * Check-in Display Component
+ *
+ * The teacher's QR check-in screen, meant for the projector. The QR code
+ * is replaced with a freshly signed one every few seconds; each is accepted
+ * for 30 seconds only. Students scan it with their phone camera or from the
+ * attendance page and are marked present.
+ *
+ * Next to it, a live count of check-ins and the roster, where the teacher
+ * can override any student's status (e.g. a student whose phone is flat).
+ *
+ * @param {string} sessionKey - Meeting key of the session in progress
+ * @param {string} courseId - Course of the session, to refresh its sessions
+ */
+export default function CheckInDisplay({ sessionKey, courseId }) {
+  const { error: showError } = useToast();
+  const now = useNow(1000);
+
+  const { data: checkIn, error: codeError } = useQuery(
+    queryKeys.checkInCode(sessionKey),
+    async () => {
+      const result = await fetchCheckInCode(sessionKey);
+      const url = new URL("/attendance/check-in", window.location.origin);
+      url.searchParams.set("code", result.code);
+      return { ...result, url: url.toString() };
+    },
+    { staleTime: 0, refetchInterval: CHECK_IN_CODE_ROTATE_SECONDS * 1000 }
+  );
+  const { data } = useQuery(
+    queryKeys.attendanceSession(sessionKey),
+    () => fetchAttendanceSession(sessionKey),
+    { staleTime: 0, refetchInterval: LIVE_REFRESH_MS }
+  );
+
+  const overrideStatus = useMutation(
+    ({ studentId, status }) =>
+      api.patch("/attendance/session", { key: sessionKey, studentId, status }),
+    {
+      invalidates: [
+        queryKeys.attendanceSession(sessionKey),
+        queryKeys.attendanceSessions(courseId),
+        queryKeys.attendanceCourses(),
+      ],
+    }
+  );
+
+  const handleOverride = async (student, status) => {
+    try {
+      await overrideStatus.mutateAsync({ studentId: student.id, status });
+    } catch (err) {
+      showError(err.message || "Failed to update attendance");
+    }
+  };
+
+  const students = data?.students || [];
+  const checkedIn = students.filter((student) => student.checkedInAt).length;
+  const attending = students.filter(
+    (student) =>
+      student.status === ATTENDANCE_STATUS.PRESENT ||
+      student.status === ATTENDANCE_STATUS.LATE
+  ).length;
+  const secondsLeft = checkIn
+    ? Math.max(0, Math.ceil((Date.parse(checkIn.expiresAt) - now) / 1000))
+    : null;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="flex flex-col items-center text-center">
+        {codeError && !checkIn ? (
+          <div className="py-16">
+            <QrCodeIcon className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">{codeError.message}</p>
+          </div>
+        ) : !checkIn ? (
+          <div className="py-16">
+            <Loading size="lg" />
+          </div>
+        ) : (
+          <>
+            <QrCode
+              value={checkIn.url}
+              title="Attendance check-in code"
+              className="w-full max-w-sm"
+            />
+            <p className="text-sm text-gray-600 mt-3">
+              Scan with your phone camera or from Attendance → Check In
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              {codeError
+                ? `Could not refresh the code: ${codeError.message}`
+                : `This code stops working in ${secondsLeft}s`}
+            </p>
+          </>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        <div className="flex items-center gap-3 p-4 bg-indigo-50 border border-indigo-100 rounded-lg">
+          <Users className="w-8 h-8 text-indigo-600" />
+          <div>
+            <p className="text-3xl font-bold text-indigo-900">
+              {checkedIn}
+              <span className="text-lg font-medium text-indigo-700">
+                {" "}
+                / {students.length}
+              </span>
+            </p>
+            <p className="text-sm text-indigo-800">
+              checked in · {attending} marked present or late
+            </p>
+          </div>
+        </div>
+
+        <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg max-h-[50vh] overflow-y-auto">
+          {students.map((student) => (
+            <div
+              key={student.id}
+              className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-2.5"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900">
+                  {student.fullName}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {student.rollNumber}
+                  {student.checkedInAt ? " · checked in" : ""}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-1">
+                {STATUS_OPTIONS.map((status) => (
+                  <button
+                    key={status}
+                    type="button"
+                    onClick={() => handleOverride(student, status)}
+                    disabled={overrideStatus.isPending}
+                    className={`px-2 py-0.5 text-xs font-medium rounded-md border ${
+                      student.status === status
+                        ? `${ATTENDANCE_STATUS_STYLES[status]} border-transparent`
+                        : "bg-white text-gray-600 border-gray-300 hover:bg-gray-50"
+                    }`}
+                  >
+                    {ATTENDANCE_STATUS_LABELS[status]}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import Button from "@/components/common/button";
+import { Camera } from "lucide-react";
+
+// How often a camera frame is checked for a QR code
+const SCAN_INTERVAL_MS = 300;
+
+// The QR code holds a check-in link; a bare code works too
+function readCheckInCode(scanned) {
+  const text = String(scanned || "").trim();
+  try {
+    return new URL(text).searchParams.get("code") || text;
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Check-in Scanner Component
+ *
+ * Scans the attendance QR code with the device camera, using the browser's
+ * barcode detector. Browsers without one can paste the link instead (or
+ * scan the code with the phone's camera app, which opens the link).
+ *
+ * @param {function} onCode - (code) => void, called once a code is read
+ * @param {boolean} [disabled] - While a scanned code is being checked
+ */
+export default function CheckInScanner({ onCode, disabled = false }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const timerRef = useRef(null);
+  const [scanning, setScanning] = useState(false);
+  const [cameraError, setCameraError] = useState(null);
+  const [pasted, setPasted] = useState("");
+
+  const stopCamera = () => {
+    clearInterval(timerRef.current);
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setScanning(false);
+  };
+
+  useEffect(
+    () => () => {
+      clearInterval(timerRef.current);
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+    },
+    []
+  );
+
+  const startCamera = async () => {
+    setCameraError(null);
+    if (typeof window.BarcodeDetector === "undefined") {
+      setCameraError(
+        "This browser cannot scan QR codes. Scan the code with your phone's camera app, or paste the link below."
+      );
+      return;
+    }
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+      });
+      streamRef.current = stream;
+      videoRef.current.srcObject = stream;
+      await videoRef.current.play();
+      setScanning(true);
+
+      const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+      timerRef.current = setInterval(async () => {
+        const [found] = await detector
+          .detect(videoRef.current)
+          .catch(() => []);
+        if (!found || !streamRef.current) return;
+        stopCamera();
+        onCode(readCheckInCode(found.rawValue));
+      }, SCAN_INTERVAL_MS);
+    } catch (err) {
+      stopCamera();
+      setCameraError(
+        err.name === "NotAllowedError"
+          ? "Camera access was denied. Allow it in your browser settings, or paste the link below."
+          : "Could not start the camera. Paste the link below instead."
+      );
+    }
+  };
+
+  const handlePaste = (event) => {
+    event.preventDefault();
+    if (pasted.trim()) onCode(readCheckInCode(pasted));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="relative aspect-square w-full max-w-xs mx-auto bg-gray-900 rounded-lg overflow-hidden">
+        <video
+          ref={videoRef}
+          muted
+          playsInline
+          className={`w-full h-full object-cover ${scanning ? "" : "hidden"}`}
+        />
+        {!scanning && (
+          <div className="absolute inset-0 flex flex-col items-center justify-center p-4 text-center">
+            <Camera className="w-10 h-10 text-gray-400 mb-3" />
+            <Button size="sm" onClick={startCamera} disabled={disabled}>
+              Scan QR Code
+            </Button>
+          </div>
+        )}
+      </div>
+      {scanning && (
+        <p className="text-sm text-gray-600 text-center">
+          Point your camera at the code on the screen
+        </p>
+      )}
+      {cameraError && (
+        <p className="text-sm text-red-600 text-center">{cameraError}</p>
+      )}
+
+      <form onSubmit={handlePaste} className="flex gap-2">
+        <input
+          type="text"
+          value={pasted}
+          onChange={(event) => setPasted(event.target.value)}
+          placeholder="Or paste the check-in link"
+          className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900 placeholder-gray-400 focus:outline-none"
+        />
+        <Button type="submit" variant="outline" disabled={disabled}>
+          Check In
+        </Button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import Alert from "@/components/common/alert";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import CheckInScanner from "@/components/attendance/check-in-scanner";
+import { api } from "@/lib/utils/api";
+import { useMutation } from "@/lib/query";
+import { queryKeys } from "@/lib/query/queries";
+import { ATTENDANCE_STATUS_LABELS } from "@/lib/academics/attendance";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+/**
+ * Check In Component
+ *
+ * Marks the signed-in student present for the class in progress from the
+ * teacher's QR code. Scans the code with the camera, or, when opened from
+ * the link in the code (the phone's camera app), checks in straight away.
+ *
+ * @param {string} [initialCode] - Code from the check-in link
+ * @param {function} [onDone] - Called when the student closes the result
+ */
+export default function CheckIn({ initialCode = null, onDone }) {
+  const checkIn = useMutation(
+    (code) => api.post("/attendance/check-in", { code }),
+    { invalidates: [queryKeys.myAttendance()] }
+  );
+  // Submit the linked code once, even when effects run twice
+  const submitted = useRef(false);
+
+  const { mutate } = checkIn;
+  useEffect(() => {
+    if (!initialCode || submitted.current) return;
+    submitted.current = true;
+    mutate(initialCode);
+  }, [initialCode, mutate]);
+
+  if (checkIn.isPending) {
+    return (
+      <div className="text-center py-8">
+        <Loading size="md" />
+        <p className="text-gray-600 mt-3">Checking you in...</p>
+      </div>
+    );
+  }
+
+  if (checkIn.data) {
+    const { course, date, startTime, status, alreadyMarked } = checkIn.data;
+    return (
+      <Alert
+        type="success"
+        title={
+          alreadyMarked
+            ? `Already marked ${ATTENDANCE_STATUS_LABELS[status].toLowerCase()}`
+            : "You're checked in"
+        }
+        message={`${course.code} ${course.name}, ${formatCalendarDate(
+          date
+        )} at ${startTime}`}
+      >
+        {onDone && (
+          <Button variant="outline" size="sm" className="mt-3" onClick={onDone}>
+            Done
+          </Button>
+        )}
+      </Alert>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {checkIn.error && (
+        <Alert
+          type="error"
+          title="Could not check you in"
+          message={checkIn.error.message}
+          onClose={checkIn.reset}
+        />
+      )}
+      <CheckInScanner onCode={(code) => checkIn.mutate(code)} />
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Modal from "@/components/common/modal";
+import Loading from "@/components/common/loading";
+import CheckInDisplay from "@/components/attendance/check-in-display";
+import { ATTENDANCE_STATUS_STYLES } from "@/components/attendance/attendance-status-badge";
+import { CheckCheck, QrCode, Save } from "lucide-react";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { formatDateTime } from "@/lib/utils";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchAttendanceSession } from "@/lib/query/queries";
+import {
+  ATTENDANCE_STATUS,
+  ATTENDANCE_STATUS_LABELS,
+} from "@/lib/academics/attendance";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+const STATUS_OPTIONS = Object.values(ATTENDANCE_STATUS);
+
+/**
+ * Session Roster Component
+ *
+ * The roster of one class session with a status (present, absent, late or
+ * excused) per student. Teachers mark everyone present in one go and then
+ * change the exceptions. Saved attendance can be corrected until the edit
+ * window closes; after that the roster is read-only. While the class is on,
+ * students can check themselves in from a QR code on the projector.
+ *
+ * @param {string} sessionKey - Meeting key of the session
+ * @param {string} courseId - Course of the session, to refresh its sessions
+ */
+export default function SessionRoster({ sessionKey, courseId }) {
+  const { success, error: showError } = useToast();
+  // Statuses changed since the last save, by student id
+  const [changes, setChanges] = useState({});
+  const [showCheckIn, setShowCheckIn] = useState(false);
+
+  const { data, error, isLoading } = useQuery(
+    queryKeys.attendanceSession(sessionKey),
+    () => fetchAttendanceSession(sessionKey)
+  );
+  const saveAttendance = useMutation(
+    (statuses) => api.put("/attendance/session", { key: sessionKey, statuses }),
+    {
+      invalidates: [
+        queryKeys.attendanceSession(sessionKey),
+        queryKeys.attendanceSessions(courseId),
+        queryKeys.attendanceCourses(),
+      ],
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="text-center py-8">
+        <Loading size="md" />
+        <p className="text-gray-600 mt-3">Loading roster...</p>
+      </div>
+    );
+  }
+  if (error && !data) {
+    return (
+      <p className="text-red-600">Failed to load roster: {error.message}</p>
+    );
+  }
+
+  const { session, students } = data;
+  const statusOf = (student) => changes[student.id] || student.status;
+  const unmarked = students.filter((student) => !statusOf(student)).length;
+
+  const markAllPresent = () =>
+    setChanges(
+      Object.fromEntries(
+        students.map((student) => [student.id, ATTENDANCE_STATUS.PRESENT])
+      )
+    );
+
+  const handleSave = async () => {
+    try {
+      await saveAttendance.mutateAsync(
+        Object.fromEntries(
+          students.map((student) => [student.id, statusOf(student)])
+        )
+      );
+      success(
+        session.taken ? "Attendance updated" : "Attendance saved for the session"
+      );
+      setChanges({});
+    } catch (err) {
+      showError(err.message || "Failed to save attendance");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <p className="font-medium text-gray-900">
+            {formatCalendarDate(session.date)}, {session.startTime} -{" "}
+            {session.endTime} in {session.room}
+            {session.section ? ` · Section ${session.section}` : ""}
+          </p>
+          <p className="text-xs text-gray-500 mt-0.5">
+            {session.open
+              ? `Can be changed until ${formatDateTime(session.closesAt)}`
+              : session.upcoming
+                ? `Opens when the class starts, ${formatDateTime(
+                    session.opensAt
+                  )}`
+                : `Edit window closed ${formatDateTime(session.closesAt)}`}
+          </p>
+        </div>
+        {session.open && (
+          <div className="flex flex-wrap gap-2 self-start">
+            {session.checkInOpen && (
+              <Button
+                variant="outline"
+                size="sm"
+                startIcon={<QrCode className="w-4 h-4" />}
+                onClick={() => setShowCheckIn(true)}
+              >
+                QR Check-in
+              </Button>
+            )}
+            <Button
+              variant="outline"
+              size="sm"
+              startIcon={<CheckCheck className="w-4 h-4" />}
+              onClick={markAllPresent}
+            >
+              Mark All Present
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {students.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          No students are enrolled in this section
+        </p>
+      ) : (
+        <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {students.map((student) => (
+            <div
+              key={student.id}
+              className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-3"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900">
+                  {student.fullName}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {student.rollNumber}
+                  {student.checkedInAt
+                    ? ` · checked in ${formatDateTime(student.checkedInAt)}`
+                    : ""}
+                </p>
+              </div>
+              <div className="flex flex-wrap gap-1.5">
+                {STATUS_OPTIONS.map((status) => (
+                  <button
+                    key={status}
+                    type="button"
+                    onClick={() =>
+                      setChanges({ ...changes, [student.id]: status })
+                    }
+                    disabled={!session.open}
+                    className={`px-2.5 py-1 text-xs font-medium rounded-md border disabled:cursor-not-allowed ${
+                      statusOf(student) === status
+                        ? `${ATTENDANCE_STATUS_STYLES[status]} border-transparent`
+                        : "bg-white text-gray-600 border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+                    }`}
+                  >
+                    {ATTENDANCE_STATUS_LABELS[status]}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {session.open && students.length > 0 && (
+        <div className="flex items-center justify-between gap-3 pt-2">
+          <p className="text-sm text-gray-600">
+            {unmarked > 0
+              ? `${unmarked} student${unmarked === 1 ? "" : "s"} not marked`
+              : "Everyone is marked"}
+          </p>
+          <Button
+            onClick={handleSave}
+            disabled={
+              unmarked > 0 ||
+              Object.keys(changes).length === 0 ||
+              saveAttendance.isPending
+            }
+            startIcon={<Save className="w-4 h-4" />}
+          >
+            {saveAttendance.isPending ? "Saving..." : "Save Attendance"}
+          </Button>
+        </div>
+      )}
+
+      <Modal
+        isOpen={showCheckIn}
+        onClose={() => setShowCheckIn(false)}
+        title="QR Check-in"
+        size="xl"
+      >
+        {showCheckIn && (
+          <CheckInDisplay sessionKey={sessionKey} courseId={courseId} />
+        )}
+      </Modal>
+    </div>
+  );
+}
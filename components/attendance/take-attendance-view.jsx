@@ -0,0 +1,223 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import EmptyState from "@/components/common/empty-state";
+import SessionRoster from "@/components/attendance/session-roster";
+import { ArrowLeft, ClipboardCheck } from "lucide-react";
+import { useQuery } from "@/lib/query";
+import {
+  queryKeys,
+  fetchAttendanceCourses,
+  fetchAttendanceSessions,
+} from "@/lib/query/queries";
+import { EXAM_ELIGIBILITY_THRESHOLD } from "@/lib/academics/attendance";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+// e.g. "18 present · 2 late · 1 absent"
+function describeCounts(counts) {
+  return ["present", "late", "absent", "excused"]
+    .filter((status) => counts[status] > 0)
+    .map((status) => `${counts[status]} ${status}`)
+    .join(" · ");
+}
+
+function CourseSessions({ course, onOpen }) {
+  const { data, error, isLoading } = useQuery(
+    queryKeys.attendanceSessions(course.id),
+    () => fetchAttendanceSessions(course.id)
+  );
+  const sessions = data?.sessions || [];
+
+  if (isLoading) {
+    return (
+      <div className="text-center py-8">
+        <Loading size="md" />
+        <p className="text-gray-600 mt-3">Loading sessions...</p>
+      </div>
+    );
+  }
+  if (error && !data) {
+    return (
+      <p className="text-red-600">Failed to load sessions: {error.message}</p>
+    );
+  }
+  if (sessions.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 text-center py-6">
+        No classes have been held yet this semester
+      </p>
+    );
+  }
+
+  return (
+    <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+      {sessions.map((session) => (
+        <div
+          key={session.key}
+          className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-3"
+        >
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-gray-900">
+              {formatCalendarDate(session.date)}, {session.startTime} -{" "}
+              {session.endTime}
+              {session.section ? ` · Section ${session.section}` : ""}
+            </p>
+            <p className="text-xs text-gray-500">
+              {session.room}
+              {session.rescheduled ? " · rescheduled" : ""}
+              {" · "}
+              {session.taken
+                ? describeCounts(session.counts)
+                : session.upcoming
+                  ? "Not started"
+                  : "Not taken"}
+            </p>
+          </div>
+          <Button
+            size="sm"
+            variant={session.open && !session.taken ? "primary" : "outline"}
+            onClick={() => onOpen(session)}
+            disabled={session.upcoming}
+            className="self-start sm:self-auto"
+          >
+            {!session.open ? "View" : session.taken ? "Edit" : "Take"}
+          </Button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Take Attendance View Component
+ *
+ * Lets teachers (and TAs) take attendance for the class sessions of their
+ * courses: pick a course, then a session, then mark each student on the
+ * section's roster. Sessions can be taken from when the class starts and
+ * corrected until the edit window closes.
+ *
+ * Used in the attendance page when the user can take attendance.
+ */
+export default function TakeAttendanceView() {
+  const [selectedCourseId, setSelectedCourseId] = useState(null);
+  const [selectedSession, setSelectedSession] = useState(null);
+
+  const { data: courses = [], isLoading } = useQuery(
+    queryKeys.attendanceCourses(),
+    fetchAttendanceCourses
+  );
+  const selectedCourse = courses.find(
+    (course) => course.id === selectedCourseId
+  );
+
+  const backToCourses = () => {
+    setSelectedCourseId(null);
+    setSelectedSession(null);
+  };
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      <div>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-1.5 sm:mb-2">
+          Take Attendance
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600">
+          Mark attendance for the class sessions of your courses
+        </p>
+      </div>
+
+      {selectedCourse ? (
+        <Card>
+          <div className="space-y-4">
+            <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+              <div className="min-w-0">
+                <h3 className="text-base sm:text-lg font-semibold text-gray-900 break-words">
+                  {selectedCourse.code} - {selectedCourse.name}
+                </h3>
+                <p className="text-xs sm:text-sm text-gray-600">
+                  {selectedCourse.semester}
+                </p>
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                startIcon={<ArrowLeft className="w-4 h-4" />}
+                onClick={() =>
+                  selectedSession ? setSelectedSession(null) : backToCourses()
+                }
+                className="self-start"
+              >
+                {selectedSession ? "All Sessions" : "All Courses"}
+              </Button>
+            </div>
+            {selectedSession ? (
+              <SessionRoster
+                key={selectedSession.key}
+                sessionKey={selectedSession.key}
+                courseId={selectedCourse.id}
+              />
+            ) : (
+              <CourseSessions
+                course={selectedCourse}
+                onOpen={setSelectedSession}
+              />
+            )}
+          </div>
+        </Card>
+      ) : isLoading ? (
+        <div className="text-center py-12">
+          <Loading size="lg" />
+          <p className="text-gray-600 mt-4">Loading courses...</p>
+        </div>
+      ) : courses.length === 0 ? (
+        <Card>
+          <EmptyState
+            icon={ClipboardCheck}
+            title="No courses assigned"
+            description="You don't have any courses to take attendance for."
+          />
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {courses.map((course) => (
+            <Card key={course.id}>
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                <div className="min-w-0 flex-1">
+                  <h3 className="text-base sm:text-lg font-semibold text-gray-900 break-words">
+                    {course.code} - {course.name}
+                  </h3>
+                  <p className="text-xs sm:text-sm text-gray-600">
+                    {course.semester}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {course.sessionsTaken} session
+                    {course.sessionsTaken === 1 ? "" : "s"} taken
+                    {course.averagePercentage !== null &&
+                      ` · ${course.averagePercentage}% average`}
+                  </p>
+                  {course.belowThreshold > 0 && (
+                    <p className="text-xs text-red-600 mt-1">
+                      {course.belowThreshold} below{" "}
+                      {EXAM_ELIGIBILITY_THRESHOLD}%
+                    </p>
+                  )}
+                </div>
+                <Button
+                  size="sm"
+                  startIcon={<ClipboardCheck className="w-4 h-4" />}
+                  onClick={() => setSelectedCourseId(course.id)}
+                  className="flex-shrink-0 self-start"
+                >
+                  Sessions
+                </Button>
+              </div>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -10,6 +10,7 @@ export default function Alert({
   message,
   onClose,
   className = "",
+  children,
 }) {
   const types = {
     success: {
@@ -62,6 +63,9 @@ export default function Alert({
           {message && (
             <p className={`${config.textColor} text-sm`}>{message}</p>
           )}
+          {children && (
+            <div className={`${config.textColor} text-sm`}>{children}</div>
+          )}
         </div>
         {onClose && (
           <button
@@ -0,0 +1,35 @@
+"use client";
+
+import { useAuth } from "@/contexts/auth-context";
+
+/**
+ * Can Component
+ *
+ * Renders children only when the signed-in user holds a permission.
+ * Pass `resource` for scoped checks (e.g. a teacher grading their own course).
+ *
+ * @param {string} permission - Permission to check, e.g. "grades:enter"
+ * @param {string[]} anyOf - Alternatively, pass if any of these is held
+ * @param {object} resource - Optional resource for scoped grants
+ * @param {ReactNode} fallback - Rendered when not allowed (default: nothing)
+ * @param {ReactNode} children - Rendered when allowed
+ *
+ * @example
+ * <Can permission="grades:enter" resource={course}>
+ *   <Button onClick={openGradeModal}>Enter Grade</Button>
+ * </Can>
+ */
+
+export default function Can({
+  permission,
+  anyOf,
+  resource,
+  fallback = null,
+  children,
+}) {
+  const { can, canAny } = useAuth();
+  const allowed = anyOf
+    ? canAny(anyOf, resource)
+    : can(permission, resource);
+  return allowed ? children : fallback;
+}
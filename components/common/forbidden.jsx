@@ -0,0 +1,50 @@
+"use client";
+
+import Link from "next/link";
+import { ShieldAlert } from "lucide-react";
+import Card from "./card";
+
+/**
+ * Forbidden (403) Component
+ *
+ * Shown by the dashboard layout when the signed-in user's role is not allowed
+ * to open the current route.
+ *
+ * @param {string[]} allowedRoles - Roles that may open the route
+ * @param {string} homeHref - Where the "back" link goes (default: /dashboard)
+ */
+
+export default function Forbidden({ allowedRoles = [], homeHref = "/dashboard" }) {
+  return (
+    <div className="flex items-center justify-center py-12 sm:py-16">
+      <Card className="max-w-md w-full text-center">
+        <div className="w-16 h-16 bg-red-50 rounded-full flex items-center justify-center mx-auto mb-4">
+          <ShieldAlert className="w-8 h-8 text-red-500" />
+        </div>
+        <p className="text-sm font-semibold text-red-600">403</p>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mt-1">
+          Access denied
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600 mt-2">
+          You don&apos;t have permission to view this page.
+          {allowedRoles.length > 0 && (
+            <>
+              {" "}
+              It is available to{" "}
+              <span className="font-medium capitalize">
+                {allowedRoles.join(", ")}
+              </span>{" "}
+              accounts only.
+            </>
+          )}
+        </p>
+        <Link
+          href={homeHref}
+          className="inline-block mt-6 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm font-medium"
+        >
+          Back to Dashboard
+        </Link>
+      </Card>
+    </div>
+  );
+}
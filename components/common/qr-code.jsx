@@ -0,0 +1,47 @@
+"use client";
+
+/**
+ * QR Code Component
+ *
+ * Draws text as a QR code in SVG (lib/utils/qr.js), with the light border
+ * scanners need around it. Scales to its container's width.
+ *
+ * @param {string} value - Text to encode
+ * @param {string} title - Accessible label
+ * @param {string} className - Additional CSS classes
+ *
+ * @example
+ * <QrCode value={checkInUrl} title="Check-in code" className="w-72" />
+ */
+
+import { useMemo } from "react";
+import { encodeQrCode } from "@/lib/utils/qr";
+
+// Light modules around the code, as the QR specification asks
+const QUIET_ZONE = 4;
+
+export default function QrCode({ value, title = "QR code", className = "" }) {
+  const modules = useMemo(() => encodeQrCode(value), [value]);
+  const size = modules.length + QUIET_ZONE * 2;
+
+  // One path of unit squares for the dark modules
+  const path = modules
+    .flatMap((row, y) =>
+      row.map((dark, x) =>
+        dark ? `M${x + QUIET_ZONE} ${y + QUIET_ZONE}h1v1h-1z` : ""
+      )
+    )
+    .join("");
+
+  return (
+    <svg
+      viewBox={`0 0 ${size} ${size}`}
+      role="img"
+      aria-label={title}
+      shapeRendering="crispEdges"
+      className={`bg-white ${className}`}
+    >
+      <path d={path} fill="#000" />
+    </svg>
+  );
+}
@@ -8,8 +8,69 @@ import EnrollCourseForm from "@/components/courses/enroll-course-form";
 import TeacherCoursesView from "@/components/courses/teacher-courses-view";
 import { BookOpen, Clock, User, Plus, Calendar } from "lucide-react";
 import EmptyState from "@/components/common/empty-state";
+import Loading from "@/components/common/loading";
+import EnrollmentWindowBanner from "@/components/courses/enrollment-window-banner";
 import { useToast } from "@/contexts/toast-context";
 import { useAuth } from "@/contexts/auth-context";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import {
+  queryKeys,
+  fetchCourses,
+  fetchEnrollments,
+  fetchEnrollmentWindows,
+} from "@/lib/query/queries";
+import { ACTIVE_STATUSES } from "@/lib/academics/enrollment";
+import {
+  findWindow,
+  getDropOutcome,
+} from "@/lib/academics/enrollment-windows";
+import { useNow } from "@/hooks/use-now";
+
+// Semester whose catalogue is listed under "Upcoming Courses"
+const UPCOMING_SEMESTER = "Spring 2025";
+
+const STATUS_STYLES = {
+  enrolled: "bg-green-100 text-green-800",
+  waitlisted: "bg-yellow-100 text-yellow-800",
+  upcoming: "bg-blue-100 text-blue-800",
+  withdrawn: "bg-gray-100 text-gray-700",
+};
+
+// Courses listed under "Enrolled Courses" (withdrawals stay visible with their W)
+const LISTED_STATUSES = [...ACTIVE_STATUSES, "withdrawn"];
+
+const DROP_ACTIONS = {
+  drop: {
+    label: "Drop",
+    title: "Drop Course",
+    describe: (course) =>
+      `Drop ${course.code}? Your seat in Section ${course.section} will be released and nothing is recorded on your transcript.`,
+    done: (course) => `Dropped ${course.code}`,
+  },
+  withdraw: {
+    label: "Withdraw",
+    title: "Withdraw from Course",
+    describe: (course) =>
+      `The add/drop deadline has passed. Withdrawing from ${course.code} records a "W" grade on your transcript for ${course.semester}.`,
+    done: (course) => `Withdrew from ${course.code} (W)`,
+  },
+  leaveWaitlist: {
+    label: "Leave Waitlist",
+    title: "Leave Waitlist",
+    describe: (course) =>
+      `Leave the waitlist for ${course.code} Section ${course.section}? You will lose your place in the queue.`,
+    done: (course) => `Left the ${course.code} waitlist`,
+  },
+};
+
+function statusLabel(course) {
+  if (course.status === "waitlisted" && course.waitlistPosition) {
+    return `waitlisted #${course.waitlistPosition}`;
+  }
+  if (course.status === "withdrawn") return "withdrawn (W)";
+  return course.status;
+}
 
 /**
  * Courses List Component (Student View)
@@ -20,103 +81,144 @@ import { useAuth } from "@/contexts/auth-context";
  * Features:
  * - View enrolled courses with details
  * - View upcoming courses
- * - Enroll in new courses
+ * - Enroll in new courses (prerequisite, capacity and clash checks run on
+ *   the backend; a full section offers its waitlist)
  * - View course details (instructor, schedule, syllabus)
  * - Empty states for both tabs
  * 
- * Note: If user is a teacher, renders TeacherCoursesView instead.
+ * Note: If the user teaches (teachers, TAs), renders TeacherCoursesView instead.
  */
 
 export default function CoursesList() {
-  const { isTeacher } = useAuth();
+  const { can } = useAuth();
   const [isEnrollModalOpen, setIsEnrollModalOpen] = useState(false);
   const [isViewDetailsModalOpen, setIsViewDetailsModalOpen] = useState(false);
   const [selectedCourse, setSelectedCourse] = useState(null);
-  const [loading, setLoading] = useState(false);
+  const [rejection, setRejection] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { course, action }
   const [activeTab, setActiveTab] = useState("enrolled"); // Tab: "enrolled" | "upcoming"
   const { success, error } = useToast();
+  const isTeaching = can("courses:teach");
+  // Re-check drop deadlines every minute while the page is open
+  const now = useNow(60 * 1000);
+
+  const { data: enrollments = [], isLoading: loadingEnrollments } = useQuery(
+    queryKeys.enrollments(),
+    fetchEnrollments,
+    { enabled: !isTeaching }
+  );
+  const { data: catalogue = [], isLoading: loadingCatalogue } = useQuery(
+    queryKeys.courses(UPCOMING_SEMESTER),
+    () => fetchCourses(UPCOMING_SEMESTER),
+    { enabled: !isTeaching }
+  );
+
+  const { data: windows = [] } = useQuery(
+    queryKeys.enrollmentWindows(),
+    fetchEnrollmentWindows,
+    { enabled: !isTeaching }
+  );
 
-  // Show teacher view if user is a teacher
-  if (isTeacher) {
+  const enroll = useMutation((data) => api.post("/enrollments", data), {
+    invalidates: [
+      queryKeys.enrollments(),
+      queryKeys.courses(),
+      queryKeys.degreeAudit(),
+    ],
+  });
+  const drop = useMutation((id) => api.delete(`/enrollments/${id}`), {
+    invalidates: [
+      queryKeys.enrollments(),
+      queryKeys.courses(),
+      queryKeys.results(),
+      queryKeys.degreeAudit(),
+    ],
+  });
+
+  // Show teaching view to anyone who teaches
+  if (isTeaching) {
     return <TeacherCoursesView />;
   }
 
   /**
    * Handle course enrollment submission
-   * Enrolls student in selected course with semester and section
+   * Rejections with reasons stay in the modal so the student can adjust
+   * @returns {Promise<boolean>} Whether the request was accepted
    */
   const handleEnrollSubmit = async (data) => {
-    setLoading(true);
+    setRejection(null);
     try {
-      // TODO: Replace with actual API call
-      // await api.post('/courses/enroll', data);
-      console.log("Enrollment data:", data);
-
-      // Simulate API call
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-
-      // Close modal on success
+      const enrollment = await enroll.mutateAsync(data);
+      const code = enrollment.course?.code || "course";
       setIsEnrollModalOpen(false);
-      success("Successfully enrolled in course!");
+      success(
+        enrollment.status === "waitlisted"
+          ? `Added to the ${code} waitlist (position ${enrollment.waitlistPosition})`
+          : `Enrolled in ${code} Section ${enrollment.section}`
+      );
+      return true;
+    } catch (err) {
+      if (err.data?.reasons) {
+        setRejection({
+          message: err.message,
+          reasons: err.data.reasons,
+          waitlistAvailable: Boolean(err.data.waitlistAvailable),
+        });
+      } else {
+        console.error("Enrollment error:", err);
+        error(err.message || "Failed to enroll in course. Please try again.");
+      }
+      return false;
+    }
+  };
+
+  const handleConfirmDrop = async () => {
+    const { course, action } = dropTarget;
+    try {
+      await drop.mutateAsync(course.id);
+      setDropTarget(null);
+      success(DROP_ACTIONS[action].done(course));
     } catch (err) {
-      console.error("Enrollment error:", err);
-      error("Failed to enroll in course. Please try again.");
-    } finally {
-      setLoading(false);
+      console.error("Drop error:", err);
+      error(err.message || "Failed to update enrollment. Please try again.");
     }
   };
 
-  const courses = [
-    {
-      id: 1,
-      code: "CS101",
-      name: "Introduction to Computer Science",
-      creditHours: 3,
-      instructor: "Dr. Ahmed Ali",
-      semester: "Fall 2024",
-      status: "enrolled",
-    },
-    {
-      id: 2,
-      code: "CS201",
-      name: "Data Structures",
-      creditHours: 3,
-      instructor: "Dr. Sara Khan",
-      semester: "Fall 2024",
-      status: "enrolled",
-    },
-    {
-      id: 3,
-      code: "CS301",
-      name: "Database Systems",
-      creditHours: 3,
-      instructor: "Dr. Muhammad Hassan",
-      semester: "Fall 2024",
-      status: "enrolled",
-    },
-  ];
+  // Which drop action (if any) applies to a listed course right now
+  const dropActionFor = (course) => {
+    if (course.status === "waitlisted") return "leaveWaitlist";
+    if (course.status !== "enrolled") return null;
+    return getDropOutcome(findWindow(windows, course.semester), now);
+  };
+
+  const closeEnrollModal = () => {
+    setIsEnrollModalOpen(false);
+    setRejection(null);
+  };
 
-  const upcomingCourses = [
-    {
-      id: 4,
-      code: "CS401",
-      name: "Web Development",
-      creditHours: 3,
-      instructor: "Dr. Ahmed Ali",
-      semester: "Spring 2025",
-      status: "upcoming",
-    },
-    {
-      id: 5,
-      code: "CS501",
-      name: "Machine Learning",
-      creditHours: 3,
-      instructor: "Dr. Sara Khan",
-      semester: "Spring 2025",
+  const courses = enrollments
+    .filter((enrollment) => LISTED_STATUSES.includes(enrollment.status))
+    .map((enrollment) => ({
+      ...enrollment.course,
+      id: enrollment.id,
+      section: enrollment.section,
+      status: enrollment.status,
+      waitlistPosition: enrollment.waitlistPosition,
+    }))
+    .map((course) => ({ ...course, dropAction: dropActionFor(course) }));
+
+  const enrolledCourseIds = enrollments
+    .filter((enrollment) => ACTIVE_STATUSES.includes(enrollment.status))
+    .map((enrollment) => enrollment.courseId);
+  const upcomingCourses = catalogue
+    .filter((course) => !enrolledCourseIds.includes(course.id))
+    .map((course) => ({
+      ...course,
+      instructor: course.teacher?.user?.fullName,
       status: "upcoming",
-    },
-  ];
+    }));
 
+  const loading = activeTab === "enrolled" ? loadingEnrollments : loadingCatalogue;
   const displayCourses = activeTab === "enrolled" ? courses : upcomingCourses;
 
   return (
@@ -141,6 +243,11 @@ export default function CoursesList() {
         )}
       </div>
 
+      <EnrollmentWindowBanner
+        enrollmentWindow={findWindow(windows, UPCOMING_SEMESTER)}
+        semester={UPCOMING_SEMESTER}
+      />
+
       {/* Tabs */}
       <div className="flex items-center space-x-1 sm:space-x-2 bg-gray-100 rounded-lg p-1">
         <button
@@ -169,16 +276,50 @@ export default function CoursesList() {
 
       <Modal
         isOpen={isEnrollModalOpen}
-        onClose={() => setIsEnrollModalOpen(false)}
+        onClose={closeEnrollModal}
         title="Enroll in Course"
       >
         <EnrollCourseForm
           onSubmit={handleEnrollSubmit}
-          onCancel={() => setIsEnrollModalOpen(false)}
-          loading={loading}
+          onCancel={closeEnrollModal}
+          loading={enroll.isPending}
+          rejection={rejection}
+          onDismissRejection={() => setRejection(null)}
         />
       </Modal>
 
+      {/* Drop / Withdraw Confirmation Modal */}
+      <Modal
+        isOpen={Boolean(dropTarget)}
+        onClose={() => setDropTarget(null)}
+        title={dropTarget ? DROP_ACTIONS[dropTarget.action].title : ""}
+      >
+        {dropTarget && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              {DROP_ACTIONS[dropTarget.action].describe(dropTarget.course)}
+            </p>
+            <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+              <Button variant="outline" onClick={() => setDropTarget(null)}>
+                Cancel
+              </Button>
+              <Button
+                variant="danger"
+                onClick={handleConfirmDrop}
+                disabled={drop.isPending}
+              >
+                {drop.isPending && (
+                  <span className="mr-2">
+                    <Loading size="sm" />
+                  </span>
+                )}
+                {DROP_ACTIONS[dropTarget.action].label}
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+
       {/* View Details Modal */}
       <Modal
         isOpen={isViewDetailsModalOpen}
@@ -207,8 +348,10 @@ export default function CoursesList() {
                     </p>
                   </div>
                 </div>
-                <span className="px-2 sm:px-3 py-1 sm:py-1.5 bg-green-100 text-green-800 text-xs font-semibold rounded-md whitespace-nowrap flex-shrink-0 self-start sm:self-auto">
-                  {selectedCourse.status}
+                <span
+                  className={`px-2 sm:px-3 py-1 sm:py-1.5 text-xs font-semibold rounded-md whitespace-nowrap flex-shrink-0 self-start sm:self-auto ${STATUS_STYLES[selectedCourse.status]}`}
+                >
+                  {statusLabel(selectedCourse)}
                 </span>
               </div>
             </div>
@@ -246,6 +389,7 @@ export default function CoursesList() {
                 </div>
                 <p className="text-sm sm:text-base font-semibold text-gray-900 break-words">
                   {selectedCourse.semester}
+                  {selectedCourse.section && ` - Section ${selectedCourse.section}`}
                 </p>
               </div>
             </div>
@@ -256,10 +400,8 @@ export default function CoursesList() {
                 Course Description
               </p>
               <p className="text-xs sm:text-sm leading-relaxed text-gray-700 break-words">
-                This course covers fundamental concepts and principles related
-                to {selectedCourse.name.toLowerCase()}. Students will learn
-                essential skills and knowledge required for advanced studies in
-                this field.
+                {selectedCourse.description ||
+                  `This course covers fundamental concepts and principles related to ${selectedCourse.name.toLowerCase()}. Students will learn essential skills and knowledge required for advanced studies in this field.`}
               </p>
             </div>
 
@@ -304,7 +446,16 @@ export default function CoursesList() {
       </Modal>
 
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {displayCourses.length === 0 ? (
+        {loading ? (
+          <div className="col-span-full">
+            <Card>
+              <div className="text-center py-8">
+                <Loading size="md" />
+                <p className="text-gray-600 mt-3">Loading courses...</p>
+              </div>
+            </Card>
+          </div>
+        ) : displayCourses.length === 0 ? (
           <div className="col-span-full">
             <Card>
               <EmptyState
@@ -352,29 +503,41 @@ export default function CoursesList() {
                 <Clock className="w-4 h-4 mr-2" />
                 {course.creditHours} Credit Hours
               </div>
-              <div className="text-sm text-gray-600">{course.semester}</div>
+              <div className="text-sm text-gray-600">
+                {course.semester}
+                {course.section && ` - Section ${course.section}`}
+              </div>
             </div>
 
             <div className="flex items-center justify-between pt-4 border-t border-gray-200">
               <span
-                className={`px-3 py-1 text-xs font-medium rounded-md ${
-                  course.status === "enrolled"
-                    ? "bg-green-100 text-green-800"
-                    : "bg-blue-100 text-blue-800"
-                }`}
+                className={`px-3 py-1 text-xs font-medium rounded-md ${STATUS_STYLES[course.status]}`}
               >
-                {course.status}
+                {statusLabel(course)}
               </span>
-              <Button
-                variant="outline"
-                size="sm"
-                onClick={() => {
-                  setSelectedCourse(course);
-                  setIsViewDetailsModalOpen(true);
-                }}
-              >
-                View Details
-              </Button>
+              <div className="flex items-center gap-2">
+                {course.dropAction && (
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() =>
+                      setDropTarget({ course, action: course.dropAction })
+                    }
+                  >
+                    {DROP_ACTIONS[course.dropAction].label}
+                  </Button>
+                )}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => {
+                    setSelectedCourse(course);
+                    setIsViewDetailsModalOpen(true);
+                  }}
+                >
+                  View Details
+                </Button>
+              </div>
             </div>
           </Card>
           ))
@@ -3,63 +3,123 @@
 import { useForm } from "react-hook-form";
 import { yupResolver } from "@hookform/resolvers/yup";
 import * as yup from "yup";
+import Alert from "@/components/common/alert";
 import Button from "@/components/common/button";
-import Input from "@/components/common/input";
 import Select from "@/components/common/select";
 import Loading from "@/components/common/loading";
+import { useQuery } from "@/lib/query";
+import {
+  queryKeys,
+  fetchCourses,
+  fetchEnrollmentWindows,
+} from "@/lib/query/queries";
+import {
+  findWindow,
+  getWindowPhase,
+  WINDOW_PHASES,
+} from "@/lib/academics/enrollment-windows";
+import { useNow } from "@/hooks/use-now";
+import EnrollmentWindowBanner from "@/components/courses/enrollment-window-banner";
 
 const enrollCourseSchema = yup.object().shape({
-  courseCode: yup
-    .string()
-    .required("Course code is required")
-    .matches(/^[A-Z]{2}\d{3}$/, "Course code must be in format like CS101"),
   semester: yup.string().required("Semester is required"),
+  courseId: yup.string().required("Course is required"),
   section: yup.string().required("Section is required"),
 });
 
+function sectionLabel(section) {
+  if (section.available === undefined) return `Section ${section.name}`;
+  if (section.available === 0) {
+    return `Section ${section.name} - Full (${section.waitlisted} on waitlist)`;
+  }
+  return `Section ${section.name} - ${section.available} of ${section.capacity} seats left`;
+}
+
+/**
+ * Enroll Course Form
+ *
+ * Picks a course and section from the semester's catalogue. Enrolling is only
+ * offered while the semester's add/drop window is open. Eligibility is
+ * decided by the backend; when it rejects the request, `rejection` holds the
+ * reasons and, for a full section, the option to join its waitlist.
+ *
+ * @param {function} onSubmit - (data) => Promise<boolean>, true when enrolled
+ * @param {object|null} rejection - { message, reasons, waitlistAvailable }
+ * @param {function} onDismissRejection - Clears `rejection`
+ */
 export default function EnrollCourseForm({
   onSubmit,
   onCancel,
   loading = false,
+  rejection = null,
+  onDismissRejection,
 }) {
   const {
     register,
     handleSubmit,
     formState: { errors },
     reset,
+    watch,
+    setValue,
   } = useForm({
     resolver: yupResolver(enrollCourseSchema),
     defaultValues: {
-      courseCode: "",
       semester: "",
+      courseId: "",
       section: "",
     },
   });
 
+  const semester = watch("semester");
+  const courseId = watch("courseId");
+  const section = watch("section");
+
+  const { data: courses = [], isLoading: loadingCourses } = useQuery(
+    queryKeys.courses(semester),
+    () => fetchCourses(semester),
+    { enabled: Boolean(semester) }
+  );
+  const selectedCourse = courses.find((course) => course.id === courseId);
+
+  const { data: windows = [] } = useQuery(
+    queryKeys.enrollmentWindows(),
+    fetchEnrollmentWindows
+  );
+  const now = useNow(60 * 1000);
+  const semesterWindow = findWindow(windows, semester);
+  const enrollmentOpen =
+    getWindowPhase(semesterWindow, now) === WINDOW_PHASES.ADD_DROP;
+
+  // Changing a choice invalidates the ones below it and any old rejection
+  const handleSemesterChange = () => {
+    setValue("courseId", "");
+    setValue("section", "");
+    onDismissRejection?.();
+  };
+
+  const handleCourseChange = () => {
+    setValue("section", "");
+    onDismissRejection?.();
+  };
+
   const handleFormSubmit = async (data) => {
-    await onSubmit(data);
-    reset();
+    const enrolled = await onSubmit(data);
+    if (enrolled) reset();
   };
 
   const handleCancel = () => {
     reset();
+    onDismissRejection?.();
     onCancel();
   };
 
   return (
     <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
-      <Input
-        label="Course Code"
-        name="courseCode"
-        placeholder="e.g., CS101"
-        register={register}
-        error={errors.courseCode?.message}
-        required
-      />
-
       <Select
         label="Semester"
         name="semester"
+        value={semester}
+        onChange={handleSemesterChange}
         register={register}
         placeholder="Select Semester"
         error={errors.semester?.message}
@@ -67,32 +127,122 @@ export default function EnrollCourseForm({
         options={["Fall 2024", "Spring 2025", "Summer 2025"]}
       />
 
+      {semester && (
+        <EnrollmentWindowBanner
+          enrollmentWindow={semesterWindow}
+          semester={semester}
+        />
+      )}
+
+      <Select
+        label="Course"
+        name="courseId"
+        value={courseId}
+        onChange={handleCourseChange}
+        register={register}
+        placeholder={
+          !semester
+            ? "Select a semester first"
+            : loadingCourses
+            ? "Loading courses..."
+            : courses.length === 0
+            ? "No courses offered this semester"
+            : "Select Course"
+        }
+        error={errors.courseId?.message}
+        required
+        options={courses.map((course) => ({
+          value: course.id,
+          label: `${course.code} - ${course.name}`,
+        }))}
+      />
+
+      {selectedCourse && (
+        <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 text-xs sm:text-sm text-gray-600 space-y-1">
+          <p>
+            <span className="font-medium text-gray-700">Instructor:</span>{" "}
+            {selectedCourse.teacher?.user?.fullName || "TBA"}
+          </p>
+          <p>
+            <span className="font-medium text-gray-700">Credit Hours:</span>{" "}
+            {selectedCourse.creditHours}
+          </p>
+          <p>
+            <span className="font-medium text-gray-700">Prerequisites:</span>{" "}
+            {selectedCourse.prerequisites?.length
+              ? selectedCourse.prerequisites.join(", ")
+              : "None"}
+          </p>
+        </div>
+      )}
+
       <Select
         label="Section"
         name="section"
+        value={section}
+        onChange={() => onDismissRejection?.()}
         register={register}
-        placeholder="Select Section"
+        placeholder={selectedCourse ? "Select Section" : "Select a course first"}
         error={errors.section?.message}
         required
-        options={[
-          { value: "A", label: "Section A" },
-          { value: "B", label: "Section B" },
-          { value: "C", label: "Section C" },
-        ]}
+        options={(selectedCourse?.sections || []).map((s) => ({
+          value: s.name,
+          label: sectionLabel(s),
+        }))}
       />
 
+      {rejection && (
+        <Alert
+          type={rejection.waitlistAvailable ? "warning" : "error"}
+          title={rejection.message}
+          onClose={onDismissRejection}
+        >
+          <ul className="list-disc pl-4 space-y-0.5">
+            {rejection.reasons.map((reason, index) => (
+              <li key={`${reason.code}-${index}`}>{reason.message}</li>
+            ))}
+          </ul>
+          {rejection.waitlistAvailable && (
+            <p className="mt-2">
+              You can join the waitlist and will be enrolled automatically
+              when a seat opens.
+            </p>
+          )}
+        </Alert>
+      )}
+
       <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
         <Button type="button" variant="outline" onClick={handleCancel}>
           Cancel
         </Button>
-        <Button type="submit" disabled={loading}>
-          {loading && (
-            <span className="mr-2">
-              <Loading size="sm" />
-            </span>
-          )}
-          Enroll
-        </Button>
+        {rejection?.waitlistAvailable ? (
+          <Button
+            type="button"
+            disabled={loading || !enrollmentOpen}
+            onClick={handleSubmit((data) =>
+              handleFormSubmit({ ...data, waitlist: true })
+            )}
+          >
+            {loading && (
+              <span className="mr-2">
+                <Loading size="sm" />
+              </span>
+            )}
+            Join Waitlist
+          </Button>
+        ) : (
+          <Button
+            type="submit"
+            disabled={loading || Boolean(semester && !enrollmentOpen)}
+          >
+            {loading && (
+              <span className="mr-2">
+                <Loading size="sm" />
+              </span>
+            )}
+            Enroll
+          </Button>
+        )}
       </div>
     </form>
   );
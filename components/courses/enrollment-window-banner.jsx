@@ -0,0 +1,71 @@
+"use client";
+
+import Alert from "@/components/common/alert";
+import { useNow } from "@/hooks/use-now";
+import { formatCountdown, formatDateTime } from "@/lib/utils";
+import {
+  getNextDeadline,
+  getWindowPhase,
+  WINDOW_PHASES,
+} from "@/lib/academics/enrollment-windows";
+
+const PHASE_ALERTS = {
+  [WINDOW_PHASES.ADD_DROP]: {
+    type: "success",
+    title: (semester) => `Add/drop is open for ${semester}`,
+  },
+  [WINDOW_PHASES.WITHDRAWAL]: {
+    type: "warning",
+    title: (semester) => `Add/drop for ${semester} has closed`,
+    note: 'Dropping a course now is a withdrawal and records a "W" grade.',
+  },
+  [WINDOW_PHASES.UPCOMING]: {
+    type: "info",
+    title: (semester) => `Enrollment for ${semester} has not opened yet`,
+  },
+  [WINDOW_PHASES.CLOSED]: {
+    type: "info",
+    title: (semester) => `Enrollment for ${semester} is closed`,
+  },
+  [WINDOW_PHASES.NOT_SET]: {
+    type: "info",
+    title: (semester) =>
+      `Enrollment dates for ${semester} have not been announced`,
+  },
+};
+
+/**
+ * Enrollment Window Banner
+ *
+ * Shows where a semester is in its add/drop/withdrawal window with a live
+ * countdown to the next deadline.
+ *
+ * @param {object|null} enrollmentWindow - Window for the semester, if any
+ * @param {string} semester - Semester name
+ */
+export default function EnrollmentWindowBanner({
+  enrollmentWindow,
+  semester,
+  className = "",
+}) {
+  const now = useNow();
+  const phase = getWindowPhase(enrollmentWindow, now);
+  const deadline = getNextDeadline(enrollmentWindow, now);
+  const alert = PHASE_ALERTS[phase];
+
+  return (
+    <Alert
+      type={alert.type}
+      title={alert.title(semester)}
+      message={
+        deadline &&
+        `${deadline.label} in ${formatCountdown(
+          Date.parse(deadline.at) - now
+        )} (${formatDateTime(deadline.at)})`
+      }
+      className={className}
+    >
+      {alert.note && <p className="mt-1">{alert.note}</p>}
+    </Alert>
+  );
+}
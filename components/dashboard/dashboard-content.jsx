@@ -1,9 +1,20 @@
 "use client";
 
-import { useState, useEffect } from "react";
+import { useState } from "react";
 import Card from "@/components/common/card";
+import FeeDueNotice from "@/components/fees/fee-due-notice";
+import UpcomingExams from "@/components/exams/upcoming-exams";
+import LibrarianDashboard from "@/components/library/librarian-dashboard";
 import { useAuth } from "@/contexts/auth-context";
-import { api } from "@/lib/utils/api";
+import { useQuery } from "@/lib/query";
+import {
+  queryKeys,
+  fetchUsers,
+  fetchCourses,
+  fetchMyExams,
+} from "@/lib/query/queries";
+import { useNow } from "@/hooks/use-now";
+import { toCampusDate } from "@/lib/calendar/academic-calendar";
 import {
   BookOpen,
   FileText,
@@ -28,95 +39,48 @@ import {
  * - Academic summary (GPA, CGPA, degree progress)
  * - Today's timetable
  * - Quick stats (courses, assignments, exams, library)
+ * - Upcoming exams with their rooms and the student's seats
+ * - Fees due within a week or overdue
  *
  * Teacher View:
  * - Teaching summary (total students, average rating)
  * - Quick stats (assigned courses, pending submissions, etc.)
  *
  * Both views include recent notifications widget.
+ *
+ * Librarians get the library dashboard (components/library) instead.
  */
 
 export default function DashboardContent() {
-  const { isTeacher, isAdmin, user } = useAuth();
-  const [adminStats, setAdminStats] = useState({
-    totalStudents: 0,
-    totalTeachers: 0,
-    totalCourses: 0,
-    activeUsers: 0,
+  const { isAdmin, user, can } = useAuth();
+  // Teachers and TAs share the teaching dashboard
+  const isTeacher = can("courses:teach");
+
+  // Shares cache entries with the admin pages, so counts stay in sync
+  const studentsQuery = useQuery(
+    queryKeys.users("student"),
+    () => fetchUsers("student"),
+    { enabled: isAdmin }
+  );
+  const teachersQuery = useQuery(
+    queryKeys.users("teacher"),
+    () => fetchUsers("teacher"),
+    { enabled: isAdmin }
+  );
+  const coursesQuery = useQuery(queryKeys.courses(), fetchCourses, {
+    enabled: isAdmin,
   });
-  const [loadingStats, setLoadingStats] = useState(false);
-
-  // Fetch admin stats
-  useEffect(() => {
-    if (isAdmin) {
-      fetchAdminStats();
-    }
-  }, [isAdmin]);
-
-  // Check if using mock token
-  const isMockUser = typeof window !== "undefined" && 
-    localStorage.getItem("token")?.startsWith("mock-token-");
-
-  const fetchAdminStats = async () => {
-    setLoadingStats(true);
-    
-    // Check if using mock token - use mock data directly
-    const token = typeof window !== "undefined" ? localStorage.getItem("token") : null;
-    if (token && token.startsWith("mock-token-")) {
-      // Use mock data directly for mock users
-      const { mockStudents, mockTeachers, mockCourses } = await import("@/lib/mock-data/admin-mock-data");
-      setAdminStats({
-        totalStudents: mockStudents.length,
-        totalTeachers: mockTeachers.length,
-        totalCourses: mockCourses.length,
-        activeUsers: mockStudents.length + mockTeachers.length,
-      });
-      setLoadingStats(false);
-      return;
-    }
-    
-    try {
-      // Fetch all data in parallel
-      const [studentsRes, teachersRes, coursesRes] = await Promise.all([
-        api.get("/users?role=student").catch(() => []),
-        api.get("/users?role=teacher").catch(() => []),
-        api.get("/courses").catch(() => []),
-      ]);
-
-      // Handle responses - could be array or object with data property
-      const students = Array.isArray(studentsRes) ? studentsRes : studentsRes?.data || [];
-      const teachers = Array.isArray(teachersRes) ? teachersRes : teachersRes?.data || [];
-      const courses = Array.isArray(coursesRes) ? coursesRes : coursesRes?.data || [];
-      
-      // Use mock data if no real data
-      const { mockStudents, mockTeachers, mockCourses } = await import("@/lib/mock-data/admin-mock-data");
-      const finalStudents = students.length > 0 ? students : mockStudents;
-      const finalTeachers = teachers.length > 0 ? teachers : mockTeachers;
-      const finalCourses = courses.length > 0 ? courses : mockCourses;
-      
-      const activeUsers = [...finalStudents, ...finalTeachers].filter(
-        (u) => u.isActive !== false
-      ).length;
-
-      setAdminStats({
-        totalStudents: finalStudents.length,
-        totalTeachers: finalTeachers.length,
-        totalCourses: finalCourses.length,
-        activeUsers,
-      });
-    } catch (error) {
-      console.error("Error fetching admin stats:", error);
-      // Use mock data on error
-      const { mockStudents, mockTeachers, mockCourses } = await import("@/lib/mock-data/admin-mock-data");
-      setAdminStats({
-        totalStudents: mockStudents.length,
-        totalTeachers: mockTeachers.length,
-        totalCourses: mockCourses.length,
-        activeUsers: mockStudents.length + mockTeachers.length,
-      });
-    } finally {
-      setLoadingStats(false);
-    }
+  const loadingStats =
+    studentsQuery.isLoading || teachersQuery.isLoading || coursesQuery.isLoading;
+
+  const students = studentsQuery.data || [];
+  const teachers = teachersQuery.data || [];
+  const adminStats = {
+    totalStudents: students.length,
+    totalTeachers: teachers.length,
+    totalCourses: (coursesQuery.data || []).length,
+    activeUsers: [...students, ...teachers].filter((u) => u.isActive !== false)
+      .length,
   };
 
   // Teacher-specific statistics
@@ -131,10 +95,19 @@ export default function DashboardContent() {
   const studentStats = {
     enrolledCourses: 5,
     pendingAssignments: 3,
-    upcomingExams: 2,
     libraryBooks: 2,
   };
 
+  // Shares the student's exams with the upcoming exams card
+  const canViewExams = can("exams:view");
+  const today = toCampusDate(useNow(60 * 1000));
+  const examsQuery = useQuery(queryKeys.myExams(), fetchMyExams, {
+    enabled: canViewExams,
+  });
+  const upcomingExams = (examsQuery.data || []).filter(
+    (exam) => exam.date >= today
+  ).length;
+
   const [stats] = useState(isTeacher ? teacherStats : studentStats);
 
   const [academicInfo] = useState({
@@ -180,6 +153,10 @@ export default function DashboardContent() {
         profileImage: user?.profileImage || null,
       };
 
+  if (can("library:manage")) {
+    return <LibrarianDashboard />;
+  }
+
   return (
     <div className="space-y-5 sm:space-y-6">
       {/* Profile Section */}
@@ -258,6 +235,9 @@ export default function DashboardContent() {
         </p>
       </div>
 
+      {/* Fees due soon or overdue */}
+      <FeeDueNotice enabled={can("fees:view")} />
+
       {/* Stats Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 md:gap-6">
         {isAdmin ? (
@@ -413,7 +393,7 @@ export default function DashboardContent() {
                     Upcoming Exams
                   </p>
                   <p className="text-2xl sm:text-3xl font-bold mt-1">
-                    {stats.upcomingExams}
+                    {upcomingExams}
                   </p>
                 </div>
                 <Calendar className="w-8 h-8 sm:w-10 sm:h-10 md:w-12 md:h-12 text-red-200 flex-shrink-0 ml-2" />
@@ -609,6 +589,8 @@ export default function DashboardContent() {
                   ))}
                 </div>
               </Card>
+
+              <UpcomingExams enabled={canViewExams} />
             </>
           )}
         </div>
@@ -5,6 +5,7 @@ import { useRouter } from "next/navigation";
 import Link from "next/link";
 import { User, Settings, LogOut, ChevronDown } from "lucide-react";
 import { useAuth } from "@/contexts/auth-context";
+import { ROLE_LABELS } from "@/lib/auth/permissions";
 
 /**
  * Profile Dropdown Component
@@ -27,13 +28,13 @@ import { useAuth } from "@/contexts/auth-context";
 
 export default function ProfileDropdown() {
   const router = useRouter();
-  const { user, role, isTeacher, isAdmin, logout } = useAuth();
+  const { user, role, logout } = useAuth();
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = useRef(null);
 
   const userName = user?.fullName || "User";
 
-  const userRole = isAdmin ? "Admin" : isTeacher ? "Teacher" : "Student";
+  const userRole = ROLE_LABELS[role] || "Student";
 
   const handleLogout = () => {
     logout();
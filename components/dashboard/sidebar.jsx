@@ -20,6 +20,15 @@ import {
   Users,
   GraduationCap,
   Settings,
+  CalendarClock,
+  Award,
+  ShieldCheck,
+  Landmark,
+  Hourglass,
+  ArrowLeftRight,
+  AlarmClock,
+  ClipboardCheck,
+  NotebookPen,
 } from "lucide-react";
 import { useState } from "react";
 import { useAuth } from "@/contexts/auth-context";
@@ -27,71 +36,204 @@ import { useAuth } from "@/contexts/auth-context";
 /**
  * Sidebar Navigation Component
  *
- * Main navigation sidebar with role-based menu items.
- * Shows different navigation items for students and teachers.
+ * Main navigation sidebar with permission-based menu items.
+ * Each item lists label variants guarded by a permission; the first variant
+ * the user holds is shown, and items with no matching variant are hidden.
  * Includes mobile-responsive menu toggle.
  *
  * Student menu: Dashboard, Courses, Results, Assignments, Fees, Notifications, etc.
  * Teacher menu: Dashboard, My Courses, Enter Grades, Assignments, Notifications, etc.
+ * Admin menu: Dashboard, Students, Teachers, Courses, Timetable, Notifications, Settings
+ * Librarian menu: Dashboard, Circulation Desk, Catalogue, Overdue Loans, Notifications
  */
 
-// Default student menu items
 const menuItems = [
-  { name: "Dashboard", href: "/dashboard", icon: LayoutDashboard },
-  { name: "Courses", href: "/courses", icon: BookOpen },
-  { name: "Results", href: "/results", icon: FileText },
-  { name: "Assignments", href: "/assignments", icon: FileText },
-  { name: "Fees", href: "/fees", icon: DollarSign },
-  { name: "Notifications", href: "/notifications", icon: Bell },
-  { name: "Timetable", href: "/timetable", icon: Calendar },
-  { name: "Library", href: "/library", icon: Library },
-  { name: "Forum", href: "/forum", icon: MessageSquare },
-  { name: "Lost & Found", href: "/lost-found", icon: Search },
-  { name: "Requests", href: "/requests", icon: FileQuestion },
-  { name: "Feedback", href: "/feedback", icon: Star },
-  { name: "AI Chatbot", href: "/chatbot", icon: Bot },
+  {
+    href: "/dashboard",
+    icon: LayoutDashboard,
+    variants: [{ permission: "dashboard:view", name: "Dashboard" }],
+  },
+  {
+    href: "/admin/students",
+    icon: Users,
+    variants: [{ permission: "users:manage", name: "Students" }],
+  },
+  {
+    href: "/admin/teachers",
+    icon: GraduationCap,
+    variants: [{ permission: "users:manage", name: "Teachers" }],
+  },
+  {
+    href: "/admin/courses",
+    icon: BookOpen,
+    variants: [{ permission: "courses:manage", name: "Courses" }],
+  },
+  {
+    href: "/admin/enrollment-windows",
+    icon: CalendarClock,
+    variants: [{ permission: "courses:manage", name: "Enrollment Windows" }],
+  },
+  {
+    href: "/admin/grading-schemes",
+    icon: Award,
+    variants: [{ permission: "courses:manage", name: "Grading Schemes" }],
+  },
+  {
+    href: "/admin/transcripts",
+    icon: ShieldCheck,
+    variants: [{ permission: "transcripts:verify", name: "Verify Documents" }],
+  },
+  {
+    href: "/admin/fees",
+    icon: Landmark,
+    variants: [{ permission: "fees:manage", name: "Fee Reconciliation" }],
+  },
+  {
+    href: "/admin/late-fees",
+    icon: Hourglass,
+    variants: [{ permission: "fees:manage", name: "Late Fees" }],
+  },
+  {
+    href: "/admin/timetable",
+    icon: Calendar,
+    variants: [{ permission: "timetable:manage", name: "Timetable" }],
+  },
+  {
+    href: "/admin/attendance",
+    icon: ClipboardCheck,
+    variants: [{ permission: "attendance:export", name: "Attendance" }],
+  },
+  {
+    href: "/admin/exams",
+    icon: NotebookPen,
+    variants: [{ permission: "exams:manage", name: "Exams" }],
+  },
+  {
+    href: "/librarian/circulation",
+    icon: ArrowLeftRight,
+    variants: [{ permission: "library:manage", name: "Circulation Desk" }],
+  },
+  {
+    href: "/librarian/catalogue",
+    icon: Library,
+    variants: [{ permission: "library:manage", name: "Catalogue" }],
+  },
+  {
+    href: "/librarian/overdue",
+    icon: AlarmClock,
+    variants: [{ permission: "library:manage", name: "Overdue Loans" }],
+  },
+  {
+    href: "/courses",
+    icon: BookOpen,
+    variants: [
+      { permission: "courses:teach", name: "My Courses" },
+      { permission: "courses:enroll", name: "Courses" },
+    ],
+  },
+  {
+    href: "/results",
+    icon: FileText,
+    variants: [
+      { permission: "grades:enter", name: "Enter Grades" },
+      { permission: "results:view", name: "Results" },
+    ],
+  },
+  {
+    href: "/degree-audit",
+    icon: GraduationCap,
+    variants: [{ permission: "results:view", name: "Degree Audit" }],
+  },
+  {
+    href: "/assignments",
+    icon: FileText,
+    variants: [
+      { permission: "assignments:create", name: "Assignments" },
+      { permission: "assignments:grade", name: "Assignments" },
+      { permission: "assignments:submit", name: "Assignments" },
+    ],
+  },
+  {
+    href: "/fees",
+    icon: DollarSign,
+    variants: [{ permission: "fees:view", name: "Fees" }],
+  },
+  {
+    href: "/notifications",
+    icon: Bell,
+    variants: [{ permission: "notifications:view", name: "Notifications" }],
+  },
+  {
+    href: "/timetable",
+    icon: Calendar,
+    variants: [{ permission: "timetable:view", name: "Timetable" }],
+  },
+  {
+    href: "/attendance",
+    icon: ClipboardCheck,
+    variants: [
+      { permission: "attendance:take", name: "Take Attendance" },
+      { permission: "attendance:view", name: "Attendance" },
+    ],
+  },
+  {
+    href: "/library",
+    icon: Library,
+    variants: [{ permission: "library:use", name: "Library" }],
+  },
+  {
+    href: "/forum",
+    icon: MessageSquare,
+    variants: [{ permission: "forum:use", name: "Forum" }],
+  },
+  {
+    href: "/lost-found",
+    icon: Search,
+    variants: [{ permission: "lost-found:use", name: "Lost & Found" }],
+  },
+  {
+    href: "/requests",
+    icon: FileQuestion,
+    variants: [
+      { permission: "requests:respond", name: "Student Requests" },
+      { permission: "requests:submit", name: "Requests" },
+    ],
+  },
+  {
+    href: "/feedback",
+    icon: Star,
+    variants: [
+      { permission: "feedback:view-received", name: "Student Feedback" },
+      { permission: "feedback:submit", name: "Feedback" },
+    ],
+  },
+  {
+    href: "/chatbot",
+    icon: Bot,
+    variants: [{ permission: "chatbot:use", name: "AI Chatbot" }],
+  },
+  {
+    href: "/settings",
+    icon: Settings,
+    variants: [{ permission: "system:settings", name: "Settings" }],
+  },
 ];
 
 export default function Sidebar() {
   const pathname = usePathname();
-  const { role, isTeacher, isAdmin } = useAuth();
+  const { can } = useAuth();
   const [isMobileOpen, setIsMobileOpen] = useState(false);
 
   /**
-   * Get menu items based on user role
-   * Returns admin, teacher-specific menu, or default student menu
+   * Resolve menu items the user may see, with their role-specific labels
    */
-  const getMenuItems = () => {
-    if (isAdmin) {
-      // Admin-specific menu items
-      return [
-        { name: "Dashboard", href: "/dashboard", icon: LayoutDashboard },
-        { name: "Students", href: "/admin/students", icon: Users },
-        { name: "Teachers", href: "/admin/teachers", icon: GraduationCap },
-        { name: "Courses", href: "/admin/courses", icon: BookOpen },
-        { name: "Timetable", href: "/admin/timetable", icon: Calendar },
-        { name: "Notifications", href: "/notifications", icon: Bell },
-        { name: "Settings", href: "/settings", icon: Settings },
-      ];
-    }
-    if (isTeacher) {
-      // Teacher-specific menu items (no Fees, Library, Lost & Found)
-      return [
-        { name: "Dashboard", href: "/dashboard", icon: LayoutDashboard },
-        { name: "My Courses", href: "/courses", icon: BookOpen },
-        { name: "Enter Grades", href: "/results", icon: FileText },
-        { name: "Assignments", href: "/assignments", icon: FileText },
-        { name: "Notifications", href: "/notifications", icon: Bell },
-        { name: "Timetable", href: "/timetable", icon: Calendar },
-        { name: "Forum", href: "/forum", icon: MessageSquare },
-        { name: "Student Requests", href: "/requests", icon: FileQuestion },
-        { name: "Student Feedback", href: "/feedback", icon: Star },
-        { name: "AI Chatbot", href: "/chatbot", icon: Bot },
-      ];
-    }
-    // Student menu items (default)
-    return menuItems;
-  };
+  const getMenuItems = () =>
+    menuItems
+      .map((item) => {
+        const variant = item.variants.find((v) => can(v.permission));
+        return variant ? { ...item, name: variant.name } : null;
+      })
+      .filter(Boolean);
 
   const filteredMenuItems = getMenuItems();
 
@@ -154,7 +296,7 @@ export default function Sidebar() {
 
               return (
                 <Link
-                  key={item.name}
+                  key={item.href}
                   href={item.href}
                   onClick={() => setIsMobileOpen(false)}
                   className={`
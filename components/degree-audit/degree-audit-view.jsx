@@ -0,0 +1,232 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import EmptyState from "@/components/common/empty-state";
+import ProgressBar from "@/components/degree-audit/progress-bar";
+import RequirementProgress from "@/components/degree-audit/requirement-progress";
+import WhatIfPlanner from "@/components/degree-audit/what-if-planner";
+import { useQuery } from "@/lib/query";
+import {
+  queryKeys,
+  fetchDegreeAudit,
+  fetchGradingSchemes,
+} from "@/lib/query/queries";
+import {
+  COURSE_STATUS,
+  auditDegree,
+  getProgramCourses,
+  projectCGPA,
+} from "@/lib/academics/degree-audit";
+import { resolveScheme } from "@/lib/academics/grading-schemes";
+import { CheckCircle, GraduationCap } from "lucide-react";
+
+/**
+ * Degree Audit View Component (Student View)
+ *
+ * Matches the student's passed and current courses against their program's
+ * requirements:
+ * - Overall credit-hour and CGPA progress
+ * - Each core and elective requirement with the courses counted towards it
+ *   and the ones still open
+ * - A what-if planner: planned courses (with optional expected grades) are
+ *   audited alongside the real ones and projected into the CGPA
+ */
+export default function DegreeAuditView() {
+  const [planned, setPlanned] = useState([]);
+
+  const {
+    data,
+    error: loadError,
+    isLoading: loading,
+    refetch,
+  } = useQuery(queryKeys.degreeAudit(), fetchDegreeAudit);
+  const { data: schemes = [] } = useQuery(
+    queryKeys.gradingSchemes(),
+    fetchGradingSchemes
+  );
+
+  if (loading) {
+    return (
+      <Card>
+        <div className="text-center py-8">
+          <Loading size="md" />
+          <p className="text-gray-600 mt-3">Loading degree audit...</p>
+        </div>
+      </Card>
+    );
+  }
+
+  if (loadError && !data) {
+    return (
+      <Card>
+        <div className="text-center py-8">
+          <p className="text-gray-600">Failed to load degree audit</p>
+          <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+          <Button
+            variant="outline"
+            size="sm"
+            className="mx-auto mt-3"
+            onClick={() => refetch().catch(() => null)}
+          >
+            Retry
+          </Button>
+        </div>
+      </Card>
+    );
+  }
+
+  const { programName, program, courses = [], results } = data || {};
+
+  if (!program) {
+    return (
+      <Card>
+        <EmptyState
+          icon={GraduationCap}
+          title="No degree requirements found"
+          description={
+            programName
+              ? `Requirements for ${programName} have not been set up yet. Please contact the registrar.`
+              : "Your profile does not list a degree program."
+          }
+        />
+      </Card>
+    );
+  }
+
+  const plannedCourses = planned.map((course) => ({
+    ...course,
+    status: COURSE_STATUS.PLANNED,
+  }));
+  const audit = auditDegree(program, [...courses, ...plannedCourses]);
+  const { credits } = audit;
+  const projectedCredits =
+    credits.earned + credits.inProgress + credits.planned;
+
+  const cgpa = results?.cgpa ?? null;
+  const projectedCGPA = projectCGPA(results?.semesters || [], planned, schemes);
+  const meetsMinCGPA = (value) =>
+    !(program.minCGPA > 0) || (value !== null && value >= program.minCGPA);
+  const graduated = audit.met && meetsMinCGPA(cgpa);
+  const onTrack = audit.projectedMet && meetsMinCGPA(projectedCGPA);
+  const gradeOptions = resolveScheme(schemes)
+    .bands.filter((band) => band.points > 0)
+    .sort((a, b) => b.min - a.min)
+    .map((band) => band.grade);
+
+  // Courses already passed or being taken cannot be planned again
+  const takenCodes = new Set(
+    courses.map((course) => course.code).concat(planned.map((c) => c.code))
+  );
+  const planOptions = getProgramCourses(program).filter(
+    (course, index, all) =>
+      !takenCodes.has(course.code) &&
+      all.findIndex((c) => c.code === course.code) === index
+  );
+  const planCourse = (course) => {
+    if (takenCodes.has(course.code)) return;
+    setPlanned([...planned, { ...course, grade: "" }]);
+  };
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-1.5 sm:mb-2">
+          Degree Audit
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600">
+          {program.name} · what you have completed and what is left to
+          graduate
+        </p>
+      </div>
+
+      {/* Overall Progress */}
+      <Card>
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <div>
+            <p className="text-sm text-gray-600">Credit hours earned</p>
+            <p className="text-3xl font-bold text-gray-900">
+              {credits.earned}
+              <span className="text-base font-normal text-gray-500">
+                {" "}
+                / {credits.required}
+              </span>
+            </p>
+          </div>
+          {graduated ? (
+            <span className="flex items-center gap-1.5 text-sm font-medium text-green-700">
+              <CheckCircle className="w-5 h-5" />
+              All requirements complete
+            </span>
+          ) : (
+            <span
+              className={`text-xs px-2 py-1 rounded-md self-start sm:self-auto ${
+                onTrack
+                  ? "bg-indigo-100 text-indigo-800"
+                  : "bg-yellow-100 text-yellow-800"
+              }`}
+            >
+              {onTrack
+                ? "On track with current and planned courses"
+                : "Requirements still open"}
+            </span>
+          )}
+        </div>
+        <div className="mt-3">
+          <ProgressBar
+            value={credits.earned}
+            projected={projectedCredits}
+            max={credits.required}
+            label="Credit hours towards graduation"
+          />
+        </div>
+        <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-600">
+          <span>{credits.inProgress} in progress</span>
+          {credits.planned > 0 && <span>{credits.planned} planned</span>}
+          <span>{credits.freeElective} as free electives</span>
+          <span>
+            {Math.max(0, credits.required - projectedCredits)} still needed
+          </span>
+        </div>
+        {program.minCGPA > 0 && (
+          <p
+            className={`text-sm mt-3 ${
+              meetsMinCGPA(cgpa) ? "text-gray-600" : "text-red-600"
+            }`}
+          >
+            CGPA {cgpa ?? "-"} (at least {program.minCGPA.toFixed(2)} needed
+            to graduate)
+          </p>
+        )}
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-5 sm:gap-6">
+        {/* Requirements */}
+        <div className="lg:col-span-2 space-y-3 sm:space-y-4">
+          {audit.requirements.map((requirement) => (
+            <RequirementProgress
+              key={requirement.id}
+              requirement={requirement}
+              onPlan={planCourse}
+            />
+          ))}
+        </div>
+
+        {/* What-If */}
+        <div>
+          <WhatIfPlanner
+            planned={planned}
+            options={planOptions}
+            gradeOptions={gradeOptions}
+            onChange={setPlanned}
+            currentCGPA={cgpa}
+            projectedCGPA={projectedCGPA}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+"use client";
+
+/**
+ * Progress Bar Component
+ *
+ * Stacked bar showing completed work and, lighter, what would be completed
+ * once in-progress and planned courses are passed.
+ *
+ * @param {number} value - Completed amount
+ * @param {number} [projected] - Completed amount with current and planned work
+ * @param {number} max - Amount needed
+ * @param {string} [label] - Accessible description
+ */
+export default function ProgressBar({ value, projected = value, max, label }) {
+  const percent = (amount) =>
+    max > 0 ? Math.min(100, Math.round((amount / max) * 100)) : 100;
+
+  return (
+    <div
+      className="relative w-full h-2 bg-gray-200 rounded-full overflow-hidden"
+      role="progressbar"
+      aria-label={label}
+      aria-valuemin={0}
+      aria-valuemax={max}
+      aria-valuenow={value}
+    >
+      <div
+        className="absolute inset-y-0 left-0 bg-indigo-200 transition-all"
+        style={{ width: `${percent(projected)}%` }}
+      />
+      <div
+        className="absolute inset-y-0 left-0 bg-indigo-600 transition-all"
+        style={{ width: `${percent(value)}%` }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+"use client";
+
+import Card from "@/components/common/card";
+import ProgressBar from "@/components/degree-audit/progress-bar";
+import { CheckCircle, Plus } from "lucide-react";
+import {
+  COURSE_STATUS,
+  REQUIREMENT_TYPES,
+} from "@/lib/academics/degree-audit";
+
+const STATUS_STYLES = {
+  [COURSE_STATUS.PASSED]: "bg-green-50 text-green-800 border-green-200",
+  [COURSE_STATUS.IN_PROGRESS]: "bg-blue-50 text-blue-800 border-blue-200",
+  [COURSE_STATUS.PLANNED]:
+    "bg-purple-50 text-purple-800 border-purple-300 border-dashed",
+};
+
+const STATUS_LABELS = {
+  [COURSE_STATUS.PASSED]: "Passed",
+  [COURSE_STATUS.IN_PROGRESS]: "In progress",
+  [COURSE_STATUS.PLANNED]: "Planned",
+};
+
+function describeRule(requirement) {
+  if (requirement.type === REQUIREMENT_TYPES.CORE) {
+    return `All ${requirement.courses.length} courses required`;
+  }
+  const parts = [];
+  if (requirement.minCredits) parts.push(`${requirement.minCredits} credits`);
+  if (requirement.minCourses) {
+    parts.push(
+      `${requirement.minCourses} course${requirement.minCourses === 1 ? "" : "s"}`
+    );
+  }
+  return `Choose at least ${parts.join(" and ")}`;
+}
+
+/**
+ * Requirement Progress Component
+ *
+ * One degree requirement from auditDegree(): its progress, the courses
+ * counted towards it and the ones still open, which can be added to the
+ * what-if plan.
+ *
+ * @param {object} requirement - Audited requirement
+ * @param {function} [onPlan] - (course) => void; adds an open course to the plan
+ */
+export default function RequirementProgress({ requirement, onPlan }) {
+  const {
+    name,
+    type,
+    matched,
+    missing,
+    unit,
+    earned,
+    projected,
+    needed,
+    met,
+    projectedMet,
+  } = requirement;
+
+  return (
+    <Card>
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <h3 className="font-semibold text-gray-900">{name}</h3>
+            <span className="text-xs px-2 py-0.5 rounded-md bg-gray-100 text-gray-700 capitalize">
+              {type}
+            </span>
+          </div>
+          <p className="text-xs text-gray-500 mt-0.5">
+            {describeRule(requirement)}
+          </p>
+        </div>
+        {met ? (
+          <span className="flex items-center gap-1 text-xs font-medium text-green-700 whitespace-nowrap">
+            <CheckCircle className="w-4 h-4" />
+            Complete
+          </span>
+        ) : (
+          <span className="text-xs text-gray-600 whitespace-nowrap">
+            {earned} / {needed} {unit}
+          </span>
+        )}
+      </div>
+
+      <div className="mt-3">
+        <ProgressBar
+          value={earned}
+          projected={projected}
+          max={needed}
+          label={`${name} progress`}
+        />
+        {!met && projectedMet && (
+          <p className="text-xs text-indigo-700 mt-1">
+            Complete once your current and planned courses are passed
+          </p>
+        )}
+      </div>
+
+      {matched.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mt-3">
+          {matched.map((course) => (
+            <span
+              key={course.code}
+              title={`${course.name} · ${STATUS_LABELS[course.status]}`}
+              className={`text-xs px-2 py-1 rounded-md border ${STATUS_STYLES[course.status]}`}
+            >
+              {course.code}
+              {course.grade && ` · ${course.grade}`}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {missing.length > 0 && !projectedMet && (
+        <div className="mt-3 pt-3 border-t border-gray-100">
+          <p className="text-xs font-medium text-gray-700 mb-1.5">
+            {type === REQUIREMENT_TYPES.CORE ? "Still required" : "Options"}
+          </p>
+          <ul className="space-y-1">
+            {missing.map((course) => (
+              <li
+                key={course.code}
+                className="flex items-center justify-between gap-2 text-sm"
+              >
+                <span className="text-gray-700 min-w-0 truncate">
+                  <span className="font-medium text-gray-900">
+                    {course.code}
+                  </span>{" "}
+                  {course.name}
+                  <span className="text-xs text-gray-500">
+                    {" "}
+                    · {course.creditHours} cr
+                  </span>
+                </span>
+                {onPlan && (
+                  <button
+                    type="button"
+                    onClick={() => onPlan(course)}
+                    className="flex items-center gap-0.5 text-xs font-medium text-indigo-600 hover:text-indigo-800 whitespace-nowrap"
+                  >
+                    <Plus className="w-3.5 h-3.5" />
+                    Plan
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,168 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import { Plus, Trash2 } from "lucide-react";
+
+const selectClassName =
+  "block w-full px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900 focus:outline-none";
+
+/**
+ * What-If Planner Component
+ *
+ * Lets a student try out future courses: each planned course can carry an
+ * expected grade, and the audit and projected CGPA update as the plan
+ * changes. Nothing here is saved.
+ *
+ * @param {object[]} planned - [{ code, name, creditHours, grade }]
+ * @param {object[]} options - Courses that can still be planned
+ * @param {string[]} gradeOptions - Letter grades to choose from, best first
+ * @param {function} onChange - (planned) => void
+ * @param {number|null} currentCGPA
+ * @param {number|null} projectedCGPA
+ */
+export default function WhatIfPlanner({
+  planned,
+  options,
+  gradeOptions,
+  onChange,
+  currentCGPA,
+  projectedCGPA,
+}) {
+  const [selectedCode, setSelectedCode] = useState("");
+
+  const addCourse = () => {
+    const course = options.find((option) => option.code === selectedCode);
+    if (!course) return;
+    onChange([...planned, { ...course, grade: "" }]);
+    setSelectedCode("");
+  };
+
+  const updateGrade = (code, grade) =>
+    onChange(
+      planned.map((course) =>
+        course.code === code ? { ...course, grade } : course
+      )
+    );
+
+  const removeCourse = (code) =>
+    onChange(planned.filter((course) => course.code !== code));
+
+  const cgpaChange =
+    currentCGPA !== null && projectedCGPA !== null
+      ? Math.round((projectedCGPA - currentCGPA) * 100) / 100
+      : null;
+
+  return (
+    <Card
+      title="What-If Planner"
+      subtitle="Add courses you plan to take to see how they move your audit"
+    >
+      <div className="space-y-3">
+        {planned.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No planned courses yet. Pick one below or use &quot;Plan&quot; on
+            an open requirement.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {planned.map((course) => (
+              <li key={course.code} className="flex items-center gap-2">
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {course.code} {course.name}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {course.creditHours} credit hours
+                  </p>
+                </div>
+                <select
+                  value={course.grade}
+                  onChange={(e) => updateGrade(course.code, e.target.value)}
+                  aria-label={`Expected grade for ${course.code}`}
+                  className={`${selectClassName} w-28 shrink-0`}
+                >
+                  <option value="">Grade?</option>
+                  {gradeOptions.map((grade) => (
+                    <option key={grade} value={grade}>
+                      {grade}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => removeCourse(course.code)}
+                  aria-label={`Remove ${course.code} from plan`}
+                  className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {options.length > 0 && (
+          <div className="flex items-center gap-2 pt-2 border-t border-gray-100">
+            <select
+              value={selectedCode}
+              onChange={(e) => setSelectedCode(e.target.value)}
+              aria-label="Course to plan"
+              className={selectClassName}
+            >
+              <option value="">Select a course to plan</option>
+              {options.map((option) => (
+                <option key={option.code} value={option.code}>
+                  {option.code} · {option.name}
+                </option>
+              ))}
+            </select>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              startIcon={<Plus className="w-4 h-4" />}
+              onClick={addCourse}
+              disabled={!selectedCode}
+            >
+              Add
+            </Button>
+          </div>
+        )}
+
+        <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+          <span className="text-gray-600">Projected CGPA</span>
+          <span className="font-semibold text-gray-900">
+            {projectedCGPA ?? "-"}
+            {cgpaChange !== null && cgpaChange !== 0 && (
+              <span
+                className={`ml-2 text-xs font-medium ${
+                  cgpaChange > 0 ? "text-green-700" : "text-red-600"
+                }`}
+              >
+                {cgpaChange > 0 ? "+" : ""}
+                {cgpaChange.toFixed(2)}
+              </span>
+            )}
+          </span>
+        </div>
+        {planned.some((course) => !course.grade) && (
+          <p className="text-xs text-gray-500">
+            Courses without an expected grade are left out of the projected
+            CGPA.
+          </p>
+        )}
+        {planned.length > 0 && (
+          <button
+            type="button"
+            onClick={() => onChange([])}
+            className="text-xs font-medium text-gray-600 hover:text-gray-900"
+          >
+            Clear plan
+          </button>
+        )}
+      </div>
+    </Card>
+  );
+}
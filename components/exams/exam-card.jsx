@@ -0,0 +1,56 @@
+"use client";
+
+import { Armchair, Clock, GraduationCap, MapPin } from "lucide-react";
+import { EXAM_TYPE_LABELS } from "@/lib/academics/exams";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+/**
+ * Exam Card Component
+ *
+ * One exam in the timetable calendar or on the dashboard: the paper, its
+ * time and rooms, and for students their seat once the seating plan is
+ * out.
+ *
+ * @param {object} exam - Exam from GET /calendar or GET /exams/me
+ * @param {boolean} [showDate] - Include the date, e.g. in a list of exams
+ */
+export default function ExamCard({ exam, showDate = false }) {
+  return (
+    <div className="p-3 rounded-lg border bg-purple-50 border-purple-200">
+      <div className="flex items-center space-x-2 mb-2">
+        <GraduationCap className="w-4 h-4 text-purple-600" />
+        <span className="text-xs font-medium text-purple-900">
+          {EXAM_TYPE_LABELS[exam.type]} Exam
+        </span>
+      </div>
+      <h4 className="font-semibold text-gray-900 text-sm mb-1">
+        {exam.course?.name}
+      </h4>
+      <p className="text-xs text-gray-600 mb-2">{exam.course?.code}</p>
+      <div className="space-y-1 text-xs text-gray-600">
+        <p className="flex items-center">
+          <Clock className="w-3 h-3 mr-1 shrink-0" />
+          {showDate && `${formatCalendarDate(exam.date)}, `}
+          {exam.startTime} - {exam.endTime}
+        </p>
+        {exam.seat ? (
+          <p className="flex items-center font-medium text-purple-900">
+            <Armchair className="w-3 h-3 mr-1 shrink-0" />
+            {exam.seat.room}, seat {exam.seat.label}
+          </p>
+        ) : (
+          <p className="flex items-center">
+            <MapPin className="w-3 h-3 mr-1 shrink-0" />
+            {exam.rooms.join(", ")}
+          </p>
+        )}
+        {exam.clashesWith?.length > 0 && (
+          <p className="font-medium text-red-600">
+            Clashes with {exam.clashesWith.join(", ")}: contact the exams
+            office
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+"use client";
+
+import Link from "next/link";
+import Card from "@/components/common/card";
+import ExamCard from "@/components/exams/exam-card";
+import { useQuery } from "@/lib/query";
+import { queryKeys, fetchMyExams } from "@/lib/query/queries";
+import { useNow } from "@/hooks/use-now";
+import { toCampusDate } from "@/lib/calendar/academic-calendar";
+
+// Exams listed on the dashboard
+const UPCOMING_EXAMS = 4;
+
+/**
+ * Upcoming Exams Component
+ *
+ * Dashboard card with the student's next exams, their times and rooms,
+ * and the seat once the seating plan is published. Renders nothing when
+ * no exam is coming up.
+ *
+ * @param {boolean} [enabled] - Whether to load the student's exams
+ */
+export default function UpcomingExams({ enabled = true }) {
+  const today = toCampusDate(useNow(60 * 1000));
+  // Shares the student's exams with the dashboard stats
+  const { data: exams = [] } = useQuery(queryKeys.myExams(), fetchMyExams, {
+    enabled,
+  });
+  const upcoming = exams.filter((exam) => exam.date >= today);
+  if (!enabled || upcoming.length === 0) return null;
+
+  return (
+    <Card title="Upcoming Exams">
+      <div className="space-y-3">
+        {upcoming.slice(0, UPCOMING_EXAMS).map((exam) => (
+          <ExamCard key={exam.id} exam={exam} showDate />
+        ))}
+        <Link
+          href="/timetable"
+          className="inline-block text-sm font-medium text-indigo-600 hover:text-indigo-700"
+        >
+          View in Timetable
+        </Link>
+      </div>
+    </Card>
+  );
+}
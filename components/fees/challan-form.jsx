@@ -0,0 +1,105 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import PaymentAmountField from "@/components/fees/payment-amount-field";
+import { getPaymentOptions, validatePaymentAmount } from "@/lib/fees/ledger";
+import { BANK_ACCOUNT, getChallanValidity } from "@/lib/fees/challan";
+import { formatCurrency, formatDate } from "@/lib/utils";
+
+/**
+ * Challan Form Component
+ *
+ * Generates a printable bank challan for all or part of a fee. A new
+ * challan replaces any unpaid one already issued for the fee.
+ *
+ * @param {object} fee - Fee with its summary ({ type, semester, summary })
+ * @param {boolean} hasUnpaidChallan - Whether an unpaid challan will be replaced
+ * @param {function} onSubmit - Called with the amount (number)
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ */
+export default function ChallanForm({
+  fee,
+  hasUnpaidChallan = false,
+  onSubmit,
+  onCancel,
+  loading = false,
+}) {
+  const { summary } = fee;
+  const [amount, setAmount] = useState(
+    String(getPaymentOptions(summary)[0]?.amount ?? "")
+  );
+  const [submitted, setSubmitted] = useState(false);
+  const amountError = submitted ? validatePaymentAmount(amount, summary) : null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitted(true);
+    if (validatePaymentAmount(amount, summary)) return;
+    await onSubmit(Number(amount));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {/* Fee Summary */}
+      <div className="p-4 bg-indigo-50 rounded-lg border border-indigo-200">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-sm font-medium text-gray-700">Fee Type:</span>
+          <span className="text-sm font-semibold text-gray-900">{fee.type}</span>
+        </div>
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-sm font-medium text-gray-700">Semester:</span>
+          <span className="text-sm font-semibold text-gray-900">
+            {fee.semester}
+          </span>
+        </div>
+        <div className="flex items-center justify-between pt-2 border-t border-indigo-200">
+          <span className="text-base font-bold text-gray-900">Balance:</span>
+          <span className="text-xl font-bold text-indigo-600">
+            {formatCurrency(summary.balance)}
+          </span>
+        </div>
+      </div>
+
+      <PaymentAmountField
+        summary={summary}
+        value={amount}
+        onChange={setAmount}
+        error={amountError}
+      />
+
+      <div className="p-4 bg-gray-50 rounded-lg border border-gray-200 text-xs text-gray-600 space-y-1">
+        <p>
+          Pay at any {BANK_ACCOUNT.bank} branch by{" "}
+          <span className="font-medium text-gray-900">
+            {formatDate(getChallanValidity(summary.nextDue.dueDate))}
+          </span>
+          . The payment shows in your ledger once the bank reports it to the
+          accounts office.
+        </p>
+        {hasUnpaidChallan && (
+          <p className="text-orange-700">
+            Your unpaid challan for this fee will be cancelled. Do not pay it
+            at the bank.
+          </p>
+        )}
+      </div>
+
+      <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={loading}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          Generate Challan
+        </Button>
+      </div>
+    </form>
+  );
+}
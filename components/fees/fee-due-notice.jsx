@@ -0,0 +1,75 @@
+"use client";
+
+import Link from "next/link";
+import { AlertCircle, Clock } from "lucide-react";
+import { useQuery } from "@/lib/query";
+import { queryKeys, fetchFees } from "@/lib/query/queries";
+import { FEE_REMINDER_KINDS } from "@/lib/fees/reminders";
+
+/**
+ * Fee Due Notice Component
+ *
+ * Dashboard banner listing the student's fees that are due within a week
+ * or already overdue (lib/fees/reminders.js), with a link to pay them.
+ * Renders nothing while loading or when no fee needs attention.
+ *
+ * @param {boolean} [enabled] - Whether to load the fee account
+ */
+export default function FeeDueNotice({ enabled = true }) {
+  // Shares the fee account with the fees page
+  const { data: account } = useQuery(queryKeys.fees(), fetchFees, {
+    enabled,
+  });
+  const reminders = account?.reminders || [];
+  if (!enabled || reminders.length === 0) return null;
+
+  const hasOverdue = reminders.some(
+    (reminder) => reminder.kind === FEE_REMINDER_KINDS.OVERDUE
+  );
+
+  return (
+    <div
+      className={`p-4 rounded-lg border ${
+        hasOverdue ? "bg-red-50 border-red-200" : "bg-yellow-50 border-yellow-200"
+      }`}
+    >
+      <ul className="space-y-3">
+        {reminders.map((reminder) => {
+          const overdue = reminder.kind === FEE_REMINDER_KINDS.OVERDUE;
+          const Icon = overdue ? AlertCircle : Clock;
+          return (
+            <li key={reminder.key} className="flex items-start space-x-3">
+              <Icon
+                className={`w-5 h-5 mt-0.5 flex-shrink-0 ${
+                  overdue ? "text-red-600" : "text-yellow-600"
+                }`}
+              />
+              <div className="min-w-0">
+                <p
+                  className={`text-sm font-semibold ${
+                    overdue ? "text-red-800" : "text-yellow-800"
+                  }`}
+                >
+                  {reminder.title}
+                </p>
+                <p
+                  className={`text-sm ${
+                    overdue ? "text-red-700" : "text-yellow-700"
+                  }`}
+                >
+                  {reminder.message}
+                </p>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      <Link
+        href="/fees"
+        className="inline-block mt-3 text-sm font-medium text-indigo-600 hover:text-indigo-700"
+      >
+        Go to Fees
+      </Link>
+    </div>
+  );
+}
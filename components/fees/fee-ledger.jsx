@@ -0,0 +1,85 @@
+"use client";
+
+import { ENTRY_TYPE_LABELS } from "@/lib/fees/ledger";
+import { formatCurrency, formatDate } from "@/lib/utils";
+
+const TYPE_COLORS = {
+  charge: "bg-gray-100 text-gray-800",
+  fine: "bg-red-100 text-red-800",
+  payment: "bg-green-100 text-green-800",
+  waiver: "bg-blue-100 text-blue-800",
+};
+
+function formatBalance(balance) {
+  if (balance < 0) return `${formatCurrency(-balance)} credit`;
+  return formatCurrency(balance);
+}
+
+/**
+ * Fee Ledger Component
+ *
+ * Account statement with fees and fines as debits, payments and waivers as
+ * credits, and the running balance after each entry. Newest entries first.
+ *
+ * @param {object[]} entries - From buildLedger() (oldest first)
+ */
+export default function FeeLedger({ entries }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full">
+        <thead>
+          <tr className="border-b border-gray-200">
+            <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+              Date
+            </th>
+            <th className="text-left py-3 px-4 text-sm font-medium text-gray-700">
+              Description
+            </th>
+            <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+              Debit
+            </th>
+            <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+              Credit
+            </th>
+            <th className="text-right py-3 px-4 text-sm font-medium text-gray-700">
+              Balance
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...entries].reverse().map((entry) => (
+            <tr key={entry.id} className="border-b border-gray-100">
+              <td className="py-3 px-4 text-sm text-gray-600 whitespace-nowrap">
+                {formatDate(entry.date)}
+              </td>
+              <td className="py-3 px-4 text-sm text-gray-900">
+                <span
+                  className={`px-2 py-0.5 mr-2 text-xs font-medium rounded-md ${
+                    TYPE_COLORS[entry.type]
+                  }`}
+                >
+                  {ENTRY_TYPE_LABELS[entry.type]}
+                </span>
+                {entry.description}
+                {entry.reference && (
+                  <span className="block text-xs text-gray-500 mt-0.5">
+                    Ref: {entry.reference}
+                  </span>
+                )}
+              </td>
+              <td className="py-3 px-4 text-sm text-right text-gray-900 whitespace-nowrap">
+                {entry.debit ? formatCurrency(entry.debit) : ""}
+              </td>
+              <td className="py-3 px-4 text-sm text-right text-green-700 whitespace-nowrap">
+                {entry.credit ? formatCurrency(entry.credit) : ""}
+              </td>
+              <td className="py-3 px-4 text-sm text-right font-medium text-gray-900 whitespace-nowrap">
+                {formatBalance(entry.balance)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
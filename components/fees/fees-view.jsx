@@ -1,118 +1,91 @@
 "use client";
 
 import { useState } from "react";
+import { useRouter } from "next/navigation";
 import Card from "@/components/common/card";
 import Modal from "@/components/common/modal";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
 import PaymentForm from "@/components/fees/payment-form";
-import { DollarSign, Calendar, CheckCircle, AlertCircle, Clock, FileText } from "lucide-react";
+import ChallanForm from "@/components/fees/challan-form";
+import InstallmentPlanForm from "@/components/fees/installment-plan-form";
+import FeeLedger from "@/components/fees/fee-ledger";
+import HostedCheckout from "@/components/fees/hosted-checkout";
+import PaymentConfirmation from "@/components/fees/payment-confirmation";
+import { DollarSign, Calendar, CheckCircle, AlertCircle, FileText, Download, BookOpen } from "lucide-react";
 import EmptyState from "@/components/common/empty-state";
+import { useAuth } from "@/contexts/auth-context";
 import { useToast } from "@/contexts/toast-context";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchFees } from "@/lib/query/queries";
+import { api } from "@/lib/utils/api";
+import { downloadBlob, formatCurrency, formatDate } from "@/lib/utils";
+import {
+  FEE_STATUS,
+  MIN_INSTALLMENTS,
+  PAYMENT_METHOD_LABELS,
+  TRANSACTION_TYPES,
+} from "@/lib/fees/ledger";
+import { CHALLAN_STATUS, formatVoucherNumber } from "@/lib/fees/challan";
+import { buildChallanPdf, getChallanFileName } from "@/lib/fees/challan-pdf";
+import { buildReceiptPdf, getReceiptFileName, getReceiptNumber } from "@/lib/fees/receipt-pdf";
+import { CHECKOUT_FLOWS } from "@/lib/payments/gateway";
 
 /**
  * Fees View Component
- * 
- * Displays fee information and payment management for students.
- * 
+ *
+ * Displays the student's fee account (lib/fees/ledger.js).
+ *
  * Features:
- * - Summary cards (Total Pending, Total Paid, Pending Count)
- * - Current Fees tab (pending and overdue fees)
- * - Payment History tab (completed payments)
- * - Pay Now functionality with payment form
- * - Fee details (type, amount, due date, status)
- * - Payment method selection
- * - Transaction details
- * 
+ * - Summary cards (Outstanding Balance, Total Paid, Pending Fees)
+ * - Current Fees tab: fees with a balance, their installments, status and
+ *   the late fee that applies if they are paid late
+ * - Pay Now (all or part of a fee) through the payment gateway: card
+ *   payments in the gateway's hosted form, wallets by redirect. The payment
+ *   is confirmed once the gateway's webhook arrives.
+ * - Bank challan generation
+ * - Splitting a fee into an installment plan
+ * - Ledger tab: charges, fines, payments and waivers with a running balance
+ * - Payment History tab: payments with method, gateway transaction ID and
+ *   a downloadable receipt
+ *
  * Tabs:
- * - Current Fees: Shows pending and overdue fees with Pay Now button
+ * - Current Fees: Shows fees that still have a balance
+ * - Ledger: Shows the account statement
  * - Payment History: Shows completed payments with transaction details
+ *
+ * @param {string} [returnedPaymentId] - Payment intent the student just
+ *   came back from the gateway with (?payment= on /fees)
  */
 
-export default function FeesView() {
-  const [activeTab, setActiveTab] = useState("current"); // Tab: "current" | "history"
-  const [isPaymentModalOpen, setIsPaymentModalOpen] = useState(false);
-  const [selectedFee, setSelectedFee] = useState(null);
-  const [loading, setLoading] = useState(false);
+export default function FeesView({ returnedPaymentId = null }) {
+  const [activeTab, setActiveTab] = useState("current"); // Tab: "current" | "ledger" | "history"
+  // Open dialog: { type: "pay" | "checkout" | "challan" | "installments", fee, intent? }
+  const [dialog, setDialog] = useState(null);
+  const [confirmingPaymentId, setConfirmingPaymentId] = useState(returnedPaymentId);
+  const router = useRouter();
+  const { user } = useAuth();
   const { success, error } = useToast();
 
-  const currentFees = [
-    {
-      id: 1,
-      type: "Tuition Fee",
-      semester: "Fall 2024",
-      amount: 50000,
-      dueDate: "2024-12-31",
-      status: "pending",
-      description: "Semester tuition fee",
-    },
-    {
-      id: 2,
-      type: "Lab Fee",
-      semester: "Fall 2024",
-      amount: 5000,
-      dueDate: "2024-12-25",
-      status: "overdue",
-      description: "Computer lab and equipment fee",
-    },
-    {
-      id: 3,
-      type: "Library Fee",
-      semester: "Fall 2024",
-      amount: 2000,
-      dueDate: "2025-01-15",
-      status: "pending",
-      description: "Library access and resources fee",
-    },
-  ];
-
-  const paymentHistory = [
-    {
-      id: 1,
-      type: "Tuition Fee",
-      semester: "Spring 2024",
-      amount: 50000,
-      paidDate: "2024-03-15",
-      paymentMethod: "Bank Transfer",
-      transactionId: "TXN-2024-001234",
-      status: "paid",
-    },
-    {
-      id: 2,
-      type: "Lab Fee",
-      semester: "Spring 2024",
-      amount: 5000,
-      paidDate: "2024-03-10",
-      paymentMethod: "Online Payment",
-      transactionId: "TXN-2024-001189",
-      status: "paid",
-    },
-    {
-      id: 3,
-      type: "Library Fee",
-      semester: "Spring 2024",
-      amount: 2000,
-      paidDate: "2024-03-08",
-      paymentMethod: "Cash",
-      transactionId: "CASH-2024-000567",
-      status: "paid",
-    },
-  ];
-
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString("en-US", {
-      month: "short",
-      day: "numeric",
-      year: "numeric",
-    });
-  };
+  const {
+    data: account,
+    error: loadError,
+    isLoading,
+    refetch,
+  } = useQuery(queryKeys.fees(), fetchFees);
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat("en-PK", {
-      style: "currency",
-      currency: "PKR",
-      minimumFractionDigits: 0,
-    }).format(amount);
-  };
+  // Nothing is charged until checkout completes, so there is nothing to refetch yet
+  const startPayment = useMutation(({ feeId, ...payment }) =>
+    api.post(`/fees/${feeId}/payment-intents`, payment)
+  );
+  const issueChallan = useMutation(
+    ({ feeId, amount }) => api.post(`/fees/${feeId}/challans`, { amount }),
+    { invalidates: [queryKeys.fees()] }
+  );
+  const setInstallments = useMutation(
+    ({ feeId, count }) => api.post(`/fees/${feeId}/installments`, { count }),
+    { invalidates: [queryKeys.fees()] }
+  );
 
   const getStatusColor = (status) => {
     switch (status) {
@@ -120,6 +93,8 @@ export default function FeesView() {
         return "bg-green-100 text-green-800";
       case "pending":
         return "bg-yellow-100 text-yellow-800";
+      case "partial":
+        return "bg-blue-100 text-blue-800";
       case "overdue":
         return "bg-red-100 text-red-800";
       default:
@@ -127,41 +102,115 @@ export default function FeesView() {
     }
   };
 
-  const totalPending = currentFees
-    .filter((fee) => fee.status === "pending" || fee.status === "overdue")
-    .reduce((sum, fee) => sum + fee.amount, 0);
+  const closeDialog = () => setDialog(null);
 
-  const totalPaid = paymentHistory.reduce((sum, payment) => sum + payment.amount, 0);
+  const downloadChallan = (challan) => {
+    downloadBlob(buildChallanPdf(challan).toBlob(), getChallanFileName(challan));
+  };
+
+  const downloadReceipt = (payment) => {
+    const fee = account?.fees.find((f) => f.id === payment.feeId);
+    downloadBlob(buildReceiptPdf(payment, fee, user).toBlob(), getReceiptFileName(payment));
+  };
 
   const handlePayment = async (paymentData) => {
-    setLoading(true);
     try {
-      // TODO: Replace with actual API call
-      // await api.post('/fees/pay', paymentData);
-      console.log("Payment data:", paymentData);
-
-      // Simulate API call
-      await new Promise((resolve) => setTimeout(resolve, 2000));
-
-      // Generate transaction ID
-      const transactionId = `TXN-${new Date().getFullYear()}-${String(Math.floor(Math.random() * 1000000)).padStart(6, '0')}`;
-
-      // Move fee from currentFees to paymentHistory (in real app, this would be handled by backend)
-      // For now, we'll just show success message
-      
-      setIsPaymentModalOpen(false);
-      setSelectedFee(null);
-      success(`Payment of ${formatCurrency(paymentData.amount)} processed successfully! Transaction ID: ${transactionId}`);
-      
-      // In a real app, you would refresh the data from the API
+      const intent = await startPayment.mutateAsync({
+        ...paymentData,
+        returnUrl: `${window.location.origin}/fees`,
+      });
+      if (intent.flow === CHECKOUT_FLOWS.HOSTED_FORM) {
+        setDialog({ type: "checkout", fee: dialog.fee, intent });
+      } else {
+        window.location.assign(intent.checkoutUrl);
+      }
     } catch (err) {
       console.error("Payment error:", err);
-      error("Payment failed. Please try again.");
-    } finally {
-      setLoading(false);
+      error(err.message || "Payment failed. Please try again.");
+    }
+  };
+
+  const handleCheckoutComplete = () => {
+    setConfirmingPaymentId(dialog.intent.id);
+    closeDialog();
+  };
+
+  const dismissConfirmation = () => {
+    setConfirmingPaymentId(null);
+    if (returnedPaymentId) router.replace("/fees");
+  };
+
+  const handleChallan = async (amount) => {
+    try {
+      const challan = await issueChallan.mutateAsync({ feeId: dialog.fee.id, amount });
+      closeDialog();
+      downloadChallan(challan);
+      success(`Challan ${formatVoucherNumber(challan.voucherNumber)} generated`);
+    } catch (err) {
+      console.error("Challan error:", err);
+      error(err.message || "Failed to generate the challan. Please try again.");
+    }
+  };
+
+  const handleInstallments = async (count) => {
+    try {
+      await setInstallments.mutateAsync({ feeId: dialog.fee.id, count });
+      closeDialog();
+      success(`${dialog.fee.type} split into ${count} installments`);
+    } catch (err) {
+      console.error("Installment plan error:", err);
+      error(err.message || "Failed to set up the installment plan. Please try again.");
     }
   };
 
+  if (isLoading) {
+    return (
+      <Card>
+        <div className="text-center py-8">
+          <Loading size="md" />
+          <p className="text-gray-600 mt-3">Loading fees...</p>
+        </div>
+      </Card>
+    );
+  }
+
+  if (loadError && !account) {
+    return (
+      <Card>
+        <div className="text-center py-8">
+          <p className="text-gray-600">Failed to load fees</p>
+          <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+          <Button
+            variant="outline"
+            size="sm"
+            className="mx-auto mt-3"
+            onClick={() => refetch().catch(() => null)}
+          >
+            Retry
+          </Button>
+        </div>
+      </Card>
+    );
+  }
+
+  const { fees = [], transactions = [], ledger = [], challans = [] } = account || {};
+  const totals = account?.totals || { balance: 0, paid: 0, openCount: 0, overdueCount: 0 };
+
+  const currentFees = fees
+    .filter((fee) => fee.summary.balance > 0)
+    .sort((a, b) => Date.parse(a.summary.nextDue.dueDate) - Date.parse(b.summary.nextDue.dueDate));
+  const feesById = new Map(fees.map((fee) => [fee.id, fee]));
+  const paymentHistory = transactions
+    .filter((t) => t.type === TRANSACTION_TYPES.PAYMENT)
+    .sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+  const unpaidChallan = (fee) =>
+    challans.find((c) => c.feeId === fee.id && c.status === CHALLAN_STATUS.UNPAID);
+  const canSplit = (fee) =>
+    fee.maxInstallments >= MIN_INSTALLMENTS &&
+    !fee.installments?.length &&
+    fee.summary.paid === 0 &&
+    fee.summary.waived === 0;
+
   return (
     <div className="space-y-5 sm:space-y-6">
       {/* Header Section with proper spacing */}
@@ -172,13 +221,21 @@ export default function FeesView() {
         </p>
       </div>
 
+      {confirmingPaymentId && (
+        <PaymentConfirmation
+          paymentId={confirmingPaymentId}
+          onDownloadReceipt={downloadReceipt}
+          onDismiss={dismissConfirmation}
+        />
+      )}
+
       {/* Summary Cards */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4 md:gap-6">
         <Card className="bg-gradient-to-br from-indigo-500 to-indigo-600 text-white">
           <div className="flex items-center justify-between">
             <div className="min-w-0 flex-1">
-              <p className="text-indigo-100 text-xs sm:text-sm">Total Pending</p>
-              <p className="text-2xl sm:text-3xl font-bold mt-1 truncate">{formatCurrency(totalPending)}</p>
+              <p className="text-indigo-100 text-xs sm:text-sm">Outstanding Balance</p>
+              <p className="text-2xl sm:text-3xl font-bold mt-1 truncate">{formatCurrency(Math.max(totals.balance, 0))}</p>
             </div>
             <AlertCircle className="w-8 h-8 sm:w-10 sm:h-10 md:w-12 md:h-12 text-indigo-200 flex-shrink-0 ml-2" />
           </div>
@@ -188,7 +245,7 @@ export default function FeesView() {
           <div className="flex items-center justify-between">
             <div className="min-w-0 flex-1">
               <p className="text-green-100 text-xs sm:text-sm">Total Paid</p>
-              <p className="text-2xl sm:text-3xl font-bold mt-1 truncate">{formatCurrency(totalPaid)}</p>
+              <p className="text-2xl sm:text-3xl font-bold mt-1 truncate">{formatCurrency(totals.paid)}</p>
             </div>
             <CheckCircle className="w-8 h-8 sm:w-10 sm:h-10 md:w-12 md:h-12 text-green-200 flex-shrink-0 ml-2" />
           </div>
@@ -199,8 +256,11 @@ export default function FeesView() {
             <div className="min-w-0 flex-1">
               <p className="text-blue-100 text-xs sm:text-sm">Pending Fees</p>
               <p className="text-2xl sm:text-3xl font-bold mt-1">
-                {currentFees.filter((f) => f.status !== "paid").length}
+                {totals.openCount}
               </p>
+              {totals.overdueCount > 0 && (
+                <p className="text-blue-100 text-xs mt-1">{totals.overdueCount} overdue</p>
+              )}
             </div>
             <FileText className="w-8 h-8 sm:w-10 sm:h-10 md:w-12 md:h-12 text-blue-200 flex-shrink-0 ml-2" />
           </div>
@@ -220,6 +280,17 @@ export default function FeesView() {
           <DollarSign className="w-3.5 h-3.5 sm:w-4 sm:h-4 mr-1.5 sm:mr-2 flex-shrink-0" />
           <span className="truncate">Current Fees</span>
         </button>
+        <button
+          onClick={() => setActiveTab("ledger")}
+          className={`flex-1 px-3 sm:px-4 py-2 sm:py-2.5 rounded-md text-xs sm:text-sm font-medium transition-colors flex items-center justify-center ${
+            activeTab === "ledger"
+              ? "bg-white text-indigo-600 shadow-sm"
+              : "text-gray-600 hover:text-gray-900"
+          }`}
+        >
+          <BookOpen className="w-3.5 h-3.5 sm:w-4 sm:h-4 mr-1.5 sm:mr-2 flex-shrink-0" />
+          <span className="truncate">Ledger</span>
+        </button>
         <button
           onClick={() => setActiveTab("history")}
           className={`flex-1 px-3 sm:px-4 py-2 sm:py-2.5 rounded-md text-xs sm:text-sm font-medium transition-colors flex items-center justify-center ${
@@ -245,80 +316,185 @@ export default function FeesView() {
               />
             </Card>
           ) : (
-            currentFees.map((fee) => (
-              <Card key={fee.id}>
-                <div className="space-y-3 sm:space-y-4">
-                  <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2 sm:gap-0">
-                    <div className="flex items-start space-x-2 sm:space-x-3 min-w-0 flex-1">
-                      <div className="p-1.5 sm:p-2 bg-indigo-100 rounded-lg flex-shrink-0">
-                        <DollarSign className="w-4 h-4 sm:w-5 sm:h-5 text-indigo-600" />
-                      </div>
-                      <div className="min-w-0 flex-1">
-                        <h3 className="text-base sm:text-lg font-semibold text-gray-900 truncate">
-                          {fee.type}
-                        </h3>
-                        <p className="text-xs sm:text-sm text-gray-600">{fee.description}</p>
-                        <p className="text-xs text-gray-500 mt-1">{fee.semester}</p>
+            currentFees.map((fee) => {
+              const { summary } = fee;
+              const challan = unpaidChallan(fee);
+              return (
+                <Card key={fee.id}>
+                  <div className="space-y-3 sm:space-y-4">
+                    <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2 sm:gap-0">
+                      <div className="flex items-start space-x-2 sm:space-x-3 min-w-0 flex-1">
+                        <div className="p-1.5 sm:p-2 bg-indigo-100 rounded-lg flex-shrink-0">
+                          <DollarSign className="w-4 h-4 sm:w-5 sm:h-5 text-indigo-600" />
+                        </div>
+                        <div className="min-w-0 flex-1">
+                          <h3 className="text-base sm:text-lg font-semibold text-gray-900 truncate">
+                            {fee.type}
+                          </h3>
+                          <p className="text-xs sm:text-sm text-gray-600">{fee.description}</p>
+                          <p className="text-xs text-gray-500 mt-1">{fee.semester}</p>
+                        </div>
                       </div>
+                      <span
+                        className={`px-2 sm:px-3 py-1 text-xs font-medium rounded-md whitespace-nowrap flex-shrink-0 ${getStatusColor(
+                          summary.status
+                        )}`}
+                      >
+                        {summary.status}
+                      </span>
                     </div>
-                    <span
-                      className={`px-2 sm:px-3 py-1 text-xs font-medium rounded-md whitespace-nowrap flex-shrink-0 ${getStatusColor(
-                        fee.status
-                      )}`}
-                    >
-                      {fee.status}
-                    </span>
-                  </div>
 
-                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4 pt-3 sm:pt-4 border-t border-gray-200">
-                    <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
-                      <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
-                        <DollarSign className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
-                        <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
-                          Amount
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4 pt-3 sm:pt-4 border-t border-gray-200">
+                      <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
+                        <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
+                          <DollarSign className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
+                          <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
+                            Balance
+                          </p>
+                        </div>
+                        <p className="text-lg sm:text-xl font-bold text-gray-900 break-words">
+                          {formatCurrency(summary.balance)}
+                        </p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          of {formatCurrency(fee.amount)}
+                          {summary.fines > 0 && ` + ${formatCurrency(summary.fines)} fines`}
+                          {summary.paid > 0 && ` · ${formatCurrency(summary.paid)} paid`}
+                          {summary.waived > 0 && ` · ${formatCurrency(summary.waived)} waived`}
                         </p>
                       </div>
-                      <p className="text-lg sm:text-xl font-bold text-gray-900 break-words">
-                        {formatCurrency(fee.amount)}
-                      </p>
-                    </div>
-                    <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
-                      <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
-                        <Calendar className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
-                        <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
-                          Due Date
+                      <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
+                        <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
+                          <Calendar className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
+                          <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
+                            {summary.installments.length > 0 ? "Next Installment Due" : "Due Date"}
+                          </p>
+                        </div>
+                        <p className="text-sm sm:text-base font-semibold text-gray-900">
+                          {formatDate(summary.nextDue.dueDate)}
                         </p>
+                        {summary.installments.length > 0 && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            {formatCurrency(summary.nextDue.amount)} due
+                          </p>
+                        )}
+                        {summary.status === FEE_STATUS.OVERDUE && (
+                          <p className="text-xs text-red-600 mt-1 flex items-center">
+                            <AlertCircle className="w-3 h-3 mr-1 flex-shrink-0" />
+                            Overdue by {summary.daysOverdue} day{summary.daysOverdue === 1 ? "" : "s"}
+                          </p>
+                        )}
+                        {fee.lateFeeRule && (
+                          <p className="text-xs text-gray-500 mt-1">
+                            Late fee: {fee.lateFeeRule.description}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Installment Plan */}
+                    {summary.installments.length > 0 && (
+                      <div className="border border-gray-200 rounded-lg overflow-hidden">
+                        <table className="w-full text-sm">
+                          <thead className="bg-gray-50 text-left text-xs font-medium text-gray-600 uppercase tracking-wide">
+                            <tr>
+                              <th className="px-3 py-2">Installment</th>
+                              <th className="px-3 py-2">Due Date</th>
+                              <th className="px-3 py-2 text-right">Amount</th>
+                              <th className="px-3 py-2 text-right">Status</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-gray-100">
+                            {summary.installments.map((installment) => (
+                              <tr key={installment.number}>
+                                <td className="px-3 py-2 text-gray-900">
+                                  {installment.number} of {summary.installments.length}
+                                </td>
+                                <td className="px-3 py-2 text-gray-600">{formatDate(installment.dueDate)}</td>
+                                <td className="px-3 py-2 text-right text-gray-900">
+                                  {formatCurrency(installment.amount)}
+                                  {installment.paid > 0 && installment.balance > 0 && (
+                                    <span className="block text-xs text-gray-500">
+                                      {formatCurrency(installment.balance)} left
+                                    </span>
+                                  )}
+                                </td>
+                                <td className="px-3 py-2 text-right">
+                                  <span className={`px-2 py-0.5 text-xs font-medium rounded-md ${getStatusColor(installment.status)}`}>
+                                    {installment.status}
+                                  </span>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
                       </div>
-                      <p className="text-sm sm:text-base font-semibold text-gray-900">
-                        {formatDate(fee.dueDate)}
-                      </p>
-                      {fee.status === "overdue" && (
-                        <p className="text-xs text-red-600 mt-1 flex items-center">
-                          <AlertCircle className="w-3 h-3 mr-1 flex-shrink-0" />
-                          Overdue
+                    )}
+
+                    {/* Unpaid Challan */}
+                    {challan && (
+                      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 p-3 bg-yellow-50 rounded-lg border border-yellow-200">
+                        <p className="text-xs sm:text-sm text-yellow-800">
+                          Challan {formatVoucherNumber(challan.voucherNumber)} for {formatCurrency(challan.amount)} is
+                          waiting to be paid at the bank (valid until {formatDate(challan.validUntil)})
                         </p>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          startIcon={<Download className="w-4 h-4" />}
+                          onClick={() => downloadChallan(challan)}
+                        >
+                          Download
+                        </Button>
+                      </div>
+                    )}
+
+                    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-end gap-2 pt-2 sm:pt-3 border-t border-gray-200">
+                      {canSplit(fee) && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setDialog({ type: "installments", fee })}
+                        >
+                          Pay in Installments
+                        </Button>
                       )}
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setDialog({ type: "challan", fee })}
+                      >
+                        Generate Challan
+                      </Button>
+                      <button
+                        onClick={() => setDialog({ type: "pay", fee })}
+                        className="w-full sm:w-auto px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm font-medium"
+                      >
+                        Pay Now
+                      </button>
                     </div>
                   </div>
-
-                  <div className="flex items-center justify-end pt-2 sm:pt-3 border-t border-gray-200">
-                    <button
-                      onClick={() => {
-                        setSelectedFee(fee);
-                        setIsPaymentModalOpen(true);
-                      }}
-                      className="w-full sm:w-auto px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm font-medium"
-                    >
-                      Pay Now
-                    </button>
-                  </div>
-                </div>
-              </Card>
-            ))
+                </Card>
+              );
+            })
           )}
         </div>
       )}
 
+      {/* Ledger Tab */}
+      {activeTab === "ledger" && (
+        <Card>
+          {ledger.length === 0 ? (
+            <EmptyState
+              icon={BookOpen}
+              title="No ledger entries"
+              description="Fees charged to your account will appear here."
+            />
+          ) : (
+            <FeeLedger entries={ledger} />
+          )}
+        </Card>
+      )}
+
       {/* Payment History Tab */}
       {activeTab === "history" && (
         <div className="space-y-4">
@@ -331,94 +507,150 @@ export default function FeesView() {
               />
             </Card>
           ) : (
-            paymentHistory.map((payment) => (
-              <Card key={payment.id}>
-                <div className="space-y-4">
-                  <div className="flex items-start justify-between">
-                    <div className="flex items-start space-x-3">
-                      <div className="p-2 bg-green-100 rounded-lg">
-                        <CheckCircle className="w-5 h-5 text-green-600" />
+            paymentHistory.map((payment) => {
+              const fee = account?.fees.find((f) => f.id === payment.feeId);
+              return (
+                <Card key={payment.id}>
+                  <div className="space-y-4">
+                    <div className="flex items-start justify-between">
+                      <div className="flex items-start space-x-3">
+                        <div className="p-2 bg-green-100 rounded-lg">
+                          <CheckCircle className="w-5 h-5 text-green-600" />
+                        </div>
+                        <div>
+                          <h3 className="text-lg font-semibold text-gray-900">
+                            {fee?.type || "Payment"}
+                          </h3>
+                          <p className="text-sm text-gray-600">{fee?.semester}</p>
+                          {payment.reference && (
+                            <p className="text-xs text-gray-500 mt-1 break-all">
+                              {payment.gateway ? `${payment.gateway} Transaction ID` : "Transaction ID"}:{" "}
+                              <span className="font-mono">{payment.reference}</span>
+                            </p>
+                          )}
+                          <p className="text-xs text-gray-500">Receipt {getReceiptNumber(payment)}</p>
+                        </div>
                       </div>
-                      <div>
-                        <h3 className="text-lg font-semibold text-gray-900">
-                          {payment.type}
-                        </h3>
-                        <p className="text-sm text-gray-600">{payment.semester}</p>
-                        <p className="text-xs text-gray-500 mt-1">
-                          Transaction ID: {payment.transactionId}
-                        </p>
+                      <div className="flex flex-col items-end gap-2 flex-shrink-0 ml-2">
+                        <span className="px-3 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-md">
+                          paid
+                        </span>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          startIcon={<Download className="w-4 h-4" />}
+                          onClick={() => downloadReceipt(payment)}
+                        >
+                          Receipt
+                        </Button>
                       </div>
                     </div>
-                    <span className="px-3 py-1 bg-green-100 text-green-800 text-xs font-medium rounded-md">
-                      {payment.status}
-                    </span>
-                  </div>
 
-                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4 pt-3 sm:pt-4 border-t border-gray-200">
-                    <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
-                      <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
-                        <DollarSign className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
-                        <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
-                          Amount Paid
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 sm:gap-4 pt-3 sm:pt-4 border-t border-gray-200">
+                      <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
+                        <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
+                          <DollarSign className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
+                          <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
+                            Amount Paid
+                          </p>
+                        </div>
+                        <p className="text-lg sm:text-xl font-bold text-gray-900 break-words">
+                          {formatCurrency(payment.amount)}
                         </p>
                       </div>
-                      <p className="text-lg sm:text-xl font-bold text-gray-900 break-words">
-                        {formatCurrency(payment.amount)}
-                      </p>
-                    </div>
-                    <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
-                      <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
-                        <Calendar className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
-                        <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
-                          Payment Date
+                      <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200">
+                        <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
+                          <Calendar className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
+                          <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
+                            Payment Date
+                          </p>
+                        </div>
+                        <p className="text-sm sm:text-base font-semibold text-gray-900">
+                          {formatDate(payment.date)}
                         </p>
                       </div>
-                      <p className="text-sm sm:text-base font-semibold text-gray-900">
-                        {formatDate(payment.paidDate)}
-                      </p>
-                    </div>
-                    <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200 sm:col-span-2 lg:col-span-1">
-                      <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
-                        <FileText className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
-                        <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
-                          Payment Method
+                      <div className="p-3 sm:p-4 bg-gray-50 rounded-lg border border-gray-200 sm:col-span-2 lg:col-span-1">
+                        <div className="flex items-center space-x-1.5 sm:space-x-2 mb-2">
+                          <FileText className="w-3.5 h-3.5 sm:w-4 sm:h-4 text-gray-500 flex-shrink-0" />
+                          <p className="text-xs font-medium text-gray-500 uppercase tracking-wide">
+                            Payment Method
+                          </p>
+                        </div>
+                        <p className="text-sm sm:text-base font-semibold text-gray-900 break-words">
+                          {PAYMENT_METHOD_LABELS[payment.method] || payment.method}
                         </p>
                       </div>
-                      <p className="text-sm sm:text-base font-semibold text-gray-900 break-words">
-                        {payment.paymentMethod}
-                      </p>
                     </div>
                   </div>
-                </div>
-              </Card>
-            ))
+                </Card>
+              );
+            })
           )}
         </div>
       )}
 
       {/* Payment Modal */}
       <Modal
-        isOpen={isPaymentModalOpen}
-        onClose={() => {
-          setIsPaymentModalOpen(false);
-          setSelectedFee(null);
-        }}
+        isOpen={dialog?.type === "pay"}
+        onClose={closeDialog}
         title="Make Payment"
         size="lg"
       >
-        {selectedFee && (
+        {dialog?.type === "pay" && (
           <PaymentForm
-            fee={selectedFee}
+            fee={dialog.fee}
             onSubmit={handlePayment}
-            onCancel={() => {
-              setIsPaymentModalOpen(false);
-              setSelectedFee(null);
-            }}
-            loading={loading}
+            onCancel={closeDialog}
+            loading={startPayment.isPending}
+          />
+        )}
+      </Modal>
+
+      {/* Hosted Checkout Modal */}
+      <Modal
+        isOpen={dialog?.type === "checkout"}
+        onClose={closeDialog}
+        title="Pay with Card"
+        size="lg"
+      >
+        {dialog?.type === "checkout" && (
+          <HostedCheckout intent={dialog.intent} onComplete={handleCheckoutComplete} />
+        )}
+      </Modal>
+
+      {/* Challan Modal */}
+      <Modal
+        isOpen={dialog?.type === "challan"}
+        onClose={closeDialog}
+        title="Generate Bank Challan"
+        size="lg"
+      >
+        {dialog?.type === "challan" && (
+          <ChallanForm
+            fee={dialog.fee}
+            hasUnpaidChallan={Boolean(unpaidChallan(dialog.fee))}
+            onSubmit={handleChallan}
+            onCancel={closeDialog}
+            loading={issueChallan.isPending}
+          />
+        )}
+      </Modal>
+
+      {/* Installment Plan Modal */}
+      <Modal
+        isOpen={dialog?.type === "installments"}
+        onClose={closeDialog}
+        title="Pay in Installments"
+      >
+        {dialog?.type === "installments" && (
+          <InstallmentPlanForm
+            fee={dialog.fee}
+            onSubmit={handleInstallments}
+            onCancel={closeDialog}
+            loading={setInstallments.isPending}
           />
         )}
       </Modal>
     </div>
   );
 }
-
@@ -0,0 +1,61 @@
+"use client";
+
+import { useEffect, useRef } from "react";
+import { Lock } from "lucide-react";
+import { CHECKOUT_COMPLETE_MESSAGE } from "@/lib/payments/gateway";
+import { formatCurrency } from "@/lib/utils";
+
+/**
+ * Hosted Checkout Component
+ *
+ * Shows the gateway's own payment form in an iframe, so card details are
+ * typed into the gateway and never into the portal. Only a completion
+ * message from that frame, on the gateway's origin, is listened to; the
+ * outcome itself is then read from the payment service.
+ *
+ * @param {object} intent - Payment intent { gatewayPaymentId, checkoutUrl,
+ *   gatewayLabel, amount }
+ * @param {function} onComplete - Called with the reported status
+ */
+export default function HostedCheckout({ intent, onComplete }) {
+  const frameRef = useRef(null);
+  const onCompleteRef = useRef(onComplete);
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+  });
+
+  useEffect(() => {
+    const gatewayOrigin = new URL(intent.checkoutUrl).origin;
+    const handleMessage = (event) => {
+      if (event.origin !== gatewayOrigin) return;
+      if (event.source !== frameRef.current?.contentWindow) return;
+      const { type, paymentId, status } = event.data || {};
+      if (
+        type !== CHECKOUT_COMPLETE_MESSAGE ||
+        paymentId !== intent.gatewayPaymentId
+      ) {
+        return;
+      }
+      onCompleteRef.current(status);
+    };
+    window.addEventListener("message", handleMessage);
+    return () => window.removeEventListener("message", handleMessage);
+  }, [intent.checkoutUrl, intent.gatewayPaymentId]);
+
+  return (
+    <div className="space-y-3">
+      <p className="flex items-center text-sm text-gray-600">
+        <Lock className="w-4 h-4 mr-1.5 text-gray-400 flex-shrink-0" />
+        Pay {formatCurrency(intent.amount)} securely with{" "}
+        {intent.gatewayLabel}. Your card details go directly to the gateway.
+      </p>
+      <iframe
+        ref={frameRef}
+        src={intent.checkoutUrl}
+        title={`${intent.gatewayLabel} checkout`}
+        className="w-full h-[30rem] rounded-lg border border-gray-200"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import {
+  MIN_INSTALLMENTS,
+  createInstallmentPlan,
+} from "@/lib/fees/ledger";
+import { formatCurrency, formatDate } from "@/lib/utils";
+
+/**
+ * Installment Plan Form Component
+ *
+ * Splits an unpaid fee into monthly installments, previewing the schedule
+ * before it is confirmed. The first installment is due on the fee's due
+ * date. A plan cannot be changed once it is set.
+ *
+ * @param {object} fee - { type, semester, amount, dueDate, maxInstallments }
+ * @param {function} onSubmit - Called with the number of installments
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ */
+export default function InstallmentPlanForm({
+  fee,
+  onSubmit,
+  onCancel,
+  loading = false,
+}) {
+  const [count, setCount] = useState(MIN_INSTALLMENTS);
+  const counts = Array.from(
+    { length: fee.maxInstallments - MIN_INSTALLMENTS + 1 },
+    (_, index) => MIN_INSTALLMENTS + index
+  );
+  const plan = createInstallmentPlan(fee, count);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    await onSubmit(count);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Split your {fee.semester} {fee.type.toLowerCase()} of{" "}
+        {formatCurrency(fee.amount)} into monthly installments. The plan cannot
+        be changed once it is set.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        {counts.map((option) => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => setCount(option)}
+            className={`px-4 py-2 rounded-lg border text-sm font-medium transition-colors ${
+              count === option
+                ? "border-indigo-500 bg-indigo-50 text-indigo-700"
+                : "border-gray-200 text-gray-700 hover:bg-gray-50"
+            }`}
+          >
+            {option} installments
+          </button>
+        ))}
+      </div>
+
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-xs font-medium text-gray-600 uppercase tracking-wide">
+            <tr>
+              <th className="px-3 py-2">Installment</th>
+              <th className="px-3 py-2">Due Date</th>
+              <th className="px-3 py-2 text-right">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {plan.map((installment) => (
+              <tr key={installment.number}>
+                <td className="px-3 py-2 text-gray-900">
+                  {installment.number} of {plan.length}
+                </td>
+                <td className="px-3 py-2 text-gray-600">
+                  {formatDate(installment.dueDate)}
+                </td>
+                <td className="px-3 py-2 text-right font-medium text-gray-900">
+                  {formatCurrency(installment.amount)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={loading}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          Confirm Plan
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,105 @@
+"use client";
+
+import { useState } from "react";
+import { getPaymentOptions } from "@/lib/fees/ledger";
+import { formatCurrency, formatDate } from "@/lib/utils";
+
+/**
+ * Payment Amount Field Component
+ *
+ * Lets the student pay the next installment, the full balance or any other
+ * (partial) amount towards a fee.
+ *
+ * @param {object} summary - Fee summary from getFeeSummary()
+ * @param {string} value - Amount as typed
+ * @param {function} onChange - Called with the new amount (string)
+ * @param {string} [error] - Validation message
+ *
+ * @example
+ * <PaymentAmountField summary={fee.summary} value={amount} onChange={setAmount} />
+ */
+export default function PaymentAmountField({
+  summary,
+  value,
+  onChange,
+  error,
+}) {
+  const options = getPaymentOptions(summary);
+  const [choice, setChoice] = useState(options[0]?.value || "other");
+
+  const select = (option) => {
+    setChoice(option.value);
+    onChange(String(option.amount));
+  };
+
+  return (
+    <fieldset>
+      <legend className="block text-xs sm:text-sm font-medium text-gray-700 mb-1">
+        Amount<span className="text-red-500 ml-1">*</span>
+      </legend>
+      <div className="space-y-2">
+        {options.map((option) => (
+          <label
+            key={option.value}
+            className={`flex items-center justify-between gap-3 p-3 rounded-lg border cursor-pointer ${
+              choice === option.value
+                ? "border-indigo-500 bg-indigo-50"
+                : "border-gray-200"
+            }`}
+          >
+            <span className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="amount-choice"
+                checked={choice === option.value}
+                onChange={() => select(option)}
+                className="h-4 w-4 text-indigo-600"
+              />
+              {option.label}
+              {option.value === "installment" && summary.nextDue && (
+                <span className="text-xs text-gray-500">
+                  (due {formatDate(summary.nextDue.dueDate)})
+                </span>
+              )}
+            </span>
+            <span className="text-sm font-semibold text-gray-900">
+              {formatCurrency(option.amount)}
+            </span>
+          </label>
+        ))}
+        <label
+          className={`flex items-center gap-3 p-3 rounded-lg border cursor-pointer ${
+            choice === "other" ? "border-indigo-500 bg-indigo-50" : "border-gray-200"
+          }`}
+        >
+          <input
+            type="radio"
+            name="amount-choice"
+            checked={choice === "other"}
+            onChange={() => {
+              setChoice("other");
+              onChange("");
+            }}
+            className="h-4 w-4 text-indigo-600"
+          />
+          <span className="text-sm text-gray-700">Other amount</span>
+          {choice === "other" && (
+            <input
+              type="number"
+              min={1}
+              max={summary.balance}
+              step={1}
+              autoFocus
+              value={value}
+              onChange={(e) => onChange(e.target.value)}
+              placeholder="Rs"
+              aria-label="Other amount"
+              className="ml-auto w-32 px-2 py-1 border border-gray-300 rounded-md text-sm text-gray-900 focus:outline-none"
+            />
+          )}
+        </label>
+      </div>
+      {error && <p className="mt-1 text-xs sm:text-sm text-red-600">{error}</p>}
+    </fieldset>
+  );
+}
@@ -0,0 +1,119 @@
+"use client";
+
+import Alert from "@/components/common/alert";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import { Download } from "lucide-react";
+import { useQuery, invalidateQueries } from "@/lib/query";
+import { queryKeys, fetchPaymentIntent } from "@/lib/query/queries";
+import { PAYMENT_STATUS } from "@/lib/payments/gateway";
+import { formatCurrency } from "@/lib/utils";
+
+/**
+ * Payment Confirmation Component
+ *
+ * Shown after checkout (on return from a redirect, or when a hosted form
+ * completes) until the gateway's webhook settles the payment. A succeeded
+ * payment is posted to the fee account, so the fees are refreshed.
+ *
+ * @param {string} paymentId - Payment intent ID
+ * @param {function} onDownloadReceipt - Called with the posted transaction
+ * @param {function} onDismiss
+ */
+export default function PaymentConfirmation({
+  paymentId,
+  onDownloadReceipt,
+  onDismiss,
+}) {
+  const {
+    data: intent,
+    error,
+    isFetching,
+    refetch,
+  } = useQuery(
+    queryKeys.paymentIntent(paymentId),
+    async () => {
+      const result = await fetchPaymentIntent(paymentId);
+      if (result.status !== PAYMENT_STATUS.PENDING) {
+        invalidateQueries(queryKeys.fees());
+      }
+      return result;
+    },
+    { staleTime: Infinity }
+  );
+
+  if (error && !intent) {
+    return (
+      <Alert
+        type="error"
+        title="Could not check your payment"
+        message={error.message}
+        onClose={onDismiss}
+      />
+    );
+  }
+
+  if (!intent || (isFetching && intent.status === PAYMENT_STATUS.PENDING)) {
+    return (
+      <div className="flex items-center p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+        <Loading size="sm" />
+        <span className="ml-3">
+          Confirming your payment with the gateway. This takes a few
+          seconds...
+        </span>
+      </div>
+    );
+  }
+
+  if (intent.status === PAYMENT_STATUS.SUCCEEDED) {
+    return (
+      <Alert
+        type="success"
+        title={`Payment of ${formatCurrency(intent.amount)} received`}
+        message={`${intent.description} · Transaction ID: ${intent.transactionId}`}
+        onClose={onDismiss}
+      >
+        {intent.transaction && (
+          <Button
+            variant="outline"
+            size="sm"
+            className="mt-3"
+            startIcon={<Download className="w-4 h-4" />}
+            onClick={() => onDownloadReceipt(intent.transaction)}
+          >
+            Download Receipt
+          </Button>
+        )}
+      </Alert>
+    );
+  }
+
+  if (intent.status === PAYMENT_STATUS.FAILED) {
+    return (
+      <Alert
+        type="error"
+        title="Payment was not completed"
+        message={`${intent.failureReason}. You have not been charged; you can try again.`}
+        onClose={onDismiss}
+      />
+    );
+  }
+
+  return (
+    <Alert
+      type="warning"
+      title="Payment still processing"
+      message="The gateway has not confirmed this payment yet. It will appear in your payment history once it does."
+      onClose={onDismiss}
+    >
+      <Button
+        variant="outline"
+        size="sm"
+        className="mt-3"
+        onClick={() => refetch().catch(() => null)}
+      >
+        Check Again
+      </Button>
+    </Alert>
+  );
+}
@@ -1,46 +1,75 @@
 "use client";
 
-import { useForm } from "react-hook-form";
+import { useState } from "react";
+import { useForm, useWatch } from "react-hook-form";
 import { yupResolver } from "@hookform/resolvers/yup";
 import * as yup from "yup";
 import Button from "@/components/common/button";
 import Select from "@/components/common/select";
 import Loading from "@/components/common/loading";
+import PaymentAmountField from "@/components/fees/payment-amount-field";
+import { getPaymentOptions, validatePaymentAmount } from "@/lib/fees/ledger";
+import { GATEWAY_METHODS } from "@/lib/payments/gateway";
+import { formatCurrency } from "@/lib/utils";
 import { CreditCard, Building2, Wallet } from "lucide-react";
 
-const paymentSchema = yup.object().shape({
-  paymentMethod: yup.string().required("Please select a payment method"),
-});
+function createPaymentSchema(summary) {
+  return yup.object().shape({
+    amount: yup
+      .string()
+      .test("amount", "Enter an amount", (value, context) => {
+        const invalid = validatePaymentAmount(value, summary);
+        return invalid ? context.createError({ message: invalid }) : true;
+      }),
+    paymentMethod: yup.string().required("Please select a payment method"),
+  });
+}
 
+/**
+ * Payment Form Component
+ *
+ * Pays all or part of a fee online through the payment gateway. The amount
+ * defaults to the next installment when the fee has a plan, otherwise to
+ * the full balance. Every submit of the same form carries the same
+ * idempotency key, so a double click cannot start two payments.
+ *
+ * @param {object} fee - Fee with its summary ({ type, semester, summary })
+ * @param {function} onSubmit - Called with { feeId, amount, paymentMethod,
+ *   idempotencyKey }
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ */
 export default function PaymentForm({
   fee,
   onSubmit,
   onCancel,
   loading = false,
 }) {
+  const [idempotencyKey] = useState(() => crypto.randomUUID());
   const {
     register,
+    control,
     handleSubmit,
-    formState: { errors },
+    formState: { errors, isSubmitted },
     reset,
+    setValue,
   } = useForm({
-    resolver: yupResolver(paymentSchema),
+    resolver: yupResolver(createPaymentSchema(fee.summary)),
     defaultValues: {
+      amount: String(getPaymentOptions(fee.summary)[0]?.amount ?? ""),
       paymentMethod: "",
     },
   });
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat("en-PK", {
-      style: "currency",
-      currency: "PKR",
-      minimumFractionDigits: 0,
-    }).format(amount);
-  };
+  const amount = useWatch({ control, name: "amount" });
 
   const handleFormSubmit = async (data) => {
-    await onSubmit({ ...data, feeId: fee.id, amount: fee.amount });
-    reset();
+    await onSubmit({
+      paymentMethod: data.paymentMethod,
+      feeId: fee.id,
+      amount: Number(data.amount),
+      idempotencyKey,
+    });
   };
 
   const handleCancel = () => {
@@ -61,26 +90,30 @@ export default function PaymentForm({
           <span className="text-sm font-semibold text-gray-900">{fee.semester}</span>
         </div>
         <div className="flex items-center justify-between pt-2 border-t border-indigo-200">
-          <span className="text-base font-bold text-gray-900">Total Amount:</span>
+          <span className="text-base font-bold text-gray-900">Balance:</span>
           <span className="text-xl font-bold text-indigo-600">
-            {formatCurrency(fee.amount)}
+            {formatCurrency(fee.summary.balance)}
           </span>
         </div>
       </div>
 
+      {/* Amount */}
+      <PaymentAmountField
+        summary={fee.summary}
+        value={amount}
+        onChange={(value) =>
+          setValue("amount", value, { shouldValidate: isSubmitted })
+        }
+        error={errors.amount?.message}
+      />
+
       {/* Payment Method */}
       <Select
         label="Payment Method"
         name="paymentMethod"
         register={register}
         placeholder="Select payment method"
-        options={[
-          { value: "bank_transfer", label: "Bank Transfer" },
-          { value: "online_payment", label: "Online Payment" },
-          { value: "cash", label: "Cash Payment" },
-          { value: "easypaisa", label: "EasyPaisa" },
-          { value: "jazzcash", label: "JazzCash" },
-        ]}
+        options={GATEWAY_METHODS}
         error={errors.paymentMethod?.message}
         required
       />
@@ -89,10 +122,18 @@ export default function PaymentForm({
       <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
         <p className="text-sm font-medium text-gray-700 mb-2">Payment Instructions:</p>
         <ul className="text-xs text-gray-600 space-y-1 list-disc list-inside">
-          <li>Bank Transfer: Use account number 1234567890 (HBL Bank)</li>
-          <li>Online Payment: You will be redirected to payment gateway</li>
-          <li>Cash: Visit accounts office during working hours</li>
-          <li>EasyPaisa/JazzCash: Send payment to 0300-1234567</li>
+          <li>
+            Card: Enter your card on the payment gateway&apos;s secure form;
+            card details never reach the portal
+          </li>
+          <li>
+            EasyPaisa/JazzCash: You will be redirected to approve the payment
+            in your wallet, then brought back here
+          </li>
+          <li>
+            Your fee is marked paid as soon as the gateway confirms the payment
+          </li>
+          <li>To pay at a bank counter, generate a challan instead</li>
         </ul>
       </div>
 
@@ -119,7 +160,7 @@ export default function PaymentForm({
               <Loading size="sm" />
             </span>
           )}
-          Confirm Payment
+          Continue to Payment
         </Button>
       </div>
     </form>
@@ -0,0 +1,144 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Loading from "@/components/common/loading";
+import { validateBook } from "@/lib/library/catalogue";
+
+// "A, B" -> ["A", "B"]
+const splitList = (text) =>
+  text
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Book Form Component
+ *
+ * Form for librarians to add a title to the catalogue with its first
+ * copies; the copies get the next accession numbers.
+ *
+ * @param {function} onSubmit - ({ isbn, title, authors, subjects,
+ *   publisher, year, callNumber, copies }) => Promise
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ */
+export default function BookForm({ onSubmit, onCancel, loading = false }) {
+  const [fields, setFields] = useState({
+    isbn: "",
+    title: "",
+    authors: "",
+    subjects: "",
+    publisher: "",
+    year: "",
+    callNumber: "",
+    copies: 1,
+  });
+  const [error, setError] = useState("");
+
+  const handleChange = (e) =>
+    setFields((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const book = {
+      isbn: fields.isbn.trim(),
+      title: fields.title.trim(),
+      authors: splitList(fields.authors),
+      subjects: splitList(fields.subjects),
+      publisher: fields.publisher.trim(),
+      year: fields.year ? Number(fields.year) : null,
+      callNumber: fields.callNumber.trim(),
+      copies: Number(fields.copies),
+    };
+    const invalid = validateBook(book);
+    setError(invalid || "");
+    if (invalid) return;
+    await onSubmit(book);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <Input
+        label="Title"
+        name="title"
+        value={fields.title}
+        onChange={handleChange}
+        required
+      />
+      <Input
+        label="Authors"
+        name="authors"
+        value={fields.authors}
+        onChange={handleChange}
+        placeholder="Separate several authors with commas"
+        required
+      />
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <Input
+          label="ISBN"
+          name="isbn"
+          value={fields.isbn}
+          onChange={handleChange}
+          placeholder="e.g. 978-0262033848"
+          required
+        />
+        <Input
+          label="Call Number"
+          name="callNumber"
+          value={fields.callNumber}
+          onChange={handleChange}
+          placeholder="e.g. QA76.6 .C662"
+        />
+        <Input
+          label="Publisher"
+          name="publisher"
+          value={fields.publisher}
+          onChange={handleChange}
+        />
+        <Input
+          label="Year"
+          type="number"
+          name="year"
+          value={fields.year}
+          onChange={handleChange}
+          min={1450}
+        />
+      </div>
+      <Input
+        label="Subjects"
+        name="subjects"
+        value={fields.subjects}
+        onChange={handleChange}
+        placeholder="e.g. Algorithms, Data Structures"
+      />
+      <Input
+        label="Number of Copies"
+        type="number"
+        name="copies"
+        value={fields.copies}
+        onChange={handleChange}
+        min={1}
+        max={20}
+        required
+      />
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex items-center justify-end space-x-3 pt-4 border-t border-gray-200">
+        <Button type="button" variant="outline" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" disabled={loading}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          Add Book
+        </Button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,226 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Select from "@/components/common/select";
+import Loading from "@/components/common/loading";
+import EmptyState from "@/components/common/empty-state";
+import { BookOpen, Search, Bookmark } from "lucide-react";
+import { useToast } from "@/contexts/toast-context";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchLibraryBooks } from "@/lib/query/queries";
+import { api } from "@/lib/utils/api";
+import { formatDate } from "@/lib/utils";
+import {
+  COPY_STATUS,
+  COPY_STATUS_LABELS,
+  SEARCH_FIELDS,
+  SEARCH_FIELD_LABELS,
+} from "@/lib/library/catalogue";
+import { HOLD_STATUS } from "@/lib/library/circulation";
+
+const FIELD_OPTIONS = Object.entries(SEARCH_FIELD_LABELS).map(
+  ([value, label]) => ({ value, label })
+);
+
+const COPY_STATUS_COLORS = {
+  [COPY_STATUS.AVAILABLE]: "bg-green-100 text-green-800",
+  [COPY_STATUS.ON_LOAN]: "bg-yellow-100 text-yellow-800",
+  [COPY_STATUS.ON_HOLD_SHELF]: "bg-blue-100 text-blue-800",
+  [COPY_STATUS.WITHDRAWN]: "bg-gray-100 text-gray-600",
+};
+
+/**
+ * Catalogue Search Component
+ *
+ * Searches the library catalogue by title, author, ISBN or subject
+ * (lib/library/catalogue.js) and lists every copy of each title with its
+ * accession number and whether it is on the shelf, on loan (and until
+ * when) or withdrawn. Titles with no copy on the shelf can be reserved;
+ * the reader joins the end of the title's queue.
+ */
+export default function CatalogueSearch() {
+  const [text, setText] = useState("");
+  const [field, setField] = useState(SEARCH_FIELDS.ALL);
+  // The search that was last submitted
+  const [search, setSearch] = useState({ q: "", field: SEARCH_FIELDS.ALL });
+  const { success, error } = useToast();
+
+  const {
+    data: books = [],
+    error: loadError,
+    isLoading,
+  } = useQuery(queryKeys.libraryBooks(search), () =>
+    fetchLibraryBooks(search)
+  );
+
+  const placeHold = useMutation(
+    (bookId) => api.post(`/library/books/${bookId}/holds`),
+    { invalidates: [["library"]] }
+  );
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setSearch({ q: text.trim(), field });
+  };
+
+  const handleReserve = async (book) => {
+    try {
+      const hold = await placeHold.mutateAsync(book.id);
+      success(
+        `"${book.title}" reserved. You are number ${hold.position} in the queue.`
+      );
+    } catch (err) {
+      console.error("Reservation error:", err);
+      error(err.message || "Failed to reserve the book. Please try again.");
+    }
+  };
+
+  const renderHold = (book) => {
+    if (book.myHold) {
+      return (
+        <span className="text-xs sm:text-sm font-medium text-indigo-600">
+          {book.myHold.status === HOLD_STATUS.READY
+            ? `Ready for pickup until ${formatDate(book.myHold.expiresAt)}`
+            : `Reserved: number ${book.myHold.position} in the queue`}
+        </span>
+      );
+    }
+    if (book.holdBlock) {
+      return <span className="text-xs text-gray-500">{book.holdBlock}</span>;
+    }
+    return (
+      <Button
+        size="sm"
+        startIcon={<Bookmark className="w-4 h-4" />}
+        onClick={() => handleReserve(book)}
+        disabled={placeHold.isPending}
+        className="w-full sm:w-auto"
+      >
+        Reserve
+      </Button>
+    );
+  };
+
+  return (
+    <Card title="Search the Catalogue">
+      <form
+        onSubmit={handleSearch}
+        className="flex flex-col sm:flex-row sm:items-end gap-3 mb-5"
+      >
+        <div className="flex-1">
+          <Input
+            label="Search"
+            name="q"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Title, author, ISBN or subject"
+          />
+        </div>
+        <div className="sm:w-44">
+          <Select
+            label="Search in"
+            name="field"
+            value={field}
+            onChange={(e) => setField(e.target.value)}
+            options={FIELD_OPTIONS}
+          />
+        </div>
+        <Button
+          type="submit"
+          startIcon={<Search className="w-4 h-4" />}
+          className="w-full sm:w-auto"
+        >
+          Search
+        </Button>
+      </form>
+
+      {isLoading ? (
+        <div className="text-center py-8">
+          <Loading size="md" />
+          <p className="text-gray-600 mt-3">Searching the catalogue...</p>
+        </div>
+      ) : loadError ? (
+        <div className="text-center py-8">
+          <p className="text-gray-600">Failed to search the catalogue</p>
+          <p className="text-sm text-gray-500 mt-1">{loadError.message}</p>
+        </div>
+      ) : books.length === 0 ? (
+        <EmptyState
+          icon={Search}
+          title="No books found"
+          description="Try a different search term or search in all fields."
+        />
+      ) : (
+        <div className="space-y-4">
+          {books.map((book) => (
+            <div key={book.id} className="p-3 sm:p-4 bg-gray-50 rounded-lg">
+              <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2 mb-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center space-x-2 sm:space-x-3 mb-2">
+                    <BookOpen className="w-4 h-4 sm:w-5 sm:h-5 text-indigo-600 flex-shrink-0" />
+                    <h3 className="text-base sm:text-lg font-semibold text-gray-900 break-words">
+                      {book.title}
+                    </h3>
+                  </div>
+                  <p className="text-xs sm:text-sm text-gray-600 mb-1 break-words">
+                    by {book.authors.join(", ")}
+                  </p>
+                  <p className="text-xs text-gray-500 break-all">
+                    ISBN: {book.isbn} · {book.callNumber} · {book.subjects.join(", ")}
+                  </p>
+                </div>
+                <span
+                  className={`px-2 sm:px-3 py-1 text-xs font-medium rounded-md whitespace-nowrap flex-shrink-0 self-start ${
+                    book.availability.available > 0
+                      ? "bg-green-100 text-green-800"
+                      : "bg-yellow-100 text-yellow-800"
+                  }`}
+                >
+                  {book.availability.available} of {book.availability.total}{" "}
+                  available
+                </span>
+              </div>
+
+              <ul className="divide-y divide-gray-200 border-t border-gray-200">
+                {book.copies.map((copy) => (
+                  <li
+                    key={copy.id}
+                    className="flex items-center justify-between gap-2 py-2 text-xs sm:text-sm"
+                  >
+                    <span className="font-mono text-gray-700">
+                      {copy.accessionNumber}
+                    </span>
+                    <span className="flex items-center gap-2 text-gray-600">
+                      {copy.dueDate && <span>Due {formatDate(copy.dueDate)}</span>}
+                      <span
+                        className={`px-2 py-0.5 rounded-md text-xs font-medium ${
+                          COPY_STATUS_COLORS[copy.status]
+                        }`}
+                      >
+                        {COPY_STATUS_LABELS[copy.status]}
+                      </span>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 pt-3 border-t border-gray-200">
+                <p className="text-xs sm:text-sm text-gray-600">
+                  {book.queueLength > 0
+                    ? `${book.queueLength} reader${
+                        book.queueLength === 1 ? "" : "s"
+                      } waiting`
+                    : "No one waiting"}
+                </p>
+                {renderHold(book)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  );
+}
@@ -0,0 +1,82 @@
+"use client";
+
+import { useState } from "react";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Loading from "@/components/common/loading";
+
+/**
+ * Circulation Form Component
+ *
+ * Circulation desk form for issuing or returning a book. The book is
+ * identified by scanning or typing a copy's accession number or the
+ * title's ISBN; barcode scanners type the code and press Enter, which
+ * submits the form. The book code is cleared after a successful submit so
+ * the next book can be scanned straight away.
+ *
+ * @param {string} mode - "issue" (roll number required) | "return"
+ *   (roll number only needed to tell copies of an ISBN apart)
+ * @param {function} onSubmit - ({ code, rollNumber }) => Promise<boolean>,
+ *   resolving true when the book was issued or returned
+ * @param {boolean} [loading]
+ */
+export default function CirculationForm({ mode, onSubmit, loading = false }) {
+  const [code, setCode] = useState("");
+  const [rollNumber, setRollNumber] = useState("");
+  const isIssue = mode === "issue";
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const done = await onSubmit({
+      code: code.trim(),
+      rollNumber: rollNumber.trim(),
+    });
+    if (done) {
+      setCode("");
+      if (!isIssue) setRollNumber("");
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {isIssue && (
+        <Input
+          label="Student Roll Number"
+          name={`${mode}-rollNumber`}
+          value={rollNumber}
+          onChange={(e) => setRollNumber(e.target.value)}
+          placeholder="e.g. STU-2024-001"
+          required
+        />
+      )}
+      <Input
+        label="Accession Number or ISBN"
+        name={`${mode}-code`}
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="Scan or type, e.g. ACC-000101"
+        autoComplete="off"
+        required
+      />
+      {!isIssue && (
+        <Input
+          label="Student Roll Number (optional)"
+          name={`${mode}-rollNumber`}
+          value={rollNumber}
+          onChange={(e) => setRollNumber(e.target.value)}
+          placeholder="Only needed when returning by ISBN"
+        />
+      )}
+      <div className="flex justify-end">
+        <Button type="submit" disabled={loading}>
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          {isIssue ? "Issue Book" : "Return Book"}
+        </Button>
+      </div>
+    </form>
+  );
+}
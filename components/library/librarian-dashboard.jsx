@@ -0,0 +1,184 @@
+"use client";
+
+import Link from "next/link";
+import Card from "@/components/common/card";
+import {
+  AlarmClock,
+  ArrowLeftRight,
+  BookOpen,
+  Bookmark,
+  Library,
+  User,
+} from "lucide-react";
+import { useAuth } from "@/contexts/auth-context";
+import { useQuery } from "@/lib/query";
+import {
+  queryKeys,
+  fetchLibraryBooks,
+  fetchLibraryOverdue,
+} from "@/lib/query/queries";
+import { COPY_STATUS } from "@/lib/library/catalogue";
+
+const QUICK_LINKS = [
+  {
+    href: "/librarian/circulation",
+    icon: ArrowLeftRight,
+    title: "Circulation Desk",
+    description: "Issue and return books",
+  },
+  {
+    href: "/librarian/catalogue",
+    icon: Library,
+    title: "Catalogue",
+    description: "Add titles and copies, withdraw lost or damaged copies",
+  },
+  {
+    href: "/librarian/overdue",
+    icon: AlarmClock,
+    title: "Overdue Loans",
+    description: "Remind readers to return overdue books",
+  },
+];
+
+/**
+ * Librarian Dashboard Component
+ *
+ * Dashboard shown to librarians instead of the academic one: copy counts
+ * across the catalogue, the number of overdue loans and links to the
+ * circulation desk screens.
+ */
+export default function LibrarianDashboard() {
+  const { user } = useAuth();
+  // Shares cache entries with the catalogue and overdue pages
+  const booksQuery = useQuery(queryKeys.libraryBooks({ q: "" }), () =>
+    fetchLibraryBooks({ q: "" })
+  );
+  const overdueQuery = useQuery(
+    queryKeys.libraryOverdue(),
+    fetchLibraryOverdue
+  );
+  const loading = booksQuery.isLoading || overdueQuery.isLoading;
+
+  const books = booksQuery.data || [];
+  const copies = books.flatMap((book) => book.copies);
+  const stats = [
+    {
+      label: "Titles",
+      value: books.length,
+      icon: BookOpen,
+      color: "from-indigo-500 to-indigo-600",
+      muted: "text-indigo-100",
+      iconColor: "text-indigo-200",
+    },
+    {
+      label: "Copies on Loan",
+      value: copies.filter((c) => c.status === COPY_STATUS.ON_LOAN).length,
+      icon: ArrowLeftRight,
+      color: "from-blue-500 to-blue-600",
+      muted: "text-blue-100",
+      iconColor: "text-blue-200",
+    },
+    {
+      label: "On Hold Shelf",
+      value: copies.filter((c) => c.status === COPY_STATUS.ON_HOLD_SHELF)
+        .length,
+      icon: Bookmark,
+      color: "from-green-500 to-green-600",
+      muted: "text-green-100",
+      iconColor: "text-green-200",
+    },
+    {
+      label: "Overdue Loans",
+      value: (overdueQuery.data || []).length,
+      icon: AlarmClock,
+      color: "from-red-500 to-red-600",
+      muted: "text-red-100",
+      iconColor: "text-red-200",
+    },
+  ];
+
+  return (
+    <div className="space-y-5 sm:space-y-6">
+      {/* Profile Section */}
+      <Card className="bg-gradient-to-r from-indigo-500 to-indigo-600 text-white">
+        <div className="flex items-center space-x-3 sm:space-x-4">
+          <div className="w-12 h-12 sm:w-16 sm:h-16 bg-white/20 rounded-full flex items-center justify-center border-2 border-white/30 flex-shrink-0">
+            <User className="w-6 h-6 sm:w-8 sm:h-8 text-white" />
+          </div>
+          <div className="flex-1 min-w-0">
+            <h2 className="text-lg sm:text-xl md:text-2xl font-bold truncate">
+              {user?.fullName || "Librarian"}
+            </h2>
+            <div className="flex items-center space-x-1 mt-1 text-indigo-100">
+              <Library className="w-3 h-3 sm:w-4 sm:h-4" />
+              <span className="text-xs sm:text-sm truncate">
+                {user?.department || "Library"}
+              </span>
+            </div>
+          </div>
+        </div>
+      </Card>
+
+      {/* Welcome Section */}
+      <div>
+        <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-1.5 sm:mb-2">
+          Welcome back!
+        </h1>
+        <p className="text-sm sm:text-base text-gray-600">
+          Here&apos;s the state of the library today.
+        </p>
+      </div>
+
+      {/* Stats Grid */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 md:gap-6">
+        {stats.map((stat) => {
+          const Icon = stat.icon;
+          return (
+            <Card
+              key={stat.label}
+              className={`bg-gradient-to-br ${stat.color} text-white`}
+            >
+              <div className="flex items-center justify-between">
+                <div className="min-w-0 flex-1">
+                  <p className={`${stat.muted} text-xs sm:text-sm`}>
+                    {stat.label}
+                  </p>
+                  <p className="text-2xl sm:text-3xl font-bold mt-1">
+                    {loading ? "..." : stat.value}
+                  </p>
+                </div>
+                <Icon
+                  className={`w-8 h-8 sm:w-10 sm:h-10 md:w-12 md:h-12 ${stat.iconColor} flex-shrink-0 ml-2`}
+                />
+              </div>
+            </Card>
+          );
+        })}
+      </div>
+
+      {/* Quick Actions */}
+      <Card title="Quick Actions">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          {QUICK_LINKS.map((link) => {
+            const Icon = link.icon;
+            return (
+              <Link
+                key={link.href}
+                href={link.href}
+                className="flex items-start space-x-3 p-3 sm:p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+              >
+                <Icon className="w-5 h-5 text-indigo-600 flex-shrink-0 mt-0.5" />
+                <div className="min-w-0">
+                  <p className="text-sm font-semibold text-gray-900">
+                    {link.title}
+                  </p>
+                  <p className="text-xs text-gray-600">{link.description}</p>
+                </div>
+              </Link>
+            );
+          })}
+        </div>
+      </Card>
+    </div>
+  );
+}
@@ -8,6 +8,7 @@ import CreateNotificationForm from "@/components/notifications/create-notificati
 import EmptyState from "@/components/common/empty-state";
 import { useAuth } from "@/contexts/auth-context";
 import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
 import {
   Bell,
   AlertCircle,
@@ -43,87 +44,32 @@ import {
  */
 
 export default function NotificationsList() {
-  const { isTeacher, isAdmin, role } = useAuth();
+  const { isTeacher, isAdmin, role, can } = useAuth();
+  const canCreate = can("notifications:create");
   const { success, error } = useToast();
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   
-  // Initialize notifications based on role
-  const getInitialNotifications = () => {
-    // Check if using mock token - use mock data directly
-    const token = typeof window !== "undefined" ? localStorage.getItem("token") : null;
-    if (token && token.startsWith("mock-token-")) {
-      if (isAdmin) {
-        const { mockAdminNotifications } = require("@/lib/mock-data/admin-mock-data");
-        return mockAdminNotifications;
-      } else if (isTeacher) {
-        const { mockTeacherNotifications } = require("@/lib/mock-data/admin-mock-data");
-        return mockTeacherNotifications;
-      } else {
-        const { mockStudentNotifications } = require("@/lib/mock-data/admin-mock-data");
-        return mockStudentNotifications;
-      }
-    }
-    
-    // Default student notifications for real users
-    return [
-      {
-        id: 1,
-        type: "alert",
-        title: "Assignment Due Tomorrow",
-        message: "Data Structures Project is due on December 25, 2024",
-        time: "2 hours ago",
-        course: "CS201 - Data Structures",
-        read: false,
-      },
-      {
-        id: 2,
-        type: "info",
-        title: "New Course Material Available",
-        message: "Lecture slides for Week 12 have been uploaded",
-        time: "5 hours ago",
-        course: "CS301 - Database Systems",
-        read: false,
-      },
-      {
-        id: 3,
-        type: "warning",
-        title: "Library Book Due Soon",
-        message: 'Your book "Introduction to Algorithms" is due in 2 days',
-        time: "1 day ago",
-        course: null,
-        read: false,
-      },
-      {
-        id: 4,
-        type: "info",
-        title: "Exam Schedule Released",
-        message: "Final exam schedule for Fall 2024 has been published",
-        time: "2 days ago",
-        course: null,
-        read: false,
-      },
-    ];
-  };
-  
-  const [notifications, setNotifications] = useState(getInitialNotifications());
+  const [notifications, setNotifications] = useState([]);
 
-  // Update notifications when role changes (for mock users)
+  // Fetch notifications for the current role
   useEffect(() => {
-    const token = typeof window !== "undefined" ? localStorage.getItem("token") : null;
-    if (token && token.startsWith("mock-token-")) {
-      if (isAdmin) {
-        const { mockAdminNotifications } = require("@/lib/mock-data/admin-mock-data");
-        setNotifications(mockAdminNotifications);
-      } else if (isTeacher) {
-        const { mockTeacherNotifications } = require("@/lib/mock-data/admin-mock-data");
-        setNotifications(mockTeacherNotifications);
-      } else {
-        const { mockStudentNotifications } = require("@/lib/mock-data/admin-mock-data");
-        setNotifications(mockStudentNotifications);
-      }
-    }
-  }, [isAdmin, isTeacher]);
+    let cancelled = false;
+    api
+      .get("/notifications")
+      .then((response) => {
+        if (cancelled) return;
+        setNotifications(
+          Array.isArray(response) ? response : response?.data || []
+        );
+      })
+      .catch((err) => {
+        console.error("Error fetching notifications:", err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [role]);
 
   const handleMarkAsRead = (id) => {
     setNotifications((prev) =>
@@ -221,7 +167,7 @@ export default function NotificationsList() {
           </p>
         </div>
         <div className="flex items-center flex-wrap gap-2">
-          {isAdmin || isTeacher ? (
+          {canCreate ? (
             <Button
               startIcon={<Plus className="w-4 h-4" />}
               onClick={() => setIsCreateModalOpen(true)}
@@ -320,7 +266,7 @@ export default function NotificationsList() {
       </div>
 
       {/* Create Notification Modal (Admin and Teacher) */}
-      {(isAdmin || isTeacher) && (
+      {canCreate && (
         <Modal
           isOpen={isCreateModalOpen}
           onClose={() => setIsCreateModalOpen(false)}
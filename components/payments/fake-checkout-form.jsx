@@ -0,0 +1,220 @@
+"use client";
+
+import { useState } from "react";
+import { CheckCircle, CreditCard, Lock, Wallet, XCircle } from "lucide-react";
+import Button from "@/components/common/button";
+import Input from "@/components/common/input";
+import Alert from "@/components/common/alert";
+import Loading from "@/components/common/loading";
+import {
+  CHECKOUT_COMPLETE_MESSAGE,
+  getGatewayMethod,
+} from "@/lib/payments/gateway";
+import { formatCurrency } from "@/lib/utils";
+
+function formatCardNumber(value) {
+  return value
+    .replace(/\D/g, "")
+    .slice(0, 16)
+    .replace(/(\d{4})(?=\d)/g, "$1 ");
+}
+
+/**
+ * Fake Checkout Form Component
+ *
+ * FakePay's payment form: a card form for card payments, approve/decline
+ * for wallets. When the payment completes it returns to the merchant,
+ * either by redirecting to the return URL or, when embedded, by posting a
+ * message to the parent window.
+ *
+ * @param {object} payment - From toCheckoutView()
+ * @param {boolean} embedded - Shown inside the merchant's page (iframe)
+ * @param {object} testCards - { APPROVED, DECLINED } card numbers
+ */
+export default function FakeCheckoutForm({ payment, embedded, testCards }) {
+  const [cardNumber, setCardNumber] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [completed, setCompleted] = useState(
+    payment.status === "requires_payment" ? null : payment
+  );
+  const alreadyCompleted = payment.status !== "requires_payment";
+  const isCard = payment.method === "card";
+  const methodLabel = getGatewayMethod(payment.method)?.label || "Wallet";
+
+  const returnToMerchant = (result) => {
+    if (embedded) {
+      window.parent.postMessage(
+        {
+          type: CHECKOUT_COMPLETE_MESSAGE,
+          paymentId: result.id,
+          status: result.status,
+        },
+        new URL(result.returnUrl).origin
+      );
+    } else {
+      window.location.assign(result.returnUrl);
+    }
+  };
+
+  const complete = async (outcome) => {
+    setSubmitting(true);
+    setError("");
+    try {
+      const response = await fetch(
+        `/api/fake-gateway/payments/${payment.id}/complete`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ outcome, cardNumber }),
+        }
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error?.message || "Payment failed");
+      }
+      setCompleted(data);
+      returnToMerchant(data);
+    } catch (err) {
+      setError(err.message || "Payment failed. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCardSubmit = (e) => {
+    e.preventDefault();
+    complete("approve");
+  };
+
+  return (
+    <div
+      className={`flex justify-center ${
+        embedded ? "p-2" : "min-h-screen items-center bg-gray-100 p-4"
+      }`}
+    >
+      <div className="w-full max-w-md bg-white rounded-xl border border-gray-200 shadow-sm p-5 sm:p-6 space-y-5">
+        <div className="flex items-center justify-between">
+          <span className="text-lg font-bold text-emerald-700">FakePay</span>
+          <span className="px-2 py-0.5 text-xs font-medium rounded-md bg-amber-100 text-amber-800">
+            Test mode
+          </span>
+        </div>
+
+        <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+          <p className="text-sm text-gray-600">{payment.description}</p>
+          <p className="text-2xl font-bold text-gray-900 mt-1">
+            {formatCurrency(payment.amount)}
+          </p>
+        </div>
+
+        {completed ? (
+          <div className="text-center space-y-3 py-2">
+            {completed.status === "succeeded" ? (
+              <CheckCircle className="w-12 h-12 text-emerald-600 mx-auto" />
+            ) : (
+              <XCircle className="w-12 h-12 text-red-600 mx-auto" />
+            )}
+            <p className="font-semibold text-gray-900">
+              {completed.status === "succeeded"
+                ? "Payment approved"
+                : "Payment declined"}
+            </p>
+            <p className="text-sm text-gray-600">
+              {alreadyCompleted
+                ? "This payment has already been completed."
+                : "Returning you to the merchant..."}
+            </p>
+            {!embedded && (
+              <a
+                href={completed.returnUrl}
+                className="text-sm font-medium text-emerald-700 hover:underline"
+              >
+                Return now
+              </a>
+            )}
+          </div>
+        ) : isCard ? (
+          <form onSubmit={handleCardSubmit} className="space-y-4">
+            <Input
+              label="Card Number"
+              name="cardNumber"
+              inputMode="numeric"
+              autoComplete="cc-number"
+              placeholder="4242 4242 4242 4242"
+              value={cardNumber}
+              onChange={(e) => setCardNumber(formatCardNumber(e.target.value))}
+              required
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <Input
+                label="Expiry"
+                name="expiry"
+                placeholder="MM/YY"
+                autoComplete="cc-exp"
+              />
+              <Input
+                label="CVC"
+                name="cvc"
+                placeholder="123"
+                autoComplete="cc-csc"
+              />
+            </div>
+            <p className="text-xs text-gray-500">
+              Test cards: {formatCardNumber(testCards.APPROVED)} is
+              approved, {formatCardNumber(testCards.DECLINED)} is declined.
+            </p>
+            {error && <Alert type="error" message={error} />}
+            <Button type="submit" className="w-full" disabled={submitting}>
+              {submitting ? (
+                <span className="mr-2">
+                  <Loading size="sm" />
+                </span>
+              ) : (
+                <CreditCard className="w-4 h-4 mr-2" />
+              )}
+              Pay {formatCurrency(payment.amount)}
+            </Button>
+          </form>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex items-center space-x-3 text-sm text-gray-700">
+              <Wallet className="w-5 h-5 text-emerald-700 flex-shrink-0" />
+              <span>
+                Approve this payment in your {methodLabel} account.
+              </span>
+            </div>
+            {error && <Alert type="error" message={error} />}
+            <div className="flex items-center gap-3">
+              <Button
+                variant="outline"
+                className="flex-1"
+                disabled={submitting}
+                onClick={() => complete("decline")}
+              >
+                Decline
+              </Button>
+              <Button
+                className="flex-1"
+                disabled={submitting}
+                onClick={() => complete("approve")}
+              >
+                {submitting && (
+                  <span className="mr-2">
+                    <Loading size="sm" />
+                  </span>
+                )}
+                Approve
+              </Button>
+            </div>
+          </div>
+        )}
+
+        <p className="flex items-center justify-center text-xs text-gray-400">
+          <Lock className="w-3 h-3 mr-1" />
+          Payment details are entered on FakePay and never reach the merchant
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -12,15 +12,15 @@ import { useToast } from "@/contexts/toast-context";
 import { useAuth } from "@/contexts/auth-context";
 
 export default function RequestsList() {
-  const { isTeacher } = useAuth();
+  const { can } = useAuth();
   const [isNewRequestModalOpen, setIsNewRequestModalOpen] = useState(false);
   const [isViewDetailsModalOpen, setIsViewDetailsModalOpen] = useState(false);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [loading, setLoading] = useState(false);
   const { success, error } = useToast();
 
-  // Show teacher view if user is a teacher
-  if (isTeacher) {
+  // Show response view to anyone who handles student requests
+  if (can("requests:respond")) {
     return <TeacherRequestsView />;
   }
 
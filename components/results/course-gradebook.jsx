@@ -0,0 +1,326 @@
+"use client";
+
+import { useRef, useState } from "react";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import Modal from "@/components/common/modal";
+import GradeGrid, { isCellDirty } from "@/components/results/grade-grid";
+import GradeImportPreview from "@/components/results/grade-import-preview";
+import { Download, Save, Upload, Undo2 } from "lucide-react";
+import { api } from "@/lib/utils/api";
+import { downloadBlob } from "@/lib/utils";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchCourseGrades } from "@/lib/query/queries";
+import {
+  hasMarks,
+  parseMarks,
+  validateMarks,
+  validateTotalMarks,
+} from "@/lib/academics/grading";
+import {
+  SCHEME_TYPES,
+  SCHEME_TYPE_LABELS,
+  describeScheme,
+} from "@/lib/academics/grading-schemes";
+import {
+  gradesToCsv,
+  parseGradeCsv,
+  previewGradeImport,
+} from "@/lib/academics/grade-import";
+import { useToast } from "@/contexts/toast-context";
+
+/**
+ * Course Gradebook Component
+ *
+ * Grade sheet for one course: edit marks in the grid and save them together,
+ * change the total marks, export the sheet as CSV, or import marks from a CSV
+ * by roll number. Imports are validated and previewed as a diff before they
+ * are saved; they are only available while the grid has no unsaved edits.
+ * Letter grades follow the course's grading scheme, which admins manage.
+ *
+ * @param {string} courseId - Course the signed-in teacher/TA grades
+ */
+export default function CourseGradebook({ courseId }) {
+  const { success, error } = useToast();
+  const fileInputRef = useRef(null);
+  // Unsaved cell edits keyed by student id, and the edited total (or null)
+  const [drafts, setDrafts] = useState({});
+  const [totalDraft, setTotalDraft] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+
+  const {
+    data: gradebook,
+    error: loadError,
+    isLoading,
+    refetch,
+  } = useQuery(queryKeys.courseGrades(courseId), () =>
+    fetchCourseGrades(courseId)
+  );
+
+  const saveGrades = useMutation(
+    (payload) => api.put(`/courses/${courseId}/grades`, payload),
+    { invalidates: [queryKeys.courseGrades(courseId)] }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="text-center py-8">
+        <Loading size="md" />
+        <p className="text-gray-600 mt-3">Loading grade sheet...</p>
+      </div>
+    );
+  }
+
+  if (!gradebook) {
+    return (
+      <div className="text-center py-8">
+        <p className="text-gray-600">Failed to load the grade sheet</p>
+        <p className="text-sm text-gray-500 mt-1">{loadError?.message}</p>
+        <Button
+          variant="outline"
+          size="sm"
+          className="mx-auto mt-3"
+          onClick={() => refetch().catch(() => null)}
+        >
+          Retry
+        </Button>
+      </div>
+    );
+  }
+
+  const { course, scheme, students } = gradebook;
+  const totalMarks =
+    totalDraft === null ? gradebook.totalMarks : parseMarks(totalDraft);
+  const totalError =
+    totalDraft === null ? null : validateTotalMarks(totalMarks);
+  const dirtyStudents = students.filter((s) => isCellDirty(s, drafts));
+  const totalChanged =
+    totalDraft !== null && totalMarks !== gradebook.totalMarks;
+  const hasEdits = dirtyStudents.length > 0 || totalChanged;
+  const invalidCount = totalError
+    ? students.length
+    : students.filter((student) => {
+        const value =
+          drafts[student.id] !== undefined
+            ? parseMarks(drafts[student.id])
+            : student.marksObtained;
+        return validateMarks(value, totalMarks);
+      }).length;
+  const gradedCount = students.filter((s) => hasMarks(s.marksObtained)).length;
+
+  const handleCellChange = (studentId, value) =>
+    setDrafts((current) => {
+      const next = { ...current };
+      if (value === undefined) delete next[studentId];
+      else next[studentId] = value;
+      return next;
+    });
+
+  const discardEdits = () => {
+    setDrafts({});
+    setTotalDraft(null);
+  };
+
+  const handleSave = async () => {
+    try {
+      await saveGrades.mutateAsync({
+        totalMarks,
+        grades: dirtyStudents.map((student) => ({
+          studentId: student.id,
+          marksObtained: parseMarks(drafts[student.id]),
+        })),
+      });
+      discardEdits();
+      success(`Grades saved for ${course.code}`);
+    } catch (err) {
+      console.error("Save grades error:", err);
+      error(err.message || "Failed to save grades. Please try again.");
+    }
+  };
+
+  const handleExport = () => {
+    const csv = gradesToCsv(gradebook);
+    downloadBlob(
+      new Blob([csv], { type: "text/csv;charset=utf-8" }),
+      `${course.code}-${course.semester}-grades.csv`.replace(/\s+/g, "-")
+    );
+  };
+
+  const handleImportFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const { rows, error: parseError } = parseGradeCsv(await file.text());
+      if (parseError) {
+        error(`${file.name}: ${parseError}`);
+        return;
+      }
+      setImportPreview({
+        fileName: file.name,
+        preview: previewGradeImport(rows, gradebook),
+      });
+    } catch (err) {
+      console.error("Read grade CSV error:", err);
+      error("Could not read the file. Please choose a CSV file.");
+    }
+  };
+
+  const handleApplyImport = async () => {
+    const { changes } = importPreview.preview;
+    try {
+      await saveGrades.mutateAsync({
+        grades: changes.map((change) => ({
+          studentId: change.studentId,
+          marksObtained: change.after,
+        })),
+      });
+      setImportPreview(null);
+      success(
+        `Imported marks for ${changes.length} student${
+          changes.length === 1 ? "" : "s"
+        }`
+      );
+    } catch (err) {
+      console.error("Import grades error:", err);
+      error(err.message || "Failed to import grades. Please try again.");
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col lg:flex-row lg:items-end lg:justify-between gap-3">
+        <div className="flex items-end gap-3">
+          <div>
+            <label
+              htmlFor="gradebook-total-marks"
+              className="block text-xs font-medium text-gray-700 mb-1"
+            >
+              Total Marks
+            </label>
+            <input
+              id="gradebook-total-marks"
+              type="number"
+              min={1}
+              value={totalDraft ?? gradebook.totalMarks}
+              onChange={(e) => setTotalDraft(e.target.value)}
+              className={`block w-24 px-2 py-1.5 border rounded-lg text-sm text-gray-900 focus:outline-none ${
+                totalError ? "border-red-400" : "border-gray-300"
+              }`}
+            />
+          </div>
+          <p className="text-sm text-gray-600 pb-1.5">
+            {gradedCount} of {students.length} graded
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            startIcon={<Download className="w-4 h-4" />}
+            onClick={handleExport}
+            disabled={students.length === 0}
+          >
+            Export CSV
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            startIcon={<Upload className="w-4 h-4" />}
+            onClick={() => fileInputRef.current?.click()}
+            disabled={hasEdits || students.length === 0}
+            title={hasEdits ? "Save or discard your edits first" : undefined}
+          >
+            Import CSV
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleImportFile}
+            className="hidden"
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            startIcon={<Undo2 className="w-4 h-4" />}
+            onClick={discardEdits}
+            disabled={!hasEdits || saveGrades.isPending}
+          >
+            Discard
+          </Button>
+          <Button
+            size="sm"
+            startIcon={<Save className="w-4 h-4" />}
+            onClick={handleSave}
+            disabled={!hasEdits || invalidCount > 0 || saveGrades.isPending}
+          >
+            {saveGrades.isPending
+              ? "Saving..."
+              : `Save${hasEdits ? ` (${dirtyStudents.length})` : ""}`}
+          </Button>
+        </div>
+      </div>
+
+      <div className="p-3 bg-gray-50 rounded-lg text-sm">
+        <p className="text-gray-700">
+          <span className="font-medium">Grading:</span> {scheme.name} (
+          {SCHEME_TYPE_LABELS[scheme.type]})
+        </p>
+        <p className="text-xs text-gray-500 mt-0.5">{describeScheme(scheme)}</p>
+        {scheme.type === SCHEME_TYPES.RELATIVE && (
+          <p className="text-xs text-orange-700 mt-1">
+            Grades are curved on the whole class, so changing one student&apos;s
+            marks can move other students&apos; grades.
+          </p>
+        )}
+      </div>
+
+      {totalError && <p className="text-sm text-red-600">{totalError}</p>}
+      {!totalError && invalidCount > 0 && (
+        <p className="text-sm text-red-600">
+          {invalidCount} mark{invalidCount === 1 ? " is" : "s are"} invalid.
+          Fix {invalidCount === 1 ? "it" : "them"} before saving.
+        </p>
+      )}
+
+      {students.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          No students are enrolled in this course yet
+        </p>
+      ) : (
+        <GradeGrid
+          students={students}
+          scheme={scheme}
+          totalMarks={totalError ? gradebook.totalMarks : totalMarks}
+          drafts={drafts}
+          onChange={handleCellChange}
+          readOnly={saveGrades.isPending}
+        />
+      )}
+
+      <p className="text-xs text-gray-500">
+        Enter or ↓ moves to the next student, Shift+Enter or ↑ to the previous
+        one, and Esc reverts a cell. CSV files need a Roll Number and a Marks
+        Obtained column; blank marks are left unchanged.
+      </p>
+
+      <Modal
+        isOpen={Boolean(importPreview)}
+        onClose={() => setImportPreview(null)}
+        title={`Import Grades - ${course.code}`}
+        size="lg"
+      >
+        {importPreview && (
+          <GradeImportPreview
+            fileName={importPreview.fileName}
+            preview={importPreview.preview}
+            onApply={handleApplyImport}
+            onCancel={() => setImportPreview(null)}
+            loading={saveGrades.isPending}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+"use client";
+
+import { useRef } from "react";
+import {
+  hasMarks,
+  parseMarks,
+  validateMarks,
+} from "@/lib/academics/grading";
+import { assignLetterGrades } from "@/lib/academics/grading-schemes";
+
+/**
+ * Marks shown in a row's cell: the unsaved edit if there is one
+ * @param {object} student - Gradebook student
+ * @param {object} drafts - { [studentId]: string }
+ * @returns {string}
+ */
+export function getCellValue(student, drafts) {
+  if (drafts[student.id] !== undefined) return drafts[student.id];
+  return hasMarks(student.marksObtained) ? String(student.marksObtained) : "";
+}
+
+/**
+ * Whether a row's cell differs from its saved marks
+ * @param {object} student - Gradebook student
+ * @param {object} drafts - { [studentId]: string }
+ * @returns {boolean}
+ */
+export function isCellDirty(student, drafts) {
+  if (drafts[student.id] === undefined) return false;
+  const saved = hasMarks(student.marksObtained) ? student.marksObtained : null;
+  return parseMarks(drafts[student.id]) !== saved;
+}
+
+/**
+ * Grade Grid Component
+ *
+ * Spreadsheet-style marks entry for a course roster. Keyboard:
+ * - Enter / ↓ moves to the next student, Shift+Enter / ↑ to the previous one
+ * - Tab moves through the cells as usual
+ * - Escape reverts the cell to its saved marks
+ *
+ * Edited cells are highlighted until saved; invalid marks are outlined in red
+ * and explained on hover. Letter grades are previewed with the course's
+ * grading scheme as marks are typed (on a curve, one edit can move others).
+ *
+ * @param {object[]} students - [{ id, rollNumber, fullName, section, marksObtained }]
+ * @param {object} scheme - Course grading scheme
+ * @param {number} totalMarks - Total used for validation and letter grades
+ * @param {object} drafts - Unsaved edits: { [studentId]: string }
+ * @param {function} onChange - (studentId, value) => void; value undefined reverts
+ * @param {boolean} [readOnly]
+ */
+export default function GradeGrid({
+  students,
+  scheme,
+  totalMarks,
+  drafts,
+  onChange,
+  readOnly = false,
+}) {
+  const inputRefs = useRef([]);
+
+  const rows = students.map((student) => {
+    const value = getCellValue(student, drafts);
+    const marks = parseMarks(value);
+    const invalid = validateMarks(marks, totalMarks);
+    return { student, value, marks, invalid };
+  });
+  const grades = assignLetterGrades(
+    rows.map(({ student, marks, invalid }) => ({
+      id: student.id,
+      marksObtained: invalid ? null : marks,
+    })),
+    totalMarks,
+    scheme
+  );
+
+  const focusRow = (index) => {
+    const input = inputRefs.current[index];
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  const handleKeyDown = (event, index, student) => {
+    if (
+      event.key === "ArrowDown" ||
+      (event.key === "Enter" && !event.shiftKey)
+    ) {
+      event.preventDefault();
+      focusRow(index + 1);
+    } else if (
+      event.key === "ArrowUp" ||
+      (event.key === "Enter" && event.shiftKey)
+    ) {
+      event.preventDefault();
+      focusRow(index - 1);
+    } else if (event.key === "Escape") {
+      onChange(student.id, undefined);
+    }
+  };
+
+  return (
+    <div className="overflow-x-auto border border-gray-200 rounded-lg">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-left text-xs font-medium text-gray-600 uppercase tracking-wide">
+          <tr>
+            <th className="px-3 py-2">Roll Number</th>
+            <th className="px-3 py-2">Name</th>
+            <th className="px-3 py-2 hidden sm:table-cell">Section</th>
+            <th className="px-3 py-2 w-32">Marks / {totalMarks}</th>
+            <th className="px-3 py-2 hidden sm:table-cell">%</th>
+            <th className="px-3 py-2">Grade</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {rows.map(({ student, value, marks, invalid }, index) => {
+            const dirty = isCellDirty(student, drafts);
+            const grade = grades[student.id];
+            return (
+              <tr
+                key={student.id}
+                className={dirty ? "bg-yellow-50" : "hover:bg-gray-50"}
+              >
+                <td className="px-3 py-1.5 text-gray-700 whitespace-nowrap">
+                  {student.rollNumber}
+                </td>
+                <td className="px-3 py-1.5 text-gray-900">
+                  {student.fullName}
+                </td>
+                <td className="px-3 py-1.5 text-gray-600 hidden sm:table-cell">
+                  {student.section}
+                </td>
+                <td className="px-3 py-1">
+                  <input
+                    ref={(el) => {
+                      inputRefs.current[index] = el;
+                    }}
+                    type="text"
+                    inputMode="decimal"
+                    value={value}
+                    readOnly={readOnly}
+                    onChange={(e) => onChange(student.id, e.target.value)}
+                    onKeyDown={(e) => handleKeyDown(e, index, student)}
+                    onFocus={(e) => e.target.select()}
+                    aria-label={`Marks for ${student.fullName}`}
+                    aria-invalid={Boolean(invalid)}
+                    title={invalid || undefined}
+                    placeholder="-"
+                    className={`block w-full px-2 py-1 border rounded text-gray-900 text-right focus:outline-none focus:ring-2 ${
+                      invalid
+                        ? "border-red-400 focus:ring-red-200"
+                        : "border-gray-300 focus:ring-indigo-200"
+                    }`}
+                  />
+                </td>
+                <td className="px-3 py-1.5 text-gray-600 hidden sm:table-cell">
+                  {grade ? `${((marks / totalMarks) * 100).toFixed(1)}%` : "-"}
+                </td>
+                <td className="px-3 py-1.5 font-medium text-gray-900">
+                  {invalid ? (
+                    <span className="text-xs font-normal text-red-600">
+                      {invalid}
+                    </span>
+                  ) : (
+                    grade || <span className="text-gray-400">-</span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+"use client";
+
+import Alert from "@/components/common/alert";
+import Button from "@/components/common/button";
+import Loading from "@/components/common/loading";
+import { ArrowRight } from "lucide-react";
+
+function formatMarks(marks, grade) {
+  if (marks === null) return <span className="text-gray-400">-</span>;
+  return (
+    <>
+      {marks} <span className="text-gray-500">({grade})</span>
+    </>
+  );
+}
+
+/**
+ * Grade Import Preview Component
+ *
+ * Shows the result of validating an imported CSV before it is saved: rows
+ * that failed validation, and the marks that would change for each student.
+ * Nothing can be applied while the file has errors.
+ *
+ * @param {string} fileName - Imported file name
+ * @param {object} preview - From previewGradeImport(): { changes, errors, unchanged, skipped, regraded }
+ * @param {function} onApply - Save the changes
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ */
+export default function GradeImportPreview({
+  fileName,
+  preview,
+  onApply,
+  onCancel,
+  loading = false,
+}) {
+  const { changes, errors, unchanged, skipped, regraded } = preview;
+
+  return (
+    <div className="space-y-4">
+      <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+        <p className="font-medium text-gray-900 break-all">{fileName}</p>
+        <p className="mt-1">
+          {changes.length} to update · {unchanged} unchanged · {skipped} blank ·{" "}
+          <span className={errors.length > 0 ? "text-red-600 font-medium" : ""}>
+            {errors.length} with errors
+          </span>
+        </p>
+      </div>
+
+      {errors.length > 0 && (
+        <Alert
+          type="error"
+          title="Fix these rows and import the file again"
+          message="Nothing is saved while the file has errors."
+        >
+          <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto text-sm text-red-700">
+            {errors.map((rowError) => (
+              <li key={`${rowError.line}-${rowError.message}`}>
+                <span className="font-medium">Line {rowError.line}:</span>{" "}
+                {rowError.message}
+              </li>
+            ))}
+          </ul>
+        </Alert>
+      )}
+
+      {errors.length === 0 && regraded > 0 && (
+        <Alert
+          type="warning"
+          message={`This course is graded on a curve: ${regraded} student${
+            regraded === 1 ? "" : "s"
+          } not in the file will get a different grade after the import.`}
+        />
+      )}
+
+      {changes.length > 0 ? (
+        <div className="max-h-72 overflow-y-auto border border-gray-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-xs font-medium text-gray-600 uppercase tracking-wide">
+              <tr>
+                <th className="px-3 py-2">Student</th>
+                <th className="px-3 py-2">Current</th>
+                <th className="px-3 py-2 w-6" aria-hidden="true" />
+                <th className="px-3 py-2">Imported</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {changes.map((change) => (
+                <tr key={change.studentId}>
+                  <td className="px-3 py-1.5">
+                    <p className="text-gray-900">{change.fullName}</p>
+                    <p className="text-xs text-gray-500">{change.rollNumber}</p>
+                  </td>
+                  <td className="px-3 py-1.5 text-gray-700">
+                    {formatMarks(change.before, change.beforeGrade)}
+                  </td>
+                  <td className="px-1 py-1.5 text-gray-400">
+                    <ArrowRight className="w-4 h-4" />
+                  </td>
+                  <td className="px-3 py-1.5 font-medium text-gray-900">
+                    {formatMarks(change.after, change.afterGrade)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        errors.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-4">
+            The file matches the current marks; there is nothing to update.
+          </p>
+        )
+      )}
+
+      <div className="flex flex-col-reverse sm:flex-row items-stretch sm:items-center sm:justify-end gap-2 sm:gap-3 pt-4 border-t border-gray-200">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onCancel}
+          className="w-full sm:w-auto"
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={onApply}
+          disabled={loading || errors.length > 0 || changes.length === 0}
+          className="w-full sm:w-auto"
+        >
+          {loading && (
+            <span className="mr-2">
+              <Loading size="sm" />
+            </span>
+          )}
+          Apply {changes.length} Change{changes.length === 1 ? "" : "s"}
+        </Button>
+      </div>
+    </div>
+  );
+}
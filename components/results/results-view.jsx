@@ -2,9 +2,20 @@
 
 import { useState } from "react";
 import Card from "@/components/common/card";
+import Button from "@/components/common/button";
 import TeacherResultsView from "@/components/results/teacher-results-view";
 import { useAuth } from "@/contexts/auth-context";
-import { FileText, TrendingUp, BarChart3 } from "lucide-react";
+import { useToast } from "@/contexts/toast-context";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchResults } from "@/lib/query/queries";
+import { api } from "@/lib/utils/api";
+import { downloadBlob } from "@/lib/utils";
+import { DOCUMENT_TYPES } from "@/lib/academics/transcripts";
+import {
+  buildTranscriptPdf,
+  getDocumentFileName,
+} from "@/lib/academics/transcript-pdf";
+import { FileText, TrendingUp, BarChart3, Download } from "lucide-react";
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -26,14 +37,26 @@ ChartJS.register(
   Legend
 );
 
+// Why a course does not count towards the GPA or CGPA, if it does not
+function getCourseNote(course) {
+  if (course.repeated) return "Repeated later; not counted in CGPA";
+  if (course.nonCredit) return "Non-credit; not counted in GPA";
+  if (course.gradePoints === null) return "Not counted in GPA";
+  return null;
+}
+
 /**
  * Results View Component (Student View)
  *
  * Displays student academic results with:
  * - Detailed Marks Certificate (DMC) for each semester
- * - Semester-wise GPA calculation
- * - Overall CGPA calculation
+ * - Semester-wise GPA and overall CGPA, computed by the server from each
+ *   course's grading scheme (lib/academics/gpa.js)
+ * - Repeated, non-credit and pass/fail courses flagged where they do not
+ *   count towards the GPA or CGPA
  * - Grade history visualization using Chart.js
+ * - Official transcript and per-semester DMC downloads as PDF, each issued
+ *   with a verification code the registrar can check
  * - Marks display (marksObtained / totalMarks)
  *
  * Features:
@@ -41,86 +64,62 @@ ChartJS.register(
  * - Interactive bar chart for grade history
  * - Semester-wise breakdown
  *
- * Note: If user is a teacher, renders TeacherResultsView instead.
+ * Note: If the user can enter grades (teachers, TAs), renders TeacherResultsView instead.
  */
 
 export default function ResultsView() {
-  const { isTeacher } = useAuth();
+  const { user, can } = useAuth();
+  const { success, error: showError } = useToast();
+  const canEnterGrades = can("grades:enter");
+  const [selectedView, setSelectedView] = useState("dmc"); // "dmc" or "history"
+  // Which document is being issued: "transcript" or a semester id
+  const [issuing, setIssuing] = useState(null);
+  const { data: results } = useQuery(queryKeys.results(), fetchResults, {
+    enabled: !canEnterGrades,
+  });
+
+  const issueDocument = useMutation(
+    (payload) => api.post("/transcripts", payload),
+    { invalidates: [queryKeys.transcripts()] }
+  );
 
-  // Show teacher view if user is a teacher
-  if (isTeacher) {
+  // Show grade entry view to anyone who can enter grades
+  if (canEnterGrades) {
     return <TeacherResultsView />;
   }
 
-  const semesters = [
-    {
-      id: 1,
-      name: "Fall 2024",
-      gpa: 3.75,
-      courses: [
-        {
-          code: "CS101",
-          name: "Introduction to Computer Science",
-          grade: "A",
-          creditHours: 3,
-          marksObtained: 92,
-          totalMarks: 100,
-        },
-        {
-          code: "CS201",
-          name: "Data Structures",
-          grade: "A-",
-          creditHours: 3,
-          marksObtained: 88,
-          totalMarks: 100,
-        },
-        {
-          code: "CS301",
-          name: "Database Systems",
-          grade: "B+",
-          creditHours: 3,
-          marksObtained: 85,
-          totalMarks: 100,
-        },
-      ],
-    },
-    {
-      id: 2,
-      name: "Spring 2024",
-      gpa: 3.68,
-      courses: [
-        {
-          code: "CS102",
-          name: "Programming Fundamentals",
-          grade: "A",
-          creditHours: 3,
-          marksObtained: 90,
-          totalMarks: 100,
-        },
-        {
-          code: "CS202",
-          name: "Algorithms",
-          grade: "B+",
-          creditHours: 3,
-          marksObtained: 87,
-          totalMarks: 100,
-        },
-      ],
-    },
-  ];
-
-  const overallCGPA = 3.71;
-  const [selectedView, setSelectedView] = useState("dmc"); // "dmc" or "history"
+  const semesters = results?.semesters || [];
+  const overallCGPA = results?.cgpa ?? "-";
 
-  // Grade history data for visualization
-  const gradeHistory = [
-    { semester: "Fall 2023", gpa: 3.65 },
-    { semester: "Spring 2024", gpa: 3.68 },
-    { semester: "Fall 2024", gpa: 3.75 },
-  ];
+  // Grade history data for visualization, oldest semester first
+  const gradeHistory = [...semesters]
+    .reverse()
+    .filter((semester) => semester.gpa !== null && semester.gpa !== undefined)
+    .map((semester) => ({ semester: semester.name, gpa: semester.gpa }));
 
   const maxGPA = 4.0;
 
+  // The server records the document and its code; the PDF is drawn here
+  const handleDownload = async (type, semesterId) => {
+    setIssuing(semesterId ?? type);
+    try {
+      const issued = await issueDocument.mutateAsync({ type, semesterId });
+      const pdf = buildTranscriptPdf({
+        document: issued,
+        student: user,
+        results,
+        verifyUrl: `${window.location.origin}/admin/transcripts?code=${issued.code}`,
+      });
+      downloadBlob(pdf.toBlob(), getDocumentFileName(issued, user));
+      success(`Downloaded. Verification code: ${issued.code}`);
+    } catch (err) {
+      console.error("Issue document error:", err);
+      showError(err.message || "Failed to generate the document");
+    } finally {
+      setIssuing(null);
+    }
+  };
+
   // Chart data
   const chartData = {
     labels: gradeHistory.map((item) => item.semester),
@@ -215,6 +214,17 @@ export default function ResultsView() {
             View your semester results and CGPA
           </p>
         </div>
+        <Button
+          variant="outline"
+          size="sm"
+          startIcon={<Download className="w-4 h-4" />}
+          disabled={semesters.length === 0 || issueDocument.isPending}
+          onClick={() => handleDownload(DOCUMENT_TYPES.TRANSCRIPT)}
+        >
+          {issuing === DOCUMENT_TYPES.TRANSCRIPT
+            ? "Generating..."
+            : "Download Transcript"}
+        </Button>
         <div className="flex items-center space-x-1 sm:space-x-2 bg-gray-100 rounded-lg p-1">
           <button
             onClick={() => setSelectedView("dmc")}
@@ -295,9 +305,24 @@ export default function ResultsView() {
                 <div className="bg-primary text-white mb-4 px-4 py-2">
                   <div className="flex items-center justify-between">
                     <span className="text-sm font-bold">Semester GPA</span>
-                    <span className="text-sm font-bold">{semester.gpa}</span>
+                    <span className="text-sm font-bold">
+                      {semester.gpa ?? "-"}
+                    </span>
                   </div>
                 </div>
+                <div className="flex justify-end mb-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    startIcon={<Download className="w-4 h-4" />}
+                    disabled={issueDocument.isPending}
+                    onClick={() =>
+                      handleDownload(DOCUMENT_TYPES.DMC, semester.id)
+                    }
+                  >
+                    {issuing === semester.id ? "Generating..." : "Download DMC"}
+                  </Button>
+                </div>
 
                 <div className="overflow-x-auto">
                   <table className="w-full">
@@ -318,6 +343,9 @@ export default function ResultsView() {
                         <th className="text-center py-3 px-4 text-sm font-medium text-gray-700">
                           Grade
                         </th>
+                        <th className="text-center py-3 px-4 text-sm font-medium text-gray-700">
+                          Points
+                        </th>
                       </tr>
                     </thead>
                     <tbody>
@@ -328,18 +356,28 @@ export default function ResultsView() {
                           </td>
                           <td className="py-3 px-4 text-sm text-gray-600">
                             {course.name}
+                            {getCourseNote(course) && (
+                              <span className="block text-xs text-gray-400">
+                                {getCourseNote(course)}
+                              </span>
+                            )}
                           </td>
                           <td className="py-3 px-4 text-sm text-center text-gray-600">
                             {course.creditHours}
                           </td>
                           <td className="py-3 px-4 text-center text-sm text-gray-900">
-                            {course.marksObtained} / {course.totalMarks}
+                            {course.totalMarks
+                              ? `${course.marksObtained} / ${course.totalMarks}`
+                              : "-"}
                           </td>
                           <td className="py-3 px-4 text-center">
                             <span className="px-3 py-1 bg-indigo-100 text-indigo-800 text-sm font-medium rounded-md">
                               {course.grade}
                             </span>
                           </td>
+                          <td className="py-3 px-4 text-center text-sm text-gray-600">
+                            {course.gradePoints ?? "-"}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
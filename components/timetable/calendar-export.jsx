@@ -0,0 +1,176 @@
+"use client";
+
+import { useState } from "react";
+import Card from "@/components/common/card";
+import Button from "@/components/common/button";
+import { CalendarPlus, Copy, Download, RefreshCw } from "lucide-react";
+import { useToast } from "@/contexts/toast-context";
+import { api } from "@/lib/utils/api";
+import { downloadBlob, formatDateTime } from "@/lib/utils";
+import { useQuery, useMutation, setQueryData } from "@/lib/query";
+import { queryKeys, fetchCalendarFeed } from "@/lib/query/queries";
+
+/**
+ * Calendar Export Component
+ *
+ * Takes the signed-in user's classes, assignment deadlines and fee due
+ * dates to other calendars:
+ * - Download an .ics file to import once
+ * - Subscribe from Google Calendar or Outlook with a secret URL, which
+ *   keeps them in sync; resetting the link stops the old URL working
+ */
+export default function CalendarExport() {
+  const { success, error: showError } = useToast();
+  const [showFeed, setShowFeed] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  const {
+    data: feed,
+    error: feedError,
+    isLoading: loadingFeed,
+  } = useQuery(queryKeys.calendarFeed(), fetchCalendarFeed);
+
+  const subscribe = useMutation(() => api.post("/calendar/feed"), {
+    onSuccess: (data) => setQueryData(queryKeys.calendarFeed(), data),
+  });
+  const resetFeed = useMutation(() => api.post("/calendar/feed/reset"), {
+    onSuccess: (data) => setQueryData(queryKeys.calendarFeed(), data),
+  });
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const { fileName, calendar } = await api.get("/calendar/export");
+      downloadBlob(
+        new Blob([calendar], { type: "text/calendar;charset=utf-8" }),
+        fileName
+      );
+    } catch (err) {
+      showError(err.message || "Failed to export calendar");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleSubscribe = async () => {
+    setShowFeed(true);
+    if (feed) return;
+    try {
+      await subscribe.mutateAsync();
+    } catch (err) {
+      showError(err.message || "Failed to create subscription link");
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      success("Subscription link copied");
+    } catch {
+      showError("Could not copy the link; select it and copy it instead");
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      await resetFeed.mutateAsync();
+      success("New subscription link created; the old one no longer works");
+    } catch (err) {
+      showError(err.message || "Failed to reset subscription link");
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h3 className="text-base sm:text-lg font-semibold text-gray-900">
+            Add to your calendar
+          </h3>
+          <p className="text-xs sm:text-sm text-gray-600 mt-1">
+            Classes for the whole semester (except holidays), assignment
+            deadlines and fee due dates
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={handleDownload}
+            disabled={downloading}
+            startIcon={<Download className="w-4 h-4" />}
+          >
+            Download .ics
+          </Button>
+          {!showFeed && (
+            <Button
+              size="sm"
+              onClick={handleSubscribe}
+              startIcon={<CalendarPlus className="w-4 h-4" />}
+            >
+              Subscribe
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {showFeed && (
+        <div className="mt-4 pt-4 border-t border-gray-200">
+          {loadingFeed || subscribe.isPending ? (
+            <p className="text-sm text-gray-500">
+              Creating your subscription link...
+            </p>
+          ) : (feedError || subscribe.error) && !feed ? (
+            <p className="text-sm text-red-600">
+              Failed to create subscription link:{" "}
+              {(subscribe.error || feedError).message}
+            </p>
+          ) : (
+            feed && (
+              <>
+                <p className="text-xs sm:text-sm text-gray-600 mb-2">
+                  In Google Calendar choose &quot;Other calendars → From
+                  URL&quot;, or in Outlook &quot;Add calendar → Subscribe from
+                  web&quot;, and paste this link. Keep it private: anyone with
+                  it can see your calendar.
+                </p>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="text"
+                    readOnly
+                    value={feed.url}
+                    onFocus={(e) => e.target.select()}
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-xs sm:text-sm text-gray-900 bg-gray-50 focus:outline-none"
+                  />
+                  <div className="flex gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={handleCopy}
+                      startIcon={<Copy className="w-4 h-4" />}
+                    >
+                      Copy
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={handleReset}
+                      disabled={resetFeed.isPending}
+                      startIcon={<RefreshCw className="w-4 h-4" />}
+                    >
+                      Reset link
+                    </Button>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  Last updated {formatDateTime(feed.updatedAt)}. Calendar
+                  apps refresh subscriptions every few hours.
+                </p>
+              </>
+            )
+          )}
+        </div>
+      )}
+    </Card>
+  );
+}
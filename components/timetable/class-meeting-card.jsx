@@ -0,0 +1,99 @@
+"use client";
+
+import { Clock, MapPin, Pencil } from "lucide-react";
+import { MEETING_STATUS } from "@/lib/calendar/class-schedule";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+const STATUS_STYLES = {
+  [MEETING_STATUS.SCHEDULED]: "bg-indigo-50 border-indigo-100",
+  [MEETING_STATUS.CANCELLED]: "bg-red-50 border-red-200",
+  [MEETING_STATUS.RESCHEDULED]: "bg-amber-50 border-amber-200",
+};
+
+// What changed, e.g. "Moved from Mon, Oct 26 09:00-10:30 in A-101"
+function describeChange(meeting) {
+  const { entry, override } = meeting;
+  if (meeting.status === MEETING_STATUS.CANCELLED) return "Cancelled";
+  const from = [];
+  if (meeting.date !== meeting.originalDate) {
+    from.push(formatCalendarDate(meeting.originalDate));
+  }
+  if (
+    override.startTime !== entry.startTime ||
+    override.endTime !== entry.endTime
+  ) {
+    from.push(`${entry.startTime}-${entry.endTime}`);
+  }
+  if (override.room !== entry.room) from.push(`in ${entry.room}`);
+  return from.length > 0 ? `Moved from ${from.join(" ")}` : "Rescheduled";
+}
+
+/**
+ * Class Meeting Card Component
+ *
+ * One dated meeting of a class in the timetable calendar. Cancelled and
+ * rescheduled meetings say what changed and why.
+ *
+ * @param {object} meeting - Meeting from GET /calendar
+ * @param {function} [onChange] - (meeting) => void; shown to the class's
+ *   teacher to cancel or reschedule it
+ * @param {boolean} [compact] - Hide the instructor, e.g. in the week grid
+ */
+export default function ClassMeetingCard({ meeting, onChange, compact = false }) {
+  const { entry, override } = meeting;
+  const cancelled = meeting.status === MEETING_STATUS.CANCELLED;
+
+  return (
+    <div className={`p-3 rounded-lg border ${STATUS_STYLES[meeting.status]}`}>
+      <div className="flex items-start justify-between gap-2">
+        <div className="flex items-center space-x-2 mb-2">
+          <Clock className="w-4 h-4 text-indigo-600" />
+          <span
+            className={`text-xs font-medium text-indigo-900 ${
+              cancelled ? "line-through" : ""
+            }`}
+          >
+            {meeting.startTime} - {meeting.endTime}
+          </span>
+        </div>
+        {meeting.canChange && onChange && (
+          <button
+            type="button"
+            onClick={() => onChange(meeting)}
+            title="Cancel or reschedule"
+            className="p-1 -mt-1 -mr-1 rounded-md text-gray-400 hover:text-gray-700 hover:bg-white"
+          >
+            <Pencil className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </div>
+      <h4
+        className={`font-semibold text-gray-900 text-sm mb-1 ${
+          cancelled ? "line-through" : ""
+        }`}
+      >
+        {entry.course?.name}
+      </h4>
+      <p className="text-xs text-gray-600 mb-2">
+        {entry.course?.code}
+        {entry.section ? ` · Section ${entry.section}` : ""}
+      </p>
+      <div className="flex items-center text-xs text-gray-600 mb-1">
+        <MapPin className="w-3 h-3 mr-1" />
+        {meeting.room}
+      </div>
+      {!compact && meeting.instructor && (
+        <p className="text-xs text-gray-500">{meeting.instructor}</p>
+      )}
+      {override && (
+        <p
+          className={`text-xs mt-2 font-medium ${
+            cancelled ? "text-red-700" : "text-amber-800"
+          }`}
+        >
+          {describeChange(meeting)}: {override.reason}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+"use client";
+
+import { useForm, useWatch } from "react-hook-form";
+import { yupResolver } from "@hookform/resolvers/yup";
+import * as yup from "yup";
+import Button from "@/components/common/button";
+import Select from "@/components/common/select";
+import Input from "@/components/common/input";
+import Loading from "@/components/common/loading";
+import { TIME_PATTERN } from "@/lib/academics/timetable";
+import { OVERRIDE_TYPES } from "@/lib/calendar/class-schedule";
+import { formatCalendarDate } from "@/lib/calendar/academic-calendar";
+
+/**
+ * Class Override Form Component
+ *
+ * Lets a teacher cancel or reschedule one meeting of their class, or undo
+ * an earlier change. The section's students are notified either way.
+ *
+ * Fields:
+ * - Change (cancel or reschedule)
+ * - New Date, Start Time, End Time and Room (rescheduling only)
+ * - Reason (required, shown to students)
+ *
+ * @param {object} meeting - Meeting from GET /calendar
+ * @param {function} onSubmit - (data) => Promise<boolean>, true once saved
+ * @param {function} onRemove - (override) => void, undoes the change
+ * @param {function} onCancel
+ * @param {boolean} [loading]
+ */
+
+const TYPE_OPTIONS = [
+  { value: OVERRIDE_TYPES.CANCELLED, label: "Cancel this class" },
+  { value: OVERRIDE_TYPES.RESCHEDULED, label: "Reschedule (date, time or room)" },
+];
+
+const whenRescheduled = (schema) =>
+  schema.when("type", {
+    is: OVERRIDE_TYPES.RESCHEDULED,
+    then: (s) => s,
+    otherwise: () => yup.string().strip(),
+  });
+
+const classOverrideSchema = yup.object().shape({
+  type: yup.string().required("Choose a change"),
+  newDate: whenRescheduled(yup.string().required("New date is required")),
+  startTime: whenRescheduled(
+    yup
+      .string()
+      .required("Start time is required")
+      .matches(TIME_PATTERN, "Time must be in HH:MM format")
+  ),
+  endTime: whenRescheduled(
+    yup
+      .string()
+      .required("End time is required")
+      .matches(TIME_PATTERN, "Time must be in HH:MM format")
+      .test(
+        "after-start",
+        "End time must be after start time",
+        (endTime, { parent }) =>
+          !TIME_PATTERN.test(parent.startTime || "") ||
+          endTime > parent.startTime
+      )
+  ),
+  room: whenRescheduled(
+    yup
+      .string()
+      .required("Room is required")
+      .min(2, "Room must be at least 2 characters")
+  ),
+  reason: yup
+    .string()
+    .trim()
+    .required("Reason is required")
+    .min(3, "Reason must be at least 3 characters"),
+});
+
+export default function ClassOverrideForm({
+  meeting,
+  onSubmit,
+  onRemove,
+  onCancel,
+  loading = false,
+}) {
+  const { entry, override } = meeting;
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+    control,
+  } = useForm({
+    resolver: yupResolver(classOverrideSchema),
+    defaultValues: {
+      type: override?.type || OVERRIDE_TYPES.CANCELLED,
+      newDate: override?.newDate || meeting.originalDate,
+      startTime: override?.startTime || entry.startTime,
+      endTime: override?.endTime || entry.endTime,
+      room: override?.room || entry.room,
+      reason: override?.reason || "",
+    },
+  });
+  const type = useWatch({ control, name: "type" });
+
+  const handleFormSubmit = (data) =>
+    onSubmit({ ...data, entryId: entry.id, date: meeting.originalDate });
+
+  return (
+    <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-4">
+      <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+        <p className="font-medium text-gray-900">
+          {entry.course?.code} {entry.course?.name}
+          {entry.section ? ` · Section ${entry.section}` : ""}
+        </p>
+        <p className="text-gray-600">
+          {formatCalendarDate(meeting.originalDate)}, {entry.startTime} -{" "}
+          {entry.endTime} in {entry.room}
+        </p>
+      </div>
+
+      <Select
+        label="Change"
+        name="type"
+        register={register}
+        value={type}
+        error={errors.type?.message}
+        required
+        options={TYPE_OPTIONS}
+      />
+
+      {type === OVERRIDE_TYPES.RESCHEDULED && (
+        <>
+          <Input
+            label="New Date"
+            name="newDate"
+            type="date"
+            register={register}
+            error={errors.newDate?.message}
+            required
+          />
+
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label="Start Time"
+              name="startTime"
+              type="time"
+              register={register}
+              error={errors.startTime?.message}
+              required
+            />
+
+            <Input
+              label="End Time"
+              name="endTime"
+              type="time"
+              register={register}
+              error={errors.endTime?.message}
+              required
+            />
+          </div>
+
+          <Input
+            label="Room"
+            name="room"
+            placeholder="e.g., B-105"
+            register={register}
+            error={errors.room?.message}
+            required
+          />
+        </>
+      )}
+
+      <div>
+        <label
+          htmlFor="reason"
+          className="block text-sm font-medium text-gray-700 mb-1"
+        >
+          Reason <span className="text-red-500">*</span>
+        </label>
+        <textarea
+          id="reason"
+          name="reason"
+          {...register("reason")}
+          rows={3}
+          className="block w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900 placeholder-gray-400 focus:outline-none"
+          placeholder="Shown to students, e.g. projector in A-101 is broken"
+        />
+        {errors.reason && (
+          <p className="mt-1 text-sm text-red-600">{errors.reason.message}</p>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Enrolled students of this section are notified when you save.
+      </p>
+
+      <div className="flex items-center justify-between gap-3 pt-4 border-t border-gray-200">
+        <div>
+          {override && (
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => onRemove(override)}
+              disabled={loading}
+            >
+              Undo Change
+            </Button>
+          )}
+        </div>
+        <div className="flex items-center space-x-3">
+          <Button type="button" variant="outline" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button type="submit" disabled={loading}>
+            {loading && (
+              <span className="mr-2">
+                <Loading size="sm" />
+              </span>
+            )}
+            Save Change
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+}
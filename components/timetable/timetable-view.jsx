@@ -1,136 +1,337 @@
 "use client";
 
+import { useState } from "react";
 import Card from "@/components/common/card";
-import { Calendar, Clock, MapPin } from "lucide-react";
+import Button from "@/components/common/button";
+import Modal from "@/components/common/modal";
+import Loading from "@/components/common/loading";
+import ExamCard from "@/components/exams/exam-card";
+import CalendarExport from "@/components/timetable/calendar-export";
+import ClassMeetingCard from "@/components/timetable/class-meeting-card";
+import ClassOverrideForm from "@/components/timetable/class-override-form";
+import {
+  Calendar,
+  ChevronLeft,
+  ChevronRight,
+  GraduationCap,
+  PartyPopper,
+} from "lucide-react";
+import { useToast } from "@/contexts/toast-context";
+import { useNow } from "@/hooks/use-now";
+import { api } from "@/lib/utils/api";
+import { useQuery, useMutation } from "@/lib/query";
+import { queryKeys, fetchCalendar } from "@/lib/query/queries";
+import {
+  addDays,
+  formatCalendarDate,
+  getDayOfWeek,
+  getWeekStart,
+  toCampusDate,
+} from "@/lib/calendar/academic-calendar";
+import { TEACHING_DAYS } from "@/lib/academics/timetable";
 
+const VIEW_MODES = [
+  { value: "week", label: "Week" },
+  { value: "day", label: "Day" },
+  { value: "agenda", label: "Agenda" },
+];
+
+const AGENDA_DAYS = 14;
+
+// Week grid columns by the number of days shown (weekends are optional)
+const WEEK_GRID_COLUMNS = {
+  5: "lg:grid-cols-5",
+  6: "lg:grid-cols-6",
+  7: "lg:grid-cols-7",
+};
+
+// Days shown in each mode; the arrows move by `step` days
+function getRange(mode, anchor) {
+  if (mode === "day") return { from: anchor, to: anchor, step: 1 };
+  if (mode === "agenda") {
+    const to = addDays(anchor, AGENDA_DAYS - 1);
+    return { from: anchor, to, step: AGENDA_DAYS };
+  }
+  const from = getWeekStart(anchor);
+  return { from, to: addDays(from, 6), step: 7 };
+}
+
+function DayMarkers({ day }) {
+  if (!day?.holiday && !day?.exam) return null;
+  return (
+    <div className="space-y-1 mb-3">
+      {day.holiday && (
+        <p className="flex items-center text-xs font-medium text-green-800 bg-green-50 border border-green-200 rounded-md px-2 py-1">
+          <PartyPopper className="w-3 h-3 mr-1 shrink-0" />
+          {day.holiday.name} · no classes
+        </p>
+      )}
+      {day.exam && (
+        <p className="flex items-center text-xs font-medium text-purple-800 bg-purple-50 border border-purple-200 rounded-md px-2 py-1">
+          <GraduationCap className="w-3 h-3 mr-1 shrink-0" />
+          {day.exam.name}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Timetable View Component
+ *
+ * The signed-in user's classes as a calendar, in week, day or agenda mode
+ * with navigation between periods. Holidays and exam periods are marked,
+ * and one-off changes (cancelled or rescheduled meetings) are shown on top
+ * of the weekly timetable. Scheduled exams appear on their day, with the
+ * student's seat once the seating plan is out. Teachers cancel or
+ * reschedule meetings of their own classes from here; the section's
+ * students are notified.
+ */
 export default function TimetableView() {
-  const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"];
-
-  const timetable = {
-    Monday: [
-      {
-        time: "09:00 - 10:30",
-        course: "Data Structures",
-        code: "CS201",
-        room: "A-101",
-        instructor: "Dr. Sara Khan",
-      },
-      {
-        time: "11:00 - 12:30",
-        course: "Database Systems",
-        code: "CS301",
-        room: "B-205",
-        instructor: "Dr. Muhammad Hassan",
-      },
-      {
-        time: "02:00 - 03:30",
-        course: "Web Development",
-        code: "CS401",
-        room: "C-301",
-        instructor: "Dr. Ahmed Ali",
-      },
-    ],
-    Tuesday: [
-      {
-        time: "09:00 - 10:30",
-        course: "Data Structures",
-        code: "CS201",
-        room: "A-101",
-        instructor: "Dr. Sara Khan",
-      },
-      {
-        time: "02:00 - 03:30",
-        course: "Web Development",
-        code: "CS401",
-        room: "C-301",
-        instructor: "Dr. Ahmed Ali",
-      },
-    ],
-    Wednesday: [
-      {
-        time: "11:00 - 12:30",
-        course: "Database Systems",
-        code: "CS301",
-        room: "B-205",
-        instructor: "Dr. Muhammad Hassan",
-      },
-    ],
-    Thursday: [
-      {
-        time: "09:00 - 10:30",
-        course: "Data Structures",
-        code: "CS201",
-        room: "A-101",
-        instructor: "Dr. Sara Khan",
-      },
-      {
-        time: "11:00 - 12:30",
-        course: "Database Systems",
-        code: "CS301",
-        room: "B-205",
-        instructor: "Dr. Muhammad Hassan",
-      },
-    ],
-    Friday: [
-      {
-        time: "02:00 - 03:30",
-        course: "Web Development",
-        code: "CS401",
-        room: "C-301",
-        instructor: "Dr. Ahmed Ali",
-      },
-    ],
+  const { success, error: showError } = useToast();
+  const today = toCampusDate(useNow(60 * 1000));
+  const [mode, setMode] = useState("week");
+  const [anchor, setAnchor] = useState(today);
+  const [changing, setChanging] = useState(null);
+
+  const { from, to, step } = getRange(mode, anchor);
+  const {
+    data,
+    error: calendarError,
+    isLoading,
+  } = useQuery(queryKeys.calendar(from, to), () => fetchCalendar(from, to));
+  const days = data?.days || [];
+  const meetings = data?.meetings || [];
+  const exams = data?.exams || [];
+  const meetingsOn = (date) => meetings.filter((m) => m.date === date);
+  const examsOn = (date) => exams.filter((exam) => exam.date === date);
+
+  const saveOverride = useMutation(
+    (override) => api.post("/class-overrides", override),
+    { invalidates: [queryKeys.calendar()] }
+  );
+  const removeOverride = useMutation(
+    (override) => api.delete(`/class-overrides/${override.id}`),
+    { invalidates: [queryKeys.calendar()] }
+  );
+
+  const handleSaveOverride = async (override) => {
+    try {
+      await saveOverride.mutateAsync(override);
+      success("Class updated and students notified");
+      setChanging(null);
+      return true;
+    } catch (err) {
+      showError(err.message || "Failed to update class");
+      return false;
+    }
   };
 
+  const handleRemoveOverride = async (override) => {
+    try {
+      await removeOverride.mutateAsync(override);
+      success("Class restored to the timetable and students notified");
+      setChanging(null);
+    } catch (err) {
+      showError(err.message || "Failed to undo change");
+    }
+  };
+
+  const renderMeetings = (date, { compact = false } = {}) => {
+    const list = meetingsOn(date);
+    const dayExams = examsOn(date);
+    if (list.length === 0 && dayExams.length === 0) {
+      return (
+        <p className="text-sm text-gray-500 text-center py-6">
+          No classes scheduled
+        </p>
+      );
+    }
+    return (
+      <div className="space-y-3">
+        {dayExams.map((exam) => (
+          <ExamCard key={`exam-${exam.id}`} exam={exam} />
+        ))}
+        {list.map((meeting) => (
+          <ClassMeetingCard
+            key={meeting.key}
+            meeting={meeting}
+            onChange={setChanging}
+            compact={compact}
+          />
+        ))}
+      </div>
+    );
+  };
+
+  // Weekends only show when something happens on them
+  const weekDays = days.filter(
+    (day) =>
+      TEACHING_DAYS.includes(getDayOfWeek(day.date)) ||
+      meetingsOn(day.date).length > 0 ||
+      examsOn(day.date).length > 0 ||
+      day.holiday ||
+      day.exam
+  );
+  const hasEntries = (date) =>
+    meetingsOn(date).length > 0 || examsOn(date).length > 0;
+  const agendaDays = days.filter(
+    (day) => hasEntries(day.date) || day.holiday || day.exam
+  );
+
+  const rangeLabel =
+    from === to
+      ? formatCalendarDate(from)
+      : `${formatCalendarDate(from)} - ${formatCalendarDate(to)}`;
+
   return (
     <div className="space-y-6">
       <div>
         <h1 className="text-2xl font-bold text-gray-900">Timetable</h1>
         <p className="text-gray-600 mt-1">
-          View your class schedule for the current semester
+          Your classes and exams with holidays and one-off changes
         </p>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-5 gap-4">
-        {days.map((day) => (
-          <Card key={day} title={day} className="min-h-[400px]">
-            <div className="space-y-3">
-              {timetable[day] && timetable[day].length > 0 ? (
-                timetable[day].map((classItem, index) => (
-                  <div
-                    key={index}
-                    className="p-3 bg-indigo-50 rounded-lg border border-indigo-100"
-                  >
-                    <div className="flex items-center space-x-2 mb-2">
-                      <Clock className="w-4 h-4 text-indigo-600" />
-                      <span className="text-xs font-medium text-indigo-900">
-                        {classItem.time}
-                      </span>
-                    </div>
-                    <h4 className="font-semibold text-gray-900 text-sm mb-1">
-                      {classItem.course}
-                    </h4>
-                    <p className="text-xs text-gray-600 mb-2">
-                      {classItem.code}
-                    </p>
-                    <div className="flex items-center text-xs text-gray-600 mb-1">
-                      <MapPin className="w-3 h-3 mr-1" />
-                      {classItem.room}
-                    </div>
-                    <p className="text-xs text-gray-500">
-                      {classItem.instructor}
-                    </p>
-                  </div>
-                ))
-              ) : (
-                <p className="text-sm text-gray-500 text-center py-8">
-                  No classes scheduled
-                </p>
-              )}
-            </div>
-          </Card>
-        ))}
+      <CalendarExport />
+
+      {/* Mode and navigation */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setAnchor(addDays(anchor, -step))}
+            title="Previous"
+          >
+            <ChevronLeft className="w-4 h-4" />
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setAnchor(today)}
+            disabled={from <= today && today <= to}
+          >
+            Today
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => setAnchor(addDays(anchor, step))}
+            title="Next"
+          >
+            <ChevronRight className="w-4 h-4" />
+          </Button>
+          <span className="text-sm font-medium text-gray-900 ml-2">
+            {rangeLabel}
+          </span>
+        </div>
+        <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden self-start">
+          {VIEW_MODES.map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setMode(option.value)}
+              className={`px-3 py-1.5 text-sm font-medium ${
+                mode === option.value
+                  ? "bg-indigo-600 text-white"
+                  : "bg-white text-gray-700 hover:bg-gray-50"
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
       </div>
+
+      {isLoading ? (
+        <Card>
+          <div className="text-center py-8">
+            <Loading size="md" />
+            <p className="text-gray-600 mt-3">Loading timetable...</p>
+          </div>
+        </Card>
+      ) : calendarError && !data ? (
+        <Card>
+          <p className="text-red-600">
+            Failed to load timetable: {calendarError.message}
+          </p>
+        </Card>
+      ) : mode === "week" ? (
+        <div
+          className={`grid grid-cols-1 ${
+            WEEK_GRID_COLUMNS[weekDays.length] || "lg:grid-cols-7"
+          } gap-4`}
+        >
+          {weekDays.map((day) => (
+            <Card
+              key={day.date}
+              className={`min-h-[400px] ${
+                day.date === today ? "ring-2 ring-indigo-300" : ""
+              }`}
+            >
+              <h3 className="font-semibold text-gray-900 mb-3 text-sm sm:text-base">
+                {getDayOfWeek(day.date)}
+                <span className="block text-xs font-normal text-gray-500">
+                  {formatCalendarDate(day.date)}
+                </span>
+              </h3>
+              <DayMarkers day={day} />
+              {renderMeetings(day.date, { compact: true })}
+            </Card>
+          ))}
+        </div>
+      ) : mode === "day" ? (
+        <Card>
+          <h3 className="font-semibold text-gray-900 mb-3">
+            {getDayOfWeek(from)}, {formatCalendarDate(from)}
+          </h3>
+          <DayMarkers day={days[0]} />
+          {renderMeetings(from)}
+        </Card>
+      ) : agendaDays.length === 0 ? (
+        <Card>
+          <div className="text-center py-8">
+            <Calendar className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-600">Nothing scheduled in these two weeks</p>
+          </div>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {agendaDays.map((day) => (
+            <Card key={day.date}>
+              <h3 className="font-semibold text-gray-900 mb-3 text-sm sm:text-base">
+                {formatCalendarDate(day.date)}
+                {day.date === today && (
+                  <span className="ml-2 text-xs font-medium text-indigo-600">
+                    Today
+                  </span>
+                )}
+              </h3>
+              <DayMarkers day={day} />
+              {hasEntries(day.date) && renderMeetings(day.date)}
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <Modal
+        isOpen={Boolean(changing)}
+        onClose={() => setChanging(null)}
+        title="Change Class"
+        size="md"
+      >
+        {changing && (
+          <ClassOverrideForm
+            key={changing.key}
+            meeting={changing}
+            onSubmit={handleSaveOverride}
+            onRemove={handleRemoveOverride}
+            onCancel={() => setChanging(null)}
+            loading={saveOverride.isPending || removeOverride.isPending}
+          />
+        )}
+      </Modal>
     </div>
   );
 }
@@ -1,6 +1,24 @@
 "use client";
 
-import { createContext, useContext, useState, useEffect } from "react";
+import {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useSyncExternalStore,
+} from "react";
+import { refreshAccessToken } from "@/lib/utils/api";
+import {
+  clearSessionTokens,
+  subscribeToTokens,
+  getTokenSnapshot,
+  getServerTokenSnapshot,
+} from "@/lib/utils/token-storage";
+import {
+  can as checkPermission,
+  canAny as checkAnyPermission,
+} from "@/lib/auth/permissions";
+import { clearQueryCache } from "@/lib/query";
 
 /**
  * Authentication Context
@@ -14,6 +32,8 @@ import { createContext, useContext, useState, useEffect } from "react";
  * - Login/logout functionality
  * - Persistent storage in localStorage
  * - Role helpers (isStudent, isTeacher)
+ * - Permission checks (can/canAny, see lib/auth/permissions.js)
+ * - Access-token expiry and silent-refresh state
  */
 
 const AuthContext = createContext(null);
@@ -30,6 +50,11 @@ export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [role, setRole] = useState("student");
   const [loading, setLoading] = useState(true);
+  const tokenState = useSyncExternalStore(
+    subscribeToTokens,
+    getTokenSnapshot,
+    getServerTokenSnapshot
+  );
 
   // Initialize auth state from localStorage on mount
   useEffect(() => {
@@ -68,16 +93,25 @@ export function AuthProvider({ children }) {
 
   /**
    * Logout function
-   * Clears user data and role from state and localStorage
+   * Clears user data and role from state and localStorage, and drops cached
+   * server data so it never carries over to the next user
    */
   const logout = () => {
     setUser(null);
     setRole("student");
     localStorage.removeItem("user");
     localStorage.removeItem("userRole");
-    localStorage.removeItem("token");
+    clearSessionTokens();
+    clearQueryCache();
   };
 
+  /**
+   * Refresh the access token now
+   * Shares the in-flight refresh with the API client if one is running.
+   * @returns {Promise<string>} New access token
+   */
+  const refreshSession = () => refreshAccessToken();
+
   /**
    * Update user role
    * Updates role in state and localStorage
@@ -93,16 +127,28 @@ export function AuthProvider({ children }) {
     }
   };
 
+  // Permission checks use the live role, which updateRole may have changed
+  const sessionUser = user ? { ...user, role } : null;
+
   const value = {
     user,
+    sessionUser,
     role,
     loading,
     login,
     logout,
     updateRole,
+    refreshSession,
+    tokenExpiresAt: tokenState.expiresAt,
+    isRefreshing: tokenState.refreshing,
     isStudent: role === "student",
     isTeacher: role === "teacher",
+    isLibrarian: role === "librarian",
     isAdmin: role === "admin",
+    can: (permission, resource) =>
+      checkPermission(sessionUser, permission, resource),
+    canAny: (permissions, resource) =>
+      checkAnyPermission(sessionUser, permissions, resource),
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -121,8 +167,15 @@ export function AuthProvider({ children }) {
  *   - login: Login function
  *   - logout: Logout function
  *   - updateRole: Update role function
+ *   - refreshSession: Refresh the access token now
+ *   - tokenExpiresAt: Access-token expiry (ms since epoch) or null
+ *   - isRefreshing: True while a token refresh is in flight
  *   - isStudent: Boolean helper
  *   - isTeacher: Boolean helper
+ *   - isLibrarian: Boolean helper
+ *   - sessionUser: User merged with the current role (for permission checks)
+ *   - can: (permission, resource?) => boolean
+ *   - canAny: (permissions[], resource?) => boolean
  * 
  * @throws {Error} If used outside AuthProvider
  */
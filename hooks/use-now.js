@@ -0,0 +1,20 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+/**
+ * Current time that re-renders the component on an interval
+ * Used for countdowns and deadline checks that must flip while on screen.
+ * @param {number} intervalMs - Tick interval (default 1s)
+ * @returns {number} Timestamp in ms
+ */
+export function useNow(intervalMs = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+}
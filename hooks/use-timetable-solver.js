@@ -0,0 +1,86 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+
+const IDLE = { status: "idle", result: null, error: null };
+
+/**
+ * Run the timetable solver in a web worker
+ *
+ * solve(params) takes solveTimetable()'s params and resolves with its
+ * result, which also stays in `result` until the next solve finishes. A new
+ * solve, cancel() or unmounting stops the one in progress; its promise
+ * rejects with `err.canceled` set.
+ *
+ * @returns {{ status: "idle"|"solving"|"done"|"error", result: object|null, error: Error|null, solve: function, cancel: function, reset: function }}
+ */
+export function useTimetableSolver() {
+  const [state, setState] = useState(IDLE);
+  const runRef = useRef(null);
+
+  // Stop a running solve when the component unmounts
+  useEffect(() => () => runRef.current?.worker.terminate(), []);
+
+  const stop = () => {
+    const run = runRef.current;
+    if (!run) return;
+    runRef.current = null;
+    run.worker.terminate();
+    const err = new Error("Solving was canceled");
+    err.canceled = true;
+    run.reject(err);
+  };
+
+  const solve = (params) => {
+    stop();
+    setState((current) => ({ ...current, status: "solving", error: null }));
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(
+        new URL("../lib/academics/timetable-solver.worker.js", import.meta.url)
+      );
+      const run = { worker, reject };
+      runRef.current = run;
+
+      const finish = () => {
+        worker.terminate();
+        if (runRef.current === run) runRef.current = null;
+      };
+      const fail = (err) => {
+        finish();
+        setState((current) => ({ ...current, status: "error", error: err }));
+        reject(err);
+      };
+
+      worker.onmessage = ({ data }) => {
+        if (data.error) {
+          fail(new Error(data.error));
+          return;
+        }
+        finish();
+        setState({ status: "done", result: data, error: null });
+        resolve(data);
+      };
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        fail(new Error(event.message || "Failed to solve timetable"));
+      };
+      worker.postMessage(params);
+    });
+  };
+
+  const cancel = () => {
+    stop();
+    setState((current) => ({
+      ...current,
+      status: current.result ? "done" : "idle",
+    }));
+  };
+
+  const reset = () => {
+    stop();
+    setState(IDLE);
+  };
+
+  return { ...state, solve, cancel, reset };
+}
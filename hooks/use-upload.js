@@ -0,0 +1,69 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+
+const IDLE = { status: "idle", progress: 0, error: null };
+
+/**
+ * Upload with progress, cancel and retry
+ *
+ * `uploadFn(payload, { onProgress, signal })` performs the request, usually
+ * via api.upload(). start() rejects like the request does; a cancel rejects
+ * with `err.canceled` set and leaves status "canceled" rather than "error".
+ *
+ * @param {function} uploadFn - (payload, { onProgress, signal }) => Promise
+ * @returns {{ status: "idle"|"uploading"|"success"|"error"|"canceled", progress: number, error: Error|null, start: function, cancel: function, retry: function, reset: function }}
+ */
+export function useUpload(uploadFn) {
+  const [state, setState] = useState(IDLE);
+  const controllerRef = useRef(null);
+  const payloadRef = useRef(null);
+
+  // Abort an in-flight upload when the component unmounts
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const start = async (payload) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    payloadRef.current = payload;
+    setState({ status: "uploading", progress: 0, error: null });
+
+    try {
+      const result = await uploadFn(payload, {
+        signal: controller.signal,
+        onProgress: (progress) =>
+          setState((current) =>
+            current.status === "uploading" ? { ...current, progress } : current
+          ),
+      });
+      setState({ status: "success", progress: 100, error: null });
+      return result;
+    } catch (err) {
+      // A newer upload replaced this one; leave its state alone
+      if (controllerRef.current === controller) {
+        setState({
+          status: err.canceled ? "canceled" : "error",
+          progress: 0,
+          error: err.canceled ? null : err,
+        });
+      }
+      throw err;
+    } finally {
+      if (controllerRef.current === controller) controllerRef.current = null;
+    }
+  };
+
+  const cancel = () => controllerRef.current?.abort();
+
+  const retry = () => start(payloadRef.current);
+
+  const reset = () => {
+    controllerRef.current?.abort();
+    controllerRef.current = null;
+    payloadRef.current = null;
+    setState(IDLE);
+  };
+
+  return { ...state, start, cancel, retry, reset };
+}
@@ -0,0 +1,179 @@
+/**
+ * Attendance
+ *
+ * Attendance is taken per class session: one dated meeting of a timetable
+ * entry (lib/calendar/class-schedule.js), so cancelled meetings have no
+ * session and rescheduled ones are taken at their new time. A session's
+ * record holds each rostered student's status:
+ * `{ sessionKey, entryId, courseId, date, startTime, endTime,
+ *    statuses: { [studentId]: status }, checkIns: { [studentId]: time },
+ *    takenBy, takenAt, updatedAt }`
+ *
+ * During the class students can also check themselves in by scanning a QR
+ * code (lib/academics/check-in-codes.js), which marks them present. Until
+ * the teacher marks the rest, such a record holds only the students who
+ * checked in; summaries count the sessions a student has a status for.
+ *
+ * Teachers can take or correct attendance from the start of a session until
+ * the edit window closes. Late counts as attended; excused sessions are left
+ * out of the percentage. Students below the eligibility threshold in a
+ * course may not sit its exams.
+ */
+
+import { toCampusTimestamp } from "@/lib/calendar/academic-calendar";
+import { toCsv } from "@/lib/utils/csv";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const ATTENDANCE_STATUS = {
+  PRESENT: "present",
+  ABSENT: "absent",
+  LATE: "late",
+  EXCUSED: "excused",
+};
+
+export const ATTENDANCE_STATUS_LABELS = {
+  present: "Present",
+  absent: "Absent",
+  late: "Late",
+  excused: "Excused",
+};
+
+// One-letter codes used in the attendance export
+const STATUS_CODES = {
+  present: "P",
+  absent: "A",
+  late: "L",
+  excused: "E",
+};
+
+// Minimum attendance (%) in a course to sit its exams
+export const EXAM_ELIGIBILITY_THRESHOLD = 75;
+
+// Hours after a session ends that its attendance can still be changed
+export const ATTENDANCE_EDIT_WINDOW_HOURS = 48;
+
+// How long a QR check-in code is accepted after it is issued
+export const CHECK_IN_CODE_TTL_SECONDS = 30;
+
+// How often the teacher's check-in screen shows a fresh code
+export const CHECK_IN_CODE_ROTATE_SECONDS = 10;
+
+/**
+ * When attendance can be taken for a session
+ * @param {object} session - Meeting with date, startTime and endTime
+ * @returns {{ opensAt: number, closesAt: number }} Timestamps in ms
+ */
+export function getAttendanceWindow(session) {
+  return {
+    opensAt: toCampusTimestamp(session.date, session.startTime),
+    closesAt:
+      toCampusTimestamp(session.date, session.endTime) +
+      ATTENDANCE_EDIT_WINDOW_HOURS * HOUR_MS,
+  };
+}
+
+/**
+ * Whether attendance can be taken or changed now
+ * @param {object} session
+ * @param {number} now - Timestamp in ms (default: current time)
+ * @returns {boolean}
+ */
+export function isAttendanceOpen(session, now = Date.now()) {
+  const { opensAt, closesAt } = getAttendanceWindow(session);
+  return now >= opensAt && now <= closesAt;
+}
+
+/**
+ * Whether students can check themselves in now: only while the class is on
+ * @param {object} session
+ * @param {number} now - Timestamp in ms (default: current time)
+ * @returns {boolean}
+ */
+export function isCheckInOpen(session, now = Date.now()) {
+  return (
+    now >= toCampusTimestamp(session.date, session.startTime) &&
+    now <= toCampusTimestamp(session.date, session.endTime)
+  );
+}
+
+/**
+ * Validate the statuses submitted for a session
+ * @param {object} statuses - { [studentId]: status }
+ * @param {string[]} rosterIds - Students expected in the session
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateAttendance(statuses = {}, rosterIds = []) {
+  const valid = Object.values(ATTENDANCE_STATUS);
+  const unknown = Object.keys(statuses).find((id) => !rosterIds.includes(id));
+  if (unknown) return "Attendance includes a student not on the roster";
+  const missing = rosterIds.filter((id) => !valid.includes(statuses[id]));
+  if (missing.length > 0) {
+    return `Mark every student (${missing.length} not marked)`;
+  }
+  return null;
+}
+
+/**
+ * Attendance counts and percentage from a student's session statuses
+ * @param {string[]} statuses - One per session taken
+ * @returns {{ held: number, present: number, late: number, absent: number, excused: number, percentage: number|null, eligible: boolean }}
+ *   percentage is null until a counted (non-excused) session is taken
+ */
+export function getAttendanceSummary(statuses = []) {
+  const count = (status) => statuses.filter((s) => s === status).length;
+  const present = count(ATTENDANCE_STATUS.PRESENT);
+  const late = count(ATTENDANCE_STATUS.LATE);
+  const absent = count(ATTENDANCE_STATUS.ABSENT);
+  const excused = count(ATTENDANCE_STATUS.EXCUSED);
+  const counted = present + late + absent;
+  const percentage =
+    counted > 0 ? Math.round(((present + late) / counted) * 1000) / 10 : null;
+  return {
+    held: statuses.length,
+    present,
+    late,
+    absent,
+    excused,
+    percentage,
+    eligible: percentage === null || percentage >= EXAM_ELIGIBILITY_THRESHOLD,
+  };
+}
+
+/**
+ * Serialize a course's attendance register as CSV
+ * One row per student with a column per session (P/A/L/E) and totals.
+ * @param {object} register
+ * @param {Array} register.sessions - Taken sessions, oldest first
+ * @param {Array} register.students - { rollNumber, fullName, section,
+ *   statuses: { [sessionKey]: status }, summary }
+ * @returns {string}
+ */
+export function attendanceToCsv({ sessions, students }) {
+  return toCsv([
+    [
+      "Roll Number",
+      "Name",
+      "Section",
+      ...sessions.map((s) => `${s.date} ${s.startTime}`),
+      "Present",
+      "Late",
+      "Absent",
+      "Excused",
+      "Attendance %",
+      "Exam Eligible",
+    ],
+    ...students.map((student) => [
+      student.rollNumber,
+      student.fullName,
+      student.section,
+      ...sessions.map((s) => STATUS_CODES[student.statuses[s.sessionKey]] || ""),
+      student.summary.present,
+      student.summary.late,
+      student.summary.absent,
+      student.summary.excused,
+      student.summary.percentage ?? "",
+      student.summary.eligible ? "Yes" : "No",
+    ]),
+  ]);
+}
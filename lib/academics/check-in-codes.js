@@ -0,0 +1,122 @@
+/**
+ * Attendance check-in codes (attendance service)
+ *
+ * During a class the teacher's screen shows a QR code that students scan to
+ * mark themselves present. Each code names the class session and the time
+ * it was issued, signed with a secret only this service holds, so it cannot
+ * be made up or moved to another session. A code expires 30 seconds after
+ * it is issued; the screen shows a new one well before that, so a
+ * screenshot passed on after the class has moved on no longer works.
+ *
+ * Code format: "mcp-checkin.<session key>.<unix seconds>.<signature>", the
+ * signature being the first 128 bits of HMAC-SHA256 of "<key>.<seconds>".
+ *
+ * The secret is ATTENDANCE_CHECK_IN_SECRET, which every instance must
+ * share: a code issued by one is checked by another. It is required in
+ * production.
+ *
+ * Server-only: the app/api/attendance route handlers issue and verify codes
+ * for the backend.
+ */
+
+import { CHECK_IN_CODE_TTL_SECONDS } from "@/lib/academics/attendance";
+import { getServerSetting, safeEqual } from "@/lib/auth/service-auth";
+
+const CODE_PREFIX = "mcp-checkin";
+// Clock difference tolerated between issuing and checking a code
+const CLOCK_SKEW_SECONDS = 5;
+const SIGNATURE_LENGTH = 32;
+
+const encoder = new TextEncoder();
+
+/**
+ * Error with the HTTP status the attendance API answers with
+ */
+export class CheckInCodeError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "CheckInCodeError";
+    this.status = status;
+  }
+}
+
+async function sign(message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(
+      getServerSetting("ATTENDANCE_CHECK_IN_SECRET", "dev-check-in-secret")
+    ),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(message)
+  );
+  return Array.from(new Uint8Array(signature), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  )
+    .join("")
+    .slice(0, SIGNATURE_LENGTH);
+}
+
+/**
+ * Issue a check-in code for a class session
+ * @param {object} input
+ * @param {string} input.sessionKey - Meeting key, e.g. "6:2026-10-19"
+ * @param {number} [now] - Unix seconds (defaults to now)
+ * @returns {Promise<{ code: string, issuedAt: string, expiresAt: string }>}
+ */
+export async function issueCheckInCode(
+  { sessionKey },
+  now = Math.floor(Date.now() / 1000)
+) {
+  if (!/^[\w-]+:\d{4}-\d{2}-\d{2}$/.test(String(sessionKey || ""))) {
+    throw new CheckInCodeError(400, "sessionKey is required");
+  }
+  const signature = await sign(`${sessionKey}.${now}`);
+  return {
+    code: `${CODE_PREFIX}.${sessionKey}.${now}.${signature}`,
+    issuedAt: new Date(now * 1000).toISOString(),
+    expiresAt: new Date(
+      (now + CHECK_IN_CODE_TTL_SECONDS) * 1000
+    ).toISOString(),
+  };
+}
+
+/**
+ * Check a scanned code's signature and age
+ * @param {object} input
+ * @param {string} input.code - Scanned code
+ * @param {number} [now] - Unix seconds (defaults to now)
+ * @returns {Promise<{ sessionKey: string, issuedAt: string }>}
+ * @throws {CheckInCodeError} 400 when the code is not a valid check-in
+ *   code, 410 when it has expired
+ */
+export async function verifyCheckInCode(
+  { code },
+  now = Math.floor(Date.now() / 1000)
+) {
+  const [prefix, sessionKey, issued, signature, ...rest] = String(
+    code || ""
+  ).split(".");
+  const issuedAt = Number(issued);
+  const valid =
+    prefix === CODE_PREFIX &&
+    rest.length === 0 &&
+    Number.isInteger(issuedAt) &&
+    typeof signature === "string" &&
+    safeEqual(await sign(`${sessionKey}.${issued}`), signature);
+  if (!valid || issuedAt > now + CLOCK_SKEW_SECONDS) {
+    throw new CheckInCodeError(400, "This is not a valid check-in code");
+  }
+  if (now - issuedAt > CHECK_IN_CODE_TTL_SECONDS) {
+    throw new CheckInCodeError(
+      410,
+      "This check-in code has expired. Scan the code on the screen again."
+    );
+  }
+  return { sessionKey, issuedAt: new Date(issuedAt * 1000).toISOString() };
+}
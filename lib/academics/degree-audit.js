@@ -0,0 +1,225 @@
+/**
+ * Degree audit
+ *
+ * A degree program lists its requirements:
+ *
+ * - core: every listed course must be passed
+ * - elective: enough of the listed courses to reach `minCredits` and/or
+ *   `minCourses`
+ *
+ * plus a total credit-hour target and a minimum CGPA. A student's courses
+ * are matched against the requirements in order, and each course counts
+ * towards one requirement only. Credit courses outside every requirement
+ * still count towards the total as free electives.
+ *
+ * Courses are passed, in progress (enrolled this semester) or planned (the
+ * student's "what-if" plan), so the audit reports both what is complete now
+ * and what would be once the current and planned courses are passed.
+ */
+
+import { calculateGPA, isNonCredit } from "@/lib/academics/gpa";
+import { resolveScheme } from "@/lib/academics/grading-schemes";
+
+export const COURSE_STATUS = {
+  PASSED: "passed",
+  IN_PROGRESS: "in-progress",
+  PLANNED: "planned",
+};
+
+export const REQUIREMENT_TYPES = {
+  CORE: "core",
+  ELECTIVE: "elective",
+};
+
+// Passed first so a requirement is filled by finished work where possible
+const STATUS_ORDER = [
+  COURSE_STATUS.PASSED,
+  COURSE_STATUS.IN_PROGRESS,
+  COURSE_STATUS.PLANNED,
+];
+
+/**
+ * Courses a student has passed, one entry per course code
+ * @param {object[]} semesters - Summarized result semesters (`passed` set
+ *   by summarizeResults in lib/academics/gpa.js): [{ name, courses }]
+ * @returns {object[]} [{ code, name, creditHours, grade, semester, status }]
+ *   using the latest passing attempt at each course
+ */
+export function getPassedCourses(semesters = []) {
+  const byCode = new Map();
+  [...semesters].reverse().forEach((semester) =>
+    semester.courses.forEach((course) => {
+      if (!course.passed) return;
+      byCode.set(course.code, {
+        code: course.code,
+        name: course.name,
+        creditHours: Number(course.creditHours) || 0,
+        grade: course.grade,
+        semester: semester.name,
+        status: COURSE_STATUS.PASSED,
+      });
+    })
+  );
+  return [...byCode.values()];
+}
+
+/**
+ * Courses listed anywhere in a program's requirements
+ * @param {object} program
+ * @returns {object[]} [{ code, name, creditHours, requirementId }]
+ */
+export function getProgramCourses(program) {
+  return (program?.requirements || []).flatMap((requirement) =>
+    requirement.courses.map((course) => ({
+      ...course,
+      requirementId: requirement.id,
+    }))
+  );
+}
+
+function sumCredits(courses) {
+  return courses.reduce(
+    (total, course) =>
+      total + (isNonCredit(course) ? 0 : Number(course.creditHours)),
+    0
+  );
+}
+
+// Courses counted so far at or before a status
+function countedBy(courses, status) {
+  const limit = STATUS_ORDER.indexOf(status);
+  return courses.filter(
+    (course) => STATUS_ORDER.indexOf(course.status) <= limit
+  );
+}
+
+function isRequirementMet(requirement, courses) {
+  if (requirement.type === REQUIREMENT_TYPES.CORE) {
+    return requirement.courses.every((listed) =>
+      courses.some((course) => course.code === listed.code)
+    );
+  }
+  const enoughCredits =
+    !requirement.minCredits || sumCredits(courses) >= requirement.minCredits;
+  const enoughCourses =
+    !requirement.minCourses || courses.length >= requirement.minCourses;
+  return enoughCredits && enoughCourses;
+}
+
+// Progress units: courses for core and course-count electives, else credits
+function measure(requirement, courses) {
+  if (requirement.type === REQUIREMENT_TYPES.CORE) {
+    return { done: courses.length, needed: requirement.courses.length };
+  }
+  if (requirement.minCredits) {
+    return {
+      done: Math.min(sumCredits(courses), requirement.minCredits),
+      needed: requirement.minCredits,
+    };
+  }
+  return {
+    done: Math.min(courses.length, requirement.minCourses || 0),
+    needed: requirement.minCourses || 0,
+  };
+}
+
+/**
+ * Match a student's courses against a program's requirements
+ * @param {object} program - { totalCredits, minCGPA, requirements }
+ * @param {object[]} courses - [{ code, name, creditHours, status }]
+ * @returns {object} {
+ *   requirements: [{ ...requirement, matched, missing, unit, earned,
+ *     projected, needed, met, projectedMet }],
+ *   credits: { earned, inProgress, planned, required, freeElective },
+ *   met, projectedMet
+ * }
+ *   "earned"/"met" count passed courses only; "projected" also counts
+ *   in-progress and planned ones
+ */
+export function auditDegree(program, courses = []) {
+  const unclaimed = [...courses].sort(
+    (a, b) => STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status)
+  );
+  const claim = (code) => {
+    const index = unclaimed.findIndex((course) => course.code === code);
+    return index === -1 ? null : unclaimed.splice(index, 1)[0];
+  };
+
+  const requirements = (program?.requirements || []).map((requirement) => {
+    const matched = requirement.courses
+      .map((listed) => claim(listed.code))
+      .filter(Boolean);
+    const passed = countedBy(matched, COURSE_STATUS.PASSED);
+    const missing = requirement.courses.filter(
+      (listed) => !matched.some((course) => course.code === listed.code)
+    );
+    const now = measure(requirement, passed);
+    const projected = measure(requirement, matched);
+
+    return {
+      ...requirement,
+      matched,
+      missing,
+      unit:
+        requirement.type === REQUIREMENT_TYPES.ELECTIVE &&
+        requirement.minCredits
+          ? "credits"
+          : "courses",
+      earned: now.done,
+      projected: projected.done,
+      needed: now.needed,
+      met: isRequirementMet(requirement, passed),
+      projectedMet: isRequirementMet(requirement, matched),
+    };
+  });
+
+  const creditsWith = (status) =>
+    sumCredits(courses.filter((course) => course.status === status));
+  const credits = {
+    earned: creditsWith(COURSE_STATUS.PASSED),
+    inProgress: creditsWith(COURSE_STATUS.IN_PROGRESS),
+    planned: creditsWith(COURSE_STATUS.PLANNED),
+    required: Number(program?.totalCredits) || 0,
+    freeElective: sumCredits(unclaimed),
+  };
+  const projectedCredits =
+    credits.earned + credits.inProgress + credits.planned;
+
+  return {
+    requirements,
+    credits,
+    met:
+      requirements.every((r) => r.met) && credits.earned >= credits.required,
+    projectedMet:
+      requirements.every((r) => r.projectedMet) &&
+      projectedCredits >= credits.required,
+  };
+}
+
+/**
+ * CGPA if planned courses were passed with the expected grades
+ * A planned course the student already took replaces the earlier attempt,
+ * as a repeat would.
+ * @param {object[]} semesters - Summarized result semesters (see
+ *   summarizeResults in lib/academics/gpa.js)
+ * @param {object[]} planned - [{ code, creditHours, grade }]
+ * @param {object[]} [schemes] - Grading schemes; planned grades use the
+ *   default scheme
+ * @returns {number|null}
+ */
+export function projectCGPA(semesters, planned, schemes = []) {
+  const plannedCodes = new Set(planned.map((course) => course.code));
+  const counted = semesters
+    .flatMap((semester) => semester.courses)
+    .filter((course) => !course.repeated && !plannedCodes.has(course.code));
+  const defaultSchemeId = resolveScheme(schemes).id;
+  return calculateGPA(
+    [
+      ...counted,
+      ...planned
+        .filter((course) => course.grade)
+        .map((course) => ({ ...course, schemeId: defaultSchemeId })),
+    ],
+    schemes
+  );
+}
@@ -0,0 +1,133 @@
+/**
+ * Enrollment Windows
+ *
+ * Each semester has an admin-defined window:
+ * `{ semester, addDropStart, addDropEnd, withdrawalEnd }` (ISO date-times).
+ *
+ * - Before addDropStart: enrollment has not opened
+ * - addDropStart..addDropEnd: students may enroll and drop freely
+ * - addDropEnd..withdrawalEnd: no new enrollments; dropping is a withdrawal
+ *   and leaves a "W" grade on the record
+ * - After withdrawalEnd: enrollments are locked
+ *
+ * A semester without a window is treated as not open yet.
+ */
+
+import { formatDateTime } from "@/lib/utils";
+
+export const WINDOW_PHASES = {
+  NOT_SET: "not-set",
+  UPCOMING: "upcoming",
+  ADD_DROP: "add-drop",
+  WITHDRAWAL: "withdrawal",
+  CLOSED: "closed",
+};
+
+export const WITHDRAWAL_GRADE = "W";
+
+/**
+ * Window for a semester
+ * @param {Array} windows - All enrollment windows
+ * @param {string} semester - e.g. "Spring 2025"
+ * @returns {object|null}
+ */
+export function findWindow(windows = [], semester) {
+  return windows.find((w) => w.semester === semester) || null;
+}
+
+/**
+ * Which part of the window `now` falls in
+ * @param {object|null} enrollmentWindow
+ * @param {number} now - Timestamp in ms (default: current time)
+ * @returns {string} One of WINDOW_PHASES
+ */
+export function getWindowPhase(enrollmentWindow, now = Date.now()) {
+  if (!enrollmentWindow) return WINDOW_PHASES.NOT_SET;
+  const { addDropStart, addDropEnd, withdrawalEnd } = enrollmentWindow;
+  if (now < Date.parse(addDropStart)) return WINDOW_PHASES.UPCOMING;
+  if (now < Date.parse(addDropEnd)) return WINDOW_PHASES.ADD_DROP;
+  if (now < Date.parse(withdrawalEnd)) return WINDOW_PHASES.WITHDRAWAL;
+  return WINDOW_PHASES.CLOSED;
+}
+
+/**
+ * What dropping an enrolled course does right now
+ * Drops are free until the add/drop deadline, including before it opens.
+ * @param {object|null} enrollmentWindow
+ * @param {number} now
+ * @returns {"drop"|"withdraw"|null} null when drops are locked
+ */
+export function getDropOutcome(enrollmentWindow, now = Date.now()) {
+  switch (getWindowPhase(enrollmentWindow, now)) {
+    case WINDOW_PHASES.WITHDRAWAL:
+      return "withdraw";
+    case WINDOW_PHASES.CLOSED:
+      return null;
+    default:
+      return "drop";
+  }
+}
+
+/**
+ * The next deadline students should know about
+ * @param {object|null} enrollmentWindow
+ * @param {number} now
+ * @returns {{ label: string, at: string }|null}
+ */
+export function getNextDeadline(enrollmentWindow, now = Date.now()) {
+  switch (getWindowPhase(enrollmentWindow, now)) {
+    case WINDOW_PHASES.UPCOMING:
+      return { label: "Enrollment opens", at: enrollmentWindow.addDropStart };
+    case WINDOW_PHASES.ADD_DROP:
+      return { label: "Add/drop closes", at: enrollmentWindow.addDropEnd };
+    case WINDOW_PHASES.WITHDRAWAL:
+      return { label: "Withdrawal closes", at: enrollmentWindow.withdrawalEnd };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Why a student cannot enroll right now
+ * @param {object|null} enrollmentWindow
+ * @param {string} semester
+ * @param {number} now
+ * @returns {string|null} null while add/drop is open
+ */
+export function getEnrollmentClosedMessage(
+  enrollmentWindow,
+  semester,
+  now = Date.now()
+) {
+  switch (getWindowPhase(enrollmentWindow, now)) {
+    case WINDOW_PHASES.ADD_DROP:
+      return null;
+    case WINDOW_PHASES.NOT_SET:
+      return `Enrollment dates for ${semester} have not been announced`;
+    case WINDOW_PHASES.UPCOMING:
+      return `Enrollment for ${semester} opens ${formatDateTime(enrollmentWindow.addDropStart)}`;
+    default:
+      return `The add/drop period for ${semester} ended ${formatDateTime(enrollmentWindow.addDropEnd)}`;
+  }
+}
+
+/**
+ * Check a window's dates are present and in order
+ * @param {object} enrollmentWindow
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateWindow(enrollmentWindow) {
+  const start = Date.parse(enrollmentWindow.addDropStart);
+  const addDropEnd = Date.parse(enrollmentWindow.addDropEnd);
+  const withdrawalEnd = Date.parse(enrollmentWindow.withdrawalEnd);
+  if ([start, addDropEnd, withdrawalEnd].some(Number.isNaN)) {
+    return "All window dates are required";
+  }
+  if (addDropEnd <= start) {
+    return "Add/drop must end after it starts";
+  }
+  if (withdrawalEnd < addDropEnd) {
+    return "The withdrawal deadline cannot be before the add/drop deadline";
+  }
+  return null;
+}
@@ -0,0 +1,281 @@
+/**
+ * Enrollment Rules
+ *
+ * Pure checks run before a student is enrolled in a course section:
+ * - the semester's add/drop window is open (lib/academics/enrollment-windows.js)
+ * - prerequisites against the courses the student has passed
+ * - seats left in the section
+ * - timetable clashes with the student's existing schedule
+ *
+ * The backend runs the same checks; the UI only displays the reasons it
+ * returns. Every failed check becomes a `{ code, message }` reason.
+ */
+
+import { getEnrollmentClosedMessage } from "@/lib/academics/enrollment-windows";
+import { isCoursePassed } from "@/lib/academics/gpa";
+
+export const REJECTION_CODES = {
+  ENROLLMENT_CLOSED: "ENROLLMENT_CLOSED",
+  ALREADY_ENROLLED: "ALREADY_ENROLLED",
+  SECTION_NOT_FOUND: "SECTION_NOT_FOUND",
+  PREREQUISITE_MISSING: "PREREQUISITE_MISSING",
+  SECTION_FULL: "SECTION_FULL",
+  TIMETABLE_CLASH: "TIMETABLE_CLASH",
+};
+
+// Enrollment statuses that hold a seat / sit in the queue
+export const ACTIVE_STATUSES = ["enrolled", "waitlisted"];
+
+/**
+ * Course codes a student has passed, from their results
+ * @param {Array} semesters - Result semesters:
+ *   [{ courses: [{ code, grade, schemeId }] }]
+ * @param {object[]} [schemes] - All grading schemes
+ * @returns {Set<string>}
+ */
+export function getPassedCourseCodes(semesters = [], schemes = []) {
+  const passed = new Set();
+  semesters.forEach((semester) =>
+    (semester.courses || []).forEach((course) => {
+      if (isCoursePassed(course, schemes)) passed.add(course.code);
+    })
+  );
+  return passed;
+}
+
+/**
+ * Prerequisites of a course the student has not passed
+ * @param {object} course - Course with `prerequisites` (course codes)
+ * @param {Set<string>} passedCodes
+ * @returns {string[]} Missing course codes
+ */
+export function getMissingPrerequisites(course, passedCodes) {
+  return (course.prerequisites || []).filter((code) => !passedCodes.has(code));
+}
+
+/**
+ * Seat usage of a course section
+ * @param {object} course - Course with `sections: [{ name, capacity }]`
+ * @param {string} sectionName
+ * @param {Array} enrollments - All enrollments
+ * @returns {{ capacity: number, enrolled: number, waitlisted: number, available: number }|null}
+ *   null if the section does not exist
+ */
+export function getSectionSeats(course, sectionName, enrollments = []) {
+  const section = (course.sections || []).find((s) => s.name === sectionName);
+  if (!section) return null;
+
+  const inSection = enrollments.filter(
+    (e) => e.courseId === course.id && e.section === sectionName
+  );
+  const enrolled = inSection.filter((e) => e.status === "enrolled").length;
+  const waitlisted = inSection.filter((e) => e.status === "waitlisted").length;
+
+  return {
+    capacity: section.capacity,
+    enrolled,
+    waitlisted,
+    available: Math.max(section.capacity - enrolled, 0),
+  };
+}
+
+/**
+ * Students enrolled in the section(s) a timetable entry is for
+ * Entries without a `section` are for every section of the course.
+ * @param {object} entry - Timetable entry
+ * @param {Array} enrollments - All enrollments
+ * @returns {string[]} Student ids
+ */
+export function getEntryStudentIds(entry, enrollments = []) {
+  return [
+    ...new Set(
+      enrollments
+        .filter(
+          (e) =>
+            e.courseId === entry.courseId &&
+            e.status === "enrolled" &&
+            (!entry.section || e.section === entry.section)
+        )
+        .map((e) => e.studentId)
+    ),
+  ];
+}
+
+/**
+ * Timetable slots of a course section
+ * Entries without a `section` apply to every section of the course.
+ * @param {string} courseId
+ * @param {string} sectionName
+ * @param {Array} timetable - Timetable entries
+ * @returns {Array}
+ */
+export function getSectionSlots(courseId, sectionName, timetable = []) {
+  return timetable.filter(
+    (entry) =>
+      entry.courseId === courseId &&
+      (!entry.section || entry.section === sectionName)
+  );
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Whether two timetable slots overlap
+ * @param {object} a - Slot with dayOfWeek, startTime, endTime ("HH:MM")
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function slotsOverlap(a, b) {
+  if (a.dayOfWeek !== b.dayOfWeek) return false;
+  return (
+    toMinutes(a.startTime) < toMinutes(b.endTime) &&
+    toMinutes(b.startTime) < toMinutes(a.endTime)
+  );
+}
+
+/**
+ * Slots of `slots` that overlap the student's schedule
+ * @param {Array} slots - Slots of the section being added
+ * @param {Array} schedule - Slots the student already attends
+ * @returns {Array<{ slot: object, conflict: object }>}
+ */
+export function findClashes(slots, schedule) {
+  const clashes = [];
+  slots.forEach((slot) =>
+    schedule.forEach((conflict) => {
+      if (slotsOverlap(slot, conflict)) clashes.push({ slot, conflict });
+    })
+  );
+  return clashes;
+}
+
+/**
+ * Timetable slots of every section a student is enrolled in
+ * @param {string} studentId
+ * @param {string} semester
+ * @param {Array} enrollments - All enrollments
+ * @param {Array} timetable - Timetable entries
+ * @returns {Array}
+ */
+export function getStudentSchedule(studentId, semester, enrollments, timetable) {
+  return enrollments
+    .filter(
+      (e) =>
+        e.studentId === studentId &&
+        e.semester === semester &&
+        e.status === "enrolled"
+    )
+    .flatMap((e) => getSectionSlots(e.courseId, e.section, timetable));
+}
+
+function describeSlot(slot) {
+  const code = slot.course?.code ? `${slot.course.code} ` : "";
+  return `${code}on ${slot.dayOfWeek} ${slot.startTime}-${slot.endTime}`;
+}
+
+/**
+ * Run every enrollment check for a student and course section
+ * @param {object} params
+ * @param {string} params.studentId
+ * @param {object} params.course - Course with prerequisites and sections
+ * @param {string} params.section - Section name, e.g. "A"
+ * @param {Set<string>} params.passedCodes - From getPassedCourseCodes
+ * @param {Array} params.enrollments - All enrollments
+ * @param {Array} params.timetable - Timetable entries
+ * @param {object|null} [params.enrollmentWindow] - Semester window; the
+ *   window check is skipped only when this is undefined
+ * @param {number} [params.now] - Timestamp to check the window against
+ * @returns {{ eligible: boolean, full: boolean, seats: object|null, reasons: Array<{ code: string, message: string }> }}
+ *   eligible: no check other than capacity failed; full: section has no seats
+ */
+export function evaluateEnrollment({
+  studentId,
+  course,
+  section,
+  passedCodes,
+  enrollments = [],
+  timetable = [],
+  enrollmentWindow,
+  now = Date.now(),
+}) {
+  const reasons = [];
+
+  if (enrollmentWindow !== undefined) {
+    const closedMessage = getEnrollmentClosedMessage(
+      enrollmentWindow,
+      course.semester,
+      now
+    );
+    if (closedMessage) {
+      reasons.push({
+        code: REJECTION_CODES.ENROLLMENT_CLOSED,
+        message: closedMessage,
+      });
+    }
+  }
+
+  const existing = enrollments.find(
+    (e) =>
+      e.studentId === studentId &&
+      e.courseId === course.id &&
+      ACTIVE_STATUSES.includes(e.status)
+  );
+  if (existing) {
+    reasons.push({
+      code: REJECTION_CODES.ALREADY_ENROLLED,
+      message:
+        existing.status === "waitlisted"
+          ? `You are already on the waitlist for ${course.code}`
+          : `You are already enrolled in ${course.code} (Section ${existing.section})`,
+    });
+  }
+
+  const seats = getSectionSeats(course, section, enrollments);
+  if (!seats) {
+    reasons.push({
+      code: REJECTION_CODES.SECTION_NOT_FOUND,
+      message: `${course.code} has no Section ${section}`,
+    });
+  }
+
+  const missing = getMissingPrerequisites(course, passedCodes);
+  if (missing.length > 0) {
+    reasons.push({
+      code: REJECTION_CODES.PREREQUISITE_MISSING,
+      message: `Requires ${missing.join(", ")}, which you have not passed`,
+    });
+  }
+
+  // Another section of the same course is reported as ALREADY_ENROLLED
+  const schedule = getStudentSchedule(
+    studentId,
+    course.semester,
+    enrollments,
+    timetable
+  ).filter((slot) => slot.courseId !== course.id);
+  findClashes(getSectionSlots(course.id, section, timetable), schedule).forEach(
+    ({ slot, conflict }) =>
+      reasons.push({
+        code: REJECTION_CODES.TIMETABLE_CLASH,
+        message: `Section ${section} meets ${slot.dayOfWeek} ${slot.startTime}-${slot.endTime}, clashing with ${describeSlot(conflict)}`,
+      })
+  );
+
+  const full = Boolean(seats) && seats.available === 0;
+  if (full) {
+    reasons.push({
+      code: REJECTION_CODES.SECTION_FULL,
+      message: `Section ${section} is full (${seats.enrolled}/${seats.capacity} seats taken)`,
+    });
+  }
+
+  return {
+    eligible: reasons.every((r) => r.code === REJECTION_CODES.SECTION_FULL),
+    full,
+    seats,
+    reasons,
+  };
+}
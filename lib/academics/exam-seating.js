@@ -0,0 +1,183 @@
+/**
+ * Exam Seating
+ *
+ * Seats the students of one sitting (the exams that start at the same date
+ * and time, lib/academics/exams.js) in the sitting's rooms. Rooms are laid
+ * out in rows of EXAM_SEAT_COLUMNS seats, labelled by row letter and seat
+ * number ("C4"), and filled one after another, front row first. Each
+ * paper's students are seated in roll-number order, so invigilators can
+ * find a student's seat from the attendance sheet.
+ *
+ * Mixing rules:
+ * - mixPapers: students writing the same paper never sit side by side or
+ *   one behind the other. Papers are interleaved across the rooms, and a
+ *   seat is left empty when only a student of the same paper could take it
+ *   and there are seats to spare.
+ * - spaced: only every other seat in a row is used.
+ *
+ * When the rooms are too small the students left over are returned
+ * unseated; neighbours that still write the same paper (too few seats to
+ * keep them apart) are counted.
+ */
+
+import { getExamStudentIds } from "@/lib/academics/exams";
+
+export const EXAM_SEAT_COLUMNS = 6;
+
+export const DEFAULT_SEATING_RULES = {
+  mixPapers: true,
+  spaced: false,
+};
+
+/**
+ * Label of a seat
+ * @param {number} row - From 0, front row first
+ * @param {number} column - From 0
+ * @returns {string} e.g. "C4"
+ */
+export function getSeatLabel(row, column) {
+  return `${String.fromCharCode(65 + row)}${column + 1}`;
+}
+
+/**
+ * Seats of a room that the rules let students use
+ * @param {object} room - { name, capacity }
+ * @param {object} [rules]
+ * @returns {Array<{ row: number, column: number, label: string }>}
+ */
+export function getRoomSeats(room, rules = DEFAULT_SEATING_RULES) {
+  const seats = [];
+  for (let index = 0; index < room.capacity; index++) {
+    const row = Math.floor(index / EXAM_SEAT_COLUMNS);
+    const column = index % EXAM_SEAT_COLUMNS;
+    if (rules.spaced && column % 2 === 1) continue;
+    seats.push({ row, column, label: getSeatLabel(row, column) });
+  }
+  return seats;
+}
+
+/**
+ * Seats the rooms of a sitting offer under the rules
+ * @param {Array} rooms - { name, capacity }
+ * @param {object} [rules]
+ * @returns {number}
+ */
+export function getSittingCapacity(rooms, rules = DEFAULT_SEATING_RULES) {
+  return rooms.reduce(
+    (total, room) => total + getRoomSeats(room, rules).length,
+    0
+  );
+}
+
+// Paper with the most students still to seat, other than the neighbours'
+function pickPaper(papers, blocked) {
+  return papers.reduce((best, paper) => {
+    if (paper.queue.length === 0 || blocked.has(paper.examId)) return best;
+    return !best || paper.queue.length > best.queue.length ? paper : best;
+  }, null);
+}
+
+/**
+ * Seat a sitting's students
+ * @param {object} params
+ * @param {Array} params.papers - One per exam: { examId, courseCode,
+ *   students: [{ id, rollNumber, fullName }] }
+ * @param {Array} params.rooms - { name, capacity }, in the order to fill
+ * @param {object} [params.rules] - See DEFAULT_SEATING_RULES
+ * @returns {{ rooms: Array<{ name: string, rows: number, columns: number,
+ *   seats: Array }>, unseated: Array, sameNeighbours: number }} Seats are
+ *   { label, row, column, studentId, rollNumber, fullName, examId,
+ *   courseCode }
+ */
+export function generateSeatingPlan({
+  papers,
+  rooms,
+  rules = DEFAULT_SEATING_RULES,
+}) {
+  const queues = papers.map((paper) => ({
+    ...paper,
+    queue: [...paper.students].sort((a, b) =>
+      String(a.rollNumber).localeCompare(String(b.rollNumber), undefined, {
+        numeric: true,
+      })
+    ),
+  }));
+  let toSeat = queues.reduce((total, paper) => total + paper.queue.length, 0);
+  let seatsLeft = getSittingCapacity(rooms, rules);
+  let sameNeighbours = 0;
+
+  const plan = rooms.map((room) => {
+    const taken = new Map();
+    const seats = [];
+    getRoomSeats(room, rules).forEach(({ row, column, label }) => {
+      seatsLeft--;
+      if (toSeat === 0) return;
+      const neighbours = [
+        taken.get(`${row}:${column - (rules.spaced ? 2 : 1)}`),
+        taken.get(`${row - 1}:${column}`),
+      ].filter(Boolean);
+
+      let paper = rules.mixPapers
+        ? pickPaper(queues, new Set(neighbours))
+        : pickPaper(queues, new Set());
+      if (!paper) {
+        // Keep the seat free while the rest still fit
+        if (seatsLeft >= toSeat) return;
+        paper = pickPaper(queues, new Set());
+        sameNeighbours++;
+      }
+
+      const student = paper.queue.shift();
+      toSeat--;
+      taken.set(`${row}:${column}`, paper.examId);
+      seats.push({
+        label,
+        row,
+        column,
+        studentId: student.id,
+        rollNumber: student.rollNumber,
+        fullName: student.fullName,
+        examId: paper.examId,
+        courseCode: paper.courseCode,
+      });
+    });
+    return {
+      name: room.name,
+      rows: Math.ceil(room.capacity / EXAM_SEAT_COLUMNS),
+      columns: EXAM_SEAT_COLUMNS,
+      seats,
+    };
+  });
+
+  return {
+    rooms: plan,
+    unseated: queues.flatMap((paper) =>
+      paper.queue.map((student) => ({ ...student, examId: paper.examId }))
+    ),
+    sameNeighbours,
+  };
+}
+
+/**
+ * Papers of a sitting, with the students writing each
+ * @param {object} sitting - From getSittings()
+ * @param {object} params
+ * @param {Array} params.courses
+ * @param {Array} params.enrollments - All enrollments
+ * @param {Array} params.users - Students, for their roll numbers and names
+ * @returns {Array} Papers for generateSeatingPlan()
+ */
+export function getSittingPapers(sitting, { courses, enrollments, users }) {
+  return sitting.exams.map((exam) => ({
+    examId: exam.id,
+    courseCode: courses.find((c) => c.id === exam.courseId)?.code || "",
+    students: getExamStudentIds(exam, enrollments).map((id) => {
+      const student = users.find((u) => u.id === id);
+      return {
+        id,
+        rollNumber: student?.rollNumber || "",
+        fullName: student?.fullName || "",
+      };
+    }),
+  }));
+}
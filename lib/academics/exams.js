@@ -0,0 +1,213 @@
+/**
+ * Exams
+ *
+ * Admins schedule a midterm and a final exam per course, each on a date
+ * inside the term's matching exam period, at a time and in one or more
+ * rooms:
+ * `{ id, courseId, semester, type, date, startTime, endTime,
+ *    rooms: string[] }`
+ *
+ * Exams starting at the same date and time form a sitting: they share
+ * their rooms and are seated together (lib/academics/exam-seating.js), so
+ * several courses can write in the same hall. An exam clashes when one of
+ * its students has another exam at an overlapping time, or when it shares
+ * a room with an overlapping exam of another sitting. The backend rejects
+ * clashing exams; clashes that appear later (a student enrolling in a
+ * second course) are reported on the admin exams page.
+ */
+
+import { getEntryStudentIds } from "@/lib/academics/enrollment";
+import { TIME_PATTERN, timeToMinutes } from "@/lib/academics/timetable";
+import {
+  formatCalendarDate,
+  getExamPeriod,
+} from "@/lib/calendar/academic-calendar";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const EXAM_TYPES = {
+  MIDTERM: "midterm",
+  FINAL: "final",
+};
+
+export const EXAM_TYPE_LABELS = {
+  midterm: "Midterm",
+  final: "Final",
+};
+
+// Exam period (academic calendar) each type of exam is held in
+export const EXAM_PERIOD_NAMES = {
+  midterm: "Midterm Exams",
+  final: "Final Exams",
+};
+
+export const EXAM_CLASH_TYPES = {
+  STUDENT: "STUDENT",
+  ROOM: "ROOM",
+};
+
+export const EXAM_CLASH_TYPE_LABELS = {
+  [EXAM_CLASH_TYPES.STUDENT]: "Students",
+  [EXAM_CLASH_TYPES.ROOM]: "Room",
+};
+
+/**
+ * Sitting an exam belongs to
+ * @param {object} exam - With date and startTime
+ * @returns {string} e.g. "2026-12-14 09:00"
+ */
+export function getSittingKey(exam) {
+  return `${exam.date} ${exam.startTime}`;
+}
+
+/**
+ * Whether two exams are written at overlapping times
+ * @param {object} a - Exam with date, startTime, endTime
+ * @param {object} b
+ * @returns {boolean}
+ */
+export function examsOverlap(a, b) {
+  if (a.date !== b.date) return false;
+  return (
+    timeToMinutes(a.startTime) < timeToMinutes(b.endTime) &&
+    timeToMinutes(b.startTime) < timeToMinutes(a.endTime)
+  );
+}
+
+/**
+ * Students sitting an exam: everyone enrolled in the course
+ * @param {object} exam
+ * @param {Array} enrollments - All enrollments
+ * @returns {string[]} Student ids
+ */
+export function getExamStudentIds(exam, enrollments = []) {
+  return getEntryStudentIds({ courseId: exam.courseId }, enrollments);
+}
+
+/**
+ * Validate an exam's own fields
+ * @param {object} exam
+ * @param {object} term - Term of the course's semester
+ * @param {Array} rooms - Bookable rooms ({ name })
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateExam(exam, term, rooms = []) {
+  if (!Object.values(EXAM_TYPES).includes(exam.type)) {
+    return "Exam type must be midterm or final";
+  }
+  if (!DATE_PATTERN.test(exam.date || "")) return "Date is required";
+  if (!TIME_PATTERN.test(exam.startTime || "")) {
+    return "Start time must be in HH:MM format";
+  }
+  if (!TIME_PATTERN.test(exam.endTime || "")) {
+    return "End time must be in HH:MM format";
+  }
+  if (timeToMinutes(exam.endTime) <= timeToMinutes(exam.startTime)) {
+    return "End time must be after start time";
+  }
+  if (!Array.isArray(exam.rooms) || exam.rooms.length === 0) {
+    return "At least one room is required";
+  }
+  const unknown = exam.rooms.find(
+    (name) => !rooms.some((room) => room.name === name)
+  );
+  if (unknown) return `Room ${unknown} does not exist`;
+
+  const periodName = EXAM_PERIOD_NAMES[exam.type];
+  const period = (term?.examPeriods || []).find((p) => p.name === periodName);
+  if (!period) {
+    return `${exam.semester} has no ${periodName.toLowerCase()} period`;
+  }
+  if (getExamPeriod(exam.date, term)?.name !== periodName) {
+    return (
+      `${EXAM_TYPE_LABELS[exam.type]} exams are held from ` +
+      `${formatCalendarDate(period.startDate)} to ` +
+      formatCalendarDate(period.endDate)
+    );
+  }
+  return null;
+}
+
+function describeExam(exam, courses) {
+  const course = courses.find((c) => c.id === exam.courseId);
+  return (
+    `${course?.code || "Another course"} ${EXAM_TYPE_LABELS[exam.type]} ` +
+    `(${formatCalendarDate(exam.date)} ${exam.startTime}-${exam.endTime})`
+  );
+}
+
+/**
+ * Exams that clash with `exam`
+ * An exam never clashes with itself (same id), so edits can be checked
+ * against the unedited schedule.
+ * @param {object} exam
+ * @param {Array} exams - Scheduled exams
+ * @param {object} params
+ * @param {Array} params.enrollments - All enrollments
+ * @param {Array} params.courses
+ * @returns {Array<{ type: string, exam: object, studentIds: string[],
+ *   message: string }>}
+ */
+export function findExamClashes(exam, exams, { enrollments, courses }) {
+  const studentIds = new Set(getExamStudentIds(exam, enrollments));
+  const clashes = [];
+  exams
+    .filter((other) => other.id !== exam.id && examsOverlap(exam, other))
+    .forEach((other) => {
+      const shared = getExamStudentIds(other, enrollments).filter((id) =>
+        studentIds.has(id)
+      );
+      if (shared.length > 0) {
+        const count = shared.length;
+        clashes.push({
+          type: EXAM_CLASH_TYPES.STUDENT,
+          exam: other,
+          studentIds: shared,
+          message:
+            `${count} student${count === 1 ? " also sits" : "s also sit"} ` +
+            describeExam(other, courses),
+        });
+      }
+
+      // Rooms are shared by a whole sitting, never between two of them
+      const room = exam.rooms.find((name) => other.rooms.includes(name));
+      if (room && getSittingKey(other) !== getSittingKey(exam)) {
+        clashes.push({
+          type: EXAM_CLASH_TYPES.ROOM,
+          exam: other,
+          studentIds: [],
+          message: `${room} is booked for ${describeExam(other, courses)}`,
+        });
+      }
+    });
+  return clashes;
+}
+
+/**
+ * Exams grouped into sittings
+ * @param {Array} exams
+ * @returns {Array<{ key: string, date: string, startTime: string,
+ *   endTime: string, exams: Array, rooms: string[] }>} Sorted by time; a
+ *   sitting ends with its longest exam and uses every room of its exams
+ */
+export function getSittings(exams) {
+  const sittings = new Map();
+  exams.forEach((exam) => {
+    const key = getSittingKey(exam);
+    const sitting = sittings.get(key) || {
+      key,
+      date: exam.date,
+      startTime: exam.startTime,
+      endTime: exam.endTime,
+      exams: [],
+      rooms: [],
+    };
+    sitting.exams.push(exam);
+    if (exam.endTime > sitting.endTime) sitting.endTime = exam.endTime;
+    exam.rooms.forEach((room) => {
+      if (!sitting.rooms.includes(room)) sitting.rooms.push(room);
+    });
+    sittings.set(key, sitting);
+  });
+  return [...sittings.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
@@ -0,0 +1,167 @@
+/**
+ * GPA and CGPA
+ *
+ * Results are semesters of courses: `{ code, name, creditHours, grade,
+ * schemeId }`, where schemeId is the grading scheme the course was graded
+ * under (the default scheme when missing).
+ *
+ * - Grade points come from the course's scheme; grades worth no points
+ *   (pass/fail courses, "W") are left out of the GPA
+ * - Whether a course was passed also comes from its scheme
+ * - Non-credit courses (0 credit hours) never count
+ * - A repeated course keeps every attempt on its semester and in that
+ *   semester's GPA, but only the latest attempt counts towards the CGPA.
+ *   Withdrawing from a retake does not replace the earlier grade.
+ */
+
+import {
+  getGradePoints,
+  isPassingGrade,
+  resolveScheme,
+} from "@/lib/academics/grading-schemes";
+import { WITHDRAWAL_GRADE } from "@/lib/academics/enrollment-windows";
+
+const TERM_ORDER = { Spring: 1, Summer: 2, Fall: 3 };
+
+function semesterSortKey(name) {
+  const [term, year] = String(name || "").split(" ");
+  return Number(year || 0) * 10 + (TERM_ORDER[term] || 0);
+}
+
+/**
+ * Chronological order of semester names, e.g. "Spring 2024" < "Fall 2024"
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function compareSemesters(a, b) {
+  return semesterSortKey(a) - semesterSortKey(b);
+}
+
+/**
+ * Whether a course carries no credit
+ * @param {object} course - { creditHours }
+ * @returns {boolean}
+ */
+export function isNonCredit(course) {
+  return !(Number(course.creditHours) > 0);
+}
+
+/**
+ * Grade points a course result is worth
+ * @param {object} course - { grade, schemeId }
+ * @param {object[]} schemes - All grading schemes
+ * @returns {number|null} null when the grade does not count towards a GPA
+ */
+export function getCoursePoints(course, schemes = []) {
+  return getGradePoints(course.grade, resolveScheme(schemes, course.schemeId));
+}
+
+/**
+ * Whether a course result is a pass under the scheme it was graded with
+ * @param {object} course - { grade, schemeId }
+ * @param {object[]} schemes - All grading schemes
+ * @returns {boolean}
+ */
+export function isCoursePassed(course, schemes = []) {
+  return isPassingGrade(course.grade, resolveScheme(schemes, course.schemeId));
+}
+
+/**
+ * Credit-weighted grade point average
+ * @param {object[]} courses - [{ grade, creditHours, schemeId }]
+ * @param {object[]} [schemes] - All grading schemes
+ * @returns {number|null} Rounded to 2 decimals; null when nothing counts
+ */
+export function calculateGPA(courses, schemes = []) {
+  let totalPoints = 0;
+  let totalCredits = 0;
+
+  (courses || []).forEach((course) => {
+    if (isNonCredit(course)) return;
+    const points = getCoursePoints(course, schemes);
+    if (points === null) return;
+    totalPoints += points * Number(course.creditHours);
+    totalCredits += Number(course.creditHours);
+  });
+
+  return totalCredits > 0
+    ? Math.round((totalPoints / totalCredits) * 100) / 100
+    : null;
+}
+
+/**
+ * Flag attempts that a later attempt at the same course replaces
+ * @param {object[]} semesters - [{ name, courses }] in any order
+ * @returns {object[]} Same semesters; replaced courses get `repeated: true`
+ */
+export function markRepeatedCourses(semesters) {
+  const attempts = (semesters || [])
+    .flatMap((semester) =>
+      semester.courses.map((course) => ({ semester: semester.name, course }))
+    )
+    .filter(({ course }) => course.grade !== WITHDRAWAL_GRADE);
+  const latestByCode = new Map();
+  attempts.forEach((attempt) => {
+    const latest = latestByCode.get(attempt.course.code);
+    if (!latest || compareSemesters(attempt.semester, latest.semester) > 0) {
+      latestByCode.set(attempt.course.code, attempt);
+    }
+  });
+
+  return (semesters || []).map((semester) => ({
+    ...semester,
+    courses: semester.courses.map((course) => {
+      const latest = latestByCode.get(course.code);
+      const repeated =
+        course.grade !== WITHDRAWAL_GRADE &&
+        Boolean(latest) &&
+        latest.course !== course;
+      return repeated ? { ...course, repeated: true } : course;
+    }),
+  }));
+}
+
+/**
+ * Cumulative GPA over every semester, counting each course's latest attempt
+ * @param {object[]} semesters - [{ name, courses }]
+ * @param {object[]} [schemes] - All grading schemes
+ * @returns {number|null}
+ */
+export function calculateCGPA(semesters, schemes = []) {
+  return calculateGPA(
+    markRepeatedCourses(semesters)
+      .flatMap((semester) => semester.courses)
+      .filter((course) => !course.repeated),
+    schemes
+  );
+}
+
+/**
+ * Results record with GPAs computed from its grades
+ * @param {object} record - { semesters: [{ id, name, courses }] }
+ * @param {object[]} [schemes] - All grading schemes
+ * @returns {object} { cgpa, semesters } — semesters newest first, each with
+ *   `gpa` and courses flagged `repeated` / `nonCredit` / `passed` with
+ *   `gradePoints`
+ */
+export function summarizeResults(record, schemes = []) {
+  const semesters = markRepeatedCourses(record?.semesters || [])
+    .sort((a, b) => compareSemesters(b.name, a.name))
+    .map((semester) => ({
+      ...semester,
+      gpa: calculateGPA(semester.courses, schemes),
+      courses: semester.courses.map((course) => ({
+        ...course,
+        nonCredit: isNonCredit(course),
+        passed: isCoursePassed(course, schemes),
+        gradePoints: getCoursePoints(course, schemes),
+      })),
+    }));
+
+  return {
+    ...record,
+    cgpa: calculateCGPA(semesters, schemes),
+    semesters,
+  };
+}
@@ -0,0 +1,206 @@
+/**
+ * Grade CSV Import / Export
+ *
+ * Gradebooks are exchanged as CSV keyed by roll number:
+ * `Roll Number, Name, Marks Obtained, Total Marks, Grade`. On import only the
+ * roll number and marks columns are read; the rest are there for whoever
+ * edits the sheet.
+ *
+ * Imports are previewed before anything is saved: every row is checked
+ * against the course roster and total marks, and the valid rows are diffed
+ * against the current marks. A blank marks cell leaves the student's marks
+ * as they are.
+ */
+
+import { parseCsv, toCsv } from "@/lib/utils/csv";
+import {
+  hasMarks,
+  parseMarks,
+  validateMarks,
+} from "@/lib/academics/grading";
+import {
+  DEFAULT_GRADING_SCHEME,
+  assignLetterGrades,
+} from "@/lib/academics/grading-schemes";
+
+export const GRADE_CSV_HEADER = [
+  "Roll Number",
+  "Name",
+  "Marks Obtained",
+  "Total Marks",
+  "Grade",
+];
+
+// Header cells are matched loosely: "Roll No", "roll_number", "Marks" ...
+const ROLL_NUMBER_HEADERS = ["rollnumber", "rollno", "roll"];
+const MARKS_HEADERS = ["marksobtained", "marks", "obtainedmarks"];
+
+function normalizeHeader(cell) {
+  return cell.toLowerCase().replace(/[^a-z]/g, "");
+}
+
+function normalizeRollNumber(rollNumber) {
+  return String(rollNumber || "").trim().toUpperCase();
+}
+
+/**
+ * Serialize a course gradebook as CSV
+ * @param {object} gradebook - { totalMarks, students: [{ rollNumber, fullName, marksObtained, grade }] }
+ * @returns {string}
+ */
+export function gradesToCsv(gradebook) {
+  return toCsv([
+    GRADE_CSV_HEADER,
+    ...gradebook.students.map((student) => [
+      student.rollNumber,
+      student.fullName,
+      hasMarks(student.marksObtained) ? student.marksObtained : "",
+      gradebook.totalMarks,
+      student.grade || "",
+    ]),
+  ]);
+}
+
+/**
+ * Read roll numbers and marks from an imported CSV
+ * @param {string} text - File contents
+ * @returns {{ rows: { line: number, rollNumber: string, marks: string }[], error: string|null }}
+ */
+export function parseGradeCsv(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return { rows: [], error: "The file is empty" };
+  }
+
+  const columns = header.cells.map(normalizeHeader);
+  const rollIndex = columns.findIndex((c) => ROLL_NUMBER_HEADERS.includes(c));
+  const marksIndex = columns.findIndex((c) => MARKS_HEADERS.includes(c));
+  if (rollIndex === -1 || marksIndex === -1) {
+    return {
+      rows: [],
+      error:
+        'The first row must name a "Roll Number" and a "Marks Obtained" column',
+    };
+  }
+  if (records.length === 0) {
+    return { rows: [], error: "The file has no grade rows" };
+  }
+
+  return {
+    rows: records.map(({ line, cells }) => ({
+      line,
+      rollNumber: (cells[rollIndex] || "").trim(),
+      marks: (cells[marksIndex] || "").trim(),
+    })),
+    error: null,
+  };
+}
+
+/**
+ * Validate imported rows against a gradebook and diff them with its marks
+ *
+ * Errors: missing or unknown roll numbers, roll numbers listed more than
+ * once, and marks that are not numbers or fall outside 0..totalMarks.
+ *
+ * @param {object[]} rows - From parseGradeCsv
+ * @param {object} gradebook - { scheme, totalMarks, students: [{ id, rollNumber, fullName, marksObtained, grade }] }
+ * @returns {{ changes: object[], errors: object[], unchanged: number, skipped: number, regraded: number }}
+ *   changes: [{ studentId, rollNumber, fullName, before, beforeGrade, after, afterGrade }]
+ *   errors: [{ line, rollNumber, message }]
+ *   regraded: students not in the file whose grade moves anyway (curved schemes)
+ */
+export function previewGradeImport(rows, gradebook) {
+  const { totalMarks, students } = gradebook;
+  const byRollNumber = new Map(
+    students.map((student) => [
+      normalizeRollNumber(student.rollNumber),
+      student,
+    ])
+  );
+
+  const linesByRollNumber = new Map();
+  rows.forEach((row) => {
+    const key = normalizeRollNumber(row.rollNumber);
+    if (key) {
+      linesByRollNumber.set(key, [
+        ...(linesByRollNumber.get(key) || []),
+        row.line,
+      ]);
+    }
+  });
+
+  const changes = [];
+  const errors = [];
+  let unchanged = 0;
+  let skipped = 0;
+
+  rows.forEach((row) => {
+    const key = normalizeRollNumber(row.rollNumber);
+    const fail = (message) =>
+      errors.push({ line: row.line, rollNumber: row.rollNumber, message });
+
+    if (!key) {
+      fail("Missing roll number");
+      return;
+    }
+    const student = byRollNumber.get(key);
+    if (!student) {
+      fail(`${row.rollNumber} is not enrolled in this course`);
+      return;
+    }
+    const lines = linesByRollNumber.get(key);
+    if (lines.length > 1) {
+      fail(
+        `${row.rollNumber} appears more than once (lines ${lines.join(", ")})`
+      );
+      return;
+    }
+
+    const marks = parseMarks(row.marks);
+    if (!hasMarks(marks)) {
+      skipped += 1;
+      return;
+    }
+    const invalid = validateMarks(marks, totalMarks);
+    if (invalid) {
+      fail(`${invalid} (got "${row.marks}")`);
+      return;
+    }
+    if (marks === student.marksObtained) {
+      unchanged += 1;
+      return;
+    }
+
+    changes.push({
+      studentId: student.id,
+      rollNumber: student.rollNumber,
+      fullName: student.fullName,
+      before: hasMarks(student.marksObtained) ? student.marksObtained : null,
+      beforeGrade: student.grade || null,
+      after: marks,
+    });
+  });
+
+  // Grade the class as it would be after the import (curves need everyone)
+  const imported = new Map(changes.map((c) => [c.studentId, c.after]));
+  const afterGrades = assignLetterGrades(
+    students.map((student) => ({
+      id: student.id,
+      marksObtained: imported.has(student.id)
+        ? imported.get(student.id)
+        : student.marksObtained,
+    })),
+    totalMarks,
+    gradebook.scheme || DEFAULT_GRADING_SCHEME
+  );
+  changes.forEach((change) => {
+    change.afterGrade = afterGrades[change.studentId];
+  });
+  const regraded = students.filter(
+    (student) =>
+      !imported.has(student.id) &&
+      (afterGrades[student.id] || null) !== (student.grade || null)
+  ).length;
+
+  return { changes, errors, unchanged, skipped, regraded };
+}
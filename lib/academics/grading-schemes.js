@@ -0,0 +1,243 @@
+/**
+ * Grading Schemes
+ *
+ * Admins define how marks become letter grades and grade points. Every
+ * course uses one scheme (`course.gradingSchemeId`, falling back to the
+ * default scheme):
+ *
+ * - absolute: each band `{ grade, min, points }` is earned by a percentage of
+ *   at least `min`; `passMark` is where the lowest passing band starts
+ * - relative (curved): `min` is a class percentile instead, so grades depend
+ *   on how the rest of the class did; `passMark` optionally fails anyone
+ *   under that percentage whatever their rank
+ * - pass-fail: a percentage of at least `passMark` earns "P", otherwise "F";
+ *   these courses never count towards a GPA
+ */
+
+import { hasMarks } from "@/lib/academics/grading";
+
+export const SCHEME_TYPES = {
+  ABSOLUTE: "absolute",
+  RELATIVE: "relative",
+  PASS_FAIL: "pass-fail",
+};
+
+export const SCHEME_TYPE_LABELS = {
+  [SCHEME_TYPES.ABSOLUTE]: "Absolute",
+  [SCHEME_TYPES.RELATIVE]: "Relative (curved)",
+  [SCHEME_TYPES.PASS_FAIL]: "Pass / Fail",
+};
+
+export const PASS_GRADE = "P";
+export const FAIL_GRADE = "F";
+
+// Used when no scheme is configured; matches the original 4.0 grade points
+export const DEFAULT_GRADING_SCHEME = {
+  id: "default",
+  name: "Standard 4.0",
+  type: SCHEME_TYPES.ABSOLUTE,
+  passMark: 50,
+  isDefault: true,
+  bands: [
+    { grade: "A+", min: 95, points: 4.0 },
+    { grade: "A", min: 90, points: 4.0 },
+    { grade: "A-", min: 86, points: 3.7 },
+    { grade: "B+", min: 82, points: 3.3 },
+    { grade: "B", min: 78, points: 3.0 },
+    { grade: "B-", min: 74, points: 2.7 },
+    { grade: "C+", min: 70, points: 2.3 },
+    { grade: "C", min: 66, points: 2.0 },
+    { grade: "C-", min: 62, points: 1.7 },
+    { grade: "D+", min: 58, points: 1.3 },
+    { grade: "D", min: 50, points: 1.0 },
+    { grade: "F", min: 0, points: 0.0 },
+  ],
+};
+
+/**
+ * Scheme a course uses
+ * @param {object[]} schemes - All grading schemes
+ * @param {string} [schemeId] - course.gradingSchemeId
+ * @returns {object} The scheme, the default one, or DEFAULT_GRADING_SCHEME
+ */
+export function resolveScheme(schemes = [], schemeId) {
+  return (
+    schemes.find((s) => s.id === schemeId) ||
+    schemes.find((s) => s.isDefault) ||
+    DEFAULT_GRADING_SCHEME
+  );
+}
+
+// Highest band first
+function sortedBands(scheme) {
+  return [...(scheme.bands || [])].sort((a, b) => b.min - a.min);
+}
+
+function bandFor(score, scheme) {
+  return sortedBands(scheme).find((band) => score >= band.min) || null;
+}
+
+/**
+ * Whether a letter grade passes the course under its scheme's pass rule:
+ * - pass/fail: only "P"
+ * - relative: any band of the scheme; students under the pass mark get "F"
+ * - absolute: bands starting at or above the pass mark (bands worth points
+ *   for schemes saved before absolute schemes had one)
+ * Grades the scheme does not define, such as "W", never pass.
+ * @param {string} grade
+ * @param {object} scheme
+ * @returns {boolean}
+ */
+export function isPassingGrade(grade, scheme) {
+  if (!grade) return false;
+  if (scheme.type === SCHEME_TYPES.PASS_FAIL) return grade === PASS_GRADE;
+  const band = (scheme.bands || []).find((b) => b.grade === grade);
+  if (!band || grade === FAIL_GRADE) return false;
+  if (scheme.type === SCHEME_TYPES.RELATIVE) return true;
+  const passMark = scheme.passMark ?? null;
+  return passMark === null
+    ? Number(band.points) > 0
+    : Number(band.min) >= Number(passMark);
+}
+
+/**
+ * Grade points a letter grade is worth under a scheme
+ * @param {string} grade
+ * @param {object} scheme
+ * @returns {number|null} null when the grade does not count towards a GPA
+ *   (pass/fail courses, "W", or letters the scheme does not define);
+ *   "F" is worth 0 unless the scheme says otherwise
+ */
+export function getGradePoints(grade, scheme) {
+  if (!grade || scheme.type === SCHEME_TYPES.PASS_FAIL) return null;
+  const band = (scheme.bands || []).find((b) => b.grade === grade);
+  if (band) return Number(band.points);
+  // Relative schemes fail by pass mark rather than a band
+  return grade === FAIL_GRADE ? 0 : null;
+}
+
+// Share of the other graded students scoring strictly less, 0..100
+function percentileRank(value, values) {
+  if (values.length <= 1) return 100;
+  const below = values.filter((other) => other < value).length;
+  return (below / (values.length - 1)) * 100;
+}
+
+/**
+ * Letter grades for a whole class
+ * Relative schemes need every student's marks, so grades are always
+ * assigned for the class together.
+ * @param {{ id: string, marksObtained: number|null }[]} entries
+ * @param {number} totalMarks
+ * @param {object} scheme
+ * @returns {object} { [id]: grade|null } — null for students without marks
+ */
+export function assignLetterGrades(entries, totalMarks, scheme) {
+  const percentages = new Map(
+    entries
+      .filter((e) => hasMarks(e.marksObtained))
+      .map((e) => [e.id, (Number(e.marksObtained) / totalMarks) * 100])
+  );
+  const values = [...percentages.values()];
+  const passMark = scheme.passMark ?? null;
+
+  return Object.fromEntries(
+    entries.map(({ id }) => {
+      if (!percentages.has(id) || !(totalMarks > 0)) return [id, null];
+      const percentage = percentages.get(id);
+
+      if (scheme.type === SCHEME_TYPES.PASS_FAIL) {
+        return [id, percentage >= passMark ? PASS_GRADE : FAIL_GRADE];
+      }
+      if (scheme.type === SCHEME_TYPES.RELATIVE) {
+        if (passMark !== null && percentage < passMark) {
+          return [id, FAIL_GRADE];
+        }
+        const band = bandFor(percentileRank(percentage, values), scheme);
+        return [id, band ? band.grade : FAIL_GRADE];
+      }
+      const band = bandFor(percentage, scheme);
+      return [id, band ? band.grade : FAIL_GRADE];
+    })
+  );
+}
+
+/**
+ * One-line summary of a scheme for lists and headers
+ * @param {object} scheme
+ * @returns {string}
+ */
+export function describeScheme(scheme) {
+  if (scheme.type === SCHEME_TYPES.PASS_FAIL) {
+    return `Pass at ${scheme.passMark}% or more; not counted in GPA`;
+  }
+  const bands = sortedBands(scheme);
+  const top = bands[0];
+  if (scheme.type === SCHEME_TYPES.RELATIVE) {
+    const floor =
+      scheme.passMark === null || scheme.passMark === undefined
+        ? ""
+        : `; below ${scheme.passMark}% fails`;
+    return `Graded on a curve by class rank (top ${100 - top.min}% earn ${top.grade})${floor}`;
+  }
+  const pass =
+    scheme.passMark === null || scheme.passMark === undefined
+      ? ""
+      : `; pass at ${scheme.passMark}%`;
+  return `${bands.length} grades from ${top.grade} (${top.min}%+, ${top.points} pts)${pass}`;
+}
+
+/**
+ * Check a grading scheme is well formed
+ * @param {object} scheme
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateGradingScheme(scheme) {
+  if (!scheme?.name?.trim()) return "Scheme name is required";
+  if (!Object.values(SCHEME_TYPES).includes(scheme.type)) {
+    return "Choose absolute, relative or pass/fail grading";
+  }
+
+  const passMark = scheme.passMark;
+  const hasPassMark = passMark !== null && passMark !== undefined;
+  if (hasPassMark && !(Number(passMark) >= 0 && Number(passMark) <= 100)) {
+    return "Pass mark must be a percentage between 0 and 100";
+  }
+  if (scheme.type === SCHEME_TYPES.PASS_FAIL) {
+    return hasPassMark ? null : "Pass/fail schemes need a pass mark";
+  }
+
+  const bands = scheme.bands || [];
+  if (bands.length < 2) return "Add at least two grades";
+  if (bands.some((b) => !b.grade?.trim())) return "Every band needs a grade";
+  const grades = bands.map((b) => b.grade.trim());
+  if (new Set(grades).size !== grades.length) {
+    return "Each grade can only appear once";
+  }
+  if (bands.some((b) => !(Number(b.min) >= 0 && Number(b.min) <= 100))) {
+    return "Boundaries must be between 0 and 100";
+  }
+  if (bands.some((b) => !(Number(b.points) >= 0) || b.points === "")) {
+    return "Grade points must be zero or more";
+  }
+  const mins = bands.map((b) => Number(b.min));
+  if (new Set(mins).size !== mins.length) {
+    return "Two grades cannot share the same boundary";
+  }
+  if (!mins.includes(0)) {
+    return "The lowest grade must start at 0 so every score gets a grade";
+  }
+  if (scheme.type === SCHEME_TYPES.ABSOLUTE) {
+    if (!hasPassMark) return "Absolute schemes need a pass mark";
+    if (!mins.includes(Number(passMark))) {
+      return "The pass mark must be where a grade starts";
+    }
+  }
+  const ordered = sortedBands(scheme);
+  for (let i = 1; i < ordered.length; i += 1) {
+    if (Number(ordered[i].points) > Number(ordered[i - 1].points)) {
+      return `${ordered[i].grade} cannot be worth more points than ${ordered[i - 1].grade}`;
+    }
+  }
+  return null;
+}
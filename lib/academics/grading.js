@@ -0,0 +1,55 @@
+/**
+ * Course Grades
+ *
+ * Each course has one gradebook: a total-marks figure and the marks every
+ * enrolled student obtained out of it. Letter grades are derived from the
+ * marks by the course's grading scheme (lib/academics/grading-schemes.js).
+ */
+
+/**
+ * Whether a student has marks recorded
+ * @param {number|null|undefined} marksObtained
+ * @returns {boolean}
+ */
+export function hasMarks(marksObtained) {
+  return marksObtained !== null && marksObtained !== undefined;
+}
+
+/**
+ * Parse a marks value typed into the grid or read from a CSV cell
+ * @param {string|number|null} value
+ * @returns {number|null} Marks, null for blank, NaN when not a number
+ */
+export function parseMarks(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (text === "") return null;
+  return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Check marks against a course's total
+ * @param {number|null} marksObtained - Parsed marks (null clears the grade)
+ * @param {number} totalMarks
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateMarks(marksObtained, totalMarks) {
+  if (!hasMarks(marksObtained)) return null;
+  if (Number.isNaN(marksObtained)) return "Marks must be a number";
+  if (marksObtained < 0) return "Marks cannot be negative";
+  if (marksObtained > totalMarks) {
+    return `Marks cannot exceed the total of ${totalMarks}`;
+  }
+  return null;
+}
+
+/**
+ * Check a gradebook's total marks
+ * @param {number} totalMarks
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateTotalMarks(totalMarks) {
+  if (!(Number(totalMarks) > 0)) return "Total marks must be more than zero";
+  if (Number(totalMarks) > 1000) return "Total marks must be at most 1000";
+  return null;
+}
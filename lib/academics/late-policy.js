@@ -0,0 +1,174 @@
+/**
+ * Late Submission Policy
+ *
+ * Each assignment carries `latePolicy: { graceHours, percentPerDay, cutoffDays }`:
+ * - graceHours: work submitted this long after the due date is not late
+ * - percentPerDay: share of the awarded marks deducted per started day late
+ *   (counted from the end of the grace period)
+ * - cutoffDays: days after the due date when submissions close; null means
+ *   late work is accepted indefinitely
+ *
+ * Marks are stored as awarded; the penalty is applied whenever they are shown,
+ * based on when the graded (latest) version was submitted.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Assignments without a policy close at the due date
+export const DEFAULT_LATE_POLICY = {
+  graceHours: 0,
+  percentPerDay: 0,
+  cutoffDays: 0,
+};
+
+/**
+ * Policy of an assignment, with defaults filled in
+ * @param {object} assignment
+ * @returns {{ graceHours: number, percentPerDay: number, cutoffDays: number|null }}
+ */
+export function getLatePolicy(assignment) {
+  return { ...DEFAULT_LATE_POLICY, ...assignment?.latePolicy };
+}
+
+/**
+ * When submissions close for an assignment
+ * @param {object} assignment - Assignment with dueDate and latePolicy
+ * @returns {number|null} Timestamp in ms, or null if there is no cutoff
+ */
+export function getCutoffTime(assignment) {
+  const { cutoffDays } = getLatePolicy(assignment);
+  if (cutoffDays === null || cutoffDays === undefined) return null;
+  return Date.parse(assignment.dueDate) + cutoffDays * DAY_MS;
+}
+
+/**
+ * Whether submissions have closed
+ * @param {object} assignment
+ * @param {number} now - Timestamp in ms (default: current time)
+ * @returns {boolean}
+ */
+export function isPastCutoff(assignment, now = Date.now()) {
+  const cutoff = getCutoffTime(assignment);
+  return cutoff !== null && now > cutoff;
+}
+
+/**
+ * How late a submission made at `submittedAt` is
+ * @param {object} assignment
+ * @param {string|number} submittedAt - ISO date-time or timestamp
+ * @returns {{ late: boolean, daysLate: number, penaltyPercent: number }}
+ *   daysLate counts started days after the grace period
+ */
+export function getLateness(assignment, submittedAt) {
+  const { graceHours, percentPerDay } = getLatePolicy(assignment);
+  const submitted =
+    typeof submittedAt === "number" ? submittedAt : Date.parse(submittedAt);
+  const overMs = submitted - Date.parse(assignment.dueDate);
+  if (overMs <= 0) return { late: false, daysLate: 0, penaltyPercent: 0 };
+
+  const penalisedMs = overMs - graceHours * HOUR_MS;
+  const daysLate = penalisedMs > 0 ? Math.ceil(penalisedMs / DAY_MS) : 0;
+  return {
+    late: true,
+    daysLate,
+    penaltyPercent: Math.min(daysLate * percentPerDay, 100),
+  };
+}
+
+/**
+ * Latest version of a submission, which is the one that gets graded
+ * @param {object|null} submission - Submission with `versions`
+ * @returns {object|null}
+ */
+export function getLatestVersion(submission) {
+  const versions = submission?.versions || [];
+  return versions.length > 0 ? versions[versions.length - 1] : null;
+}
+
+/**
+ * Marks of a graded submission after the late penalty
+ * @param {object} assignment
+ * @param {object} submission - Submission with marksObtained and versions
+ * @returns {{ awarded: number, deducted: number, final: number, daysLate: number, penaltyPercent: number }|null}
+ *   null until the submission is graded
+ */
+export function getAdjustedMarks(assignment, submission) {
+  const latest = getLatestVersion(submission);
+  const awarded = submission?.marksObtained;
+  if (!latest || awarded === null || awarded === undefined) return null;
+
+  const { daysLate, penaltyPercent } = getLateness(
+    assignment,
+    latest.submittedAt
+  );
+  const deducted = Math.round(awarded * penaltyPercent) / 100;
+  return {
+    awarded,
+    deducted,
+    final: Math.round((awarded - deducted) * 100) / 100,
+    daysLate,
+    penaltyPercent,
+  };
+}
+
+/**
+ * Status of an assignment for the signed-in student
+ * @param {object} assignment
+ * @param {object|null} submission - The student's submission, if any
+ * @param {number} now
+ * @returns {"graded"|"submitted"|"pending"|"late"|"overdue"}
+ *   late: past due but still accepting work; overdue: closed, nothing submitted
+ */
+export function getAssignmentStatus(assignment, submission, now = Date.now()) {
+  const graded =
+    submission?.marksObtained !== null &&
+    submission?.marksObtained !== undefined;
+  if (graded) return "graded";
+  if (getLatestVersion(submission)) return "submitted";
+  if (isPastCutoff(assignment, now)) return "overdue";
+  if (now > Date.parse(assignment.dueDate)) return "late";
+  return "pending";
+}
+
+/**
+ * One-line summary of a policy for students
+ * @param {object} assignment
+ * @returns {string}
+ */
+export function describeLatePolicy(assignment) {
+  const { graceHours, percentPerDay, cutoffDays } = getLatePolicy(assignment);
+  if (cutoffDays === 0) return "Late submissions are not accepted";
+
+  const parts = [];
+  if (graceHours > 0) parts.push(`${graceHours}h grace period`);
+  parts.push(
+    percentPerDay > 0 ? `${percentPerDay}% deducted per day late` : "no penalty"
+  );
+  parts.push(
+    cutoffDays === null
+      ? "no cutoff"
+      : `closes ${cutoffDays} day${cutoffDays === 1 ? "" : "s"} after the due date`
+  );
+  return `Late work: ${parts.join(", ")}`;
+}
+
+/**
+ * Check a policy's values are in range
+ * @param {object} latePolicy
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateLatePolicy(latePolicy = {}) {
+  const { graceHours = 0, percentPerDay = 0, cutoffDays = 0 } = latePolicy;
+  if (!(graceHours >= 0)) return "Grace period cannot be negative";
+  if (!(percentPerDay >= 0 && percentPerDay <= 100)) {
+    return "Penalty per day must be between 0 and 100 percent";
+  }
+  if (cutoffDays !== null && !(cutoffDays >= 0)) {
+    return "Cutoff cannot be negative";
+  }
+  if (cutoffDays !== null && graceHours > cutoffDays * 24) {
+    return "Grace period cannot extend past the cutoff";
+  }
+  return null;
+}
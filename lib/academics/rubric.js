@@ -0,0 +1,98 @@
+/**
+ * Grading Rubrics
+ *
+ * An assignment may carry a rubric:
+ * `{ criteria: [{ id, title, levels: [{ id, label, points }] }] }`.
+ * Grading picks one level per criterion; the selections are stored as
+ * `rubricScores: { [criterionId]: levelId }` and the marks are their sum.
+ * The rubric's maximum (best level of every criterion) is the assignment's
+ * total marks.
+ */
+
+/**
+ * Highest points available for a criterion
+ * @param {object} criterion
+ * @returns {number}
+ */
+export function getCriterionMaxPoints(criterion) {
+  return Math.max(0, ...(criterion.levels || []).map((l) => Number(l.points)));
+}
+
+/**
+ * Highest total a rubric can award
+ * @param {object|null} rubric
+ * @returns {number}
+ */
+export function getRubricMaxPoints(rubric) {
+  return (rubric?.criteria || []).reduce(
+    (sum, criterion) => sum + getCriterionMaxPoints(criterion),
+    0
+  );
+}
+
+/**
+ * Level picked for a criterion
+ * @param {object} criterion
+ * @param {object} selections - { [criterionId]: levelId }
+ * @returns {object|null}
+ */
+export function getSelectedLevel(criterion, selections = {}) {
+  return (
+    (criterion.levels || []).find((l) => l.id === selections[criterion.id]) ||
+    null
+  );
+}
+
+/**
+ * Total of the selected levels
+ * @param {object} rubric
+ * @param {object} selections - { [criterionId]: levelId }
+ * @returns {number}
+ */
+export function scoreRubric(rubric, selections = {}) {
+  return (rubric?.criteria || []).reduce(
+    (sum, criterion) =>
+      sum + Number(getSelectedLevel(criterion, selections)?.points || 0),
+    0
+  );
+}
+
+/**
+ * Whether every criterion has a level selected
+ * @param {object} rubric
+ * @param {object} selections
+ * @returns {boolean}
+ */
+export function isRubricComplete(rubric, selections = {}) {
+  return (rubric?.criteria || []).every((criterion) =>
+    Boolean(getSelectedLevel(criterion, selections))
+  );
+}
+
+/**
+ * Check a rubric is well formed
+ * @param {object} rubric
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRubric(rubric) {
+  const criteria = rubric?.criteria || [];
+  if (criteria.length === 0) return "Add at least one criterion";
+
+  for (const criterion of criteria) {
+    if (!criterion.title?.trim()) return "Every criterion needs a title";
+    const levels = criterion.levels || [];
+    if (levels.length < 2) {
+      return `"${criterion.title}" needs at least two performance levels`;
+    }
+    if (levels.some((l) => !l.label?.trim())) {
+      return `Every level of "${criterion.title}" needs a label`;
+    }
+    if (levels.some((l) => !(Number(l.points) >= 0) || l.points === "")) {
+      return `Points for "${criterion.title}" must be zero or more`;
+    }
+  }
+  if (getRubricMaxPoints(rubric) <= 0) {
+    return "The rubric must be worth more than zero points";
+  }
+  return null;
+}
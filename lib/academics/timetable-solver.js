@@ -0,0 +1,350 @@
+/**
+ * Timetable Solver
+ *
+ * Generates a clash-free weekly timetable for a semester's courses:
+ * - every section meets for the course's credit hours each week, in two
+ *   equal meetings on different days (one meeting for an hour or less)
+ * - lab courses (`isLab`) meet in lab rooms and other courses in lecture
+ *   rooms, and the room must seat the whole section
+ * - teachers teach only inside their availability windows (a teacher
+ *   without any is available all week) and never for more than
+ *   `maxConsecutiveHours` without a break
+ * - no room, teacher or section is booked twice at the same time
+ *
+ * Locked entries are kept where they are and everything else is placed
+ * around them, so admins can keep the parts they like and re-solve. The
+ * search backtracks over the most promising placements of each meeting
+ * within a step budget; `seed` varies the order equally good placements are
+ * tried in, so each re-solve can give a different timetable. Meetings that
+ * cannot be placed are reported with the reason.
+ *
+ * Runs in a web worker (timetable-solver.worker.js) so a slow search never
+ * blocks the page.
+ */
+
+import {
+  SLOT_STEP,
+  TEACHING_DAYS,
+  minutesToTime,
+  timeToMinutes,
+} from "@/lib/academics/timetable";
+
+export const ROOM_TYPES = {
+  LECTURE: "lecture",
+  LAB: "lab",
+};
+
+export const DEFAULT_SOLVER_OPTIONS = {
+  maxConsecutiveHours: 3,
+  dayStart: "08:00",
+  dayEnd: "18:00",
+  // Placements tried before the search gives up and fills in greedily
+  maxSteps: 5000,
+};
+
+// Placements of one meeting tried before backtracking further up
+const CANDIDATES_PER_MEETING = 6;
+
+// Deterministic PRNG (mulberry32), so a seed always gives the same timetable
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Lengths of a course section's weekly meetings, in minutes
+ * @param {object} course - Course with `creditHours`
+ * @returns {number[]} e.g. [90, 90] for a 3 credit hour course
+ */
+export function getWeeklyMeetings(course) {
+  const minutes = Math.round((Number(course.creditHours) || 0) * 60);
+  if (minutes <= 0) return [];
+  if (minutes <= 60) return [minutes];
+  const half = Math.ceil(minutes / 2 / SLOT_STEP) * SLOT_STEP;
+  return [half, half];
+}
+
+/**
+ * Every meeting the solver has to place for a semester's courses
+ * Keys ("courseId:section:n") stay the same between solves, so locked
+ * entries can be matched back to their meeting.
+ * @param {Array} courses - Courses with creditHours, sections and teacher
+ * @returns {Array<{ key, course, section, capacity, duration, teacherId, isLab }>}
+ */
+export function buildMeetings(courses = []) {
+  return courses.flatMap((course) =>
+    (course.sections || []).flatMap((section) =>
+      getWeeklyMeetings(course).map((duration, index) => ({
+        key: `${course.id}:${section.name}:${index + 1}`,
+        course,
+        section: section.name,
+        capacity: section.capacity,
+        duration,
+        teacherId: course.teacher?.id || null,
+        isLab: Boolean(course.isLab),
+      }))
+    )
+  );
+}
+
+function roomsFor(meeting, rooms) {
+  const type = meeting.isLab ? ROOM_TYPES.LAB : ROOM_TYPES.LECTURE;
+  return rooms
+    .filter((room) => room.type === type && room.capacity >= meeting.capacity)
+    .sort((a, b) => a.capacity - b.capacity);
+}
+
+function windowsFor(teacherId, availability) {
+  return availability.filter((window) => window.teacherId === teacherId);
+}
+
+function describeUnplaced(meeting, rooms, availability, maxRun) {
+  if (meeting.duration > maxRun) {
+    return (
+      `The ${meeting.duration} minute meeting is longer than ` +
+      `${maxRun / 60} consecutive hours`
+    );
+  }
+  if (roomsFor(meeting, rooms).length === 0) {
+    const type = meeting.isLab ? "lab" : "lecture";
+    return `No ${type} room seats ${meeting.capacity} students`;
+  }
+  const windows = windowsFor(meeting.teacherId, availability);
+  const fits = windows.some(
+    (window) =>
+      timeToMinutes(window.endTime) - timeToMinutes(window.startTime) >=
+      meeting.duration
+  );
+  if (windows.length > 0 && !fits) {
+    const name = meeting.course.teacher?.user?.fullName || "The teacher";
+    return (
+      `${name} is never available for ${meeting.duration} minutes ` +
+      "at a stretch"
+    );
+  }
+  return "No clash-free slot is left in the week";
+}
+
+// Longest run of back-to-back teaching in a teacher's day, in minutes
+function longestRun(blocks) {
+  const sorted = [...blocks].sort((a, b) => a.start - b.start);
+  let longest = 0;
+  let runStart = null;
+  let runEnd = null;
+  sorted.forEach((block) => {
+    if (runEnd === null || block.start > runEnd) {
+      runStart = block.start;
+      runEnd = block.end;
+    } else {
+      runEnd = Math.max(runEnd, block.end);
+    }
+    longest = Math.max(longest, runEnd - runStart);
+  });
+  return longest;
+}
+
+/**
+ * Generate a weekly timetable for a semester
+ * @param {object} params
+ * @param {string} params.semester - e.g. "Spring 2025"
+ * @param {Array} params.courses - The semester's courses
+ * @param {Array} params.rooms - [{ name, capacity, type }]
+ * @param {Array} [params.availability] - Teacher availability windows:
+ *   [{ teacherId, dayOfWeek, startTime, endTime }]
+ * @param {Array} [params.locked] - Entries to keep, from an earlier solve
+ * @param {object} [params.options] - Overrides of DEFAULT_SOLVER_OPTIONS
+ * @param {number} [params.seed] - Varies the timetable between solves
+ * @returns {{ entries: Array, unplaced: Array<{ key, course, section, duration, reason }>, complete: boolean }}
+ *   entries have the timetable entry shape plus `sessionKey`; locked
+ *   entries are returned unchanged
+ */
+export function solveTimetable({
+  semester,
+  courses = [],
+  rooms = [],
+  availability = [],
+  locked = [],
+  options = {},
+  seed = 1,
+}) {
+  const settings = { ...DEFAULT_SOLVER_OPTIONS, ...options };
+  const dayStart = timeToMinutes(settings.dayStart);
+  const dayEnd = timeToMinutes(settings.dayEnd);
+  const maxRun = settings.maxConsecutiveHours * 60;
+  const random = createRandom(seed);
+
+  const teacherOf = (courseId) =>
+    courses.find((course) => course.id === courseId)?.teacher?.id || null;
+  const fixed = locked.map((entry) => ({
+    key: entry.sessionKey,
+    courseId: entry.courseId,
+    section: entry.section,
+    teacherId: teacherOf(entry.courseId),
+    dayOfWeek: entry.dayOfWeek,
+    start: timeToMinutes(entry.startTime),
+    end: timeToMinutes(entry.endTime),
+    room: entry.room,
+  }));
+  const lockedKeys = new Set(fixed.map((placement) => placement.key));
+
+  const hasWindows = (meeting) =>
+    windowsFor(meeting.teacherId, availability).length > 0;
+
+  // Most constrained meetings first: labs, teachers with limited hours,
+  // then the biggest sections and longest meetings
+  const meetings = buildMeetings(courses)
+    .filter((meeting) => !lockedKeys.has(meeting.key))
+    .sort(
+      (a, b) =>
+        Number(b.isLab) - Number(a.isLab) ||
+        Number(hasWindows(b)) - Number(hasWindows(a)) ||
+        b.capacity - a.capacity ||
+        b.duration - a.duration ||
+        a.key.localeCompare(b.key)
+    );
+
+  const isAvailable = (meeting, dayOfWeek, start, end) => {
+    const windows = windowsFor(meeting.teacherId, availability);
+    return (
+      windows.length === 0 ||
+      windows.some(
+        (window) =>
+          window.dayOfWeek === dayOfWeek &&
+          timeToMinutes(window.startTime) <= start &&
+          end <= timeToMinutes(window.endTime)
+      )
+    );
+  };
+
+  const fits = (placed, meeting, candidate) => {
+    const sameDay = placed.filter((p) => p.dayOfWeek === candidate.dayOfWeek);
+    for (const p of sameDay) {
+      const sameSection =
+        p.courseId === meeting.course.id && p.section === meeting.section;
+      // A section's meetings fall on different days
+      if (sameSection) return false;
+      const overlaps = candidate.start < p.end && p.start < candidate.end;
+      if (!overlaps) continue;
+      if (p.room === candidate.room) return false;
+      if (meeting.teacherId && p.teacherId === meeting.teacherId) return false;
+    }
+    if (!meeting.teacherId) return true;
+    const teaching = sameDay.filter((p) => p.teacherId === meeting.teacherId);
+    return longestRun([...teaching, candidate]) <= maxRun;
+  };
+
+  // Placements of a meeting that fit, lightest teaching day and
+  // best-fitting room first
+  const candidatesFor = (placed, meeting) => {
+    const found = [];
+    const suitableRooms = roomsFor(meeting, rooms);
+    TEACHING_DAYS.forEach((dayOfWeek) => {
+      for (let s = dayStart; s + meeting.duration <= dayEnd; s += SLOT_STEP) {
+        const end = s + meeting.duration;
+        if (!isAvailable(meeting, dayOfWeek, s, end)) continue;
+        suitableRooms.forEach((room) => {
+          const candidate = {
+            key: meeting.key,
+            courseId: meeting.course.id,
+            section: meeting.section,
+            teacherId: meeting.teacherId,
+            dayOfWeek,
+            start: s,
+            end,
+            room: room.name,
+            spare: room.capacity - meeting.capacity,
+          };
+          if (fits(placed, meeting, candidate)) found.push(candidate);
+        });
+      }
+    });
+
+    const load = (dayOfWeek) =>
+      placed
+        .filter(
+          (p) => p.dayOfWeek === dayOfWeek && p.teacherId === meeting.teacherId
+        )
+        .reduce((sum, p) => sum + p.end - p.start, 0);
+    return shuffle(found, random).sort(
+      (a, b) => load(a.dayOfWeek) - load(b.dayOfWeek) || a.spare - b.spare
+    );
+  };
+
+  let steps = 0;
+  const placed = [...fixed];
+  const search = (index) => {
+    if (index === meetings.length) return true;
+    const candidates = candidatesFor(placed, meetings[index]).slice(
+      0,
+      CANDIDATES_PER_MEETING
+    );
+    for (const candidate of candidates) {
+      if (steps >= settings.maxSteps) return false;
+      steps += 1;
+      placed.push(candidate);
+      if (search(index + 1)) return true;
+      placed.pop();
+    }
+    return false;
+  };
+
+  const unplaced = [];
+  if (!search(0)) {
+    // Out of budget or over-constrained: place what fits, report the rest
+    placed.splice(fixed.length);
+    meetings.forEach((meeting) => {
+      const [best] = candidatesFor(placed, meeting);
+      if (best) {
+        placed.push(best);
+        return;
+      }
+      unplaced.push({
+        key: meeting.key,
+        course: meeting.course,
+        section: meeting.section,
+        duration: meeting.duration,
+        reason: describeUnplaced(meeting, rooms, availability, maxRun),
+      });
+    });
+  }
+
+  const byKey = new Map(
+    buildMeetings(courses).map((meeting) => [meeting.key, meeting])
+  );
+  const entries = placed.slice(fixed.length).map((p) => {
+    const { course } = byKey.get(p.key);
+    return {
+      id: p.key,
+      sessionKey: p.key,
+      courseId: course.id,
+      course: { id: course.id, code: course.code, name: course.name },
+      section: p.section,
+      dayOfWeek: p.dayOfWeek,
+      startTime: minutesToTime(p.start),
+      endTime: minutesToTime(p.end),
+      room: p.room,
+      semester,
+    };
+  });
+
+  return {
+    entries: [...locked, ...entries],
+    unplaced,
+    complete: unplaced.length === 0,
+  };
+}
@@ -0,0 +1,16 @@
+/**
+ * Timetable Solver Worker
+ *
+ * Runs solveTimetable() off the main thread. Posted the solver's params,
+ * answers with its result, or `{ error }` if solving threw.
+ */
+
+import { solveTimetable } from "@/lib/academics/timetable-solver";
+
+self.onmessage = (event) => {
+  try {
+    self.postMessage(solveTimetable(event.data));
+  } catch (err) {
+    self.postMessage({ error: err.message || "Failed to solve timetable" });
+  }
+};
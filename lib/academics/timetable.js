@@ -0,0 +1,266 @@
+/**
+ * Timetable Rules
+ *
+ * Checks run on a timetable entry before it is created or edited:
+ * - the entry itself is well formed (day, HH:MM times, end after start)
+ * - nothing else in the semester overlaps it in the same room, with the
+ *   same instructor or for the same course section
+ *
+ * Clashing entries come with free slots and rooms to move them to. The
+ * admin timetable editor runs the checks live; the backend runs them again
+ * and rejects clashing entries with the same report.
+ */
+
+import { slotsOverlap } from "@/lib/academics/enrollment";
+
+export const DAYS_OF_WEEK = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+export const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+
+export const CLASH_TYPES = {
+  ROOM: "ROOM",
+  INSTRUCTOR: "INSTRUCTOR",
+  SECTION: "SECTION",
+};
+
+export const CLASH_TYPE_LABELS = {
+  [CLASH_TYPES.ROOM]: "Room",
+  [CLASH_TYPES.INSTRUCTOR]: "Instructor",
+  [CLASH_TYPES.SECTION]: "Section",
+};
+
+// Weekdays classes are scheduled on by default
+export const TEACHING_DAYS = DAYS_OF_WEEK.slice(0, 5);
+
+// Teaching hours searched for free slots, on a half-hour grid
+const DAY_START = 8 * 60;
+const DAY_END = 18 * 60;
+export const SLOT_STEP = 30;
+
+/**
+ * Minutes since midnight
+ * @param {string} time - "HH:MM"
+ * @returns {number}
+ */
+export function timeToMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * "HH:MM" for minutes since midnight
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function minutesToTime(minutes) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// "a-101 " and "A-101" are the same room
+function normalizeRoom(room) {
+  return String(room || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+}
+
+// Entries without a section are attended by every section of the course
+function sectionsOverlap(a, b) {
+  return !a.section || !b.section || a.section === b.section;
+}
+
+function describeEntry(entry) {
+  const code = entry.course?.code || "A class";
+  const section = entry.section ? ` section ${entry.section}` : "";
+  const time = `${entry.dayOfWeek} ${entry.startTime}-${entry.endTime}`;
+  return `${code}${section} (${time})`;
+}
+
+/**
+ * Validate a timetable entry's own fields
+ * @param {object} entry - { dayOfWeek, startTime, endTime, room, semester }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateTimetableEntry(entry) {
+  if (!DAYS_OF_WEEK.includes(entry.dayOfWeek)) {
+    return "Day of week is required";
+  }
+  if (!TIME_PATTERN.test(entry.startTime || "")) {
+    return "Start time must be in HH:MM format";
+  }
+  if (!TIME_PATTERN.test(entry.endTime || "")) {
+    return "End time must be in HH:MM format";
+  }
+  if (timeToMinutes(entry.endTime) <= timeToMinutes(entry.startTime)) {
+    return "End time must be after start time";
+  }
+  if (String(entry.room || "").trim().length < 2) {
+    return "Room must be at least 2 characters";
+  }
+  if (!entry.semester) return "Semester is required";
+  return null;
+}
+
+/**
+ * Entries of the semester that clash with `entry`
+ * An entry never clashes with itself (same id), so edits can be checked
+ * against the unedited timetable.
+ * @param {object} entry - { id?, courseId, section?, dayOfWeek, startTime,
+ *   endTime, room, semester }
+ * @param {Array} timetable - Timetable entries
+ * @param {Array} courses - Courses with `teacher: { id, user: { fullName } }`
+ * @returns {Array<{ type: string, entry: object, message: string }>}
+ *   One clash per type and clashing entry
+ */
+export function findTimetableClashes(entry, timetable = [], courses = []) {
+  const teacherOf = (courseId) =>
+    courses.find((course) => course.id === courseId)?.teacher;
+  const teacher = teacherOf(entry.courseId);
+  const room = normalizeRoom(entry.room);
+  const clashes = [];
+
+  timetable.forEach((other) => {
+    if (other.id && other.id === entry.id) return;
+    if (other.semester !== entry.semester) return;
+    if (!slotsOverlap(entry, other)) return;
+
+    const sameSection =
+      other.courseId === entry.courseId && sectionsOverlap(entry, other);
+    if (room && normalizeRoom(other.room) === room) {
+      clashes.push({
+        type: CLASH_TYPES.ROOM,
+        entry: other,
+        message: `Room ${other.room} is booked for ${describeEntry(other)}`,
+      });
+    }
+    if (sameSection) {
+      clashes.push({
+        type: CLASH_TYPES.SECTION,
+        entry: other,
+        message: `The same students attend ${describeEntry(other)}`,
+      });
+    } else if (teacher?.id && teacherOf(other.courseId)?.id === teacher.id) {
+      // A section clash already covers the course's own instructor
+      const name = teacher.user?.fullName || "The instructor";
+      clashes.push({
+        type: CLASH_TYPES.INSTRUCTOR,
+        entry: other,
+        message: `${name} teaches ${describeEntry(other)}`,
+      });
+    }
+  });
+
+  return clashes;
+}
+
+/**
+ * Clash-free slots of the same length as `entry`, in the same room
+ * Slots on the entry's own day come first, each day's slots nearest the
+ * requested start time first.
+ * @param {object} entry - As for findTimetableClashes
+ * @param {Array} timetable
+ * @param {Array} courses
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum slots returned (default 5)
+ * @returns {Array<{ dayOfWeek: string, startTime: string, endTime: string }>}
+ */
+export function suggestFreeSlots(
+  entry,
+  timetable = [],
+  courses = [],
+  options = {}
+) {
+  const { limit = 5 } = options;
+  if (validateTimetableEntry(entry)) return [];
+
+  const start = timeToMinutes(entry.startTime);
+  const duration = timeToMinutes(entry.endTime) - start;
+  const days = [
+    entry.dayOfWeek,
+    ...TEACHING_DAYS.filter((day) => day !== entry.dayOfWeek),
+  ];
+  const starts = [];
+  for (let m = DAY_START; m + duration <= DAY_END; m += SLOT_STEP) {
+    starts.push(m);
+  }
+  starts.sort((a, b) => Math.abs(a - start) - Math.abs(b - start) || a - b);
+
+  const slots = [];
+  for (const dayOfWeek of days) {
+    for (const m of starts) {
+      if (slots.length >= limit) return slots;
+      const slot = {
+        dayOfWeek,
+        startTime: minutesToTime(m),
+        endTime: minutesToTime(m + duration),
+      };
+      const clashes = findTimetableClashes(
+        { ...entry, ...slot },
+        timetable,
+        courses
+      );
+      if (clashes.length === 0) slots.push(slot);
+    }
+  }
+  return slots;
+}
+
+/**
+ * Rooms used anywhere in the timetable that are free at the entry's time
+ * @param {object} entry - As for findTimetableClashes
+ * @param {Array} timetable
+ * @returns {string[]} Room names, sorted
+ */
+export function findFreeRooms(entry, timetable = []) {
+  const rooms = new Map();
+  timetable.forEach((other) => {
+    const key = normalizeRoom(other.room);
+    if (key && !rooms.has(key)) rooms.set(key, other.room);
+  });
+
+  const busy = new Set(
+    timetable
+      .filter(
+        (other) =>
+          other.id !== entry.id &&
+          other.semester === entry.semester &&
+          slotsOverlap(entry, other)
+      )
+      .map((other) => normalizeRoom(other.room))
+  );
+  busy.add(normalizeRoom(entry.room));
+
+  return [...rooms.entries()]
+    .filter(([key]) => !busy.has(key))
+    .map(([, room]) => room)
+    .sort();
+}
+
+/**
+ * Everything the editor needs to report on an entry: its clashes and,
+ * when there are any, where else it could go
+ * @param {object} entry - As for findTimetableClashes
+ * @param {Array} timetable
+ * @param {Array} courses
+ * @returns {{ clashes: Array, suggestions: Array, rooms: string[] }}
+ */
+export function checkTimetableEntry(entry, timetable = [], courses = []) {
+  const clashes = findTimetableClashes(entry, timetable, courses);
+  if (clashes.length === 0) return { clashes, suggestions: [], rooms: [] };
+  return {
+    clashes,
+    suggestions: suggestFreeSlots(entry, timetable, courses),
+    // Another room only helps when the room is the sole problem
+    rooms: clashes.every((clash) => clash.type === CLASH_TYPES.ROOM)
+      ? findFreeRooms(entry, timetable)
+      : [],
+  };
+}
@@ -0,0 +1,304 @@
+/**
+ * Transcript and DMC PDF layout
+ *
+ * Lays out an issued document (see lib/academics/transcripts.js) on A4 pages:
+ * university header, student details, one table per semester with its GPA,
+ * the CGPA, and the verification code on every page.
+ */
+
+import { createPdf, PAGE_SIZE, textWidth } from "@/lib/utils/pdf";
+import { compareSemesters } from "@/lib/academics/gpa";
+import { formatDate } from "@/lib/utils";
+import {
+  DOCUMENT_TYPES,
+  DOCUMENT_TYPE_LABELS,
+  getCreditsEarned,
+} from "@/lib/academics/transcripts";
+
+export const ISSUER = {
+  name: "My Class Portal University",
+  office: "Office of the Registrar",
+};
+
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_SIZE.width - MARGIN * 2;
+const FOOTER_TOP = PAGE_SIZE.height - 64;
+const ROW_HEIGHT = 16;
+const COLORS = {
+  brand: "#4338ca",
+  text: "#111827",
+  muted: "#6b7280",
+  rule: "#d1d5db",
+  band: "#eef2ff",
+};
+
+// Course table columns; x is the right edge of right-aligned columns
+const COLUMNS = [
+  { key: "code", label: "Code", x: MARGIN + 6 },
+  { key: "name", label: "Course Title", x: MARGIN + 70, width: 240 },
+  { key: "creditHours", label: "Cr. Hrs", x: MARGIN + 350, align: "right" },
+  { key: "marks", label: "Marks", x: MARGIN + 410, align: "right" },
+  { key: "grade", label: "Grade", x: MARGIN + 440 },
+  {
+    key: "points",
+    label: "Points",
+    x: MARGIN + CONTENT_WIDTH - 6,
+    align: "right",
+  },
+];
+
+// Shorten text with "..." until it fits the width
+function fitText(text, width, size, bold = false) {
+  let value = String(text);
+  if (textWidth(value, size, bold) <= width) return value;
+  while (value.length > 1 && textWidth(`${value}...`, size, bold) > width) {
+    value = value.slice(0, -1);
+  }
+  return `${value.trimEnd()}...`;
+}
+
+function formatGpa(value) {
+  return value === null || value === undefined ? "-" : value.toFixed(2);
+}
+
+function courseCells(course) {
+  const flags = [course.repeated && "R", course.nonCredit && "NC"]
+    .filter(Boolean)
+    .join(",");
+  return {
+    code: course.code,
+    name: course.name,
+    creditHours: String(course.creditHours),
+    marks: course.totalMarks
+      ? `${course.marksObtained}/${course.totalMarks}`
+      : "-",
+    grade: flags ? `${course.grade} (${flags})` : course.grade,
+    points:
+      course.gradePoints === null || course.gradePoints === undefined
+        ? "-"
+        : course.gradePoints.toFixed(2),
+  };
+}
+
+/**
+ * File name for a downloaded document
+ * @param {object} document - Issued document: { type, code, semesterName }
+ * @param {object} student - { rollNumber }
+ * @returns {string}
+ */
+export function getDocumentFileName(document, student) {
+  const label =
+    document.type === DOCUMENT_TYPES.DMC
+      ? `DMC-${document.semesterName}`
+      : "Transcript";
+  return `${student?.rollNumber || "student"}-${label}`
+    .replace(/[^A-Za-z0-9-]+/g, "-")
+    .concat(".pdf");
+}
+
+/**
+ * Build the PDF for an issued transcript or DMC
+ * @param {object} params
+ * @param {object} params.document - Issued document: { type, code,
+ *   semesterId, issuedAt }
+ * @param {object} params.student - Signed-in user: { fullName, rollNumber,
+ *   program }
+ * @param {object} params.results - Summarized results: { cgpa, semesters }
+ * @param {string} [params.verifyUrl] - Where the registrar checks codes
+ * @returns {object} PDF document (see lib/utils/pdf.js)
+ */
+export function buildTranscriptPdf({ document, student, results, verifyUrl }) {
+  const isDmc = document.type === DOCUMENT_TYPES.DMC;
+  const semesters = (
+    isDmc
+      ? results.semesters.filter(
+          (s) => String(s.id) === String(document.semesterId)
+        )
+      : results.semesters
+  )
+    .slice()
+    .sort((a, b) => compareSemesters(a.name, b.name));
+
+  const pdf = createPdf();
+  let y = 0;
+
+  const startPage = (continued) => {
+    pdf.addPage();
+    pdf.rect(0, 0, PAGE_SIZE.width, 8, { fill: COLORS.brand });
+    pdf.text(ISSUER.name.toUpperCase(), PAGE_SIZE.width / 2, 44, {
+      size: 16,
+      bold: true,
+      color: COLORS.brand,
+      align: "center",
+    });
+    pdf.text(ISSUER.office, PAGE_SIZE.width / 2, 60, {
+      size: 10,
+      color: COLORS.muted,
+      align: "center",
+    });
+    const title = isDmc
+      ? `${DOCUMENT_TYPE_LABELS[document.type]} - ${semesters[0]?.name}`
+      : DOCUMENT_TYPE_LABELS[document.type];
+    pdf.text(
+      continued ? `${title} (continued)` : title.toUpperCase(),
+      PAGE_SIZE.width / 2,
+      84,
+      { size: 12, bold: true, color: COLORS.text, align: "center" }
+    );
+    pdf.line(MARGIN, 94, PAGE_SIZE.width - MARGIN, 94, {
+      color: COLORS.rule,
+    });
+    y = 112;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > FOOTER_TOP - 12) startPage(true);
+  };
+
+  const drawTableHeader = () => {
+    pdf.rect(MARGIN, y - 11, CONTENT_WIDTH, ROW_HEIGHT, {
+      fill: COLORS.band,
+    });
+    COLUMNS.forEach((column) =>
+      pdf.text(column.label, column.x, y, {
+        size: 8,
+        bold: true,
+        color: COLORS.muted,
+        align: column.align,
+      })
+    );
+    y += ROW_HEIGHT;
+  };
+
+  startPage(false);
+
+  // Student details
+  const details = [
+    ["Name", student?.fullName],
+    ["Roll Number", student?.rollNumber],
+    ["Program", student?.program],
+    ["Date of Issue", formatDate(document.issuedAt)],
+  ];
+  details.forEach(([label, value], index) => {
+    const rowY = y + index * 15;
+    pdf.text(label, MARGIN, rowY, { size: 9, color: COLORS.muted });
+    pdf.text(value || "-", MARGIN + 90, rowY, {
+      size: 10,
+      bold: true,
+      color: COLORS.text,
+    });
+  });
+  pdf.rect(PAGE_SIZE.width - MARGIN - 170, y - 12, 170, 44, {
+    stroke: COLORS.brand,
+  });
+  pdf.text("Verification Code", PAGE_SIZE.width - MARGIN - 85, y + 2, {
+    size: 8,
+    color: COLORS.muted,
+    align: "center",
+  });
+  pdf.text(document.code, PAGE_SIZE.width - MARGIN - 85, y + 20, {
+    size: 11,
+    bold: true,
+    color: COLORS.brand,
+    align: "center",
+  });
+  y += details.length * 15 + 16;
+
+  // Semester tables
+  semesters.forEach((semester) => {
+    ensureSpace(ROW_HEIGHT * 3 + 20);
+    pdf.text(semester.name, MARGIN, y, {
+      size: 11,
+      bold: true,
+      color: COLORS.text,
+    });
+    pdf.text(
+      `Semester GPA: ${formatGpa(semester.gpa)}`,
+      PAGE_SIZE.width - MARGIN,
+      y,
+      { size: 10, bold: true, color: COLORS.brand, align: "right" }
+    );
+    y += 14;
+    drawTableHeader();
+
+    semester.courses.forEach((course) => {
+      if (y + ROW_HEIGHT > FOOTER_TOP - 12) {
+        startPage(true);
+        drawTableHeader();
+      }
+      const cells = courseCells(course);
+      COLUMNS.forEach((column) => {
+        const value = column.width
+          ? fitText(cells[column.key], column.width, 9)
+          : cells[column.key];
+        pdf.text(value, column.x, y, {
+          size: 9,
+          color: COLORS.text,
+          align: column.align,
+        });
+      });
+      pdf.line(MARGIN, y + 5, PAGE_SIZE.width - MARGIN, y + 5, {
+        width: 0.25,
+        color: COLORS.rule,
+      });
+      y += ROW_HEIGHT;
+    });
+    y += 14;
+  });
+
+  // Summary
+  ensureSpace(70);
+  pdf.rect(MARGIN, y - 4, CONTENT_WIDTH, 34, { fill: COLORS.band });
+  const credits = getCreditsEarned(
+    semesters.flatMap((semester) => semester.courses)
+  );
+  pdf.text(
+    `Credit hours earned${isDmc ? " this semester" : ""}: ${credits}`,
+    MARGIN + 10,
+    y + 17,
+    { size: 10, bold: true, color: COLORS.text }
+  );
+  pdf.text(
+    `CGPA: ${formatGpa(results.cgpa)}`,
+    PAGE_SIZE.width - MARGIN - 10,
+    y + 17,
+    { size: 12, bold: true, color: COLORS.brand, align: "right" }
+  );
+  y += 48;
+  pdf.text(
+    "R = repeated later, not counted in CGPA. NC = non-credit. Courses " +
+      'with points "-" are not counted in GPA.',
+    MARGIN,
+    y,
+    { size: 8, color: COLORS.muted }
+  );
+
+  // Footers, now that the page count is known
+  for (let index = 0; index < pdf.pageCount; index += 1) {
+    pdf.goToPage(index);
+    pdf.line(MARGIN, FOOTER_TOP, PAGE_SIZE.width - MARGIN, FOOTER_TOP, {
+      color: COLORS.rule,
+    });
+    pdf.text(
+      `Verification code ${document.code}. This document is valid only if ` +
+        "the code is confirmed by the Office of the Registrar.",
+      MARGIN,
+      FOOTER_TOP + 14,
+      { size: 7.5, color: COLORS.muted }
+    );
+    if (verifyUrl) {
+      pdf.text(`Verify at ${verifyUrl}`, MARGIN, FOOTER_TOP + 25, {
+        size: 7.5,
+        color: COLORS.muted,
+      });
+    }
+    pdf.text(
+      `Page ${index + 1} of ${pdf.pageCount}`,
+      PAGE_SIZE.width / 2,
+      FOOTER_TOP + 40,
+      { size: 7.5, color: COLORS.muted, align: "center" }
+    );
+  }
+
+  return pdf;
+}
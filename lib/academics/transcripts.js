@@ -0,0 +1,140 @@
+/**
+ * Transcripts and DMCs
+ *
+ * Official documents are issued by the backend, which records a snapshot of
+ * what was printed under a random verification code. The registrar can look
+ * the code up to confirm a paper copy is authentic: the snapshot shows what
+ * the document should say, and its fingerprint tells whether the student's
+ * grades have changed since it was issued.
+ *
+ * - transcript: every semester, with semester GPAs and the CGPA
+ * - dmc: Detailed Marks Certificate for one semester, with marks
+ */
+
+export const DOCUMENT_TYPES = {
+  TRANSCRIPT: "transcript",
+  DMC: "dmc",
+};
+
+export const DOCUMENT_TYPE_LABELS = {
+  [DOCUMENT_TYPES.TRANSCRIPT]: "Official Transcript",
+  [DOCUMENT_TYPES.DMC]: "Detailed Marks Certificate",
+};
+
+// No 0/O or 1/I/L, so codes survive being read aloud or retyped
+const CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const CODE_PREFIX = "MCP";
+
+function randomIndexes(count, max) {
+  const values = new Uint32Array(count);
+  globalThis.crypto.getRandomValues(values);
+  return [...values].map((value) => value % max);
+}
+
+/**
+ * New random verification code, e.g. "MCP-7KQ4-X2HD-9RMA"
+ * @returns {string}
+ */
+export function generateVerificationCode() {
+  const chars = randomIndexes(12, CODE_ALPHABET.length).map(
+    (index) => CODE_ALPHABET[index]
+  );
+  const groups = [0, 4, 8].map((start) =>
+    chars.slice(start, start + 4).join("")
+  );
+  return [CODE_PREFIX, ...groups].join("-");
+}
+
+/**
+ * Canonical form of a typed-in code: upper case, dashes in place
+ * @param {string} input
+ * @returns {string}
+ */
+export function normalizeVerificationCode(input) {
+  const compact = String(input || "")
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "");
+  const body = compact.startsWith(CODE_PREFIX)
+    ? compact.slice(CODE_PREFIX.length)
+    : compact;
+  if (body.length !== 12) return compact;
+  return [CODE_PREFIX, body.slice(0, 4), body.slice(4, 8), body.slice(8)].join(
+    "-"
+  );
+}
+
+// FNV-1a, 32-bit
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).toUpperCase().padStart(8, "0");
+}
+
+/**
+ * Short fingerprint of the grades a document shows
+ * Any change to a course, grade, marks or credit hours changes it.
+ * @param {object[]} semesters - [{ name, courses }]
+ * @returns {string} 8 hex characters
+ */
+export function getRecordFingerprint(semesters) {
+  const canonical = semesters
+    .map((semester) =>
+      [
+        semester.name,
+        ...semester.courses.map((course) =>
+          [
+            course.code,
+            course.grade,
+            course.creditHours,
+            course.marksObtained ?? "",
+            course.totalMarks ?? "",
+          ].join(":")
+        ),
+      ].join("|")
+    )
+    .join("\n");
+  return hashString(canonical);
+}
+
+/**
+ * Credit hours passed, counting each repeated course once
+ * @param {object[]} courses - Summarized result courses, with `passed`
+ * @returns {number}
+ */
+export function getCreditsEarned(courses) {
+  return courses
+    .filter(
+      (course) =>
+        !course.nonCredit && !course.repeated && course.passed
+    )
+    .reduce((total, course) => total + Number(course.creditHours), 0);
+}
+
+/**
+ * What a document prints, in a form the registrar can compare
+ * @param {object} results - Summarized results: { cgpa, semesters }
+ * @param {string} type - DOCUMENT_TYPES value
+ * @param {string|number} [semesterId] - Required for a DMC
+ * @returns {object|null} { semesterName, gpa, cgpa, creditsEarned,
+ *   courseCount, fingerprint }, or null when the semester does not exist
+ */
+export function getDocumentSnapshot(results, type, semesterId) {
+  const semesters =
+    type === DOCUMENT_TYPES.DMC
+      ? results.semesters.filter((s) => String(s.id) === String(semesterId))
+      : results.semesters;
+  if (semesters.length === 0) return null;
+
+  const courses = semesters.flatMap((semester) => semester.courses);
+  return {
+    semesterName: type === DOCUMENT_TYPES.DMC ? semesters[0].name : null,
+    gpa: type === DOCUMENT_TYPES.DMC ? semesters[0].gpa : null,
+    cgpa: results.cgpa,
+    creditsEarned: getCreditsEarned(courses),
+    courseCount: courses.length,
+    fingerprint: getRecordFingerprint(semesters),
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Permission Model
+ *
+ * Maps roles to capability sets so components ask "can this user do X (to
+ * this resource)?" instead of branching on isStudent/isTeacher/isAdmin.
+ *
+ * A role grant is either a plain permission string (allowed everywhere) or
+ * `{ permission, scope }`, where scope names a predicate in SCOPES that must
+ * hold for the resource, e.g. a teacher may only enter grades for their own
+ * courses. Users can also carry extra grants limited to specific courses:
+ * `user.grants = [{ permission: "grades:enter", courseIds: ["1"] }]`.
+ *
+ * Checking a scoped permission without a resource answers "can they do this
+ * anywhere?", which is what menus and page-level checks need.
+ */
+
+export const ROLE_LABELS = {
+  student: "Student",
+  teacher: "Teacher",
+  ta: "Teaching Assistant",
+  librarian: "Librarian",
+  admin: "Admin",
+};
+
+function courseIdOf(resource) {
+  if (resource === null || resource === undefined) return null;
+  if (typeof resource !== "object") return String(resource);
+  const id = resource.courseId ?? resource.course?.id ?? resource.id;
+  return id === undefined || id === null ? null : String(id);
+}
+
+function teacherIdOf(resource) {
+  const id =
+    resource?.teacherId ?? resource?.teacher?.id ?? resource?.course?.teacherId;
+  return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * Scope predicates: (user, resource) => boolean
+ */
+export const SCOPES = {
+  // Courses the user teaches
+  ownCourse: (user, resource) =>
+    Boolean(user?.id) && teacherIdOf(resource) === String(user.id),
+  // Courses the user is assigned to assist (TAs)
+  assignedCourse: (user, resource) =>
+    (user?.assignedCourseIds || []).map(String).includes(courseIdOf(resource)),
+};
+
+export const ROLE_PERMISSIONS = {
+  student: [
+    "dashboard:view",
+    "notifications:view",
+    "courses:enroll",
+    "results:view",
+    "assignments:submit",
+    "fees:view",
+    "timetable:view",
+    "attendance:view",
+    "exams:view",
+    "library:use",
+    "forum:use",
+    "lost-found:use",
+    "requests:submit",
+    "feedback:submit",
+    "chatbot:use",
+  ],
+  teacher: [
+    "dashboard:view",
+    "notifications:view",
+    "notifications:create",
+    "courses:teach",
+    { permission: "grades:enter", scope: "ownCourse" },
+    "assignments:create",
+    { permission: "assignments:grade", scope: "ownCourse" },
+    "timetable:view",
+    { permission: "attendance:take", scope: "ownCourse" },
+    "forum:use",
+    "requests:respond",
+    "feedback:view-received",
+    "chatbot:use",
+  ],
+  ta: [
+    "dashboard:view",
+    "notifications:view",
+    "courses:teach",
+    { permission: "grades:enter", scope: "assignedCourse" },
+    { permission: "assignments:grade", scope: "assignedCourse" },
+    "timetable:view",
+    { permission: "attendance:take", scope: "assignedCourse" },
+    "forum:use",
+    "chatbot:use",
+  ],
+  librarian: [
+    "dashboard:view",
+    "notifications:view",
+    "library:manage",
+  ],
+  admin: [
+    "dashboard:view",
+    "notifications:view",
+    "notifications:create",
+    "users:manage",
+    "courses:manage",
+    "timetable:manage",
+    "attendance:export",
+    "exams:manage",
+    "transcripts:verify",
+    "fees:manage",
+    "system:settings",
+  ],
+};
+
+function normalizeGrant(grant) {
+  return typeof grant === "string" ? { permission: grant } : grant;
+}
+
+function grantsFor(user) {
+  const roleGrants = (ROLE_PERMISSIONS[user?.role] || []).map(normalizeGrant);
+  const userGrants = (user?.grants || []).map(normalizeGrant);
+  return [...roleGrants, ...userGrants];
+}
+
+function grantAllows(user, grant, resource) {
+  if (resource === undefined) return true;
+  if (grant.courseIds) {
+    return grant.courseIds.map(String).includes(courseIdOf(resource));
+  }
+  if (grant.scope) {
+    const predicate = SCOPES[grant.scope];
+    return predicate ? predicate(user, resource) : false;
+  }
+  return true;
+}
+
+/**
+ * Check a permission for a user
+ * @param {object|null} user - User with `role` and optional `grants`
+ * @param {string} permission - Capability, e.g. "grades:enter"
+ * @param {object|string} [resource] - Resource to check scoped grants against
+ * @returns {boolean}
+ */
+export function can(user, permission, resource) {
+  if (!user) return false;
+  return grantsFor(user).some(
+    (grant) =>
+      grant.permission === permission && grantAllows(user, grant, resource)
+  );
+}
+
+/**
+ * Check whether a user has any of several permissions
+ * @param {object|null} user
+ * @param {string|string[]} permissions
+ * @param {object|string} [resource]
+ * @returns {boolean}
+ */
+export function canAny(user, permissions, resource) {
+  return [].concat(permissions).some((p) => can(user, p, resource));
+}
+
+/**
+ * Roles that hold a permission at any scope
+ * @param {string|string[]} permissions - Any of these
+ * @returns {string[]}
+ */
+export function rolesWith(permissions) {
+  const wanted = [].concat(permissions);
+  return Object.keys(ROLE_PERMISSIONS).filter((role) =>
+    ROLE_PERMISSIONS[role]
+      .map(normalizeGrant)
+      .some((grant) => wanted.includes(grant.permission))
+  );
+}
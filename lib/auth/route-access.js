@@ -0,0 +1,113 @@
+/**
+ * Route Access Map
+ *
+ * Declarative route-to-permission map for the (dashboard) segment, enforced by
+ * app/(dashboard)/layout.js. Each route needs any of the listed permissions
+ * (see lib/auth/permissions.js); the first matching prefix wins, and routes
+ * that match nothing are open to every signed-in user.
+ *
+ * Also remembers the URL a signed-out user tried to open so the login page can
+ * send them back after sign-in.
+ */
+
+import { canAny, rolesWith, ROLE_PERMISSIONS } from "@/lib/auth/permissions";
+
+export const ROUTE_ACCESS = [
+  { prefix: "/admin/students", permissions: ["users:manage"] },
+  { prefix: "/admin/teachers", permissions: ["users:manage"] },
+  { prefix: "/admin/courses", permissions: ["courses:manage"] },
+  { prefix: "/admin/enrollment-windows", permissions: ["courses:manage"] },
+  { prefix: "/admin/grading-schemes", permissions: ["courses:manage"] },
+  { prefix: "/admin/transcripts", permissions: ["transcripts:verify"] },
+  { prefix: "/admin/fees", permissions: ["fees:manage"] },
+  { prefix: "/admin/late-fees", permissions: ["fees:manage"] },
+  { prefix: "/admin/timetable", permissions: ["timetable:manage"] },
+  { prefix: "/admin/attendance", permissions: ["attendance:export"] },
+  { prefix: "/admin/exams", permissions: ["exams:manage"] },
+  { prefix: "/admin", permissions: ["system:settings"] },
+  { prefix: "/librarian", permissions: ["library:manage"] },
+  { prefix: "/fees", permissions: ["fees:view"] },
+  { prefix: "/library", permissions: ["library:use"] },
+  { prefix: "/lost-found", permissions: ["lost-found:use"] },
+  { prefix: "/courses", permissions: ["courses:enroll", "courses:teach"] },
+  { prefix: "/results", permissions: ["results:view", "grades:enter"] },
+  { prefix: "/degree-audit", permissions: ["results:view"] },
+  {
+    prefix: "/assignments",
+    permissions: ["assignments:submit", "assignments:create", "assignments:grade"],
+  },
+  { prefix: "/timetable", permissions: ["timetable:view"] },
+  {
+    prefix: "/attendance",
+    permissions: ["attendance:view", "attendance:take"],
+  },
+  { prefix: "/forum", permissions: ["forum:use"] },
+  { prefix: "/requests", permissions: ["requests:submit", "requests:respond"] },
+  {
+    prefix: "/feedback",
+    permissions: ["feedback:submit", "feedback:view-received"],
+  },
+  { prefix: "/chatbot", permissions: ["chatbot:use"] },
+];
+
+function matchesPrefix(pathname, prefix) {
+  return pathname === prefix || pathname.startsWith(prefix + "/");
+}
+
+function findRule(url) {
+  const pathname = (url || "").split("?")[0];
+  return ROUTE_ACCESS.find((entry) => matchesPrefix(pathname, entry.prefix));
+}
+
+/**
+ * Roles allowed to open a path
+ * @param {string} pathname - Path, optionally with query string
+ * @returns {string[]} Allowed roles (all roles if the path is unrestricted)
+ */
+export function getAllowedRoles(pathname) {
+  const rule = findRule(pathname);
+  return rule ? rolesWith(rule.permissions) : Object.keys(ROLE_PERMISSIONS);
+}
+
+/**
+ * Check whether a user may open a path
+ * @param {string} pathname - Path, optionally with query string
+ * @param {object} user - User with `role` (and optional `grants`)
+ * @returns {boolean}
+ */
+export function canAccessRoute(pathname, user) {
+  const rule = findRule(pathname);
+  return rule ? canAny(user, rule.permissions) : Boolean(user);
+}
+
+const RETURN_URL_KEY = "returnUrl";
+
+/**
+ * Remember where to send the user after login
+ * @param {string} url - Relative URL (path + query)
+ */
+export function rememberReturnUrl(url) {
+  if (typeof window === "undefined" || !isSafeReturnUrl(url)) return;
+  sessionStorage.setItem(RETURN_URL_KEY, url);
+}
+
+/**
+ * Read and clear the remembered return URL
+ * @returns {string|null} Relative URL, or null if none was stored
+ */
+export function consumeReturnUrl() {
+  if (typeof window === "undefined") return null;
+  const url = sessionStorage.getItem(RETURN_URL_KEY);
+  sessionStorage.removeItem(RETURN_URL_KEY);
+  return isSafeReturnUrl(url) ? url : null;
+}
+
+// Only same-origin paths; "//host" would be protocol-relative
+function isSafeReturnUrl(url) {
+  return (
+    typeof url === "string" &&
+    url.startsWith("/") &&
+    !url.startsWith("//") &&
+    !url.startsWith("/login")
+  );
+}
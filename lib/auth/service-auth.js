@@ -0,0 +1,84 @@
+/**
+ * Service authentication
+ *
+ * The app/api services (payment intents, calendar feeds, attendance
+ * check-in codes) act for a signed-in user, but only the backend knows who
+ * that is. They take requests from the backend alone: it sends the shared
+ * SERVICE_API_SECRET as a bearer token and the user's id in the
+ * X-Service-User header. Any other caller is answered with 401.
+ *
+ * Server settings such as secrets are required in production; elsewhere
+ * they fall back to development values so the app runs unconfigured. The
+ * mock backend (lib/mock-api) runs in the browser, where no secret can be
+ * kept, so it presents the development secret and only reaches the
+ * services outside production.
+ */
+
+export const SERVICE_USER_HEADER = "X-Service-User";
+export const DEV_SERVICE_SECRET = "dev-service-secret";
+
+/**
+ * Read a server-side setting
+ * @param {string} name - Environment variable
+ * @param {string} devDefault - Used outside production when it is unset
+ * @returns {string}
+ * @throws {Error} In production when the variable is unset
+ */
+export function getServerSetting(name, devDefault) {
+  const value = process.env[name];
+  if (value) return value;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error(`${name} must be set in production`);
+  }
+  return devDefault;
+}
+
+/**
+ * Compare two strings without stopping at the first difference
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+/**
+ * Headers a backend request to a service carries
+ * @param {string} userId - The signed-in user the request acts for
+ * @param {string} [secret] - Service secret
+ * @returns {object}
+ */
+export function getServiceHeaders(userId, secret = DEV_SERVICE_SECRET) {
+  return {
+    Authorization: `Bearer ${secret}`,
+    [SERVICE_USER_HEADER]: userId,
+  };
+}
+
+/**
+ * Check that a service request comes from the backend, acting for a user
+ * @param {Request} request
+ * @returns {{ userId: string }|null} null when the caller is not the
+ *   backend or names no user
+ */
+export function authenticateServiceRequest(request) {
+  const secret = getServerSetting("SERVICE_API_SECRET", DEV_SERVICE_SECRET);
+  const authorization = request.headers.get("authorization") || "";
+  const userId = request.headers.get(SERVICE_USER_HEADER);
+  if (!safeEqual(authorization, `Bearer ${secret}`) || !userId) return null;
+  return { userId };
+}
+
+/**
+ * Response for a request that failed authenticateServiceRequest()
+ * @returns {Response}
+ */
+export function unauthorizedServiceResponse() {
+  return Response.json({ message: "Unauthorized" }, { status: 401 });
+}
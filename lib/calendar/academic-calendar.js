@@ -0,0 +1,149 @@
+/**
+ * Academic Calendar
+ *
+ * Each semester's teaching term (first and last day of classes), its
+ * holidays, on which classes do not meet, and its exam periods:
+ * `{ semester, startDate, endDate, holidays: [{ date, name }],
+ *   examPeriods: [{ name, startDate, endDate }] }`, with dates as
+ * "YYYY-MM-DD" campus dates.
+ *
+ * Dates are handled as plain calendar dates (UTC midnight) so a class on
+ * "Monday" never drifts a day with the viewer's time zone.
+ */
+
+import { DAYS_OF_WEEK } from "@/lib/academics/timetable";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CAMPUS_TIMEZONE = "Asia/Karachi";
+
+// Pakistan Standard Time, which has no daylight saving
+export const CAMPUS_UTC_OFFSET = "+0500";
+const CAMPUS_UTC_OFFSET_MS = 5 * 60 * 60 * 1000;
+
+// DAYS_OF_WEEK starts on Monday, Date#getUTCDay() on Sunday
+function weekdayIndex(dayOfWeek) {
+  return (DAYS_OF_WEEK.indexOf(dayOfWeek) + 1) % 7;
+}
+
+/**
+ * Calendar date some days after another
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} days - May be negative
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Campus date of an instant
+ * @param {string|number} value - ISO timestamp or ms
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function toCampusDate(value) {
+  return new Date(new Date(value).getTime() + CAMPUS_UTC_OFFSET_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Weekday name of a calendar date
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string} e.g. "Monday"
+ */
+export function getDayOfWeek(date) {
+  const index = new Date(Date.parse(date)).getUTCDay();
+  return DAYS_OF_WEEK[(index + 6) % 7];
+}
+
+/**
+ * Instant of a campus wall-clock time
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @returns {number} Timestamp in ms
+ */
+export function toCampusTimestamp(date, time) {
+  return Date.parse(`${date}T${time}:00Z`) - CAMPUS_UTC_OFFSET_MS;
+}
+
+/**
+ * Short display form of a calendar date, the same in every time zone
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string} e.g. "Thu, Oct 24"
+ */
+export function formatCalendarDate(date) {
+  return new Date(Date.parse(date)).toLocaleDateString("en-US", {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function getWeekStart(date) {
+  return addDays(date, -DAYS_OF_WEEK.indexOf(getDayOfWeek(date)));
+}
+
+/**
+ * Term of a semester
+ * @param {string} semester - e.g. "Fall 2024"
+ * @param {Array} terms - Academic calendar
+ * @returns {object|null}
+ */
+export function findTerm(semester, terms = []) {
+  return terms.find((term) => term.semester === semester) || null;
+}
+
+/**
+ * Holiday falling on a date, if any
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {object} term
+ * @returns {{ date: string, name: string }|null}
+ */
+export function getHoliday(date, term) {
+  return (term?.holidays || []).find((holiday) => holiday.date === date) || null;
+}
+
+/**
+ * Exam period a date falls in, if any
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {object} term
+ * @returns {{ name: string, startDate: string, endDate: string }|null}
+ */
+export function getExamPeriod(date, term) {
+  return (
+    (term?.examPeriods || []).find(
+      (period) => period.startDate <= date && date <= period.endDate
+    ) || null
+  );
+}
+
+/**
+ * Every date a weekly timetable entry falls on during its term
+ * @param {object} entry - Timetable entry with `dayOfWeek`
+ * @param {object} term - Term of the entry's semester
+ * @returns {{ dates: string[], holidays: string[] }} dates: days the class
+ *   meets; holidays: days it would meet but the campus is closed
+ */
+export function getClassDates(entry, term) {
+  const dates = [];
+  const holidays = [];
+  if (!term) return { dates, holidays };
+
+  const startDay = new Date(Date.parse(term.startDate)).getUTCDay();
+  const offset = (weekdayIndex(entry.dayOfWeek) - startDay + 7) % 7;
+  for (
+    let date = addDays(term.startDate, offset);
+    date <= term.endDate;
+    date = addDays(date, 7)
+  ) {
+    (getHoliday(date, term) ? holidays : dates).push(date);
+  }
+  return { dates, holidays };
+}
@@ -0,0 +1,96 @@
+/**
+ * Calendar feeds (calendar service)
+ *
+ * Each user has at most one secret feed token. Calendar apps (Google
+ * Calendar, Outlook) subscribe to the feed URL without signing in, so the
+ * token is the only credential: it is long and random, and issuing a new
+ * one stops the old URL working.
+ *
+ * The backend publishes each subscribed user's .ics calendar here whenever
+ * it changes, and the app/api/calendar route handlers serve it. Server-only;
+ * state lives in memory and is lost on restart.
+ */
+
+const store = (globalThis.__mcpCalendarFeeds ??= {
+  // token -> { userId, calendar, updatedAt }
+  feeds: new Map(),
+  // userId -> token
+  tokens: new Map(),
+});
+
+/**
+ * Error with the HTTP status the calendar API answers with
+ */
+export class CalendarFeedError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "CalendarFeedError";
+    this.status = status;
+  }
+}
+
+function createToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function requireCalendar(calendar) {
+  if (typeof calendar !== "string" || !calendar.startsWith("BEGIN:VCALENDAR")) {
+    throw new CalendarFeedError(400, "calendar must be an iCalendar document");
+  }
+}
+
+/**
+ * A user's feed token, if they subscribed
+ * @param {string} userId
+ * @returns {{ token: string, updatedAt: string }|null}
+ */
+export function getUserCalendarFeed(userId) {
+  const token = store.tokens.get(userId);
+  if (!token) return null;
+  return { token, updatedAt: store.feeds.get(token).updatedAt };
+}
+
+/**
+ * Issue a user a new feed token with their calendar; any previous token
+ * stops working
+ * @param {string} userId
+ * @param {string} calendar - .ics content
+ * @returns {{ token: string, updatedAt: string }}
+ */
+export function createCalendarFeed(userId, calendar) {
+  requireCalendar(calendar);
+  const previous = store.tokens.get(userId);
+  if (previous) store.feeds.delete(previous);
+
+  const token = createToken();
+  const updatedAt = new Date().toISOString();
+  store.tokens.set(userId, token);
+  store.feeds.set(token, { userId, calendar, updatedAt });
+  return { token, updatedAt };
+}
+
+/**
+ * Replace the calendar served at a user's feed
+ * @param {string} userId
+ * @param {string} calendar - .ics content
+ * @returns {{ updatedAt: string }}
+ * @throws {CalendarFeedError} 404 when the user has no feed
+ */
+export function updateCalendarFeed(userId, calendar) {
+  requireCalendar(calendar);
+  const feed = store.feeds.get(store.tokens.get(userId));
+  if (!feed) throw new CalendarFeedError(404, "No calendar feed to update");
+  feed.calendar = calendar;
+  feed.updatedAt = new Date().toISOString();
+  return { updatedAt: feed.updatedAt };
+}
+
+/**
+ * Look up a feed by its token
+ * @param {string} token
+ * @returns {{ userId: string, calendar: string, updatedAt: string }|null}
+ */
+export function getCalendarFeed(token) {
+  return store.feeds.get(token) || null;
+}
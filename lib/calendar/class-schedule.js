@@ -0,0 +1,252 @@
+/**
+ * Class Schedule
+ *
+ * Expands the weekly timetable into dated class meetings for a date range,
+ * skipping holidays and applying one-off changes (overrides) teachers post
+ * for a single meeting:
+ * `{ id, entryId, date, type, newDate?, startTime?, endTime?, room?,
+ *    reason }`
+ * - cancelled: the meeting on `date` does not take place
+ * - rescheduled: the meeting on `date` moves to `newDate` (which may be the
+ *   same day) at startTime-endTime in `room`
+ */
+
+import {
+  TIME_PATTERN,
+  findTimetableClashes,
+} from "@/lib/academics/timetable";
+import {
+  findTerm,
+  formatCalendarDate,
+  getClassDates,
+  getDayOfWeek,
+  getExamPeriod,
+  getHoliday,
+} from "@/lib/calendar/academic-calendar";
+
+export const OVERRIDE_TYPES = {
+  CANCELLED: "cancelled",
+  RESCHEDULED: "rescheduled",
+};
+
+// Status of a dated meeting
+export const MEETING_STATUS = {
+  SCHEDULED: "scheduled",
+  ...OVERRIDE_TYPES,
+};
+
+/**
+ * Every date from one date to another, inclusive
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {string[]}
+ */
+export function getDatesBetween(from, to) {
+  const dates = [];
+  const day = 24 * 60 * 60 * 1000;
+  for (let t = Date.parse(from); t <= Date.parse(to); t += day) {
+    dates.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Holiday and exam period of each day in a range
+ * @param {string} from
+ * @param {string} to
+ * @param {Array} terms - Academic calendar
+ * @returns {Array<{ date: string, holiday: object|null, exam: object|null }>}
+ */
+export function getCalendarDays(from, to, terms = []) {
+  return getDatesBetween(from, to).map((date) => {
+    const term = terms.find((t) => t.startDate <= date && date <= t.endDate);
+    return {
+      date,
+      holiday: getHoliday(date, term),
+      exam: getExamPeriod(date, term),
+    };
+  });
+}
+
+function toMeeting(entry, date, override) {
+  const meeting = {
+    key: `${entry.id}:${date}`,
+    entry,
+    originalDate: date,
+    date,
+    startTime: entry.startTime,
+    endTime: entry.endTime,
+    room: entry.room,
+    status: MEETING_STATUS.SCHEDULED,
+    override: override || null,
+  };
+  if (override?.type === OVERRIDE_TYPES.CANCELLED) {
+    meeting.status = MEETING_STATUS.CANCELLED;
+  }
+  if (override?.type === OVERRIDE_TYPES.RESCHEDULED) {
+    Object.assign(meeting, {
+      status: MEETING_STATUS.RESCHEDULED,
+      date: override.newDate,
+      startTime: override.startTime,
+      endTime: override.endTime,
+      room: override.room,
+    });
+  }
+  return meeting;
+}
+
+/**
+ * Dated class meetings in a range, with overrides applied
+ * Cancelled meetings are kept (with their status) so they can be shown
+ * struck through; rescheduled ones appear on their new date.
+ * @param {object} params
+ * @param {Array} params.entries - Timetable entries
+ * @param {Array} params.terms - Academic calendar
+ * @param {Array} [params.overrides]
+ * @param {string} params.from - "YYYY-MM-DD"
+ * @param {string} params.to - "YYYY-MM-DD"
+ * @returns {Array} Meetings sorted by date and start time
+ */
+export function getClassMeetings({ entries, terms, overrides = [], from, to }) {
+  const overrideFor = (entry, date) =>
+    overrides.find((o) => o.entryId === entry.id && o.date === date);
+
+  return entries
+    .flatMap((entry) =>
+      getClassDates(entry, findTerm(entry.semester, terms)).dates.map((date) =>
+        toMeeting(entry, date, overrideFor(entry, date))
+      )
+    )
+    .filter((meeting) => meeting.date >= from && meeting.date <= to)
+    .sort(
+      (a, b) =>
+        a.date.localeCompare(b.date) ||
+        a.startTime.localeCompare(b.startTime)
+    );
+}
+
+/**
+ * Validate an override against the meeting it changes
+ * @param {object} override
+ * @param {object} entry - Timetable entry of the meeting
+ * @param {object} term - Term of the entry's semester
+ * @param {string} [today] - Campus date; meetings before it can't change
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateClassOverride(override, entry, term, today) {
+  if (!Object.values(OVERRIDE_TYPES).includes(override.type)) {
+    return "Choose whether to cancel or reschedule the class";
+  }
+  if (!getClassDates(entry, term).dates.includes(override.date)) {
+    return `${entry.course?.code || "This class"} does not meet on that date`;
+  }
+  if (today && override.date < today) {
+    return "Classes that already took place cannot be changed";
+  }
+  if (String(override.reason || "").trim().length < 3) {
+    return "Reason is required";
+  }
+  if (override.type === OVERRIDE_TYPES.CANCELLED) return null;
+
+  const { newDate, startTime, endTime } = override;
+  if (!newDate || newDate < term.startDate || newDate > term.endDate) {
+    return "The new date must be within the semester";
+  }
+  if (today && newDate < today) return "The new date cannot be in the past";
+  const holiday = getHoliday(newDate, term);
+  if (holiday) {
+    return `${formatCalendarDate(newDate)} is a holiday (${holiday.name})`;
+  }
+  if (![startTime, endTime].every((time) => TIME_PATTERN.test(time || ""))) {
+    return "Time must be in HH:MM format";
+  }
+  if (endTime <= startTime) return "End time must be after start time";
+  if (String(override.room || "").trim().length < 2) {
+    return "Room must be at least 2 characters";
+  }
+  if (
+    newDate === override.date &&
+    startTime === entry.startTime &&
+    endTime === entry.endTime &&
+    override.room.trim() === entry.room
+  ) {
+    return "Change the date, time or room";
+  }
+  return null;
+}
+
+/**
+ * One-line description of an override for notifications, e.g.
+ * "CS301 on Thu, Oct 24 moved to B-105"
+ * @param {object} override
+ * @param {object} entry - Timetable entry of the meeting
+ * @returns {string}
+ */
+export function describeClassOverride(override, entry) {
+  const meeting = `${entry.course?.code || "Class"} on ${formatCalendarDate(
+    override.date
+  )}`;
+  if (override.type === OVERRIDE_TYPES.CANCELLED) {
+    return `${meeting} is cancelled`;
+  }
+  const changes = [];
+  if (override.room !== entry.room) changes.push(`to ${override.room}`);
+  if (override.newDate !== override.date) {
+    changes.push(`to ${formatCalendarDate(override.newDate)}`);
+  }
+  if (
+    override.startTime !== entry.startTime ||
+    override.endTime !== entry.endTime
+  ) {
+    changes.push(`at ${override.startTime}-${override.endTime}`);
+  }
+  return `${meeting} moved ${changes.join(" ")}`;
+}
+
+// A meeting as a timetable entry for its one day, for clash checks
+function asDayEntry(meeting, id) {
+  return {
+    id,
+    courseId: meeting.entry.courseId,
+    course: meeting.entry.course,
+    section: meeting.entry.section,
+    dayOfWeek: getDayOfWeek(meeting.date),
+    startTime: meeting.startTime,
+    endTime: meeting.endTime,
+    room: meeting.room,
+    semester: meeting.date,
+  };
+}
+
+/**
+ * Room, instructor and section clashes of a rescheduled meeting on its new
+ * date (see findTimetableClashes)
+ * @param {object} override - A valid rescheduled override
+ * @param {object} entry - Timetable entry of the meeting
+ * @param {object} params
+ * @param {Array} params.timetable - All timetable entries
+ * @param {Array} params.terms
+ * @param {Array} params.overrides - Other overrides in effect
+ * @param {Array} params.courses - Courses with their teachers
+ * @returns {Array<{ type, entry, message }>}
+ */
+export function findOverrideClashes(
+  override,
+  entry,
+  { timetable, terms, overrides, courses }
+) {
+  const key = `${entry.id}:${override.date}`;
+  const others = getClassMeetings({
+    entries: timetable,
+    terms,
+    overrides: overrides.filter((o) => o.id !== override.id),
+    from: override.newDate,
+    to: override.newDate,
+  })
+    .filter(
+      (m) => m.key !== key && m.status !== MEETING_STATUS.CANCELLED
+    )
+    .map((m) => asDayEntry(m, m.key));
+  const moved = toMeeting(entry, override.date, override);
+  return findTimetableClashes(asDayEntry(moved, key), others, courses);
+}
@@ -0,0 +1,289 @@
+/**
+ * iCalendar Export
+ *
+ * Builds the .ics calendar (RFC 5545) students and teachers download or
+ * subscribe to from Google Calendar or Outlook:
+ * - each timetable entry as a weekly recurring event (RRULE) from the
+ *   first class of the term to its last day, with the term's holidays and
+ *   cancelled meetings excluded (EXDATE) and rescheduled meetings as
+ *   overriding instances (RECURRENCE-ID)
+ * - assignment deadlines at their due time
+ * - fee and installment due dates as all-day events, while still unpaid
+ *
+ * Class times are campus wall-clock times in CAMPUS_TIMEZONE; deadlines are
+ * exact instants. Event UIDs are stable, so a subscribed calendar updates
+ * events in place instead of duplicating them.
+ */
+
+import { OVERRIDE_TYPES } from "@/lib/calendar/class-schedule";
+import {
+  CAMPUS_TIMEZONE,
+  CAMPUS_UTC_OFFSET,
+  addDays,
+  findTerm,
+  getClassDates,
+  toCampusDate,
+  toCampusTimestamp,
+} from "@/lib/calendar/academic-calendar";
+
+const PRODUCT_ID = "-//My Class Portal//Calendar//EN";
+const UID_DOMAIN = "myclassportal";
+const BYDAY = {
+  Monday: "MO",
+  Tuesday: "TU",
+  Wednesday: "WE",
+  Thursday: "TH",
+  Friday: "FR",
+  Saturday: "SA",
+  Sunday: "SU",
+};
+
+const encoder = new TextEncoder();
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Content lines are folded at 75 octets; continuations start with a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = " ";
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n");
+}
+
+// "2024-09-02" -> "20240902"
+function formatDate(date) {
+  return date.replace(/-/g, "");
+}
+
+// "2024-09-02", "09:00" -> "20240902T090000"
+function formatLocal(date, time) {
+  return `${formatDate(date)}T${time.replace(":", "")}00`;
+}
+
+function formatInstant(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+}
+
+function timeProperty(name, value) {
+  if (value.instant) return `${name}:${formatInstant(value.instant)}`;
+  if (value.time) {
+    return `${name};TZID=${CAMPUS_TIMEZONE}:${formatLocal(
+      value.date,
+      value.time
+    )}`;
+  }
+  return `${name};VALUE=DATE:${formatDate(value.date)}`;
+}
+
+function eventLines(event, stamp) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+  ];
+  if (event.recurrenceId) {
+    lines.push(timeProperty("RECURRENCE-ID", event.recurrenceId));
+  }
+  lines.push(timeProperty("DTSTART", event.start));
+  if (event.end) lines.push(timeProperty("DTEND", event.end));
+  if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+  (event.exdates || []).forEach((exdate) =>
+    lines.push(timeProperty("EXDATE", exdate))
+  );
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.categories) lines.push(`CATEGORIES:${event.categories}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * Recurring event for a timetable entry over its term, with an overriding
+ * instance for each rescheduled meeting
+ * @param {object} entry - Timetable entry with course, section and room
+ * @param {object} term - From the academic calendar
+ * @param {Array} [overrides] - Overrides of the entry's meetings
+ * @returns {object[]} Empty when the class never meets in the term
+ */
+export function getClassEvents(entry, term, overrides = []) {
+  const { dates, holidays } = getClassDates(entry, term);
+  const first = [...dates, ...holidays].sort()[0];
+  if (!first) return [];
+
+  const code = entry.course?.code || "Class";
+  const section = entry.section ? ` (Section ${entry.section})` : "";
+  const summary = `${code}${section} ${entry.course?.name || ""}`.trim();
+  const own = overrides.filter(
+    (o) => o.entryId === entry.id && dates.includes(o.date)
+  );
+  const cancelled = own
+    .filter((o) => o.type === OVERRIDE_TYPES.CANCELLED)
+    .map((o) => o.date);
+  // UNTIL is UTC when DTSTART has a time zone: the term's last campus second
+  const until = formatInstant(
+    toCampusTimestamp(addDays(term.endDate, 1), "00:00") - 1000
+  );
+  const series = {
+    uid: `class-${entry.id}`,
+    summary,
+    location: entry.room,
+    description: `${entry.semester} class`,
+    categories: "CLASS",
+    start: { date: first, time: entry.startTime },
+    end: { date: first, time: entry.endTime },
+    rrule: `FREQ=WEEKLY;BYDAY=${BYDAY[entry.dayOfWeek]};UNTIL=${until}`,
+    exdates: [...holidays, ...cancelled]
+      .sort()
+      .map((date) => ({ date, time: entry.startTime })),
+  };
+  const moved = own
+    .filter((o) => o.type === OVERRIDE_TYPES.RESCHEDULED)
+    .map((o) => ({
+      uid: series.uid,
+      recurrenceId: { date: o.date, time: entry.startTime },
+      summary,
+      location: o.room,
+      description: `Rescheduled: ${o.reason}`,
+      categories: "CLASS",
+      start: { date: o.newDate, time: o.startTime },
+      end: { date: o.newDate, time: o.endTime },
+    }));
+  return [series, ...moved];
+}
+
+/**
+ * Event at an assignment's deadline
+ * @param {object} assignment - { id, title, dueDate, course? }
+ * @returns {object}
+ */
+export function getAssignmentEvent(assignment) {
+  const code = assignment.course?.code ? `${assignment.course.code}: ` : "";
+  return {
+    uid: `assignment-${assignment.id}`,
+    summary: `${code}${assignment.title} due`,
+    description: assignment.description || "",
+    categories: "DEADLINE",
+    start: { instant: assignment.dueDate },
+    end: { instant: assignment.dueDate },
+  };
+}
+
+/**
+ * All-day events for a fee's unpaid due dates
+ * @param {object} fee - Fee with `summary` from getFeeSummary()
+ * @returns {object[]} One per unpaid installment, or one for the fee
+ */
+export function getFeeEvents(fee) {
+  if (fee.summary.balance <= 0) return [];
+  const name = `${fee.semester} ${fee.type}`;
+  const dueDay = (dueDate) => {
+    const date = toCampusDate(dueDate);
+    return { start: { date }, end: { date: addDays(date, 1) } };
+  };
+
+  const installments = fee.summary.installments.filter((i) => i.balance > 0);
+  if (installments.length === 0) {
+    return [
+      {
+        uid: `fee-${fee.id}`,
+        summary: `${name} due`,
+        categories: "FEE",
+        ...dueDay(fee.dueDate),
+      },
+    ];
+  }
+  return installments.map((installment) => ({
+    uid: `fee-${fee.id}-installment-${installment.number}`,
+    summary: `${name} installment ${installment.number} due`,
+    categories: "FEE",
+    ...dueDay(installment.dueDate),
+  }));
+}
+
+/**
+ * Serialize events as an iCalendar document
+ * @param {object} params
+ * @param {string} params.name - Calendar name shown by calendar apps
+ * @param {object[]} params.events - From the get*Event(s) builders
+ * @param {number} [params.now] - Timestamp for DTSTAMP
+ * @returns {string} CRLF-separated .ics content
+ */
+export function buildICalendar({ name, events, now = Date.now() }) {
+  const stamp = formatInstant(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CAMPUS_TIMEZONE}`,
+    // Subscribed calendars poll for changes about this often
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+    "BEGIN:VTIMEZONE",
+    `TZID:${CAMPUS_TIMEZONE}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    `TZOFFSETFROM:${CAMPUS_UTC_OFFSET}`,
+    `TZOFFSETTO:${CAMPUS_UTC_OFFSET}`,
+    "TZNAME:PKT",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+    ...events.flatMap((event) => eventLines(event, stamp)),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * A user's calendar: classes, assignment deadlines and fee due dates
+ * @param {object} params
+ * @param {string} params.name - Calendar name
+ * @param {Array} [params.classes] - Timetable entries the user attends or
+ *   teaches
+ * @param {Array} [params.terms] - Academic calendar
+ * @param {Array} [params.overrides] - Cancelled and rescheduled meetings
+ * @param {Array} [params.assignments] - With `course`
+ * @param {Array} [params.fees] - With `summary`
+ * @param {number} [params.now]
+ * @returns {string} .ics content
+ */
+export function buildUserCalendar({
+  name,
+  classes = [],
+  terms = [],
+  overrides = [],
+  assignments = [],
+  fees = [],
+  now = Date.now(),
+}) {
+  const events = [
+    ...classes.flatMap((entry) =>
+      getClassEvents(entry, findTerm(entry.semester, terms), overrides)
+    ),
+    ...assignments.map(getAssignmentEvent),
+    ...fees.flatMap(getFeeEvents),
+  ];
+  return buildICalendar({ name, events, now });
+}
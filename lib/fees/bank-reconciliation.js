@@ -0,0 +1,202 @@
+/**
+ * Bank Reconciliation
+ *
+ * The bank sends a daily collection file listing the challans it was paid:
+ * `Voucher Number, Amount, Paid On, Reference`. Uploading it marks those
+ * challans paid and posts the payments to the students' ledgers.
+ *
+ * Like grade imports, the file is previewed first: every row is checked
+ * against the issued challans and the rows that can be applied are listed.
+ * Challans that are already paid are skipped, so uploading the same file
+ * twice is harmless.
+ */
+
+import { parseCsv, toCsv } from "@/lib/utils/csv";
+import {
+  CHALLAN_STATUS,
+  isValidVoucherNumber,
+  normalizeVoucherNumber,
+} from "@/lib/fees/challan";
+
+export const BANK_CSV_HEADER = [
+  "Voucher Number",
+  "Amount",
+  "Paid On",
+  "Reference",
+];
+
+// Header cells are matched loosely: "Voucher No", "challan_number", "Date" ...
+const VOUCHER_HEADERS = [
+  "vouchernumber",
+  "voucherno",
+  "voucher",
+  "challannumber",
+  "challanno",
+  "challan",
+];
+const AMOUNT_HEADERS = ["amount", "amountpaid", "paidamount", "credit"];
+const DATE_HEADERS = ["paidon", "paiddate", "date", "transactiondate"];
+const REFERENCE_HEADERS = [
+  "reference",
+  "ref",
+  "referencenumber",
+  "transactionid",
+  "bankreference",
+];
+
+function normalizeHeader(cell) {
+  return cell.toLowerCase().replace(/[^a-z]/g, "");
+}
+
+function findColumn(columns, names) {
+  return columns.findIndex((column) => names.includes(column));
+}
+
+/**
+ * An empty bank file with the expected columns
+ * @returns {string}
+ */
+export function bankCsvTemplate() {
+  return toCsv([BANK_CSV_HEADER]);
+}
+
+/**
+ * Read the payment rows from a bank collection file
+ * @param {string} text - File contents
+ * @returns {{ rows: { line: number, voucherNumber: string, amount: string,
+ *   paidOn: string, reference: string }[], error: string|null }}
+ */
+export function parseBankCsv(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return { rows: [], error: "The file is empty" };
+  }
+
+  const columns = header.cells.map(normalizeHeader);
+  const voucherIndex = findColumn(columns, VOUCHER_HEADERS);
+  const amountIndex = findColumn(columns, AMOUNT_HEADERS);
+  const dateIndex = findColumn(columns, DATE_HEADERS);
+  const referenceIndex = findColumn(columns, REFERENCE_HEADERS);
+  if (voucherIndex === -1 || amountIndex === -1) {
+    return {
+      rows: [],
+      error:
+        'The first row must name a "Voucher Number" and an "Amount" column',
+    };
+  }
+  if (records.length === 0) {
+    return { rows: [], error: "The file has no payment rows" };
+  }
+
+  const cell = (cells, index) =>
+    (index === -1 ? "" : cells[index] || "").trim();
+  return {
+    rows: records.map(({ line, cells }) => ({
+      line,
+      voucherNumber: cell(cells, voucherIndex),
+      amount: cell(cells, amountIndex),
+      paidOn: cell(cells, dateIndex),
+      reference: cell(cells, referenceIndex),
+    })),
+    error: null,
+  };
+}
+
+function parseAmount(value) {
+  const amount = Number(String(value).replace(/,/g, ""));
+  return String(value).trim() !== "" && Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Match bank rows to issued challans
+ *
+ * Errors: missing, malformed or unknown voucher numbers, vouchers listed more
+ * than once, cancelled challans, unreadable dates and amounts that differ
+ * from the challan.
+ *
+ * @param {object[]} rows - From parseBankCsv
+ * @param {object[]} challans - Issued challans: { id, voucherNumber, amount,
+ *   status, validUntil, student }
+ * @returns {{ matches: object[], errors: object[], alreadyPaid: number }}
+ *   matches: [{ line, challan, amount, paidOn, reference, afterExpiry }]
+ *   errors: [{ line, voucherNumber, message }]
+ */
+export function previewReconciliation(rows, challans) {
+  const byVoucher = new Map(
+    challans.map((challan) => [challan.voucherNumber, challan])
+  );
+  const linesByVoucher = new Map();
+  rows.forEach((row) => {
+    const key = normalizeVoucherNumber(row.voucherNumber);
+    if (key) {
+      linesByVoucher.set(key, [...(linesByVoucher.get(key) || []), row.line]);
+    }
+  });
+
+  const matches = [];
+  const errors = [];
+  let alreadyPaid = 0;
+
+  rows.forEach((row) => {
+    const key = normalizeVoucherNumber(row.voucherNumber);
+    const fail = (message) =>
+      errors.push({
+        line: row.line,
+        voucherNumber: row.voucherNumber,
+        message,
+      });
+
+    if (!key) {
+      fail("Missing voucher number");
+      return;
+    }
+    if (!isValidVoucherNumber(key)) {
+      fail(`${row.voucherNumber} is not a valid voucher number`);
+      return;
+    }
+    const lines = linesByVoucher.get(key);
+    if (lines.length > 1) {
+      fail(`${key} appears more than once (lines ${lines.join(", ")})`);
+      return;
+    }
+    const challan = byVoucher.get(key);
+    if (!challan) {
+      fail(`No challan was issued with voucher number ${key}`);
+      return;
+    }
+    if (challan.status === CHALLAN_STATUS.PAID) {
+      alreadyPaid += 1;
+      return;
+    }
+    if (challan.status === CHALLAN_STATUS.CANCELLED) {
+      fail(`Challan ${key} was cancelled; refund or re-issue it manually`);
+      return;
+    }
+
+    const amount = parseAmount(row.amount);
+    if (amount === null) {
+      fail(`Amount "${row.amount}" is not a number`);
+      return;
+    }
+    if (amount !== challan.amount) {
+      fail(`Paid ${amount} but challan ${key} is for ${challan.amount}`);
+      return;
+    }
+    const paidOn = row.paidOn ? new Date(row.paidOn) : new Date();
+    if (Number.isNaN(paidOn.getTime())) {
+      fail(`"${row.paidOn}" is not a date`);
+      return;
+    }
+
+    matches.push({
+      line: row.line,
+      challan,
+      amount,
+      paidOn: paidOn.toISOString(),
+      reference: row.reference || null,
+      afterExpiry: paidOn.getTime() > Date.parse(challan.validUntil),
+    });
+  });
+
+  return { matches, errors, alreadyPaid };
+}
@@ -0,0 +1,166 @@
+/**
+ * Challan PDF layout
+ *
+ * One A4 page with the three copies banks expect, separated by cut lines:
+ * the bank keeps one, the university one and the student one. Each copy
+ * carries the voucher number, the student and fee details, the amount and
+ * the last date the bank will accept it.
+ */
+
+import { createPdf, PAGE_SIZE } from "@/lib/utils/pdf";
+import { formatCurrency, formatDate } from "@/lib/utils";
+import { ISSUER } from "@/lib/academics/transcript-pdf";
+import { BANK_ACCOUNT, formatVoucherNumber } from "@/lib/fees/challan";
+
+const MARGIN = 36;
+const COPIES = ["Bank Copy", "University Copy", "Student Copy"];
+const COPY_HEIGHT = (PAGE_SIZE.height - MARGIN * 2) / COPIES.length;
+const COLORS = {
+  brand: "#4338ca",
+  text: "#111827",
+  muted: "#6b7280",
+  rule: "#d1d5db",
+  band: "#eef2ff",
+};
+
+/**
+ * File name for a downloaded challan
+ * @param {object} challan - { voucherNumber }
+ * @returns {string}
+ */
+export function getChallanFileName(challan) {
+  return `Challan-${challan.voucherNumber}.pdf`;
+}
+
+/**
+ * Build the PDF for an issued challan
+ * @param {object} challan - { voucherNumber, amount, issuedAt, validUntil,
+ *   installmentNumber, fee: { type, semester }, student: { fullName,
+ *   rollNumber, program } }
+ * @returns {object} PDF document (see lib/utils/pdf.js)
+ */
+export function buildChallanPdf(challan) {
+  const pdf = createPdf().addPage();
+  const left = MARGIN;
+  const right = PAGE_SIZE.width - MARGIN;
+  const width = right - left;
+
+  const feeLabel = challan.installmentNumber
+    ? `${challan.fee.type} (installment ${challan.installmentNumber})`
+    : challan.fee.type;
+  const details = [
+    ["Student", challan.student.fullName],
+    ["Roll Number", challan.student.rollNumber],
+    ["Program", challan.student.program],
+    ["Fee", feeLabel],
+    ["Semester", challan.fee.semester],
+    ["Issued", formatDate(challan.issuedAt)],
+  ];
+
+  COPIES.forEach((copy, index) => {
+    const top = MARGIN + index * COPY_HEIGHT;
+
+    if (index > 0) {
+      pdf.line(left, top, right, top, {
+        color: COLORS.muted,
+        dash: [4, 3],
+      });
+    }
+
+    // Header band
+    pdf.rect(left, top + 12, width, 36, { fill: COLORS.band });
+    pdf.text(ISSUER.name, left + 10, top + 28, {
+      size: 12,
+      bold: true,
+      color: COLORS.brand,
+    });
+    pdf.text(
+      `${BANK_ACCOUNT.bank} · A/C ${BANK_ACCOUNT.accountNumber} · ` +
+        BANK_ACCOUNT.title,
+      left + 10,
+      top + 41,
+      { size: 8, color: COLORS.muted }
+    );
+    pdf.text(copy.toUpperCase(), right - 10, top + 28, {
+      size: 9,
+      bold: true,
+      color: COLORS.text,
+      align: "right",
+    });
+    pdf.text("Fee Challan", right - 10, top + 41, {
+      size: 8,
+      color: COLORS.muted,
+      align: "right",
+    });
+
+    // Voucher number
+    pdf.text("Voucher Number", left, top + 68, {
+      size: 8,
+      color: COLORS.muted,
+    });
+    pdf.text(formatVoucherNumber(challan.voucherNumber), left, top + 86, {
+      size: 16,
+      bold: true,
+      color: COLORS.text,
+    });
+
+    // Student and fee details, two columns
+    details.forEach(([label, value], detailIndex) => {
+      const column = detailIndex % 2;
+      const row = Math.floor(detailIndex / 2);
+      const x = left + column * (width / 2);
+      const y = top + 110 + row * 16;
+      pdf.text(label, x, y, { size: 8, color: COLORS.muted });
+      pdf.text(value || "-", x + 70, y, {
+        size: 9,
+        bold: true,
+        color: COLORS.text,
+      });
+    });
+
+    // Amount and validity
+    const boxTop = top + 164;
+    pdf.rect(left, boxTop, width * 0.6, 44, { stroke: COLORS.brand });
+    pdf.text("Amount Payable", left + 10, boxTop + 16, {
+      size: 8,
+      color: COLORS.muted,
+    });
+    pdf.text(formatCurrency(challan.amount), left + 10, boxTop + 35, {
+      size: 16,
+      bold: true,
+      color: COLORS.brand,
+    });
+    pdf.text("Pay by", left + width * 0.6 - 10, boxTop + 16, {
+      size: 8,
+      color: COLORS.muted,
+      align: "right",
+    });
+    pdf.text(
+      formatDate(challan.validUntil),
+      left + width * 0.6 - 10,
+      boxTop + 35,
+      { size: 11, bold: true, color: COLORS.text, align: "right" }
+    );
+
+    // Bank stamp
+    pdf.rect(right - width * 0.35, boxTop, width * 0.35, 44, {
+      stroke: COLORS.rule,
+    });
+    pdf.text(
+      "Bank stamp and signature",
+      right - width * 0.175,
+      boxTop + 40,
+      { size: 7, color: COLORS.muted, align: "center" }
+    );
+
+    pdf.text(
+      "Not accepted after the pay-by date. Payment is posted to the " +
+        "student's account once the bank reports it.",
+      left,
+      boxTop + 60,
+      { size: 7, color: COLORS.muted }
+    );
+  });
+
+  return pdf;
+}
@@ -0,0 +1,120 @@
+/**
+ * Bank Challans
+ *
+ * A challan (bank voucher) lets a student pay a fee over the counter at the
+ * university's bank. Each one has a unique numeric voucher number the bank
+ * keys in and reports back in its daily collection file, which the accounts
+ * office uploads to mark the challans paid (lib/fees/bank-reconciliation.js).
+ *
+ * Voucher numbers are 11 digits: issue year and month (YYMM), a 6-digit
+ * sequence, and a Luhn check digit that catches single-digit typos and most
+ * swapped digits.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const CHALLAN_STATUS = {
+  UNPAID: "unpaid",
+  PAID: "paid",
+  EXPIRED: "expired",
+  CANCELLED: "cancelled",
+};
+
+// Where challans are paid
+export const BANK_ACCOUNT = {
+  bank: "HBL Bank",
+  title: "My Class Portal University",
+  accountNumber: "1234567890",
+};
+
+// Challans for overdue fees are still accepted for this long
+export const OVERDUE_CHALLAN_DAYS = 7;
+
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let value = Number(char);
+    if (index % 2 === 0) {
+      value *= 2;
+      if (value > 9) value -= 9;
+    }
+    sum += value;
+  });
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Voucher number for the n-th challan issued
+ * @param {number} sequence - 1-based, unique across all challans
+ * @param {Date} [date] - Issue date (default: now)
+ * @returns {string} 11 digits
+ */
+export function generateVoucherNumber(sequence, date = new Date()) {
+  const prefix =
+    String(date.getFullYear() % 100).padStart(2, "0") +
+    String(date.getMonth() + 1).padStart(2, "0") +
+    String(sequence % 1000000).padStart(6, "0");
+  return prefix + luhnCheckDigit(prefix);
+}
+
+/**
+ * Voucher number with spaces and dashes removed
+ * @param {string} input
+ * @returns {string}
+ */
+export function normalizeVoucherNumber(input) {
+  return String(input || "").replace(/[\s-]/g, "");
+}
+
+/**
+ * Whether a voucher number is well formed and its check digit matches
+ * @param {string} voucherNumber
+ * @returns {boolean}
+ */
+export function isValidVoucherNumber(voucherNumber) {
+  const value = normalizeVoucherNumber(voucherNumber);
+  return (
+    /^\d{11}$/.test(value) &&
+    luhnCheckDigit(value.slice(0, -1)) === value.slice(-1)
+  );
+}
+
+/**
+ * Voucher number grouped for reading, e.g. "2503-000012-4"
+ * @param {string} voucherNumber
+ * @returns {string}
+ */
+export function formatVoucherNumber(voucherNumber) {
+  const value = normalizeVoucherNumber(voucherNumber);
+  if (value.length !== 11) return value;
+  return `${value.slice(0, 4)}-${value.slice(4, 10)}-${value.slice(10)}`;
+}
+
+/**
+ * Last day the bank accepts a new challan: the fee's next due date, or a
+ * week from now when that has already passed
+ * @param {string} dueDate - ISO date of the amount being paid
+ * @param {number} [now] - Timestamp in ms (default: current time)
+ * @returns {string} ISO date-time
+ */
+export function getChallanValidity(dueDate, now = Date.now()) {
+  const due = Date.parse(dueDate);
+  const validUntil = due >= now ? due : now + OVERDUE_CHALLAN_DAYS * DAY_MS;
+  return new Date(validUntil).toISOString();
+}
+
+/**
+ * Status of a challan, with unpaid ones past their validity shown as expired
+ * @param {object} challan - { status, validUntil }
+ * @param {number} [now] - Timestamp in ms (default: current time)
+ * @returns {string} CHALLAN_STATUS value
+ */
+export function getChallanStatus(challan, now = Date.now()) {
+  if (
+    challan.status === CHALLAN_STATUS.UNPAID &&
+    Date.parse(challan.validUntil) < now
+  ) {
+    return CHALLAN_STATUS.EXPIRED;
+  }
+  return challan.status;
+}
@@ -0,0 +1,280 @@
+/**
+ * Late Fee Rules
+ *
+ * The accounts office defines late fee rules; each applies to some fee types
+ * (or to every fee when it names none):
+ * - flat: a one-off fine once a due date is more than `graceDays` past
+ * - per_day: `amount` for every day past the grace period, optionally
+ *   capped at `cap`
+ *
+ * Fines are worked out per due date (each installment of a plan is late on
+ * its own) from when the payments settled it: a fine stops growing once the
+ * installment is paid. Each late installment gets one fine transaction,
+ * tagged with `lateFee` and carrying a copy of the rule's terms, so editing
+ * a rule later never changes fines already charged. Waiving any part of a
+ * late fee also stops it from growing.
+ *
+ * A rule only applies to dues that fall after it was created, so adding a
+ * rule never fines payments that were late in the past.
+ */
+
+import { TRANSACTION_TYPES } from "@/lib/fees/ledger";
+import { formatCurrency } from "@/lib/utils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LATE_FEE_SCHEDULES = {
+  FLAT: "flat",
+  PER_DAY: "per_day",
+};
+
+export const LATE_FEE_SCHEDULE_LABELS = {
+  [LATE_FEE_SCHEDULES.FLAT]: "Flat fine",
+  [LATE_FEE_SCHEDULES.PER_DAY]: "Per day",
+};
+
+// The part of a rule copied onto every fine it charges
+const TERM_FIELDS = ["schedule", "amount", "graceDays", "cap"];
+
+/**
+ * Why a late fee rule cannot be saved, if it cannot
+ * @param {object} rule - { name, feeTypes, schedule, amount, graceDays, cap }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateLateFeeRule(rule) {
+  if (!rule.name?.trim()) return "Enter a rule name";
+  if (!Object.values(LATE_FEE_SCHEDULES).includes(rule.schedule)) {
+    return "Choose a flat or per-day schedule";
+  }
+  if (!Number.isInteger(rule.amount) || rule.amount <= 0) {
+    return "The fine must be a whole number of rupees above 0";
+  }
+  if (!Number.isInteger(rule.graceDays) || rule.graceDays < 0) {
+    return "Grace days must be 0 or more";
+  }
+  if (rule.cap !== null) {
+    if (rule.schedule !== LATE_FEE_SCHEDULES.PER_DAY) {
+      return "Only per-day fines can be capped";
+    }
+    if (!Number.isInteger(rule.cap) || rule.cap < rule.amount) {
+      return "The cap must be a whole number no lower than the daily fine";
+    }
+  }
+  if (!Array.isArray(rule.feeTypes)) return "Choose the fee types";
+  return null;
+}
+
+/**
+ * One-line summary of a rule's terms
+ * @param {object} terms - { schedule, amount, graceDays, cap }
+ * @returns {string} e.g. "Rs 200 per day after 3 days, up to Rs 5,000"
+ */
+export function describeLateFeeRule(terms) {
+  const grace =
+    terms.graceDays > 0
+      ? ` after ${terms.graceDays} day${terms.graceDays === 1 ? "" : "s"}`
+      : " from the day after the due date";
+  if (terms.schedule === LATE_FEE_SCHEDULES.FLAT) {
+    return `${formatCurrency(terms.amount)} once${grace}`;
+  }
+  const cap = terms.cap ? `, up to ${formatCurrency(terms.cap)}` : "";
+  return `${formatCurrency(terms.amount)} per day${grace}${cap}`;
+}
+
+/**
+ * Rule that applies to a fee: an active rule naming its type, else an
+ * active rule for all fee types
+ * @param {object} fee - { type }
+ * @param {object[]} rules
+ * @returns {object|null}
+ */
+export function findLateFeeRule(fee, rules) {
+  const active = rules.filter((rule) => rule.active);
+  return (
+    active.find((rule) => rule.feeTypes.includes(fee.type)) ||
+    active.find((rule) => rule.feeTypes.length === 0) ||
+    null
+  );
+}
+
+/**
+ * Fine for a due that is `daysLate` days late
+ * @param {object} terms - { schedule, amount, graceDays, cap }
+ * @param {number} daysLate
+ * @returns {number}
+ */
+export function calculateLateFee(terms, daysLate) {
+  const chargeableDays = daysLate - terms.graceDays;
+  if (chargeableDays <= 0) return 0;
+  if (terms.schedule === LATE_FEE_SCHEDULES.FLAT) return terms.amount;
+  const fine = terms.amount * chargeableDays;
+  return terms.cap ? Math.min(fine, terms.cap) : fine;
+}
+
+// Payments and waivers towards the fee itself, oldest first
+function creditsFor(fee, transactions) {
+  return transactions
+    .filter(
+      (t) =>
+        String(t.feeId) === String(fee.id) &&
+        (t.type === TRANSACTION_TYPES.PAYMENT ||
+          (t.type === TRANSACTION_TYPES.WAIVER && !t.fineId))
+    )
+    .sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+}
+
+/**
+ * Each due date of a fee (its installments, or the fee itself) with when it
+ * was settled and how many days late it is or was
+ * @param {object} fee - { id, amount, dueDate, installments }
+ * @param {object[]} transactions
+ * @param {number} [now] - Timestamp in ms
+ * @returns {{ installmentNumber: number|null, dueDate: string,
+ *   settledAt: string|null, daysLate: number }[]}
+ */
+export function getLateDues(fee, transactions, now = Date.now()) {
+  const dues = fee.installments?.length
+    ? fee.installments
+    : [{ number: null, amount: fee.amount, dueDate: fee.dueDate }];
+  const credits = creditsFor(fee, transactions);
+
+  let owed = 0;
+  return dues.map((due) => {
+    owed += due.amount;
+    let credited = 0;
+    const settling = credits.find((credit) => {
+      credited += Number(credit.amount);
+      return credited >= owed;
+    });
+    const settledAt = settling ? settling.date : null;
+    const end = settledAt ? Math.min(Date.parse(settledAt), now) : now;
+    return {
+      installmentNumber: due.number,
+      dueDate: due.dueDate,
+      settledAt,
+      daysLate: Math.max(
+        0,
+        Math.floor((end - Date.parse(due.dueDate)) / DAY_MS)
+      ),
+    };
+  });
+}
+
+function describeFine(fee, due, daysLate) {
+  const installment = due.installmentNumber
+    ? ` (installment ${due.installmentNumber})`
+    : "";
+  return `Late fee · ${fee.type}${installment} · ${daysLate} day${
+    daysLate === 1 ? "" : "s"
+  } late`;
+}
+
+/**
+ * Late fee changes due on a fee: fines to charge for newly late dues, and
+ * growing fines to bring up to date
+ * @param {object} fee - { id, studentId, type, amount, dueDate, installments }
+ * @param {object[]} transactions - The student's transactions
+ * @param {object[]} rules - All late fee rules
+ * @param {number} [now] - Timestamp in ms
+ * @returns {{ charge: object[], update: object[] }} New fine transactions
+ *   (without ids) and { id, amount, daysLate, description } updates
+ */
+export function assessLateFees(fee, transactions, rules, now = Date.now()) {
+  const own = transactions.filter((t) => String(t.feeId) === String(fee.id));
+  const lateFines = own.filter(
+    (t) => t.type === TRANSACTION_TYPES.FINE && t.lateFee
+  );
+  const waivedFineIds = new Set(
+    own.filter((t) => t.fineId).map((t) => String(t.fineId))
+  );
+  const rule = findLateFeeRule(fee, rules);
+  const charge = [];
+  const update = [];
+
+  getLateDues(fee, transactions, now).forEach((due) => {
+    if (due.daysLate === 0) return;
+    const existing = lateFines.find(
+      (t) => t.lateFee.installmentNumber === due.installmentNumber
+    );
+
+    if (existing) {
+      if (waivedFineIds.has(String(existing.id))) return;
+      if (existing.lateFee.daysLate === due.daysLate) return;
+      update.push({
+        id: existing.id,
+        amount: calculateLateFee(existing.lateFee, due.daysLate),
+        daysLate: due.daysLate,
+        description: describeFine(fee, due, due.daysLate),
+      });
+      return;
+    }
+
+    if (!rule || Date.parse(due.dueDate) < Date.parse(rule.createdAt)) return;
+    const amount = calculateLateFee(rule, due.daysLate);
+    if (amount <= 0) return;
+    charge.push({
+      studentId: fee.studentId,
+      feeId: fee.id,
+      type: TRANSACTION_TYPES.FINE,
+      amount,
+      // First day the fine applied
+      date: new Date(
+        Date.parse(due.dueDate) + (rule.graceDays + 1) * DAY_MS
+      ).toISOString(),
+      description: describeFine(fee, due, due.daysLate),
+      lateFee: {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        ...Object.fromEntries(TERM_FIELDS.map((field) => [field, rule[field]])),
+        installmentNumber: due.installmentNumber,
+        daysLate: due.daysLate,
+      },
+    });
+  });
+
+  return { charge, update };
+}
+
+/**
+ * What is left of a fine after the waivers against it
+ * @param {object} fine - Fine transaction
+ * @param {object[]} transactions - The student's transactions
+ * @returns {number}
+ */
+export function getFineOutstanding(fine, transactions) {
+  const waived = transactions
+    .filter(
+      (t) =>
+        t.type === TRANSACTION_TYPES.WAIVER &&
+        String(t.fineId) === String(fine.id)
+    )
+    .reduce((total, t) => total + Number(t.amount), 0);
+  return Number(fine.amount) - waived;
+}
+
+/**
+ * Why a fine waiver cannot be granted, if it cannot
+ * @param {object} waiver - { amount, reason }
+ * @param {number} outstanding - From getFineOutstanding()
+ * @param {number} feeBalance - The fee's balance (a waiver may not leave
+ *   the student in credit)
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateFineWaiver({ amount, reason }, outstanding, feeBalance) {
+  const value = Number(amount);
+  if (!Number.isInteger(value) || value <= 0) {
+    return "Waive a whole number of rupees above 0";
+  }
+  if (value > outstanding) {
+    return `Only ${formatCurrency(outstanding)} of this fine is left to waive`;
+  }
+  if (value > feeBalance) {
+    return `The student only owes ${formatCurrency(
+      Math.max(feeBalance, 0)
+    )} on this fee`;
+  }
+  if (String(reason || "").trim().length < 10) {
+    return "Give a reason of at least 10 characters for the audit log";
+  }
+  return null;
+}
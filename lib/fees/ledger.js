@@ -0,0 +1,309 @@
+/**
+ * Student Fee Ledger
+ *
+ * A student's account is made of fees (charges with a due date) and the
+ * transactions posted against them:
+ * - fine: added to what is owed on a fee
+ * - payment: money received, online or through a bank challan
+ * - waiver: part of the fee (or a fine) forgiven by the accounts office;
+ *   a waiver of a fine names it in `fineId`
+ *
+ * Balances are never stored; they are worked out from the fee and its
+ * transactions. A fee can be split into an installment plan, in which case
+ * payments and waivers settle the installments in order and the fee is
+ * overdue as soon as an installment is past due.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const TRANSACTION_TYPES = {
+  FINE: "fine",
+  PAYMENT: "payment",
+  WAIVER: "waiver",
+};
+
+export const ENTRY_TYPE_LABELS = {
+  charge: "Fee",
+  [TRANSACTION_TYPES.FINE]: "Fine",
+  [TRANSACTION_TYPES.PAYMENT]: "Payment",
+  [TRANSACTION_TYPES.WAIVER]: "Waiver",
+};
+
+export const PAYMENT_METHOD_LABELS = {
+  online_payment: "Online Payment",
+  card: "Credit/Debit Card",
+  bank_transfer: "Bank Transfer",
+  bank_challan: "Bank Challan",
+  cash: "Cash",
+  easypaisa: "EasyPaisa",
+  jazzcash: "JazzCash",
+};
+
+export const FEE_STATUS = {
+  PENDING: "pending",
+  PARTIAL: "partial",
+  OVERDUE: "overdue",
+  PAID: "paid",
+};
+
+export const FEE_TYPES = ["Tuition Fee", "Lab Fee", "Library Fee"];
+
+export const MIN_INSTALLMENTS = 2;
+
+function sumOf(transactions, type) {
+  return transactions
+    .filter((t) => t.type === type)
+    .reduce((total, t) => total + Number(t.amount), 0);
+}
+
+function transactionsFor(fee, transactions) {
+  return transactions.filter((t) => String(t.feeId) === String(fee.id));
+}
+
+/**
+ * Split a fee into equal monthly installments
+ * Amounts are whole rupees; the last installment takes the remainder.
+ * @param {object} fee - { amount, dueDate }
+ * @param {number} count - Number of installments
+ * @returns {{ number: number, amount: number, dueDate: string }[]}
+ */
+export function createInstallmentPlan(fee, count) {
+  const base = Math.floor(fee.amount / count);
+  return Array.from({ length: count }, (_, index) => {
+    // Same day each month, or the month's last day when it is shorter
+    const dueDate = new Date(fee.dueDate);
+    const day = dueDate.getDate();
+    dueDate.setDate(1);
+    dueDate.setMonth(dueDate.getMonth() + index);
+    const lastDay = new Date(
+      dueDate.getFullYear(),
+      dueDate.getMonth() + 1,
+      0
+    ).getDate();
+    dueDate.setDate(Math.min(day, lastDay));
+    return {
+      number: index + 1,
+      amount: index === count - 1 ? fee.amount - base * (count - 1) : base,
+      dueDate: dueDate.toISOString(),
+    };
+  });
+}
+
+/**
+ * Why a fee cannot be split into `count` installments, if it cannot
+ * @param {object} fee - { maxInstallments, installments }
+ * @param {object} summary - From getFeeSummary()
+ * @param {number} count
+ * @returns {string|null} Error message, or null when allowed
+ */
+export function validateInstallmentPlan(fee, summary, count) {
+  const max = fee.maxInstallments || 1;
+  if (max < MIN_INSTALLMENTS) {
+    return "This fee has to be paid in full";
+  }
+  if (fee.installments?.length) {
+    return "This fee already has an installment plan";
+  }
+  if (summary.paid > 0 || summary.waived > 0) {
+    return "Fees that are partly paid cannot be split into installments";
+  }
+  if (!Number.isInteger(count) || count < MIN_INSTALLMENTS || count > max) {
+    return `Choose between ${MIN_INSTALLMENTS} and ${max} installments`;
+  }
+  return null;
+}
+
+/**
+ * What is owed on a fee, paid and still due
+ * @param {object} fee - { id, amount, dueDate, installments }
+ * @param {object[]} transactions - The student's transactions (any fee)
+ * @param {number} [now] - Timestamp in ms (default: current time)
+ * @returns {object} { charged, fines, paid, waived, balance, status,
+ *   installments, nextDue: { amount, dueDate } | null, daysOverdue }
+ */
+export function getFeeSummary(fee, transactions, now = Date.now()) {
+  const own = transactionsFor(fee, transactions);
+  const fines = sumOf(own, TRANSACTION_TYPES.FINE);
+  const paid = sumOf(own, TRANSACTION_TYPES.PAYMENT);
+  const waived = sumOf(own, TRANSACTION_TYPES.WAIVER);
+  const balance = fee.amount + fines - paid - waived;
+  const finesWaived = own
+    .filter((t) => t.type === TRANSACTION_TYPES.WAIVER && t.fineId)
+    .reduce((total, t) => total + Number(t.amount), 0);
+  const finesDue = fines - finesWaived;
+
+  // Credits settle the installments in order; fines are owed on top
+  let credit = paid + waived - finesWaived;
+  const installments = (fee.installments || []).map((installment) => {
+    const settled = Math.min(installment.amount, Math.max(credit, 0));
+    credit -= settled;
+    const remaining = installment.amount - settled;
+    return {
+      ...installment,
+      paid: settled,
+      balance: remaining,
+      status:
+        remaining <= 0
+          ? FEE_STATUS.PAID
+          : Date.parse(installment.dueDate) < now
+            ? FEE_STATUS.OVERDUE
+            : settled > 0
+              ? FEE_STATUS.PARTIAL
+              : FEE_STATUS.PENDING,
+    };
+  });
+
+  let nextDue = null;
+  if (balance > 0) {
+    const open = installments.find((i) => i.balance > 0);
+    nextDue = open
+      ? {
+          amount: Math.min(open.balance + finesDue, balance),
+          dueDate: open.dueDate,
+        }
+      : { amount: balance, dueDate: fee.dueDate };
+  }
+
+  const dueDate = nextDue ? Date.parse(nextDue.dueDate) : null;
+  const overdue = dueDate !== null && dueDate < now;
+  let status = FEE_STATUS.PENDING;
+  if (balance <= 0) status = FEE_STATUS.PAID;
+  else if (overdue) status = FEE_STATUS.OVERDUE;
+  else if (paid > 0 || waived > 0) status = FEE_STATUS.PARTIAL;
+
+  return {
+    charged: fee.amount,
+    fines,
+    paid,
+    waived,
+    balance,
+    status,
+    installments,
+    nextDue,
+    daysOverdue: overdue ? Math.floor((now - dueDate) / DAY_MS) : 0,
+  };
+}
+
+/**
+ * Account statement: every charge and transaction in date order with the
+ * running balance (positive means the student owes money)
+ * @param {object[]} fees
+ * @param {object[]} transactions
+ * @returns {object[]} [{ id, date, type, feeId, description, reference,
+ *   debit, credit, balance }]
+ */
+export function buildLedger(fees, transactions) {
+  const feeNames = new Map(
+    fees.map((fee) => [String(fee.id), `${fee.type} · ${fee.semester}`])
+  );
+  const entries = [
+    ...fees.map((fee) => ({
+      id: `fee-${fee.id}`,
+      date: fee.createdAt,
+      type: "charge",
+      feeId: fee.id,
+      description: feeNames.get(String(fee.id)),
+      reference: null,
+      debit: fee.amount,
+      credit: 0,
+    })),
+    ...transactions.map((t) => {
+      const isDebit = t.type === TRANSACTION_TYPES.FINE;
+      return {
+        id: `txn-${t.id}`,
+        date: t.date,
+        type: t.type,
+        feeId: t.feeId,
+        description:
+          t.description || feeNames.get(String(t.feeId)) || "Adjustment",
+        reference: t.reference || null,
+        debit: isDebit ? Number(t.amount) : 0,
+        credit: isDebit ? 0 : Number(t.amount),
+      };
+    }),
+  ].sort(
+    (a, b) =>
+      Date.parse(a.date) - Date.parse(b.date) ||
+      // Same moment: charges before what is posted against them
+      (a.type === "charge" ? -1 : 0) - (b.type === "charge" ? -1 : 0)
+  );
+
+  let balance = 0;
+  return entries.map((entry) => {
+    balance += entry.debit - entry.credit;
+    return { ...entry, balance };
+  });
+}
+
+/**
+ * Totals across a student's fees
+ * @param {object[]} summaries - getFeeSummary() results
+ * @returns {{ balance: number, paid: number, fines: number, waived: number,
+ *   openCount: number, overdueCount: number }}
+ */
+export function getAccountTotals(summaries) {
+  return summaries.reduce(
+    (totals, summary) => ({
+      balance: totals.balance + summary.balance,
+      paid: totals.paid + summary.paid,
+      fines: totals.fines + summary.fines,
+      waived: totals.waived + summary.waived,
+      openCount: totals.openCount + (summary.balance > 0 ? 1 : 0),
+      overdueCount:
+        totals.overdueCount +
+        (summary.status === FEE_STATUS.OVERDUE ? 1 : 0),
+    }),
+    {
+      balance: 0,
+      paid: 0,
+      fines: 0,
+      waived: 0,
+      openCount: 0,
+      overdueCount: 0,
+    }
+  );
+}
+
+/**
+ * Amounts offered when paying a fee: the next installment (when the fee has
+ * a plan) and the full balance
+ * @param {object} summary - From getFeeSummary()
+ * @returns {{ value: string, label: string, amount: number }[]}
+ */
+export function getPaymentOptions(summary) {
+  if (summary.balance <= 0) return [];
+  const options = [];
+  if (summary.nextDue && summary.nextDue.amount < summary.balance) {
+    options.push({
+      value: "installment",
+      label: "Next installment",
+      amount: summary.nextDue.amount,
+    });
+  }
+  options.push({
+    value: "balance",
+    label: "Full balance",
+    amount: summary.balance,
+  });
+  return options;
+}
+
+/**
+ * Why an amount cannot be paid towards a fee, if it cannot
+ * @param {number|string} amount
+ * @param {object} summary - From getFeeSummary()
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePaymentAmount(amount, summary) {
+  const value = Number(amount);
+  if (amount === "" || amount === null || !Number.isFinite(value)) {
+    return "Enter an amount";
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    return "Amount must be a whole number of rupees above 0";
+  }
+  if (value > summary.balance) {
+    return "Amount is more than the balance on this fee";
+  }
+  return null;
+}
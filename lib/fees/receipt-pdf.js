@@ -0,0 +1,127 @@
+/**
+ * Payment receipt PDF layout
+ *
+ * One A4 page acknowledging a payment posted to a student's fee account:
+ * the receipt number, student and fee details, how the payment was made
+ * (with the gateway or bank transaction ID) and the amount received.
+ */
+
+import { createPdf, PAGE_SIZE } from "@/lib/utils/pdf";
+import { formatCurrency, formatDate } from "@/lib/utils";
+import { ISSUER } from "@/lib/academics/transcript-pdf";
+import { PAYMENT_METHOD_LABELS } from "@/lib/fees/ledger";
+
+const MARGIN = 56;
+const COLORS = {
+  brand: "#4338ca",
+  text: "#111827",
+  muted: "#6b7280",
+  rule: "#d1d5db",
+  band: "#eef2ff",
+};
+
+/**
+ * Receipt number for a payment transaction
+ * @param {object} payment - { id }
+ * @returns {string} e.g. "RCT-000042"
+ */
+export function getReceiptNumber(payment) {
+  return `RCT-${String(payment.id).padStart(6, "0")}`;
+}
+
+/**
+ * File name for a downloaded receipt
+ * @param {object} payment - { id }
+ * @returns {string}
+ */
+export function getReceiptFileName(payment) {
+  return `Receipt-${getReceiptNumber(payment)}.pdf`;
+}
+
+/**
+ * Build the receipt for a payment
+ * @param {object} payment - Payment transaction { id, amount, date, method,
+ *   reference, gateway }
+ * @param {object} fee - { type, semester }
+ * @param {object} student - { fullName, rollNumber, program }
+ * @returns {object} PDF document (see lib/utils/pdf.js)
+ */
+export function buildReceiptPdf(payment, fee, student) {
+  const pdf = createPdf().addPage();
+  const left = MARGIN;
+  const right = PAGE_SIZE.width - MARGIN;
+  const width = right - left;
+
+  // Header band
+  pdf.rect(left, MARGIN, width, 56, { fill: COLORS.band });
+  pdf.text(ISSUER.name, left + 14, MARGIN + 24, {
+    size: 14,
+    bold: true,
+    color: COLORS.brand,
+  });
+  pdf.text("Accounts Office", left + 14, MARGIN + 42, {
+    size: 9,
+    color: COLORS.muted,
+  });
+  pdf.text("PAYMENT RECEIPT", right - 14, MARGIN + 24, {
+    size: 11,
+    bold: true,
+    color: COLORS.text,
+    align: "right",
+  });
+  pdf.text(getReceiptNumber(payment), right - 14, MARGIN + 42, {
+    size: 9,
+    color: COLORS.muted,
+    align: "right",
+  });
+
+  const methodLabel = PAYMENT_METHOD_LABELS[payment.method] || payment.method;
+  const details = [
+    ["Student", student?.fullName],
+    ["Roll Number", student?.rollNumber],
+    ["Program", student?.program],
+    ["Fee", fee?.type],
+    ["Semester", fee?.semester],
+    ["Payment Date", formatDate(payment.date)],
+    [
+      "Paid With",
+      payment.gateway ? `${methodLabel} via ${payment.gateway}` : methodLabel,
+    ],
+    ["Transaction ID", payment.reference],
+  ];
+
+  let y = MARGIN + 96;
+  details.forEach(([label, value]) => {
+    pdf.text(label, left, y, { size: 9, color: COLORS.muted });
+    pdf.text(value || "-", left + 110, y, {
+      size: 10,
+      bold: true,
+      color: COLORS.text,
+    });
+    pdf.line(left, y + 8, right, y + 8, { color: COLORS.rule });
+    y += 24;
+  });
+
+  // Amount
+  y += 12;
+  pdf.rect(left, y, width, 52, { stroke: COLORS.brand });
+  pdf.text("Amount Received", left + 14, y + 20, {
+    size: 9,
+    color: COLORS.muted,
+  });
+  pdf.text(formatCurrency(payment.amount), left + 14, y + 40, {
+    size: 18,
+    bold: true,
+    color: COLORS.brand,
+  });
+
+  pdf.text(
+    "This receipt is generated by the student portal and does not need a " +
+      "signature. Quote the receipt number in any query about this payment.",
+    left,
+    y + 76,
+    { size: 8, color: COLORS.muted }
+  );
+
+  return pdf;
+}
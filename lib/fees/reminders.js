@@ -0,0 +1,83 @@
+/**
+ * Fee Reminders
+ *
+ * Warnings about a student's open fees: a fee (or its next installment)
+ * falling due within FEE_REMINDER_DAYS, and fees already overdue. They are
+ * shown on the dashboard and sent as notifications; each reminder has a key
+ * that is the same for the same fee and due date, so it is only sent once.
+ */
+
+import { FEE_STATUS } from "@/lib/fees/ledger";
+import { formatCurrency, formatDate } from "@/lib/utils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const FEE_REMINDER_DAYS = 7;
+
+export const FEE_REMINDER_KINDS = {
+  DUE_SOON: "fee-due-soon",
+  OVERDUE: "fee-overdue",
+};
+
+function dueIn(days) {
+  if (days <= 0) return "today";
+  if (days === 1) return "tomorrow";
+  return `in ${days} days`;
+}
+
+/**
+ * Reminders for a student's fees, most urgent first
+ * @param {object[]} fees - Fees with `summary` (getFeeSummary()) and, when
+ *   a late fee rule applies, `lateFeeRule` { description }
+ * @param {number} [now] - Timestamp in ms
+ * @returns {{ key: string, kind: string, type: string, feeId: string,
+ *   title: string, message: string, amount: number, dueDate: string }[]}
+ */
+export function getFeeReminders(fees, now = Date.now()) {
+  return fees
+    .filter((fee) => fee.summary.balance > 0 && fee.summary.nextDue)
+    .map((fee) => {
+      const { nextDue, status, daysOverdue } = fee.summary;
+      const name = `${fee.semester} ${fee.type}`;
+      const amount = formatCurrency(nextDue.amount);
+
+      if (status === FEE_STATUS.OVERDUE) {
+        const fines =
+          fee.summary.fines > 0
+            ? ` Late fees so far: ${formatCurrency(fee.summary.fines)}.`
+            : "";
+        return {
+          key: `${FEE_REMINDER_KINDS.OVERDUE}:${fee.id}:${nextDue.dueDate}`,
+          kind: FEE_REMINDER_KINDS.OVERDUE,
+          type: "alert",
+          feeId: fee.id,
+          title: `${fee.type} overdue`,
+          message: `${amount} of your ${name} was due on ${formatDate(
+            nextDue.dueDate
+          )} (${daysOverdue} day${daysOverdue === 1 ? "" : "s"} ago).${fines}`,
+          amount: nextDue.amount,
+          dueDate: nextDue.dueDate,
+        };
+      }
+
+      const daysLeft = Math.ceil((Date.parse(nextDue.dueDate) - now) / DAY_MS);
+      if (daysLeft > FEE_REMINDER_DAYS) return null;
+      const policy = fee.lateFeeRule
+        ? ` Late fee: ${fee.lateFeeRule.description}.`
+        : "";
+      return {
+        key: `${FEE_REMINDER_KINDS.DUE_SOON}:${fee.id}:${nextDue.dueDate}`,
+        kind: FEE_REMINDER_KINDS.DUE_SOON,
+        type: "warning",
+        feeId: fee.id,
+        title: `${fee.type} due ${dueIn(daysLeft)}`,
+        message: `Pay ${amount} of your ${name} by ${formatDate(
+          nextDue.dueDate
+        )}.${policy}`,
+        amount: nextDue.amount,
+        dueDate: nextDue.dueDate,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a.dueDate) - Date.parse(b.dueDate));
+}
@@ -0,0 +1,180 @@
+/**
+ * Library Catalogue
+ *
+ * The catalogue lists titles (one record per ISBN) and the physical copies
+ * of each, identified by accession number. Whether a copy can be borrowed
+ * is worked out from its condition, the open loans and the holds:
+ * - lost or damaged copies are withdrawn
+ * - a copy with an open loan is on loan until it is returned
+ * - a returned copy set aside for the next reservation is on hold shelf
+ * - anything else is available
+ */
+
+import { HOLD_STATUS } from "@/lib/library/circulation";
+
+export const COPY_CONDITIONS = {
+  GOOD: "good",
+  DAMAGED: "damaged",
+  LOST: "lost",
+};
+
+export const COPY_STATUS = {
+  AVAILABLE: "available",
+  ON_LOAN: "on_loan",
+  ON_HOLD_SHELF: "on_hold_shelf",
+  WITHDRAWN: "withdrawn",
+};
+
+export const COPY_STATUS_LABELS = {
+  [COPY_STATUS.AVAILABLE]: "Available",
+  [COPY_STATUS.ON_LOAN]: "On loan",
+  [COPY_STATUS.ON_HOLD_SHELF]: "On hold shelf",
+  [COPY_STATUS.WITHDRAWN]: "Withdrawn",
+};
+
+export const SEARCH_FIELDS = {
+  ALL: "all",
+  TITLE: "title",
+  AUTHOR: "author",
+  ISBN: "isbn",
+  SUBJECT: "subject",
+};
+
+export const SEARCH_FIELD_LABELS = {
+  [SEARCH_FIELDS.ALL]: "All fields",
+  [SEARCH_FIELDS.TITLE]: "Title",
+  [SEARCH_FIELDS.AUTHOR]: "Author",
+  [SEARCH_FIELDS.ISBN]: "ISBN",
+  [SEARCH_FIELDS.SUBJECT]: "Subject",
+};
+
+/**
+ * ISBN without hyphens or spaces, so "978-0-262-03384-8" matches
+ * "9780262033848"
+ * @param {string} isbn
+ * @returns {string}
+ */
+export function normalizeIsbn(isbn) {
+  return String(isbn || "")
+    .replace(/[\s-]/g, "")
+    .toUpperCase();
+}
+
+function fieldValues(book, field) {
+  switch (field) {
+    case SEARCH_FIELDS.TITLE:
+      return [book.title];
+    case SEARCH_FIELDS.AUTHOR:
+      return book.authors;
+    case SEARCH_FIELDS.SUBJECT:
+      return book.subjects;
+    default:
+      return [book.title, ...book.authors, ...book.subjects];
+  }
+}
+
+/**
+ * Titles matching a search; every word of the query has to match
+ * @param {object[]} books - { isbn, title, authors, subjects }
+ * @param {string} query
+ * @param {string} [field] - SEARCH_FIELDS value (default: all fields)
+ * @returns {object[]} Matching books, titles starting with the query first
+ */
+export function searchCatalogue(books, query, field = SEARCH_FIELDS.ALL) {
+  const text = String(query || "").trim().toLowerCase();
+  if (!text) return [...books].sort((a, b) => a.title.localeCompare(b.title));
+
+  const isbn = normalizeIsbn(text);
+  const words = text.split(/\s+/);
+  return books
+    .filter((book) => {
+      if (field === SEARCH_FIELDS.ISBN) {
+        return normalizeIsbn(book.isbn).includes(isbn);
+      }
+      if (field === SEARCH_FIELDS.ALL && normalizeIsbn(book.isbn) === isbn) {
+        return true;
+      }
+      const haystack = fieldValues(book, field).join(" ").toLowerCase();
+      return words.every((word) => haystack.includes(word));
+    })
+    .sort((a, b) => {
+      const aFirst = a.title.toLowerCase().startsWith(text) ? 0 : 1;
+      const bFirst = b.title.toLowerCase().startsWith(text) ? 0 : 1;
+      return aFirst - bFirst || a.title.localeCompare(b.title);
+    });
+}
+
+/**
+ * Whether a copy can be borrowed right now
+ * @param {object} copy - { id, condition }
+ * @param {object[]} loans - Loans of any copy
+ * @param {object[]} holds - Holds of any title
+ * @returns {{ status: string, dueDate: string|null }}
+ */
+export function getCopyStatus(copy, loans, holds) {
+  if (copy.condition !== COPY_CONDITIONS.GOOD) {
+    return { status: COPY_STATUS.WITHDRAWN, dueDate: null };
+  }
+  const loan = loans.find((l) => l.copyId === copy.id && !l.returnedAt);
+  if (loan) {
+    return { status: COPY_STATUS.ON_LOAN, dueDate: loan.dueDate };
+  }
+  const held = holds.some(
+    (hold) => hold.copyId === copy.id && hold.status === HOLD_STATUS.READY
+  );
+  return {
+    status: held ? COPY_STATUS.ON_HOLD_SHELF : COPY_STATUS.AVAILABLE,
+    dueDate: null,
+  };
+}
+
+/**
+ * Copy counts for a title
+ * @param {object[]} copies - The title's copies with `status` (getCopyStatus)
+ * @returns {{ total: number, available: number, onLoan: number,
+ *   nextDueDate: string|null }} Withdrawn copies are not counted
+ */
+export function getAvailability(copies) {
+  const inStock = copies.filter((c) => c.status !== COPY_STATUS.WITHDRAWN);
+  const onLoan = inStock.filter((c) => c.status === COPY_STATUS.ON_LOAN);
+  const dueDates = onLoan.map((c) => c.dueDate).sort();
+  return {
+    total: inStock.length,
+    available: inStock.filter((c) => c.status === COPY_STATUS.AVAILABLE)
+      .length,
+    onLoan: onLoan.length,
+    nextDueDate: dueDates[0] || null,
+  };
+}
+
+/**
+ * Accession number for the next copy added to the library; copies are
+ * numbered in the order they are acquired, whatever their title
+ * @param {object[]} copies - All copies
+ * @returns {string} e.g. "ACC-000803"
+ */
+export function nextAccessionNumber(copies) {
+  const last = copies.reduce(
+    (highest, copy) =>
+      Math.max(highest, Number(copy.accessionNumber.replace(/\D/g, "")) || 0),
+    0
+  );
+  return `ACC-${String(last + 1).padStart(6, "0")}`;
+}
+
+/**
+ * Why a title cannot be added to the catalogue, if it cannot
+ * @param {object} book - { isbn, title, authors, subjects, copies }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateBook(book) {
+  if (!book.title?.trim()) return "Enter the title";
+  if (!book.authors?.length) return "Enter at least one author";
+  if (!/^(\d{9}[\dX]|97[89]\d{10})$/.test(normalizeIsbn(book.isbn))) {
+    return "Enter a 10 or 13 digit ISBN";
+  }
+  if (!Number.isInteger(book.copies) || book.copies < 1) {
+    return "Add at least one copy";
+  }
+  return null;
+}
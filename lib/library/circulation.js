@@ -0,0 +1,147 @@
+/**
+ * Library Circulation
+ *
+ * Loans, renewals, holds and overdue fines:
+ * - a loan runs for LOAN_PERIOD_DAYS and can be renewed MAX_RENEWALS times,
+ *   each renewal running LOAN_PERIOD_DAYS from the day it is made, but not
+ *   once it is overdue or while another reader is waiting for the title
+ * - a reader can reserve (hold) a title when no copy is on the shelf; holds
+ *   are served first come, first served, and a returned copy is kept on
+ *   the hold shelf for HOLD_PICKUP_DAYS for the first reader in the queue
+ * - overdue loans accrue OVERDUE_FINE_PER_DAY until the book is returned
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const LOAN_PERIOD_DAYS = 14;
+export const MAX_RENEWALS = 2;
+export const MAX_ACTIVE_LOANS = 5;
+export const OVERDUE_FINE_PER_DAY = 20;
+export const HOLD_PICKUP_DAYS = 3;
+
+export const HOLD_STATUS = {
+  WAITING: "waiting",
+  READY: "ready",
+  FULFILLED: "fulfilled",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+};
+
+export const HOLD_STATUS_LABELS = {
+  [HOLD_STATUS.WAITING]: "In queue",
+  [HOLD_STATUS.READY]: "Ready for pickup",
+  [HOLD_STATUS.FULFILLED]: "Collected",
+  [HOLD_STATUS.CANCELLED]: "Cancelled",
+  [HOLD_STATUS.EXPIRED]: "Expired",
+};
+
+/**
+ * Due date of a loan issued or renewed at `from`
+ * @param {number} [from] - Timestamp in ms
+ * @returns {string} ISO date-time
+ */
+export function getLoanDueDate(from = Date.now()) {
+  return new Date(from + LOAN_PERIOD_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Whole days a loan is (or was, when returned) past its due date
+ * @param {object} loan - { dueDate, returnedAt }
+ * @param {number} [now] - Timestamp in ms
+ * @returns {number}
+ */
+export function getOverdueDays(loan, now = Date.now()) {
+  const end = loan.returnedAt ? Date.parse(loan.returnedAt) : now;
+  return Math.max(0, Math.floor((end - Date.parse(loan.dueDate)) / DAY_MS));
+}
+
+/**
+ * Fine accrued on a loan; it stops growing once the book is returned
+ * @param {object} loan - { dueDate, returnedAt }
+ * @param {number} [now] - Timestamp in ms
+ * @returns {number}
+ */
+export function getLoanFine(loan, now = Date.now()) {
+  return getOverdueDays(loan, now) * OVERDUE_FINE_PER_DAY;
+}
+
+/**
+ * Readers waiting for a title, first in line first
+ * @param {object[]} holds
+ * @param {string} bookId
+ * @returns {object[]}
+ */
+export function getHoldQueue(holds, bookId) {
+  return holds
+    .filter((h) => h.bookId === bookId && h.status === HOLD_STATUS.WAITING)
+    .sort((a, b) => a.placedAt.localeCompare(b.placedAt));
+}
+
+/**
+ * Place of a waiting hold in its title's queue (1 is next)
+ * @param {object} hold
+ * @param {object[]} holds - All holds
+ * @returns {number|null} null when the hold is not waiting
+ */
+export function getQueuePosition(hold, holds) {
+  if (hold.status !== HOLD_STATUS.WAITING) return null;
+  const queue = getHoldQueue(holds, hold.bookId);
+  return queue.findIndex((h) => h.id === hold.id) + 1;
+}
+
+/**
+ * Why a loan cannot be renewed, if it cannot
+ * Overdue loans have to be returned (and their fine settled) instead.
+ * @param {object} loan - { bookId, dueDate, renewals, returnedAt }
+ * @param {object[]} holds - All holds
+ * @param {number} [now] - Timestamp in ms
+ * @returns {string|null} Error message, or null when it can be renewed
+ */
+export function getRenewalBlock(loan, holds, now = Date.now()) {
+  if (loan.returnedAt) return "This book has already been returned";
+  if (Date.parse(loan.dueDate) < now) {
+    return "Overdue books cannot be renewed; please return it";
+  }
+  if (loan.renewals >= MAX_RENEWALS) {
+    return `Loans can only be renewed ${MAX_RENEWALS} times`;
+  }
+  if (getHoldQueue(holds, loan.bookId).length > 0) {
+    return "Another reader has reserved this book";
+  }
+  return null;
+}
+
+/**
+ * Why a reader cannot reserve a title, if they cannot
+ * @param {string} userId
+ * @param {object} book - { id, availability } (catalogue getAvailability())
+ * @param {object[]} loans - All loans
+ * @param {object[]} holds - All holds
+ * @returns {string|null} Error message, or null when a hold can be placed
+ */
+export function getHoldBlock(userId, book, loans, holds) {
+  if (book.availability.total === 0) {
+    return "There are no copies of this book to reserve";
+  }
+  if (
+    loans.some(
+      (l) => l.bookId === book.id && l.borrowerId === userId && !l.returnedAt
+    )
+  ) {
+    return "You already have this book on loan";
+  }
+  if (
+    holds.some(
+      (h) =>
+        h.bookId === book.id &&
+        h.userId === userId &&
+        [HOLD_STATUS.WAITING, HOLD_STATUS.READY].includes(h.status)
+    )
+  ) {
+    return "You have already reserved this book";
+  }
+  if (book.availability.available > 0) {
+    return "A copy is on the shelf; borrow it at the circulation desk";
+  }
+  return null;
+}
@@ -0,0 +1,138 @@
+/**
+ * Library Circulation Desk
+ *
+ * What the librarian's issue and return screens need:
+ * - a scanned or typed code is either a copy's accession number or a
+ *   title's ISBN; for an ISBN the desk picks the copy to hand over
+ * - a copy can only be issued if it is on the shelf, or on the hold shelf
+ *   for the reader collecting it, to a reader under MAX_ACTIVE_LOANS with
+ *   no overdue books
+ * - overdue readers can be sent a reminder at most once a day per loan
+ */
+
+import { COPY_STATUS, normalizeIsbn } from "@/lib/library/catalogue";
+import {
+  HOLD_STATUS,
+  MAX_ACTIVE_LOANS,
+  OVERDUE_FINE_PER_DAY,
+  getLoanFine,
+  getOverdueDays,
+} from "@/lib/library/circulation";
+import { formatCurrency, formatDate } from "@/lib/utils";
+
+/**
+ * The title and copies a scanned or typed code refers to
+ * @param {string} code - Accession number or ISBN
+ * @param {object[]} books - All titles
+ * @param {object[]} copies - All copies
+ * @returns {{ book: object, copies: object[], byAccession: boolean }|null}
+ *   Only the scanned copy for an accession number, every copy of the
+ *   title for an ISBN; null when nothing matches
+ */
+export function findByCode(code, books, copies) {
+  const text = String(code || "").trim().toUpperCase();
+  if (!text) return null;
+  const copy = copies.find((c) => c.accessionNumber.toUpperCase() === text);
+  if (copy) {
+    const book = books.find((b) => b.id === copy.bookId);
+    return book ? { book, copies: [copy], byAccession: true } : null;
+  }
+  const isbn = normalizeIsbn(text);
+  const book = books.find((b) => normalizeIsbn(b.isbn) === isbn);
+  if (!book) return null;
+  return {
+    book,
+    copies: copies.filter((c) => c.bookId === book.id),
+    byAccession: false,
+  };
+}
+
+/**
+ * The copy of a title to hand a reader: the one on the hold shelf for
+ * them, otherwise any copy on the shelf
+ * @param {string} borrowerId
+ * @param {object[]} copies - The title's copies with `status`
+ * @param {object[]} holds - All holds
+ * @returns {object|null}
+ */
+export function pickCopyToIssue(borrowerId, copies, holds) {
+  const held = copies.find((copy) =>
+    holds.some(
+      (h) =>
+        h.copyId === copy.id &&
+        h.userId === borrowerId &&
+        h.status === HOLD_STATUS.READY
+    )
+  );
+  return (
+    held || copies.find((c) => c.status === COPY_STATUS.AVAILABLE) || null
+  );
+}
+
+/**
+ * Why a copy cannot be issued to a reader, if it cannot
+ * @param {string} borrowerId
+ * @param {object} copy - { id, status } (catalogue getCopyStatus())
+ * @param {object[]} loans - All loans
+ * @param {object[]} holds - All holds
+ * @param {number} [now] - Timestamp in ms
+ * @returns {string|null} Error message, or null when it can be issued
+ */
+export function getIssueBlock(
+  borrowerId,
+  copy,
+  loans,
+  holds,
+  now = Date.now()
+) {
+  if (copy.status === COPY_STATUS.WITHDRAWN) {
+    return "This copy is withdrawn as lost or damaged";
+  }
+  if (copy.status === COPY_STATUS.ON_LOAN) {
+    return "This copy is already on loan; return it first";
+  }
+  if (
+    copy.status === COPY_STATUS.ON_HOLD_SHELF &&
+    !holds.some(
+      (h) =>
+        h.copyId === copy.id &&
+        h.userId === borrowerId &&
+        h.status === HOLD_STATUS.READY
+    )
+  ) {
+    return "This copy is on the hold shelf for another reader";
+  }
+  const open = loans.filter(
+    (l) => l.borrowerId === borrowerId && !l.returnedAt
+  );
+  if (open.some((loan) => getOverdueDays(loan, now) > 0)) {
+    return "The reader has overdue books to return first";
+  }
+  if (open.length >= MAX_ACTIVE_LOANS) {
+    return `Readers can borrow at most ${MAX_ACTIVE_LOANS} books at a time`;
+  }
+  return null;
+}
+
+/**
+ * Reminder notification for an overdue loan
+ * The key includes the day, so a loan is reminded at most once a day.
+ * @param {object} loan - { id, dueDate, returnedAt }
+ * @param {object} book - { title }
+ * @param {number} [now] - Timestamp in ms
+ * @returns {{ key: string, type: string, title: string, message: string }}
+ */
+export function getOverdueReminder(loan, book, now = Date.now()) {
+  const days = getOverdueDays(loan, now);
+  const day = new Date(now).toISOString().slice(0, 10);
+  return {
+    key: `library-overdue:${loan.id}:${day}`,
+    type: "alert",
+    title: "Library book overdue",
+    message:
+      `"${book.title}" was due on ${formatDate(loan.dueDate)} ` +
+      `(${days} day${days === 1 ? "" : "s"} ago). Please return it; the ` +
+      `fine is ${formatCurrency(getLoanFine(loan, now))} so far and grows ` +
+      `by ${formatCurrency(OVERDUE_FINE_PER_DAY)} a day.`,
+  };
+}
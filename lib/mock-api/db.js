@@ -0,0 +1,257 @@
+/**
+ * Mock Database
+ *
+ * In-memory, stateful store backing the mock API adapter.
+ * Seeded from lib/mock-data so writes (e.g. creating a student) are visible
+ * to later reads until the page is reloaded or resetMockDb() is called.
+ */
+
+import {
+  mockStudents,
+  mockTeachers,
+  mockCourses,
+  mockTimetable,
+  mockRooms,
+  mockTeacherAvailability,
+  mockAdminNotifications,
+  mockStudentNotifications,
+  mockTeacherNotifications,
+  mockDemoAccounts,
+  mockStudentResults,
+  mockEnrollments,
+  mockEnrollmentWindows,
+  mockAcademicCalendar,
+  mockAttendance,
+  mockExams,
+  mockAssignments,
+  mockSubmissions,
+  mockCourseGrades,
+  mockGradingSchemes,
+  mockDegreePrograms,
+  mockFees,
+  mockFeeTransactions,
+  mockChallans,
+  mockLateFeeRules,
+  mockLibraryBooks,
+  mockLibraryCopies,
+  mockLibraryLoans,
+  mockLibraryHolds,
+} from "@/lib/mock-data/admin-mock-data";
+import { addDays, toCampusDate } from "@/lib/calendar/academic-calendar";
+import { getClassMeetings } from "@/lib/calendar/class-schedule";
+import { getSittings } from "@/lib/academics/exams";
+import {
+  DEFAULT_SEATING_RULES,
+  generateSeatingPlan,
+  getSittingPapers,
+} from "@/lib/academics/exam-seating";
+
+const ATTENDANCE_CODES = {
+  P: "present",
+  A: "absent",
+  L: "late",
+  E: "excused",
+};
+
+// Attendance records for the courses' past sessions (lib/academics/attendance.js)
+function seedAttendance({ timetable, academicCalendar }) {
+  const yesterday = addDays(toCampusDate(Date.now()), -1);
+  const records = [];
+  mockAttendance.forEach(({ courseId, takenBy, statuses }) => {
+    const sessions = getClassMeetings({
+      entries: timetable.filter((entry) => entry.courseId === courseId),
+      terms: academicCalendar,
+      from: "1970-01-01",
+      to: yesterday,
+    });
+    sessions.forEach((session, index) => {
+      const marked = Object.entries(statuses).filter(
+        ([, codes]) => codes[index]
+      );
+      if (marked.length === 0) return;
+      const takenAt = `${session.date}T${session.endTime}:00+05:00`;
+      records.push({
+        id: String(records.length + 1),
+        sessionKey: session.key,
+        entryId: session.entry.id,
+        courseId,
+        date: session.date,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        statuses: Object.fromEntries(
+          marked.map(([studentId, codes]) => [
+            studentId,
+            ATTENDANCE_CODES[codes[index]],
+          ])
+        ),
+        checkIns: {},
+        takenBy,
+        takenAt: new Date(takenAt).toISOString(),
+        updatedAt: new Date(takenAt).toISOString(),
+      });
+    });
+  });
+  return records;
+}
+
+// Seating plans for the scheduled exams (lib/academics/exam-seating.js)
+function seedSeatingPlans(collections) {
+  return getSittings(collections.exams).map((sitting, index) => {
+    const { rooms, sameNeighbours } = generateSeatingPlan({
+      papers: getSittingPapers(sitting, collections),
+      rooms: sitting.rooms.map((name) =>
+        collections.rooms.find((room) => room.name === name)
+      ),
+    });
+    return {
+      id: String(index + 1),
+      sitting: sitting.key,
+      examIds: sitting.exams.map((exam) => exam.id),
+      rules: { ...DEFAULT_SEATING_RULES },
+      rooms,
+      sameNeighbours,
+      generatedBy: null,
+      generatedAt: new Date().toISOString(),
+    };
+  });
+}
+
+function seed() {
+  const timetable = structuredClone(mockTimetable);
+  const academicCalendar = structuredClone(mockAcademicCalendar);
+  const demoUsers = Object.values(mockDemoAccounts).filter(
+    (account, index, all) => all.findIndex((a) => a.id === account.id) === index
+  );
+  const users = structuredClone([
+    ...mockStudents.map((student) => ({ ...student, role: "student" })),
+    ...mockTeachers.map((teacher) => ({ ...teacher, role: "teacher" })),
+    ...demoUsers,
+  ]);
+  const courses = structuredClone(mockCourses);
+  const rooms = structuredClone(mockRooms);
+  const enrollments = structuredClone(mockEnrollments);
+  const exams = structuredClone(mockExams);
+
+  return {
+    users,
+    courses,
+    gradingSchemes: structuredClone(mockGradingSchemes),
+    degreePrograms: structuredClone(mockDegreePrograms),
+    timetable,
+    rooms,
+    teacherAvailability: structuredClone(mockTeacherAvailability),
+    enrollments,
+    enrollmentWindows: structuredClone(mockEnrollmentWindows),
+    academicCalendar,
+    // One-off cancellations and reschedules (lib/calendar/class-schedule.js)
+    classOverrides: [],
+    // Subscribed calendar feeds and the calendar each last published
+    calendarFeeds: [],
+    // Attendance per class session, keyed by session (meeting) key
+    attendance: seedAttendance({ timetable, academicCalendar }),
+    exams,
+    // One per sitting of the exams, keyed by sitting (getSittingKey)
+    seatingPlans: seedSeatingPlans({
+      exams,
+      courses,
+      enrollments,
+      users,
+      rooms,
+    }),
+    assignments: structuredClone(mockAssignments),
+    submissions: structuredClone(mockSubmissions),
+    // Keyed by course id
+    courseGrades: structuredClone(mockCourseGrades),
+    // Keyed by student id
+    results: structuredClone(mockStudentResults),
+    // Issued transcripts and DMCs, looked up by verification code
+    transcripts: [],
+    fees: structuredClone(mockFees),
+    feeTransactions: structuredClone(mockFeeTransactions),
+    challans: structuredClone(mockChallans),
+    lateFeeRules: structuredClone(mockLateFeeRules),
+    libraryBooks: structuredClone(mockLibraryBooks),
+    libraryCopies: structuredClone(mockLibraryCopies),
+    libraryLoans: structuredClone(mockLibraryLoans),
+    libraryHolds: structuredClone(mockLibraryHolds),
+    notifications: structuredClone({
+      admin: mockAdminNotifications,
+      teacher: mockTeacherNotifications,
+      student: mockStudentNotifications,
+    }),
+    // Notifications for one user (lib/mock-api/routes/notifications.js)
+    userNotifications: [],
+  };
+}
+
+let db = seed();
+
+/**
+ * Get the current mock database state
+ * @returns {object} Mutable collections keyed by name
+ */
+export function getMockDb() {
+  return db;
+}
+
+/**
+ * Reset the mock database to its seeded state
+ */
+export function resetMockDb() {
+  db = seed();
+}
+
+/**
+ * Generate the next string id for a collection
+ * @param {Array} collection - Collection of records with numeric-like ids
+ * @returns {string} Next id
+ */
+export function nextId(collection) {
+  const max = collection.reduce((highest, record) => {
+    const value = parseInt(record.id, 10);
+    return Number.isNaN(value) ? highest : Math.max(highest, value);
+  }, 0);
+  return String(max + 1);
+}
+
+/**
+ * Send a notification to one user
+ * Notifications with a `key` are only sent once per user, so callers can
+ * re-check a condition (e.g. a fee falling due) on every read.
+ * @param {object} db - Mock database
+ * @param {string} userId
+ * @param {object} notification - { key?, type, title, message, course? }
+ * @returns {object|null} The stored notification, or null when already sent
+ */
+export function addUserNotification(db, userId, notification) {
+  if (
+    notification.key &&
+    db.userNotifications.some(
+      (n) => n.userId === userId && n.key === notification.key
+    )
+  ) {
+    return null;
+  }
+  const record = {
+    id: nextId(db.userNotifications),
+    userId,
+    key: null,
+    course: null,
+    ...notification,
+    read: false,
+    createdAt: new Date().toISOString(),
+  };
+  db.userNotifications.push(record);
+  return record;
+}
+
+/**
+ * Strip private fields (e.g. password) before a user leaves the mock backend
+ * @param {object} user - Stored user record
+ * @returns {object} Public user
+ */
+export function toPublicUser(user) {
+  if (!user) return user;
+  const { password, ...rest } = user;
+  return rest;
+}
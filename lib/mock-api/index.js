@@ -0,0 +1,260 @@
+/**
+ * Mock API Adapter
+ *
+ * Axios adapter that serves requests from an in-memory, stateful mock backend
+ * instead of the network. lib/utils/api.js installs it on every request when
+ * shouldUseMockApi() returns true, so components always call `api.*` and never
+ * know whether the backend is real.
+ *
+ * The mock backend is used when:
+ * - NEXT_PUBLIC_USE_MOCK_API is "true", or
+ * - the stored token is a mock token (demo sign-in), or
+ * - the request is a login for one of the demo accounts
+ */
+
+import { AxiosError, CanceledError } from "axios";
+import { createRouter, MockHttpError } from "@/lib/mock-api/router";
+import { getMockDb } from "@/lib/mock-api/db";
+import {
+  registerAuthRoutes,
+  parseMockAccessToken,
+  MOCK_TOKEN_PREFIX,
+} from "@/lib/mock-api/routes/auth";
+import { registerUserRoutes } from "@/lib/mock-api/routes/users";
+import { registerCourseRoutes } from "@/lib/mock-api/routes/courses";
+import { registerTimetableRoutes } from "@/lib/mock-api/routes/timetable";
+import { registerNotificationRoutes } from "@/lib/mock-api/routes/notifications";
+import { registerEnrollmentRoutes } from "@/lib/mock-api/routes/enrollments";
+import { registerResultRoutes } from "@/lib/mock-api/routes/results";
+import { registerEnrollmentWindowRoutes } from "@/lib/mock-api/routes/enrollment-windows";
+import { registerAssignmentRoutes } from "@/lib/mock-api/routes/assignments";
+import { registerGradeRoutes } from "@/lib/mock-api/routes/grades";
+import { registerGradingSchemeRoutes } from "@/lib/mock-api/routes/grading-schemes";
+import { registerDegreeAuditRoutes } from "@/lib/mock-api/routes/degree-audit";
+import { registerTranscriptRoutes } from "@/lib/mock-api/routes/transcripts";
+import { registerFeeRoutes } from "@/lib/mock-api/routes/fees";
+import { registerLateFeeRoutes } from "@/lib/mock-api/routes/late-fees";
+import { registerLibraryRoutes } from "@/lib/mock-api/routes/library";
+import {
+  registerCalendarRoutes,
+  scheduleCalendarFeedSync,
+} from "@/lib/mock-api/routes/calendar";
+import { registerAttendanceRoutes } from "@/lib/mock-api/routes/attendance";
+import { registerExamRoutes } from "@/lib/mock-api/routes/exams";
+import { mockDemoAccounts } from "@/lib/mock-data/admin-mock-data";
+
+export { MOCK_TOKEN_PREFIX } from "@/lib/mock-api/routes/auth";
+export { resetMockDb } from "@/lib/mock-api/db";
+
+// Simulated network latency so loading states stay visible
+const MOCK_LATENCY_MS = 250;
+
+// Simulated upload throughput, so upload progress bars have something to show
+const MOCK_UPLOAD_BYTES_PER_SECOND = 512 * 1024;
+const MOCK_UPLOAD_TICK_MS = 100;
+
+// Endpoints that ignore the bearer token
+const PUBLIC_PATHS = ["/auth/login", "/auth/refresh", "/auth/forgot-password"];
+
+const router = createRouter();
+registerAuthRoutes(router);
+registerUserRoutes(router);
+registerCourseRoutes(router);
+registerTimetableRoutes(router);
+registerNotificationRoutes(router);
+registerEnrollmentRoutes(router);
+registerResultRoutes(router);
+registerEnrollmentWindowRoutes(router);
+registerAssignmentRoutes(router);
+registerGradeRoutes(router);
+registerGradingSchemeRoutes(router);
+registerDegreeAuditRoutes(router);
+registerTranscriptRoutes(router);
+registerFeeRoutes(router);
+registerLateFeeRoutes(router);
+registerLibraryRoutes(router);
+registerCalendarRoutes(router);
+registerAttendanceRoutes(router);
+registerExamRoutes(router);
+
+/**
+ * Decide whether a request should be served by the mock backend
+ * @param {object} config - Axios request config (before transformRequest)
+ * @returns {boolean}
+ */
+export function shouldUseMockApi(config = {}) {
+  if (process.env.NEXT_PUBLIC_USE_MOCK_API === "true") return true;
+  if (typeof window === "undefined") return false;
+
+  const token = localStorage.getItem("token");
+  if (token && token.startsWith(MOCK_TOKEN_PREFIX)) return true;
+
+  // Demo accounts sign in against the mock backend
+  const email = config.data?.email;
+  return config.url === "/auth/login" && Boolean(mockDemoAccounts[email]);
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === "function" ? headers.get(name) : headers[name];
+}
+
+/**
+ * Resolve the signed-in user from the bearer token
+ * @throws {MockHttpError} 401 if the access token has expired
+ */
+function resolveSessionUser(config) {
+  const authorization = getHeader(config.headers, "Authorization") || "";
+  const session = parseMockAccessToken(
+    authorization.replace(/^Bearer\s+/i, "")
+  );
+  if (!session) return null;
+  if (session.expired) {
+    throw new MockHttpError(401, "Access token expired");
+  }
+  return getMockDb().users.find((u) => u.id === session.userId) || null;
+}
+
+function parseRequest(config) {
+  const url = new URL(config.url || "/", "http://mock.local");
+  const query = Object.fromEntries(url.searchParams.entries());
+  Object.entries(config.params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query[key] = String(value);
+  });
+
+  let body = config.data;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      // Leave non-JSON payloads as-is
+    }
+  }
+
+  return { pathname: url.pathname, query, body };
+}
+
+/**
+ * Wait, rejecting early if the request is aborted
+ * @param {number} ms
+ * @param {object} config - Axios request config (its `signal` is honoured)
+ */
+function delay(ms, config) {
+  const { signal } = config;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new CanceledError(null, config));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CanceledError(null, config));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener?.("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener?.("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Report upload progress for a multipart body at a simulated throughput
+ * @param {object} config - Axios request config with onUploadProgress
+ * @param {FormData} body
+ */
+async function simulateUpload(config, body) {
+  const total = Array.from(body.values()).reduce(
+    (sum, value) =>
+      sum + (typeof value === "string" ? value.length : value.size),
+    0
+  );
+  const perTick = Math.max(
+    (MOCK_UPLOAD_BYTES_PER_SECOND * MOCK_UPLOAD_TICK_MS) / 1000,
+    1
+  );
+  let loaded = 0;
+  while (loaded < total) {
+    await delay(MOCK_UPLOAD_TICK_MS, config);
+    loaded = Math.min(loaded + perTick, total);
+    config.onUploadProgress?.({
+      loaded,
+      total,
+      progress: loaded / total,
+      upload: true,
+    });
+  }
+}
+
+function buildResponse(config, status, data) {
+  return {
+    data,
+    status,
+    statusText: String(status),
+    headers: {},
+    config,
+    request: null,
+  };
+}
+
+/**
+ * Axios adapter for the mock backend
+ * @param {object} config - Axios request config
+ * @returns {Promise<object>} Axios-style response
+ */
+export async function mockAdapter(config) {
+  const method = (config.method || "get").toLowerCase();
+  const { pathname, query, body } = parseRequest(config);
+
+  if (typeof FormData !== "undefined" && body instanceof FormData) {
+    await simulateUpload(config, body);
+  }
+  await delay(MOCK_LATENCY_MS, config);
+
+  try {
+    const match = router.match(method, pathname);
+    if (!match) {
+      throw new MockHttpError(
+        404,
+        `No mock route for ${method.toUpperCase()} ${pathname}`
+      );
+    }
+
+    // Login/refresh must work with a stale token still attached
+    const user = PUBLIC_PATHS.includes(pathname)
+      ? null
+      : resolveSessionUser(config);
+
+    const db = getMockDb();
+    const data = await match.handler({
+      params: match.params,
+      query,
+      body,
+      user,
+      db,
+      config,
+    });
+    // Subscribed calendar apps see what the write changed
+    scheduleCalendarFeedSync(db, method, pathname);
+
+    // Hand back a copy so callers can't mutate mock state by reference
+    const payload = data === undefined ? null : structuredClone(data);
+    return buildResponse(config, method === "post" ? 201 : 200, payload);
+  } catch (err) {
+    if (!(err instanceof MockHttpError)) {
+      console.error("Mock API handler failed:", err);
+    }
+    const status = err.status || 500;
+    const response = buildResponse(config, status, {
+      message: err.message,
+      ...err.data,
+    });
+    throw new AxiosError(
+      err.message,
+      status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+      config,
+      null,
+      response
+    );
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Mock API Router
+ *
+ * Minimal method + path router used by the mock adapter.
+ * Paths support named params (e.g. "/courses/:id").
+ */
+
+/**
+ * Error thrown by mock route handlers.
+ * The adapter turns it into an HTTP error response with the given status.
+ */
+export class MockHttpError extends Error {
+  constructor(status, message, data = {}) {
+    super(message);
+    this.name = "MockHttpError";
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Compile a route path into a RegExp and list of param names
+ * @param {string} path - Route path, e.g. "/users/:id"
+ * @returns {{ pattern: RegExp, keys: string[] }}
+ */
+function compilePath(path) {
+  const keys = [];
+  const source = path
+    .split("/")
+    .map((segment) => {
+      if (segment.startsWith(":")) {
+        keys.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+  return { pattern: new RegExp(`^${source}/?$`), keys };
+}
+
+/**
+ * Create a new router
+ *
+ * Handlers receive `{ params, query, body, user, db, config }` and return the
+ * response body (or a promise of it). Throw MockHttpError for error responses.
+ *
+ * @returns {object} Router with get/post/put/patch/delete and match
+ */
+export function createRouter() {
+  const routes = [];
+
+  const router = {
+    match(method, pathname) {
+      for (const route of routes) {
+        if (route.method !== method) continue;
+        const result = route.pattern.exec(pathname);
+        if (!result) continue;
+        const params = {};
+        route.keys.forEach((key, index) => {
+          params[key] = decodeURIComponent(result[index + 1]);
+        });
+        return { handler: route.handler, params };
+      }
+      return null;
+    },
+  };
+
+  ["get", "post", "put", "patch", "delete"].forEach((method) => {
+    router[method] = (path, handler) => {
+      routes.push({ method, handler, ...compilePath(path) });
+      return router;
+    };
+  });
+
+  return router;
+}
+
+/**
+ * Ensure the request has a signed-in user with one of the given roles
+ * @param {object|null} user - Session user resolved from the token
+ * @param {...string} roles - Allowed roles (any role if omitted)
+ * @returns {object} The session user
+ * @throws {MockHttpError} 401 when signed out, 403 when role not allowed
+ */
+export function requireRole(user, ...roles) {
+  if (!user) {
+    throw new MockHttpError(401, "Authentication required");
+  }
+  if (roles.length > 0 && !roles.includes(user.role)) {
+    throw new MockHttpError(403, "You do not have permission to do this");
+  }
+  return user;
+}
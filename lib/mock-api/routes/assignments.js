@@ -0,0 +1,329 @@
+/**
+ * Mock assignment routes
+ *
+ * Students see the assignments of courses they are enrolled in, with their
+ * own submission attached; teachers and TAs see the courses they may grade.
+ *
+ * Submissions are multipart uploads (`file` + `comments`). Each upload adds a
+ * version to the student's submission, so earlier versions stay in its
+ * history; the latest version is the one graded. Uploads are refused once the
+ * assignment's late-policy cutoff has passed or the work has been graded.
+ * Marks are stored as awarded; the late penalty is applied when displayed.
+ *
+ * Assignments with a rubric are graded by picking a level per criterion
+ * (`rubricScores`); the marks are computed from the picks, and the rubric's
+ * maximum is the assignment's total marks.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { nextId } from "@/lib/mock-api/db";
+import { can } from "@/lib/auth/permissions";
+import {
+  getLatePolicy,
+  isPastCutoff,
+  validateLatePolicy,
+} from "@/lib/academics/late-policy";
+import {
+  getRubricMaxPoints,
+  isRubricComplete,
+  scoreRubric,
+  validateRubric,
+} from "@/lib/academics/rubric";
+
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+const ALLOWED_FILE_TYPES = [
+  "application/pdf",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+];
+
+function findAssignment(db, id) {
+  const assignment = db.assignments.find((a) => a.id === id);
+  if (!assignment) {
+    throw new MockHttpError(404, "Assignment not found");
+  }
+  return assignment;
+}
+
+function isEnrolled(db, studentId, courseId) {
+  return db.enrollments.some(
+    (e) =>
+      e.studentId === studentId &&
+      e.courseId === courseId &&
+      e.status === "enrolled"
+  );
+}
+
+function requireGrader(user, assignment) {
+  requireRole(user, "teacher", "ta");
+  if (!can(user, "assignments:grade", assignment)) {
+    throw new MockHttpError(403, "You do not grade this course");
+  }
+}
+
+// Uploaded files stay in the mock db; responses only carry their metadata
+function toVersionResponse({ file, ...version }) {
+  return { ...version, hasFile: Boolean(file) };
+}
+
+function toSubmissionResponse(db, submission) {
+  const student = db.users.find((u) => u.id === submission.studentId);
+  return {
+    ...submission,
+    versions: submission.versions.map(toVersionResponse),
+    student: student && {
+      id: student.id,
+      fullName: student.fullName,
+      rollNumber: student.rollNumber,
+    },
+  };
+}
+
+function toAssignmentResponse(db, assignment, user) {
+  const course = db.courses.find((c) => c.id === assignment.courseId);
+  const response = {
+    ...assignment,
+    latePolicy: getLatePolicy(assignment),
+    course: course && {
+      id: course.id,
+      code: course.code,
+      name: course.name,
+      semester: course.semester,
+    },
+  };
+  if (user.role === "student") {
+    const submission = db.submissions.find(
+      (s) => s.assignmentId === assignment.id && s.studentId === user.id
+    );
+    response.submission = submission
+      ? toSubmissionResponse(db, submission)
+      : null;
+  }
+  return response;
+}
+
+function toLatePolicy(body) {
+  const latePolicy = {
+    graceHours: Number(body?.graceHours ?? 0),
+    percentPerDay: Number(body?.percentPerDay ?? 0),
+    cutoffDays:
+      body?.cutoffDays === null || body?.cutoffDays === ""
+        ? null
+        : Number(body?.cutoffDays ?? 0),
+  };
+  const invalid = validateLatePolicy(latePolicy);
+  if (invalid) {
+    throw new MockHttpError(400, invalid);
+  }
+  return latePolicy;
+}
+
+function toRubric(rubric) {
+  if (!rubric) return null;
+  const invalid = validateRubric(rubric);
+  if (invalid) {
+    throw new MockHttpError(400, invalid);
+  }
+  return {
+    criteria: rubric.criteria.map((criterion, index) => ({
+      id: criterion.id || `criterion-${index + 1}`,
+      title: criterion.title.trim(),
+      levels: criterion.levels.map((level, levelIndex) => ({
+        id: level.id || `criterion-${index + 1}-level-${levelIndex + 1}`,
+        label: level.label.trim(),
+        points: Number(level.points),
+      })),
+    })),
+  };
+}
+
+// Marks from rubric picks, or the marks entered directly
+function toMarks(assignment, body) {
+  if (assignment.rubric) {
+    const selections = body.rubricScores || {};
+    if (!isRubricComplete(assignment.rubric, selections)) {
+      throw new MockHttpError(400, "Select a level for every rubric criterion");
+    }
+    return {
+      marksObtained: scoreRubric(assignment.rubric, selections),
+      rubricScores: selections,
+    };
+  }
+
+  const marks = Number(body.marksObtained);
+  if (
+    body.marksObtained === "" ||
+    body.marksObtained === null ||
+    Number.isNaN(marks) ||
+    marks < 0 ||
+    marks > assignment.totalMarks
+  ) {
+    throw new MockHttpError(
+      400,
+      `Marks must be between 0 and ${assignment.totalMarks}`
+    );
+  }
+  return { marksObtained: marks, rubricScores: null };
+}
+
+export function registerAssignmentRoutes(router) {
+  router.get("/assignments", ({ user, db }) => {
+    requireRole(user, "student", "teacher", "ta");
+    return db.assignments
+      .filter((a) =>
+        user.role === "student"
+          ? isEnrolled(db, user.id, a.courseId)
+          : can(user, "assignments:grade", a)
+      )
+      .sort((a, b) => Date.parse(a.dueDate) - Date.parse(b.dueDate))
+      .map((a) => toAssignmentResponse(db, a, user));
+  });
+
+  router.post("/assignments", ({ body, user, db }) => {
+    requireRole(user, "teacher");
+    const course = db.courses.find((c) => c.id === body.courseId);
+    if (!course) {
+      throw new MockHttpError(400, "Selected course does not exist");
+    }
+    if (course.teacher?.id !== user.id) {
+      throw new MockHttpError(403, `You do not teach ${course.code}`);
+    }
+    if (Number.isNaN(Date.parse(body.dueDate))) {
+      throw new MockHttpError(400, "Due date is required");
+    }
+
+    const rubric = toRubric(body.rubric);
+    const totalMarks = rubric
+      ? getRubricMaxPoints(rubric)
+      : Number(body.totalMarks);
+
+    const assignment = {
+      id: nextId(db.assignments),
+      courseId: course.id,
+      teacherId: user.id,
+      title: body.title,
+      description: body.description,
+      dueDate: new Date(body.dueDate).toISOString(),
+      totalMarks,
+      latePolicy: toLatePolicy(body.latePolicy),
+      rubric,
+      createdAt: new Date().toISOString(),
+    };
+    db.assignments.push(assignment);
+    return toAssignmentResponse(db, assignment, user);
+  });
+
+  router.get("/assignments/:id/submissions", ({ params, user, db }) => {
+    const assignment = findAssignment(db, params.id);
+    requireGrader(user, assignment);
+    return db.submissions
+      .filter((s) => s.assignmentId === assignment.id)
+      .map((s) => toSubmissionResponse(db, s));
+  });
+
+  // Multipart upload: adds a new version to the student's submission
+  router.post("/assignments/:id/submissions", ({ params, body, user, db }) => {
+    requireRole(user, "student");
+    const assignment = findAssignment(db, params.id);
+    if (!isEnrolled(db, user.id, assignment.courseId)) {
+      throw new MockHttpError(403, "You are not enrolled in this course");
+    }
+
+    const file = typeof body?.get === "function" ? body.get("file") : null;
+    if (!file || typeof file === "string") {
+      throw new MockHttpError(400, "File is required");
+    }
+    if (file.size > MAX_FILE_BYTES) {
+      throw new MockHttpError(400, "File size must be less than 10MB");
+    }
+    if (!ALLOWED_FILE_TYPES.includes(file.type)) {
+      throw new MockHttpError(400, "Only PDF, DOC, DOCX files are allowed");
+    }
+    if (isPastCutoff(assignment)) {
+      throw new MockHttpError(
+        422,
+        `Submissions for "${assignment.title}" are closed`
+      );
+    }
+
+    let submission = db.submissions.find(
+      (s) => s.assignmentId === assignment.id && s.studentId === user.id
+    );
+    const graded =
+      submission?.marksObtained !== null &&
+      submission?.marksObtained !== undefined;
+    if (graded) {
+      throw new MockHttpError(
+        409,
+        "This submission has been graded and can no longer be replaced"
+      );
+    }
+    if (!submission) {
+      submission = {
+        id: nextId(db.submissions),
+        assignmentId: assignment.id,
+        studentId: user.id,
+        versions: [],
+        marksObtained: null,
+        feedback: null,
+        gradedAt: null,
+      };
+      db.submissions.push(submission);
+    }
+
+    submission.versions.push({
+      version: submission.versions.length + 1,
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: file.type,
+      comments: body.get("comments") || "",
+      submittedAt: new Date().toISOString(),
+      file,
+    });
+    return toSubmissionResponse(db, submission);
+  });
+
+  router.get(
+    "/assignments/:id/submissions/:submissionId/versions/:version/file",
+    ({ params, user, db }) => {
+      requireRole(user);
+      const assignment = findAssignment(db, params.id);
+      const submission = db.submissions.find(
+        (s) => s.id === params.submissionId && s.assignmentId === assignment.id
+      );
+      if (!submission) {
+        throw new MockHttpError(404, "Submission not found");
+      }
+      if (submission.studentId !== user.id) {
+        requireGrader(user, assignment);
+      }
+      const version = submission.versions.find(
+        (v) => String(v.version) === params.version
+      );
+      if (!version?.file) {
+        throw new MockHttpError(404, "This file is not available for download");
+      }
+      return version.file;
+    }
+  );
+
+  router.put(
+    "/assignments/:id/submissions/:submissionId",
+    ({ params, body, user, db }) => {
+      const assignment = findAssignment(db, params.id);
+      requireGrader(user, assignment);
+      const submission = db.submissions.find(
+        (s) => s.id === params.submissionId && s.assignmentId === assignment.id
+      );
+      if (!submission) {
+        throw new MockHttpError(404, "Submission not found");
+      }
+
+      Object.assign(submission, toMarks(assignment, body));
+      submission.feedback = body.feedback || null;
+      submission.gradedAt = new Date().toISOString();
+      submission.gradedBy = user.id;
+      return toSubmissionResponse(db, submission);
+    }
+  );
+}
@@ -0,0 +1,475 @@
+/**
+ * Mock attendance routes
+ *
+ * Attendance is taken per class session, a dated meeting of a timetable
+ * entry, addressed by its meeting key (`<entryId>:<timetabled date>`).
+ * Teachers take it for their own courses and TAs for the courses they
+ * assist, from the start of a session until its edit window closes
+ * (lib/academics/attendance.js). Saving is all-or-nothing: every student on
+ * the section's roster needs a status.
+ *
+ * While the class is on, the teacher can put a rotating QR code on the
+ * projector instead: students scan it to check themselves in as present.
+ * Codes are issued and verified by the attendance service (app/api/
+ * attendance), which signs them and rejects any older than 30 seconds. The
+ * teacher watches the check-ins arrive and overrides single students.
+ *
+ * Students see their attendance per course and are notified once per course
+ * when they drop below the exam eligibility threshold. Admins see every
+ * course and export its register as CSV.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { addUserNotification, nextId } from "@/lib/mock-api/db";
+import { can } from "@/lib/auth/permissions";
+import { getServiceHeaders } from "@/lib/auth/service-auth";
+import { getEntryStudentIds } from "@/lib/academics/enrollment";
+import {
+  ATTENDANCE_STATUS,
+  EXAM_ELIGIBILITY_THRESHOLD,
+  attendanceToCsv,
+  getAttendanceSummary,
+  getAttendanceWindow,
+  isAttendanceOpen,
+  isCheckInOpen,
+  validateAttendance,
+} from "@/lib/academics/attendance";
+import {
+  findTerm,
+  formatCalendarDate,
+  toCampusDate,
+} from "@/lib/calendar/academic-calendar";
+import { MEETING_STATUS, getClassMeetings } from "@/lib/calendar/class-schedule";
+
+function findCourse(db, courseId) {
+  const course = db.courses.find((c) => c.id === courseId);
+  if (!course) throw new MockHttpError(404, "Course not found");
+  return course;
+}
+
+function requireTaker(user, course) {
+  requireRole(user, "teacher", "ta");
+  if (!can(user, "attendance:take", course)) {
+    throw new MockHttpError(403, `You do not teach ${course.code}`);
+  }
+}
+
+// Meetings of the course's classes from the start of its term up to `to`;
+// cancelled meetings have no session
+function getCourseSessions(db, course, to) {
+  const term = findTerm(course.semester, db.academicCalendar);
+  if (!term) return [];
+  return getClassMeetings({
+    entries: db.timetable.filter((entry) => entry.courseId === course.id),
+    terms: db.academicCalendar,
+    overrides: db.classOverrides,
+    from: term.startDate,
+    to,
+  }).filter((meeting) => meeting.status !== MEETING_STATUS.CANCELLED);
+}
+
+// The session for a meeting key, wherever it was rescheduled to
+function findSession(db, key) {
+  const [entryId, date] = String(key || "").split(":");
+  const entry = db.timetable.find((e) => e.id === entryId);
+  const term = entry && findTerm(entry.semester, db.academicCalendar);
+  const session =
+    term &&
+    getClassMeetings({
+      entries: [entry],
+      terms: db.academicCalendar,
+      overrides: db.classOverrides,
+      from: term.startDate,
+      to: term.endDate,
+    }).find((meeting) => meeting.originalDate === date);
+  if (!session || session.status === MEETING_STATUS.CANCELLED) {
+    throw new MockHttpError(404, "Class session not found");
+  }
+  return session;
+}
+
+function getSessionRoster(db, entry) {
+  return getEntryStudentIds(entry, db.enrollments)
+    .map((studentId) => db.users.find((u) => u.id === studentId))
+    .filter(Boolean)
+    .sort((a, b) => String(a.rollNumber).localeCompare(String(b.rollNumber)));
+}
+
+function getCourseRecords(db, courseId) {
+  return db.attendance
+    .filter((record) => record.courseId === courseId)
+    .sort((a, b) =>
+      `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`)
+    );
+}
+
+function getStudentSummary(records, studentId) {
+  return getAttendanceSummary(
+    records.map((record) => record.statuses[studentId]).filter(Boolean)
+  );
+}
+
+function countStatuses(record) {
+  const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+  Object.values(record?.statuses || {}).forEach((status) => {
+    counts[status] += 1;
+  });
+  return counts;
+}
+
+function toWindowResponse(session, now) {
+  const { opensAt, closesAt } = getAttendanceWindow(session);
+  return {
+    opensAt: new Date(opensAt).toISOString(),
+    closesAt: new Date(closesAt).toISOString(),
+    open: isAttendanceOpen(session, now),
+    upcoming: now < opensAt,
+    checkInOpen: isCheckInOpen(session, now),
+  };
+}
+
+function toSessionResponse(db, session, now) {
+  const record = db.attendance.find((r) => r.sessionKey === session.key);
+  return {
+    key: session.key,
+    date: session.date,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    room: session.room,
+    section: session.entry.section || null,
+    rescheduled: session.status === MEETING_STATUS.RESCHEDULED,
+    taken: Boolean(record),
+    counts: record ? countStatuses(record) : null,
+    ...toWindowResponse(session, now),
+  };
+}
+
+// Each enrolled student's attendance in a course, with the sessions taken
+function getCourseRegister(db, course) {
+  const sessions = getCourseRecords(db, course.id);
+  const students = db.enrollments
+    .filter((e) => e.courseId === course.id && e.status === "enrolled")
+    .map((enrollment) => {
+      const student = db.users.find((u) => u.id === enrollment.studentId);
+      return (
+        student && {
+          id: student.id,
+          rollNumber: student.rollNumber,
+          fullName: student.fullName,
+          section: enrollment.section,
+          statuses: Object.fromEntries(
+            sessions
+              .filter((s) => s.statuses[student.id])
+              .map((s) => [s.sessionKey, s.statuses[student.id]])
+          ),
+          summary: getStudentSummary(sessions, student.id),
+        }
+      );
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(a.rollNumber).localeCompare(String(b.rollNumber)));
+  return { sessions, students };
+}
+
+function toCourseOverview(db, course) {
+  const { sessions, students } = getCourseRegister(db, course);
+  const percentages = students
+    .map((student) => student.summary.percentage)
+    .filter((percentage) => percentage !== null);
+  const total = percentages.reduce((sum, p) => sum + p, 0);
+  return {
+    id: course.id,
+    code: course.code,
+    name: course.name,
+    semester: course.semester,
+    instructor: course.teacher?.user?.fullName || null,
+    students: students.length,
+    sessionsTaken: sessions.length,
+    averagePercentage:
+      percentages.length > 0
+        ? Math.round((total / percentages.length) * 10) / 10
+        : null,
+    belowThreshold: students.filter((s) => !s.summary.eligible).length,
+  };
+}
+
+function requireWindowOpen(session, now) {
+  if (isAttendanceOpen(session, now)) return;
+  if (now < getAttendanceWindow(session).opensAt) {
+    throw new MockHttpError(
+      409,
+      "Attendance can be taken once the class starts"
+    );
+  }
+  throw new MockHttpError(
+    409,
+    `Attendance for ${formatCalendarDate(session.date)} can no longer ` +
+      "be changed"
+  );
+}
+
+// Create or update a session's record with some students' statuses
+function saveRecord(db, session, { statuses, checkIns = {}, userId, now }) {
+  const existing = db.attendance.find((r) => r.sessionKey === session.key);
+  const record = {
+    id: existing?.id || nextId(db.attendance),
+    sessionKey: session.key,
+    entryId: session.entry.id,
+    courseId: session.entry.courseId,
+    date: session.date,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    statuses: { ...existing?.statuses, ...statuses },
+    checkIns: { ...existing?.checkIns, ...checkIns },
+    takenBy: existing?.takenBy || userId,
+    takenAt: existing?.takenAt || new Date(now).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+  };
+  db.attendance = [...db.attendance.filter((r) => r !== existing), record];
+  return record;
+}
+
+// Calls the attendance service for the signed-in user
+async function attendanceService(user, path, body) {
+  let response;
+  try {
+    response = await fetch(`/api/attendance${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...getServiceHeaders(user.id),
+      },
+      body: JSON.stringify(body),
+    });
+  } catch {
+    throw new MockHttpError(
+      503,
+      "The attendance service is unavailable. Please try again later."
+    );
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new MockHttpError(
+      response.status,
+      data.message || "Attendance request failed"
+    );
+  }
+  return data;
+}
+
+function warnBelowThreshold(db, course, studentIds) {
+  const records = getCourseRecords(db, course.id);
+  studentIds.forEach((studentId) => {
+    const summary = getStudentSummary(records, studentId);
+    if (summary.eligible) return;
+    addUserNotification(db, studentId, {
+      key: `attendance-warning:${course.id}`,
+      type: "warning",
+      title: "Attendance below exam threshold",
+      message:
+        `Your attendance in ${course.code} is ${summary.percentage}%. ` +
+        `Students below ${EXAM_ELIGIBILITY_THRESHOLD}% may not sit its exams.`,
+      course: { id: course.id, code: course.code },
+    });
+  });
+}
+
+export function registerAttendanceRoutes(router) {
+  // Courses the user takes attendance for (every course for admins)
+  router.get("/attendance/courses", ({ user, db }) => {
+    requireRole(user, "teacher", "ta", "admin");
+    return db.courses
+      .filter(
+        (course) =>
+          user.role === "admin" || can(user, "attendance:take", course)
+      )
+      .map((course) => toCourseOverview(db, course));
+  });
+
+  // Sessions held so far, and today's, newest first
+  router.get("/attendance/courses/:id/sessions", ({ params, user, db }) => {
+    const course = findCourse(db, params.id);
+    requireTaker(user, course);
+    const now = Date.now();
+    return {
+      course: toCourseOverview(db, course),
+      sessions: getCourseSessions(db, course, toCampusDate(now))
+        .map((session) => toSessionResponse(db, session, now))
+        .reverse(),
+    };
+  });
+
+  // A session's roster with each student's status, if taken
+  router.get("/attendance/session", ({ query, user, db }) => {
+    const session = findSession(db, query.key);
+    const course = findCourse(db, session.entry.courseId);
+    requireTaker(user, course);
+    const record = db.attendance.find((r) => r.sessionKey === session.key);
+    return {
+      course: { id: course.id, code: course.code, name: course.name },
+      session: toSessionResponse(db, session, Date.now()),
+      students: getSessionRoster(db, session.entry).map((student) => ({
+        id: student.id,
+        rollNumber: student.rollNumber,
+        fullName: student.fullName,
+        status: record?.statuses[student.id] || null,
+        checkedInAt: record?.checkIns?.[student.id] || null,
+      })),
+      takenAt: record?.takenAt || null,
+      updatedAt: record?.updatedAt || null,
+    };
+  });
+
+  // Take or correct a session's attendance while its window is open
+  router.put("/attendance/session", ({ body, user, db }) => {
+    const session = findSession(db, body.key);
+    const course = findCourse(db, session.entry.courseId);
+    requireTaker(user, course);
+    const now = Date.now();
+    requireWindowOpen(session, now);
+
+    const rosterIds = getSessionRoster(db, session.entry).map((s) => s.id);
+    const statuses = body.statuses || {};
+    const invalid = validateAttendance(statuses, rosterIds);
+    if (invalid) throw new MockHttpError(400, invalid);
+
+    saveRecord(db, session, {
+      statuses: Object.fromEntries(rosterIds.map((id) => [id, statuses[id]])),
+      userId: user.id,
+      now,
+    });
+    warnBelowThreshold(db, course, rosterIds);
+    return toSessionResponse(db, session, now);
+  });
+
+  // Override one student's status, e.g. during QR check-in
+  router.patch("/attendance/session", ({ body, user, db }) => {
+    const session = findSession(db, body.key);
+    const course = findCourse(db, session.entry.courseId);
+    requireTaker(user, course);
+    const now = Date.now();
+    requireWindowOpen(session, now);
+
+    const studentId = String(body.studentId || "");
+    const rosterIds = getSessionRoster(db, session.entry).map((s) => s.id);
+    if (!rosterIds.includes(studentId)) {
+      throw new MockHttpError(
+        400,
+        "Student is not on the roster for this class"
+      );
+    }
+    if (!Object.values(ATTENDANCE_STATUS).includes(body.status)) {
+      throw new MockHttpError(
+        400,
+        "Status must be present, absent, late or excused"
+      );
+    }
+
+    saveRecord(db, session, {
+      statuses: { [studentId]: body.status },
+      userId: user.id,
+      now,
+    });
+    warnBelowThreshold(db, course, [studentId]);
+    return toSessionResponse(db, session, now);
+  });
+
+  // A fresh signed code for the QR check-in screen; valid for 30 seconds
+  router.post("/attendance/check-in/code", async ({ body, user, db }) => {
+    const session = findSession(db, body.key);
+    const course = findCourse(db, session.entry.courseId);
+    requireTaker(user, course);
+    if (!isCheckInOpen(session)) {
+      throw new MockHttpError(
+        409,
+        "Students can check in only while the class is on"
+      );
+    }
+    return attendanceService(user, "/check-in-codes", {
+      sessionKey: session.key,
+    });
+  });
+
+  // A student scanned the check-in QR code: mark them present
+  router.post("/attendance/check-in", async ({ body, user, db }) => {
+    requireRole(user, "student");
+    const { sessionKey } = await attendanceService(
+      user,
+      "/check-in-codes/verify",
+      { code: body.code }
+    );
+    const session = findSession(db, sessionKey);
+    const course = findCourse(db, session.entry.courseId);
+    const onRoster = getEntryStudentIds(session.entry, db.enrollments);
+    if (!onRoster.includes(user.id)) {
+      throw new MockHttpError(
+        403,
+        `You are not enrolled in this ${course.code} class`
+      );
+    }
+    const now = Date.now();
+    if (!isCheckInOpen(session, now)) {
+      throw new MockHttpError(409, "Check-in for this class has closed");
+    }
+
+    const record = db.attendance.find((r) => r.sessionKey === session.key);
+    // A status the teacher already gave is kept
+    const status = record?.statuses[user.id];
+    if (!status) {
+      saveRecord(db, session, {
+        statuses: { [user.id]: ATTENDANCE_STATUS.PRESENT },
+        checkIns: { [user.id]: new Date(now).toISOString() },
+        userId: null,
+        now,
+      });
+    }
+    return {
+      course: { id: course.id, code: course.code, name: course.name },
+      date: session.date,
+      startTime: session.startTime,
+      status: status || ATTENDANCE_STATUS.PRESENT,
+      alreadyMarked: Boolean(status),
+    };
+  });
+
+  // The signed-in student's attendance in each enrolled course
+  router.get("/attendance/me", ({ user, db }) => {
+    requireRole(user, "student");
+    const courses = db.enrollments
+      .filter((e) => e.studentId === user.id && e.status === "enrolled")
+      .map((enrollment) => {
+        const course = db.courses.find((c) => c.id === enrollment.courseId);
+        if (!course) return null;
+        const records = getCourseRecords(db, course.id).filter(
+          (record) => record.statuses[user.id]
+        );
+        return {
+          id: course.id,
+          code: course.code,
+          name: course.name,
+          semester: course.semester,
+          section: enrollment.section,
+          summary: getStudentSummary(records, user.id),
+          sessions: records
+            .map((record) => ({
+              key: record.sessionKey,
+              date: record.date,
+              startTime: record.startTime,
+              status: record.statuses[user.id],
+            }))
+            .reverse(),
+        };
+      })
+      .filter(Boolean);
+    return { threshold: EXAM_ELIGIBILITY_THRESHOLD, courses };
+  });
+
+  router.get("/attendance/courses/:id/export", ({ params, user, db }) => {
+    requireRole(user, "admin");
+    const course = findCourse(db, params.id);
+    return {
+      fileName: `attendance-${course.code.toLowerCase()}.csv`,
+      csv: attendanceToCsv(getCourseRegister(db, course)),
+    };
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * Mock auth routes
+ *
+ * Login for demo accounts and admin-created users, plus the admin
+ * account-creation endpoints used by the Students/Teachers pages.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { nextId, toPublicUser } from "@/lib/mock-api/db";
+import { mockDemoAccounts } from "@/lib/mock-data/admin-mock-data";
+
+export const MOCK_TOKEN_PREFIX = "mock-token-";
+export const MOCK_REFRESH_PREFIX = "mock-refresh-";
+
+// Short-lived access tokens so the silent refresh flow gets exercised
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+/**
+ * Issue an access/refresh token pair for a user
+ * Access tokens look like "mock-token-<userId>.<expiresAtMs>".
+ */
+function issueTokens(user) {
+  const expiresAt = Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000;
+  return {
+    accessToken: `${MOCK_TOKEN_PREFIX}${user.id}.${expiresAt}`,
+    refreshToken: MOCK_REFRESH_PREFIX + user.id,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+/**
+ * Parse a mock access token
+ * @param {string} token - Bearer token
+ * @returns {{ userId: string, expired: boolean }|null}
+ */
+export function parseMockAccessToken(token) {
+  if (!token?.startsWith(MOCK_TOKEN_PREFIX)) return null;
+  const [userId, expiresAt] = token.slice(MOCK_TOKEN_PREFIX.length).split(".");
+  return {
+    userId,
+    expired: Boolean(expiresAt) && Number(expiresAt) <= Date.now(),
+  };
+}
+
+function assertEmailAvailable(db, email) {
+  if (db.users.some((u) => u.email.toLowerCase() === email.toLowerCase())) {
+    throw new MockHttpError(409, "A user with this email already exists");
+  }
+}
+
+function nextCode(db, role, prefix) {
+  const count = db.users.filter((u) => u.role === role).length + 1;
+  return `${prefix}-2024-${String(count).padStart(3, "0")}`;
+}
+
+export function registerAuthRoutes(router) {
+  router.post("/auth/login", ({ body, db }) => {
+    const email = body?.email || "";
+    const demo = mockDemoAccounts[email];
+    const user = demo
+      ? db.users.find((u) => u.id === demo.id)
+      : db.users.find(
+          (u) => u.email === email && u.password && u.password === body?.password
+        );
+
+    if (!user) {
+      throw new MockHttpError(401, "Invalid email or password");
+    }
+    if (user.isActive === false) {
+      throw new MockHttpError(403, "This account has been deactivated");
+    }
+
+    return { ...issueTokens(user), user: toPublicUser(user) };
+  });
+
+  router.post("/auth/refresh", ({ body, db }) => {
+    const refreshToken = body?.refreshToken || "";
+    const user = refreshToken.startsWith(MOCK_REFRESH_PREFIX)
+      ? db.users.find(
+          (u) => u.id === refreshToken.slice(MOCK_REFRESH_PREFIX.length)
+        )
+      : null;
+    if (!user || user.isActive === false) {
+      throw new MockHttpError(401, "Refresh token is invalid or revoked");
+    }
+    return issueTokens(user);
+  });
+
+  router.post("/auth/forgot-password", () => ({
+    message: "If that email exists, a reset link has been sent.",
+  }));
+
+  router.post("/auth/create-student", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    assertEmailAvailable(db, body.email);
+    const student = {
+      id: nextId(db.users),
+      role: "student",
+      fullName: body.fullName,
+      email: body.email,
+      password: body.password,
+      rollNumber: body.rollNumber || nextCode(db, "student", "STU"),
+      currentSemester: Number(body.currentSemester) || 1,
+      program: body.program || "BS Computer Science",
+      isActive: true,
+    };
+    db.users.push(student);
+    return toPublicUser(student);
+  });
+
+  router.post("/auth/create-teacher", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    assertEmailAvailable(db, body.email);
+    const teacher = {
+      id: nextId(db.users),
+      role: "teacher",
+      fullName: body.fullName,
+      email: body.email,
+      password: body.password,
+      employeeId: body.employeeId || nextCode(db, "teacher", "EMP"),
+      department: body.department || "",
+      designation: body.designation || "",
+      isActive: true,
+    };
+    db.users.push(teacher);
+    return toPublicUser(teacher);
+  });
+}
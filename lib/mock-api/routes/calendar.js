@@ -0,0 +1,433 @@
+/**
+ * Mock calendar routes
+ *
+ * The timetable calendar shows a user's dated class meetings for a range of
+ * days, with holidays, exam periods, the exams they sit (with their seats)
+ * or teach, and one-off changes: teachers cancel or reschedule a single
+ * meeting of their own classes, and the section's students are notified
+ * (lib/calendar/class-schedule.js).
+ *
+ * Students, teachers and TAs export their calendar as an .ics file: the
+ * classes they attend or teach, assignment deadlines and, for students,
+ * unpaid fee due dates (lib/calendar/ics.js).
+ *
+ * They can also subscribe to it from Google Calendar or Outlook. The feed
+ * is served by the calendar service (app/api/calendar) at a secret per-user
+ * URL. After a write to anything calendars are built from, the mock adapter
+ * calls scheduleCalendarFeedSync(), which republishes the calendars that
+ * changed in the background, so subscribed apps pick up cancelled classes,
+ * new deadlines and fee changes on their next refresh.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { addUserNotification, nextId } from "@/lib/mock-api/db";
+import { getUserExams } from "@/lib/mock-api/routes/exams";
+import { can } from "@/lib/auth/permissions";
+import { getServiceHeaders } from "@/lib/auth/service-auth";
+import {
+  getEntryStudentIds,
+  getSectionSlots,
+} from "@/lib/academics/enrollment";
+import { getFeeSummary } from "@/lib/fees/ledger";
+import { buildUserCalendar } from "@/lib/calendar/ics";
+import {
+  findTerm,
+  formatCalendarDate,
+  toCampusDate,
+} from "@/lib/calendar/academic-calendar";
+import {
+  OVERRIDE_TYPES,
+  describeClassOverride,
+  findOverrideClashes,
+  getCalendarDays,
+  getClassMeetings,
+  getDatesBetween,
+  validateClassOverride,
+} from "@/lib/calendar/class-schedule";
+
+const CALENDAR_ROLES = ["student", "teacher", "ta"];
+const EXPORT_FILE_NAME = "my-class-portal.ics";
+// Longest range one calendar read returns
+const MAX_RANGE_DAYS = 62;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function enrollmentsOf(db, studentId) {
+  return db.enrollments.filter(
+    (e) => e.studentId === studentId && e.status === "enrolled"
+  );
+}
+
+// Timetable entries the user attends or teaches, in every semester
+function classesOf(db, user) {
+  if (user.role === "student") {
+    return enrollmentsOf(db, user.id).flatMap((e) =>
+      getSectionSlots(e.courseId, e.section, db.timetable)
+    );
+  }
+  const taught = new Set(
+    db.courses
+      .filter((course) => can(user, "grades:enter", course))
+      .map((course) => course.id)
+  );
+  return db.timetable.filter((entry) => taught.has(entry.courseId));
+}
+
+function assignmentsOf(db, user) {
+  const courseIds = new Set(
+    enrollmentsOf(db, user.id).map((e) => e.courseId)
+  );
+  return db.assignments
+    .filter((a) =>
+      user.role === "student"
+        ? courseIds.has(a.courseId)
+        : can(user, "assignments:grade", a)
+    )
+    .map((a) => {
+      const course = db.courses.find((c) => c.id === a.courseId);
+      return {
+        ...a,
+        course: course ? { code: course.code, name: course.name } : null,
+      };
+    });
+}
+
+// Read-only: late fees are charged when the student views their fees,
+// never by exporting or publishing a calendar
+function feesOf(db, user) {
+  if (user.role !== "student") return [];
+  const transactions = db.feeTransactions.filter(
+    (t) => t.studentId === user.id
+  );
+  return db.fees
+    .filter((fee) => fee.studentId === user.id)
+    .map((fee) => ({ ...fee, summary: getFeeSummary(fee, transactions) }));
+}
+
+function buildCalendarFor(db, user) {
+  return buildUserCalendar({
+    name: `My Class Portal (${user.fullName})`,
+    classes: classesOf(db, user),
+    terms: db.academicCalendar,
+    overrides: db.classOverrides,
+    assignments: assignmentsOf(db, user),
+    fees: feesOf(db, user),
+  });
+}
+
+function readRange(query) {
+  const { from, to } = query;
+  if (!DATE_PATTERN.test(from || "") || !DATE_PATTERN.test(to || "")) {
+    throw new MockHttpError(400, "from and to dates are required");
+  }
+  if (to < from) throw new MockHttpError(400, "to must not be before from");
+  if (getDatesBetween(from, to).length > MAX_RANGE_DAYS) {
+    throw new MockHttpError(
+      400,
+      `Ranges are limited to ${MAX_RANGE_DAYS} days`
+    );
+  }
+  return { from, to };
+}
+
+// The course's own teacher, not TAs, changes its meetings
+function teaches(user, course) {
+  return user.role === "teacher" && course?.teacher?.id === user.id;
+}
+
+function toMeetingResponse(db, user, meeting) {
+  const course = db.courses.find((c) => c.id === meeting.entry.courseId);
+  return {
+    ...meeting,
+    instructor: course?.teacher?.user?.fullName || null,
+    canChange: teaches(user, course),
+  };
+}
+
+function notifyStudents(db, entry, notification) {
+  const course = db.courses.find((c) => c.id === entry.courseId);
+  getEntryStudentIds(entry, db.enrollments).forEach((studentId) =>
+    addUserNotification(db, studentId, {
+      ...notification,
+      course: course ? { id: course.id, code: course.code } : null,
+    })
+  );
+}
+
+function findOwnEntry(db, user, entryId) {
+  const entry = db.timetable.find((e) => e.id === entryId);
+  if (!entry) throw new MockHttpError(404, "Class not found");
+  const course = db.courses.find((c) => c.id === entry.courseId);
+  if (!teaches(user, course)) {
+    throw new MockHttpError(403, `You do not teach ${entry.course?.code}`);
+  }
+  return entry;
+}
+
+// Calls the calendar service for a user
+async function calendarService(userId, path, options = {}) {
+  let response;
+  try {
+    response = await fetch(`/api/calendar${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...getServiceHeaders(userId),
+        ...options.headers,
+      },
+    });
+  } catch {
+    throw new MockHttpError(
+      503,
+      "The calendar service is unavailable. Please try again later."
+    );
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new MockHttpError(
+      response.status,
+      data.message || "Calendar request failed"
+    );
+  }
+  return data;
+}
+
+// DTSTAMP is the build time, so it differs between otherwise equal builds
+function withoutStamps(calendar) {
+  return calendar?.replace(/^DTSTAMP:.*$/gm, "");
+}
+
+function toFeedResponse(feed) {
+  return { url: feed.url, updatedAt: feed.updatedAt };
+}
+
+// Remember the user's feed; `calendar` is what it serves, when known
+function saveFeed(db, user, { token, updatedAt }, calendar = null) {
+  const feed = {
+    userId: user.id,
+    url: `${window.location.origin}/api/calendar/${token}.ics`,
+    calendar,
+    updatedAt,
+  };
+  db.calendarFeeds = [
+    ...db.calendarFeeds.filter((f) => f.userId !== user.id),
+    feed,
+  ];
+  return feed;
+}
+
+// The user's feed, asking the calendar service when this session has not
+// seen it yet; null before they subscribe
+async function findFeed(db, user) {
+  const known = db.calendarFeeds.find((f) => f.userId === user.id);
+  if (known) return known;
+  try {
+    return saveFeed(db, user, await calendarService(user.id, "/feeds"));
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+// Issue a new secret URL with the user's current calendar
+async function createFeed(db, user) {
+  const calendar = buildCalendarFor(db, user);
+  const created = await calendarService(user.id, "/feeds", {
+    method: "POST",
+    body: JSON.stringify({ calendar }),
+  });
+  return saveFeed(db, user, created, calendar);
+}
+
+// Republish the subscribed calendars that changed since they were last
+// published. A feed that fails to publish is retried after the next write.
+async function syncCalendarFeeds(db) {
+  await Promise.all(
+    db.calendarFeeds.map(async (feed) => {
+      const user = db.users.find((u) => u.id === feed.userId);
+      if (!user) return;
+      const calendar = buildCalendarFor(db, user);
+      if (withoutStamps(calendar) === withoutStamps(feed.calendar)) return;
+      try {
+        const { updatedAt } = await calendarService(user.id, "/feeds", {
+          method: "PUT",
+          body: JSON.stringify({ calendar }),
+        });
+        Object.assign(feed, { calendar, updatedAt });
+      } catch (err) {
+        console.warn("Could not update calendar feed:", err.message);
+      }
+    })
+  );
+}
+
+// Paths whose writes change what calendars are built from: classes and
+// their changes, enrollments, exams, assignments and fees. Terms come from
+// the seed data and are not written through the API.
+const CALENDAR_INPUT_PATHS = [
+  "/timetable",
+  "/class-overrides",
+  "/enrollments",
+  "/exams",
+  "/assignments",
+  "/fees",
+];
+
+let feedSync = Promise.resolve();
+
+/**
+ * Republish changed calendar feeds in the background after a write, if the
+ * write could have changed them. Syncs run one at a time so an older
+ * calendar never overwrites a newer one.
+ * @param {object} db - Mock database
+ * @param {string} method - Request method
+ * @param {string} pathname - Request path
+ * @returns {Promise<void>} Settles when the sync is done; never rejects
+ */
+export function scheduleCalendarFeedSync(db, method, pathname) {
+  const changesInputs = CALENDAR_INPUT_PATHS.some(
+    (path) => pathname === path || pathname.startsWith(`${path}/`)
+  );
+  if (method === "get" || !changesInputs) return feedSync;
+  feedSync = feedSync
+    .then(() => syncCalendarFeeds(db))
+    .catch((err) => console.warn("Calendar feed sync failed:", err.message));
+  return feedSync;
+}
+
+export function registerCalendarRoutes(router) {
+  // Days from `from` to `to` with their holidays and exam periods, and the
+  // user's class meetings and exams in them
+  router.get("/calendar", ({ query, user, db }) => {
+    requireRole(user, ...CALENDAR_ROLES);
+    const { from, to } = readRange(query);
+    const classes = classesOf(db, user);
+    // Only the holidays and exams of semesters the user has classes in
+    const semesters = new Set(classes.map((entry) => entry.semester));
+    const terms = db.academicCalendar.filter((term) =>
+      semesters.has(term.semester)
+    );
+    return {
+      days: getCalendarDays(from, to, terms),
+      meetings: getClassMeetings({
+        entries: classes,
+        terms: db.academicCalendar,
+        overrides: db.classOverrides,
+        from,
+        to,
+      }).map((meeting) => toMeetingResponse(db, user, meeting)),
+      exams: getUserExams(db, user).filter(
+        (exam) => from <= exam.date && exam.date <= to
+      ),
+    };
+  });
+
+  // Cancel or reschedule one meeting; replaces an earlier change to it
+  router.post("/class-overrides", ({ body, user, db }) => {
+    requireRole(user, "teacher");
+    const entry = findOwnEntry(db, user, body.entryId);
+    const existing = db.classOverrides.find(
+      (o) => o.entryId === entry.id && o.date === body.date
+    );
+    const rescheduled = body.type === OVERRIDE_TYPES.RESCHEDULED;
+    const override = {
+      id: existing?.id || nextId(db.classOverrides),
+      entryId: entry.id,
+      date: body.date,
+      type: body.type,
+      ...(rescheduled
+        ? {
+            newDate: body.newDate,
+            startTime: body.startTime,
+            endTime: body.endTime,
+            room: String(body.room || "").trim(),
+          }
+        : {}),
+      reason: String(body.reason || "").trim(),
+      createdBy: user.id,
+      createdAt: new Date().toISOString(),
+    };
+
+    const invalid = validateClassOverride(
+      override,
+      entry,
+      findTerm(entry.semester, db.academicCalendar),
+      toCampusDate(Date.now())
+    );
+    if (invalid) throw new MockHttpError(400, invalid);
+    if (rescheduled) {
+      const clashes = findOverrideClashes(override, entry, {
+        timetable: db.timetable,
+        terms: db.academicCalendar,
+        overrides: db.classOverrides,
+        courses: db.courses,
+      });
+      if (clashes.length > 0) {
+        throw new MockHttpError(409, clashes[0].message, { clashes });
+      }
+    }
+
+    db.classOverrides = [
+      ...db.classOverrides.filter((o) => o !== existing),
+      override,
+    ];
+    notifyStudents(db, entry, {
+      type: rescheduled ? "info" : "warning",
+      title: rescheduled ? "Class rescheduled" : "Class cancelled",
+      message: `${describeClassOverride(override, entry)}: ${override.reason}`,
+    });
+    return override;
+  });
+
+  // Undo a change; the meeting takes place as timetabled again
+  router.delete("/class-overrides/:id", ({ params, user, db }) => {
+    requireRole(user, "teacher");
+    const override = db.classOverrides.find((o) => o.id === params.id);
+    if (!override) throw new MockHttpError(404, "Class change not found");
+    const entry = findOwnEntry(db, user, override.entryId);
+    if (override.date < toCampusDate(Date.now())) {
+      throw new MockHttpError(
+        400,
+        "Classes that already took place cannot be changed"
+      );
+    }
+
+    db.classOverrides = db.classOverrides.filter((o) => o !== override);
+    notifyStudents(db, entry, {
+      type: "info",
+      title: "Class back on schedule",
+      message:
+        `${entry.course?.code} on ${formatCalendarDate(override.date)} ` +
+        `takes place as timetabled, ${entry.startTime}-${entry.endTime} ` +
+        `in ${entry.room}.`,
+    });
+    return { success: true };
+  });
+
+  router.get("/calendar/export", ({ user, db }) => {
+    requireRole(user, ...CALENDAR_ROLES);
+    return {
+      fileName: EXPORT_FILE_NAME,
+      calendar: buildCalendarFor(db, user),
+    };
+  });
+
+  // Secret subscription URL, or null before the user subscribes
+  router.get("/calendar/feed", async ({ user, db }) => {
+    requireRole(user, ...CALENDAR_ROLES);
+    const feed = await findFeed(db, user);
+    return feed && toFeedResponse(feed);
+  });
+
+  // Subscribe: the user's secret URL, created on first use
+  router.post("/calendar/feed", async ({ user, db }) => {
+    requireRole(user, ...CALENDAR_ROLES);
+    const feed = (await findFeed(db, user)) || (await createFeed(db, user));
+    return toFeedResponse(feed);
+  });
+
+  // New secret URL for a leaked link; the old one stops working
+  router.post("/calendar/feed/reset", async ({ user, db }) => {
+    requireRole(user, ...CALENDAR_ROLES);
+    return toFeedResponse(await createFeed(db, user));
+  });
+}
@@ -0,0 +1,92 @@
+/**
+ * Mock course catalogue routes
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { nextId } from "@/lib/mock-api/db";
+import { getSectionSeats } from "@/lib/academics/enrollment";
+import { resolveScheme } from "@/lib/academics/grading-schemes";
+
+// Attach live seat counts to each section
+function withSeats(course, enrollments) {
+  return {
+    ...course,
+    sections: (course.sections || []).map((section) => ({
+      ...section,
+      ...getSectionSeats(course, section.name, enrollments),
+    })),
+  };
+}
+
+// Blank means the default scheme
+function toGradingSchemeId(db, gradingSchemeId) {
+  if (!gradingSchemeId) {
+    return resolveScheme(db.gradingSchemes).id;
+  }
+  if (!db.gradingSchemes.some((s) => s.id === gradingSchemeId)) {
+    throw new MockHttpError(400, "Selected grading scheme does not exist");
+  }
+  return gradingSchemeId;
+}
+
+export function registerCourseRoutes(router) {
+  router.get("/courses", ({ query, user, db }) => {
+    requireRole(user);
+    return db.courses
+      .filter((course) => !query.semester || course.semester === query.semester)
+      .map((course) => withSeats(course, db.enrollments));
+  });
+
+  router.get("/courses/:id", ({ params, user, db }) => {
+    requireRole(user);
+    const course = db.courses.find((c) => c.id === params.id);
+    if (!course) {
+      throw new MockHttpError(404, "Course not found");
+    }
+    return withSeats(course, db.enrollments);
+  });
+
+  router.post("/courses", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    const code = body.code?.trim().toUpperCase();
+    if (db.courses.some((c) => c.code === code && c.semester === body.semester)) {
+      throw new MockHttpError(409, `Course ${code} already exists for ${body.semester}`);
+    }
+    const teacher = db.users.find(
+      (u) => u.role === "teacher" && u.id === body.teacherId
+    );
+    if (!teacher) {
+      throw new MockHttpError(400, "Selected teacher does not exist");
+    }
+    const creditHours = Number(body.creditHours);
+    if (!(creditHours >= 0 && creditHours <= 6)) {
+      throw new MockHttpError(400, "Credit hours must be between 0 and 6");
+    }
+    const course = {
+      id: nextId(db.courses),
+      code,
+      name: body.name,
+      creditHours,
+      semester: body.semester,
+      gradingSchemeId: toGradingSchemeId(db, body.gradingSchemeId),
+      description: body.description || "",
+      prerequisites: [],
+      sections: [{ name: "A", capacity: 40 }],
+      teacher: { id: teacher.id, user: { fullName: teacher.fullName } },
+      isActive: true,
+    };
+    db.courses.push(course);
+    return course;
+  });
+
+  // Letter grades in the course's grade sheet follow the new scheme at once
+  router.put("/courses/:id/grading-scheme", ({ params, body, user, db }) => {
+    requireRole(user, "admin");
+    const course = db.courses.find((c) => c.id === params.id);
+    if (!course) {
+      throw new MockHttpError(404, "Course not found");
+    }
+    course.gradingSchemeId = toGradingSchemeId(db, body.gradingSchemeId);
+    return withSeats(course, db.enrollments);
+  });
+}
@@ -0,0 +1,51 @@
+/**
+ * Mock degree audit routes
+ *
+ * Sends the student's program requirements with the courses they have
+ * passed and are enrolled in. The audit itself (lib/academics/degree-audit.js)
+ * runs in the browser so "what-if" plans can be re-audited as they change.
+ */
+
+import { requireRole } from "@/lib/mock-api/router";
+import { summarizeResults } from "@/lib/academics/gpa";
+import {
+  COURSE_STATUS,
+  getPassedCourses,
+} from "@/lib/academics/degree-audit";
+
+function findProgram(db, name) {
+  return (
+    db.degreePrograms.find(
+      (program) => program.name.toLowerCase() === String(name).toLowerCase()
+    ) || null
+  );
+}
+
+export function registerDegreeAuditRoutes(router) {
+  // Signed-in student's program, passed and current courses, and results
+  router.get("/degree-audit", ({ user, db }) => {
+    requireRole(user, "student");
+    const results = summarizeResults(db.results[user.id], db.gradingSchemes);
+    const passed = getPassedCourses(results.semesters);
+    const inProgress = db.enrollments
+      .filter((e) => e.studentId === user.id && e.status === "enrolled")
+      .map((enrollment) => db.courses.find((c) => c.id === enrollment.courseId))
+      .filter(
+        (course) => course && !passed.some((p) => p.code === course.code)
+      )
+      .map((course) => ({
+        code: course.code,
+        name: course.name,
+        creditHours: course.creditHours,
+        semester: course.semester,
+        status: COURSE_STATUS.IN_PROGRESS,
+      }));
+
+    return {
+      programName: user.program || null,
+      program: findProgram(db, user.program),
+      courses: [...passed, ...inProgress],
+      results,
+    };
+  });
+}
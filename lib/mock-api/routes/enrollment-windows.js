@@ -0,0 +1,66 @@
+/**
+ * Mock enrollment window routes
+ *
+ * Admins define one add/drop + withdrawal window per semester; everyone
+ * signed in can read them (students need them for countdowns).
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { nextId } from "@/lib/mock-api/db";
+import { validateWindow } from "@/lib/academics/enrollment-windows";
+
+function toWindow(body) {
+  const enrollmentWindow = {
+    semester: body.semester,
+    addDropStart: body.addDropStart,
+    addDropEnd: body.addDropEnd,
+    withdrawalEnd: body.withdrawalEnd,
+  };
+  const invalid = validateWindow(enrollmentWindow);
+  if (invalid) {
+    throw new MockHttpError(400, invalid);
+  }
+  return enrollmentWindow;
+}
+
+export function registerEnrollmentWindowRoutes(router) {
+  router.get("/enrollment-windows", ({ user, db }) => {
+    requireRole(user);
+    return db.enrollmentWindows;
+  });
+
+  router.post("/enrollment-windows", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    const enrollmentWindow = toWindow(body);
+    if (db.enrollmentWindows.some((w) => w.semester === body.semester)) {
+      throw new MockHttpError(
+        409,
+        `${body.semester} already has an enrollment window`
+      );
+    }
+    const created = { id: nextId(db.enrollmentWindows), ...enrollmentWindow };
+    db.enrollmentWindows.push(created);
+    return created;
+  });
+
+  router.put("/enrollment-windows/:id", ({ params, body, user, db }) => {
+    requireRole(user, "admin");
+    const existing = db.enrollmentWindows.find((w) => w.id === params.id);
+    if (!existing) {
+      throw new MockHttpError(404, "Enrollment window not found");
+    }
+    const enrollmentWindow = toWindow({ ...existing, ...body });
+    if (
+      db.enrollmentWindows.some(
+        (w) => w.id !== existing.id && w.semester === enrollmentWindow.semester
+      )
+    ) {
+      throw new MockHttpError(
+        409,
+        `${enrollmentWindow.semester} already has an enrollment window`
+      );
+    }
+    Object.assign(existing, enrollmentWindow);
+    return existing;
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Mock enrollment routes
+ *
+ * Runs the checks in lib/academics/enrollment.js the way the real backend
+ * does. Rejections carry `reasons: [{ code, message }]`; a full section is
+ * rejected with `waitlistAvailable: true` unless the student asked to join
+ * the waitlist.
+ *
+ * Drops follow the semester's enrollment window: a free drop during add/drop,
+ * a withdrawal with a "W" grade until the withdrawal deadline, then locked.
+ * A seat freed during add/drop goes to the next eligible waitlisted student.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { nextId } from "@/lib/mock-api/db";
+import {
+  ACTIVE_STATUSES,
+  evaluateEnrollment,
+  getPassedCourseCodes,
+} from "@/lib/academics/enrollment";
+import {
+  findWindow,
+  getDropOutcome,
+  WITHDRAWAL_GRADE,
+} from "@/lib/academics/enrollment-windows";
+
+function windowFor(db, semester) {
+  return findWindow(db.enrollmentWindows, semester);
+}
+
+function passedCodesFor(db, studentId) {
+  return getPassedCourseCodes(
+    db.results[studentId]?.semesters,
+    db.gradingSchemes
+  );
+}
+
+function waitlistPosition(db, enrollment) {
+  const queue = db.enrollments
+    .filter(
+      (e) =>
+        e.courseId === enrollment.courseId &&
+        e.section === enrollment.section &&
+        e.status === "waitlisted"
+    )
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return queue.findIndex((e) => e.id === enrollment.id) + 1;
+}
+
+function toResponse(db, enrollment) {
+  const course = db.courses.find((c) => c.id === enrollment.courseId);
+  return {
+    ...enrollment,
+    course: course && {
+      id: course.id,
+      code: course.code,
+      name: course.name,
+      creditHours: course.creditHours,
+      semester: course.semester,
+      description: course.description,
+      instructor: course.teacher?.user?.fullName,
+    },
+    waitlistPosition:
+      enrollment.status === "waitlisted"
+        ? waitlistPosition(db, enrollment)
+        : null,
+  };
+}
+
+/**
+ * Fill free seats in a section from its waitlist, oldest request first.
+ * Students whose schedule now clashes stay on the waitlist.
+ */
+function promoteWaitlist(db, course, section) {
+  const queue = db.enrollments
+    .filter(
+      (e) =>
+        e.courseId === course.id &&
+        e.section === section &&
+        e.status === "waitlisted"
+    )
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const candidate of queue) {
+    const result = evaluateEnrollment({
+      studentId: candidate.studentId,
+      course,
+      section,
+      passedCodes: passedCodesFor(db, candidate.studentId),
+      enrollments: db.enrollments.filter((e) => e.id !== candidate.id),
+      timetable: db.timetable,
+      enrollmentWindow: windowFor(db, course.semester),
+    });
+    if (result.full) break;
+    if (result.eligible) {
+      candidate.status = "enrolled";
+      candidate.promotedAt = new Date().toISOString();
+    }
+  }
+}
+
+// Withdrawals stay on the record as a "W" for that semester
+function recordWithdrawal(db, enrollment, course) {
+  const record = (db.results[enrollment.studentId] ||= { semesters: [] });
+  let semester = record.semesters.find((s) => s.name === enrollment.semester);
+  if (!semester) {
+    semester = {
+      id: record.semesters.length + 1,
+      name: enrollment.semester,
+      courses: [],
+    };
+    record.semesters.unshift(semester);
+  }
+  semester.courses.push({
+    code: course.code,
+    name: course.name,
+    grade: WITHDRAWAL_GRADE,
+    creditHours: course.creditHours,
+    marksObtained: null,
+    totalMarks: null,
+  });
+}
+
+export function registerEnrollmentRoutes(router) {
+  // Students see their own enrollments; admins can list any course's roster
+  router.get("/enrollments", ({ query, user, db }) => {
+    requireRole(user, "student", "admin");
+    return db.enrollments
+      .filter((e) => user.role === "admin" || e.studentId === user.id)
+      .filter((e) => !query.courseId || e.courseId === query.courseId)
+      .filter((e) => !query.semester || e.semester === query.semester)
+      .filter((e) => !query.status || e.status === query.status)
+      .map((e) => toResponse(db, e));
+  });
+
+  router.post("/enrollments", ({ body, user, db }) => {
+    requireRole(user, "student");
+    const course = db.courses.find((c) => c.id === body.courseId);
+    if (!course) {
+      throw new MockHttpError(400, "Selected course does not exist");
+    }
+
+    const result = evaluateEnrollment({
+      studentId: user.id,
+      course,
+      section: body.section,
+      passedCodes: passedCodesFor(db, user.id),
+      enrollments: db.enrollments,
+      timetable: db.timetable,
+      enrollmentWindow: windowFor(db, course.semester),
+    });
+
+    if (!result.eligible) {
+      throw new MockHttpError(422, `Cannot enroll in ${course.code}`, {
+        reasons: result.reasons,
+      });
+    }
+    if (result.full && !body.waitlist) {
+      throw new MockHttpError(409, `${course.code} Section ${body.section} is full`, {
+        reasons: result.reasons,
+        waitlistAvailable: true,
+      });
+    }
+
+    const enrollment = {
+      id: nextId(db.enrollments),
+      studentId: user.id,
+      courseId: course.id,
+      section: body.section,
+      semester: course.semester,
+      status: result.full ? "waitlisted" : "enrolled",
+      createdAt: new Date().toISOString(),
+    };
+    db.enrollments.push(enrollment);
+    return toResponse(db, enrollment);
+  });
+
+  // Drop a course, withdraw from it (after add/drop) or leave its waitlist
+  router.delete("/enrollments/:id", ({ params, user, db }) => {
+    requireRole(user, "student", "admin");
+    const enrollment = db.enrollments.find((e) => e.id === params.id);
+    if (
+      !enrollment ||
+      (user.role !== "admin" && enrollment.studentId !== user.id)
+    ) {
+      throw new MockHttpError(404, "Enrollment not found");
+    }
+    if (!ACTIVE_STATUSES.includes(enrollment.status)) {
+      throw new MockHttpError(409, "This enrollment is no longer active");
+    }
+
+    const now = new Date().toISOString();
+
+    // Leaving a waitlist never affects the record
+    if (enrollment.status === "waitlisted") {
+      enrollment.status = "dropped";
+      enrollment.droppedAt = now;
+      return toResponse(db, enrollment);
+    }
+
+    const course = db.courses.find((c) => c.id === enrollment.courseId);
+    const outcome = getDropOutcome(windowFor(db, enrollment.semester));
+
+    if (outcome === "drop") {
+      enrollment.status = "dropped";
+      enrollment.droppedAt = now;
+      promoteWaitlist(db, course, enrollment.section);
+    } else if (outcome === "withdraw" || user.role === "admin") {
+      // Admins can still withdraw a student after the deadline
+      enrollment.status = "withdrawn";
+      enrollment.grade = WITHDRAWAL_GRADE;
+      enrollment.withdrawnAt = now;
+      recordWithdrawal(db, enrollment, course);
+    } else {
+      throw new MockHttpError(
+        422,
+        `The withdrawal deadline for ${enrollment.semester} has passed`
+      );
+    }
+    return toResponse(db, enrollment);
+  });
+}
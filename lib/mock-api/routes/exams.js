@@ -0,0 +1,377 @@
+/**
+ * Mock exam routes
+ *
+ * Admins schedule each course's midterm and final exam in the term's exam
+ * periods (lib/academics/exams.js). Exams that would give a student two
+ * papers at once, or book a room another sitting uses, are rejected with the
+ * clashes; clashes caused later by enrollments are listed with the schedule.
+ *
+ * Each sitting (exams starting at the same date and time) gets a seating
+ * plan that places the students of all its papers across its rooms
+ * (lib/academics/exam-seating.js). Changing a sitting's exams discards its
+ * plan, so it has to be generated again. Students are notified when their
+ * exams are scheduled, moved or cancelled and when they get a seat, and see
+ * their exams with their seats on the dashboard and timetable.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { addUserNotification, nextId } from "@/lib/mock-api/db";
+import { can } from "@/lib/auth/permissions";
+import {
+  EXAM_TYPE_LABELS,
+  findExamClashes,
+  getExamStudentIds,
+  getSittingKey,
+  getSittings,
+  validateExam,
+} from "@/lib/academics/exams";
+import {
+  DEFAULT_SEATING_RULES,
+  generateSeatingPlan,
+  getSittingCapacity,
+  getSittingPapers,
+} from "@/lib/academics/exam-seating";
+import {
+  findTerm,
+  formatCalendarDate,
+} from "@/lib/calendar/academic-calendar";
+
+function toCourseRef(db, courseId) {
+  const course = db.courses.find((c) => c.id === courseId);
+  return course ? { id: course.id, code: course.code, name: course.name } : null;
+}
+
+function describeExam(db, exam) {
+  const course = toCourseRef(db, exam.courseId);
+  return (
+    `${course?.code} ${EXAM_TYPE_LABELS[exam.type]} on ` +
+    `${formatCalendarDate(exam.date)}, ${exam.startTime}-${exam.endTime}`
+  );
+}
+
+function findPlan(db, exam) {
+  return db.seatingPlans.find((plan) => plan.sitting === getSittingKey(exam));
+}
+
+/**
+ * A student's seat for an exam, if the sitting's plan has one
+ * @param {object} db
+ * @param {object} exam
+ * @param {string} studentId
+ * @returns {{ room: string, label: string }|null}
+ */
+export function findExamSeat(db, exam, studentId) {
+  for (const room of findPlan(db, exam)?.rooms || []) {
+    const seat = room.seats.find(
+      (s) => s.studentId === studentId && s.examId === exam.id
+    );
+    if (seat) return { room: room.name, label: seat.label };
+  }
+  return null;
+}
+
+/**
+ * Exams a user sits (students, with their seats) or teaches (teachers and
+ * TAs)
+ * @param {object} db
+ * @param {object} user
+ * @returns {Array} Sorted by date and start time
+ */
+export function getUserExams(db, user) {
+  const student = user.role === "student";
+  return db.exams
+    .filter((exam) =>
+      student
+        ? getExamStudentIds(exam, db.enrollments).includes(user.id)
+        : can(
+            user,
+            "grades:enter",
+            db.courses.find((c) => c.id === exam.courseId)
+          )
+    )
+    .map((exam) => ({
+      ...exam,
+      course: toCourseRef(db, exam.courseId),
+      seat: student ? findExamSeat(db, exam, user.id) : null,
+    }))
+    .sort((a, b) => getSittingKey(a).localeCompare(getSittingKey(b)));
+}
+
+function toClashResponse(clash) {
+  return {
+    type: clash.type,
+    examId: clash.exam.id,
+    studentIds: clash.studentIds,
+    message: clash.message,
+  };
+}
+
+function toExamResponse(db, exam) {
+  const studentIds = getExamStudentIds(exam, db.enrollments);
+  return {
+    ...exam,
+    course: toCourseRef(db, exam.courseId),
+    sitting: getSittingKey(exam),
+    students: studentIds.length,
+    seated: studentIds.filter((id) => findExamSeat(db, exam, id)).length,
+    clashes: findExamClashes(exam, db.exams, db).map(toClashResponse),
+  };
+}
+
+// Validates an exam against the rest of the schedule; `id` is the exam
+// being edited, if any
+function buildExam(db, body, id) {
+  const course = db.courses.find((c) => c.id === body.courseId);
+  if (!course) {
+    throw new MockHttpError(400, "Selected course does not exist");
+  }
+  const exam = {
+    id,
+    courseId: course.id,
+    semester: course.semester,
+    type: body.type,
+    date: body.date,
+    startTime: body.startTime,
+    endTime: body.endTime,
+    rooms: [...new Set(body.rooms || [])],
+  };
+  const invalid = validateExam(
+    exam,
+    findTerm(course.semester, db.academicCalendar),
+    db.rooms
+  );
+  if (invalid) throw new MockHttpError(400, invalid);
+
+  if (
+    db.exams.some(
+      (other) =>
+        other.id !== id &&
+        other.courseId === exam.courseId &&
+        other.type === exam.type
+    )
+  ) {
+    throw new MockHttpError(
+      409,
+      `${course.code} already has a ${EXAM_TYPE_LABELS[exam.type]} exam`
+    );
+  }
+
+  const clashes = findExamClashes(exam, db.exams, db);
+  if (clashes.length > 0) {
+    const count = clashes.length;
+    throw new MockHttpError(
+      409,
+      `This exam has ${count} clash${count === 1 ? "" : "es"}: ` +
+        clashes[0].message,
+      { clashes: clashes.map(toClashResponse) }
+    );
+  }
+  return exam;
+}
+
+// Plans of the sittings an exam leaves or joins no longer match them
+function discardPlans(db, ...exams) {
+  const sittings = new Set(exams.filter(Boolean).map(getSittingKey));
+  db.seatingPlans = db.seatingPlans.filter(
+    (plan) => !sittings.has(plan.sitting)
+  );
+}
+
+function notifyStudents(db, exam, notification) {
+  getExamStudentIds(exam, db.enrollments).forEach((studentId) =>
+    addUserNotification(db, studentId, {
+      ...notification,
+      course: toCourseRef(db, exam.courseId),
+    })
+  );
+}
+
+function findSitting(db, key) {
+  const sitting = getSittings(db.exams).find((s) => s.key === key);
+  if (!sitting) throw new MockHttpError(404, "No exams at that time");
+  return sitting;
+}
+
+function sittingRooms(db, sitting) {
+  return sitting.rooms.map((name) => db.rooms.find((r) => r.name === name));
+}
+
+function toSittingResponse(db, sitting) {
+  const plan = db.seatingPlans.find((p) => p.sitting === sitting.key);
+  const exams = sitting.exams.map((exam) => toExamResponse(db, exam));
+  return {
+    key: sitting.key,
+    date: sitting.date,
+    startTime: sitting.startTime,
+    endTime: sitting.endTime,
+    exams: exams.map(({ id, course, type, students, seated }) => ({
+      id,
+      course,
+      type,
+      students,
+      seated,
+    })),
+    rooms: sittingRooms(db, sitting),
+    students: exams.reduce((total, exam) => total + exam.students, 0),
+    unseated: exams.reduce(
+      (total, exam) => total + exam.students - exam.seated,
+      0
+    ),
+    plan: plan
+      ? {
+          rules: plan.rules,
+          sameNeighbours: plan.sameNeighbours,
+          generatedAt: plan.generatedAt,
+        }
+      : null,
+  };
+}
+
+export function registerExamRoutes(router) {
+  router.get("/exams", ({ query, user, db }) => {
+    requireRole(user, "admin");
+    return db.exams
+      .filter((exam) => !query.semester || exam.semester === query.semester)
+      .map((exam) => toExamResponse(db, exam))
+      .sort((a, b) => a.sitting.localeCompare(b.sitting));
+  });
+
+  router.post("/exams", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    const exam = buildExam(db, body, nextId(db.exams));
+    db.exams.push(exam);
+    discardPlans(db, exam);
+    notifyStudents(db, exam, {
+      type: "info",
+      title: "Exam scheduled",
+      message: `${describeExam(db, exam)} in ${exam.rooms.join(", ")}`,
+    });
+    return toExamResponse(db, exam);
+  });
+
+  router.put("/exams/:id", ({ params, body, user, db }) => {
+    requireRole(user, "admin");
+    const index = db.exams.findIndex((e) => e.id === params.id);
+    if (index === -1) throw new MockHttpError(404, "Exam not found");
+    const previous = db.exams[index];
+    const exam = buildExam(db, body, params.id);
+    const hadSeats = Boolean(findPlan(db, previous));
+    db.exams[index] = exam;
+    discardPlans(db, previous, exam);
+    notifyStudents(db, exam, {
+      type: "warning",
+      title: "Exam changed",
+      message:
+        `${describeExam(db, exam)} in ${exam.rooms.join(", ")}.` +
+        (hadSeats ? " Your seat will be published again." : ""),
+    });
+    return toExamResponse(db, exam);
+  });
+
+  router.delete("/exams/:id", ({ params, user, db }) => {
+    requireRole(user, "admin");
+    const exam = db.exams.find((e) => e.id === params.id);
+    if (!exam) throw new MockHttpError(404, "Exam not found");
+    db.exams = db.exams.filter((e) => e !== exam);
+    discardPlans(db, exam);
+    notifyStudents(db, exam, {
+      type: "warning",
+      title: "Exam cancelled",
+      message: `${describeExam(db, exam)} has been cancelled.`,
+    });
+    return { success: true };
+  });
+
+  // Sittings with their rooms, students and whether everyone has a seat
+  router.get("/exams/sittings", ({ user, db }) => {
+    requireRole(user, "admin");
+    return getSittings(db.exams).map((sitting) =>
+      toSittingResponse(db, sitting)
+    );
+  });
+
+  router.get("/exams/seating-plan", ({ query, user, db }) => {
+    requireRole(user, "admin");
+    const sitting = findSitting(db, query.sitting);
+    const plan = db.seatingPlans.find((p) => p.sitting === sitting.key);
+    if (!plan) {
+      throw new MockHttpError(404, "No seating plan for this sitting yet");
+    }
+    return { ...toSittingResponse(db, sitting), plan };
+  });
+
+  // Seat the sitting's students; replaces its previous plan
+  router.post("/exams/seating-plan", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    const sitting = findSitting(db, body.sitting);
+    const rules = {
+      mixPapers: body.rules?.mixPapers ?? DEFAULT_SEATING_RULES.mixPapers,
+      spaced: body.rules?.spaced ?? DEFAULT_SEATING_RULES.spaced,
+    };
+    const rooms = sittingRooms(db, sitting);
+    const papers = getSittingPapers(sitting, db);
+    const students = papers.reduce((n, paper) => n + paper.students.length, 0);
+    const capacity = getSittingCapacity(rooms, rules);
+    if (students > capacity) {
+      throw new MockHttpError(
+        409,
+        `${sitting.rooms.join(", ")} seat ${capacity} under these rules ` +
+          `but ${students} students sit this exam. Add a room to one of ` +
+          "its exams or turn off spacing."
+      );
+    }
+
+    const { rooms: seated, sameNeighbours } = generateSeatingPlan({
+      papers,
+      rooms,
+      rules,
+    });
+    const plan = {
+      id: nextId(db.seatingPlans),
+      sitting: sitting.key,
+      examIds: sitting.exams.map((exam) => exam.id),
+      rules,
+      rooms: seated,
+      sameNeighbours,
+      generatedBy: user.id,
+      generatedAt: new Date().toISOString(),
+    };
+    db.seatingPlans = [
+      ...db.seatingPlans.filter((p) => p.sitting !== sitting.key),
+      plan,
+    ];
+
+    seated.forEach((room) =>
+      room.seats.forEach((seat) => {
+        const exam = sitting.exams.find((e) => e.id === seat.examId);
+        addUserNotification(db, seat.studentId, {
+          type: "info",
+          title: "Exam seat assigned",
+          message:
+            `${describeExam(db, exam)}: ${room.name}, seat ${seat.label}`,
+          course: toCourseRef(db, exam.courseId),
+        });
+      })
+    );
+    return { ...toSittingResponse(db, sitting), plan };
+  });
+
+  // The signed-in student's exams with their seats
+  router.get("/exams/me", ({ user, db }) => {
+    requireRole(user, "student");
+    const exams = getUserExams(db, user);
+    return exams.map((exam) => ({
+      ...exam,
+      // Other exams of the student's at the same time
+      clashesWith: exams
+        .filter(
+          (other) =>
+            other.id !== exam.id &&
+            findExamClashes(exam, [other], db).some((clash) =>
+              clash.studentIds.includes(user.id)
+            )
+        )
+        .map((other) => other.course?.code),
+    }));
+  });
+}
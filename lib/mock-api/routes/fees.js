@@ -0,0 +1,342 @@
+/**
+ * Mock fee routes
+ *
+ * Students read their own account (fees, ledger and challans), split fees
+ * into installments, pay online and generate bank challans. Admins see every
+ * challan and reconcile them against the bank's collection file.
+ *
+ * Online payments go through the payment service (app/api/payments), which
+ * creates the gateway checkout and receives the gateway's webhooks. A
+ * payment is posted to the ledger once the service reports it succeeded,
+ * whenever the account is read, so it also shows up after the page reloads.
+ *
+ * Reading the account also charges late fees (routes/late-fees.js) and
+ * notifies the student about fees falling due or overdue.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { addUserNotification, nextId } from "@/lib/mock-api/db";
+import { applyLateFees } from "@/lib/mock-api/routes/late-fees";
+import { getServiceHeaders } from "@/lib/auth/service-auth";
+import {
+  TRANSACTION_TYPES,
+  buildLedger,
+  createInstallmentPlan,
+  getAccountTotals,
+  getFeeSummary,
+  validateInstallmentPlan,
+  validatePaymentAmount,
+} from "@/lib/fees/ledger";
+import {
+  CHALLAN_STATUS,
+  generateVoucherNumber,
+  getChallanStatus,
+  getChallanValidity,
+} from "@/lib/fees/challan";
+import { previewReconciliation } from "@/lib/fees/bank-reconciliation";
+import { describeLateFeeRule, findLateFeeRule } from "@/lib/fees/late-fees";
+import { getFeeReminders } from "@/lib/fees/reminders";
+import { PAYMENT_STATUS, getGatewayMethod } from "@/lib/payments/gateway";
+
+// How long a payment status read waits for the gateway's webhook
+const PAYMENT_WAIT_ATTEMPTS = 15;
+const PAYMENT_WAIT_INTERVAL_MS = 1000;
+
+function transactionsOf(db, studentId) {
+  return db.feeTransactions.filter((t) => t.studentId === studentId);
+}
+
+function findOwnFee(db, user, id) {
+  const fee = db.fees.find((f) => f.id === id && f.studentId === user.id);
+  if (!fee) {
+    throw new MockHttpError(404, "Fee not found");
+  }
+  return fee;
+}
+
+function summarize(db, fee) {
+  applyLateFees(db, fee.studentId);
+  return getFeeSummary(fee, transactionsOf(db, fee.studentId));
+}
+
+function withStatus(challan) {
+  return { ...challan, status: getChallanStatus(challan) };
+}
+
+function requireAmount(amount, summary) {
+  const invalid = validatePaymentAmount(amount, summary);
+  if (invalid) {
+    throw new MockHttpError(400, invalid);
+  }
+  return Number(amount);
+}
+
+// Calls the payment service for the signed-in student
+async function paymentService(studentId, path, options = {}) {
+  let response;
+  try {
+    response = await fetch(`/api/payments${path}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...getServiceHeaders(studentId),
+        ...options.headers,
+      },
+    });
+  } catch {
+    throw new MockHttpError(
+      503,
+      "The payment service is unavailable. Please try again later."
+    );
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new MockHttpError(
+      response.status,
+      data.message || "Payment request failed"
+    );
+  }
+  return data;
+}
+
+// Ledger payment for a succeeded intent; posting is idempotent
+function postGatewayPayment(db, intent) {
+  const posted = db.feeTransactions.find(
+    (t) => t.paymentIntentId === intent.id
+  );
+  if (posted) return posted;
+  if (intent.status !== PAYMENT_STATUS.SUCCEEDED) return null;
+  if (!db.fees.some((fee) => fee.id === intent.feeId)) return null;
+
+  const transaction = {
+    id: nextId(db.feeTransactions),
+    studentId: intent.studentId,
+    feeId: intent.feeId,
+    type: TRANSACTION_TYPES.PAYMENT,
+    amount: intent.amount,
+    date: intent.paidAt,
+    method: intent.method,
+    reference: intent.transactionId,
+    gateway: intent.gatewayLabel,
+    paymentIntentId: intent.id,
+  };
+  db.feeTransactions.push(transaction);
+  return transaction;
+}
+
+// The account still loads when the payment service cannot be reached
+async function syncGatewayPayments(db, studentId) {
+  try {
+    const intents = await paymentService(studentId, "/intents");
+    intents.forEach((intent) => postGatewayPayment(db, intent));
+  } catch (err) {
+    console.warn("Could not sync online payments:", err.message);
+  }
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A student's fees with their summaries, after charging late fees
+function loadAccount(db, studentId) {
+  applyLateFees(db, studentId);
+  const transactions = transactionsOf(db, studentId);
+  const fees = db.fees
+    .filter((fee) => fee.studentId === studentId)
+    .map((fee) => {
+      const rule = findLateFeeRule(fee, db.lateFeeRules);
+      return {
+        ...fee,
+        summary: getFeeSummary(fee, transactions),
+        lateFeeRule: rule
+          ? { name: rule.name, description: describeLateFeeRule(rule) }
+          : null,
+      };
+    });
+  const reminders = getFeeReminders(fees);
+  reminders.forEach(({ key, type, title, message }) => {
+    addUserNotification(db, studentId, { key, type, title, message });
+  });
+  return { fees, transactions, reminders };
+}
+
+/**
+ * Charge late fees and notify a student about fees due soon or overdue
+ * @param {object} db - Mock database
+ * @param {string} studentId
+ */
+export function sendFeeReminders(db, studentId) {
+  loadAccount(db, studentId);
+}
+
+// Installment an amount pays off exactly, if any (printed on challans)
+function installmentFor(summary, amount) {
+  const open = summary.installments.find((i) => i.balance > 0);
+  return open && summary.nextDue?.amount === amount ? open.number : null;
+}
+
+export function registerFeeRoutes(router) {
+  router.get("/fees", async ({ user, db }) => {
+    requireRole(user, "student");
+    await syncGatewayPayments(db, user.id);
+    const { fees, transactions, reminders } = loadAccount(db, user.id);
+    return {
+      fees,
+      transactions,
+      reminders,
+      ledger: buildLedger(fees, transactions),
+      totals: getAccountTotals(fees.map((fee) => fee.summary)),
+      challans: db.challans
+        .filter((challan) => challan.studentId === user.id)
+        .map(withStatus)
+        .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt)),
+    };
+  });
+
+  router.post("/fees/:id/installments", ({ params, body, user, db }) => {
+    requireRole(user, "student");
+    const fee = findOwnFee(db, user, params.id);
+    const count = Number(body.count);
+    const invalid = validateInstallmentPlan(fee, summarize(db, fee), count);
+    if (invalid) {
+      throw new MockHttpError(400, invalid);
+    }
+    fee.installments = createInstallmentPlan(fee, count);
+    return { ...fee, summary: summarize(db, fee) };
+  });
+
+  // Starts an online payment; the student pays at the returned checkoutUrl
+  // and comes back to returnUrl. Retrying with the same idempotencyKey
+  // returns the same payment.
+  router.post("/fees/:id/payment-intents", async (request) => {
+    const { params, body, user, db } = request;
+    requireRole(user, "student");
+    const fee = findOwnFee(db, user, params.id);
+    const amount = requireAmount(body.amount, summarize(db, fee));
+    if (!getGatewayMethod(body.paymentMethod)) {
+      throw new MockHttpError(400, "Please select a payment method");
+    }
+    if (!body.idempotencyKey || !body.returnUrl) {
+      throw new MockHttpError(400, "idempotencyKey and returnUrl are required");
+    }
+
+    return paymentService(user.id, "/intents", {
+      method: "POST",
+      headers: { "Idempotency-Key": body.idempotencyKey },
+      body: JSON.stringify({
+        feeId: fee.id,
+        amount,
+        method: body.paymentMethod,
+        description: `${fee.semester} ${fee.type}`,
+        returnUrl: body.returnUrl,
+      }),
+    });
+  });
+
+  // With ?wait=true, waits for the gateway's webhook before answering
+  router.get("/fees/payment-intents/:id", async (request) => {
+    const { params, query, user, db } = request;
+    requireRole(user, "student");
+    const path = `/intents/${encodeURIComponent(params.id)}`;
+    let intent = await paymentService(user.id, path);
+    for (
+      let attempt = 1;
+      query.wait === "true" &&
+      intent.status === PAYMENT_STATUS.PENDING &&
+      attempt < PAYMENT_WAIT_ATTEMPTS;
+      attempt++
+    ) {
+      await wait(PAYMENT_WAIT_INTERVAL_MS);
+      intent = await paymentService(user.id, path);
+    }
+    return { ...intent, transaction: postGatewayPayment(db, intent) };
+  });
+
+  // A new challan replaces any unpaid one for the same fee, so a student
+  // cannot pay the same amount twice at the bank
+  router.post("/fees/:id/challans", ({ params, body, user, db }) => {
+    requireRole(user, "student");
+    const fee = findOwnFee(db, user, params.id);
+    const summary = summarize(db, fee);
+    const amount = requireAmount(body.amount, summary);
+
+    db.challans
+      .filter(
+        (c) => c.feeId === fee.id && c.status === CHALLAN_STATUS.UNPAID
+      )
+      .forEach((c) => {
+        c.status = CHALLAN_STATUS.CANCELLED;
+      });
+
+    const id = nextId(db.challans);
+    const challan = {
+      id,
+      voucherNumber: generateVoucherNumber(Number(id)),
+      studentId: user.id,
+      feeId: fee.id,
+      amount,
+      installmentNumber: installmentFor(summary, amount),
+      status: CHALLAN_STATUS.UNPAID,
+      issuedAt: new Date().toISOString(),
+      validUntil: getChallanValidity(summary.nextDue.dueDate),
+      fee: { type: fee.type, semester: fee.semester },
+      student: {
+        fullName: user.fullName,
+        rollNumber: user.rollNumber,
+        program: user.program,
+      },
+      paidAt: null,
+      bankReference: null,
+    };
+    db.challans.push(challan);
+    return challan;
+  });
+
+  router.get("/fees/challans", ({ user, db }) => {
+    requireRole(user, "admin");
+    return db.challans
+      .map(withStatus)
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+  });
+
+  // Rows are re-checked here; nothing is applied if any of them fails
+  router.post("/fees/reconcile", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    const rows = (body.payments || []).map((payment, index) => ({
+      line: payment.line ?? index + 1,
+      voucherNumber: String(payment.voucherNumber ?? ""),
+      amount: String(payment.amount ?? ""),
+      paidOn: payment.paidOn || "",
+      reference: payment.reference || "",
+    }));
+    const { matches, errors, alreadyPaid } = previewReconciliation(
+      rows,
+      db.challans
+    );
+    if (errors.length > 0) {
+      throw new MockHttpError(400, "Some payments could not be matched", {
+        errors,
+      });
+    }
+
+    matches.forEach(({ challan, amount, paidOn, reference }) => {
+      challan.status = CHALLAN_STATUS.PAID;
+      challan.paidAt = paidOn;
+      challan.bankReference = reference;
+      db.feeTransactions.push({
+        id: nextId(db.feeTransactions),
+        studentId: challan.studentId,
+        feeId: challan.feeId,
+        type: TRANSACTION_TYPES.PAYMENT,
+        amount,
+        date: paidOn,
+        method: "bank_challan",
+        reference: reference || challan.voucherNumber,
+        challanId: challan.id,
+      });
+    });
+
+    return { reconciled: matches.length, alreadyPaid };
+  });
+}
@@ -0,0 +1,156 @@
+/**
+ * Mock course gradebook routes
+ *
+ * A gradebook lists every student enrolled in a course with their marks out
+ * of the course's total; letter grades are derived by the course's grading
+ * scheme, which is sent along so the grade sheet can preview grades live.
+ * Teachers may grade their own courses and TAs the courses they assist.
+ *
+ * Saving takes a batch of `{ studentId, marksObtained }` (null clears a
+ * student's marks) and is all-or-nothing: if any entry is invalid nothing is
+ * written and the 400 response lists every problem in `data.errors`.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { can } from "@/lib/auth/permissions";
+import {
+  hasMarks,
+  validateMarks,
+  validateTotalMarks,
+} from "@/lib/academics/grading";
+import {
+  assignLetterGrades,
+  resolveScheme,
+} from "@/lib/academics/grading-schemes";
+
+const DEFAULT_TOTAL_MARKS = 100;
+
+function findGradableCourse(db, user, courseId) {
+  requireRole(user, "teacher", "ta");
+  const course = db.courses.find((c) => c.id === courseId);
+  if (!course) {
+    throw new MockHttpError(404, "Course not found");
+  }
+  if (!can(user, "grades:enter", course)) {
+    throw new MockHttpError(403, "You do not grade this course");
+  }
+  return course;
+}
+
+function getGradebook(db, courseId) {
+  if (!db.courseGrades[courseId]) {
+    db.courseGrades[courseId] = { totalMarks: DEFAULT_TOTAL_MARKS, marks: {} };
+  }
+  return db.courseGrades[courseId];
+}
+
+function getRoster(db, courseId) {
+  return db.enrollments
+    .filter((e) => e.courseId === courseId && e.status === "enrolled")
+    .map((enrollment) => ({
+      enrollment,
+      student: db.users.find((u) => u.id === enrollment.studentId),
+    }))
+    .filter(({ student }) => student)
+    .sort((a, b) =>
+      String(a.student.rollNumber).localeCompare(String(b.student.rollNumber))
+    );
+}
+
+function toGradebookResponse(db, course) {
+  const gradebook = getGradebook(db, course.id);
+  const scheme = resolveScheme(db.gradingSchemes, course.gradingSchemeId);
+  const students = getRoster(db, course.id).map(({ enrollment, student }) => {
+    const entry = gradebook.marks[student.id];
+    return {
+      id: student.id,
+      fullName: student.fullName,
+      rollNumber: student.rollNumber,
+      section: enrollment.section,
+      marksObtained: entry ? entry.marksObtained : null,
+      updatedAt: entry?.updatedAt || null,
+    };
+  });
+  const grades = assignLetterGrades(students, gradebook.totalMarks, scheme);
+
+  return {
+    course: {
+      id: course.id,
+      code: course.code,
+      name: course.name,
+      semester: course.semester,
+    },
+    scheme,
+    totalMarks: gradebook.totalMarks,
+    students: students.map((student) => ({
+      ...student,
+      grade: grades[student.id],
+    })),
+  };
+}
+
+export function registerGradeRoutes(router) {
+  router.get("/courses/:id/grades", ({ params, user, db }) => {
+    const course = findGradableCourse(db, user, params.id);
+    return toGradebookResponse(db, course);
+  });
+
+  router.put("/courses/:id/grades", ({ params, body, user, db }) => {
+    const course = findGradableCourse(db, user, params.id);
+    const gradebook = getGradebook(db, course.id);
+    const rosterIds = getRoster(db, course.id).map(({ student }) => student.id);
+
+    const totalMarks =
+      body.totalMarks === undefined
+        ? gradebook.totalMarks
+        : Number(body.totalMarks);
+    const invalidTotal = validateTotalMarks(totalMarks);
+    if (invalidTotal) {
+      throw new MockHttpError(400, invalidTotal);
+    }
+
+    const updates = new Map(
+      (body.grades || []).map((grade) => [
+        String(grade.studentId),
+        hasMarks(grade.marksObtained) ? Number(grade.marksObtained) : null,
+      ])
+    );
+    const errors = [];
+    updates.forEach((marksObtained, studentId) => {
+      const message = rosterIds.includes(studentId)
+        ? validateMarks(marksObtained, totalMarks)
+        : "Student is not enrolled in this course";
+      if (message) errors.push({ studentId, message });
+    });
+    // Lowering the total must not leave untouched marks above it
+    Object.entries(gradebook.marks).forEach(([studentId, entry]) => {
+      if (updates.has(studentId) || !rosterIds.includes(studentId)) return;
+      const message = validateMarks(entry.marksObtained, totalMarks);
+      if (message) errors.push({ studentId, message });
+    });
+    if (errors.length > 0) {
+      throw new MockHttpError(
+        400,
+        errors.length === 1
+          ? errors[0].message
+          : `${errors.length} grades are invalid`,
+        { errors }
+      );
+    }
+
+    const now = new Date().toISOString();
+    gradebook.totalMarks = totalMarks;
+    updates.forEach((marksObtained, studentId) => {
+      if (marksObtained === null) {
+        delete gradebook.marks[studentId];
+      } else {
+        gradebook.marks[studentId] = {
+          marksObtained,
+          updatedAt: now,
+          updatedBy: user.id,
+        };
+      }
+    });
+    return toGradebookResponse(db, course);
+  });
+}
@@ -0,0 +1,142 @@
+/**
+ * Mock grading scheme routes
+ *
+ * Everyone signed in can read the schemes (grade sheets and results need
+ * them); only admins create, edit or delete them. Exactly one scheme is the
+ * default, used by courses that do not name one. A scheme still used by a
+ * course or by published grades cannot be deleted, and neither can the
+ * default.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { nextId } from "@/lib/mock-api/db";
+import {
+  SCHEME_TYPES,
+  resolveScheme,
+  validateGradingScheme,
+} from "@/lib/academics/grading-schemes";
+
+function findScheme(db, id) {
+  const scheme = db.gradingSchemes.find((s) => s.id === id);
+  if (!scheme) {
+    throw new MockHttpError(404, "Grading scheme not found");
+  }
+  return scheme;
+}
+
+function toScheme(body) {
+  const type = body.type;
+  const scheme = {
+    name: body.name?.trim(),
+    type,
+    passMark: [null, undefined, ""].includes(body.passMark)
+      ? null
+      : Number(body.passMark),
+    bands:
+      type === SCHEME_TYPES.PASS_FAIL
+        ? []
+        : (body.bands || []).map((band) => ({
+            grade: String(band.grade || "").trim(),
+            min: Number(band.min),
+            points: band.points === "" ? "" : Number(band.points),
+          })),
+  };
+  const invalid = validateGradingScheme(scheme);
+  if (invalid) {
+    throw new MockHttpError(400, invalid);
+  }
+  return scheme;
+}
+
+function requireUniqueName(db, name, exceptId) {
+  const taken = db.gradingSchemes.some(
+    (s) => s.id !== exceptId && s.name.toLowerCase() === name.toLowerCase()
+  );
+  if (taken) {
+    throw new MockHttpError(409, `A scheme named "${name}" already exists`);
+  }
+}
+
+// Make one scheme the default and clear the flag on the rest
+function setDefault(db, schemeId) {
+  db.gradingSchemes.forEach((s) => {
+    s.isDefault = s.id === schemeId;
+  });
+}
+
+function coursesUsing(db, scheme) {
+  return db.courses.filter(
+    (course) =>
+      resolveScheme(db.gradingSchemes, course.gradingSchemeId) === scheme
+  );
+}
+
+// Published grades keep the scheme they were graded under
+function isUsedByResults(db, scheme) {
+  return Object.values(db.results).some((record) =>
+    record.semesters.some((semester) =>
+      semester.courses.some((course) => course.schemeId === scheme.id)
+    )
+  );
+}
+
+function toSchemeResponse(db, scheme) {
+  return { ...scheme, courseCount: coursesUsing(db, scheme).length };
+}
+
+export function registerGradingSchemeRoutes(router) {
+  router.get("/grading-schemes", ({ user, db }) => {
+    requireRole(user);
+    return db.gradingSchemes.map((scheme) => toSchemeResponse(db, scheme));
+  });
+
+  router.post("/grading-schemes", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    const scheme = toScheme(body);
+    requireUniqueName(db, scheme.name);
+    const created = {
+      id: nextId(db.gradingSchemes),
+      ...scheme,
+      isDefault: false,
+    };
+    db.gradingSchemes.push(created);
+    if (body.isDefault) setDefault(db, created.id);
+    return toSchemeResponse(db, created);
+  });
+
+  router.put("/grading-schemes/:id", ({ params, body, user, db }) => {
+    requireRole(user, "admin");
+    const existing = findScheme(db, params.id);
+    const scheme = toScheme({ ...existing, ...body });
+    requireUniqueName(db, scheme.name, existing.id);
+    Object.assign(existing, scheme);
+    if (body.isDefault) setDefault(db, existing.id);
+    return toSchemeResponse(db, existing);
+  });
+
+  router.delete("/grading-schemes/:id", ({ params, user, db }) => {
+    requireRole(user, "admin");
+    const scheme = findScheme(db, params.id);
+    if (scheme.isDefault) {
+      throw new MockHttpError(
+        409,
+        "Make another scheme the default before deleting this one"
+      );
+    }
+    const inUse = coursesUsing(db, scheme);
+    if (inUse.length > 0) {
+      throw new MockHttpError(
+        409,
+        `${scheme.name} is used by ${inUse.map((c) => c.code).join(", ")}`
+      );
+    }
+    if (isUsedByResults(db, scheme)) {
+      throw new MockHttpError(
+        409,
+        `${scheme.name} has published grades and cannot be deleted`
+      );
+    }
+    db.gradingSchemes = db.gradingSchemes.filter((s) => s.id !== scheme.id);
+    return { id: scheme.id };
+  });
+}
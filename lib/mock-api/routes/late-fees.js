@@ -0,0 +1,223 @@
+/**
+ * Mock late fee routes
+ *
+ * Admins manage the late fee rules, see the fines students still owe and
+ * waive them. Every waiver records who granted it and why; the waivers
+ * are the audit log.
+ *
+ * Late fees are charged whenever an account is read (applyLateFees), the
+ * way a nightly job would on a real backend.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { addUserNotification, nextId } from "@/lib/mock-api/db";
+import { TRANSACTION_TYPES, getFeeSummary } from "@/lib/fees/ledger";
+import {
+  assessLateFees,
+  getFineOutstanding,
+  validateFineWaiver,
+  validateLateFeeRule,
+} from "@/lib/fees/late-fees";
+import { formatCurrency } from "@/lib/utils";
+
+function transactionsOf(db, studentId) {
+  return db.feeTransactions.filter((t) => t.studentId === studentId);
+}
+
+/**
+ * Charge new late fees and bring growing ones up to date
+ * @param {object} db - Mock database
+ * @param {string} [studentId] - Only this student's fees (default: all)
+ */
+export function applyLateFees(db, studentId) {
+  db.fees
+    .filter((fee) => !studentId || fee.studentId === studentId)
+    .forEach((fee) => {
+      const { charge, update } = assessLateFees(
+        fee,
+        transactionsOf(db, fee.studentId),
+        db.lateFeeRules
+      );
+      charge.forEach((fine) => {
+        db.feeTransactions.push({ id: nextId(db.feeTransactions), ...fine });
+      });
+      update.forEach(({ id, amount, daysLate, description }) => {
+        const fine = db.feeTransactions.find((t) => t.id === id);
+        fine.amount = amount;
+        fine.description = description;
+        fine.lateFee = { ...fine.lateFee, daysLate };
+      });
+    });
+}
+
+function findRule(db, id) {
+  const rule = db.lateFeeRules.find((r) => r.id === id);
+  if (!rule) {
+    throw new MockHttpError(404, "Late fee rule not found");
+  }
+  return rule;
+}
+
+function toRule(body) {
+  const rule = {
+    name: body.name?.trim(),
+    feeTypes: Array.isArray(body.feeTypes) ? body.feeTypes : [],
+    schedule: body.schedule,
+    amount: Number(body.amount),
+    graceDays: Number(body.graceDays),
+    cap: [null, undefined, ""].includes(body.cap) ? null : Number(body.cap),
+    active: body.active !== false,
+  };
+  const invalid = validateLateFeeRule(rule);
+  if (invalid) {
+    throw new MockHttpError(400, invalid);
+  }
+  return rule;
+}
+
+// Two active rules for the same fee type would make the charge ambiguous
+function requireNoOverlap(db, rule, exceptId) {
+  if (!rule.active) return;
+  const clash = db.lateFeeRules.find(
+    (other) =>
+      other.id !== exceptId &&
+      other.active &&
+      (rule.feeTypes.length === 0
+        ? other.feeTypes.length === 0
+        : other.feeTypes.some((type) => rule.feeTypes.includes(type)))
+  );
+  if (clash) {
+    throw new MockHttpError(
+      409,
+      `"${clash.name}" already applies to ${
+        rule.feeTypes.length === 0 ? "all fees" : "these fee types"
+      }. Deactivate it first.`
+    );
+  }
+}
+
+function describeStudent(db, studentId) {
+  const student = db.users.find((u) => u.id === studentId);
+  return {
+    id: studentId,
+    fullName: student?.fullName || "Unknown student",
+    rollNumber: student?.rollNumber || null,
+  };
+}
+
+function describeFee(db, feeId) {
+  const fee = db.fees.find((f) => f.id === feeId);
+  return fee ? { type: fee.type, semester: fee.semester } : null;
+}
+
+// Waivers are limited by both what is left of the fine and the fee balance
+function toFineResponse(db, fine) {
+  const transactions = transactionsOf(db, fine.studentId);
+  const fee = db.fees.find((f) => f.id === fine.feeId);
+  return {
+    ...fine,
+    outstanding: getFineOutstanding(fine, transactions),
+    feeBalance: fee ? getFeeSummary(fee, transactions).balance : 0,
+    student: describeStudent(db, fine.studentId),
+    fee: describeFee(db, fine.feeId),
+  };
+}
+
+export function registerLateFeeRoutes(router) {
+  router.get("/late-fee-rules", ({ user, db }) => {
+    requireRole(user, "admin");
+    return db.lateFeeRules;
+  });
+
+  router.post("/late-fee-rules", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    const rule = toRule(body);
+    requireNoOverlap(db, rule);
+    const now = new Date().toISOString();
+    const created = {
+      id: nextId(db.lateFeeRules),
+      ...rule,
+      createdAt: now,
+      updatedAt: now,
+    };
+    db.lateFeeRules.push(created);
+    return created;
+  });
+
+  // Fines already charged keep the terms they were charged under
+  router.put("/late-fee-rules/:id", ({ params, body, user, db }) => {
+    requireRole(user, "admin");
+    const existing = findRule(db, params.id);
+    const rule = toRule({ ...existing, ...body });
+    requireNoOverlap(db, rule, existing.id);
+    Object.assign(existing, rule, { updatedAt: new Date().toISOString() });
+    return existing;
+  });
+
+  // Fines with something left to waive
+  router.get("/fees/fines", ({ user, db }) => {
+    requireRole(user, "admin");
+    applyLateFees(db);
+    return db.feeTransactions
+      .filter((t) => t.type === TRANSACTION_TYPES.FINE)
+      .map((fine) => toFineResponse(db, fine))
+      .filter((fine) => fine.outstanding > 0)
+      .sort((a, b) => b.date.localeCompare(a.date));
+  });
+
+  router.post("/fees/fines/:id/waivers", ({ params, body, user, db }) => {
+    requireRole(user, "admin");
+    applyLateFees(db);
+    const fine = db.feeTransactions.find(
+      (t) => t.id === params.id && t.type === TRANSACTION_TYPES.FINE
+    );
+    const fee = fine && db.fees.find((f) => f.id === fine.feeId);
+    if (!fee) {
+      throw new MockHttpError(404, "Fine not found");
+    }
+    const transactions = transactionsOf(db, fine.studentId);
+    const invalid = validateFineWaiver(
+      body,
+      getFineOutstanding(fine, transactions),
+      getFeeSummary(fee, transactions).balance
+    );
+    if (invalid) {
+      throw new MockHttpError(400, invalid);
+    }
+
+    const waiver = {
+      id: nextId(db.feeTransactions),
+      studentId: fine.studentId,
+      feeId: fine.feeId,
+      type: TRANSACTION_TYPES.WAIVER,
+      amount: Number(body.amount),
+      date: new Date().toISOString(),
+      description: `Waiver: ${fine.description || "Fine"}`,
+      fineId: fine.id,
+      reason: body.reason.trim(),
+      waivedBy: { id: user.id, fullName: user.fullName },
+    };
+    db.feeTransactions.push(waiver);
+    addUserNotification(db, fine.studentId, {
+      type: "info",
+      title: "Fine waived",
+      message: `${formatCurrency(waiver.amount)} of the fine on your ${
+        fee.semester
+      } ${fee.type} has been waived.`,
+    });
+    return toFineResponse(db, fine);
+  });
+
+  // Audit log of fine waivers, newest first
+  router.get("/fees/waivers", ({ user, db }) => {
+    requireRole(user, "admin");
+    return db.feeTransactions
+      .filter((t) => t.type === TRANSACTION_TYPES.WAIVER && t.fineId)
+      .map((waiver) => ({
+        ...waiver,
+        student: describeStudent(db, waiver.studentId),
+        fee: describeFee(db, waiver.feeId),
+      }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  });
+}
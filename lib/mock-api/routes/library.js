@@ -0,0 +1,560 @@
+/**
+ * Mock library routes
+ *
+ * Readers search the catalogue (with the status of every copy), see their
+ * loans, fines and reservations, reserve titles that are all out on loan
+ * and renew their loans.
+ *
+ * Librarians issue and return copies at the circulation desk by accession
+ * number or ISBN and the reader's roll number, add titles and copies, mark
+ * copies lost or damaged, and remind readers of overdue loans.
+ *
+ * A reservation whose copy has waited on the hold shelf too long expires
+ * whenever the library is read, and the copy goes to the next reader in
+ * the queue.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { addUserNotification, nextId } from "@/lib/mock-api/db";
+import { can, canAny } from "@/lib/auth/permissions";
+import {
+  COPY_CONDITIONS,
+  COPY_STATUS,
+  SEARCH_FIELDS,
+  getAvailability,
+  getCopyStatus,
+  nextAccessionNumber,
+  searchCatalogue,
+  validateBook,
+} from "@/lib/library/catalogue";
+import {
+  HOLD_PICKUP_DAYS,
+  HOLD_STATUS,
+  getHoldBlock,
+  getHoldQueue,
+  getLoanDueDate,
+  getLoanFine,
+  getOverdueDays,
+  getQueuePosition,
+  getRenewalBlock,
+} from "@/lib/library/circulation";
+import {
+  findByCode,
+  getIssueBlock,
+  getOverdueReminder,
+  pickCopyToIssue,
+} from "@/lib/library/desk";
+import { formatDate } from "@/lib/utils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_HOLD_STATUSES = [HOLD_STATUS.WAITING, HOLD_STATUS.READY];
+
+function requireReader(user) {
+  requireRole(user);
+  if (!can(user, "library:use")) {
+    throw new MockHttpError(403, "You do not have library access");
+  }
+  return user;
+}
+
+function requireLibrarian(user) {
+  requireRole(user);
+  if (!can(user, "library:manage")) {
+    throw new MockHttpError(403, "Only librarians can do this");
+  }
+  return user;
+}
+
+// Readers and librarians both browse the catalogue
+function requireCatalogueAccess(user) {
+  requireRole(user);
+  if (!canAny(user, ["library:use", "library:manage"])) {
+    throw new MockHttpError(403, "You do not have library access");
+  }
+  return user;
+}
+
+function findBook(db, id) {
+  const book = db.libraryBooks.find((b) => b.id === id);
+  if (!book) {
+    throw new MockHttpError(404, "Book not found");
+  }
+  return book;
+}
+
+function withStatus(db, copy) {
+  return { ...copy, ...getCopyStatus(copy, db.libraryLoans, db.libraryHolds) };
+}
+
+function copiesOf(db, book) {
+  return db.libraryCopies
+    .filter((copy) => copy.bookId === book.id)
+    .map((copy) => withStatus(db, copy));
+}
+
+function findBorrower(db, rollNumber) {
+  const wanted = String(rollNumber || "").trim().toUpperCase();
+  if (!wanted) {
+    throw new MockHttpError(400, "Enter the student's roll number");
+  }
+  const borrower = db.users.find(
+    (u) => u.role === "student" && u.rollNumber?.toUpperCase() === wanted
+  );
+  if (!borrower) {
+    throw new MockHttpError(404, `No student with roll number ${wanted}`);
+  }
+  return borrower;
+}
+
+function findByDeskCode(db, code) {
+  const found = findByCode(code, db.libraryBooks, db.libraryCopies);
+  if (!found) {
+    throw new MockHttpError(
+      404,
+      "No copy or title matches this accession number or ISBN"
+    );
+  }
+  return found;
+}
+
+function borrowerSummary(db, userId) {
+  const borrower = db.users.find((u) => u.id === userId);
+  return borrower
+    ? {
+        id: borrower.id,
+        fullName: borrower.fullName,
+        rollNumber: borrower.rollNumber || null,
+      }
+    : null;
+}
+
+/**
+ * Set a copy aside for the first reader waiting for its title, if any
+ * @param {object} db - Mock database
+ * @param {object} copy - A copy that has just come free
+ * @returns {object|null} The hold that is now ready for pickup
+ */
+export function offerCopyToQueue(db, copy) {
+  const [next] = getHoldQueue(db.libraryHolds, copy.bookId);
+  if (!next) return null;
+  const now = Date.now();
+  next.status = HOLD_STATUS.READY;
+  next.copyId = copy.id;
+  next.readyAt = new Date(now).toISOString();
+  next.expiresAt = new Date(now + HOLD_PICKUP_DAYS * DAY_MS).toISOString();
+  const book = db.libraryBooks.find((b) => b.id === copy.bookId);
+  addUserNotification(db, next.userId, {
+    key: `library-hold-ready:${next.id}`,
+    type: "info",
+    title: "Reserved book ready",
+    message:
+      `"${book?.title}" is waiting for you at the circulation desk ` +
+      `until ${formatDate(next.expiresAt)}.`,
+  });
+  return next;
+}
+
+// Holds not collected in time lapse and their copy moves down the queue
+function expireHolds(db) {
+  const now = Date.now();
+  db.libraryHolds
+    .filter(
+      (hold) =>
+        hold.status === HOLD_STATUS.READY && Date.parse(hold.expiresAt) < now
+    )
+    .forEach((hold) => {
+      hold.status = HOLD_STATUS.EXPIRED;
+      const copy = db.libraryCopies.find((c) => c.id === hold.copyId);
+      if (copy) offerCopyToQueue(db, copy);
+    });
+}
+
+function toBookResponse(db, book, user) {
+  const copies = copiesOf(db, book);
+  const withAvailability = { ...book, availability: getAvailability(copies) };
+  const myHold = db.libraryHolds.find(
+    (h) =>
+      h.bookId === book.id &&
+      h.userId === user.id &&
+      ACTIVE_HOLD_STATUSES.includes(h.status)
+  );
+  return {
+    ...withAvailability,
+    copies,
+    queueLength: getHoldQueue(db.libraryHolds, book.id).length,
+    myHold: myHold ? toHoldResponse(db, myHold) : null,
+    holdBlock: getHoldBlock(
+      user.id,
+      withAvailability,
+      db.libraryLoans,
+      db.libraryHolds
+    ),
+  };
+}
+
+function bookSummary(db, bookId) {
+  const book = db.libraryBooks.find((b) => b.id === bookId);
+  return book
+    ? {
+        id: book.id,
+        title: book.title,
+        authors: book.authors,
+        isbn: book.isbn,
+      }
+    : null;
+}
+
+function toLoanResponse(db, loan) {
+  const copy = db.libraryCopies.find((c) => c.id === loan.copyId);
+  return {
+    ...loan,
+    book: bookSummary(db, loan.bookId),
+    accessionNumber: copy?.accessionNumber || null,
+    overdueDays: getOverdueDays(loan),
+    fine: getLoanFine(loan),
+    renewBlock: loan.returnedAt
+      ? null
+      : getRenewalBlock(loan, db.libraryHolds),
+  };
+}
+
+// Loans as the circulation desk sees them, with the borrower
+function toDeskLoanResponse(db, loan) {
+  return {
+    ...toLoanResponse(db, loan),
+    borrower: borrowerSummary(db, loan.borrowerId),
+  };
+}
+
+function toHoldResponse(db, hold) {
+  return {
+    ...hold,
+    book: bookSummary(db, hold.bookId),
+    position: getQueuePosition(hold, db.libraryHolds),
+  };
+}
+
+export function registerLibraryRoutes(router) {
+  router.get("/library/books", ({ query, user, db }) => {
+    requireCatalogueAccess(user);
+    expireHolds(db);
+    const field = Object.values(SEARCH_FIELDS).includes(query.field)
+      ? query.field
+      : SEARCH_FIELDS.ALL;
+    return searchCatalogue(db.libraryBooks, query.q, field).map((book) =>
+      toBookResponse(db, book, user)
+    );
+  });
+
+  router.get("/library/books/:id", ({ params, user, db }) => {
+    requireCatalogueAccess(user);
+    expireHolds(db);
+    return toBookResponse(db, findBook(db, params.id), user);
+  });
+
+  // The signed-in reader's loans, fines and reservations
+  router.get("/library/account", ({ user, db }) => {
+    requireReader(user);
+    expireHolds(db);
+    const loans = db.libraryLoans
+      .filter((loan) => loan.borrowerId === user.id)
+      .map((loan) => toLoanResponse(db, loan));
+    const current = loans
+      .filter((loan) => !loan.returnedAt)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    return {
+      loans: current,
+      history: loans
+        .filter((loan) => loan.returnedAt)
+        .sort((a, b) => b.returnedAt.localeCompare(a.returnedAt)),
+      holds: db.libraryHolds
+        .filter(
+          (hold) =>
+            hold.userId === user.id &&
+            ACTIVE_HOLD_STATUSES.includes(hold.status)
+        )
+        .map((hold) => toHoldResponse(db, hold))
+        .sort((a, b) => a.placedAt.localeCompare(b.placedAt)),
+      fines: loans.reduce((total, loan) => total + loan.fine, 0),
+      overdueCount: current.filter((loan) => loan.overdueDays > 0).length,
+    };
+  });
+
+  router.post("/library/books/:id/holds", ({ params, user, db }) => {
+    requireReader(user);
+    expireHolds(db);
+    const book = toBookResponse(db, findBook(db, params.id), user);
+    if (book.holdBlock) {
+      throw new MockHttpError(409, book.holdBlock);
+    }
+    const hold = {
+      id: nextId(db.libraryHolds),
+      bookId: book.id,
+      userId: user.id,
+      placedAt: new Date().toISOString(),
+      status: HOLD_STATUS.WAITING,
+      copyId: null,
+      readyAt: null,
+      expiresAt: null,
+    };
+    db.libraryHolds.push(hold);
+    return toHoldResponse(db, hold);
+  });
+
+  // Cancelling a hold on the hold shelf frees the copy for the next reader
+  router.delete("/library/holds/:id", ({ params, user, db }) => {
+    requireReader(user);
+    const hold = db.libraryHolds.find(
+      (h) =>
+        h.id === params.id &&
+        h.userId === user.id &&
+        ACTIVE_HOLD_STATUSES.includes(h.status)
+    );
+    if (!hold) {
+      throw new MockHttpError(404, "Reservation not found");
+    }
+    const wasReady = hold.status === HOLD_STATUS.READY;
+    hold.status = HOLD_STATUS.CANCELLED;
+    if (wasReady) {
+      const copy = db.libraryCopies.find((c) => c.id === hold.copyId);
+      if (copy) offerCopyToQueue(db, copy);
+    }
+    return { id: hold.id };
+  });
+
+  router.post("/library/loans/:id/renewals", ({ params, user, db }) => {
+    requireReader(user);
+    const loan = db.libraryLoans.find(
+      (l) => l.id === params.id && l.borrowerId === user.id
+    );
+    if (!loan) {
+      throw new MockHttpError(404, "Loan not found");
+    }
+    const blocked = getRenewalBlock(loan, db.libraryHolds);
+    if (blocked) {
+      throw new MockHttpError(409, blocked);
+    }
+    loan.dueDate = getLoanDueDate();
+    loan.renewals += 1;
+    return toLoanResponse(db, loan);
+  });
+
+  // Circulation desk: issue the scanned copy, or for an ISBN the copy on
+  // the hold shelf for the reader (else any copy on the shelf)
+  router.post("/library/loans", ({ body, user, db }) => {
+    requireLibrarian(user);
+    expireHolds(db);
+    const borrower = findBorrower(db, body.rollNumber);
+    const found = findByDeskCode(db, body.code);
+    const copies = found.copies.map((copy) => withStatus(db, copy));
+    const copy = found.byAccession
+      ? copies[0]
+      : pickCopyToIssue(borrower.id, copies, db.libraryHolds);
+    if (!copy) {
+      throw new MockHttpError(409, "No copy of this title is on the shelf");
+    }
+    const blocked = getIssueBlock(
+      borrower.id,
+      copy,
+      db.libraryLoans,
+      db.libraryHolds
+    );
+    if (blocked) {
+      throw new MockHttpError(409, blocked);
+    }
+
+    // Borrowing a title fulfils the reader's reservation for it; a
+    // different copy they had waiting goes to the next reader
+    db.libraryHolds
+      .filter(
+        (hold) =>
+          hold.bookId === copy.bookId &&
+          hold.userId === borrower.id &&
+          ACTIVE_HOLD_STATUSES.includes(hold.status)
+      )
+      .forEach((hold) => {
+        const heldCopyId = hold.status === HOLD_STATUS.READY && hold.copyId;
+        hold.status = HOLD_STATUS.FULFILLED;
+        if (heldCopyId && heldCopyId !== copy.id) {
+          const held = db.libraryCopies.find((c) => c.id === heldCopyId);
+          if (held) offerCopyToQueue(db, held);
+        }
+      });
+
+    const now = Date.now();
+    const loan = {
+      id: nextId(db.libraryLoans),
+      copyId: copy.id,
+      bookId: copy.bookId,
+      borrowerId: borrower.id,
+      issuedAt: new Date(now).toISOString(),
+      dueDate: getLoanDueDate(now),
+      returnedAt: null,
+      renewals: 0,
+      remindedAt: null,
+    };
+    db.libraryLoans.push(loan);
+    return toDeskLoanResponse(db, loan);
+  });
+
+  // Circulation desk: check a copy back in. An ISBN needs the roll number
+  // when more than one copy of the title is out.
+  router.post("/library/returns", ({ body, user, db }) => {
+    requireLibrarian(user);
+    const found = findByDeskCode(db, body.code);
+    let open = db.libraryLoans.filter(
+      (loan) =>
+        !loan.returnedAt && found.copies.some((c) => c.id === loan.copyId)
+    );
+    if (body.rollNumber) {
+      const borrower = findBorrower(db, body.rollNumber);
+      open = open.filter((loan) => loan.borrowerId === borrower.id);
+    }
+    if (open.length === 0) {
+      throw new MockHttpError(404, "No open loan matches this book");
+    }
+    if (open.length > 1) {
+      throw new MockHttpError(
+        409,
+        "Several copies of this title are on loan; scan the accession " +
+          "number or enter the roll number"
+      );
+    }
+
+    const [loan] = open;
+    loan.returnedAt = new Date().toISOString();
+    const copy = db.libraryCopies.find((c) => c.id === loan.copyId);
+    const hold = copy ? offerCopyToQueue(db, copy) : null;
+    return {
+      ...toDeskLoanResponse(db, loan),
+      // Put the copy on the hold shelf for this reader
+      heldFor: hold ? borrowerSummary(db, hold.userId) : null,
+    };
+  });
+
+  router.post("/library/books", ({ body, user, db }) => {
+    requireLibrarian(user);
+    const book = {
+      isbn: String(body.isbn || "").trim(),
+      title: String(body.title || "").trim(),
+      authors: (body.authors || []).map((a) => a.trim()).filter(Boolean),
+      subjects: (body.subjects || []).map((s) => s.trim()).filter(Boolean),
+      publisher: String(body.publisher || "").trim(),
+      year: body.year ? Number(body.year) : null,
+      callNumber: String(body.callNumber || "").trim(),
+    };
+    const invalid = validateBook({ ...book, copies: Number(body.copies) });
+    if (invalid) {
+      throw new MockHttpError(400, invalid);
+    }
+    if (findByCode(book.isbn, db.libraryBooks, [])) {
+      throw new MockHttpError(
+        409,
+        "This ISBN is already in the catalogue; add copies to it instead"
+      );
+    }
+
+    const created = { id: nextId(db.libraryBooks), ...book };
+    db.libraryBooks.push(created);
+    for (let i = 0; i < Number(body.copies); i += 1) {
+      db.libraryCopies.push({
+        id: nextId(db.libraryCopies),
+        bookId: created.id,
+        accessionNumber: nextAccessionNumber(db.libraryCopies),
+        condition: COPY_CONDITIONS.GOOD,
+      });
+    }
+    return toBookResponse(db, created, user);
+  });
+
+  // New copies go to readers waiting for the title first
+  router.post("/library/books/:id/copies", ({ params, body, user, db }) => {
+    requireLibrarian(user);
+    const book = findBook(db, params.id);
+    const count = Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > 20) {
+      throw new MockHttpError(400, "Add between 1 and 20 copies at a time");
+    }
+    for (let i = 0; i < count; i += 1) {
+      const copy = {
+        id: nextId(db.libraryCopies),
+        bookId: book.id,
+        accessionNumber: nextAccessionNumber(db.libraryCopies),
+        condition: COPY_CONDITIONS.GOOD,
+      };
+      db.libraryCopies.push(copy);
+      offerCopyToQueue(db, copy);
+    }
+    return toBookResponse(db, book, user);
+  });
+
+  // Mark a copy lost or damaged (withdrawn), or good again
+  router.put("/library/copies/:id", ({ params, body, user, db }) => {
+    requireLibrarian(user);
+    const copy = db.libraryCopies.find((c) => c.id === params.id);
+    if (!copy) {
+      throw new MockHttpError(404, "Copy not found");
+    }
+    if (!Object.values(COPY_CONDITIONS).includes(body.condition)) {
+      throw new MockHttpError(400, "Choose good, damaged or lost");
+    }
+    const { status } = withStatus(db, copy);
+    if (status === COPY_STATUS.ON_LOAN) {
+      throw new MockHttpError(
+        409,
+        "This copy is on loan; check it in before changing its condition"
+      );
+    }
+
+    copy.condition = body.condition;
+    if (copy.condition === COPY_CONDITIONS.GOOD) {
+      if (status === COPY_STATUS.WITHDRAWN) offerCopyToQueue(db, copy);
+    } else {
+      // A reader it was set aside for goes back to the head of the queue
+      db.libraryHolds
+        .filter(
+          (hold) =>
+            hold.copyId === copy.id && hold.status === HOLD_STATUS.READY
+        )
+        .forEach((hold) => {
+          hold.status = HOLD_STATUS.WAITING;
+          hold.copyId = null;
+          hold.readyAt = null;
+          hold.expiresAt = null;
+        });
+    }
+    return toBookResponse(db, findBook(db, copy.bookId), user);
+  });
+
+  // Open loans past their due date, most overdue first
+  router.get("/library/overdue", ({ user, db }) => {
+    requireLibrarian(user);
+    const now = Date.now();
+    return db.libraryLoans
+      .filter((loan) => !loan.returnedAt && getOverdueDays(loan, now) > 0)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      .map((loan) => toDeskLoanResponse(db, loan));
+  });
+
+  router.post("/library/loans/:id/reminders", ({ params, user, db }) => {
+    requireLibrarian(user);
+    const loan = db.libraryLoans.find((l) => l.id === params.id);
+    if (!loan) {
+      throw new MockHttpError(404, "Loan not found");
+    }
+    if (loan.returnedAt || getOverdueDays(loan) === 0) {
+      throw new MockHttpError(409, "This loan is not overdue");
+    }
+    const book = db.libraryBooks.find((b) => b.id === loan.bookId);
+    const sent = addUserNotification(
+      db,
+      loan.borrowerId,
+      getOverdueReminder(loan, book)
+    );
+    if (!sent) {
+      throw new MockHttpError(409, "The reader was already reminded today");
+    }
+    loan.remindedAt = sent.createdAt;
+    return toDeskLoanResponse(db, loan);
+  });
+}
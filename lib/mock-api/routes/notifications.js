@@ -0,0 +1,34 @@
+/**
+ * Mock notification routes
+ *
+ * Notifications are kept per role audience (admin/teacher/student), plus
+ * notifications sent to one user (addUserNotification in db.js), which are
+ * listed first.
+ */
+
+import { requireRole } from "@/lib/mock-api/router";
+import { sendFeeReminders } from "@/lib/mock-api/routes/fees";
+import { formatRelativeTime } from "@/lib/utils";
+
+function toNotification(record) {
+  const { id, userId, key, createdAt, ...notification } = record;
+  return {
+    ...notification,
+    id: `user-${id}`,
+    time: formatRelativeTime(createdAt),
+  };
+}
+
+export function registerNotificationRoutes(router) {
+  router.get("/notifications", ({ user, db }) => {
+    requireRole(user);
+    if (user.role === "student") {
+      sendFeeReminders(db, user.id);
+    }
+    const personal = db.userNotifications
+      .filter((n) => n.userId === user.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(toNotification);
+    return [...personal, ...(db.notifications[user.role] || [])];
+  });
+}
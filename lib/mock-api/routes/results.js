@@ -0,0 +1,17 @@
+/**
+ * Mock results routes
+ *
+ * GPA and CGPA are computed from the stored grades on every read, so they
+ * follow the grading schemes, repeated courses and non-credit courses.
+ */
+
+import { requireRole } from "@/lib/mock-api/router";
+import { summarizeResults } from "@/lib/academics/gpa";
+
+export function registerResultRoutes(router) {
+  // Signed-in student's published results
+  router.get("/results", ({ user, db }) => {
+    requireRole(user, "student");
+    return summarizeResults(db.results[user.id], db.gradingSchemes);
+  });
+}
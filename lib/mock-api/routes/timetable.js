@@ -0,0 +1,166 @@
+/**
+ * Mock timetable routes
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { nextId } from "@/lib/mock-api/db";
+import {
+  checkTimetableEntry,
+  validateTimetableEntry,
+} from "@/lib/academics/timetable";
+
+// Validates an entry against the rest of the timetable; `id` is the entry
+// being edited, if any
+function buildEntry(db, body, id, timetable = db.timetable) {
+  const course = db.courses.find((c) => c.id === body.courseId);
+  if (!course) {
+    throw new MockHttpError(400, "Selected course does not exist");
+  }
+  const section = body.section || undefined;
+  if (section && !(course.sections || []).some((s) => s.name === section)) {
+    throw new MockHttpError(400, `${course.code} has no section ${section}`);
+  }
+
+  const entry = {
+    id,
+    courseId: course.id,
+    course: { id: course.id, code: course.code, name: course.name },
+    ...(section ? { section } : {}),
+    dayOfWeek: body.dayOfWeek,
+    startTime: body.startTime,
+    endTime: body.endTime,
+    room: String(body.room || "").trim(),
+    semester: body.semester,
+  };
+  const invalid = validateTimetableEntry(entry);
+  if (invalid) throw new MockHttpError(400, invalid);
+
+  const report = checkTimetableEntry(entry, timetable, db.courses);
+  if (report.clashes.length > 0) {
+    const count = report.clashes.length;
+    throw new MockHttpError(
+      409,
+      `This entry has ${count} clash${count === 1 ? "" : "es"}: ` +
+        report.clashes[0].message,
+      report
+    );
+  }
+  return entry;
+}
+
+// Pairs each replacement entry with the current entry it takes over, so
+// class changes and attendance (addressed by entry id) stay attached. An
+// entry is taken over by one of the same course section, preferring one at
+// the same time.
+function matchEntryIds(current, entries) {
+  const ids = new Array(entries.length).fill(null);
+  const free = [...current];
+  const sameSection = (a, b) =>
+    a.courseId === b.courseId && (a.section || "") === (b.section || "");
+  const sameTime = (a, b) =>
+    sameSection(a, b) &&
+    a.dayOfWeek === b.dayOfWeek &&
+    a.startTime === b.startTime;
+
+  [sameTime, sameSection].forEach((matches) => {
+    entries.forEach((entry, index) => {
+      if (ids[index]) return;
+      const match = free.find((old) => matches(old, entry));
+      if (!match) return;
+      ids[index] = match.id;
+      free.splice(free.indexOf(match), 1);
+    });
+  });
+  return ids;
+}
+
+function describeSection(entry) {
+  const section = entry.section ? ` section ${entry.section}` : "";
+  return `${entry.course?.code || "A class"}${section}`;
+}
+
+export function registerTimetableRoutes(router) {
+  router.get("/timetable", ({ query, user, db }) => {
+    requireRole(user);
+    return db.timetable.filter(
+      (entry) => !query.semester || entry.semester === query.semester
+    );
+  });
+
+  router.post("/timetable", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    const entry = buildEntry(db, body, nextId(db.timetable));
+    db.timetable.push(entry);
+    return entry;
+  });
+
+  // Replace a semester's timetable, e.g. with one from the solver. Entries
+  // keep their ids where the same course section is still timetabled.
+  router.put("/timetable", ({ body, user, db }) => {
+    requireRole(user, "admin");
+    if (!body.semester || !Array.isArray(body.entries)) {
+      throw new MockHttpError(400, "Semester and entries are required");
+    }
+    if (body.entries.some((data) => data.semester !== body.semester)) {
+      throw new MockHttpError(400, `Every entry must be in ${body.semester}`);
+    }
+    const current = db.timetable.filter(
+      (entry) => entry.semester === body.semester
+    );
+    const ids = matchEntryIds(current, body.entries);
+
+    let newId = Number(nextId(db.timetable));
+    const entries = [];
+    body.entries.forEach((data, index) => {
+      const id = ids[index] || String(newId++);
+      entries.push(buildEntry(db, data, id, entries));
+    });
+
+    // Meetings are keyed by entry id and weekday date, so an entry that has
+    // been taught cannot be dropped or moved to another day
+    const hasHistory = (id) =>
+      db.classOverrides.some((o) => o.entryId === id) ||
+      db.attendance.some((r) => r.entryId === id);
+    const stranded = current.filter((old) => {
+      if (!hasHistory(old.id)) return false;
+      const index = ids.indexOf(old.id);
+      return index === -1 || entries[index].dayOfWeek !== old.dayOfWeek;
+    });
+    if (stranded.length > 0) {
+      throw new MockHttpError(
+        409,
+        `${describeSection(stranded[0])} (${stranded[0].dayOfWeek}) already ` +
+          "has attendance or class changes, so the new timetable must keep " +
+          "it on that day",
+        { entryIds: stranded.map((entry) => entry.id) }
+      );
+    }
+
+    db.timetable = [
+      ...db.timetable.filter((entry) => entry.semester !== body.semester),
+      ...entries,
+    ];
+    return entries;
+  });
+
+  router.put("/timetable/:id", ({ params, body, user, db }) => {
+    requireRole(user, "admin");
+    const index = db.timetable.findIndex((e) => e.id === params.id);
+    if (index === -1) {
+      throw new MockHttpError(404, "Timetable entry not found");
+    }
+    const entry = buildEntry(db, body, params.id);
+    db.timetable[index] = entry;
+    return entry;
+  });
+
+  router.get("/rooms", ({ user, db }) => {
+    requireRole(user, "admin");
+    return db.rooms;
+  });
+
+  router.get("/teacher-availability", ({ user, db }) => {
+    requireRole(user, "admin");
+    return db.teacherAvailability;
+  });
+}
@@ -0,0 +1,97 @@
+/**
+ * Mock transcript routes
+ *
+ * Students ask for a transcript or a semester's DMC; the backend records
+ * what the document says under a new verification code and returns it for
+ * the browser to render as a PDF. Admins (the registrar) look codes up to
+ * confirm a document is genuine and still matches the student's record.
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { nextId } from "@/lib/mock-api/db";
+import { summarizeResults } from "@/lib/academics/gpa";
+import {
+  DOCUMENT_TYPES,
+  generateVerificationCode,
+  getDocumentSnapshot,
+  normalizeVerificationCode,
+} from "@/lib/academics/transcripts";
+
+function uniqueCode(db) {
+  let code = generateVerificationCode();
+  while (db.transcripts.some((doc) => doc.code === code)) {
+    code = generateVerificationCode();
+  }
+  return code;
+}
+
+function resultsFor(db, studentId) {
+  return summarizeResults(db.results[studentId], db.gradingSchemes);
+}
+
+// Whether the grades a document printed are still the student's grades
+function withRecordCheck(db, doc) {
+  const current = getDocumentSnapshot(
+    resultsFor(db, doc.studentId),
+    doc.type,
+    doc.semesterId
+  );
+  return {
+    ...doc,
+    matchesCurrentRecord: current?.fingerprint === doc.snapshot.fingerprint,
+  };
+}
+
+export function registerTranscriptRoutes(router) {
+  // Students see the documents they were issued; admins see every one
+  router.get("/transcripts", ({ user, db }) => {
+    requireRole(user, "student", "admin");
+    return db.transcripts
+      .filter((doc) => user.role === "admin" || doc.studentId === user.id)
+      .sort((a, b) => b.issuedAt.localeCompare(a.issuedAt));
+  });
+
+  router.post("/transcripts", ({ body, user, db }) => {
+    requireRole(user, "student");
+    const type = body.type;
+    if (!Object.values(DOCUMENT_TYPES).includes(type)) {
+      throw new MockHttpError(400, "Choose a transcript or a DMC");
+    }
+    const results = resultsFor(db, user.id);
+    if (results.semesters.length === 0) {
+      throw new MockHttpError(400, "You have no published results yet");
+    }
+    const snapshot = getDocumentSnapshot(results, type, body.semesterId);
+    if (!snapshot) {
+      throw new MockHttpError(404, "Semester not found in your results");
+    }
+
+    const doc = {
+      id: nextId(db.transcripts),
+      code: uniqueCode(db),
+      type,
+      studentId: user.id,
+      semesterId: type === DOCUMENT_TYPES.DMC ? body.semesterId : null,
+      semesterName: snapshot.semesterName,
+      student: {
+        fullName: user.fullName,
+        rollNumber: user.rollNumber,
+        program: user.program,
+      },
+      snapshot,
+      issuedAt: new Date().toISOString(),
+    };
+    db.transcripts.push(doc);
+    return doc;
+  });
+
+  router.get("/transcripts/verify/:code", ({ params, user, db }) => {
+    requireRole(user, "admin");
+    const code = normalizeVerificationCode(params.code);
+    const doc = db.transcripts.find((d) => d.code === code);
+    if (!doc) {
+      throw new MockHttpError(404, `No document was issued with code ${code}`);
+    }
+    return withRecordCheck(db, doc);
+  });
+}
@@ -0,0 +1,24 @@
+/**
+ * Mock user directory routes
+ */
+
+import { MockHttpError, requireRole } from "@/lib/mock-api/router";
+import { toPublicUser } from "@/lib/mock-api/db";
+
+export function registerUserRoutes(router) {
+  router.get("/users", ({ query, user, db }) => {
+    requireRole(user);
+    return db.users
+      .filter((u) => !query.role || u.role === query.role)
+      .map(toPublicUser);
+  });
+
+  router.get("/users/:id", ({ params, user, db }) => {
+    requireRole(user);
+    const found = db.users.find((u) => u.id === params.id);
+    if (!found) {
+      throw new MockHttpError(404, "User not found");
+    }
+    return toPublicUser(found);
+  });
+}
@@ -90,6 +90,7 @@ export const mockCourses = [
     name: "Introduction to Programming",
     creditHours: 3,
     semester: "Fall 2024",
+    gradingSchemeId: "2",
     description: "Basic programming concepts and problem-solving",
     teacher: {
       id: "1",
@@ -97,6 +98,11 @@ export const mockCourses = [
         fullName: "Dr. Muhammad Ali",
       },
     },
+    prerequisites: [],
+    sections: [
+      { name: "A", capacity: 40 },
+      { name: "B", capacity: 40 },
+    ],
     isActive: true,
   },
   {
@@ -112,6 +118,11 @@ export const mockCourses = [
         fullName: "Dr. Muhammad Ali",
       },
     },
+    prerequisites: ["CS102"],
+    sections: [
+      { name: "A", capacity: 40 },
+      { name: "B", capacity: 40 },
+    ],
     isActive: true,
   },
   {
@@ -127,6 +138,11 @@ export const mockCourses = [
         fullName: "Dr. Sarah Ahmed",
       },
     },
+    prerequisites: ["CS201"],
+    sections: [
+      { name: "A", capacity: 40 },
+      { name: "B", capacity: 40 },
+    ],
     isActive: true,
   },
   {
@@ -142,6 +158,110 @@ export const mockCourses = [
         fullName: "Dr. Ali Hassan",
       },
     },
+    prerequisites: ["CS102"],
+    sections: [
+      { name: "A", capacity: 40 },
+      { name: "B", capacity: 40 },
+    ],
+    isActive: true,
+  },
+  {
+    id: "5",
+    code: "CS401",
+    name: "Web Development",
+    creditHours: 3,
+    semester: "Spring 2025",
+    isLab: true,
+    description: "Client and server web application development",
+    teacher: {
+      id: "mock-teacher-id",
+      user: {
+        fullName: "Dr. Jane Smith",
+      },
+    },
+    prerequisites: ["CS201"],
+    sections: [
+      { name: "A", capacity: 40 },
+      { name: "B", capacity: 40 },
+    ],
+    isActive: true,
+  },
+  {
+    id: "6",
+    code: "CS402",
+    name: "Operating Systems",
+    creditHours: 3,
+    semester: "Spring 2025",
+    description: "Processes, memory management and file systems",
+    teacher: {
+      id: "1",
+      user: {
+        fullName: "Dr. Muhammad Ali",
+      },
+    },
+    prerequisites: ["CS201"],
+    sections: [
+      { name: "A", capacity: 35 },
+    ],
+    isActive: true,
+  },
+  {
+    id: "7",
+    code: "CS403",
+    name: "Computer Networks",
+    creditHours: 3,
+    semester: "Spring 2025",
+    isLab: true,
+    description: "Network layers, protocols and socket programming",
+    teacher: {
+      id: "2",
+      user: {
+        fullName: "Dr. Sarah Ahmed",
+      },
+    },
+    prerequisites: ["CS201"],
+    sections: [
+      { name: "A", capacity: 2 },
+    ],
+    isActive: true,
+  },
+  {
+    id: "8",
+    code: "CS405",
+    name: "Human Computer Interaction",
+    creditHours: 3,
+    semester: "Spring 2025",
+    description: "User-centred design and usability evaluation",
+    teacher: {
+      id: "3",
+      user: {
+        fullName: "Dr. Ali Hassan",
+      },
+    },
+    prerequisites: [],
+    sections: [
+      { name: "A", capacity: 30 },
+      { name: "B", capacity: 30 },
+    ],
+    isActive: true,
+  },
+  {
+    id: "9",
+    code: "CS501",
+    name: "Machine Learning",
+    creditHours: 3,
+    semester: "Spring 2025",
+    description: "Supervised and unsupervised learning methods",
+    teacher: {
+      id: "mock-teacher-id",
+      user: {
+        fullName: "Dr. Jane Smith",
+      },
+    },
+    prerequisites: ["CS301", "MA201"],
+    sections: [
+      { name: "A", capacity: 30 },
+    ],
     isActive: true,
   },
 ];
@@ -217,6 +337,140 @@ export const mockTimetable = [
     room: "A-101",
     semester: "Fall 2024",
   },
+  {
+    id: "6",
+    courseId: "5",
+    course: {
+      id: "5",
+      code: "CS401",
+      name: "Web Development",
+    },
+    section: "A",
+    dayOfWeek: "Monday",
+    startTime: "09:00",
+    endTime: "10:30",
+    room: "B-101",
+    semester: "Spring 2025",
+  },
+  {
+    id: "7",
+    courseId: "5",
+    course: {
+      id: "5",
+      code: "CS401",
+      name: "Web Development",
+    },
+    section: "B",
+    dayOfWeek: "Wednesday",
+    startTime: "09:00",
+    endTime: "10:30",
+    room: "B-101",
+    semester: "Spring 2025",
+  },
+  {
+    id: "8",
+    courseId: "6",
+    course: {
+      id: "6",
+      code: "CS402",
+      name: "Operating Systems",
+    },
+    section: "A",
+    dayOfWeek: "Tuesday",
+    startTime: "11:00",
+    endTime: "12:30",
+    room: "A-201",
+    semester: "Spring 2025",
+  },
+  {
+    id: "9",
+    courseId: "7",
+    course: {
+      id: "7",
+      code: "CS403",
+      name: "Computer Networks",
+    },
+    section: "A",
+    dayOfWeek: "Thursday",
+    startTime: "14:00",
+    endTime: "15:30",
+    room: "C-101",
+    semester: "Spring 2025",
+  },
+  {
+    id: "10",
+    courseId: "8",
+    course: {
+      id: "8",
+      code: "CS405",
+      name: "Human Computer Interaction",
+    },
+    section: "A",
+    dayOfWeek: "Monday",
+    startTime: "10:00",
+    endTime: "11:30",
+    room: "A-105",
+    semester: "Spring 2025",
+  },
+  {
+    id: "11",
+    courseId: "8",
+    course: {
+      id: "8",
+      code: "CS405",
+      name: "Human Computer Interaction",
+    },
+    section: "B",
+    dayOfWeek: "Friday",
+    startTime: "10:00",
+    endTime: "11:30",
+    room: "A-105",
+    semester: "Spring 2025",
+  },
+  {
+    id: "12",
+    courseId: "9",
+    course: {
+      id: "9",
+      code: "CS501",
+      name: "Machine Learning",
+    },
+    section: "A",
+    dayOfWeek: "Wednesday",
+    startTime: "14:00",
+    endTime: "15:30",
+    room: "C-301",
+    semester: "Spring 2025",
+  },
+];
+
+// Rooms the timetable solver can book; lab courses need a lab room
+export const mockRooms = [
+  { id: "1", name: "A-101", capacity: 50, type: "lecture" },
+  { id: "2", name: "A-102", capacity: 45, type: "lecture" },
+  { id: "3", name: "A-105", capacity: 35, type: "lecture" },
+  { id: "4", name: "A-201", capacity: 40, type: "lecture" },
+  { id: "5", name: "B-201", capacity: 45, type: "lecture" },
+  { id: "6", name: "C-301", capacity: 60, type: "lecture" },
+  { id: "7", name: "B-101", capacity: 40, type: "lab" },
+  { id: "8", name: "C-101", capacity: 30, type: "lab" },
+];
+
+// Hours teachers can be timetabled; teachers without any are available
+// all week
+export const mockTeacherAvailability = [
+  ...["Monday", "Tuesday", "Wednesday", "Thursday"].map((dayOfWeek) => ({
+    teacherId: "2",
+    dayOfWeek,
+    startTime: "08:00",
+    endTime: "18:00",
+  })),
+  ...["Monday", "Tuesday", "Wednesday", "Thursday"].map((dayOfWeek) => ({
+    teacherId: "3",
+    dayOfWeek,
+    startTime: "08:00",
+    endTime: "13:00",
+  })),
 ];
 
 export const mockAdminNotifications = [
@@ -345,3 +599,1323 @@ export const mockTeacherNotifications = [
   },
 ];
 
+
+
+/**
+ * Demo accounts that can sign in without a backend.
+ * Keyed by email; any password is accepted for these.
+ */
+export const mockDemoAccounts = {
+  "student@example.com": {
+    id: "mock-student-id",
+    email: "student@example.com",
+    fullName: "John Doe",
+    role: "student",
+    rollNumber: "STU-2024-006",
+    currentSemester: 3,
+    program: "BS Computer Science",
+    isActive: true,
+  },
+  "admin@example.com": {
+    id: "mock-admin-id",
+    email: "admin@example.com",
+    fullName: "Admin User",
+    role: "admin",
+    isActive: true,
+  },
+  "teacher@example.com": {
+    id: "mock-teacher-id",
+    email: "teacher@example.com",
+    fullName: "Dr. Jane Smith",
+    role: "teacher",
+    employeeId: "EMP-2024-004",
+    department: "Computer Science",
+    designation: "Associate Professor",
+    isActive: true,
+  },
+  "ta@example.com": {
+    id: "mock-ta-id",
+    email: "ta@example.com",
+    fullName: "Bilal Tariq",
+    role: "ta",
+    department: "Computer Science",
+    // May grade CS201 (course id 1) only
+    assignedCourseIds: ["1"],
+    isActive: true,
+  },
+  "librarian@example.com": {
+    id: "mock-librarian-id",
+    email: "librarian@example.com",
+    fullName: "Sana Malik",
+    role: "librarian",
+    employeeId: "EMP-2024-005",
+    department: "Central Library",
+    isActive: true,
+  },
+};
+
+// Alias kept for the short demo address used in presentations
+mockDemoAccounts["teacher@example"] = mockDemoAccounts["teacher@example.com"];
+
+// Published results per student id (shape used by the results page).
+// GPA and CGPA are computed from the grades when served; each course keeps
+// the grading scheme it was graded under (the default one when missing).
+export const mockStudentResults = {
+  "mock-student-id": {
+    semesters: [
+      {
+        id: 1,
+        name: "Fall 2024",
+        courses: [
+          {
+            code: "CS101",
+            name: "Introduction to Computer Science",
+            grade: "A",
+            creditHours: 3,
+            marksObtained: 92,
+            totalMarks: 100,
+            schemeId: "1",
+          },
+          {
+            code: "CS201",
+            name: "Data Structures",
+            grade: "A-",
+            creditHours: 3,
+            marksObtained: 88,
+            totalMarks: 100,
+            schemeId: "1",
+          },
+          {
+            code: "CS301",
+            name: "Database Systems",
+            grade: "B+",
+            creditHours: 3,
+            marksObtained: 85,
+            totalMarks: 100,
+            schemeId: "1",
+          },
+        ],
+      },
+      {
+        id: 2,
+        name: "Spring 2024",
+        courses: [
+          {
+            code: "CS102",
+            name: "Programming Fundamentals",
+            grade: "A",
+            creditHours: 3,
+            marksObtained: 90,
+            totalMarks: 100,
+            schemeId: "1",
+          },
+          {
+            code: "CS202",
+            name: "Algorithms",
+            grade: "B+",
+            creditHours: 3,
+            marksObtained: 87,
+            totalMarks: 100,
+            schemeId: "1",
+          },
+          {
+            code: "HU100",
+            name: "Community Service",
+            grade: "P",
+            creditHours: 0,
+            marksObtained: 80,
+            totalMarks: 100,
+            schemeId: "3",
+          },
+        ],
+      },
+      // CS202 was failed here and repeated in Spring 2024
+      {
+        id: 3,
+        name: "Fall 2023",
+        courses: [
+          {
+            code: "CS202",
+            name: "Algorithms",
+            grade: "F",
+            creditHours: 3,
+            marksObtained: 41,
+            totalMarks: 100,
+            schemeId: "1",
+          },
+          {
+            code: "MTH101",
+            name: "Calculus I",
+            grade: "B",
+            creditHours: 3,
+            marksObtained: 79,
+            totalMarks: 100,
+            schemeId: "1",
+          },
+        ],
+      },
+    ],
+  },
+};
+
+// Grading schemes; courses point at one with gradingSchemeId (default "1")
+export const mockGradingSchemes = [
+  {
+    id: "1",
+    name: "Standard 4.0",
+    type: "absolute",
+    passMark: 50,
+    isDefault: true,
+    bands: [
+      { grade: "A+", min: 95, points: 4.0 },
+      { grade: "A", min: 90, points: 4.0 },
+      { grade: "A-", min: 86, points: 3.7 },
+      { grade: "B+", min: 82, points: 3.3 },
+      { grade: "B", min: 78, points: 3.0 },
+      { grade: "B-", min: 74, points: 2.7 },
+      { grade: "C+", min: 70, points: 2.3 },
+      { grade: "C", min: 66, points: 2.0 },
+      { grade: "C-", min: 62, points: 1.7 },
+      { grade: "D+", min: 58, points: 1.3 },
+      { grade: "D", min: 50, points: 1.0 },
+      { grade: "F", min: 0, points: 0.0 },
+    ],
+  },
+  {
+    id: "2",
+    name: "Relative (Curve)",
+    type: "relative",
+    passMark: 50,
+    isDefault: false,
+    bands: [
+      { grade: "A", min: 85, points: 4.0 },
+      { grade: "A-", min: 70, points: 3.7 },
+      { grade: "B+", min: 55, points: 3.3 },
+      { grade: "B", min: 40, points: 3.0 },
+      { grade: "B-", min: 25, points: 2.7 },
+      { grade: "C+", min: 15, points: 2.3 },
+      { grade: "C", min: 5, points: 2.0 },
+      { grade: "D", min: 0, points: 1.0 },
+    ],
+  },
+  {
+    id: "3",
+    name: "Pass / Fail",
+    type: "pass-fail",
+    passMark: 50,
+    isDefault: false,
+    bands: [],
+  },
+];
+
+// Degree requirements, matched to students by their `program`
+export const mockDegreePrograms = [
+  {
+    id: "1",
+    name: "BS Computer Science",
+    totalCredits: 130,
+    minCGPA: 2.0,
+    requirements: [
+      {
+        id: "cs-core",
+        name: "Computing Core",
+        type: "core",
+        courses: [
+          {
+            code: "CS101",
+            name: "Introduction to Programming",
+            creditHours: 3,
+          },
+          { code: "CS102", name: "Programming Fundamentals", creditHours: 3 },
+          { code: "CS201", name: "Data Structures", creditHours: 3 },
+          { code: "CS202", name: "Algorithms", creditHours: 3 },
+          { code: "CS301", name: "Database Systems", creditHours: 3 },
+          { code: "CS402", name: "Operating Systems", creditHours: 3 },
+          { code: "CS403", name: "Computer Networks", creditHours: 3 },
+        ],
+      },
+      {
+        id: "math",
+        name: "Mathematics",
+        type: "core",
+        courses: [
+          { code: "MTH101", name: "Calculus I", creditHours: 3 },
+          { code: "MA201", name: "Linear Algebra", creditHours: 3 },
+        ],
+      },
+      {
+        id: "cs-electives",
+        name: "Computing Electives",
+        type: "elective",
+        minCredits: 9,
+        courses: [
+          { code: "CS401", name: "Web Development", creditHours: 3 },
+          { code: "CS405", name: "Human Computer Interaction", creditHours: 3 },
+          { code: "CS501", name: "Machine Learning", creditHours: 3 },
+          { code: "SE201", name: "Software Engineering", creditHours: 4 },
+        ],
+      },
+      {
+        id: "community",
+        name: "Community Service",
+        type: "elective",
+        minCourses: 1,
+        courses: [
+          { code: "HU100", name: "Community Service", creditHours: 0 },
+        ],
+      },
+    ],
+  },
+  {
+    id: "2",
+    name: "BS Software Engineering",
+    totalCredits: 132,
+    minCGPA: 2.0,
+    requirements: [
+      {
+        id: "se-core",
+        name: "Software Engineering Core",
+        type: "core",
+        courses: [
+          {
+            code: "CS101",
+            name: "Introduction to Programming",
+            creditHours: 3,
+          },
+          { code: "CS102", name: "Programming Fundamentals", creditHours: 3 },
+          { code: "CS201", name: "Data Structures", creditHours: 3 },
+          { code: "SE201", name: "Software Engineering", creditHours: 4 },
+        ],
+      },
+      {
+        id: "se-electives",
+        name: "Electives",
+        type: "elective",
+        minCredits: 6,
+        courses: [
+          { code: "CS401", name: "Web Development", creditHours: 3 },
+          { code: "CS405", name: "Human Computer Interaction", creditHours: 3 },
+        ],
+      },
+    ],
+  },
+];
+
+export const mockEnrollments = [
+  {
+    id: "1",
+    studentId: "mock-student-id",
+    courseId: "4",
+    section: "A",
+    semester: "Fall 2024",
+    status: "enrolled",
+    createdAt: "2024-08-20T09:00:00.000Z",
+  },
+  {
+    id: "2",
+    studentId: "mock-student-id",
+    courseId: "5",
+    section: "A",
+    semester: "Spring 2025",
+    status: "enrolled",
+    createdAt: "2024-12-10T10:00:00.000Z",
+  },
+  // CS403 Section A is full (capacity 2) so new requests go to the waitlist
+  {
+    id: "3",
+    studentId: "1",
+    courseId: "7",
+    section: "A",
+    semester: "Spring 2025",
+    status: "enrolled",
+    createdAt: "2024-12-09T08:00:00.000Z",
+  },
+  {
+    id: "4",
+    studentId: "2",
+    courseId: "7",
+    section: "A",
+    semester: "Spring 2025",
+    status: "enrolled",
+    createdAt: "2024-12-09T08:30:00.000Z",
+  },
+  // CS401 roster (taught by the demo teacher)
+  {
+    id: "5",
+    studentId: "1",
+    courseId: "5",
+    section: "A",
+    semester: "Spring 2025",
+    status: "enrolled",
+    createdAt: "2024-12-11T09:00:00.000Z",
+  },
+  {
+    id: "6",
+    studentId: "2",
+    courseId: "5",
+    section: "A",
+    semester: "Spring 2025",
+    status: "enrolled",
+    createdAt: "2024-12-11T09:15:00.000Z",
+  },
+  {
+    id: "7",
+    studentId: "3",
+    courseId: "5",
+    section: "B",
+    semester: "Spring 2025",
+    status: "enrolled",
+    createdAt: "2024-12-11T10:00:00.000Z",
+  },
+  {
+    id: "8",
+    studentId: "4",
+    courseId: "5",
+    section: "B",
+    semester: "Spring 2025",
+    status: "enrolled",
+    createdAt: "2024-12-11T10:30:00.000Z",
+  },
+  {
+    id: "9",
+    studentId: "5",
+    courseId: "5",
+    section: "B",
+    semester: "Spring 2025",
+    status: "enrolled",
+    createdAt: "2024-12-12T11:00:00.000Z",
+  },
+  // CS101 roster (assisted by the demo TA)
+  {
+    id: "10",
+    studentId: "1",
+    courseId: "1",
+    section: "A",
+    semester: "Fall 2024",
+    status: "enrolled",
+    createdAt: "2024-08-21T09:00:00.000Z",
+  },
+  {
+    id: "11",
+    studentId: "2",
+    courseId: "1",
+    section: "A",
+    semester: "Fall 2024",
+    status: "enrolled",
+    createdAt: "2024-08-21T09:30:00.000Z",
+  },
+  {
+    id: "12",
+    studentId: "3",
+    courseId: "1",
+    section: "B",
+    semester: "Fall 2024",
+    status: "enrolled",
+    createdAt: "2024-08-22T10:00:00.000Z",
+  },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relative to page load so the demo always has one semester open for add/drop
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+// Add/drop and withdrawal windows per semester (Summer 2025 not announced)
+export const mockEnrollmentWindows = [
+  {
+    id: "1",
+    semester: "Fall 2024",
+    addDropStart: daysFromNow(-40),
+    addDropEnd: daysFromNow(-26),
+    withdrawalEnd: daysFromNow(10),
+  },
+  {
+    id: "2",
+    semester: "Spring 2025",
+    addDropStart: daysFromNow(-3),
+    addDropEnd: daysFromNow(4),
+    withdrawalEnd: daysFromNow(45),
+  },
+];
+
+// Campus calendar date, for terms and holidays
+function dateFromNow(days) {
+  return daysFromNow(days).slice(0, 10);
+}
+
+// Teaching terms and holidays (lib/calendar/academic-calendar.js)
+export const mockAcademicCalendar = [
+  {
+    id: "1",
+    semester: "Fall 2024",
+    startDate: dateFromNow(-45),
+    endDate: dateFromNow(60),
+    holidays: [
+      { date: dateFromNow(-10), name: "Public Holiday" },
+      { date: dateFromNow(9), name: "Mid-Semester Break" },
+      { date: dateFromNow(10), name: "Mid-Semester Break" },
+    ],
+    examPeriods: [
+      {
+        name: "Midterm Exams",
+        startDate: dateFromNow(-20),
+        endDate: dateFromNow(-16),
+      },
+      {
+        name: "Final Exams",
+        startDate: dateFromNow(54),
+        endDate: dateFromNow(60),
+      },
+    ],
+  },
+  {
+    id: "2",
+    semester: "Spring 2025",
+    startDate: dateFromNow(-5),
+    endDate: dateFromNow(110),
+    holidays: [
+      { date: dateFromNow(16), name: "Public Holiday" },
+      { date: dateFromNow(44), name: "Sports Day" },
+    ],
+    examPeriods: [
+      {
+        name: "Midterm Exams",
+        startDate: dateFromNow(50),
+        endDate: dateFromNow(54),
+      },
+      {
+        name: "Final Exams",
+        startDate: dateFromNow(104),
+        endDate: dateFromNow(110),
+      },
+    ],
+  },
+];
+
+// Scheduled exams (lib/academics/exams.js). CS401 and CS402 share a
+// sitting, as do the CS101 and SE201 finals; seating plans for them are
+// generated by lib/mock-api/db.js.
+export const mockExams = [
+  {
+    id: "1",
+    courseId: "5",
+    semester: "Spring 2025",
+    type: "midterm",
+    date: dateFromNow(50),
+    startTime: "09:00",
+    endTime: "11:00",
+    rooms: ["A-101"],
+  },
+  {
+    id: "2",
+    courseId: "6",
+    semester: "Spring 2025",
+    type: "midterm",
+    date: dateFromNow(50),
+    startTime: "09:00",
+    endTime: "11:00",
+    rooms: ["A-101"],
+  },
+  {
+    id: "3",
+    courseId: "7",
+    semester: "Spring 2025",
+    type: "midterm",
+    date: dateFromNow(51),
+    startTime: "09:00",
+    endTime: "11:00",
+    rooms: ["A-102"],
+  },
+  {
+    id: "4",
+    courseId: "1",
+    semester: "Fall 2024",
+    type: "final",
+    date: dateFromNow(56),
+    startTime: "09:00",
+    endTime: "12:00",
+    rooms: ["C-301"],
+  },
+  {
+    id: "5",
+    courseId: "4",
+    semester: "Fall 2024",
+    type: "final",
+    date: dateFromNow(56),
+    startTime: "09:00",
+    endTime: "12:00",
+    rooms: ["C-301"],
+  },
+  {
+    id: "6",
+    courseId: "2",
+    semester: "Fall 2024",
+    type: "final",
+    date: dateFromNow(57),
+    startTime: "14:00",
+    endTime: "17:00",
+    rooms: ["A-101", "A-102"],
+  },
+];
+
+// Attendance taken so far, per course: each student's statuses for the
+// course's past sessions, oldest first (P present, A absent, L late,
+// E excused). Seeded onto the sessions by lib/mock-api/db.js.
+export const mockAttendance = [
+  {
+    courseId: "1",
+    takenBy: "1",
+    statuses: {
+      "1": "PPPPPPLPPPPP",
+      "2": "PAPAPPAPLAPA",
+      "3": "PPLPPPEPPPPP",
+    },
+  },
+  {
+    courseId: "4",
+    takenBy: "3",
+    statuses: { "mock-student-id": "PAPLAPAE" },
+  },
+];
+
+// Assignments per course; latePolicy and rubric are described in
+// lib/academics/late-policy.js and lib/academics/rubric.js
+export const mockAssignments = [
+  {
+    id: "1",
+    courseId: "5",
+    teacherId: "mock-teacher-id",
+    title: "Web Development Lab",
+    description:
+      "Create a responsive website using HTML, CSS, and JavaScript.",
+    dueDate: daysFromNow(5),
+    totalMarks: 75,
+    latePolicy: { graceHours: 6, percentPerDay: 10, cutoffDays: 3 },
+    createdAt: daysFromNow(-9),
+  },
+  {
+    id: "2",
+    courseId: "5",
+    teacherId: "mock-teacher-id",
+    title: "REST API Project",
+    description:
+      "Build a REST API for a bookstore with authentication and pagination.",
+    dueDate: daysFromNow(-2),
+    totalMarks: 50,
+    latePolicy: { graceHours: 0, percentPerDay: 10, cutoffDays: 7 },
+    rubric: {
+      criteria: [
+        {
+          id: "api-design",
+          title: "API Design",
+          levels: [
+            { id: "api-design-excellent", label: "Excellent", points: 20 },
+            { id: "api-design-good", label: "Good", points: 15 },
+            { id: "api-design-fair", label: "Fair", points: 10 },
+            { id: "api-design-missing", label: "Missing", points: 0 },
+          ],
+        },
+        {
+          id: "auth",
+          title: "Authentication",
+          levels: [
+            { id: "auth-excellent", label: "Excellent", points: 15 },
+            { id: "auth-good", label: "Good", points: 10 },
+            { id: "auth-fair", label: "Fair", points: 5 },
+            { id: "auth-missing", label: "Missing", points: 0 },
+          ],
+        },
+        {
+          id: "tests",
+          title: "Pagination and Tests",
+          levels: [
+            { id: "tests-excellent", label: "Excellent", points: 15 },
+            { id: "tests-good", label: "Good", points: 10 },
+            { id: "tests-fair", label: "Fair", points: 5 },
+            { id: "tests-missing", label: "Missing", points: 0 },
+          ],
+        },
+      ],
+    },
+    createdAt: daysFromNow(-16),
+  },
+  {
+    id: "3",
+    courseId: "4",
+    teacherId: "3",
+    title: "Requirements Specification",
+    description:
+      "Write a software requirements specification for a library system.",
+    dueDate: daysFromNow(-8),
+    totalMarks: 50,
+    latePolicy: { graceHours: 12, percentPerDay: 10, cutoffDays: 5 },
+    rubric: {
+      criteria: [
+        {
+          id: "use-cases",
+          title: "Use Cases",
+          levels: [
+            { id: "use-cases-excellent", label: "Excellent", points: 20 },
+            { id: "use-cases-good", label: "Good", points: 15 },
+            { id: "use-cases-fair", label: "Fair", points: 10 },
+            { id: "use-cases-missing", label: "Missing", points: 0 },
+          ],
+        },
+        {
+          id: "clarity",
+          title: "Requirements Clarity",
+          levels: [
+            { id: "clarity-excellent", label: "Excellent", points: 20 },
+            { id: "clarity-good", label: "Good", points: 15 },
+            { id: "clarity-fair", label: "Fair", points: 10 },
+            { id: "clarity-missing", label: "Missing", points: 0 },
+          ],
+        },
+        {
+          id: "formatting",
+          title: "Formatting",
+          levels: [
+            { id: "formatting-excellent", label: "Excellent", points: 10 },
+            { id: "formatting-good", label: "Good", points: 7 },
+            { id: "formatting-fair", label: "Fair", points: 4 },
+            { id: "formatting-missing", label: "Missing", points: 0 },
+          ],
+        },
+      ],
+    },
+    createdAt: daysFromNow(-20),
+  },
+  {
+    id: "4",
+    courseId: "4",
+    teacherId: "3",
+    title: "Design Document",
+    description: "Produce UML class and sequence diagrams for the system.",
+    dueDate: daysFromNow(-4),
+    totalMarks: 40,
+    latePolicy: { graceHours: 0, percentPerDay: 0, cutoffDays: 0 },
+    createdAt: daysFromNow(-18),
+  },
+  {
+    id: "5",
+    courseId: "1",
+    teacherId: "1",
+    title: "Data Structures Project",
+    description:
+      "Implement a binary search tree with insertion, deletion, and traversal operations.",
+    dueDate: daysFromNow(-1),
+    totalMarks: 100,
+    latePolicy: { graceHours: 2, percentPerDay: 5, cutoffDays: null },
+    createdAt: daysFromNow(-14),
+  },
+];
+
+// One submission per student and assignment; every upload adds a version
+export const mockSubmissions = [
+  {
+    id: "1",
+    assignmentId: "2",
+    studentId: "mock-student-id",
+    versions: [
+      {
+        version: 1,
+        fileName: "rest-api-draft.pdf",
+        fileSize: 482304,
+        fileType: "application/pdf",
+        comments: "First draft, pagination still missing.",
+        submittedAt: daysFromNow(-4),
+      },
+      {
+        version: 2,
+        fileName: "rest-api-final.pdf",
+        fileSize: 615424,
+        fileType: "application/pdf",
+        comments: "Added pagination and tests.",
+        submittedAt: daysFromNow(-2.5),
+      },
+    ],
+    marksObtained: null,
+    feedback: null,
+    gradedAt: null,
+  },
+  {
+    id: "2",
+    assignmentId: "3",
+    studentId: "mock-student-id",
+    versions: [
+      {
+        version: 1,
+        fileName: "srs-library-system.docx",
+        fileSize: 1048576,
+        fileType:
+          "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        comments: "",
+        submittedAt: daysFromNow(-6.5),
+      },
+    ],
+    marksObtained: 45,
+    rubricScores: {
+      "use-cases": "use-cases-excellent",
+      clarity: "clarity-good",
+      formatting: "formatting-excellent",
+    },
+    feedback: "Thorough use cases. Submitted late, so the penalty applies.",
+    gradedAt: daysFromNow(-3),
+  },
+  {
+    id: "3",
+    assignmentId: "5",
+    studentId: "1",
+    versions: [
+      {
+        version: 1,
+        fileName: "bst-ahmed.pdf",
+        fileSize: 358400,
+        fileType: "application/pdf",
+        comments: "",
+        submittedAt: daysFromNow(-1.5),
+      },
+    ],
+    marksObtained: 85,
+    feedback: "Good work!",
+    gradedAt: daysFromNow(-0.5),
+  },
+  {
+    id: "4",
+    assignmentId: "5",
+    studentId: "2",
+    versions: [
+      {
+        version: 1,
+        fileName: "bst-fatima.pdf",
+        fileSize: 401408,
+        fileType: "application/pdf",
+        comments: "Deletion handles the two-children case.",
+        submittedAt: daysFromNow(-0.7),
+      },
+    ],
+    marksObtained: null,
+    feedback: null,
+    gradedAt: null,
+  },
+];
+
+// Gradebook per course id: total marks and each student's marks out of it.
+// Letter grades are derived from the percentage when read.
+export const mockCourseGrades = {
+  "1": {
+    totalMarks: 100,
+    marks: {
+      "1": { marksObtained: 88, updatedAt: "2025-01-10T10:00:00.000Z" },
+      "2": { marksObtained: 93, updatedAt: "2025-01-10T10:00:00.000Z" },
+      "3": { marksObtained: 75, updatedAt: "2025-01-10T10:00:00.000Z" },
+    },
+  },
+  "5": {
+    totalMarks: 100,
+    marks: {
+      "1": { marksObtained: 91, updatedAt: daysFromNow(-3) },
+      "2": { marksObtained: 84, updatedAt: daysFromNow(-3) },
+      "3": { marksObtained: 72, updatedAt: daysFromNow(-2) },
+    },
+  },
+};
+
+// Fees charged to students; balances and status are worked out from the
+// transactions posted against them (lib/fees/ledger.js). maxInstallments is
+// how many installments the student may split the fee into.
+export const mockFees = [
+  {
+    id: "1",
+    studentId: "mock-student-id",
+    type: "Tuition Fee",
+    semester: "Fall 2024",
+    description: "Semester tuition fee",
+    amount: 50000,
+    dueDate: daysFromNow(-120),
+    maxInstallments: 3,
+    installments: [
+      { number: 1, amount: 25000, dueDate: daysFromNow(-120) },
+      { number: 2, amount: 25000, dueDate: daysFromNow(-90) },
+    ],
+    createdAt: daysFromNow(-150),
+  },
+  {
+    id: "2",
+    studentId: "mock-student-id",
+    type: "Lab Fee",
+    semester: "Fall 2024",
+    description: "Computer lab and equipment fee",
+    amount: 5000,
+    dueDate: daysFromNow(-120),
+    maxInstallments: 1,
+    installments: null,
+    createdAt: daysFromNow(-150),
+  },
+  {
+    id: "3",
+    studentId: "mock-student-id",
+    type: "Library Fee",
+    semester: "Fall 2024",
+    description: "Library access and resources fee",
+    amount: 2000,
+    dueDate: daysFromNow(-120),
+    maxInstallments: 1,
+    installments: null,
+    createdAt: daysFromNow(-150),
+  },
+  {
+    id: "4",
+    studentId: "mock-student-id",
+    type: "Tuition Fee",
+    semester: "Spring 2025",
+    description: "Semester tuition fee",
+    amount: 50000,
+    dueDate: daysFromNow(12),
+    maxInstallments: 3,
+    installments: null,
+    createdAt: daysFromNow(-20),
+  },
+  {
+    id: "5",
+    studentId: "mock-student-id",
+    type: "Lab Fee",
+    semester: "Spring 2025",
+    description: "Computer lab and equipment fee",
+    amount: 5000,
+    dueDate: daysFromNow(-5),
+    maxInstallments: 1,
+    installments: null,
+    createdAt: daysFromNow(-20),
+  },
+  {
+    id: "6",
+    studentId: "mock-student-id",
+    type: "Library Fee",
+    semester: "Spring 2025",
+    description: "Library access and resources fee",
+    amount: 2000,
+    dueDate: daysFromNow(5),
+    maxInstallments: 1,
+    installments: null,
+    createdAt: daysFromNow(-20),
+  },
+  {
+    id: "7",
+    studentId: "1",
+    type: "Tuition Fee",
+    semester: "Spring 2025",
+    description: "Semester tuition fee",
+    amount: 50000,
+    dueDate: daysFromNow(12),
+    maxInstallments: 3,
+    installments: null,
+    createdAt: daysFromNow(-20),
+  },
+  {
+    id: "8",
+    studentId: "2",
+    type: "Tuition Fee",
+    semester: "Spring 2025",
+    description: "Semester tuition fee",
+    amount: 50000,
+    dueDate: daysFromNow(12),
+    maxInstallments: 3,
+    installments: [
+      { number: 1, amount: 25000, dueDate: daysFromNow(12) },
+      { number: 2, amount: 25000, dueDate: daysFromNow(42) },
+    ],
+    createdAt: daysFromNow(-20),
+  },
+];
+
+// Fines, payments and waivers posted against fees
+export const mockFeeTransactions = [
+  {
+    id: "1",
+    studentId: "mock-student-id",
+    feeId: "1",
+    type: "payment",
+    amount: 25000,
+    date: daysFromNow(-125),
+    method: "online_payment",
+    reference: "TXN-2024-001234",
+  },
+  {
+    id: "2",
+    studentId: "mock-student-id",
+    feeId: "1",
+    type: "payment",
+    amount: 25000,
+    date: daysFromNow(-95),
+    method: "bank_challan",
+    reference: "HBL-2024-778812",
+  },
+  {
+    id: "3",
+    studentId: "mock-student-id",
+    feeId: "2",
+    type: "payment",
+    amount: 5000,
+    date: daysFromNow(-122),
+    method: "online_payment",
+    reference: "TXN-2024-001189",
+  },
+  {
+    id: "4",
+    studentId: "mock-student-id",
+    feeId: "3",
+    type: "waiver",
+    amount: 500,
+    date: daysFromNow(-140),
+    description: "Library fee concession (Dean's list)",
+  },
+  {
+    id: "5",
+    studentId: "mock-student-id",
+    feeId: "3",
+    type: "payment",
+    amount: 1500,
+    date: daysFromNow(-121),
+    method: "cash",
+    reference: "CASH-2024-000567",
+  },
+  {
+    id: "6",
+    studentId: "mock-student-id",
+    feeId: "5",
+    type: "fine",
+    amount: 500,
+    date: daysFromNow(-4),
+    description: "Late fee · Lab Fee · 5 days late",
+    lateFee: {
+      ruleId: "2",
+      ruleName: "Standard late fee",
+      schedule: "flat",
+      amount: 500,
+      graceDays: 0,
+      cap: null,
+      installmentNumber: null,
+      daysLate: 5,
+    },
+  },
+  {
+    id: "7",
+    studentId: "mock-student-id",
+    feeId: "6",
+    type: "payment",
+    amount: 1000,
+    date: daysFromNow(-10),
+    method: "online_payment",
+    reference: "TXN-2025-000412",
+  },
+];
+
+// Late fee rules (lib/fees/late-fees.js). A rule naming fee types takes
+// precedence over one for all fees.
+export const mockLateFeeRules = [
+  {
+    id: "1",
+    name: "Tuition late fee",
+    feeTypes: ["Tuition Fee"],
+    schedule: "per_day",
+    amount: 200,
+    graceDays: 3,
+    cap: 5000,
+    active: true,
+    createdAt: daysFromNow(-200),
+    updatedAt: daysFromNow(-200),
+  },
+  {
+    id: "2",
+    name: "Standard late fee",
+    feeTypes: [],
+    schedule: "flat",
+    amount: 500,
+    graceDays: 0,
+    cap: null,
+    active: true,
+    createdAt: daysFromNow(-200),
+    updatedAt: daysFromNow(-200),
+  },
+];
+
+// Bank challans issued for fees (voucher numbers: lib/fees/challan.js).
+// Fee and student details are copied in as printed.
+export const mockChallans = [
+  {
+    id: "1",
+    voucherNumber: "25030000019",
+    studentId: "1",
+    feeId: "7",
+    amount: 50000,
+    installmentNumber: null,
+    status: "unpaid",
+    issuedAt: daysFromNow(-6),
+    validUntil: daysFromNow(12),
+    fee: { type: "Tuition Fee", semester: "Spring 2025" },
+    student: {
+      fullName: "Ahmed Ali",
+      rollNumber: "STU-2024-001",
+      program: "BS Computer Science",
+    },
+    paidAt: null,
+    bankReference: null,
+  },
+  {
+    id: "2",
+    voucherNumber: "25030000027",
+    studentId: "2",
+    feeId: "8",
+    amount: 25000,
+    installmentNumber: 1,
+    status: "unpaid",
+    issuedAt: daysFromNow(-4),
+    validUntil: daysFromNow(12),
+    fee: { type: "Tuition Fee", semester: "Spring 2025" },
+    student: {
+      fullName: "Fatima Khan",
+      rollNumber: "STU-2024-002",
+      program: "BS Computer Science",
+    },
+    paidAt: null,
+    bankReference: null,
+  },
+  {
+    id: "3",
+    voucherNumber: "25030000035",
+    studentId: "mock-student-id",
+    feeId: "6",
+    amount: 1000,
+    installmentNumber: null,
+    status: "unpaid",
+    issuedAt: daysFromNow(-2),
+    validUntil: daysFromNow(5),
+    fee: { type: "Library Fee", semester: "Spring 2025" },
+    student: {
+      fullName: "John Doe",
+      rollNumber: "STU-2024-006",
+      program: "BS Computer Science",
+    },
+    paidAt: null,
+    bankReference: null,
+  },
+];
+
+// Library catalogue: one record per title, with its physical copies
+// (lib/library/catalogue.js)
+export const mockLibraryBooks = [
+  {
+    id: "1",
+    isbn: "978-0262033848",
+    title: "Introduction to Algorithms",
+    authors: ["Thomas H. Cormen", "Charles E. Leiserson", "Ronald L. Rivest"],
+    subjects: ["Algorithms", "Data Structures", "Computer Science"],
+    publisher: "MIT Press",
+    year: 2009,
+    callNumber: "005.1 COR",
+  },
+  {
+    id: "2",
+    isbn: "978-0073523323",
+    title: "Database System Concepts",
+    authors: ["Abraham Silberschatz", "Henry F. Korth", "S. Sudarshan"],
+    subjects: ["Databases", "SQL", "Computer Science"],
+    publisher: "McGraw-Hill",
+    year: 2010,
+    callNumber: "005.74 SIL",
+  },
+  {
+    id: "3",
+    isbn: "978-1118063330",
+    title: "Operating System Concepts",
+    authors: ["Abraham Silberschatz", "Peter B. Galvin", "Greg Gagne"],
+    subjects: ["Operating Systems", "Computer Science"],
+    publisher: "Wiley",
+    year: 2012,
+    callNumber: "005.43 SIL",
+  },
+  {
+    id: "4",
+    isbn: "978-0132126953",
+    title: "Computer Networks",
+    authors: ["Andrew S. Tanenbaum", "David J. Wetherall"],
+    subjects: ["Networking", "Computer Science"],
+    publisher: "Pearson",
+    year: 2010,
+    callNumber: "004.6 TAN",
+  },
+  {
+    id: "5",
+    isbn: "978-0137035151",
+    title: "Software Engineering",
+    authors: ["Ian Sommerville"],
+    subjects: ["Software Engineering"],
+    publisher: "Pearson",
+    year: 2010,
+    callNumber: "005.1 SOM",
+  },
+  {
+    id: "6",
+    isbn: "978-0132350884",
+    title: "Clean Code",
+    authors: ["Robert C. Martin"],
+    subjects: ["Software Engineering", "Programming"],
+    publisher: "Prentice Hall",
+    year: 2008,
+    callNumber: "005.1 MAR",
+  },
+  {
+    id: "7",
+    isbn: "978-0136042594",
+    title: "Artificial Intelligence: A Modern Approach",
+    authors: ["Stuart Russell", "Peter Norvig"],
+    subjects: ["Artificial Intelligence", "Machine Learning"],
+    publisher: "Prentice Hall",
+    year: 2009,
+    callNumber: "006.3 RUS",
+  },
+  {
+    id: "8",
+    isbn: "978-0073383095",
+    title: "Discrete Mathematics and Its Applications",
+    authors: ["Kenneth H. Rosen"],
+    subjects: ["Mathematics", "Discrete Mathematics"],
+    publisher: "McGraw-Hill",
+    year: 2011,
+    callNumber: "511 ROS",
+  },
+];
+
+export const mockLibraryCopies = [
+  { id: "1", bookId: "1", accessionNumber: "ACC-000101", condition: "good" },
+  { id: "2", bookId: "1", accessionNumber: "ACC-000102", condition: "good" },
+  { id: "3", bookId: "2", accessionNumber: "ACC-000201", condition: "good" },
+  { id: "4", bookId: "2", accessionNumber: "ACC-000202", condition: "good" },
+  { id: "5", bookId: "3", accessionNumber: "ACC-000301", condition: "good" },
+  { id: "6", bookId: "4", accessionNumber: "ACC-000401", condition: "good" },
+  { id: "7", bookId: "4", accessionNumber: "ACC-000402", condition: "damaged" },
+  { id: "8", bookId: "5", accessionNumber: "ACC-000501", condition: "good" },
+  { id: "9", bookId: "6", accessionNumber: "ACC-000601", condition: "good" },
+  { id: "10", bookId: "6", accessionNumber: "ACC-000602", condition: "good" },
+  { id: "11", bookId: "7", accessionNumber: "ACC-000701", condition: "good" },
+  { id: "12", bookId: "7", accessionNumber: "ACC-000702", condition: "lost" },
+  { id: "13", bookId: "8", accessionNumber: "ACC-000801", condition: "good" },
+];
+
+// Loans of library copies (lib/library/circulation.js); open until returned
+export const mockLibraryLoans = [
+  {
+    id: "1",
+    copyId: "1",
+    bookId: "1",
+    borrowerId: "mock-student-id",
+    issuedAt: daysFromNow(-20),
+    dueDate: daysFromNow(-6),
+    returnedAt: null,
+    renewals: 0,
+    remindedAt: null,
+  },
+  {
+    id: "2",
+    copyId: "3",
+    bookId: "2",
+    borrowerId: "mock-student-id",
+    issuedAt: daysFromNow(-24),
+    dueDate: daysFromNow(4),
+    returnedAt: null,
+    renewals: 1,
+    remindedAt: null,
+  },
+  {
+    id: "3",
+    copyId: "2",
+    bookId: "1",
+    borrowerId: "1",
+    issuedAt: daysFromNow(-5),
+    dueDate: daysFromNow(9),
+    returnedAt: null,
+    renewals: 0,
+    remindedAt: null,
+  },
+  {
+    id: "4",
+    copyId: "11",
+    bookId: "7",
+    borrowerId: "1",
+    issuedAt: daysFromNow(-12),
+    dueDate: daysFromNow(2),
+    returnedAt: null,
+    renewals: 0,
+    remindedAt: null,
+  },
+  {
+    id: "5",
+    copyId: "5",
+    bookId: "3",
+    borrowerId: "mock-student-id",
+    issuedAt: daysFromNow(-75),
+    dueDate: daysFromNow(-61),
+    returnedAt: daysFromNow(-62),
+    renewals: 0,
+    remindedAt: null,
+  },
+  {
+    id: "6",
+    copyId: "6",
+    bookId: "4",
+    borrowerId: "mock-student-id",
+    issuedAt: daysFromNow(-60),
+    dueDate: daysFromNow(-46),
+    returnedAt: daysFromNow(-43),
+    renewals: 0,
+    remindedAt: null,
+  },
+  {
+    id: "7",
+    copyId: "8",
+    bookId: "5",
+    borrowerId: "mock-student-id",
+    issuedAt: daysFromNow(-100),
+    dueDate: daysFromNow(-72),
+    returnedAt: daysFromNow(-75),
+    renewals: 1,
+    remindedAt: null,
+  },
+];
+
+// Reservations on titles with no copy on the shelf
+export const mockLibraryHolds = [
+  {
+    id: "1",
+    bookId: "1",
+    userId: "2",
+    placedAt: daysFromNow(-3),
+    status: "waiting",
+    copyId: null,
+    readyAt: null,
+    expiresAt: null,
+  },
+  {
+    id: "2",
+    bookId: "7",
+    userId: "2",
+    placedAt: daysFromNow(-8),
+    status: "waiting",
+    copyId: null,
+    readyAt: null,
+    expiresAt: null,
+  },
+  {
+    id: "3",
+    bookId: "7",
+    userId: "mock-student-id",
+    placedAt: daysFromNow(-2),
+    status: "waiting",
+    copyId: null,
+    readyAt: null,
+    expiresAt: null,
+  },
+];
@@ -0,0 +1,256 @@
+/**
+ * FakePay: a local stand-in for a card/wallet payment gateway
+ *
+ * Runs inside this Next app (app/api/fake-gateway and the hosted checkout
+ * page at /fake-gateway/checkout/[id]) so the whole payment flow can be
+ * exercised end-to-end without a real gateway account. It behaves like one
+ * from the portal's side: a secret-key API for creating payments, a hosted
+ * checkout, and signed webhooks sent when a payment completes.
+ *
+ * Test cards: FAKE_TEST_CARDS.DECLINED is always declined; any other
+ * 16-digit number is approved. Wallet checkouts have Approve/Decline
+ * buttons.
+ *
+ * Anyone can approve a payment here, so FakePay and its routes only exist
+ * outside production, or when FAKE_GATEWAY_ENABLED is "true" for a test
+ * deployment; its keys and webhook URL must then be configured. Like a
+ * real gateway it posts webhooks to the URL configured for the merchant,
+ * never to one sent with a payment.
+ *
+ * Server-only. State lives in memory and is lost on restart.
+ */
+
+import { PAYMENT_EVENTS } from "@/lib/payments/gateway";
+import { signWebhookPayload } from "@/lib/payments/webhook-signature";
+import { getServerSetting } from "@/lib/auth/service-auth";
+
+export const FAKE_GATEWAY_CONFIG = {
+  get secretKey() {
+    return getServerSetting("FAKE_GATEWAY_SECRET_KEY", "sk_test_fakepay");
+  },
+  get webhookSecret() {
+    return getServerSetting(
+      "FAKE_GATEWAY_WEBHOOK_SECRET",
+      "whsec_test_fakepay"
+    );
+  },
+  signatureHeader: "x-fakepay-signature",
+};
+
+export const FAKE_PAYMENT_STATUS = {
+  REQUIRES_PAYMENT: "requires_payment",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+export const FAKE_TEST_CARDS = {
+  APPROVED: "4242424242424242",
+  DECLINED: "4000000000000002",
+};
+
+const WEBHOOK_ATTEMPTS = 3;
+
+const store = (globalThis.__fakePayGateway ??= {
+  payments: new Map(),
+  idempotencyKeys: new Map(),
+});
+
+/**
+ * Error with the HTTP status the gateway API answers with
+ */
+export class FakeGatewayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "FakeGatewayError";
+    this.status = status;
+  }
+}
+
+/**
+ * Whether FakePay may take payments in this deployment
+ * @returns {boolean}
+ */
+export function isFakeGatewayEnabled() {
+  return (
+    process.env.NODE_ENV !== "production" ||
+    process.env.FAKE_GATEWAY_ENABLED === "true"
+  );
+}
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomUUID().replace(/-/g, "").slice(0, 24)}`;
+}
+
+/**
+ * Create a payment (gateway API: POST /payments)
+ * @param {object} input - { amount, currency, description, reference,
+ *   method, return_url }
+ * @param {object} options
+ * @param {string} options.idempotencyKey - Same key returns the same payment
+ * @param {string} options.origin - Origin the checkout page is served from;
+ *   outside production, webhooks go to the portal on the same origin
+ * @returns {object} Payment
+ * @throws {FakeGatewayError} 400 on invalid input, 409 on a reused key
+ */
+export function createFakePayment(input, { idempotencyKey, origin }) {
+  const amount = Number(input.amount);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new FakeGatewayError(400, "amount must be a positive integer");
+  }
+  ["currency", "reference", "method", "return_url"].forEach((field) => {
+    if (!input[field]) {
+      throw new FakeGatewayError(400, `${field} is required`);
+    }
+  });
+
+  if (idempotencyKey && store.idempotencyKeys.has(idempotencyKey)) {
+    const existing = store.payments.get(
+      store.idempotencyKeys.get(idempotencyKey)
+    );
+    if (existing.reference !== input.reference || existing.amount !== amount) {
+      throw new FakeGatewayError(
+        409,
+        "Idempotency key was already used for a different payment"
+      );
+    }
+    return existing;
+  }
+
+  const id = randomId("fp");
+  const payment = {
+    id,
+    amount,
+    currency: input.currency,
+    description: input.description || "",
+    reference: input.reference,
+    method: input.method,
+    status: FAKE_PAYMENT_STATUS.REQUIRES_PAYMENT,
+    checkout_url: `${origin}/fake-gateway/checkout/${id}`,
+    return_url: input.return_url,
+    webhook_url: getServerSetting(
+      "FAKE_GATEWAY_WEBHOOK_URL",
+      `${origin}/api/payments/webhook`
+    ),
+    transaction_id: null,
+    failure_reason: null,
+    created: new Date().toISOString(),
+    completed: null,
+    webhook_deliveries: [],
+  };
+  store.payments.set(id, payment);
+  if (idempotencyKey) store.idempotencyKeys.set(idempotencyKey, id);
+  return payment;
+}
+
+/**
+ * Look up a payment
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getFakePayment(id) {
+  return store.payments.get(id) || null;
+}
+
+/**
+ * What the checkout page may show: no webhook details
+ * @param {object} payment
+ * @returns {object}
+ */
+export function toCheckoutView(payment) {
+  return {
+    id: payment.id,
+    amount: payment.amount,
+    currency: payment.currency,
+    description: payment.description,
+    method: payment.method,
+    status: payment.status,
+    returnUrl: payment.return_url,
+  };
+}
+
+async function deliverWebhook(payment) {
+  const body = JSON.stringify({
+    id: randomId("evt"),
+    type:
+      payment.status === FAKE_PAYMENT_STATUS.SUCCEEDED
+        ? PAYMENT_EVENTS.SUCCEEDED
+        : PAYMENT_EVENTS.FAILED,
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      id: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      reference: payment.reference,
+      method: payment.method,
+      status: payment.status,
+      transaction_id: payment.transaction_id,
+      failure_reason: payment.failure_reason,
+      completed: payment.completed,
+    },
+  });
+
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    const delivery = { attempt, at: new Date().toISOString() };
+    payment.webhook_deliveries.push(delivery);
+    try {
+      const response = await fetch(payment.webhook_url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          [FAKE_GATEWAY_CONFIG.signatureHeader]: await signWebhookPayload(
+            body,
+            FAKE_GATEWAY_CONFIG.webhookSecret
+          ),
+        },
+        body,
+      });
+      delivery.status = response.status;
+      if (response.ok) return;
+    } catch (err) {
+      delivery.error = err.message;
+    }
+  }
+}
+
+/**
+ * Complete a payment from the checkout page, then notify the merchant.
+ * Completing an already completed payment changes nothing.
+ * @param {string} id
+ * @param {object} input - { outcome: "approve" | "decline", cardNumber }
+ * @returns {Promise<object>} Payment
+ * @throws {FakeGatewayError} 404 if unknown, 400 on an invalid card
+ */
+export async function completeFakePayment(id, { outcome, cardNumber }) {
+  const payment = getFakePayment(id);
+  if (!payment) {
+    throw new FakeGatewayError(404, "Payment not found");
+  }
+  if (payment.status !== FAKE_PAYMENT_STATUS.REQUIRES_PAYMENT) {
+    return payment;
+  }
+
+  let approved = outcome === "approve";
+  if (payment.method === "card") {
+    const digits = String(cardNumber || "").replace(/\D/g, "");
+    if (digits.length !== 16) {
+      throw new FakeGatewayError(400, "Enter a 16-digit card number");
+    }
+    approved = digits !== FAKE_TEST_CARDS.DECLINED;
+  }
+
+  payment.status = approved
+    ? FAKE_PAYMENT_STATUS.SUCCEEDED
+    : FAKE_PAYMENT_STATUS.FAILED;
+  payment.transaction_id = approved
+    ? `FP${crypto.randomUUID().replace(/-/g, "").slice(0, 12).toUpperCase()}`
+    : null;
+  payment.failure_reason = approved
+    ? null
+    : payment.method === "card"
+      ? "Card declined"
+      : "Declined in wallet";
+  payment.completed = new Date().toISOString();
+
+  await deliverWebhook(payment);
+  return payment;
+}
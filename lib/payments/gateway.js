@@ -0,0 +1,78 @@
+/**
+ * Payment gateways
+ *
+ * Card and wallet payments are taken by an external gateway, never by the
+ * portal. The portal creates a payment intent for an amount, sends the
+ * student to the gateway's checkout, and learns the outcome from the
+ * gateway's signed webhook (app/api/payments/webhook). The return to the
+ * portal only tells it to look the result up.
+ *
+ * Checkout flows:
+ * - redirect: the whole page goes to the gateway and comes back to returnUrl
+ * - hosted_form: the gateway's form is shown inside the portal (iframe) and
+ *   reports completion with postMessage({ type: CHECKOUT_COMPLETE_MESSAGE,
+ *   paymentId, status })
+ *
+ * A gateway adapter (lib/payments/gateways) implements:
+ * - createPayment({ amount, currency, description, reference, method,
+ *   returnUrl, idempotencyKey }) -> { gatewayPaymentId, checkoutUrl, flow }
+ *   (the webhook URL is configured with the gateway, never sent per
+ *   payment)
+ * - parseWebhook(rawBody, headers) -> normalized event, or null when the
+ *   signature does not verify
+ *
+ * This module only holds what the browser needs too; secrets and adapters
+ * stay in server-only modules.
+ */
+
+export const PAYMENT_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
+
+export const CHECKOUT_FLOWS = {
+  REDIRECT: "redirect",
+  HOSTED_FORM: "hosted_form",
+};
+
+export const CHECKOUT_COMPLETE_MESSAGE = "checkout:completed";
+
+export const PAYMENT_CURRENCY = "PKR";
+
+// Methods students can pay with online, and how each one checks out
+export const GATEWAY_METHODS = [
+  {
+    value: "card",
+    label: "Credit/Debit Card",
+    flow: CHECKOUT_FLOWS.HOSTED_FORM,
+  },
+  { value: "easypaisa", label: "EasyPaisa", flow: CHECKOUT_FLOWS.REDIRECT },
+  { value: "jazzcash", label: "JazzCash", flow: CHECKOUT_FLOWS.REDIRECT },
+];
+
+// Webhook event types, as normalized by the adapters
+export const PAYMENT_EVENTS = {
+  SUCCEEDED: "payment.succeeded",
+  FAILED: "payment.failed",
+};
+
+/**
+ * Look up an online payment method
+ * @param {string} value - e.g. "card"
+ * @returns {object|undefined} { value, label, flow }
+ */
+export function getGatewayMethod(value) {
+  return GATEWAY_METHODS.find((method) => method.value === value);
+}
+
+/**
+ * Whether a payment has reached an outcome that can no longer change
+ * @param {string} status - A PAYMENT_STATUS value
+ * @returns {boolean}
+ */
+export function isFinalPaymentStatus(status) {
+  return (
+    status === PAYMENT_STATUS.SUCCEEDED || status === PAYMENT_STATUS.FAILED
+  );
+}
@@ -0,0 +1,89 @@
+/**
+ * FakePay gateway adapter
+ *
+ * Talks to the FakePay API over HTTP the way the portal would talk to a
+ * real gateway, and turns its webhooks into normalized payment events.
+ */
+
+import { CHECKOUT_FLOWS, getGatewayMethod } from "@/lib/payments/gateway";
+import { verifyWebhookSignature } from "@/lib/payments/webhook-signature";
+import { FAKE_GATEWAY_CONFIG } from "@/lib/payments/fake-gateway";
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl - FakePay API root, e.g.
+ *   http://localhost:3000/api/fake-gateway
+ * @returns {object} Gateway adapter (see lib/payments/gateway.js)
+ */
+export function createFakePayGateway({ baseUrl }) {
+  return {
+    name: "fakepay",
+    label: "FakePay",
+
+    async createPayment({
+      amount,
+      currency,
+      description,
+      reference,
+      method,
+      returnUrl,
+      idempotencyKey,
+    }) {
+      const response = await fetch(`${baseUrl}/payments`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${FAKE_GATEWAY_CONFIG.secretKey}`,
+          "Idempotency-Key": idempotencyKey,
+        },
+        body: JSON.stringify({
+          amount,
+          currency,
+          description,
+          reference,
+          method,
+          return_url: returnUrl,
+        }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(
+          data.error?.message || `FakePay responded with ${response.status}`
+        );
+      }
+
+      // Cards use FakePay's embeddable form; wallets redirect to the wallet
+      const flow =
+        getGatewayMethod(method)?.flow || CHECKOUT_FLOWS.REDIRECT;
+      return {
+        gatewayPaymentId: data.id,
+        checkoutUrl:
+          flow === CHECKOUT_FLOWS.HOSTED_FORM
+            ? `${data.checkout_url}?embedded=1`
+            : data.checkout_url,
+        flow,
+      };
+    },
+
+    async parseWebhook(rawBody, headers) {
+      const verified = await verifyWebhookSignature(
+        rawBody,
+        headers.get(FAKE_GATEWAY_CONFIG.signatureHeader),
+        FAKE_GATEWAY_CONFIG.webhookSecret
+      );
+      if (!verified) return null;
+
+      const event = JSON.parse(rawBody);
+      return {
+        eventId: event.id,
+        type: event.type,
+        gatewayPaymentId: event.data.id,
+        reference: event.data.reference,
+        amount: event.data.amount,
+        transactionId: event.data.transaction_id,
+        failureReason: event.data.failure_reason,
+        occurredAt: event.data.completed,
+      };
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * Gateway selection
+ *
+ * PAYMENT_GATEWAY picks the adapter (only "fakepay" ships today, and only
+ * where FakePay is enabled). Adding a real gateway means writing an
+ * adapter with the same createPayment and parseWebhook methods (see
+ * lib/payments/gateway.js) and registering it here.
+ *
+ * Server-only: adapters hold gateway secrets.
+ */
+
+import { createFakePayGateway } from "@/lib/payments/gateways/fake-pay";
+import { isFakeGatewayEnabled } from "@/lib/payments/fake-gateway";
+import { getServerSetting } from "@/lib/auth/service-auth";
+
+const GATEWAYS = {
+  fakepay: ({ origin }) => {
+    if (!isFakeGatewayEnabled()) {
+      throw new Error(
+        "FakePay is disabled in production; set PAYMENT_GATEWAY to a real " +
+          'gateway, or FAKE_GATEWAY_ENABLED to "true" for a test deployment'
+      );
+    }
+    return createFakePayGateway({
+      baseUrl: getServerSetting(
+        "FAKE_GATEWAY_URL",
+        `${origin}/api/fake-gateway`
+      ),
+    });
+  },
+};
+
+/**
+ * The configured payment gateway
+ * @param {object} context
+ * @param {string} context.origin - Origin of the current request
+ * @returns {object} Gateway adapter
+ */
+export function getPaymentGateway({ origin }) {
+  const name = process.env.PAYMENT_GATEWAY || "fakepay";
+  const create = GATEWAYS[name];
+  if (!create) {
+    throw new Error(`Unknown payment gateway "${name}"`);
+  }
+  return create({ origin });
+}
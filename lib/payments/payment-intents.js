@@ -0,0 +1,215 @@
+/**
+ * Payment intents (payment service)
+ *
+ * One intent per attempt to pay an amount towards a fee. Creating an intent
+ * is idempotent: the caller sends an idempotency key, and retrying with the
+ * same key (a double click, a timed-out request) returns the same intent
+ * instead of charging twice. An intent starts pending and only the
+ * gateway's signed webhook moves it to succeeded or failed; duplicate and
+ * late webhooks are ignored.
+ *
+ * Used by the app/api/payments route handlers. Server-only; state lives in
+ * memory and is lost on restart.
+ */
+
+import {
+  PAYMENT_CURRENCY,
+  PAYMENT_EVENTS,
+  PAYMENT_STATUS,
+  getGatewayMethod,
+  isFinalPaymentStatus,
+} from "@/lib/payments/gateway";
+
+// Kept on globalThis so it survives dev-server module reloads
+const store = (globalThis.__mcpPaymentIntents ??= {
+  intents: new Map(),
+  idempotencyKeys: new Map(),
+  processedEvents: new Set(),
+});
+
+/**
+ * Error with the HTTP status the payment API answers with
+ */
+export class PaymentRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "PaymentRequestError";
+    this.status = status;
+  }
+}
+
+function validateInput({ studentId, feeId, amount, method, returnUrl }) {
+  if (!studentId || !feeId) return "studentId and feeId are required";
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return "Amount must be a positive whole number";
+  }
+  if (!getGatewayMethod(method)) return "Unsupported payment method";
+  if (!returnUrl) return "returnUrl is required";
+  return null;
+}
+
+function isSameRequest(intent, input) {
+  return (
+    intent.studentId === input.studentId &&
+    intent.feeId === input.feeId &&
+    intent.amount === input.amount &&
+    intent.method === input.method
+  );
+}
+
+function withPaymentParam(url, id) {
+  const returnUrl = new URL(url);
+  returnUrl.searchParams.set("payment", id);
+  return returnUrl.toString();
+}
+
+/**
+ * Create a payment intent and the matching payment at the gateway
+ * @param {object} input - { studentId, feeId, amount, method, description,
+ *   returnUrl }
+ * @param {object} options
+ * @param {string} options.idempotencyKey - Required
+ * @param {object} options.gateway - Adapter from getPaymentGateway()
+ * @returns {Promise<object>} Intent
+ * @throws {PaymentRequestError} 400 on invalid input, 422 when the key was
+ *   used for a different payment, 502 when the gateway fails
+ */
+export async function createPaymentIntent(
+  input,
+  { idempotencyKey, gateway }
+) {
+  const request = { ...input, amount: Number(input.amount) };
+  if (!idempotencyKey) {
+    throw new PaymentRequestError(400, "Idempotency-Key header is required");
+  }
+  const invalid = validateInput(request);
+  if (invalid) {
+    throw new PaymentRequestError(400, invalid);
+  }
+
+  // Concurrent retries share the first request's pending promise
+  const previous = store.idempotencyKeys.get(idempotencyKey);
+  if (previous) {
+    const intent = await previous;
+    if (!isSameRequest(intent, request)) {
+      throw new PaymentRequestError(
+        422,
+        "Idempotency key was already used for a different payment"
+      );
+    }
+    return intent;
+  }
+
+  const pending = (async () => {
+    const now = new Date().toISOString();
+    const intent = {
+      id: `pi_${crypto.randomUUID().replace(/-/g, "").slice(0, 24)}`,
+      studentId: request.studentId,
+      feeId: request.feeId,
+      amount: request.amount,
+      currency: PAYMENT_CURRENCY,
+      method: request.method,
+      description: request.description || "",
+      status: PAYMENT_STATUS.PENDING,
+      gateway: gateway.name,
+      gatewayLabel: gateway.label,
+      gatewayPaymentId: null,
+      checkoutUrl: null,
+      flow: null,
+      transactionId: null,
+      failureReason: null,
+      createdAt: now,
+      updatedAt: now,
+      paidAt: null,
+    };
+
+    const payment = await gateway.createPayment({
+      amount: intent.amount,
+      currency: intent.currency,
+      description: intent.description,
+      reference: intent.id,
+      method: intent.method,
+      returnUrl: withPaymentParam(request.returnUrl, intent.id),
+      idempotencyKey,
+    });
+    Object.assign(intent, payment);
+    store.intents.set(intent.id, intent);
+    return intent;
+  })();
+
+  store.idempotencyKeys.set(idempotencyKey, pending);
+  try {
+    return await pending;
+  } catch (err) {
+    // Let the caller retry with the same key
+    store.idempotencyKeys.delete(idempotencyKey);
+    console.error("Payment gateway error:", err);
+    throw new PaymentRequestError(
+      502,
+      "The payment gateway could not be reached. Please try again."
+    );
+  }
+}
+
+/**
+ * Look up an intent
+ * @param {string} id
+ * @returns {object|null}
+ */
+export function getPaymentIntent(id) {
+  return store.intents.get(id) || null;
+}
+
+/**
+ * A student's intents, newest first
+ * @param {string} studentId
+ * @returns {object[]}
+ */
+export function listPaymentIntents(studentId) {
+  return Array.from(store.intents.values())
+    .filter((intent) => intent.studentId === studentId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Apply a verified, normalized webhook event to its intent
+ * @param {object} event - From the adapter's parseWebhook()
+ * @returns {{ intent: object|null, applied: boolean, reason?: string }}
+ */
+export function applyPaymentEvent(event) {
+  const intent = getPaymentIntent(event.reference);
+  if (!intent || intent.gatewayPaymentId !== event.gatewayPaymentId) {
+    return { intent: null, applied: false, reason: "unknown payment" };
+  }
+  if (store.processedEvents.has(event.eventId)) {
+    return { intent, applied: false, reason: "duplicate event" };
+  }
+  store.processedEvents.add(event.eventId);
+
+  if (isFinalPaymentStatus(intent.status)) {
+    return { intent, applied: false, reason: `already ${intent.status}` };
+  }
+
+  const now = new Date().toISOString();
+  if (event.type === PAYMENT_EVENTS.SUCCEEDED) {
+    if (event.amount !== intent.amount) {
+      return { intent, applied: false, reason: "amount mismatch" };
+    }
+    Object.assign(intent, {
+      status: PAYMENT_STATUS.SUCCEEDED,
+      transactionId: event.transactionId,
+      paidAt: event.occurredAt || now,
+      updatedAt: now,
+    });
+    return { intent, applied: true };
+  }
+  if (event.type === PAYMENT_EVENTS.FAILED) {
+    Object.assign(intent, {
+      status: PAYMENT_STATUS.FAILED,
+      failureReason: event.failureReason || "Payment declined",
+      updatedAt: now,
+    });
+    return { intent, applied: true };
+  }
+  return { intent, applied: false, reason: `ignored ${event.type}` };
+}
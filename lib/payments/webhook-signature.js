@@ -0,0 +1,78 @@
+/**
+ * Webhook signatures
+ *
+ * Gateways sign each webhook with a secret shared with the portal, so a
+ * forged or replayed request cannot mark a fee paid. The signature header
+ * reads "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"; the
+ * timestamp is part of what is signed and must be recent.
+ *
+ * Uses Web Crypto, available in Node route handlers and browsers alike.
+ */
+
+import { safeEqual } from "@/lib/auth/service-auth";
+
+// How old a signed webhook may be before it is treated as a replay
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const encoder = new TextEncoder();
+
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    encoder.encode(message)
+  );
+  return Array.from(new Uint8Array(signature), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Raw request body
+ * @param {string} secret - Shared webhook secret
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {Promise<string>} Signature header value
+ */
+export async function signWebhookPayload(
+  body,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) {
+  return `t=${timestamp},v1=${await hmacHex(secret, `${timestamp}.${body}`)}`;
+}
+
+/**
+ * Check a webhook's signature header against its raw body
+ * @param {string} body - Raw request body, exactly as received
+ * @param {string} header - Signature header value
+ * @param {string} secret - Shared webhook secret
+ * @param {number} [now] - Unix seconds (defaults to now)
+ * @returns {Promise<boolean>}
+ */
+export async function verifyWebhookSignature(
+  body,
+  header,
+  secret,
+  now = Math.floor(Date.now() / 1000)
+) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("="))
+      .filter((pair) => pair.length === 2)
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = await hmacHex(secret, `${timestamp}.${body}`);
+  return safeEqual(expected, parts.v1);
+}
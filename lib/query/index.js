@@ -0,0 +1,184 @@
+"use client";
+
+/**
+ * Query Hooks
+ *
+ * useQuery/useMutation on top of the shared query cache.
+ *
+ * useQuery returns cached data straight away and revalidates in the background
+ * when it is stale (stale-while-revalidate). useMutation runs a write and then
+ * invalidates the listed keys so every screen showing that data refreshes.
+ *
+ * @example
+ * const { data: students = [], isLoading } = useQuery(
+ *   queryKeys.users("student"),
+ *   () => fetchUsers("student")
+ * );
+ * const createStudent = useMutation(
+ *   (data) => api.post("/auth/create-student", data),
+ *   { invalidates: [queryKeys.users()] }
+ * );
+ */
+
+import {
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import {
+  fetchQuery,
+  getQuerySnapshot,
+  getServerQuerySnapshot,
+  hashKey,
+  invalidateQueries,
+  isStale,
+  refetchActiveQueries,
+  subscribeQuery,
+} from "@/lib/query/query-cache";
+
+export {
+  clearQueryCache,
+  getQueryData,
+  invalidateQueries,
+  setQueryData,
+} from "@/lib/query/query-cache";
+
+// Data younger than this is served from cache without a refetch
+const DEFAULT_STALE_TIME = 30 * 1000;
+
+// Refetch stale on-screen queries when the tab regains focus
+if (typeof window !== "undefined") {
+  window.addEventListener("focus", () =>
+    refetchActiveQueries(DEFAULT_STALE_TIME)
+  );
+}
+
+/**
+ * Read (and keep fresh) server data
+ * @param {Array} key - Query key, e.g. ["courses"] or ["users", { role }]
+ * @param {function} fetcher - Returns a promise of the data
+ * @param {object} options
+ * @param {boolean} options.enabled - Skip fetching while false (default true)
+ * @param {number} options.staleTime - Ms before cached data is refetched
+ * @param {number} options.retry - Retries on network/server errors (default 2)
+ * @param {number} options.refetchInterval - Poll every this many ms while
+ *   mounted and enabled, e.g. for live counts
+ * @returns {{ data, error, isLoading, isFetching, refetch }}
+ */
+export function useQuery(key, fetcher, options = {}) {
+  const {
+    enabled = true,
+    staleTime = DEFAULT_STALE_TIME,
+    retry,
+    refetchInterval,
+  } = options;
+  const hash = hashKey(key);
+
+  // Keep the latest key/fetcher without re-subscribing on every render
+  const latest = useRef({ key, fetcher });
+  useEffect(() => {
+    latest.current = { key, fetcher };
+  });
+
+  const subscribe = useCallback(
+    (listener) => subscribeQuery(JSON.parse(hash), listener),
+    [hash]
+  );
+  const getSnapshot = useCallback(
+    () => getQuerySnapshot(JSON.parse(hash)),
+    [hash]
+  );
+  const snapshot = useSyncExternalStore(
+    subscribe,
+    getSnapshot,
+    getServerQuerySnapshot
+  );
+
+  const refetch = useCallback(
+    () =>
+      fetchQuery(latest.current.key, latest.current.fetcher, {
+        retry,
+        staleTime,
+      }),
+    [retry, staleTime]
+  );
+
+  useEffect(() => {
+    if (!enabled) return;
+    if (isStale(JSON.parse(hash), staleTime)) {
+      refetch().catch(() => null);
+    }
+  }, [enabled, hash, staleTime, refetch]);
+
+  useEffect(() => {
+    if (!enabled || !refetchInterval) return;
+    const timer = setInterval(
+      () => refetch().catch(() => null),
+      refetchInterval
+    );
+    return () => clearInterval(timer);
+  }, [enabled, refetchInterval, refetch]);
+
+  return {
+    data: snapshot.data,
+    error: snapshot.error,
+    isLoading: enabled && snapshot.data === undefined && snapshot.status !== "error",
+    isFetching: snapshot.isFetching,
+    refetch,
+  };
+}
+
+/**
+ * Run a write against the server
+ * @param {function} mutationFn - (variables) => Promise
+ * @param {object} options
+ * @param {Array[]} options.invalidates - Key prefixes to invalidate on success
+ * @param {function} options.onSuccess - (data, variables) => void
+ * @param {function} options.onError - (error, variables) => void
+ * @returns {{ mutate, mutateAsync, isPending, error, data, reset }}
+ *   mutateAsync rethrows errors; mutate reports them via state/onError only
+ */
+export function useMutation(mutationFn, options = {}) {
+  const [state, setState] = useState({
+    isPending: false,
+    error: null,
+    data: undefined,
+  });
+
+  const latest = useRef({ mutationFn, options });
+  useEffect(() => {
+    latest.current = { mutationFn, options };
+  });
+
+  const mutateAsync = useCallback(async (variables) => {
+    const { mutationFn: run, options: opts } = latest.current;
+    setState((prev) => ({ ...prev, isPending: true, error: null }));
+    try {
+      const data = await run(variables);
+      await Promise.all(
+        (opts.invalidates || []).map((prefix) => invalidateQueries(prefix))
+      );
+      setState({ isPending: false, error: null, data });
+      opts.onSuccess?.(data, variables);
+      return data;
+    } catch (error) {
+      setState({ isPending: false, error, data: undefined });
+      opts.onError?.(error, variables);
+      throw error;
+    }
+  }, []);
+
+  const mutate = useCallback(
+    (variables) => mutateAsync(variables).catch(() => undefined),
+    [mutateAsync]
+  );
+
+  const reset = useCallback(
+    () => setState({ isPending: false, error: null, data: undefined }),
+    []
+  );
+
+  return { ...state, mutate, mutateAsync, reset };
+}
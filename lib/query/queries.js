@@ -0,0 +1,253 @@
+/**
+ * Shared Queries
+ *
+ * Query keys and fetchers used by more than one screen, so the dashboard,
+ * admin pages and forms share one cache entry per resource.
+ */
+
+import { api } from "@/lib/utils/api";
+
+export const queryKeys = {
+  users: (role) => (role ? ["users", { role }] : ["users"]),
+  courses: (semester) => (semester ? ["courses", { semester }] : ["courses"]),
+  timetable: (semester) =>
+    semester ? ["timetable", { semester }] : ["timetable"],
+  rooms: () => ["rooms"],
+  teacherAvailability: () => ["teacher-availability"],
+  enrollments: () => ["enrollments"],
+  results: () => ["results"],
+  enrollmentWindows: () => ["enrollment-windows"],
+  assignments: () => ["assignments"],
+  assignmentSubmissions: (assignmentId) => [
+    "assignments",
+    assignmentId,
+    "submissions",
+  ],
+  courseGrades: (courseId) => ["course-grades", courseId],
+  gradingSchemes: () => ["grading-schemes"],
+  degreeAudit: () => ["degree-audit"],
+  transcripts: () => ["transcripts"],
+  transcriptVerification: (code) => ["transcripts", "verify", code],
+  fees: () => ["fees"],
+  feeChallans: () => ["fees", "challans"],
+  feeFines: () => ["fees", "fines"],
+  feeWaivers: () => ["fees", "waivers"],
+  lateFeeRules: () => ["late-fee-rules"],
+  libraryBooks: (search) =>
+    search ? ["library", "books", search] : ["library", "books"],
+  libraryAccount: () => ["library", "account"],
+  libraryOverdue: () => ["library", "overdue"],
+  paymentIntent: (id) => ["payment-intents", id],
+  calendar: (from, to) =>
+    from ? ["calendar", { from, to }] : ["calendar"],
+  calendarFeed: () => ["calendar-feed"],
+  attendanceCourses: () => ["attendance", "courses"],
+  attendanceSessions: (courseId) => ["attendance", "sessions", courseId],
+  attendanceSession: (key) => ["attendance", "session", key],
+  myAttendance: () => ["attendance", "me"],
+  checkInCode: (key) => ["attendance", "check-in-code", key],
+  exams: (semester) => (semester ? ["exams", { semester }] : ["exams"]),
+  examSittings: () => ["exams", "sittings"],
+  seatingPlan: (sitting) => ["exams", "seating-plan", sitting],
+  myExams: () => ["exams", "me"],
+};
+
+// Responses may be a bare array or { data: [...] }
+function toList(response) {
+  return Array.isArray(response) ? response : response?.data || [];
+}
+
+/**
+ * Fetch users of a role, flattening role-specific profile fields
+ * @param {string} role - "student" | "teacher"
+ * @returns {Promise<object[]>}
+ */
+export async function fetchUsers(role) {
+  const users = toList(await api.get("/users", { params: { role } }));
+  return users.map((user) => ({
+    ...user,
+    // Student fields
+    rollNumber: user.student?.rollNumber || user.rollNumber,
+    currentSemester: user.student?.currentSemester || user.currentSemester,
+    program: user.student?.program || user.program,
+    // Teacher fields
+    employeeId: user.teacher?.employeeId || user.employeeId,
+    department: user.teacher?.department || user.department,
+    designation: user.teacher?.designation || user.designation,
+  }));
+}
+
+export async function fetchCourses(semester) {
+  return toList(await api.get("/courses", { params: { semester } }));
+}
+
+export async function fetchTimetable(semester) {
+  return toList(await api.get("/timetable", { params: { semester } }));
+}
+
+// Bookable rooms with their capacity and type (lecture or lab)
+export async function fetchRooms() {
+  return toList(await api.get("/rooms"));
+}
+
+// Windows teachers can be timetabled in; see lib/academics/timetable-solver.js
+export async function fetchTeacherAvailability() {
+  return toList(await api.get("/teacher-availability"));
+}
+
+// Signed-in student's enrollments (enrolled, waitlisted and dropped)
+export async function fetchEnrollments() {
+  return toList(await api.get("/enrollments"));
+}
+
+// Signed-in student's published results: { cgpa, semesters }
+export async function fetchResults() {
+  return api.get("/results");
+}
+
+export async function fetchEnrollmentWindows() {
+  return toList(await api.get("/enrollment-windows"));
+}
+
+// Students get their own submission attached to each assignment
+export async function fetchAssignments() {
+  return toList(await api.get("/assignments"));
+}
+
+export async function fetchAssignmentSubmissions(assignmentId) {
+  return toList(await api.get(`/assignments/${assignmentId}/submissions`));
+}
+
+// Gradebook of a course the signed-in teacher/TA grades:
+// { course, scheme, totalMarks, students: [{ id, marksObtained, grade }] }
+export async function fetchCourseGrades(courseId) {
+  return api.get(`/courses/${courseId}/grades`);
+}
+
+// Each scheme carries the number of courses graded with it
+export async function fetchGradingSchemes() {
+  return toList(await api.get("/grading-schemes"));
+}
+
+// Signed-in student's program requirements with their passed and current
+// courses: { programName, program, courses, results }
+export async function fetchDegreeAudit() {
+  return api.get("/degree-audit");
+}
+
+// Issued transcripts/DMCs: the student's own, or every one for admins
+export async function fetchTranscripts() {
+  return toList(await api.get("/transcripts"));
+}
+
+export async function fetchTranscriptVerification(code) {
+  return api.get(`/transcripts/verify/${encodeURIComponent(code)}`);
+}
+
+// The signed-in student's fees, ledger, totals, challans and due reminders
+export async function fetchFees() {
+  return api.get("/fees");
+}
+
+// An online payment once its outcome is known (the request waits for the
+// gateway's webhook); a succeeded payment is posted to the fee ledger
+export async function fetchPaymentIntent(id) {
+  return api.get(`/fees/payment-intents/${encodeURIComponent(id)}`, {
+    params: { wait: true },
+  });
+}
+
+// Every issued challan (admin)
+export async function fetchFeeChallans() {
+  return toList(await api.get("/fees/challans"));
+}
+
+// Fines with an amount left to waive, with student and fee details (admin)
+export async function fetchFeeFines() {
+  return toList(await api.get("/fees/fines"));
+}
+
+// Fine waivers with who granted them and why, newest first (admin)
+export async function fetchFeeWaivers() {
+  return toList(await api.get("/fees/waivers"));
+}
+
+export async function fetchLateFeeRules() {
+  return toList(await api.get("/late-fee-rules"));
+}
+
+// Catalogue titles matching { q, field }, each with its copies'
+// availability and the reader's own reservation
+export async function fetchLibraryBooks(search = {}) {
+  return toList(await api.get("/library/books", { params: search }));
+}
+
+// The signed-in reader's loans, history, reservations and fines
+export async function fetchLibraryAccount() {
+  return api.get("/library/account");
+}
+
+// Open loans past their due date, with the borrower (librarians)
+export async function fetchLibraryOverdue() {
+  return toList(await api.get("/library/overdue"));
+}
+
+// Signed-in user's days (holidays, exam periods), class meetings and exams
+// from `from` to `to`, with cancellations and reschedules applied
+export async function fetchCalendar(from, to) {
+  return api.get("/calendar", { params: { from, to } });
+}
+
+// Signed-in user's secret calendar subscription URL, { url, updatedAt }, or
+// null before they subscribe
+export async function fetchCalendarFeed() {
+  return api.get("/calendar/feed");
+}
+
+// Courses the user takes attendance for (all courses for admins), each with
+// sessions taken, average attendance and students below the threshold
+export async function fetchAttendanceCourses() {
+  return toList(await api.get("/attendance/courses"));
+}
+
+// A course's sessions so far, newest first: { course, sessions }
+export async function fetchAttendanceSessions(courseId) {
+  return api.get(`/attendance/courses/${courseId}/sessions`);
+}
+
+// A session's roster with each student's status: { course, session, students }
+export async function fetchAttendanceSession(key) {
+  return api.get("/attendance/session", { params: { key } });
+}
+
+// Signed-in student's attendance per course: { threshold, courses }
+export async function fetchMyAttendance() {
+  return api.get("/attendance/me");
+}
+
+// A fresh signed QR check-in code for a session in progress (teachers):
+// { code, issuedAt, expiresAt }
+export async function fetchCheckInCode(key) {
+  return api.post("/attendance/check-in/code", { key });
+}
+
+// Scheduled exams (admins), each with its students, how many are seated and
+// its student or room clashes
+export async function fetchExams(semester) {
+  return toList(await api.get("/exams", { params: { semester } }));
+}
+
+// Exam sittings with their rooms, students and seating plan status
+export async function fetchExamSittings() {
+  return toList(await api.get("/exams/sittings"));
+}
+
+// A sitting's seating plan, room by room
+export async function fetchSeatingPlan(sitting) {
+  return api.get("/exams/seating-plan", { params: { sitting } });
+}
+
+// Signed-in student's exams with their seats and clashes
+export async function fetchMyExams() {
+  return toList(await api.get("/exams/me"));
+}
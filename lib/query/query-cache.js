@@ -0,0 +1,244 @@
+/**
+ * Query Cache
+ *
+ * Small client-side server-state cache behind useQuery/useMutation.
+ * Entries are keyed by an array key (e.g. ["users", { role: "student" }]) and
+ * shared by every component using the same key, so concurrent fetches are
+ * de-duplicated and one refetch updates every subscriber.
+ *
+ * Invalidation matches by key prefix: invalidateQueries(["users"]) marks all
+ * user lists stale and refetches the ones currently on screen.
+ *
+ * clearQueryCache() starts a new cache generation; fetches started before it
+ * still settle for their callers but no longer write to the cache.
+ */
+
+const entries = new Map();
+let generation = 0;
+
+const EMPTY_SNAPSHOT = {
+  data: undefined,
+  error: null,
+  status: "idle",
+  isFetching: false,
+  updatedAt: 0,
+};
+
+/**
+ * Stable string form of a query key (object keys sorted)
+ * @param {Array} key - Query key
+ * @returns {string}
+ */
+export function hashKey(key) {
+  return JSON.stringify(key, (_, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.keys(value)
+          .sort()
+          .reduce((sorted, k) => {
+            sorted[k] = value[k];
+            return sorted;
+          }, {})
+      : value
+  );
+}
+
+function matchesPrefix(key, prefix) {
+  return prefix.every(
+    (part, index) => hashKey([part]) === hashKey([key[index]])
+  );
+}
+
+function getEntry(key) {
+  const hash = hashKey(key);
+  let entry = entries.get(hash);
+  if (!entry) {
+    entry = {
+      key,
+      snapshot: EMPTY_SNAPSHOT,
+      listeners: new Set(),
+      promise: null,
+      fetcher: null,
+      options: {},
+    };
+    entries.set(hash, entry);
+  }
+  return entry;
+}
+
+function update(entry, changes) {
+  entry.snapshot = { ...entry.snapshot, ...changes };
+  entry.listeners.forEach((listener) => listener());
+}
+
+function shouldRetry(error, attempt, retry) {
+  // Client errors (bad input, forbidden, not found) won't fix themselves
+  if (error?.status >= 400 && error?.status < 500) return false;
+  return attempt < retry;
+}
+
+/**
+ * Fetch a query, sharing any request already in flight for the same key
+ * @param {Array} key - Query key
+ * @param {function} fetcher - Returns a promise of the data
+ * @param {object} options
+ * @param {number} options.retry - Retries on network/server errors (default 2)
+ * @param {number} options.retryDelay - Base backoff in ms (default 500)
+ * @returns {Promise<any>} Resolved data
+ */
+export function fetchQuery(key, fetcher, options = {}) {
+  const entry = getEntry(key);
+  entry.fetcher = fetcher;
+  entry.options = options;
+  if (entry.promise) return entry.promise;
+
+  const { retry = 2, retryDelay = 500 } = options;
+  const startedIn = generation;
+  const isCurrent = () => startedIn === generation;
+
+  const run = async (attempt) => {
+    try {
+      return await fetcher();
+    } catch (error) {
+      if (!isCurrent() || !shouldRetry(error, attempt, retry)) throw error;
+      await new Promise((resolve) =>
+        setTimeout(resolve, retryDelay * 2 ** attempt)
+      );
+      return run(attempt + 1);
+    }
+  };
+
+  update(entry, {
+    isFetching: true,
+    status: entry.snapshot.data === undefined ? "loading" : "success",
+  });
+
+  const promise = run(0)
+    .then((data) => {
+      if (isCurrent()) {
+        update(entry, {
+          data,
+          error: null,
+          status: "success",
+          isFetching: false,
+          updatedAt: Date.now(),
+        });
+      }
+      return data;
+    })
+    .catch((error) => {
+      if (isCurrent()) {
+        update(entry, { error, status: "error", isFetching: false });
+      }
+      throw error;
+    })
+    .finally(() => {
+      if (entry.promise === promise) entry.promise = null;
+    });
+
+  entry.promise = promise;
+  return promise;
+}
+
+/**
+ * Whether cached data is older than staleTime
+ * @param {Array} key - Query key
+ * @param {number} staleTime - Milliseconds data stays fresh
+ * @returns {boolean}
+ */
+export function isStale(key, staleTime = 0) {
+  const { updatedAt } = getEntry(key).snapshot;
+  return !updatedAt || Date.now() - updatedAt >= staleTime;
+}
+
+/**
+ * Subscribe to a query's state
+ * @param {Array} key - Query key
+ * @param {function} listener - Called on every change
+ * @returns {function} Unsubscribe
+ */
+export function subscribeQuery(key, listener) {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+  return () => entry.listeners.delete(listener);
+}
+
+/**
+ * Current state of a query
+ * @param {Array} key - Query key
+ * @returns {{ data, error, status, isFetching, updatedAt }}
+ */
+export function getQuerySnapshot(key) {
+  return entries.get(hashKey(key))?.snapshot || EMPTY_SNAPSHOT;
+}
+
+export function getServerQuerySnapshot() {
+  return EMPTY_SNAPSHOT;
+}
+
+/**
+ * Read cached data without fetching
+ * @param {Array} key - Query key
+ * @returns {any} Cached data or undefined
+ */
+export function getQueryData(key) {
+  return getQuerySnapshot(key).data;
+}
+
+/**
+ * Write cached data directly (e.g. optimistic updates)
+ * @param {Array} key - Query key
+ * @param {any|function} updater - New data, or (oldData) => newData
+ */
+export function setQueryData(key, updater) {
+  const entry = getEntry(key);
+  const data =
+    typeof updater === "function" ? updater(entry.snapshot.data) : updater;
+  update(entry, { data, status: "success", updatedAt: Date.now() });
+}
+
+/**
+ * Mark queries stale and refetch the ones with subscribers
+ * @param {Array} prefix - Key prefix, e.g. ["users"]
+ * @returns {Promise<void>} Resolves when active refetches settle
+ */
+export function invalidateQueries(prefix) {
+  const refetches = [];
+  entries.forEach((entry) => {
+    if (!matchesPrefix(entry.key, prefix)) return;
+    update(entry, { updatedAt: 0 });
+    if (entry.listeners.size > 0 && entry.fetcher) {
+      refetches.push(
+        fetchQuery(entry.key, entry.fetcher, entry.options).catch(() => null)
+      );
+    }
+  });
+  return Promise.all(refetches).then(() => undefined);
+}
+
+/**
+ * Refetch stale queries that are on screen (used on window focus)
+ * @param {number} staleTime - Milliseconds data stays fresh
+ */
+export function refetchActiveQueries(staleTime) {
+  entries.forEach((entry) => {
+    if (entry.listeners.size === 0 || !entry.fetcher) return;
+    if (isStale(entry.key, entry.options.staleTime ?? staleTime)) {
+      fetchQuery(entry.key, entry.fetcher, entry.options).catch(() => null);
+    }
+  });
+}
+
+/**
+ * Drop every cached query (e.g. on logout so data never leaks across users).
+ * Fetches still in flight are discarded when they settle.
+ */
+export function clearQueryCache() {
+  generation += 1;
+  entries.forEach((entry) => {
+    entry.promise = null;
+    update(entry, EMPTY_SNAPSHOT);
+  });
+  entries.forEach((entry, hash) => {
+    if (entry.listeners.size === 0) entries.delete(hash);
+  });
+}
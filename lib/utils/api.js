@@ -3,9 +3,33 @@
  *
  * Centralized API client using axios for making HTTP requests to the backend.
  * Handles authentication tokens, error handling, and request/response interceptors.
+ *
+ * Requests go through a swappable axios adapter: by default the network, or the
+ * in-memory mock backend (lib/mock-api) when shouldUseMockApi() says so.
+ * setApiAdapter() overrides both, e.g. to point the whole app at a fixture.
+ *
+ * Access tokens are refreshed silently: a 401 (or a token about to expire)
+ * triggers a single /auth/refresh call, concurrent requests wait for it and are
+ * replayed with the new token, and the user is only logged out if the refresh
+ * itself fails. A refresh token that was rejected is not tried again, and a
+ * 401 for a token that has since been replaced just replays the request.
+ *
+ * File uploads go through api.upload(), which sends multipart form data and
+ * reports progress; pass an AbortController signal to cancel. Canceled
+ * requests reject with an error whose `canceled` flag is set.
  */
 
 import axios from "axios";
+import { mockAdapter, shouldUseMockApi } from "@/lib/mock-api";
+import {
+  getAccessToken,
+  getRefreshToken,
+  getTokenExpiry,
+  setSessionTokens,
+  clearSessionTokens,
+  setRefreshing,
+} from "@/lib/utils/token-storage";
+import { rememberReturnUrl } from "@/lib/auth/route-access";
 
 const API_BASE_URL =
   process.env.NEXT_PUBLIC_API_URL || "http://localhost:3001/api";
@@ -18,14 +42,119 @@ const apiClient = axios.create({
   },
 });
 
-// Request interceptor - Add auth token to requests
+// Adapter override set via setApiAdapter (null = automatic selection)
+let adapterOverride = null;
+
+/**
+ * Replace the adapter used for every API request
+ * @param {function|null} adapter - Axios adapter, or null to restore automatic
+ *   selection between the network and the mock backend
+ */
+export function setApiAdapter(adapter) {
+  adapterOverride = adapter;
+}
+
+// Refresh this long before the stored expiry to absorb clock skew
+const REFRESH_SKEW_MS = 30 * 1000;
+
+// Auth endpoints that must never trigger a refresh themselves
+const NO_REFRESH_ENDPOINTS = ["/auth/login", "/auth/refresh"];
+
+// In-flight refresh shared by every request that needs a new token
+let refreshPromise = null;
+
+// The last rejected refresh: { refreshToken, promise }
+let failedRefresh = null;
+
+function isNoRefreshRequest(config) {
+  return NO_REFRESH_ENDPOINTS.some((endpoint) =>
+    config.url?.startsWith(endpoint)
+  );
+}
+
+/**
+ * Clear the local session and send the user to the login page
+ * Note: Using window.location since we can't use Next.js router here
+ */
+function endSession() {
+  clearSessionTokens();
+  localStorage.removeItem("user");
+  localStorage.removeItem("userRole");
+  // Only redirect if not already on login page
+  if (window.location.pathname !== "/login") {
+    rememberReturnUrl(window.location.pathname + window.location.search);
+    window.location.href = "/login";
+  }
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ *
+ * Concurrent callers share one refresh call; requests that fail with 401 while
+ * it runs wait for it and are replayed with the new token. Callers after a
+ * rejected refresh get the same rejection until the refresh token changes.
+ *
+ * @returns {Promise<string>} New access token
+ * @throws {Error} If there is no refresh token or the refresh is rejected
+ */
+export function refreshAccessToken() {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return Promise.reject(new Error("Session expired. Please log in again."));
+  }
+  if (failedRefresh?.refreshToken === refreshToken) {
+    return failedRefresh.promise;
+  }
+
+  setRefreshing(true);
+  const refresh = apiClient
+    .post("/auth/refresh", { refreshToken })
+    .then((tokens) => {
+      setSessionTokens(tokens);
+      return tokens.accessToken;
+    })
+    .finally(() => {
+      refreshPromise = null;
+      setRefreshing(false);
+    });
+  refresh.catch(() => {
+    failedRefresh = { refreshToken, promise: refresh };
+  });
+  refreshPromise = refresh;
+  return refresh;
+}
+
+// Request interceptor - Add auth token and pick the adapter
 apiClient.interceptors.request.use(
-  (config) => {
-    const token =
-      typeof window !== "undefined" ? localStorage.getItem("token") : null;
+  async (config) => {
+    if (typeof window !== "undefined" && !isNoRefreshRequest(config)) {
+      // Wait for a refresh already in flight, or start one if the token is
+      // about to expire, so we don't send a request that is bound to 401
+      const expiresAt = getTokenExpiry();
+      if (refreshPromise) {
+        await refreshPromise.catch(() => null);
+      } else if (
+        expiresAt &&
+        expiresAt - REFRESH_SKEW_MS <= Date.now() &&
+        getRefreshToken()
+      ) {
+        await refreshAccessToken().catch(() => null);
+      }
+    }
+
+    const token = getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
+    // Lets a 401 tell whether the token has been replaced since
+    config._sentToken = token;
+    if (adapterOverride) {
+      config.adapter = adapterOverride;
+    } else if (shouldUseMockApi(config)) {
+      config.adapter = mockAdapter;
+    }
     return config;
   },
   (error) => {
@@ -38,7 +167,14 @@ apiClient.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    // Request aborted by the caller (e.g. an upload the user canceled)
+    if (axios.isCancel(error)) {
+      const canceledError = new Error("Request canceled");
+      canceledError.canceled = true;
+      throw canceledError;
+    }
+
     // Handle error responses
     if (error.response) {
       // Server responded with error status
@@ -47,30 +183,31 @@ apiClient.interceptors.response.use(
         error.response.data?.error ||
         "An error occurred";
       const status = error.response.status;
+      const originalRequest = error.config;
 
-      // Handle 401 Unauthorized - clear token and redirect to login
-      // Note: Using window.location only as fallback since we can't use Next.js router here
-      // Components should handle 401 errors and redirect using router.push
-      // Skip redirect for mock tokens (used for demo login)
-      if (status === 401 && typeof window !== "undefined") {
-        const token = localStorage.getItem("token");
-        // Don't redirect if it's a mock token (starts with "mock-token-")
-        if (token && token.startsWith("mock-token-")) {
-          // For mock tokens, just throw the error without redirecting
-          const apiError = new Error(message);
-          apiError.status = status;
-          apiError.data = error.response.data;
-          throw apiError;
-        }
-
-        // For real tokens, clear and redirect
-        localStorage.removeItem("token");
-        localStorage.removeItem("user");
-        localStorage.removeItem("userRole");
-        // Only redirect if not already on login page
-        if (window.location.pathname !== "/login") {
-          window.location.href = "/login";
+      // Handle 401 Unauthorized - refresh once and replay the request;
+      // only log out if the refresh itself fails
+      if (
+        status === 401 &&
+        typeof window !== "undefined" &&
+        originalRequest &&
+        !isNoRefreshRequest(originalRequest)
+      ) {
+        const sentToken = originalRequest._sentToken;
+        if (!originalRequest._retried && getAccessToken()) {
+          originalRequest._retried = true;
+          try {
+            // Another request may have refreshed the token since this one
+            // was sent; if so, just replay it with the new token
+            if (getAccessToken() === sentToken) await refreshAccessToken();
+            return apiClient(originalRequest);
+          } catch {
+            // Fall through to logout below
+          }
         }
+        // Requests that fail after the session ended (or was replaced by a
+        // new one) leave it alone
+        if (getAccessToken() === sentToken) endSession();
       }
 
       const apiError = new Error(message);
@@ -94,6 +231,25 @@ export const api = {
   patch: (endpoint, data, config = {}) =>
     apiClient.patch(endpoint, data, config),
   delete: (endpoint, config = {}) => apiClient.delete(endpoint, config),
+  /**
+   * POST multipart form data
+   * @param {string} endpoint
+   * @param {FormData} formData
+   * @param {object} [config] - Axios config, plus:
+   * @param {function} [config.onProgress] - (percent: 0-100) => void
+   * @param {AbortSignal} [config.signal] - Abort to cancel the upload
+   */
+  upload: (endpoint, formData, { onProgress, ...config } = {}) =>
+    apiClient.post(endpoint, formData, {
+      ...config,
+      headers: { ...config.headers, "Content-Type": "multipart/form-data" },
+      onUploadProgress: onProgress
+        ? (event) =>
+            onProgress(
+              event.total ? Math.round((event.loaded / event.total) * 100) : 0
+            )
+        : undefined,
+    }),
 };
 
 export default api;
@@ -0,0 +1,75 @@
+/**
+ * CSV helpers
+ *
+ * Small RFC 4180 reader/writer: comma separated, fields optionally wrapped in
+ * double quotes (doubled to escape), CRLF or LF line endings.
+ */
+
+/**
+ * Parse CSV text into rows of string cells
+ * Blank lines are dropped; each row keeps the 1-based line it started on.
+ * @param {string} text
+ * @returns {{ line: number, cells: string[] }[]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim() !== "")) {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || cells.length > 0) endRow();
+
+  return rows;
+}
+
+function escapeCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows of values as CSV text
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCell).join(",")).join("\r\n") + "\r\n";
+}
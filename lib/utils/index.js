@@ -28,33 +28,61 @@ export function formatDateTime(date) {
   });
 }
 
-export function calculateGPA(grades) {
-  if (!grades || grades.length === 0) return 0;
-  
-  const gradePoints = {
-    'A+': 4.0, 'A': 4.0, 'A-': 3.7,
-    'B+': 3.3, 'B': 3.0, 'B-': 2.7,
-    'C+': 2.3, 'C': 2.0, 'C-': 1.7,
-    'D+': 1.3, 'D': 1.0, 'F': 0.0
-  };
-  
-  let totalPoints = 0;
-  let totalCredits = 0;
-  
-  grades.forEach(grade => {
-    const points = gradePoints[grade.grade] || 0;
-    totalPoints += points * grade.creditHours;
-    totalCredits += grade.creditHours;
-  });
-  
-  return totalCredits > 0 ? (totalPoints / totalCredits).toFixed(2) : 0;
+/**
+ * Format an amount in Pakistani rupees, e.g. "Rs 5,000"
+ * @param {number} amount
+ */
+export function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-PK', {
+    style: 'currency',
+    currency: 'PKR',
+    minimumFractionDigits: 0,
+  }).format(amount);
+}
+
+/**
+ * Format a duration as a short countdown, e.g. "3d 4h 12m" or "12m 5s"
+ * @param {number} ms - Milliseconds remaining
+ */
+export function formatCountdown(ms) {
+  const totalSeconds = Math.max(Math.floor(ms / 1000), 0);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${seconds}s`;
+  return `${minutes}m ${seconds}s`;
+}
+
+/**
+ * Format how long ago a moment was, e.g. "Just now", "5 minutes ago",
+ * "2 days ago"
+ * @param {string|number|Date} date
+ * @param {number} [now] - Timestamp in ms
+ */
+export function formatRelativeTime(date, now = Date.now()) {
+  const seconds = Math.floor((now - new Date(date).getTime()) / 1000);
+  if (seconds < 60) return 'Just now';
+  const units = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60],
+  ];
+  const [unit, size] = units.find(([, length]) => seconds >= length);
+  const value = Math.floor(seconds / size);
+  return `${value} ${unit}${value === 1 ? '' : 's'} ago`;
 }
 
 export function getStatusColor(status) {
   const colors = {
     'pending': 'bg-yellow-100 text-yellow-800',
     'submitted': 'bg-green-100 text-green-800',
+    'graded': 'bg-indigo-100 text-indigo-800',
+    'late': 'bg-orange-100 text-orange-800',
     'overdue': 'bg-red-100 text-red-800',
+    'open': 'bg-green-100 text-green-800',
+    'closed': 'bg-gray-100 text-gray-800',
     'enrolled': 'bg-blue-100 text-blue-800',
     'completed': 'bg-gray-100 text-gray-800',
     'active': 'bg-green-100 text-green-800',
@@ -63,3 +91,19 @@ export function getStatusColor(status) {
   return colors[status?.toLowerCase()] || 'bg-gray-100 text-gray-800';
 }
 
+
+/**
+ * Save a Blob (e.g. a downloaded file) under the given name
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
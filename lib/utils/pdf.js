@@ -0,0 +1,231 @@
+/**
+ * PDF writer
+ *
+ * Minimal PDF 1.4 generator for documents built in the browser: A4 pages
+ * with text in the standard Helvetica fonts, lines and rectangles. No fonts
+ * are embedded, so text is limited to the WinAnsi (Latin-1) character set;
+ * anything else prints as "?".
+ *
+ * Coordinates are in points (1/72 inch) from the top-left corner of the page.
+ */
+
+export const PAGE_SIZE = { width: 595.28, height: 841.89 };
+
+// Helvetica and Helvetica-Bold advance widths for ASCII 32..126 (1/1000 em)
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+    584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+    556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+    500, 389, 280, 389, 584,
+  ],
+};
+
+// Unicode punctuation that WinAnsi places in 128..159
+const WIN_ANSI_EXTRAS = {
+  0x2013: 150, // en dash
+  0x2014: 151, // em dash
+  0x2018: 145,
+  0x2019: 146,
+  0x201c: 147,
+  0x201d: 148,
+  0x2022: 149, // bullet
+  0x2026: 133, // ellipsis
+};
+
+function toWinAnsi(code) {
+  if (code >= 32 && code <= 126) return code;
+  if (code >= 160 && code <= 255) return code;
+  return WIN_ANSI_EXTRAS[code] ?? 63; // "?"
+}
+
+function charWidth(code, bold) {
+  const table = bold ? WIDTHS.bold : WIDTHS.regular;
+  if (code >= 32 && code <= 126) return table[code - 32];
+  if (code === 183) return 278; // middle dot
+  return 556;
+}
+
+/**
+ * Width of a line of text
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold]
+ * @returns {number} Width in points
+ */
+export function textWidth(text, size, bold = false) {
+  let units = 0;
+  for (const char of String(text)) {
+    units += charWidth(toWinAnsi(char.codePointAt(0)), bold);
+  }
+  return (units * size) / 1000;
+}
+
+// PDF string literal; bytes above ASCII are written as octal escapes
+function encodeText(text) {
+  let out = "";
+  for (const char of String(text)) {
+    const code = toWinAnsi(char.codePointAt(0));
+    if (char === "(" || char === ")" || char === "\\") {
+      out += `\\${char}`;
+    } else if (code > 126) {
+      out += `\\${code.toString(8).padStart(3, "0")}`;
+    } else {
+      out += String.fromCharCode(code);
+    }
+  }
+  return `(${out})`;
+}
+
+function toRgb(color) {
+  const hex = String(color || "#000000").replace("#", "");
+  return [0, 2, 4]
+    .map((i) => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3))
+    .join(" ");
+}
+
+function num(value) {
+  return Number(value.toFixed(2));
+}
+
+/**
+ * Start a new PDF document
+ * @returns {object} Document with drawing methods; draws on the newest page
+ *   unless goToPage() picks another
+ *
+ * @example
+ * const pdf = createPdf();
+ * pdf.text("Hello", 40, 60, { size: 18, bold: true });
+ * downloadBlob(pdf.toBlob(), "hello.pdf");
+ */
+export function createPdf() {
+  const pages = [];
+  let ops = null;
+
+  const flipY = (y) => PAGE_SIZE.height - y;
+
+  const doc = {
+    get pageCount() {
+      return pages.length;
+    },
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    // Draw on an earlier page, e.g. to add "Page n of N" footers at the end
+    goToPage(index) {
+      ops = pages[index];
+      return doc;
+    },
+
+    /**
+     * Draw a line of text; y is the baseline
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y
+     * @param {object} [options] - { size, bold, color ("#rrggbb"),
+     *   align: "left" | "center" | "right" }
+     */
+    text(text, x, y, { size = 10, bold = false, color, align = "left" } = {}) {
+      const width = textWidth(text, size, bold);
+      const left =
+        align === "center" ? x - width / 2 : align === "right" ? x - width : x;
+      ops.push(
+        `BT /${bold ? "F2" : "F1"} ${size} Tf ${toRgb(color)} rg ` +
+          `${num(left)} ${num(flipY(y))} Td ${encodeText(text)} Tj ET`
+      );
+      return doc;
+    },
+
+    // dash: [on, off] lengths for a dashed line, e.g. a "cut here" rule
+    line(x1, y1, x2, y2, { width = 0.5, color, dash } = {}) {
+      const pattern = dash ? `[${dash.join(" ")}] 0 d ` : "";
+      ops.push(
+        `${width} w ${toRgb(color)} RG ${pattern}` +
+          `${num(x1)} ${num(flipY(y1))} m ${num(x2)} ${num(flipY(y2))} l S` +
+          (dash ? " [] 0 d" : "")
+      );
+      return doc;
+    },
+
+    rect(x, y, w, h, { fill, stroke, width = 0.5 } = {}) {
+      const paint = fill && stroke ? "B" : fill ? "f" : "S";
+      ops.push(
+        `${width} w ${fill ? `${toRgb(fill)} rg ` : ""}` +
+          `${toRgb(stroke)} RG ${num(x)} ${num(flipY(y + h))} ` +
+          `${num(w)} ${num(h)} re ${paint}`
+      );
+      return doc;
+    },
+
+    /**
+     * Serialize the document
+     * @returns {string} PDF source (7-bit ASCII)
+     */
+    toString() {
+      const font = (name) =>
+        `<< /Type /Font /Subtype /Type1 /BaseFont /${name} ` +
+        "/Encoding /WinAnsiEncoding >>";
+      const objects = [
+        "<< /Type /Catalog /Pages 2 0 R >>",
+        null, // page tree, filled in once the page ids are known
+        font("Helvetica"),
+        font("Helvetica-Bold"),
+      ];
+      const pageIds = pages.map((pageOps) => {
+        const stream = pageOps.join("\n");
+        objects.push(
+          `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+        );
+        const contentId = objects.length;
+        objects.push(
+          "<< /Type /Page /Parent 2 0 R " +
+            `/MediaBox [0 0 ${PAGE_SIZE.width} ${PAGE_SIZE.height}] ` +
+            "/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> " +
+            `/Contents ${contentId} 0 R >>`
+        );
+        return objects.length;
+      });
+      objects[1] =
+        `<< /Type /Pages /Count ${pageIds.length} ` +
+        `/Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] >>`;
+
+      let out = "%PDF-1.4\n";
+      const offsets = objects.map((body, index) => {
+        const offset = out.length;
+        out += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      offsets.forEach((offset) => {
+        out += `${String(offset).padStart(10, "0")} 00000 n \n`;
+      });
+      out +=
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\n` +
+        `startxref\n${xref}\n%%EOF\n`;
+      return out;
+    },
+
+    toBlob() {
+      return new Blob([doc.toString()], { type: "application/pdf" });
+    },
+  };
+
+  return doc;
+}
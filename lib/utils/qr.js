@@ -0,0 +1,343 @@
+/**
+ * QR code encoder
+ *
+ * Small QR Code Model 2 writer for short text such as check-in codes: byte
+ * mode, error correction level M, versions 1 to 10 (up to 213 bytes). The
+ * version is the smallest that fits and the mask the one with the lowest
+ * penalty, as ISO/IEC 18004 describes.
+ *
+ * Returns the module grid; components/common/qr-code.jsx draws it as SVG.
+ */
+
+const MAX_VERSION = 10;
+
+// Level M, by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const ERROR_CORRECTION_BLOCKS = [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+// Format information bits of level M
+const ECC_FORMAT_BITS = 0;
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const bitAt = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules left for data and error correction codewords
+function getRawDataModules(version) {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignments = Math.floor(version / 7) + 2;
+    modules -= (25 * alignments - 10) * alignments - 55;
+    if (version >= 7) modules -= 36;
+  }
+  return modules;
+}
+
+function getDataCodewords(version) {
+  return (
+    Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version]
+  );
+}
+
+function getAlignmentPositions(version) {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = version * 4 + 10; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+}
+
+// Data codewords: mode, length, bytes, terminator and padding
+function encodeData(bytes, version) {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(bitAt(value, i) ? 1 : 0);
+  };
+  const capacity = getDataCodewords(version) * 8;
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => byte * 2 + bit));
+  }
+  return codewords;
+}
+
+// Split into blocks, add error correction and interleave
+function addErrorCorrection(data, version) {
+  const blockCount = ERROR_CORRECTION_BLOCKS[version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1);
+    const block = data.slice(k, k + length);
+    k += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0);
+    blocks.push([...block, ...ecc]);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks have no codeword in the padding column
+      if (i !== shortBlockLength - eccLength || j >= shortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+function createGrid(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  const reserved = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+  return { size, modules, reserved, set };
+}
+
+function drawFunctionPatterns(grid, version) {
+  const { size, set } = grid;
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) =>
+    positions.forEach((cy, j) => {
+      // The finder patterns take these corners
+      if ((i === 0 && j === 0) || (i === 0 && j === last)) return;
+      if (i === last && j === 0) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    })
+  );
+
+  // Reserve the format areas; the bits are drawn once the mask is chosen
+  drawFormatBits(grid, 0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bitAt(bits, i));
+      set(b, a, bitAt(bits, i));
+    }
+  }
+}
+
+function drawFormatBits({ size, set }, mask) {
+  const data = (ECC_FORMAT_BITS << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bitAt(bits, i));
+  set(8, 7, bitAt(bits, 6));
+  set(8, 8, bitAt(bits, 7));
+  set(7, 8, bitAt(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bitAt(bits, i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bitAt(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bitAt(bits, i));
+  set(8, size - 8, true);
+}
+
+// Zigzag through the two-module columns from the bottom right
+function drawCodewords({ size, modules, reserved }, codewords) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (reserved[y][x] || i >= codewords.length * 8) continue;
+        modules[y][x] = bitAt(codewords[i >>> 3], 7 - (i & 7));
+        i++;
+      }
+    }
+  }
+}
+
+function applyMask({ size, modules, reserved }, mask) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!reserved[y][x] && MASKS[mask](x, y)) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+// Penalty for long runs, 2x2 blocks and dark/light imbalance
+function getPenalty({ size, modules }) {
+  let penalty = 0;
+  const scoreRuns = (get) => {
+    for (let a = 0; a < size; a++) {
+      let run = 1;
+      for (let b = 1; b <= size; b++) {
+        if (b < size && get(a, b) === get(a, b - 1)) {
+          run++;
+          continue;
+        }
+        if (run >= 5) penalty += run - 2;
+        run = 1;
+      }
+    }
+  };
+  scoreRuns((row, col) => modules[row][col]);
+  scoreRuns((col, row) => modules[row][col]);
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x < size - 1 &&
+        y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+  const deviation = Math.abs(dark * 20 - size * size * 10);
+  penalty += Math.ceil(deviation / (size * size)) * 10 - 10;
+  return penalty;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Encoded as UTF-8
+ * @returns {boolean[][]} Module grid by row, true for dark; without the
+ *   quiet zone (leave 4 light modules around it)
+ * @throws {Error} When the text is too long for version 10
+ */
+export function encodeQrCode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (
+    version <= MAX_VERSION &&
+    4 + (version < 10 ? 8 : 16) + bytes.length * 8 >
+      getDataCodewords(version) * 8
+  ) {
+    version++;
+  }
+  if (version > MAX_VERSION) {
+    throw new Error("Text is too long for a QR code");
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+  let best = null;
+  MASKS.forEach((_, mask) => {
+    const grid = createGrid(version);
+    drawFunctionPatterns(grid, version);
+    drawCodewords(grid, codewords);
+    applyMask(grid, mask);
+    drawFormatBits(grid, mask);
+    const penalty = getPenalty(grid);
+    if (!best || penalty < best.penalty) best = { grid, penalty };
+  });
+  return best.grid.modules;
+}
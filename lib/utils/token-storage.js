@@ -0,0 +1,141 @@
+/**
+ * Token storage
+ *
+ * Keeps the access token, refresh token and access-token expiry in
+ * localStorage and lets React subscribe to changes (see AuthProvider).
+ * The axios client in lib/utils/api.js is the only writer during a session;
+ * login/logout write through setSessionTokens/clearSessionTokens.
+ */
+
+const ACCESS_TOKEN_KEY = "token";
+const REFRESH_TOKEN_KEY = "refreshToken";
+const EXPIRES_AT_KEY = "tokenExpiresAt";
+
+const SERVER_SNAPSHOT = { expiresAt: null, refreshing: false };
+
+const listeners = new Set();
+let snapshot = null;
+let refreshing = false;
+
+function isBrowser() {
+  return typeof window !== "undefined";
+}
+
+/**
+ * Read the `exp` claim from a JWT
+ * @param {string} token - Access token
+ * @returns {number|null} Expiry in ms since epoch, or null if not a JWT
+ */
+function decodeJwtExpiry(token) {
+  try {
+    const payload = JSON.parse(
+      atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))
+    );
+    return typeof payload.exp === "number" ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+function readSnapshot() {
+  const storedExpiry = parseInt(localStorage.getItem(EXPIRES_AT_KEY), 10);
+  return {
+    expiresAt: Number.isNaN(storedExpiry) ? null : storedExpiry,
+    refreshing,
+  };
+}
+
+function emit() {
+  snapshot = readSnapshot();
+  listeners.forEach((listener) => listener());
+}
+
+export function getAccessToken() {
+  return isBrowser() ? localStorage.getItem(ACCESS_TOKEN_KEY) : null;
+}
+
+export function getRefreshToken() {
+  return isBrowser() ? localStorage.getItem(REFRESH_TOKEN_KEY) : null;
+}
+
+/**
+ * Access-token expiry
+ * @returns {number|null} Expiry in ms since epoch, or null if unknown
+ */
+export function getTokenExpiry() {
+  return isBrowser() ? readSnapshot().expiresAt : null;
+}
+
+/**
+ * Store tokens from a login or refresh response
+ * @param {object} tokens
+ * @param {string} tokens.accessToken - New access token
+ * @param {string} [tokens.refreshToken] - New refresh token (kept if omitted)
+ * @param {number} [tokens.expiresIn] - Access-token lifetime in seconds
+ */
+export function setSessionTokens({ accessToken, refreshToken, expiresIn }) {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+
+  const expiresAt = expiresIn
+    ? Date.now() + expiresIn * 1000
+    : decodeJwtExpiry(accessToken);
+  if (expiresAt) {
+    localStorage.setItem(EXPIRES_AT_KEY, String(expiresAt));
+  } else {
+    localStorage.removeItem(EXPIRES_AT_KEY);
+  }
+  emit();
+}
+
+/**
+ * Remove all stored tokens
+ */
+export function clearSessionTokens() {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(EXPIRES_AT_KEY);
+  emit();
+}
+
+/**
+ * Flag whether a refresh call is in flight
+ * @param {boolean} value
+ */
+export function setRefreshing(value) {
+  refreshing = value;
+  emit();
+}
+
+/**
+ * Subscribe to token changes (useSyncExternalStore-compatible)
+ * @param {function} listener - Called after any change
+ * @returns {function} Unsubscribe
+ */
+export function subscribeToTokens(listener) {
+  listeners.add(listener);
+  // Other tabs refresh or log out too
+  const onStorage = (event) => {
+    if ([ACCESS_TOKEN_KEY, EXPIRES_AT_KEY].includes(event.key)) emit();
+  };
+  window.addEventListener("storage", onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+/**
+ * Current token state (useSyncExternalStore-compatible)
+ * @returns {{ expiresAt: number|null, refreshing: boolean }}
+ */
+export function getTokenSnapshot() {
+  if (!snapshot) snapshot = readSnapshot();
+  return snapshot;
+}
+
+export function getServerTokenSnapshot() {
+  return SERVER_SNAPSHOT;
+}